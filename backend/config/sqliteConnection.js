@@ -0,0 +1,75 @@
+const sqlite3 = require('sqlite3').verbose();
+
+// How long a statement waits on a lock held by another connection, e.g. a read made
+// while a unit of work commits on its own connection
+const BUSY_TIMEOUT_MS = 30000;
+
+// One SQLite connection with promise-returning statements
+class SqliteConnection {
+    constructor(db) {
+        this.db = db;
+    }
+
+    static open(file) {
+        return new Promise((resolve, reject) => {
+            const db = new sqlite3.Database(file, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    db.configure('busyTimeout', BUSY_TIMEOUT_MS);
+                    resolve(new SqliteConnection(db));
+                }
+            });
+        });
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve({ id: this.lastID, changes: this.changes });
+                }
+            });
+        });
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row);
+                }
+            });
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    close() {
+        return new Promise((resolve, reject) => {
+            this.db.close((err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+}
+
+module.exports = SqliteConnection;
@@ -0,0 +1,36 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Keeps the transaction coordinator's units of work apart from every other write.
+ *
+ * Each database has a shared connection and a second one that only units of work use
+ * (see utils/transactionCoordinator.js). While a unit of work runs, its handles are held
+ * in this async context, so any statement made from inside it, however deeply nested,
+ * goes to the unit of work's connections. Writes made anywhere else wait in the same
+ * queue as the units of work: none of them lands inside a transaction another operation
+ * may roll back, and none of them is left waiting on SQLite's write lock.
+ */
+class UnitOfWork {
+    constructor() {
+        this.storage = new AsyncLocalStorage();
+        this.queue = Promise.resolve();
+    }
+
+    // Handles of the unit of work the caller is running in, if any
+    current() {
+        return this.storage.getStore();
+    }
+
+    run(handles, work) {
+        return this.storage.run(handles, work);
+    }
+
+    // Runs task once everything queued before it has finished
+    enqueue(task) {
+        const run = this.queue.then(task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+}
+
+module.exports = new UnitOfWork();
@@ -0,0 +1,37 @@
+const Till = require('../models/Till');
+
+// Counter cash is taken and paid only through the user's till open for today. handlesCash
+// decides from the request whether it moves cash at all (a savings disbursement does not).
+const requireTill = (handlesCash = () => true) => {
+    return async (req, res, next) => {
+        try {
+            if (!(await handlesCash(req))) {
+                return next();
+            }
+
+            const till = await Till.getCounterSession(req.user.id);
+            if (!till.success) {
+                return res.status(400).json({
+                    success: false,
+                    message: till.error
+                });
+            }
+
+            req.till = till.session;
+            next();
+        } catch (error) {
+            console.error('Till check error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Internal server error during till check'
+            });
+        }
+    };
+};
+
+const counterCash = requireTill();
+
+module.exports = {
+    requireTill,
+    counterCash
+};
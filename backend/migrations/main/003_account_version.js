@@ -0,0 +1,10 @@
+// Row version for conditional balance updates (see Account.updateBalance)
+module.exports = {
+    async up(db) {
+        await db.addColumnIfMissing('accounts', 'version', 'INTEGER NOT NULL DEFAULT 1');
+    },
+
+    async down(db) {
+        await db.run('ALTER TABLE accounts DROP COLUMN version');
+    }
+};
@@ -0,0 +1,31 @@
+// Money columns move from rupee decimals to integer paise (see utils/money.js)
+const moneyColumns = {
+    accounts: ['balance'],
+    fixed_deposits: ['principal_amount', 'maturity_amount', 'premature_amount'],
+    recurring_deposits: ['monthly_amount', 'maturity_amount', 'total_paid'],
+    loans: ['principal_amount', 'emi_amount', 'total_amount', 'outstanding_amount']
+};
+
+module.exports = {
+    async up(db) {
+        // Releases before versioned migrations converted on startup and set user_version
+        const { user_version: version } = await db.get('PRAGMA user_version');
+        if (version < 1) {
+            for (const [table, columns] of Object.entries(moneyColumns)) {
+                const assignments = columns.map(column => `${column} = CAST(ROUND(${column} * 100) AS INTEGER)`).join(', ');
+                await db.run(`UPDATE ${table} SET ${assignments}`);
+            }
+        }
+
+        await db.run('PRAGMA user_version = 1');
+    },
+
+    async down(db) {
+        for (const [table, columns] of Object.entries(moneyColumns)) {
+            const assignments = columns.map(column => `${column} = ${column} / 100.0`).join(', ');
+            await db.run(`UPDATE ${table} SET ${assignments}`);
+        }
+
+        await db.run('PRAGMA user_version = 0');
+    }
+};
@@ -0,0 +1,58 @@
+// Persisted definitions of the scheduled jobs and the history of their runs
+module.exports = {
+    async up(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS scheduled_jobs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT UNIQUE NOT NULL,
+                description TEXT,
+                cron_expression TEXT NOT NULL,
+                enabled BOOLEAN DEFAULT 1,
+                catch_up BOOLEAN DEFAULT 1,
+                locked_at DATETIME,
+                last_scheduled_for DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS job_runs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                job_name TEXT NOT NULL,
+                trigger_type TEXT NOT NULL CHECK (trigger_type IN ('schedule', 'catch_up', 'manual')),
+                scheduled_for DATETIME,
+                status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'succeeded', 'failed', 'skipped')),
+                summary TEXT,
+                error_message TEXT,
+                triggered_by INTEGER,
+                started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                finished_at DATETIME,
+                FOREIGN KEY (triggered_by) REFERENCES users (id)
+            )
+        `);
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_job_runs_job_name ON job_runs(job_name, started_at)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_job_runs_status ON job_runs(status)');
+
+        const jobs = [
+            ['fd_rd_maturity', 'Mark FDs and RDs past their maturity date as matured', '5 0 * * *'],
+            ['loan_overdue', 'Flag loans with EMIs past their due date', '10 0 * * *'],
+            ['interest_posting', 'Accrue savings interest for ended days and post it once a period is over', '20 0 * * *'],
+            ['backup', 'Create an encrypted backup of both databases', '0 2 * * 0'],
+            ['log_purge', 'Delete activity logs, sent emails and job runs older than the retention period', '30 3 * * 0']
+        ];
+
+        for (const [name, description, cronExpression] of jobs) {
+            await db.run(
+                'INSERT OR IGNORE INTO scheduled_jobs (name, description, cron_expression) VALUES (?, ?, ?)',
+                [name, description, cronExpression]
+            );
+        }
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS job_runs');
+        await db.run('DROP TABLE IF EXISTS scheduled_jobs');
+    }
+};
@@ -0,0 +1,12 @@
+// Overdue EMI flags maintained by the loan_overdue job
+module.exports = {
+    async up(db) {
+        await db.addColumnIfMissing('loans', 'overdue_emis', 'INTEGER NOT NULL DEFAULT 0');
+        await db.addColumnIfMissing('loans', 'overdue_since', 'DATE');
+    },
+
+    async down(db) {
+        await db.run('ALTER TABLE loans DROP COLUMN overdue_since');
+        await db.run('ALTER TABLE loans DROP COLUMN overdue_emis');
+    }
+};
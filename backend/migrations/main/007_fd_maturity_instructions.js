@@ -0,0 +1,18 @@
+// What happens to an FD on maturity, and the FD a renewal was rolled over from
+module.exports = {
+    async up(db) {
+        // NULL for FDs opened before instructions existed; they are paid out when closed
+        await db.addColumnIfMissing('fixed_deposits', 'maturity_instruction', 'TEXT');
+        await db.addColumnIfMissing('fixed_deposits', 'payout_account_id', 'INTEGER');
+        await db.addColumnIfMissing('fixed_deposits', 'renewed_from_id', 'INTEGER');
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_fixed_deposits_maturity ON fixed_deposits(status, maturity_date)');
+    },
+
+    async down(db) {
+        await db.run('DROP INDEX IF EXISTS idx_fixed_deposits_maturity');
+        await db.run('ALTER TABLE fixed_deposits DROP COLUMN renewed_from_id');
+        await db.run('ALTER TABLE fixed_deposits DROP COLUMN payout_account_id');
+        await db.run('ALTER TABLE fixed_deposits DROP COLUMN maturity_instruction');
+    }
+};
@@ -0,0 +1,70 @@
+// Premature closure penalty rules for FDs and RDs, versioned by effective date
+module.exports = {
+    async up(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS penalty_rule_versions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                product_type TEXT NOT NULL CHECK (product_type IN ('fd', 'rd')),
+                effective_from DATE NOT NULL,
+                lock_in_months INTEGER NOT NULL DEFAULT 0,
+                notes TEXT,
+                created_by INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (product_type, effective_from),
+                FOREIGN KEY (created_by) REFERENCES users (id)
+            )
+        `);
+
+        // One row per tenure bucket and elapsed-period bucket; a NULL upper bound is open-ended
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS penalty_rules (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                version_id INTEGER NOT NULL,
+                tenure_from_months INTEGER NOT NULL DEFAULT 0,
+                tenure_to_months INTEGER,
+                elapsed_from_months INTEGER NOT NULL DEFAULT 0,
+                elapsed_to_months INTEGER,
+                rate_basis TEXT NOT NULL DEFAULT 'contracted' CHECK (rate_basis IN ('contracted', 'period_run')),
+                rate_reduction DECIMAL(5,2) NOT NULL DEFAULT 0,
+                flat_fee INTEGER NOT NULL DEFAULT 0,
+                FOREIGN KEY (version_id) REFERENCES penalty_rule_versions (id) ON DELETE CASCADE
+            )
+        `);
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_penalty_rules_version ON penalty_rules(version_id)');
+
+        // The policy in force before rules existed: the contracted rate less 1%
+        for (const productType of ['fd', 'rd']) {
+            const existing = await db.get('SELECT id FROM penalty_rule_versions WHERE product_type = ?', [productType]);
+            if (!existing) {
+                const version = await db.run(
+                    `INSERT INTO penalty_rule_versions (product_type, effective_from, lock_in_months, notes)
+                     VALUES (?, '2000-01-01', 0, 'Contracted rate less 1% (policy before configurable rules)')`,
+                    [productType]
+                );
+                await db.run(
+                    `INSERT INTO penalty_rules (version_id, rate_basis, rate_reduction, flat_fee)
+                     VALUES (?, 'contracted', 1, 0)`,
+                    [version.id]
+                );
+            }
+        }
+
+        // The quote a premature closure was paid out on
+        for (const table of ['fixed_deposits', 'recurring_deposits']) {
+            await db.addColumnIfMissing(table, 'penalty_rule_version_id', 'INTEGER');
+            await db.addColumnIfMissing(table, 'closure_breakdown', 'TEXT');
+        }
+    },
+
+    async down(db) {
+        for (const table of ['fixed_deposits', 'recurring_deposits']) {
+            await db.run(`ALTER TABLE ${table} DROP COLUMN closure_breakdown`);
+            await db.run(`ALTER TABLE ${table} DROP COLUMN penalty_rule_version_id`);
+        }
+
+        await db.run('DROP TABLE IF EXISTS penalty_rules');
+        await db.run('DROP TABLE IF EXISTS penalty_rule_versions');
+    }
+};
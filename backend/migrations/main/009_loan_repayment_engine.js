@@ -0,0 +1,50 @@
+// Loan amortization schedule and the principal, interest and charges a loan owes
+module.exports = {
+    async up(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS loan_schedule (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                loan_id INTEGER NOT NULL,
+                installment_number INTEGER NOT NULL,
+                due_date DATE NOT NULL,
+                opening_principal INTEGER NOT NULL,
+                emi_amount INTEGER NOT NULL,
+                principal_amount INTEGER NOT NULL,
+                interest_amount INTEGER NOT NULL,
+                closing_principal INTEGER NOT NULL,
+                principal_paid INTEGER NOT NULL DEFAULT 0,
+                interest_paid INTEGER NOT NULL DEFAULT 0,
+                status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'partial', 'paid')),
+                paid_date DATE,
+                UNIQUE (loan_id, installment_number)
+            )
+        `);
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_loan_schedule_due ON loan_schedule(due_date, status)');
+
+        // NULL until the loan is first rebuilt (its next repayment event or loan_overdue run)
+        await db.addColumnIfMissing('loans', 'principal_outstanding', 'INTEGER');
+        await db.addColumnIfMissing('loans', 'principal_due', 'INTEGER NOT NULL DEFAULT 0');
+        await db.addColumnIfMissing('loans', 'interest_due', 'INTEGER NOT NULL DEFAULT 0');
+        await db.addColumnIfMissing('loans', 'charges_due', 'INTEGER NOT NULL DEFAULT 0');
+        await db.addColumnIfMissing('loans', 'paid_emis', 'INTEGER NOT NULL DEFAULT 0');
+
+        await db.run(
+            `UPDATE scheduled_jobs SET description = ? WHERE name = 'loan_overdue'`,
+            ['Rebuild loan schedules and flag loans with EMIs past their due date']
+        );
+    },
+
+    async down(db) {
+        await db.run(
+            `UPDATE scheduled_jobs SET description = ? WHERE name = 'loan_overdue'`,
+            ['Flag loans with EMIs past their due date']
+        );
+
+        for (const column of ['paid_emis', 'charges_due', 'interest_due', 'principal_due', 'principal_outstanding']) {
+            await db.run(`ALTER TABLE loans DROP COLUMN ${column}`);
+        }
+
+        await db.run('DROP TABLE IF EXISTS loan_schedule');
+    }
+};
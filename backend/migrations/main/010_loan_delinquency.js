@@ -0,0 +1,46 @@
+// Days past due, asset classification and provisioning for loans, with a daily history
+module.exports = {
+    async up(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS loan_delinquency (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                loan_id INTEGER NOT NULL,
+                as_of_date DATE NOT NULL,
+                dpd INTEGER NOT NULL,
+                overdue_amount INTEGER NOT NULL,
+                penal_interest INTEGER NOT NULL DEFAULT 0,
+                asset_class TEXT NOT NULL,
+                provision_percent REAL NOT NULL,
+                provision_amount INTEGER NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (loan_id, as_of_date)
+            )
+        `);
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_loan_delinquency_date ON loan_delinquency(as_of_date)');
+
+        await db.addColumnIfMissing('loans', 'dpd', 'INTEGER NOT NULL DEFAULT 0');
+        await db.addColumnIfMissing('loans', 'asset_class', `TEXT NOT NULL DEFAULT 'standard'`);
+        await db.addColumnIfMissing('loans', 'npa_since', 'DATE');
+        await db.addColumnIfMissing('loans', 'provision_amount', 'INTEGER NOT NULL DEFAULT 0');
+        await db.addColumnIfMissing('loans', 'delinquency_through', 'DATE');
+
+        await db.run(
+            `UPDATE scheduled_jobs SET description = ? WHERE name = 'loan_overdue'`,
+            ['Rebuild loan schedules, accrue penal interest and classify overdue loans']
+        );
+    },
+
+    async down(db) {
+        await db.run(
+            `UPDATE scheduled_jobs SET description = ? WHERE name = 'loan_overdue'`,
+            ['Rebuild loan schedules and flag loans with EMIs past their due date']
+        );
+
+        for (const column of ['delinquency_through', 'provision_amount', 'npa_since', 'asset_class', 'dpd']) {
+            await db.run(`ALTER TABLE loans DROP COLUMN ${column}`);
+        }
+
+        await db.run('DROP TABLE IF EXISTS loan_delinquency');
+    }
+};
@@ -0,0 +1,71 @@
+// Loan application workflow: sanction terms and letter, disbursement, write-off, no-dues certificate and status history
+module.exports = {
+    async up(db) {
+        const columns = [
+            ['purpose', 'TEXT'],
+            ['requested_amount', 'INTEGER'],
+            ['sanctioned_amount', 'INTEGER'],
+            ['sanctioned_rate', 'DECIMAL(5,2)'],
+            ['sanctioned_tenure_months', 'INTEGER'],
+            ['sanction_conditions', 'TEXT'],
+            ['sanction_letter_number', 'TEXT'],
+            ['sanctioned_by', 'INTEGER'],
+            ['sanctioned_at', 'DATETIME'],
+            ['rejection_reason', 'TEXT'],
+            ['disbursement_mode', 'TEXT'],
+            ['disbursement_account_id', 'INTEGER'],
+            ['disbursement_reference', 'TEXT'],
+            ['disbursed_by', 'INTEGER'],
+            ['disbursed_at', 'DATETIME'],
+            ['written_off_amount', 'INTEGER NOT NULL DEFAULT 0'],
+            ['closed_at', 'DATETIME'],
+            ['no_dues_certificate_number', 'TEXT']
+        ];
+
+        for (const [column, definition] of columns) {
+            await db.addColumnIfMissing('loans', column, definition);
+        }
+
+        // Loans opened before the workflow were disbursed in cash when they were created
+        await db.run(`
+            UPDATE loans SET
+                requested_amount = principal_amount,
+                sanctioned_amount = principal_amount,
+                sanctioned_rate = interest_rate,
+                sanctioned_tenure_months = tenure_months,
+                disbursement_mode = 'cash',
+                disbursed_by = created_by,
+                disbursed_at = created_at
+            WHERE requested_amount IS NULL
+        `);
+
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS loan_status_history (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                loan_id INTEGER NOT NULL,
+                from_status TEXT,
+                to_status TEXT NOT NULL,
+                note TEXT,
+                changed_by INTEGER,
+                changed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_loan_status_history_loan ON loan_status_history(loan_id)');
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS loan_status_history');
+
+        const columns = [
+            'no_dues_certificate_number', 'closed_at', 'written_off_amount', 'disbursed_at', 'disbursed_by',
+            'disbursement_reference', 'disbursement_account_id', 'disbursement_mode', 'rejection_reason',
+            'sanctioned_at', 'sanctioned_by', 'sanction_letter_number', 'sanction_conditions',
+            'sanctioned_tenure_months', 'sanctioned_rate', 'sanctioned_amount', 'requested_amount', 'purpose'
+        ];
+
+        for (const column of columns) {
+            await db.run(`ALTER TABLE loans DROP COLUMN ${column}`);
+        }
+    }
+};
@@ -0,0 +1,65 @@
+// Guarantors standing surety for loans and the collateral pledged against them
+module.exports = {
+    async up(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS loan_guarantors (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                loan_id INTEGER NOT NULL,
+                customer_id INTEGER,
+                name TEXT NOT NULL,
+                phone TEXT,
+                address TEXT,
+                relationship TEXT,
+                guaranteed_amount INTEGER,
+                documents TEXT,
+                status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'released')),
+                added_by INTEGER,
+                added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                release_date DATE,
+                released_by INTEGER,
+                release_note TEXT,
+                FOREIGN KEY (loan_id) REFERENCES loans (id),
+                FOREIGN KEY (customer_id) REFERENCES customers (id),
+                FOREIGN KEY (added_by) REFERENCES users (id)
+            )
+        `);
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_loan_guarantors_loan ON loan_guarantors(loan_id)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_loan_guarantors_customer ON loan_guarantors(customer_id, status)');
+
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS loan_collateral (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                loan_id INTEGER NOT NULL,
+                customer_id INTEGER NOT NULL,
+                collateral_type TEXT NOT NULL CHECK (collateral_type IN ('gold', 'land', 'property', 'vehicle', 'fd_lien', 'other')),
+                description TEXT NOT NULL,
+                reference TEXT,
+                fd_id INTEGER,
+                valuation_amount INTEGER NOT NULL,
+                valuation_date DATE NOT NULL,
+                valued_by TEXT,
+                documents TEXT,
+                status TEXT NOT NULL DEFAULT 'pledged' CHECK (status IN ('pledged', 'released')),
+                added_by INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                release_date DATE,
+                released_by INTEGER,
+                release_note TEXT,
+                FOREIGN KEY (loan_id) REFERENCES loans (id),
+                FOREIGN KEY (customer_id) REFERENCES customers (id),
+                FOREIGN KEY (fd_id) REFERENCES fixed_deposits (id),
+                FOREIGN KEY (added_by) REFERENCES users (id)
+            )
+        `);
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_loan_collateral_loan ON loan_collateral(loan_id)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_loan_collateral_fd ON loan_collateral(fd_id, status)');
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS loan_collateral');
+        await db.run('DROP TABLE IF EXISTS loan_guarantors');
+    }
+};
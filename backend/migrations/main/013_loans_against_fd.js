@@ -0,0 +1,19 @@
+// Loans secured by a fixed deposit, and the loan an FD's maturity proceeds were adjusted against
+module.exports = {
+    async up(db) {
+        await db.addColumnIfMissing('loans', 'fd_id', 'INTEGER');
+        await db.addColumnIfMissing('fixed_deposits', 'adjusted_loan_id', 'INTEGER');
+        await db.addColumnIfMissing('fixed_deposits', 'loan_adjustment_amount', 'INTEGER');
+        await db.addColumnIfMissing('fixed_deposits', 'loan_adjustment_reference', 'TEXT');
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_loans_fd ON loans(fd_id)');
+    },
+
+    async down(db) {
+        await db.run('DROP INDEX IF EXISTS idx_loans_fd');
+        await db.run('ALTER TABLE fixed_deposits DROP COLUMN loan_adjustment_reference');
+        await db.run('ALTER TABLE fixed_deposits DROP COLUMN loan_adjustment_amount');
+        await db.run('ALTER TABLE fixed_deposits DROP COLUMN adjusted_loan_id');
+        await db.run('ALTER TABLE loans DROP COLUMN fd_id');
+    }
+};
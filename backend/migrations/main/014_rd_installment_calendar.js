@@ -0,0 +1,28 @@
+// Where each RD stands against its installment calendar, kept by RD.rebuildCalendar
+module.exports = {
+    async up(db) {
+        await db.addColumnIfMissing('recurring_deposits', 'paid_installments', 'INTEGER NOT NULL DEFAULT 0');
+        await db.addColumnIfMissing('recurring_deposits', 'missed_installments', 'INTEGER NOT NULL DEFAULT 0');
+        await db.addColumnIfMissing('recurring_deposits', 'carry_forward_amount', 'INTEGER NOT NULL DEFAULT 0');
+        await db.addColumnIfMissing('recurring_deposits', 'late_fees_paid', 'INTEGER NOT NULL DEFAULT 0');
+        await db.addColumnIfMissing('recurring_deposits', 'next_due_date', 'DATE');
+        await db.addColumnIfMissing('recurring_deposits', 'defaulted_at', 'DATETIME');
+
+        // A starting point until the next payment or maturity run rebuilds each calendar
+        await db.run(
+            `UPDATE recurring_deposits SET
+                paid_installments = MIN(tenure_months, total_paid / monthly_amount),
+                carry_forward_amount = total_paid - MIN(tenure_months, total_paid / monthly_amount) * monthly_amount
+             WHERE monthly_amount > 0`
+        );
+    },
+
+    async down(db) {
+        await db.run('ALTER TABLE recurring_deposits DROP COLUMN defaulted_at');
+        await db.run('ALTER TABLE recurring_deposits DROP COLUMN next_due_date');
+        await db.run('ALTER TABLE recurring_deposits DROP COLUMN late_fees_paid');
+        await db.run('ALTER TABLE recurring_deposits DROP COLUMN carry_forward_amount');
+        await db.run('ALTER TABLE recurring_deposits DROP COLUMN missed_installments');
+        await db.run('ALTER TABLE recurring_deposits DROP COLUMN paid_installments');
+    }
+};
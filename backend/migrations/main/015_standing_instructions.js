@@ -0,0 +1,60 @@
+// Standing instructions debiting savings for RD installments and loan EMIs, with every attempt kept
+module.exports = {
+    async up(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS standing_instructions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                customer_id INTEGER NOT NULL,
+                account_id INTEGER NOT NULL,
+                target_type TEXT NOT NULL CHECK (target_type IN ('rd', 'loan')),
+                target_id INTEGER NOT NULL,
+                amount INTEGER,
+                start_date DATE NOT NULL,
+                end_date DATE,
+                status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'paused', 'cancelled', 'completed')),
+                last_run_at DATETIME,
+                last_run_status TEXT,
+                created_by INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (customer_id) REFERENCES customers (id),
+                FOREIGN KEY (account_id) REFERENCES accounts (id),
+                FOREIGN KEY (created_by) REFERENCES users (id)
+            )
+        `);
+
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS standing_instruction_runs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                instruction_id INTEGER NOT NULL,
+                due_date DATE NOT NULL,
+                attempt INTEGER NOT NULL,
+                trigger_type TEXT NOT NULL CHECK (trigger_type IN ('schedule', 'manual')),
+                status TEXT NOT NULL CHECK (status IN ('succeeded', 'failed')),
+                amount INTEGER NOT NULL,
+                debit_reference TEXT,
+                payment_reference TEXT,
+                error_message TEXT,
+                run_by INTEGER,
+                run_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (instruction_id) REFERENCES standing_instructions (id),
+                FOREIGN KEY (run_by) REFERENCES users (id)
+            )
+        `);
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_standing_instructions_target ON standing_instructions(target_type, target_id)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_standing_instructions_account ON standing_instructions(account_id)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_standing_instruction_runs ON standing_instruction_runs(instruction_id, due_date)');
+
+        await db.run(
+            'INSERT OR IGNORE INTO scheduled_jobs (name, description, cron_expression) VALUES (?, ?, ?)',
+            ['standing_instructions', 'Debit savings for RD installments and loan EMIs due under standing instructions, retrying short balances', '30 0 * * *']
+        );
+    },
+
+    async down(db) {
+        await db.run(`DELETE FROM scheduled_jobs WHERE name = 'standing_instructions'`);
+        await db.run('DROP TABLE IF EXISTS standing_instruction_runs');
+        await db.run('DROP TABLE IF EXISTS standing_instructions');
+    }
+};
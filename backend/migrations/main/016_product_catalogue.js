@@ -0,0 +1,109 @@
+// Product catalogue of account, FD, RD and loan schemes, with each contract keeping the terms it opened on
+const settingsStore = require('../../utils/settingsStore');
+
+// The rates settings held before the catalogue, for an install that never changed them
+const STARTER_RATES = {
+    savingsRate: 4.0,
+    fdRates: { '1': 6.0, '2': 6.5, '3': 7.0, '5': 7.5 },
+    rdRate: 6.5,
+    loanRates: { personal: 12.0, business: 10.0, education: 9.0 }
+};
+
+module.exports = {
+    async up(db) {
+        // Amounts in paise; a NULL limit is open-ended. penalty_rules is JSON (lock-in and
+        // rules as in penalty_rules) replacing the institute's premature closure rules
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS products (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                code TEXT UNIQUE NOT NULL,
+                name TEXT NOT NULL,
+                product_type TEXT NOT NULL CHECK (product_type IN ('account', 'fd', 'rd', 'loan')),
+                category TEXT,
+                description TEXT,
+                interest_rate DECIMAL(5,2) NOT NULL DEFAULT 0,
+                compounding TEXT CHECK (compounding IN ('monthly', 'quarterly', 'half_yearly', 'yearly')),
+                min_amount INTEGER NOT NULL DEFAULT 0,
+                max_amount INTEGER,
+                min_tenure_months INTEGER,
+                max_tenure_months INTEGER,
+                penalty_rules TEXT,
+                min_age INTEGER,
+                max_age INTEGER,
+                is_active BOOLEAN DEFAULT 1,
+                created_by INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (created_by) REFERENCES users (id)
+            )
+        `);
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_products_type ON products(product_type, is_active)');
+
+        for (const table of ['accounts', 'fixed_deposits', 'recurring_deposits', 'loans']) {
+            await db.addColumnIfMissing(table, 'product_id', 'INTEGER');
+            await db.addColumnIfMissing(table, 'product_terms', 'TEXT');
+        }
+        for (const table of ['fixed_deposits', 'recurring_deposits', 'loans']) {
+            await db.addColumnIfMissing(table, 'compounding', `TEXT NOT NULL DEFAULT 'monthly'`);
+        }
+
+        // A starting catalogue from the rates configured in settings
+        const existing = await db.get('SELECT id FROM products LIMIT 1');
+        if (existing) {
+            return;
+        }
+
+        const settings = await settingsStore.read();
+        const interest = { ...STARTER_RATES, ...settings.interest };
+        const products = [
+            ['SB', 'Savings Account', 'account', 'savings', interest.savingsRate, null, null, null],
+            ['CA', 'Current Account', 'account', 'current', 0, null, null, null]
+        ];
+
+        // One FD scheme per rate slab, covering tenures up to the next slab; the shortest
+        // slab also covers tenures under it, as the slab lookup did
+        const slabs = Object.entries(interest.fdRates || {})
+            .map(([years, rate]) => ({ years: parseFloat(years), rate: parseFloat(rate) }))
+            .filter(slab => !isNaN(slab.years) && slab.rate > 0)
+            .sort((a, b) => a.years - b.years);
+        slabs.forEach((slab, index) => {
+            const next = slabs[index + 1];
+            products.push([
+                `FD${slab.years}Y`, `Fixed Deposit ${slab.years} Year${slab.years === 1 ? '' : 's'}`, 'fd', null, slab.rate, 'monthly',
+                index === 0 ? 1 : Math.round(slab.years * 12),
+                next ? Math.round(next.years * 12) - 1 : null
+            ]);
+        });
+
+        products.push(['RD', 'Recurring Deposit', 'rd', null, interest.rdRate, 'monthly', 1, null]);
+
+        for (const [loanType, rate] of Object.entries(interest.loanRates || {})) {
+            if (['personal', 'home', 'vehicle', 'business', 'education', 'gold'].includes(loanType) && rate > 0) {
+                const name = `${loanType.charAt(0).toUpperCase()}${loanType.slice(1)} Loan`;
+                products.push([`${loanType.toUpperCase()}-LOAN`, name, 'loan', loanType, rate, 'monthly', 1, 360]);
+            }
+        }
+
+        for (const [code, name, productType, category, rate, compounding, minTenure, maxTenure] of products) {
+            await db.run(
+                `INSERT INTO products (
+                    code, name, product_type, category, interest_rate, compounding, min_tenure_months, max_tenure_months
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [code, name, productType, category, parseFloat(rate) || 0, compounding, minTenure, maxTenure]
+            );
+        }
+    },
+
+    async down(db) {
+        for (const table of ['fixed_deposits', 'recurring_deposits', 'loans']) {
+            await db.run(`ALTER TABLE ${table} DROP COLUMN compounding`);
+        }
+        for (const table of ['accounts', 'fixed_deposits', 'recurring_deposits', 'loans']) {
+            await db.run(`ALTER TABLE ${table} DROP COLUMN product_terms`);
+            await db.run(`ALTER TABLE ${table} DROP COLUMN product_id`);
+        }
+
+        await db.run('DROP TABLE IF EXISTS products');
+    }
+};
@@ -0,0 +1,89 @@
+// Dated rate cards per product with amount slabs, approved by a second admin
+module.exports = {
+    async up(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS rate_cards (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                product_id INTEGER NOT NULL,
+                effective_from DATE NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'withdrawn')),
+                notes TEXT,
+                requested_by INTEGER,
+                requested_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                reviewed_by INTEGER,
+                reviewed_at DATETIME,
+                review_note TEXT,
+                FOREIGN KEY (product_id) REFERENCES products (id),
+                FOREIGN KEY (requested_by) REFERENCES users (id),
+                FOREIGN KEY (reviewed_by) REFERENCES users (id)
+            )
+        `);
+
+        // At most one approved card per product and day
+        await db.run(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_rate_cards_approved
+            ON rate_cards(product_id, effective_from) WHERE status = 'approved'
+        `);
+
+        // A slab applies from amount_from (paise) up to the next slab's amount_from: the
+        // balance for accounts, the deposit or monthly installment for FDs and RDs, the
+        // amount borrowed for loans
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS rate_card_slabs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                rate_card_id INTEGER NOT NULL,
+                amount_from INTEGER NOT NULL DEFAULT 0,
+                interest_rate DECIMAL(5,2) NOT NULL,
+                UNIQUE (rate_card_id, amount_from),
+                FOREIGN KEY (rate_card_id) REFERENCES rate_cards (id) ON DELETE CASCADE
+            )
+        `);
+
+        // Each product's rate so far becomes its first card, covering every earlier date
+        const products = await db.all(
+            `SELECT id, interest_rate, created_by FROM products
+             WHERE id NOT IN (SELECT product_id FROM rate_cards)`
+        );
+        for (const product of products) {
+            const card = await db.run(
+                `INSERT INTO rate_cards (product_id, effective_from, status, notes, requested_by, reviewed_by, reviewed_at)
+                 VALUES (?, '2000-01-01', 'approved', 'Rate before rate cards', ?, ?, CURRENT_TIMESTAMP)`,
+                [product.id, product.created_by, product.created_by]
+            );
+            await db.run(
+                'INSERT INTO rate_card_slabs (rate_card_id, amount_from, interest_rate) VALUES (?, 0, ?)',
+                [card.id, product.interest_rate]
+            );
+        }
+
+        // Accounts opened before the catalogue follow the card of the product of their type,
+        // where that product pays the rate they already earn
+        await db.run(`
+            UPDATE accounts SET product_id = (
+                SELECT p.id FROM products p
+                WHERE p.product_type = 'account' AND p.category = accounts.account_type
+                  AND p.interest_rate = accounts.interest_rate
+                ORDER BY p.id LIMIT 1
+            )
+            WHERE product_id IS NULL
+        `);
+
+        // Rates now live on the cards
+        await db.run('ALTER TABLE products DROP COLUMN interest_rate');
+    },
+
+    async down(db) {
+        await db.addColumnIfMissing('products', 'interest_rate', 'DECIMAL(5,2) NOT NULL DEFAULT 0');
+        await db.run(`
+            UPDATE products SET interest_rate = COALESCE((
+                SELECT s.interest_rate FROM rate_cards c
+                JOIN rate_card_slabs s ON s.rate_card_id = c.id
+                WHERE c.product_id = products.id AND c.status = 'approved' AND c.effective_from <= DATE('now')
+                ORDER BY c.effective_from DESC, s.amount_from LIMIT 1
+            ), 0)
+        `);
+
+        await db.run('DROP TABLE IF EXISTS rate_card_slabs');
+        await db.run('DROP TABLE IF EXISTS rate_cards');
+    }
+};
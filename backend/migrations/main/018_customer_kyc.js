@@ -0,0 +1,81 @@
+// Versioned customer documents, KYC status on customers with its review history, and the kyc_expiry job
+module.exports = {
+    async up(db) {
+        // Every uploaded version of a customer's documents; the customers table points at the current one
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS customer_documents (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                customer_id INTEGER NOT NULL,
+                document_type TEXT NOT NULL CHECK (document_type IN ('profile_photo', 'aadhaar', 'pan', 'address_proof', 'signature')),
+                version INTEGER NOT NULL,
+                file_path TEXT NOT NULL,
+                thumbnail_path TEXT,
+                original_name TEXT,
+                mime_type TEXT,
+                file_size INTEGER,
+                is_current INTEGER NOT NULL DEFAULT 1,
+                uploaded_by INTEGER,
+                uploaded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (customer_id, document_type, version),
+                FOREIGN KEY (customer_id) REFERENCES customers (id),
+                FOREIGN KEY (uploaded_by) REFERENCES users (id)
+            )
+        `);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_customer_documents_customer ON customer_documents(customer_id, document_type)');
+
+        await db.addColumnIfMissing('customers', 'kyc_status', `TEXT NOT NULL DEFAULT 'pending' CHECK (kyc_status IN ('pending', 'verified', 'rejected', 'expired'))`);
+        await db.addColumnIfMissing('customers', 'kyc_verified_by', 'INTEGER');
+        await db.addColumnIfMissing('customers', 'kyc_verified_at', 'DATETIME');
+        await db.addColumnIfMissing('customers', 'kyc_due_date', 'DATE');
+        await db.addColumnIfMissing('customers', 'kyc_remarks', 'TEXT');
+
+        // Each change of KYC status: verified or rejected by a user, expired by the job, or
+        // back to pending when a new proof is uploaded
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS kyc_reviews (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                customer_id INTEGER NOT NULL,
+                status TEXT NOT NULL CHECK (status IN ('pending', 'verified', 'rejected', 'expired')),
+                remarks TEXT,
+                due_date DATE,
+                reviewed_by INTEGER,
+                reviewed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (customer_id) REFERENCES customers (id),
+                FOREIGN KEY (reviewed_by) REFERENCES users (id)
+            )
+        `);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_kyc_reviews_customer ON kyc_reviews(customer_id)');
+
+        // Paths already on customer records become version 1 of that document, relative to uploads/
+        const columns = [
+            ['profile_photo', 'profile_photo'],
+            ['aadhaar', 'aadhaar_doc'],
+            ['pan', 'pan_doc'],
+            ['address_proof', 'address_proof'],
+            ['signature', 'signature']
+        ];
+        for (const [documentType, column] of columns) {
+            await db.run(
+                `INSERT OR IGNORE INTO customer_documents (customer_id, document_type, version, file_path, original_name, uploaded_by, uploaded_at)
+                 SELECT id, ?, 1, CASE WHEN ${column} LIKE '/uploads/%' THEN SUBSTR(${column}, 10) ELSE ${column} END,
+                    ${column}, created_by, updated_at
+                 FROM customers WHERE ${column} IS NOT NULL AND ${column} != ''`,
+                [documentType]
+            );
+        }
+
+        await db.run(
+            'INSERT OR IGNORE INTO scheduled_jobs (name, description, cron_expression) VALUES (?, ?, ?)',
+            ['kyc_expiry', 'Mark verified KYC as expired once its re-verification date has passed', '15 0 * * *']
+        );
+    },
+
+    async down(db) {
+        await db.run(`DELETE FROM scheduled_jobs WHERE name = 'kyc_expiry'`);
+        await db.run('DROP TABLE IF EXISTS kyc_reviews');
+        for (const column of ['kyc_remarks', 'kyc_due_date', 'kyc_verified_at', 'kyc_verified_by', 'kyc_status']) {
+            await db.run(`ALTER TABLE customers DROP COLUMN ${column}`);
+        }
+        await db.run('DROP TABLE IF EXISTS customer_documents');
+    }
+};
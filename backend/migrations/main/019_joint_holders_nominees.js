@@ -0,0 +1,87 @@
+// Joint holders with an operating mode, and nominees with shares, on accounts, FDs and RDs
+const PRODUCT_TABLES = {
+    account: 'accounts',
+    fd: 'fixed_deposits',
+    rd: 'recurring_deposits'
+};
+
+module.exports = {
+    async up(db) {
+        // The first holder stays on the product's customer_id; these are the holders after them
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS product_holders (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                product_type TEXT NOT NULL CHECK (product_type IN ('account', 'fd', 'rd')),
+                product_id INTEGER NOT NULL,
+                customer_id INTEGER NOT NULL,
+                status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'removed')),
+                added_by INTEGER,
+                added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                removed_by INTEGER,
+                removed_at DATETIME,
+                remove_note TEXT,
+                FOREIGN KEY (customer_id) REFERENCES customers (id),
+                FOREIGN KEY (added_by) REFERENCES users (id)
+            )
+        `);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_product_holders_product ON product_holders(product_type, product_id, status)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_product_holders_customer ON product_holders(customer_id, status)');
+
+        // A nominee list is replaced as a whole, so earlier lists are kept as 'replaced'
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS product_nominees (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                product_type TEXT NOT NULL CHECK (product_type IN ('account', 'fd', 'rd')),
+                product_id INTEGER NOT NULL,
+                customer_id INTEGER,
+                name TEXT NOT NULL,
+                relationship TEXT,
+                dob DATE,
+                phone TEXT,
+                address TEXT,
+                share_percent REAL NOT NULL CHECK (share_percent > 0 AND share_percent <= 100),
+                guardian_name TEXT,
+                guardian_relation TEXT,
+                guardian_phone TEXT,
+                guardian_address TEXT,
+                status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'replaced')),
+                added_by INTEGER,
+                added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                replaced_by INTEGER,
+                replaced_at DATETIME,
+                FOREIGN KEY (customer_id) REFERENCES customers (id),
+                FOREIGN KEY (added_by) REFERENCES users (id)
+            )
+        `);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_product_nominees_product ON product_nominees(product_type, product_id, status)');
+
+        for (const [productType, table] of Object.entries(PRODUCT_TABLES)) {
+            await db.addColumnIfMissing(
+                table,
+                'operating_mode',
+                `TEXT NOT NULL DEFAULT 'single' CHECK (operating_mode IN ('single', 'either_or_survivor', 'jointly', 'former_or_survivor'))`
+            );
+
+            // The customer's free-text inheritor becomes the sole nominee of each of their products
+            await db.run(
+                `INSERT INTO product_nominees (product_type, product_id, name, relationship, phone, share_percent, added_by, added_at)
+                 SELECT ?, p.id, TRIM(c.inheritor_name), c.inheritor_relation, c.inheritor_contact, 100, c.created_by, c.updated_at
+                 FROM ${table} p
+                 JOIN customers c ON p.customer_id = c.id
+                 WHERE c.inheritor_name IS NOT NULL AND TRIM(c.inheritor_name) != ''
+                   AND NOT EXISTS (
+                       SELECT 1 FROM product_nominees n WHERE n.product_type = ? AND n.product_id = p.id
+                   )`,
+                [productType, productType]
+            );
+        }
+    },
+
+    async down(db) {
+        for (const table of Object.values(PRODUCT_TABLES)) {
+            await db.run(`ALTER TABLE ${table} DROP COLUMN operating_mode`);
+        }
+        await db.run('DROP TABLE IF EXISTS product_nominees');
+        await db.run('DROP TABLE IF EXISTS product_holders');
+    }
+};
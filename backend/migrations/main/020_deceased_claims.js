@@ -0,0 +1,128 @@
+// Deceased member claims: date of death on customers, frozen products, claimants, documents and payouts
+const FROZEN_TABLES = ['accounts', 'fixed_deposits', 'recurring_deposits', 'loans'];
+
+module.exports = {
+    async up(db) {
+        await db.addColumnIfMissing('customers', 'date_of_death', 'DATE');
+
+        // Set while a product waits for its holder's claim to be settled
+        for (const table of FROZEN_TABLES) {
+            await db.addColumnIfMissing(table, 'frozen_claim_id', 'INTEGER');
+        }
+
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS deceased_claims (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                claim_number TEXT UNIQUE NOT NULL,
+                customer_id INTEGER NOT NULL,
+                date_of_death DATE NOT NULL,
+                informant_name TEXT NOT NULL,
+                informant_relation TEXT,
+                informant_phone TEXT,
+                notes TEXT,
+                survivorship TEXT,
+                status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'submitted', 'settled')),
+                opened_by INTEGER,
+                opened_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                submitted_by INTEGER,
+                submitted_at DATETIME,
+                submitted_amount INTEGER,
+                rejected_by INTEGER,
+                rejected_at DATETIME,
+                rejection_reason TEXT,
+                settled_by INTEGER,
+                settled_at DATETIME,
+                statement TEXT,
+                FOREIGN KEY (customer_id) REFERENCES customers (id),
+                FOREIGN KEY (opened_by) REFERENCES users (id),
+                FOREIGN KEY (submitted_by) REFERENCES users (id),
+                FOREIGN KEY (rejected_by) REFERENCES users (id),
+                FOREIGN KEY (settled_by) REFERENCES users (id)
+            )
+        `);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_deceased_claims_customer ON deceased_claims(customer_id)');
+
+        // Who is paid: each nominee of a frozen product for their share of it, and the legal
+        // heirs for their share of whatever has no nominee
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS deceased_claim_claimants (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                claim_id INTEGER NOT NULL,
+                claimant_type TEXT NOT NULL CHECK (claimant_type IN ('nominee', 'heir')),
+                nominee_id INTEGER,
+                product_type TEXT CHECK (product_type IN ('account', 'fd', 'rd')),
+                product_id INTEGER,
+                customer_id INTEGER,
+                name TEXT NOT NULL,
+                relationship TEXT,
+                dob DATE,
+                phone TEXT,
+                address TEXT,
+                share_percent REAL NOT NULL CHECK (share_percent > 0 AND share_percent <= 100),
+                guardian_name TEXT,
+                guardian_relation TEXT,
+                payout_mode TEXT NOT NULL DEFAULT 'cash' CHECK (payout_mode IN ('cash', 'account')),
+                payout_account_id INTEGER,
+                status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'removed')),
+                created_by INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (claim_id) REFERENCES deceased_claims (id),
+                FOREIGN KEY (nominee_id) REFERENCES product_nominees (id),
+                FOREIGN KEY (customer_id) REFERENCES customers (id),
+                FOREIGN KEY (payout_account_id) REFERENCES accounts (id),
+                FOREIGN KEY (created_by) REFERENCES users (id)
+            )
+        `);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_deceased_claim_claimants_claim ON deceased_claim_claimants(claim_id)');
+
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS deceased_claim_documents (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                claim_id INTEGER NOT NULL,
+                document_type TEXT NOT NULL CHECK (document_type IN (
+                    'death_certificate', 'claim_form', 'claimant_id_proof', 'legal_heir_certificate', 'indemnity_bond', 'other'
+                )),
+                file_path TEXT NOT NULL,
+                original_name TEXT,
+                mime_type TEXT,
+                file_size INTEGER,
+                uploaded_by INTEGER,
+                uploaded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (claim_id) REFERENCES deceased_claims (id),
+                FOREIGN KEY (uploaded_by) REFERENCES users (id)
+            )
+        `);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_deceased_claim_documents_claim ON deceased_claim_documents(claim_id)');
+
+        // What each claimant received from each product at settlement (paise)
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS deceased_claim_payouts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                claim_id INTEGER NOT NULL,
+                claimant_id INTEGER NOT NULL,
+                product_type TEXT NOT NULL,
+                product_id INTEGER NOT NULL,
+                amount INTEGER NOT NULL,
+                paid_to TEXT NOT NULL,
+                payout_mode TEXT NOT NULL,
+                account_id INTEGER,
+                transaction_reference TEXT,
+                paid_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (claim_id) REFERENCES deceased_claims (id),
+                FOREIGN KEY (claimant_id) REFERENCES deceased_claim_claimants (id)
+            )
+        `);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_deceased_claim_payouts_claim ON deceased_claim_payouts(claim_id)');
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS deceased_claim_payouts');
+        await db.run('DROP TABLE IF EXISTS deceased_claim_documents');
+        await db.run('DROP TABLE IF EXISTS deceased_claim_claimants');
+        await db.run('DROP TABLE IF EXISTS deceased_claims');
+        for (const table of FROZEN_TABLES) {
+            await db.run(`ALTER TABLE ${table} DROP COLUMN frozen_claim_id`);
+        }
+        await db.run('ALTER TABLE customers DROP COLUMN date_of_death');
+    }
+};
@@ -0,0 +1,64 @@
+// Duplicate customer review queue, merges with the rows they moved, and the duplicate_scan job
+module.exports = {
+    async up(db) {
+        // A merged record is kept, inactive, pointing at the customer it was merged into
+        await db.addColumnIfMissing('customers', 'merged_into_id', 'INTEGER');
+        await db.addColumnIfMissing('customers', 'merged_at', 'DATETIME');
+
+        // Pairs of customers that look like the same person, lower id first
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS customer_duplicates (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                customer_id INTEGER NOT NULL,
+                duplicate_customer_id INTEGER NOT NULL,
+                score INTEGER NOT NULL,
+                reasons TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'dismissed', 'merged')),
+                detected_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                last_detected_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                reviewed_by INTEGER,
+                reviewed_at DATETIME,
+                review_note TEXT,
+                UNIQUE (customer_id, duplicate_customer_id),
+                FOREIGN KEY (customer_id) REFERENCES customers (id),
+                FOREIGN KEY (duplicate_customer_id) REFERENCES customers (id),
+                FOREIGN KEY (reviewed_by) REFERENCES users (id)
+            )
+        `);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_customer_duplicates_status ON customer_duplicates(status, score)');
+
+        // Each merge with a snapshot of the merged record and the ids of the rows it moved in both databases
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS customer_merges (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                surviving_customer_id INTEGER NOT NULL,
+                merged_customer_id INTEGER NOT NULL,
+                duplicate_id INTEGER,
+                merged_record TEXT NOT NULL,
+                fields_copied TEXT,
+                moved_rows TEXT NOT NULL,
+                note TEXT,
+                merged_by INTEGER,
+                merged_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (surviving_customer_id) REFERENCES customers (id),
+                FOREIGN KEY (merged_customer_id) REFERENCES customers (id),
+                FOREIGN KEY (duplicate_id) REFERENCES customer_duplicates (id),
+                FOREIGN KEY (merged_by) REFERENCES users (id)
+            )
+        `);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_customer_merges_surviving ON customer_merges(surviving_customer_id)');
+
+        await db.run(
+            'INSERT OR IGNORE INTO scheduled_jobs (name, description, cron_expression) VALUES (?, ?, ?)',
+            ['duplicate_scan', 'Find customer records that look like the same person and queue them for review', '30 2 * * 0']
+        );
+    },
+
+    async down(db) {
+        await db.run(`DELETE FROM scheduled_jobs WHERE name = 'duplicate_scan'`);
+        await db.run('DROP TABLE IF EXISTS customer_merges');
+        await db.run('DROP TABLE IF EXISTS customer_duplicates');
+        await db.run('ALTER TABLE customers DROP COLUMN merged_at');
+        await db.run('ALTER TABLE customers DROP COLUMN merged_into_id');
+    }
+};
@@ -0,0 +1,117 @@
+// Schema of the first release. Tables are created only if missing so that databases
+// set up before versioned migrations adopt this baseline unchanged.
+module.exports = {
+    async up(db) {
+        const tables = [
+            // Transactions table
+            `CREATE TABLE IF NOT EXISTS transactions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                transaction_id TEXT UNIQUE NOT NULL,
+                account_id INTEGER NOT NULL,
+                customer_id INTEGER NOT NULL,
+                transaction_type TEXT NOT NULL,
+                amount INTEGER NOT NULL,
+                balance_before INTEGER NOT NULL,
+                balance_after INTEGER NOT NULL,
+                description TEXT,
+                reference_number TEXT,
+                reference_type TEXT,
+                reference_id INTEGER,
+                processed_by INTEGER NOT NULL,
+                transaction_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`,
+
+            // FD Transactions table
+            `CREATE TABLE IF NOT EXISTS fd_transactions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                transaction_id TEXT UNIQUE NOT NULL,
+                fd_id INTEGER NOT NULL,
+                customer_id INTEGER NOT NULL,
+                transaction_type TEXT NOT NULL,
+                amount INTEGER NOT NULL,
+                description TEXT,
+                processed_by INTEGER NOT NULL,
+                transaction_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`,
+
+            // RD Transactions table
+            `CREATE TABLE IF NOT EXISTS rd_transactions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                transaction_id TEXT UNIQUE NOT NULL,
+                rd_id INTEGER NOT NULL,
+                customer_id INTEGER NOT NULL,
+                transaction_type TEXT NOT NULL,
+                amount INTEGER NOT NULL,
+                installment_number INTEGER,
+                description TEXT,
+                processed_by INTEGER NOT NULL,
+                transaction_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`,
+
+            // Loan Transactions table
+            `CREATE TABLE IF NOT EXISTS loan_transactions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                transaction_id TEXT UNIQUE NOT NULL,
+                loan_id INTEGER NOT NULL,
+                customer_id INTEGER NOT NULL,
+                transaction_type TEXT NOT NULL,
+                amount INTEGER NOT NULL,
+                principal_amount INTEGER DEFAULT 0,
+                interest_amount INTEGER DEFAULT 0,
+                outstanding_before INTEGER NOT NULL,
+                outstanding_after INTEGER NOT NULL,
+                emi_number INTEGER,
+                description TEXT,
+                processed_by INTEGER NOT NULL,
+                transaction_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`,
+
+            // Interest Calculations table
+            `CREATE TABLE IF NOT EXISTS interest_calculations (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                account_id INTEGER NOT NULL,
+                customer_id INTEGER NOT NULL,
+                calculation_date DATE NOT NULL,
+                opening_balance INTEGER NOT NULL,
+                closing_balance INTEGER NOT NULL,
+                interest_rate DECIMAL(5,2) NOT NULL,
+                interest_amount INTEGER NOT NULL,
+                days_count INTEGER NOT NULL,
+                processed_by INTEGER NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`
+        ];
+
+        for (const table of tables) {
+            await db.run(table);
+        }
+
+        const indexes = [
+            'CREATE INDEX IF NOT EXISTS idx_transactions_account_id ON transactions(account_id)',
+            'CREATE INDEX IF NOT EXISTS idx_transactions_customer_id ON transactions(customer_id)',
+            'CREATE INDEX IF NOT EXISTS idx_transactions_date ON transactions(transaction_date)',
+            'CREATE INDEX IF NOT EXISTS idx_transactions_type ON transactions(transaction_type)',
+            'CREATE INDEX IF NOT EXISTS idx_fd_transactions_fd_id ON fd_transactions(fd_id)',
+            'CREATE INDEX IF NOT EXISTS idx_rd_transactions_rd_id ON rd_transactions(rd_id)',
+            'CREATE INDEX IF NOT EXISTS idx_loan_transactions_loan_id ON loan_transactions(loan_id)',
+            'CREATE INDEX IF NOT EXISTS idx_interest_calculations_account_id ON interest_calculations(account_id)',
+            'CREATE INDEX IF NOT EXISTS idx_interest_calculations_date ON interest_calculations(calculation_date)'
+        ];
+
+        for (const index of indexes) {
+            await db.run(index);
+        }
+    },
+
+    async down(db) {
+        const tables = ['interest_calculations', 'loan_transactions', 'rd_transactions', 'fd_transactions', 'transactions'];
+
+        for (const table of tables) {
+            await db.run(`DROP TABLE IF EXISTS ${table}`);
+        }
+    }
+};
@@ -0,0 +1,15 @@
+// Journal entries whose transaction-side writes have been committed
+module.exports = {
+    async up(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS txn_journal_applied (
+                journal_id INTEGER PRIMARY KEY,
+                applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS txn_journal_applied');
+    }
+};
@@ -0,0 +1,76 @@
+// Double-entry general ledger: chart of accounts, journal entries and their lines
+module.exports = {
+    async up(db) {
+        const tables = [
+            // General ledger chart of accounts
+            `CREATE TABLE IF NOT EXISTS gl_accounts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                code TEXT UNIQUE NOT NULL,
+                name TEXT NOT NULL,
+                account_type TEXT NOT NULL CHECK (account_type IN ('asset', 'liability', 'income', 'expense')),
+                normal_balance TEXT NOT NULL CHECK (normal_balance IN ('debit', 'credit')),
+                is_active BOOLEAN DEFAULT 1,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`,
+
+            // General ledger journal entries
+            `CREATE TABLE IF NOT EXISTS gl_journal_entries (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                entry_number TEXT UNIQUE NOT NULL,
+                source_type TEXT NOT NULL,
+                source_id INTEGER,
+                reference_number TEXT,
+                customer_id INTEGER,
+                description TEXT,
+                posted_by INTEGER NOT NULL,
+                entry_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`,
+
+            // General ledger journal lines (debits and credits of each entry)
+            `CREATE TABLE IF NOT EXISTS gl_journal_lines (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                entry_id INTEGER NOT NULL,
+                gl_account_code TEXT NOT NULL,
+                debit INTEGER DEFAULT 0,
+                credit INTEGER DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (entry_id) REFERENCES gl_journal_entries(id)
+            )`
+        ];
+
+        for (const table of tables) {
+            await db.run(table);
+        }
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_gl_journal_entries_date ON gl_journal_entries(entry_date)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_gl_journal_entries_source ON gl_journal_entries(source_type, source_id)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_gl_journal_lines_entry_id ON gl_journal_lines(entry_id)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_gl_journal_lines_account ON gl_journal_lines(gl_account_code)');
+
+        // Default chart of accounts
+        const glAccounts = [
+            ['1000', 'Cash', 'asset', 'debit'],
+            ['1200', 'Loans Receivable', 'asset', 'debit'],
+            ['2000', 'Savings Deposits', 'liability', 'credit'],
+            ['2100', 'Fixed Deposit Liability', 'liability', 'credit'],
+            ['2200', 'Recurring Deposit Liability', 'liability', 'credit'],
+            ['4000', 'Interest Income', 'income', 'credit'],
+            ['4100', 'Penalty Income', 'income', 'credit'],
+            ['5000', 'Interest Expense', 'expense', 'debit']
+        ];
+
+        for (const [code, name, accountType, normalBalance] of glAccounts) {
+            await db.run(
+                'INSERT OR IGNORE INTO gl_accounts (code, name, account_type, normal_balance) VALUES (?, ?, ?, ?)',
+                [code, name, accountType, normalBalance]
+            );
+        }
+    },
+
+    async down(db) {
+        for (const table of ['gl_journal_lines', 'gl_journal_entries', 'gl_accounts']) {
+            await db.run(`DROP TABLE IF EXISTS ${table}`);
+        }
+    }
+};
@@ -0,0 +1,33 @@
+// Money columns move from rupee decimals to integer paise (see utils/money.js)
+const moneyColumns = {
+    transactions: ['amount', 'balance_before', 'balance_after'],
+    fd_transactions: ['amount'],
+    rd_transactions: ['amount'],
+    loan_transactions: ['amount', 'principal_amount', 'interest_amount', 'outstanding_before', 'outstanding_after'],
+    interest_calculations: ['opening_balance', 'closing_balance', 'interest_amount'],
+    gl_journal_lines: ['debit', 'credit']
+};
+
+module.exports = {
+    async up(db) {
+        // Releases before versioned migrations converted on startup and set user_version
+        const { user_version: version } = await db.get('PRAGMA user_version');
+        if (version < 1) {
+            for (const [table, columns] of Object.entries(moneyColumns)) {
+                const assignments = columns.map(column => `${column} = CAST(ROUND(${column} * 100) AS INTEGER)`).join(', ');
+                await db.run(`UPDATE ${table} SET ${assignments}`);
+            }
+        }
+
+        await db.run('PRAGMA user_version = 1');
+    },
+
+    async down(db) {
+        for (const [table, columns] of Object.entries(moneyColumns)) {
+            const assignments = columns.map(column => `${column} = ${column} / 100.0`).join(', ');
+            await db.run(`UPDATE ${table} SET ${assignments}`);
+        }
+
+        await db.run('PRAGMA user_version = 0');
+    }
+};
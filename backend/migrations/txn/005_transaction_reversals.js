@@ -0,0 +1,39 @@
+// Transaction status and reversal links, and maker-checker reversal requests
+module.exports = {
+    async up(db) {
+        for (const table of ['transactions', 'fd_transactions', 'rd_transactions', 'loan_transactions']) {
+            await db.addColumnIfMissing(table, 'status', "TEXT NOT NULL DEFAULT 'completed'");
+            await db.addColumnIfMissing(table, 'reversal_of', 'INTEGER');
+            await db.addColumnIfMissing(table, 'reversed_by', 'INTEGER');
+        }
+
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS transaction_reversals (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                source TEXT NOT NULL CHECK (source IN ('account', 'fd', 'rd', 'loan')),
+                transaction_id INTEGER NOT NULL,
+                reason TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+                requested_by INTEGER NOT NULL,
+                requested_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                reviewed_by INTEGER,
+                reviewed_at DATETIME,
+                review_note TEXT
+            )
+        `);
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_transaction_reversals_status ON transaction_reversals(status)');
+        // At most one open or approved reversal per transaction
+        await db.run("CREATE UNIQUE INDEX IF NOT EXISTS idx_transaction_reversals_target ON transaction_reversals(source, transaction_id) WHERE status != 'rejected'");
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS transaction_reversals');
+
+        for (const table of ['transactions', 'fd_transactions', 'rd_transactions', 'loan_transactions']) {
+            await db.run(`ALTER TABLE ${table} DROP COLUMN reversed_by`);
+            await db.run(`ALTER TABLE ${table} DROP COLUMN reversal_of`);
+            await db.run(`ALTER TABLE ${table} DROP COLUMN status`);
+        }
+    }
+};
@@ -0,0 +1,42 @@
+// Daily interest accruals on interest_calculations and one interest posting per account and period
+module.exports = {
+    async up(db) {
+        await db.addColumnIfMissing('interest_calculations', 'period_start', 'DATE');
+        await db.addColumnIfMissing('interest_calculations', 'period_end', 'DATE');
+        await db.addColumnIfMissing('interest_calculations', 'accrual_method', 'TEXT');
+        await db.addColumnIfMissing('interest_calculations', 'balance_basis', 'INTEGER');
+        await db.addColumnIfMissing('interest_calculations', 'posting_id', 'INTEGER');
+
+        // One accrual per account and day; rows written before accruals existed have no period
+        await db.run(
+            'CREATE UNIQUE INDEX IF NOT EXISTS idx_interest_calculations_accrual ON interest_calculations(account_id, calculation_date) WHERE period_start IS NOT NULL'
+        );
+
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS interest_postings (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                account_id INTEGER NOT NULL,
+                customer_id INTEGER NOT NULL,
+                period_start DATE NOT NULL,
+                period_end DATE NOT NULL,
+                days_count INTEGER NOT NULL,
+                interest_amount INTEGER NOT NULL,
+                transaction_id INTEGER,
+                posted_by INTEGER NOT NULL,
+                posted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (account_id, period_start)
+            )
+        `);
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_interest_postings_period ON interest_postings(period_start, period_end)');
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS interest_postings');
+        await db.run('DROP INDEX IF EXISTS idx_interest_calculations_accrual');
+
+        for (const column of ['posting_id', 'balance_basis', 'accrual_method', 'period_end', 'period_start']) {
+            await db.run(`ALTER TABLE interest_calculations DROP COLUMN ${column}`);
+        }
+    }
+};
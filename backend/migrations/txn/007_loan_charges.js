@@ -0,0 +1,25 @@
+// Charges collected on loan payments, how a prepayment was applied, and the GL accounts for loan charges
+module.exports = {
+    async up(db) {
+        await db.addColumnIfMissing('loan_transactions', 'charges_amount', 'INTEGER NOT NULL DEFAULT 0');
+        await db.addColumnIfMissing('loan_transactions', 'prepayment_option', 'TEXT');
+
+        const glAccounts = [
+            ['1210', 'Loan Charges Receivable', 'asset', 'debit'],
+            ['4200', 'Fee Income', 'income', 'credit']
+        ];
+
+        for (const [code, name, accountType, normalBalance] of glAccounts) {
+            await db.run(
+                'INSERT OR IGNORE INTO gl_accounts (code, name, account_type, normal_balance) VALUES (?, ?, ?, ?)',
+                [code, name, accountType, normalBalance]
+            );
+        }
+    },
+
+    async down(db) {
+        await db.run(`DELETE FROM gl_accounts WHERE code IN ('1210', '4200')`);
+        await db.run('ALTER TABLE loan_transactions DROP COLUMN prepayment_option');
+        await db.run('ALTER TABLE loan_transactions DROP COLUMN charges_amount');
+    }
+};
@@ -0,0 +1,13 @@
+// GL account for loans written off
+module.exports = {
+    async up(db) {
+        await db.run(
+            'INSERT OR IGNORE INTO gl_accounts (code, name, account_type, normal_balance) VALUES (?, ?, ?, ?)',
+            ['5100', 'Loan Write-offs', 'expense', 'debit']
+        );
+    },
+
+    async down(db) {
+        await db.run(`DELETE FROM gl_accounts WHERE code = '5100'`);
+    }
+};
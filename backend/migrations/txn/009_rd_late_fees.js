@@ -0,0 +1,10 @@
+// The late fee collected as part of an RD installment payment
+module.exports = {
+    async up(db) {
+        await db.addColumnIfMissing('rd_transactions', 'late_fee_amount', 'INTEGER NOT NULL DEFAULT 0');
+    },
+
+    async down(db) {
+        await db.run('ALTER TABLE rd_transactions DROP COLUMN late_fee_amount');
+    }
+};
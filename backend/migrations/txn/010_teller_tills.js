@@ -0,0 +1,64 @@
+// Teller till sessions, vault cash movements and the GL accounts for bank remittances and till differences
+module.exports = {
+    async up(db) {
+        // A teller's till for a business day, from opening cash to the closing count
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS till_sessions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                teller_id INTEGER NOT NULL,
+                business_date DATE NOT NULL,
+                status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed')),
+                opening_cash INTEGER NOT NULL DEFAULT 0,
+                opened_by INTEGER NOT NULL,
+                opened_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                expected_cash INTEGER,
+                counted_cash INTEGER,
+                denominations TEXT,
+                difference INTEGER,
+                difference_reason TEXT,
+                closed_by INTEGER,
+                closed_at DATETIME
+            )
+        `);
+
+        // At most one open till per teller
+        await db.run(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_till_sessions_open
+            ON till_sessions(teller_id) WHERE status = 'open'
+        `);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_till_sessions_date ON till_sessions(business_date)');
+
+        // Cash in and out of the vault: the opening count, remittances from and to the bank,
+        // cash issued to or returned from tills, and each till's closing cash (amounts in paise)
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS vault_movements (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                movement_type TEXT NOT NULL CHECK (movement_type IN ('opening', 'bank_in', 'bank_out', 'till_issue', 'till_return', 'till_close')),
+                till_session_id INTEGER,
+                amount INTEGER NOT NULL,
+                note TEXT,
+                created_by INTEGER NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (till_session_id) REFERENCES till_sessions(id)
+            )
+        `);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_vault_movements_session ON vault_movements(till_session_id)');
+
+        const glAccounts = [
+            ['1100', 'Bank Balances', 'asset', 'debit'],
+            ['5200', 'Cash Over and Short', 'expense', 'debit']
+        ];
+        for (const [code, name, accountType, normalBalance] of glAccounts) {
+            await db.run(
+                'INSERT OR IGNORE INTO gl_accounts (code, name, account_type, normal_balance) VALUES (?, ?, ?, ?)',
+                [code, name, accountType, normalBalance]
+            );
+        }
+    },
+
+    async down(db) {
+        await db.run(`DELETE FROM gl_accounts WHERE code IN ('1100', '5200')`);
+        await db.run('DROP TABLE IF EXISTS vault_movements');
+        await db.run('DROP TABLE IF EXISTS till_sessions');
+    }
+};
@@ -0,0 +1,12 @@
+// The teller's confirmation of the holder's signature on counter withdrawals, and the specimen it was checked against
+module.exports = {
+    async up(db) {
+        await db.addColumnIfMissing('transactions', 'signature_verified_by', 'INTEGER');
+        await db.addColumnIfMissing('transactions', 'signature_document_id', 'INTEGER');
+    },
+
+    async down(db) {
+        await db.run('ALTER TABLE transactions DROP COLUMN signature_document_id');
+        await db.run('ALTER TABLE transactions DROP COLUMN signature_verified_by');
+    }
+};
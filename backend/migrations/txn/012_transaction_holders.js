@@ -0,0 +1,35 @@
+// The holders who gave each withdrawal or transfer, and the specimen each one's signature was checked against
+module.exports = {
+    async up(db) {
+        // A debit from a joint account is given by every holder its operating mode needs
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS transaction_holders (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                transaction_id INTEGER NOT NULL,
+                customer_id INTEGER NOT NULL,
+                signature_document_id INTEGER,
+                FOREIGN KEY (transaction_id) REFERENCES transactions(id)
+            )
+        `);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_transaction_holders_transaction ON transaction_holders(transaction_id)');
+
+        // Until now only the first holder could be recorded, on the transaction itself
+        await db.run(`
+            INSERT INTO transaction_holders (transaction_id, customer_id, signature_document_id)
+            SELECT id, customer_id, signature_document_id FROM transactions
+            WHERE transaction_type = 'withdrawal' AND signature_document_id IS NOT NULL
+        `);
+        await db.run('ALTER TABLE transactions DROP COLUMN signature_document_id');
+    },
+
+    async down(db) {
+        await db.addColumnIfMissing('transactions', 'signature_document_id', 'INTEGER');
+        await db.run(`
+            UPDATE transactions SET signature_document_id = (
+                SELECT MIN(h.signature_document_id) FROM transaction_holders h
+                WHERE h.transaction_id = transactions.id AND h.customer_id = transactions.customer_id
+            )
+        `);
+        await db.run('DROP TABLE IF EXISTS transaction_holders');
+    }
+};
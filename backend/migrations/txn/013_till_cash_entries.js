@@ -0,0 +1,27 @@
+// The till each cash ledger entry was handled at, recorded when it is posted
+module.exports = {
+    async up(db) {
+        await db.addColumnIfMissing('gl_journal_entries', 'till_session_id', 'INTEGER');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_gl_journal_entries_till ON gl_journal_entries(till_session_id)');
+
+        // Entries posted before now belong to the till their poster had open at the time
+        await db.run(`
+            UPDATE gl_journal_entries SET till_session_id = (
+                SELECT s.id FROM till_sessions s
+                WHERE s.teller_id = gl_journal_entries.posted_by
+                  AND gl_journal_entries.entry_date >= s.opened_at
+                  AND (s.closed_at IS NULL OR gl_journal_entries.entry_date <= s.closed_at)
+            )
+            WHERE source_type NOT IN ('till_difference', 'vault_bank')
+              AND EXISTS (
+                SELECT 1 FROM gl_journal_lines l
+                WHERE l.entry_id = gl_journal_entries.id AND l.gl_account_code = '1000'
+              )
+        `);
+    },
+
+    async down(db) {
+        await db.run('DROP INDEX IF EXISTS idx_gl_journal_entries_till');
+        await db.run('ALTER TABLE gl_journal_entries DROP COLUMN till_session_id');
+    }
+};
@@ -0,0 +1,110 @@
+// Opening Balance Equity, and an opening entry for what the savings, deposit and loan
+// records held before the ledger did
+const mainDb = require('../../config/db_main');
+
+const GL_ACCOUNTS_SQL = (accountTypes) => `
+    CREATE TABLE gl_accounts_rebuilt (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        code TEXT UNIQUE NOT NULL,
+        name TEXT NOT NULL,
+        account_type TEXT NOT NULL CHECK (account_type IN (${accountTypes.map(type => `'${type}'`).join(', ')})),
+        normal_balance TEXT NOT NULL CHECK (normal_balance IN ('debit', 'credit')),
+        is_active BOOLEAN DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+`;
+
+async function rebuildGlAccounts(db, accountTypes) {
+    await db.run(GL_ACCOUNTS_SQL(accountTypes));
+    await db.run(`
+        INSERT INTO gl_accounts_rebuilt (id, code, name, account_type, normal_balance, is_active, created_at)
+        SELECT id, code, name, account_type, normal_balance, is_active, created_at FROM gl_accounts
+    `);
+    await db.run('DROP TABLE gl_accounts');
+    await db.run('ALTER TABLE gl_accounts_rebuilt RENAME TO gl_accounts');
+}
+
+// What each control account's subledger holds in the main database (paise), as
+// [code, normal balance, SQL]. FDs left 'matured' before the maturity job were paid out
+// if they have a completed fd_mature transaction.
+const SUBLEDGERS = [
+    ['2000', 'credit', 'SELECT COALESCE(SUM(balance), 0) as total FROM accounts'],
+    ['2100', 'credit', `SELECT COALESCE(SUM(principal_amount), 0) as total FROM fixed_deposits
+        WHERE status IN ('active', 'matured') AND id NOT IN (SELECT value FROM json_each(?))`],
+    ['2200', 'credit', `SELECT COALESCE(SUM(total_paid), 0) as total FROM recurring_deposits
+        WHERE status IN ('active', 'defaulted', 'completed')`],
+    ['1200', 'debit', `SELECT COALESCE(SUM(principal_outstanding), 0) as total FROM loans
+        WHERE status IN ('disbursed', 'active')`],
+    ['1210', 'debit', `SELECT COALESCE(SUM(charges_due), 0) as total FROM loans
+        WHERE status IN ('disbursed', 'active')`]
+];
+
+module.exports = {
+    async up(db) {
+        await rebuildGlAccounts(db, ['asset', 'liability', 'equity', 'income', 'expense']);
+        await db.run(
+            `INSERT OR IGNORE INTO gl_accounts (code, name, account_type, normal_balance)
+             VALUES ('3000', 'Opening Balance Equity', 'equity', 'credit')`
+        );
+
+        // A dry run has rolled back the main database's migrations by now; there is nothing to open
+        const mainVersion = await mainDb.get('SELECT MAX(version) as version FROM schema_migrations').catch(() => null);
+        if (!mainVersion || !(mainVersion.version >= 9)) {
+            return;
+        }
+
+        const paidOut = await db.all(
+            `SELECT DISTINCT fd_id FROM fd_transactions WHERE transaction_type = 'fd_mature' AND status = 'completed'`
+        );
+        const paidOutIds = JSON.stringify(paidOut.map(row => row.fd_id));
+
+        // The part of each subledger the ledger does not hold yet is opened against equity
+        const lines = [];
+        let equity = 0; // credit to Opening Balance Equity; negative for a debit
+        for (const [code, normalBalance, sql] of SUBLEDGERS) {
+            const { total } = await mainDb.get(sql, code === '2100' ? [paidOutIds] : []);
+            const ledger = await db.get(
+                'SELECT COALESCE(SUM(debit), 0) - COALESCE(SUM(credit), 0) as net FROM gl_journal_lines WHERE gl_account_code = ?',
+                [code]
+            );
+            const gap = normalBalance === 'debit' ? total - ledger.net : total + ledger.net;
+            if (gap === 0) {
+                continue;
+            }
+
+            const debit = (normalBalance === 'debit') === (gap > 0);
+            lines.push([code, debit ? Math.abs(gap) : 0, debit ? 0 : Math.abs(gap)]);
+            equity += debit ? Math.abs(gap) : -Math.abs(gap);
+        }
+        if (lines.length === 0) {
+            return;
+        }
+        lines.push(['3000', equity < 0 ? -equity : 0, equity > 0 ? equity : 0]);
+
+        const admin = await mainDb.get(`SELECT id FROM users WHERE role = 'admin' ORDER BY id LIMIT 1`);
+        const entryNumber = `JE${Date.now()}${Math.floor(Math.random() * 1000)}`;
+        const entry = await db.run(
+            `INSERT INTO gl_journal_entries (entry_number, source_type, description, posted_by, entry_date)
+             VALUES (?, 'opening_balance', 'Opening balances of records kept before the ledger', ?, CURRENT_TIMESTAMP)`,
+            [entryNumber, admin ? admin.id : 0]
+        );
+        for (const [code, debit, credit] of lines) {
+            if (debit === 0 && credit === 0) {
+                continue;
+            }
+            await db.run(
+                'INSERT INTO gl_journal_lines (entry_id, gl_account_code, debit, credit) VALUES (?, ?, ?, ?)',
+                [entry.id, code, debit, credit]
+            );
+        }
+    },
+
+    async down(db) {
+        await db.run(
+            `DELETE FROM gl_journal_lines WHERE entry_id IN (SELECT id FROM gl_journal_entries WHERE source_type = 'opening_balance')`
+        );
+        await db.run(`DELETE FROM gl_journal_entries WHERE source_type = 'opening_balance'`);
+        await db.run(`DELETE FROM gl_accounts WHERE code = '3000'`);
+        await rebuildGlAccounts(db, ['asset', 'liability', 'income', 'expense']);
+    }
+};
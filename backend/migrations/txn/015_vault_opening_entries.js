@@ -0,0 +1,31 @@
+// The vault's opening count, recorded before it was posted, booked to Cash against Opening Balance Equity
+module.exports = {
+    async up(db) {
+        const openings = await db.all(
+            `SELECT m.* FROM vault_movements m
+             WHERE m.movement_type = 'opening'
+               AND NOT EXISTS (SELECT 1 FROM gl_journal_entries e WHERE e.source_type = 'vault_opening' AND e.source_id = m.id)`
+        );
+
+        for (const movement of openings) {
+            const entryNumber = `JE${Date.now()}${Math.floor(Math.random() * 1000)}`;
+            const entry = await db.run(
+                `INSERT INTO gl_journal_entries (entry_number, source_type, source_id, description, posted_by, entry_date)
+                 VALUES (?, 'vault_opening', ?, 'Opening cash counted into vault', ?, ?)`,
+                [entryNumber, movement.id, movement.created_by, movement.created_at]
+            );
+            await db.run(
+                `INSERT INTO gl_journal_lines (entry_id, gl_account_code, debit, credit)
+                 VALUES (?, '1000', ?, 0), (?, '3000', 0, ?)`,
+                [entry.id, movement.amount, entry.id, movement.amount]
+            );
+        }
+    },
+
+    async down(db) {
+        await db.run(
+            `DELETE FROM gl_journal_lines WHERE entry_id IN (SELECT id FROM gl_journal_entries WHERE source_type = 'vault_opening')`
+        );
+        await db.run(`DELETE FROM gl_journal_entries WHERE source_type = 'vault_opening'`);
+    }
+};
@@ -1,26 +1,33 @@
 const mainDb = require('../config/db_main');
 const txnDb = require('../config/db_txn');
+const GeneralLedger = require('./GeneralLedger');
+const Product = require('./Product');
+const JointHolder = require('./JointHolder');
+const coordinator = require('../utils/transactionCoordinator');
+const money = require('../utils/money');
 
 class Account {
+    static get MONEY_FIELDS() {
+        return ['balance'];
+    }
+
+    static get TRANSACTION_MONEY_FIELDS() {
+        return ['amount', 'balance_before', 'balance_after'];
+    }
+
     static async create(accountData, createdBy) {
         try {
-            const { customer_id, account_type = 'savings', initial_balance = 0, interest_rate = 4.00 } = accountData;
+            const { customer_id, product_id, initial_balance = 0 } = accountData;
 
             // Validate required fields
-            if (!customer_id) {
-                throw new Error('Customer ID is required');
+            if (!customer_id || !product_id) {
+                throw new Error('Customer ID and product are required');
             }
 
             // Validate customer exists
-            const customer = await mainDb.get('SELECT id FROM customers WHERE id = ? AND is_active = 1', [customer_id]);
+            const customer = await mainDb.get('SELECT id FROM customers WHERE id = ? AND is_active = 1 AND date_of_death IS NULL', [customer_id]);
             if (!customer) {
-                throw new Error('Customer not found or inactive');
-            }
-
-            // Validate account type
-            const validAccountTypes = ['savings', 'current', 'salary'];
-            if (!validAccountTypes.includes(account_type)) {
-                throw new Error('Invalid account type');
+                throw new Error('Customer not found, inactive or deceased');
             }
 
             // Validate initial balance
@@ -28,29 +35,58 @@ class Account {
                 throw new Error('Initial balance cannot be negative');
             }
 
+            const initialBalance = money.toPaise(initial_balance);
+
+            // The product sets the account type and rate
+            const { product, termsJson } = await Product.selectForContract(product_id, 'account', {
+                customerId: customer_id,
+                amount: initialBalance
+            });
+            const account_type = product.category;
+            const interest_rate = product.interest_rate;
+
             // Generate unique account number
             const account_number = await this.generateAccountNumber();
 
-            // Insert account
-            const result = await mainDb.run(
-                `INSERT INTO accounts (account_number, customer_id, account_type, balance, interest_rate, created_by, created_at, updated_at)
-                 VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
-                [account_number, customer_id, account_type, initial_balance, interest_rate, createdBy]
-            );
+            const result = await coordinator.execute('account_open', async ({ main, txn }) => {
+                // Insert account
+                const inserted = await main.run(
+                    `INSERT INTO accounts (
+                        account_number, customer_id, account_type, balance, interest_rate, product_id, product_terms,
+                        created_by, created_at, updated_at
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+                    [account_number, customer_id, account_type, initialBalance, interest_rate, product.id, termsJson, createdBy]
+                );
+
+                // If initial balance > 0, create initial deposit transaction
+                if (initialBalance > 0) {
+                    const transaction = await this.createTransaction({
+                        account_id: inserted.id,
+                        customer_id,
+                        transaction_type: 'deposit',
+                        amount: initialBalance,
+                        balance_before: 0,
+                        balance_after: initialBalance,
+                        description: 'Initial deposit',
+                        processed_by: createdBy
+                    }, txn);
+
+                    await GeneralLedger.postEntry({
+                        source_type: 'deposit',
+                        source_id: transaction.id,
+                        reference_number: transaction.transaction_id,
+                        customer_id,
+                        description: `Initial deposit - ${account_number}`,
+                        posted_by: createdBy,
+                        lines: [
+                            { account: GeneralLedger.ACCOUNTS.CASH, debit: initialBalance },
+                            { account: GeneralLedger.ACCOUNTS.SAVINGS_DEPOSITS, credit: initialBalance }
+                        ]
+                    }, txn);
+                }
 
-            // If initial balance > 0, create initial deposit transaction
-            if (initial_balance > 0) {
-                await this.createTransaction({
-                    account_id: result.id,
-                    customer_id,
-                    transaction_type: 'deposit',
-                    amount: initial_balance,
-                    balance_before: 0,
-                    balance_after: initial_balance,
-                    description: 'Initial deposit',
-                    processed_by: createdBy
-                });
-            }
+                return inserted;
+            }, { account_number, customer_id, initial_balance: initialBalance });
 
             return {
                 success: true,
@@ -59,8 +95,10 @@ class Account {
                     account_number,
                     customer_id,
                     account_type,
-                    balance: initial_balance,
+                    balance: money.toRupees(initialBalance),
                     interest_rate,
+                    product_id: product.id,
+                    product_terms: Product.toRupees(JSON.parse(termsJson)),
                     is_active: true,
                     created_by: createdBy
                 }
@@ -87,6 +125,16 @@ class Account {
     }
 
     static async findById(id) {
+        const result = await this.findRecordById(id);
+        if (!result.success) {
+            return result;
+        }
+
+        return { success: true, account: Product.withTerms(money.rowToRupees(result.account, this.MONEY_FIELDS)) };
+    }
+
+    // Same as findById with amounts left in paise, for money movement
+    static async findRecordById(id) {
         try {
             const account = await mainDb.get(`
                 SELECT a.*, c.name as customer_name, c.phone as customer_phone, u.name as created_by_name
@@ -120,7 +168,7 @@ class Account {
                 return { success: false, error: 'Account not found' };
             }
 
-            return { success: true, account };
+            return { success: true, account: Product.withTerms(money.rowToRupees(account, this.MONEY_FIELDS)) };
         } catch (error) {
             return { success: false, error: error.message };
         }
@@ -156,12 +204,12 @@ class Account {
 
             if (filters.min_balance !== undefined) {
                 query += ' AND a.balance >= ?';
-                params.push(filters.min_balance);
+                params.push(money.toPaise(filters.min_balance));
             }
 
             if (filters.max_balance !== undefined) {
                 query += ' AND a.balance <= ?';
-                params.push(filters.max_balance);
+                params.push(money.toPaise(filters.max_balance));
             }
 
             query += ' ORDER BY a.created_at DESC';
@@ -179,7 +227,7 @@ class Account {
 
             const accounts = await mainDb.all(query, params);
 
-            return { success: true, accounts };
+            return { success: true, accounts: money.rowsToRupees(accounts, this.MONEY_FIELDS).map(account => Product.withTerms(account)) };
         } catch (error) {
             return { success: false, error: error.message };
         }
@@ -192,189 +240,452 @@ class Account {
                 throw new Error('Deposit amount must be positive');
             }
 
-            // Get current account details
-            const accountResult = await this.findById(accountId);
-            if (!accountResult.success) {
-                return accountResult;
-            }
+            // Work in paise from here on
+            amount = money.toPaise(amount);
 
-            const account = accountResult.account;
-            const balanceBefore = parseFloat(account.balance);
-            const balanceAfter = balanceBefore + amount;
+            return await coordinator.execute('account_deposit', async ({ main, txn }) => {
+                // Get current account details
+                const accountResult = await this.findRecordById(accountId);
+                if (!accountResult.success) {
+                    throw new Error(accountResult.error);
+                }
 
-            // Update account balance
-            await mainDb.run(
-                'UPDATE accounts SET balance = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-                [balanceAfter, accountId]
-            );
+                const account = accountResult.account;
+                this.assertNotFrozen(account);
+                const balanceBefore = account.balance;
+                const balanceAfter = balanceBefore + amount;
 
-            // Create transaction record
-            const transaction = await this.createTransaction({
-                account_id: accountId,
-                customer_id: account.customer_id,
-                transaction_type: 'deposit',
-                amount,
-                balance_before: balanceBefore,
-                balance_after: balanceAfter,
-                description: description || 'Cash deposit',
-                processed_by: processedBy
-            });
+                // Update account balance
+                await this.updateBalance(main, account, amount);
 
-            return {
-                success: true,
-                transaction,
-                new_balance: balanceAfter
-            };
+                // Create transaction record
+                const transaction = await this.createTransaction({
+                    account_id: accountId,
+                    customer_id: account.customer_id,
+                    transaction_type: 'deposit',
+                    amount,
+                    balance_before: balanceBefore,
+                    balance_after: balanceAfter,
+                    description: description || 'Cash deposit',
+                    processed_by: processedBy
+                }, txn);
+
+                await GeneralLedger.postEntry({
+                    source_type: 'deposit',
+                    source_id: transaction.id,
+                    reference_number: transaction.transaction_id,
+                    customer_id: account.customer_id,
+                    description: `Cash deposit - ${account.account_number}`,
+                    posted_by: processedBy,
+                    lines: [
+                        { account: GeneralLedger.ACCOUNTS.CASH, debit: amount },
+                        { account: GeneralLedger.ACCOUNTS.SAVINGS_DEPOSITS, credit: amount }
+                    ]
+                }, txn);
+
+                return {
+                    success: true,
+                    transaction,
+                    new_balance: money.toRupees(balanceAfter)
+                };
+            }, { account_id: accountId, amount });
         } catch (error) {
-            return { success: false, error: error.message };
+            return { success: false, error: error.message, retry: error.code === 'BALANCE_CONFLICT' };
         }
     }
 
-    static async withdraw(accountId, amount, description, processedBy) {
+    // operation names the holders giving the withdrawal (operated_by, customer ids; the first
+    // holder when omitted) and the teller's check of their signatures (signature_check, from
+    // CustomerDocument.checkSignature)
+    static async withdraw(accountId, amount, description, processedBy, operation = {}) {
         try {
             // Validate amount
             if (amount <= 0) {
                 throw new Error('Withdrawal amount must be positive');
             }
 
-            // Get current account details
-            const accountResult = await this.findById(accountId);
-            if (!accountResult.success) {
-                return accountResult;
-            }
-
-            const account = accountResult.account;
-            const balanceBefore = parseFloat(account.balance);
-
-            // Check sufficient balance
-            if (balanceBefore < amount) {
-                throw new Error('Insufficient balance');
-            }
+            // Work in paise from here on
+            amount = money.toPaise(amount);
 
-            const balanceAfter = balanceBefore - amount;
+            return await coordinator.execute('account_withdraw', async ({ main, txn }) => {
+                // Get current account details
+                const accountResult = await this.findRecordById(accountId);
+                if (!accountResult.success) {
+                    throw new Error(accountResult.error);
+                }
 
-            // Update account balance
-            await mainDb.run(
-                'UPDATE accounts SET balance = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-                [balanceAfter, accountId]
-            );
+                const account = accountResult.account;
+                this.assertNotFrozen(account);
+                const operators = await this.checkOperation(accountId, operation, main);
+                const balanceBefore = account.balance;
 
-            // Create transaction record
-            const transaction = await this.createTransaction({
-                account_id: accountId,
-                customer_id: account.customer_id,
-                transaction_type: 'withdrawal',
-                amount,
-                balance_before: balanceBefore,
-                balance_after: balanceAfter,
-                description: description || 'Cash withdrawal',
-                processed_by: processedBy
-            });
+                // Check sufficient balance
+                if (balanceBefore < amount) {
+                    throw new Error('Insufficient balance');
+                }
 
-            return {
-                success: true,
-                transaction,
-                new_balance: balanceAfter
-            };
+                const balanceAfter = balanceBefore - amount;
+
+                // Update account balance
+                await this.updateBalance(main, account, -amount);
+
+                // Create transaction record
+                const transaction = await this.createTransaction({
+                    account_id: accountId,
+                    customer_id: account.customer_id,
+                    transaction_type: 'withdrawal',
+                    amount,
+                    balance_before: balanceBefore,
+                    balance_after: balanceAfter,
+                    description: description || 'Cash withdrawal',
+                    processed_by: processedBy,
+                    signature_verified_by: operation.signature_check ? operation.signature_check.verified_by : null
+                }, txn);
+                await this.recordOperation(transaction.id, operators, operation, txn);
+
+                await GeneralLedger.postEntry({
+                    source_type: 'withdrawal',
+                    source_id: transaction.id,
+                    reference_number: transaction.transaction_id,
+                    customer_id: account.customer_id,
+                    description: `Cash withdrawal - ${account.account_number}`,
+                    posted_by: processedBy,
+                    lines: [
+                        { account: GeneralLedger.ACCOUNTS.SAVINGS_DEPOSITS, debit: amount },
+                        { account: GeneralLedger.ACCOUNTS.CASH, credit: amount }
+                    ]
+                }, txn);
+
+                return {
+                    success: true,
+                    transaction,
+                    new_balance: money.toRupees(balanceAfter)
+                };
+            }, { account_id: accountId, amount });
         } catch (error) {
-            return { success: false, error: error.message };
+            return { success: false, error: error.message, retry: error.code === 'BALANCE_CONFLICT' };
         }
     }
 
-    static async transfer(fromAccountId, toAccountId, amount, description, processedBy) {
+    // operation names the holders of the source account giving the transfer, as for withdraw
+    static async transfer(fromAccountId, toAccountId, amount, description, processedBy, operation = {}) {
         try {
             // Validate amount
             if (amount <= 0) {
                 throw new Error('Transfer amount must be positive');
             }
 
-            // Get both account details
-            const fromAccountResult = await this.findById(fromAccountId);
-            const toAccountResult = await this.findById(toAccountId);
+            // Work in paise from here on
+            amount = money.toPaise(amount);
 
-            if (!fromAccountResult.success) {
-                return { success: false, error: 'Source account not found' };
-            }
-            if (!toAccountResult.success) {
-                return { success: false, error: 'Destination account not found' };
-            }
+            return await coordinator.execute('account_transfer', async ({ main, txn }) => {
+                // Get both account details
+                const fromAccountResult = await this.findRecordById(fromAccountId);
+                const toAccountResult = await this.findRecordById(toAccountId);
 
-            const fromAccount = fromAccountResult.account;
-            const toAccount = toAccountResult.account;
+                if (!fromAccountResult.success) {
+                    throw new Error('Source account not found');
+                }
+                if (!toAccountResult.success) {
+                    throw new Error('Destination account not found');
+                }
 
-            // Check sufficient balance
-            const fromBalanceBefore = parseFloat(fromAccount.balance);
-            if (fromBalanceBefore < amount) {
-                throw new Error('Insufficient balance in source account');
-            }
+                const fromAccount = fromAccountResult.account;
+                const toAccount = toAccountResult.account;
+                this.assertNotFrozen(fromAccount);
+                this.assertNotFrozen(toAccount);
+                const operators = await this.checkOperation(fromAccountId, operation, main);
 
-            const fromBalanceAfter = fromBalanceBefore - amount;
-            const toBalanceBefore = parseFloat(toAccount.balance);
-            const toBalanceAfter = toBalanceBefore + amount;
+                // Check sufficient balance
+                const fromBalanceBefore = fromAccount.balance;
+                if (fromBalanceBefore < amount) {
+                    throw new Error('Insufficient balance in source account');
+                }
 
-            // Update both account balances
-            await mainDb.run(
-                'UPDATE accounts SET balance = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-                [fromBalanceAfter, fromAccountId]
+                const fromBalanceAfter = fromBalanceBefore - amount;
+                const toBalanceBefore = toAccount.balance;
+                const toBalanceAfter = toBalanceBefore + amount;
+
+                // Update both account balances
+                await this.updateBalance(main, fromAccount, -amount);
+                await this.updateBalance(main, toAccount, amount);
+
+                // Create transaction records for both accounts
+                const transferRef = `TXF${Date.now()}`;
+
+                const fromTransaction = await this.createTransaction({
+                    account_id: fromAccountId,
+                    customer_id: fromAccount.customer_id,
+                    transaction_type: 'transfer_out',
+                    amount,
+                    balance_before: fromBalanceBefore,
+                    balance_after: fromBalanceAfter,
+                    description: description || `Transfer to ${toAccount.account_number}`,
+                    reference_number: transferRef,
+                    reference_type: 'transfer',
+                    reference_id: toAccountId,
+                    processed_by: processedBy
+                }, txn);
+                await this.recordOperation(fromTransaction.id, operators, operation, txn);
+
+                const toTransaction = await this.createTransaction({
+                    account_id: toAccountId,
+                    customer_id: toAccount.customer_id,
+                    transaction_type: 'transfer_in',
+                    amount,
+                    balance_before: toBalanceBefore,
+                    balance_after: toBalanceAfter,
+                    description: description || `Transfer from ${fromAccount.account_number}`,
+                    reference_number: transferRef,
+                    reference_type: 'transfer',
+                    reference_id: fromAccountId,
+                    processed_by: processedBy
+                }, txn);
+
+                // Both legs sit in the savings control account, recorded for the audit trail
+                await GeneralLedger.postEntry({
+                    source_type: 'transfer',
+                    source_id: fromTransaction.id,
+                    reference_number: transferRef,
+                    customer_id: fromAccount.customer_id,
+                    description: `Transfer ${fromAccount.account_number} to ${toAccount.account_number}`,
+                    posted_by: processedBy,
+                    lines: [
+                        { account: GeneralLedger.ACCOUNTS.SAVINGS_DEPOSITS, debit: amount },
+                        { account: GeneralLedger.ACCOUNTS.SAVINGS_DEPOSITS, credit: amount }
+                    ]
+                }, txn);
+
+                return {
+                    success: true,
+                    from_transaction: fromTransaction,
+                    to_transaction: toTransaction,
+                    from_new_balance: money.toRupees(fromBalanceAfter),
+                    to_new_balance: money.toRupees(toBalanceAfter)
+                };
+            }, { from_account_id: fromAccountId, to_account_id: toAccountId, amount });
+        } catch (error) {
+            return { success: false, error: error.message, retry: error.code === 'BALANCE_CONFLICT' };
+        }
+    }
+
+    // Moves money between an account and one of the customer's loans or deposits without cash
+    // changing hands, inside the product's coordinator operation. delta (paise) is a credit when
+    // positive; reference is the product transaction ({ type, number, id }), whose ledger entry
+    // carries the Savings Deposits line.
+    static async transferWithProduct(accountId, delta, description, reference, processedBy, { main, txn }) {
+        const accountResult = await this.findRecordById(accountId);
+        if (!accountResult.success) {
+            throw new Error(accountResult.error);
+        }
+
+        const account = accountResult.account;
+        this.assertNotFrozen(account);
+        if (!account.is_active) {
+            throw new Error(`Account ${account.account_number} is not active`);
+        }
+        if (account.balance + delta < 0) {
+            throw new Error(`Insufficient balance in ${account.account_number}`);
+        }
+
+        const balanceAfter = await this.updateBalance(main, account, delta);
+
+        return await this.createTransaction({
+            account_id: accountId,
+            customer_id: account.customer_id,
+            transaction_type: delta > 0 ? 'transfer_in' : 'transfer_out',
+            amount: Math.abs(delta),
+            balance_before: account.balance,
+            balance_after: balanceAfter,
+            description,
+            reference_number: reference.number,
+            reference_type: reference.type,
+            reference_id: reference.id,
+            processed_by: processedBy
+        }, txn);
+    }
+
+    // Undoes the transferWithProduct row, if any, of a product transaction being reversed
+    // (reference type and id as given to transferWithProduct); the product's reversal mirrors
+    // the ledger entry
+    static async reverseProductTransfer(referenceType, referenceId, reason, processedBy, { main, txn }) {
+        const original = await txn.get(
+            `SELECT * FROM transactions WHERE reference_type = ? AND reference_id = ? AND status = 'completed'`,
+            [referenceType, referenceId]
+        );
+        if (!original) {
+            return null;
+        }
+
+        const accountResult = await this.findRecordById(original.account_id);
+        if (!accountResult.success) {
+            throw new Error(accountResult.error);
+        }
+
+        const account = accountResult.account;
+        const delta = original.transaction_type === 'transfer_out' ? original.amount : -original.amount;
+        if (account.balance + delta < 0) {
+            throw new Error(`Insufficient balance in ${account.account_number} to reverse ${original.transaction_id}`);
+        }
+
+        const balanceAfter = await this.updateBalance(main, account, delta);
+
+        const reversal = await this.createTransaction({
+            account_id: original.account_id,
+            customer_id: original.customer_id,
+            transaction_type: `${original.transaction_type}_reversal`,
+            amount: original.amount,
+            balance_before: account.balance,
+            balance_after: balanceAfter,
+            description: `Reversal of ${original.transaction_id} - ${reason}`,
+            reference_number: original.transaction_id,
+            reference_type: 'reversal',
+            reference_id: original.id,
+            reversal_of: original.id,
+            processed_by: processedBy
+        }, txn);
+
+        const marked = await txn.run(
+            `UPDATE transactions SET status = 'reversed', reversed_by = (SELECT id FROM transactions WHERE transaction_id = ?)
+             WHERE id = ? AND status = 'completed'`,
+            [reversal.transaction_id, original.id]
+        );
+        if (marked.changes === 0) {
+            throw new Error(`Transaction ${original.transaction_id} has already been reversed`);
+        }
+
+        return reversal;
+    }
+
+    // The holders giving a debit, which the account's operating mode must allow; a signature
+    // check, when there is one, must have covered each of them
+    static async checkOperation(accountId, operation, db) {
+        const operators = await JointHolder.checkOperators('account', accountId, operation.operated_by, db);
+        const signatureCheck = operation.signature_check;
+        if (signatureCheck && operators.some(holder =>
+            !signatureCheck.documents.some(document => document.customer_id === holder.customer_id))) {
+            throw new Error('The holders operating the account have changed; check the signatures again');
+        }
+        return operators;
+    }
+
+    static async recordOperation(transactionId, operators, operation, txn) {
+        const documents = operation.signature_check ? operation.signature_check.documents : [];
+        for (const holder of operators) {
+            const signature = documents.find(document => document.customer_id === holder.customer_id);
+            await txn.run(
+                'INSERT INTO transaction_holders (transaction_id, customer_id, signature_document_id) VALUES (?, ?, ?)',
+                [transactionId, holder.customer_id, signature ? signature.document_id : null]
             );
+        }
+    }
 
-            await mainDb.run(
-                'UPDATE accounts SET balance = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-                [toBalanceAfter, toAccountId]
+    // Accounts of a deceased holder take no postings until their claim is settled
+    static assertNotFrozen(account) {
+        if (account.frozen_claim_id) {
+            throw new Error(`Account ${account.account_number} is frozen for the claim on its deceased holder`);
+        }
+    }
+
+    // Applies a balance change only if the row still has the version that was read and the
+    // balance stays non-negative, so a concurrent posting cannot be overwritten
+    static async updateBalance(db, account, delta) {
+        const result = await db.run(
+            `UPDATE accounts SET balance = balance + ?, version = version + 1, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ? AND version = ? AND balance + ? >= 0`,
+            [delta, account.id, account.version, delta]
+        );
+
+        if (result.changes === 0) {
+            const error = new Error(`Account ${account.account_number} was updated by another transaction. Please retry.`);
+            error.code = 'BALANCE_CONFLICT';
+            throw error;
+        }
+
+        return account.balance + delta;
+    }
+
+    static get REVERSIBLE_TYPES() {
+        return ['deposit', 'withdrawal', 'transfer_in', 'transfer_out', 'interest_credit'];
+    }
+
+    // Posts compensating entries for a transaction row (amounts in paise) inside a coordinator
+    // operation. Reversing either leg of a transfer reverses both legs.
+    static async reverseTransaction(original, reason, processedBy, { main, txn }) {
+        let legs = [original];
+        let ledgerSource = { type: original.transaction_type, id: original.id };
+
+        if (original.reference_type === 'transfer') {
+            const otherLeg = await txn.get(
+                `SELECT * FROM transactions WHERE reference_number = ? AND reference_type = 'transfer' AND id != ?`,
+                [original.reference_number, original.id]
             );
+            if (!otherLeg) {
+                throw new Error('Other leg of the transfer not found');
+            }
 
-            // Create transaction records for both accounts
-            const transferRef = `TXF${Date.now()}`;
-
-            const fromTransaction = await this.createTransaction({
-                account_id: fromAccountId,
-                customer_id: fromAccount.customer_id,
-                transaction_type: 'transfer_out',
-                amount,
-                balance_before: fromBalanceBefore,
-                balance_after: fromBalanceAfter,
-                description: description || `Transfer to ${toAccount.account_number}`,
-                reference_number: transferRef,
-                reference_type: 'transfer',
-                reference_id: toAccountId,
-                processed_by: processedBy
-            });
+            legs = [original, otherLeg];
+            // The transfer was posted to the ledger against its outgoing leg
+            const outgoing = original.transaction_type === 'transfer_out' ? original : otherLeg;
+            ledgerSource = { type: 'transfer', id: outgoing.id };
+        }
 
-            const toTransaction = await this.createTransaction({
-                account_id: toAccountId,
-                customer_id: toAccount.customer_id,
-                transaction_type: 'transfer_in',
-                amount,
-                balance_before: toBalanceBefore,
-                balance_after: toBalanceAfter,
-                description: description || `Transfer from ${fromAccount.account_number}`,
-                reference_number: transferRef,
-                reference_type: 'transfer',
-                reference_id: fromAccountId,
+        const reversed = [];
+        for (const leg of legs) {
+            const accountResult = await this.findRecordById(leg.account_id);
+            if (!accountResult.success) {
+                throw new Error(accountResult.error);
+            }
+
+            const account = accountResult.account;
+
+            // Money that left the account comes back, money that came in goes out again
+            const delta = ['withdrawal', 'transfer_out'].includes(leg.transaction_type) ? leg.amount : -leg.amount;
+            if (account.balance + delta < 0) {
+                throw new Error(`Insufficient balance in ${account.account_number} to reverse ${leg.transaction_id}`);
+            }
+
+            const balanceAfter = await this.updateBalance(main, account, delta);
+
+            const reversal = await this.createTransaction({
+                account_id: leg.account_id,
+                customer_id: leg.customer_id,
+                transaction_type: `${leg.transaction_type}_reversal`,
+                amount: leg.amount,
+                balance_before: account.balance,
+                balance_after: balanceAfter,
+                description: `Reversal of ${leg.transaction_id} - ${reason}`,
+                reference_number: leg.transaction_id,
+                reference_type: 'reversal',
+                reference_id: leg.id,
+                reversal_of: leg.id,
                 processed_by: processedBy
-            });
+            }, txn);
 
-            return {
-                success: true,
-                from_transaction: fromTransaction,
-                to_transaction: toTransaction,
-                from_new_balance: fromBalanceAfter,
-                to_new_balance: toBalanceAfter
-            };
-        } catch (error) {
-            return { success: false, error: error.message };
+            reversed.push({ original: leg, reversal });
         }
+
+        await GeneralLedger.reverseEntry(ledgerSource.type, ledgerSource.id, {
+            source_id: reversed[0].reversal.id,
+            reference_number: reversed[0].reversal.transaction_id,
+            customer_id: original.customer_id,
+            description: `Reversal of ${original.transaction_id} - ${reason}`,
+            posted_by: processedBy
+        }, txn);
+
+        return reversed;
     }
 
-    static async createTransaction(transactionData) {
+    static async createTransaction(transactionData, db = txnDb) {
         const transactionId = `TXN${Date.now()}${Math.floor(Math.random() * 1000)}`;
         
-        const result = await txnDb.run(
+        const result = await db.run(
             `INSERT INTO transactions (
                 transaction_id, account_id, customer_id, transaction_type, amount,
                 balance_before, balance_after, description, reference_number,
-                reference_type, reference_id, processed_by, transaction_date
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+                reference_type, reference_id, reversal_of, processed_by, signature_verified_by,
+                transaction_date
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
             [
                 transactionId,
                 transactionData.account_id,
@@ -387,15 +698,17 @@ class Account {
                 transactionData.reference_number || null,
                 transactionData.reference_type || null,
                 transactionData.reference_id || null,
-                transactionData.processed_by
+                transactionData.reversal_of || null,
+                transactionData.processed_by,
+                transactionData.signature_verified_by || null
             ]
         );
 
-        return {
+        return money.rowToRupees({
             id: result.id,
             transaction_id: transactionId,
             ...transactionData
-        };
+        }, this.TRANSACTION_MONEY_FIELDS);
     }
 
     static async getTransactionHistory(accountId, filters = {}) {
@@ -426,12 +739,12 @@ class Account {
 
             if (filters.min_amount !== undefined) {
                 query += ' AND t.amount >= ?';
-                params.push(filters.min_amount);
+                params.push(money.toPaise(filters.min_amount));
             }
 
             if (filters.max_amount !== undefined) {
                 query += ' AND t.amount <= ?';
-                params.push(filters.max_amount);
+                params.push(money.toPaise(filters.max_amount));
             }
 
             query += ' ORDER BY t.transaction_date DESC';
@@ -449,67 +762,7 @@ class Account {
 
             const transactions = await txnDb.all(query, params);
 
-            return { success: true, transactions };
-        } catch (error) {
-            return { success: false, error: error.message };
-        }
-    }
-
-    static async applyInterest(accountId, processedBy) {
-        try {
-            // Get account details
-            const accountResult = await this.findById(accountId);
-            if (!accountResult.success) {
-                return accountResult;
-            }
-
-            const account = accountResult.account;
-            const currentBalance = parseFloat(account.balance);
-            const interestRate = parseFloat(account.interest_rate);
-
-            // Calculate daily interest (assuming annual rate)
-            const dailyInterestRate = interestRate / 365 / 100;
-            const interestAmount = currentBalance * dailyInterestRate;
-
-            if (interestAmount <= 0) {
-                return { success: false, error: 'No interest to apply' };
-            }
-
-            const newBalance = currentBalance + interestAmount;
-
-            // Update account balance
-            await mainDb.run(
-                'UPDATE accounts SET balance = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-                [newBalance, accountId]
-            );
-
-            // Create interest transaction
-            const transaction = await this.createTransaction({
-                account_id: accountId,
-                customer_id: account.customer_id,
-                transaction_type: 'interest_credit',
-                amount: interestAmount,
-                balance_before: currentBalance,
-                balance_after: newBalance,
-                description: `Interest credit @ ${interestRate}% p.a.`,
-                processed_by: processedBy
-            });
-
-            // Record interest calculation
-            await txnDb.run(
-                `INSERT INTO interest_calculations (
-                    account_id, customer_id, calculation_date, opening_balance,
-                    closing_balance, interest_rate, interest_amount, days_count, processed_by
-                ) VALUES (?, ?, DATE('now'), ?, ?, ?, ?, 1, ?)`,
-                [accountId, account.customer_id, currentBalance, newBalance, interestRate, interestAmount, processedBy]
-            );
-
-            return {
-                success: true,
-                transaction,
-                interest_amount: interestAmount,
-                new_balance: newBalance
-            };
+            return { success: true, transactions: money.rowsToRupees(transactions, this.TRANSACTION_MONEY_FIELDS) };
         } catch (error) {
             return { success: false, error: error.message };
         }
@@ -528,7 +781,21 @@ class Account {
                 FROM accounts
             `);
 
-            return { success: true, stats };
+            return { success: true, stats: money.rowToRupees(stats, ['total_balance', 'average_balance']) };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Accounts opened between two dates (YYYY-MM-DD, inclusive)
+    static async getCountByDateRange(startDate, endDate) {
+        try {
+            const row = await mainDb.get(
+                'SELECT COUNT(*) as count FROM accounts WHERE DATE(created_at) BETWEEN ? AND ?',
+                [startDate, endDate]
+            );
+
+            return { success: true, count: row.count };
         } catch (error) {
             return { success: false, error: error.message };
         }
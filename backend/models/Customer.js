@@ -1,4 +1,9 @@
 const mainDb = require('../config/db_main');
+const txnDb = require('../config/db_txn');
+const money = require('../utils/money');
+const LoanGuarantor = require('./LoanGuarantor');
+const JointHolder = require('./JointHolder');
+const Nominee = require('./Nominee');
 
 class Customer {
     static async create(customerData, createdBy) {
@@ -124,11 +129,14 @@ class Customer {
             `;
             const params = [];
 
-            // Apply filters
+            // Apply filters; a product number finds its first and joint holders
+            const searchClause = ` AND (c.name LIKE ? OR c.phone LIKE ? OR c.email LIKE ? OR c.aadhaar LIKE ?
+                OR c.id IN (${JointHolder.PRODUCT_NUMBER_HOLDERS_SQL}))`;
+            const searchParams = () => Array(4 + JointHolder.PRODUCT_NUMBER_PARAMS).fill(`%${filters.search}%`);
+
             if (filters.search) {
-                query += ` AND (c.name LIKE ? OR c.phone LIKE ? OR c.email LIKE ? OR c.aadhaar LIKE ?)`;
-                const searchTerm = `%${filters.search}%`;
-                params.push(searchTerm, searchTerm, searchTerm, searchTerm);
+                query += searchClause;
+                params.push(...searchParams());
             }
 
             if (filters.created_by) {
@@ -136,6 +144,11 @@ class Customer {
                 params.push(filters.created_by);
             }
 
+            if (filters.kyc_status) {
+                query += ' AND c.kyc_status = ?';
+                params.push(filters.kyc_status);
+            }
+
             query += ' ORDER BY c.created_at DESC';
 
             // Pagination
@@ -151,21 +164,31 @@ class Customer {
 
             const customers = await mainDb.all(query, params);
 
+            // Products each customer shares with other holders
+            const relationships = await JointHolder.findRelationshipsFor(customers.map(customer => customer.id));
+            for (const customer of customers) {
+                customer.joint_relationships = relationships.get(customer.id);
+            }
+
             // Get total count for pagination
-            let countQuery = 'SELECT COUNT(*) as total FROM customers WHERE is_active = 1';
+            let countQuery = 'SELECT COUNT(*) as total FROM customers c WHERE c.is_active = 1';
             const countParams = [];
 
             if (filters.search) {
-                countQuery += ' AND (name LIKE ? OR phone LIKE ? OR email LIKE ? OR aadhaar LIKE ?)';
-                const searchTerm = `%${filters.search}%`;
-                countParams.push(searchTerm, searchTerm, searchTerm, searchTerm);
+                countQuery += searchClause;
+                countParams.push(...searchParams());
             }
 
             if (filters.created_by) {
-                countQuery += ' AND created_by = ?';
+                countQuery += ' AND c.created_by = ?';
                 countParams.push(filters.created_by);
             }
 
+            if (filters.kyc_status) {
+                countQuery += ' AND c.kyc_status = ?';
+                countParams.push(filters.kyc_status);
+            }
+
             const countResult = await mainDb.get(countQuery, countParams);
 
             return { 
@@ -349,8 +372,12 @@ class Customer {
             // Check if customer has active accounts, FDs, RDs, or loans
             const activeAccounts = await mainDb.get('SELECT COUNT(*) as count FROM accounts WHERE customer_id = ? AND is_active = 1', [id]);
             const activeFDs = await mainDb.get('SELECT COUNT(*) as count FROM fixed_deposits WHERE customer_id = ? AND status = "active"', [id]);
-            const activeRDs = await mainDb.get('SELECT COUNT(*) as count FROM recurring_deposits WHERE customer_id = ? AND status = "active"', [id]);
-            const activeLoans = await mainDb.get('SELECT COUNT(*) as count FROM loans WHERE customer_id = ? AND status = "active"', [id]);
+            const activeRDs = await mainDb.get('SELECT COUNT(*) as count FROM recurring_deposits WHERE customer_id = ? AND status IN ("active", "defaulted")', [id]);
+            const activeLoans = await mainDb.get(
+                `SELECT COUNT(*) as count FROM loans WHERE customer_id = ?
+                 AND status IN ('applied', 'under_review', 'sanctioned', 'disbursed', 'active')`,
+                [id]
+            );
 
             if (activeAccounts.count > 0 || activeFDs.count > 0 || activeRDs.count > 0 || activeLoans.count > 0) {
                 throw new Error('Cannot delete customer with active accounts, FDs, RDs, or loans');
@@ -385,10 +412,24 @@ class Customer {
         }
     }
 
+    // Customers added between two dates (YYYY-MM-DD, inclusive)
+    static async getCountByDateRange(startDate, endDate) {
+        try {
+            const row = await mainDb.get(
+                'SELECT COUNT(*) as count FROM customers WHERE DATE(created_at) BETWEEN ? AND ?',
+                [startDate, endDate]
+            );
+
+            return { success: true, count: row.count };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
     static async searchByAccountNumber(accountNumber) {
         try {
             const customer = await mainDb.get(`
-                SELECT c.*, a.account_number, a.balance, u.name as created_by_name
+                SELECT c.*, a.id as account_id, a.account_number, a.balance, a.operating_mode, u.name as created_by_name
                 FROM customers c
                 JOIN accounts a ON c.id = a.customer_id
                 LEFT JOIN users u ON c.created_by = u.id
@@ -399,7 +440,11 @@ class Customer {
                 return { success: false, error: 'Customer not found with this account number' };
             }
 
-            return { success: true, customer };
+            // The account's first holder, with whoever holds it jointly with them
+            const holders = await JointHolder.findHoldersFor('account', [customer.account_id]);
+            customer.joint_holders = holders.get(customer.account_id);
+
+            return { success: true, customer: money.rowToRupees(customer, ['balance']) };
         } catch (error) {
             return { success: false, error: error.message };
         }
@@ -412,42 +457,146 @@ class Customer {
                 return customer;
             }
 
-            // Get accounts summary
+            // Get accounts summary, including those held jointly with others
             const accounts = await mainDb.all(`
-                SELECT account_number, account_type, balance, is_active
-                FROM accounts 
-                WHERE customer_id = ?
-            `, [id]);
+                SELECT a.id, a.account_number, a.account_type, a.balance, a.is_active, a.operating_mode,
+                    a.customer_id as first_holder_id, c.name as first_holder_name
+                FROM accounts a
+                JOIN customers c ON a.customer_id = c.id
+                WHERE a.customer_id = ? OR a.id IN (${JointHolder.jointProductIdsSql('account')})
+            `, [id, id]);
 
             // Get FDs summary
             const fds = await mainDb.all(`
-                SELECT fd_number, principal_amount, interest_rate, maturity_amount, status, maturity_date
-                FROM fixed_deposits 
-                WHERE customer_id = ?
-            `, [id]);
+                SELECT fd.id, fd.fd_number, fd.principal_amount, fd.interest_rate, fd.maturity_amount, fd.status, fd.maturity_date,
+                    fd.operating_mode, fd.customer_id as first_holder_id, c.name as first_holder_name,
+                    l.loan_number as lien_loan_number
+                FROM fixed_deposits fd
+                JOIN customers c ON fd.customer_id = c.id
+                LEFT JOIN loan_collateral lc ON lc.fd_id = fd.id AND lc.status = 'pledged'
+                LEFT JOIN loans l ON lc.loan_id = l.id
+                WHERE fd.customer_id = ? OR fd.id IN (${JointHolder.jointProductIdsSql('fd')})
+            `, [id, id]);
 
             // Get RDs summary
             const rds = await mainDb.all(`
-                SELECT rd_number, monthly_amount, interest_rate, maturity_amount, status, maturity_date, total_paid
-                FROM recurring_deposits 
-                WHERE customer_id = ?
-            `, [id]);
+                SELECT rd.id, rd.rd_number, rd.monthly_amount, rd.interest_rate, rd.maturity_amount, rd.status, rd.maturity_date,
+                    rd.total_paid, rd.operating_mode, rd.customer_id as first_holder_id, c.name as first_holder_name
+                FROM recurring_deposits rd
+                JOIN customers c ON rd.customer_id = c.id
+                WHERE rd.customer_id = ? OR rd.id IN (${JointHolder.jointProductIdsSql('rd')})
+            `, [id, id]);
+
+            await this.withHoldersAndNominees('account', accounts);
+            await this.withHoldersAndNominees('fd', fds);
+            await this.withHoldersAndNominees('rd', rds);
 
             // Get Loans summary
             const loans = await mainDb.all(`
-                SELECT loan_number, loan_type, principal_amount, interest_rate, emi_amount, outstanding_amount, status
-                FROM loans 
-                WHERE customer_id = ?
+                SELECT l.loan_number, l.loan_type, l.principal_amount, l.interest_rate, l.emi_amount, l.outstanding_amount, l.status,
+                    fd.fd_number
+                FROM loans l
+                LEFT JOIN fixed_deposits fd ON l.fd_id = fd.id
+                WHERE l.customer_id = ?
             `, [id]);
 
+            // Loans the customer stands guarantor for
+            const guarantees = await LoanGuarantor.getExposure(id);
+            if (!guarantees.success) {
+                return guarantees;
+            }
+
             return {
                 success: true,
                 summary: {
                     customer: customer.customer,
-                    accounts,
-                    fixed_deposits: fds,
-                    recurring_deposits: rds,
-                    loans
+                    accounts: money.rowsToRupees(accounts, ['balance']),
+                    fixed_deposits: money.rowsToRupees(fds, ['principal_amount', 'maturity_amount']),
+                    recurring_deposits: money.rowsToRupees(rds, ['monthly_amount', 'maturity_amount', 'total_paid']),
+                    loans: money.rowsToRupees(loans, ['principal_amount', 'emi_amount', 'outstanding_amount']),
+                    guarantor_exposure: guarantees.exposure
+                }
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Adds the joint holders and nominees of each product row (which carries its id)
+    static async withHoldersAndNominees(productType, rows) {
+        const ids = rows.map(row => row.id);
+        const holders = await JointHolder.findHoldersFor(productType, ids);
+        const nominees = await Nominee.findNomineesFor(productType, ids);
+        for (const row of rows) {
+            row.joint_holders = holders.get(row.id);
+            row.nominees = nominees.get(row.id);
+        }
+        return rows;
+    }
+
+    // The customer's holdings with every transaction on their accounts, FDs, RDs and
+    // loans between the dates given, in date order and labelled with the product. Products
+    // held jointly are included whoever the transactions were posted against
+    static async getStatement(id, filters = {}) {
+        try {
+            const summary = await this.getCustomerSummary(id);
+            if (!summary.success) {
+                return summary;
+            }
+
+            const sources = [
+                { product: 'account', table: 'transactions', key: 'account_id', products: 'accounts', number: 'account_number', joint: true },
+                { product: 'fd', table: 'fd_transactions', key: 'fd_id', products: 'fixed_deposits', number: 'fd_number', joint: true },
+                { product: 'rd', table: 'rd_transactions', key: 'rd_id', products: 'recurring_deposits', number: 'rd_number', joint: true },
+                { product: 'loan', table: 'loan_transactions', key: 'loan_id', products: 'loans', number: 'loan_number', joint: false }
+            ];
+
+            const entries = [];
+            for (const source of sources) {
+                const numbers = await mainDb.all(
+                    `SELECT id, ${source.number} as number, customer_id FROM ${source.products} WHERE customer_id = ?`
+                        + (source.joint ? ` OR id IN (${JointHolder.jointProductIdsSql(source.product)})` : ''),
+                    source.joint ? [id, id] : [id]
+                );
+                const numberById = new Map(numbers.map(row => [row.id, row.number]));
+                const jointIds = numbers.filter(row => row.customer_id !== id).map(row => row.id);
+
+                let query = `
+                    SELECT id, transaction_id, ${source.key} as product_id, transaction_type, amount, description,
+                        status, reversal_of, transaction_date
+                    FROM ${source.table}
+                    WHERE (customer_id = ?${jointIds.length > 0 ? ` OR ${source.key} IN (${jointIds.map(() => '?').join(', ')})` : ''})
+                `;
+                const params = [id, ...jointIds];
+
+                if (filters.startDate) {
+                    query += ' AND DATE(transaction_date) >= ?';
+                    params.push(filters.startDate);
+                }
+
+                if (filters.endDate) {
+                    query += ' AND DATE(transaction_date) <= ?';
+                    params.push(filters.endDate);
+                }
+
+                const rows = await txnDb.all(query, params);
+                for (const row of rows) {
+                    entries.push({ ...row, product: source.product, product_number: numberById.get(row.product_id) || null });
+                }
+            }
+
+            // Sorting is stable, so entries in the same second keep the order above
+            entries.sort((a, b) => (a.transaction_date < b.transaction_date ? -1 : a.transaction_date > b.transaction_date ? 1 : 0));
+
+            return {
+                success: true,
+                statement: {
+                    ...summary.summary,
+                    period: {
+                        start_date: filters.startDate || null,
+                        end_date: filters.endDate || new Date().toISOString().split('T')[0]
+                    },
+                    entries: money.rowsToRupees(entries, ['amount'])
                 }
             };
         } catch (error) {
@@ -0,0 +1,550 @@
+const fs = require('fs').promises;
+const path = require('path');
+const sharp = require('sharp');
+const mainDb = require('../config/db_main');
+const coordinator = require('../utils/transactionCoordinator');
+const settingsStore = require('../utils/settingsStore');
+const JointHolder = require('./JointHolder');
+
+/**
+ * Customer documents and KYC verification.
+ *
+ * Each upload of a document is kept as a new version under uploads/customers/<id>/,
+ * with a thumbnail for images; the customer record's document column points at the
+ * current version. A file is accepted by its content, not its name or declared type.
+ * Files are not served statically: they are read through authenticated endpoints
+ * that check the user may see the customer.
+ *
+ * KYC is pending until a user verifies it against a current Aadhaar or PAN, or
+ * rejects it with a reason. Verified KYC falls due for re-verification after
+ * Settings → kyc.reverifyAfterYears and is then expired (by the daily kyc_expiry
+ * job, and at once wherever it is checked). Uploading a new proof of identity or
+ * address puts verified, rejected or expired KYC back to pending. Every change of
+ * status is kept in kyc_reviews.
+ *
+ * A counter withdrawal above Settings → withdrawals.signatureCheckAbove needs the
+ * teller to confirm the holder's signature against their current specimen; the
+ * confirmation and the specimen version are stored on the transaction.
+ */
+class CustomerDocument {
+    static get TYPES() {
+        return {
+            profile_photo: { label: 'Photo', column: 'profile_photo', formats: ['jpg', 'png', 'webp'] },
+            aadhaar: { label: 'Aadhaar', column: 'aadhaar_doc', formats: ['jpg', 'png', 'webp', 'pdf'] },
+            pan: { label: 'PAN card', column: 'pan_doc', formats: ['jpg', 'png', 'webp', 'pdf'] },
+            address_proof: { label: 'Address proof', column: 'address_proof', formats: ['jpg', 'png', 'webp', 'pdf'] },
+            signature: { label: 'Signature', column: 'signature', formats: ['jpg', 'png', 'webp'] }
+        };
+    }
+
+    // Documents whose replacement sends KYC back for review
+    static get KYC_PROOFS() {
+        return ['aadhaar', 'pan', 'address_proof'];
+    }
+
+    static get KYC_STATUSES() {
+        return ['pending', 'verified', 'rejected', 'expired'];
+    }
+
+    static get MAX_FILE_SIZE() {
+        return 5 * 1024 * 1024;
+    }
+
+    static get THUMBNAIL_WIDTH() {
+        return 200;
+    }
+
+    static get UPLOAD_ROOT() {
+        return path.join(__dirname, '../uploads');
+    }
+
+    static today() {
+        return new Date().toISOString().split('T')[0];
+    }
+
+    static isValidReverifyYears(years) {
+        return Number.isInteger(years) && years >= 1 && years <= 20;
+    }
+
+    static async getReverifyYears() {
+        const settings = await settingsStore.read();
+        const years = settings.kyc.reverifyAfterYears;
+        if (!this.isValidReverifyYears(years)) {
+            throw new Error(`Invalid KYC re-verification period: ${years}`);
+        }
+        return years;
+    }
+
+    static addYears(date, years) {
+        const result = new Date(date);
+        result.setFullYear(result.getFullYear() + years);
+        return result.toISOString().split('T')[0];
+    }
+
+    // The file's format from its leading bytes
+    static detectFormat(buffer) {
+        if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+            return 'jpg';
+        }
+        if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+            return 'png';
+        }
+        if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+            return 'webp';
+        }
+        if (buffer.length >= 5 && buffer.toString('ascii', 0, 5) === '%PDF-') {
+            return 'pdf';
+        }
+        return null;
+    }
+
+    static get MIME_TYPES() {
+        return { jpg: 'image/jpeg', png: 'image/png', webp: 'image/webp', pdf: 'application/pdf' };
+    }
+
+    // KYC as it stands today: verified KYC past its re-verification date is expired
+    static effectiveStatus(customer) {
+        if (customer.kyc_status === 'verified' && customer.kyc_due_date && customer.kyc_due_date <= this.today()) {
+            return 'expired';
+        }
+        return customer.kyc_status;
+    }
+
+    // Document URLs are API paths, fetched with the user's token
+    static describe(document) {
+        const url = `/customers/${document.customer_id}/documents/${document.id}/file`;
+        return {
+            ...document,
+            label: this.TYPES[document.document_type].label,
+            url,
+            thumbnail_url: document.thumbnail_path ? `${url}?variant=thumbnail` : null
+        };
+    }
+
+    // A stored path resolved inside the uploads folder, never outside it
+    static resolvePath(relativePath) {
+        const resolved = path.resolve(this.UPLOAD_ROOT, relativePath);
+        if (!resolved.startsWith(this.UPLOAD_ROOT + path.sep)) {
+            throw new Error('Document file not found');
+        }
+        return resolved;
+    }
+
+    // The file of one of the customer's documents, or its thumbnail
+    static async getFile(customerId, documentId, variant = 'original') {
+        try {
+            const document = await mainDb.get(
+                'SELECT * FROM customer_documents WHERE id = ? AND customer_id = ?',
+                [documentId, customerId]
+            );
+            if (!document) {
+                return { success: false, error: 'Document not found' };
+            }
+
+            const thumbnail = variant === 'thumbnail' && document.thumbnail_path;
+            const filePath = this.resolvePath(thumbnail ? document.thumbnail_path : document.file_path);
+            await fs.access(filePath);
+
+            return {
+                success: true,
+                file: {
+                    path: filePath,
+                    mime_type: thumbnail ? 'image/jpeg' : document.mime_type,
+                    name: path.basename(filePath)
+                }
+            };
+        } catch (error) {
+            return { success: false, error: error.code === 'ENOENT' ? 'Document file not found' : error.message };
+        }
+    }
+
+    // The customer's KYC status, who verified it, its history and every document version
+    static async getKyc(customerId) {
+        try {
+            const customer = await mainDb.get(
+                `SELECT c.id, c.name, c.created_by, c.kyc_status, c.kyc_verified_by, c.kyc_verified_at, c.kyc_due_date, c.kyc_remarks,
+                    u.name as kyc_verified_by_name
+                 FROM customers c
+                 LEFT JOIN users u ON c.kyc_verified_by = u.id
+                 WHERE c.id = ?`,
+                [customerId]
+            );
+            if (!customer) {
+                return { success: false, error: 'Customer not found' };
+            }
+
+            const documents = await mainDb.all(
+                `SELECT d.*, u.name as uploaded_by_name
+                 FROM customer_documents d
+                 LEFT JOIN users u ON d.uploaded_by = u.id
+                 WHERE d.customer_id = ?
+                 ORDER BY d.document_type, d.version DESC`,
+                [customerId]
+            );
+
+            const reviews = await mainDb.all(
+                `SELECT r.*, u.name as reviewed_by_name
+                 FROM kyc_reviews r
+                 LEFT JOIN users u ON r.reviewed_by = u.id
+                 WHERE r.customer_id = ?
+                 ORDER BY r.reviewed_at DESC, r.id DESC`,
+                [customerId]
+            );
+
+            return {
+                success: true,
+                kyc: {
+                    ...customer,
+                    kyc_status: this.effectiveStatus(customer),
+                    documents: documents.map(document => this.describe(document)),
+                    reviews
+                }
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Stores a new version of a document from an upload held in memory ({ buffer, originalname, size })
+    static async upload(customerId, documentType, file, uploadedBy) {
+        const written = [];
+        try {
+            const type = this.TYPES[documentType];
+            if (!type) {
+                throw new Error(`Document type must be one of: ${Object.keys(this.TYPES).join(', ')}`);
+            }
+            if (!file || !file.buffer || file.buffer.length === 0) {
+                throw new Error('A file is required');
+            }
+            if (file.buffer.length > this.MAX_FILE_SIZE) {
+                throw new Error(`File is larger than ${this.MAX_FILE_SIZE / (1024 * 1024)} MB`);
+            }
+
+            const format = this.detectFormat(file.buffer);
+            if (!format || !type.formats.includes(format)) {
+                const formats = type.formats.map(f => f.toUpperCase());
+                throw new Error(`${type.label} must be a ${formats.slice(0, -1).join(', ')} or ${formats[formats.length - 1]} file`);
+            }
+
+            const customer = await mainDb.get('SELECT id, kyc_status FROM customers WHERE id = ? AND is_active = 1', [customerId]);
+            if (!customer) {
+                throw new Error('Customer not found');
+            }
+
+            // Images are checked by decoding them for the thumbnail before anything is stored
+            let thumbnail = null;
+            if (format !== 'pdf') {
+                try {
+                    thumbnail = await sharp(file.buffer)
+                        .rotate()
+                        .resize({ width: this.THUMBNAIL_WIDTH, withoutEnlargement: true })
+                        .jpeg({ quality: 80 })
+                        .toBuffer();
+                } catch (error) {
+                    throw new Error('The image could not be read');
+                }
+            }
+
+            const resetsKyc = this.KYC_PROOFS.includes(documentType) && customer.kyc_status !== 'pending';
+            await fs.mkdir(path.join(this.UPLOAD_ROOT, 'customers', String(customer.id)), { recursive: true });
+
+            const documentId = await coordinator.execute('customer_document_upload', async ({ main }) => {
+                const latest = await main.get(
+                    'SELECT MAX(version) as version FROM customer_documents WHERE customer_id = ? AND document_type = ?',
+                    [customer.id, documentType]
+                );
+                const version = (latest.version || 0) + 1;
+
+                const filePath = path.posix.join('customers', String(customer.id), `${documentType}_v${version}.${format}`);
+                await fs.writeFile(path.join(this.UPLOAD_ROOT, filePath), file.buffer, { flag: 'wx' });
+                written.push(filePath);
+
+                let thumbnailPath = null;
+                if (thumbnail) {
+                    thumbnailPath = path.posix.join('customers', String(customer.id), `${documentType}_v${version}_thumb.jpg`);
+                    await fs.writeFile(path.join(this.UPLOAD_ROOT, thumbnailPath), thumbnail, { flag: 'wx' });
+                    written.push(thumbnailPath);
+                }
+
+                await main.run(
+                    'UPDATE customer_documents SET is_current = 0 WHERE customer_id = ? AND document_type = ?',
+                    [customer.id, documentType]
+                );
+                const inserted = await main.run(
+                    `INSERT INTO customer_documents (
+                        customer_id, document_type, version, file_path, thumbnail_path, original_name, mime_type, file_size,
+                        is_current, uploaded_by, uploaded_at
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1, ?, CURRENT_TIMESTAMP)`,
+                    [
+                        customer.id, documentType, version, filePath, thumbnailPath, file.originalname || null,
+                        this.MIME_TYPES[format], file.buffer.length, uploadedBy
+                    ]
+                );
+                await main.run(
+                    `UPDATE customers SET ${type.column} = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                    [`/uploads/${filePath}`, customer.id]
+                );
+
+                if (resetsKyc) {
+                    await this.recordReview(main, customer.id, 'pending', `New ${type.label} uploaded`, null, uploadedBy);
+                }
+
+                return inserted.id;
+            }, { customer_id: customer.id, document_type: documentType });
+
+            const document = await mainDb.get('SELECT * FROM customer_documents WHERE id = ?', [documentId]);
+            return { success: true, document: this.describe(document), kyc_reset: resetsKyc };
+        } catch (error) {
+            // Files are only kept when their version was recorded
+            for (const filePath of written) {
+                await fs.unlink(path.join(this.UPLOAD_ROOT, filePath)).catch(() => {});
+            }
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Sets the customer's KYC status and keeps the change in its history
+    static async recordReview(db, customerId, status, remarks, dueDate, reviewedBy) {
+        if (status === 'verified') {
+            await db.run(
+                `UPDATE customers SET kyc_status = 'verified', kyc_verified_by = ?, kyc_verified_at = CURRENT_TIMESTAMP,
+                    kyc_due_date = ?, kyc_remarks = ?, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = ?`,
+                [reviewedBy, dueDate, remarks || null, customerId]
+            );
+        } else {
+            await db.run(
+                'UPDATE customers SET kyc_status = ?, kyc_remarks = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [status, remarks || null, customerId]
+            );
+        }
+
+        await db.run(
+            `INSERT INTO kyc_reviews (customer_id, status, remarks, due_date, reviewed_by, reviewed_at)
+             VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+            [customerId, status, remarks || null, dueDate, reviewedBy]
+        );
+    }
+
+    static async verify(customerId, remarks, verifiedBy) {
+        try {
+            const customer = await mainDb.get('SELECT id, kyc_status, kyc_due_date FROM customers WHERE id = ? AND is_active = 1', [customerId]);
+            if (!customer) {
+                throw new Error('Customer not found');
+            }
+            if (this.effectiveStatus(customer) === 'verified') {
+                throw new Error(`KYC is already verified until ${customer.kyc_due_date}`);
+            }
+
+            const proof = await mainDb.get(
+                `SELECT id FROM customer_documents
+                 WHERE customer_id = ? AND document_type IN ('aadhaar', 'pan') AND is_current = 1`,
+                [customer.id]
+            );
+            if (!proof) {
+                throw new Error('Upload an Aadhaar or PAN card before verifying KYC');
+            }
+
+            const dueDate = this.addYears(this.today(), await this.getReverifyYears());
+            await coordinator.execute('kyc_verify', async ({ main }) => {
+                await this.recordReview(main, customer.id, 'verified', remarks, dueDate, verifiedBy);
+            }, { customer_id: customer.id });
+
+            return await this.getKyc(customer.id);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    static async reject(customerId, remarks, rejectedBy) {
+        try {
+            if (!remarks || !remarks.trim()) {
+                throw new Error('A reason is required to reject KYC');
+            }
+
+            const customer = await mainDb.get('SELECT id FROM customers WHERE id = ? AND is_active = 1', [customerId]);
+            if (!customer) {
+                throw new Error('Customer not found');
+            }
+
+            await coordinator.execute('kyc_reject', async ({ main }) => {
+                await this.recordReview(main, customer.id, 'rejected', remarks.trim(), null, rejectedBy);
+            }, { customer_id: customer.id });
+
+            return await this.getKyc(customer.id);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Expires verified KYC whose re-verification date has come (run by the kyc_expiry job)
+    static async expireDue(asOf = this.today()) {
+        try {
+            const due = await mainDb.all(
+                `SELECT id, kyc_due_date FROM customers
+                 WHERE kyc_status = 'verified' AND kyc_due_date <= ? AND is_active = 1`,
+                [asOf]
+            );
+
+            for (const customer of due) {
+                await coordinator.execute('kyc_expire', async ({ main }) => {
+                    await this.recordReview(main, customer.id, 'expired', `Re-verification was due on ${customer.kyc_due_date}`, null, null);
+                }, { customer_id: customer.id });
+            }
+
+            return { success: true, as_of: asOf, expired: due.length };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    static isValidSignatureCheckAbove(amount) {
+        return typeof amount === 'number' && isFinite(amount) && amount >= 0;
+    }
+
+    static async getSignatureCheckAbove() {
+        const settings = await settingsStore.read();
+        const amount = settings.withdrawals.signatureCheckAbove;
+        if (!this.isValidSignatureCheckAbove(amount)) {
+            throw new Error(`Invalid signature check amount: ${amount}`);
+        }
+        return amount;
+    }
+
+    // The holder's current photo and specimen signature, shown to the teller paying out cash
+    static async getSpecimen(customerId) {
+        try {
+            const customer = await mainDb.get('SELECT id, name, kyc_status, kyc_due_date FROM customers WHERE id = ?', [customerId]);
+            if (!customer) {
+                return { success: false, error: 'Customer not found' };
+            }
+
+            const documents = await mainDb.all(
+                `SELECT * FROM customer_documents
+                 WHERE customer_id = ? AND document_type IN ('profile_photo', 'signature') AND is_current = 1`,
+                [customerId]
+            );
+            const current = type => {
+                const document = documents.find(row => row.document_type === type);
+                return document ? { id: document.id, version: document.version, uploaded_at: document.uploaded_at } : null;
+            };
+
+            return {
+                success: true,
+                specimen: {
+                    customer_id: customer.id,
+                    customer_name: customer.name,
+                    kyc_status: this.effectiveStatus(customer),
+                    photo: current('profile_photo'),
+                    signature: current('signature'),
+                    signature_check_above: await this.getSignatureCheckAbove()
+                }
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // The photo and specimen signature of every holder of an account, and which of them its
+    // operating mode needs on a withdrawal (null: any of them)
+    static async getAccountSpecimens(accountId) {
+        try {
+            const { product, holders } = await JointHolder.findHolders('account', accountId);
+
+            const specimens = [];
+            for (const [index, holder] of holders.entries()) {
+                const result = await this.getSpecimen(holder.customer_id);
+                if (!result.success) {
+                    throw new Error(result.error);
+                }
+                specimens.push({ ...result.specimen, is_first_holder: index === 0 });
+            }
+
+            const required = JointHolder.requiredOperators(product.operating_mode, holders);
+            return {
+                success: true,
+                specimen: {
+                    account_number: product.product_number,
+                    operating_mode: product.operating_mode,
+                    operating_mode_label: JointHolder.OPERATING_MODES[product.operating_mode],
+                    required_holder_ids: required ? required.map(holder => holder.customer_id) : null,
+                    holders: specimens,
+                    signature_check_above: await this.getSignatureCheckAbove()
+                }
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Checks the teller's confirmation for a counter withdrawal (amount in rupees) given by the
+    // holders operating the account; above the threshold it must name each one's current
+    // specimen signature
+    static async checkSignature(holders, amount, confirmation, verifiedBy) {
+        try {
+            const threshold = await this.getSignatureCheckAbove();
+            if (amount <= threshold) {
+                return { success: true, required: false, check: null };
+            }
+
+            const signatures = await mainDb.all(
+                `SELECT id, customer_id, version FROM customer_documents
+                 WHERE customer_id IN (${holders.map(() => '?').join(', ')}) AND document_type = 'signature' AND is_current = 1`,
+                holders.map(holder => holder.customer_id)
+            );
+            const unsigned = holders.filter(holder => !signatures.some(signature => signature.customer_id === holder.customer_id));
+            if (unsigned.length > 0) {
+                throw new Error(`No specimen signature is on file for ${unsigned.map(holder => holder.name).join(', ')}; upload one before paying out more than ₹${threshold}`);
+            }
+            if (!confirmation || confirmation.signature_verified !== true) {
+                throw new Error(`Withdrawals above ₹${threshold} need the signature of every holder operating the account verified`);
+            }
+            const confirmed = Array.isArray(confirmation.signature_document_ids)
+                ? confirmation.signature_document_ids.map(id => parseInt(id))
+                : [];
+            if (signatures.some(signature => !confirmed.includes(signature.id))) {
+                throw new Error('The signatures checked are not the current specimens of every holder; check the signatures again');
+            }
+
+            return {
+                success: true,
+                required: true,
+                check: {
+                    verified_by: verifiedBy,
+                    documents: signatures.map(signature => ({
+                        customer_id: signature.customer_id,
+                        document_id: signature.id,
+                        document_version: signature.version
+                    }))
+                }
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Whose signatures a check covered, against which specimen versions, for the audit log
+    static describeCheck(holders, check) {
+        return check.documents.map(document => {
+            const holder = holders.find(entry => entry.customer_id === document.customer_id);
+            return `${holder ? holder.name : `customer #${document.customer_id}`} (specimen version ${document.document_version})`;
+        }).join(', ');
+    }
+
+    // Whether an account may be opened for the customer
+    static async checkForAccount(customerId) {
+        try {
+            const customer = await mainDb.get('SELECT id, name, kyc_status, kyc_due_date FROM customers WHERE id = ?', [customerId]);
+            if (!customer) {
+                return { success: false, error: 'Customer not found' };
+            }
+
+            const status = this.effectiveStatus(customer);
+            return { success: true, verified: status === 'verified', status, customer_name: customer.name };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+module.exports = CustomerDocument;
@@ -0,0 +1,632 @@
+const mainDb = require('../config/db_main');
+const txnDb = require('../config/db_txn');
+const JointHolder = require('./JointHolder');
+const Loan = require('./Loan');
+const LoanGuarantor = require('./LoanGuarantor');
+const CustomerDocument = require('./CustomerDocument');
+const coordinator = require('../utils/transactionCoordinator');
+const nameMatching = require('../utils/nameMatching');
+
+// Tables whose customer_id moves to the surviving customer, in each database
+const MAIN_TABLES = [
+    'accounts', 'fixed_deposits', 'recurring_deposits', 'loans', 'loan_guarantors', 'loan_collateral',
+    'standing_instructions', 'kyc_reviews', 'product_holders', 'product_nominees', 'deceased_claim_claimants'
+];
+const TXN_TABLES = [
+    'transactions', 'fd_transactions', 'rd_transactions', 'loan_transactions',
+    'interest_calculations', 'interest_postings', 'gl_journal_entries', 'transaction_holders'
+];
+
+// Details the surviving record takes from the merged one where it has none of its own
+const FILLED_FIELDS = ['email', 'dob', 'aadhaar', 'pan', 'address', 'inheritor_name', 'inheritor_relation', 'inheritor_contact'];
+
+/**
+ * Duplicate customer records: detection and merging.
+ *
+ * The duplicate_scan job compares the active customers in blocks that share a phone, a
+ * PAN, a date of birth or the start of their first and last names (see
+ * utils/nameMatching, which compares Marathi and English spellings). A pair is scored on
+ * its names, PAN, phone and date of birth; different Aadhaar or PAN numbers mean different
+ * people, and a shared phone or date of birth without a similar name is taken for a
+ * family. Pairs scoring REVIEW_THRESHOLD or more wait in customer_duplicates as 'pending'
+ * until an admin merges or dismisses them. A dismissed pair is not raised again; a pending
+ * pair that no longer matches leaves the queue.
+ *
+ * A merge moves everything of one record to the surviving one in both databases in a
+ * single coordinator operation: products, loans and guarantees, standing instructions,
+ * documents (numbered after the survivor's own versions), KYC history, holder and
+ * nominee rows and every transaction and ledger entry. Where the two records hold the
+ * same product, the extra holder row is removed. Overlapping nominees or guarantees,
+ * more open guarantees between them than one member may give, or different Aadhaar or
+ * PAN numbers, block the merge until they are sorted out. The
+ * survivor keeps its own details, KYC status and phone, filling any gaps from the merged
+ * record, which is deactivated with merged_into_id set. customer_merges keeps a snapshot
+ * of the merged record and the ids of every row that was moved.
+ */
+class CustomerDuplicate {
+    static get REVIEW_THRESHOLD() {
+        return 50;
+    }
+
+    static get STATUSES() {
+        return ['pending', 'dismissed', 'merged'];
+    }
+
+    static get MAIN_TABLES() {
+        return MAIN_TABLES;
+    }
+
+    static get TXN_TABLES() {
+        return TXN_TABLES;
+    }
+
+    static normalizePhone(phone) {
+        const digits = String(phone || '').replace(/\D/g, '');
+        return digits.length >= 10 ? digits.slice(-10) : null;
+    }
+
+    static normalizePan(pan) {
+        const value = String(pan || '').trim().toUpperCase();
+        return value || null;
+    }
+
+    // Scores two customers as the same person, or null when they cannot be
+    static compare(a, b) {
+        if (a.aadhaar && b.aadhaar && a.aadhaar !== b.aadhaar) {
+            return null;
+        }
+        const panA = this.normalizePan(a.pan);
+        const panB = this.normalizePan(b.pan);
+        if (panA && panB && panA !== panB) {
+            return null;
+        }
+
+        const samePan = Boolean(panA) && panA === panB;
+        const similarity = nameMatching.similarity(a.name, b.name);
+        // A shared phone or date of birth alone is a family, not a duplicate
+        if (similarity < 0.75 && !samePan) {
+            return null;
+        }
+
+        let score = 0;
+        const reasons = [];
+        const scripts = nameMatching.isDevanagari(a.name) !== nameMatching.isDevanagari(b.name) ? ' in Marathi and English' : '';
+
+        if (similarity >= 0.95) {
+            score += 40;
+            reasons.push(`Same name${scripts}`);
+        } else if (similarity >= 0.85) {
+            score += 30;
+            reasons.push(`Similar names${scripts} (${Math.round(similarity * 100)}%)`);
+        } else if (similarity >= 0.75) {
+            score += 15;
+            reasons.push(`Names partly alike${scripts} (${Math.round(similarity * 100)}%)`);
+        }
+
+        if (samePan) {
+            score += 50;
+            reasons.push('Same PAN');
+        }
+
+        const phone = this.normalizePhone(a.phone);
+        if (phone && phone === this.normalizePhone(b.phone)) {
+            score += 25;
+            reasons.push('Same phone');
+        }
+
+        if (a.dob && b.dob) {
+            if (a.dob === b.dob) {
+                score += 20;
+                reasons.push('Same date of birth');
+            } else {
+                score -= 20;
+                reasons.push('Different dates of birth');
+            }
+        }
+
+        return { score: Math.max(0, Math.min(100, score)), similarity, reasons };
+    }
+
+    // Compares the active customers and refreshes the review queue (run by the duplicate_scan job)
+    static async scan() {
+        try {
+            const customers = await mainDb.all(
+                `SELECT id, name, phone, pan, dob, aadhaar FROM customers
+                 WHERE is_active = 1 AND date_of_death IS NULL
+                 ORDER BY id`
+            );
+
+            // Only customers sharing a block are compared
+            const blocks = new Map();
+            const addToBlock = (key, id) => {
+                if (!key) return;
+                if (!blocks.has(key)) blocks.set(key, []);
+                blocks.get(key).push(id);
+            };
+            for (const customer of customers) {
+                addToBlock(customer.phone && this.normalizePhone(customer.phone) && `phone:${this.normalizePhone(customer.phone)}`, customer.id);
+                addToBlock(this.normalizePan(customer.pan) && `pan:${this.normalizePan(customer.pan)}`, customer.id);
+                addToBlock(customer.dob && `dob:${customer.dob}`, customer.id);
+                addToBlock(nameMatching.blockKey(customer.name) && `name:${nameMatching.blockKey(customer.name)}`, customer.id);
+            }
+
+            const byId = new Map(customers.map(customer => [customer.id, customer]));
+            const found = new Map();
+            for (const ids of blocks.values()) {
+                for (let i = 0; i < ids.length; i++) {
+                    for (let j = i + 1; j < ids.length; j++) {
+                        const key = `${ids[i]}:${ids[j]}`;
+                        if (found.has(key)) continue;
+
+                        const match = this.compare(byId.get(ids[i]), byId.get(ids[j]));
+                        found.set(key, match && match.score >= this.REVIEW_THRESHOLD ? match : null);
+                    }
+                }
+            }
+
+            const summary = { customers_checked: customers.length, pairs_found: 0, new_pairs: 0, pairs_dropped: 0 };
+            await coordinator.execute('duplicate_scan', async ({ main }) => {
+                const existing = await main.all('SELECT id, customer_id, duplicate_customer_id, status FROM customer_duplicates');
+                const existingByKey = new Map(existing.map(row => [`${row.customer_id}:${row.duplicate_customer_id}`, row]));
+
+                for (const [key, match] of found) {
+                    if (!match) continue;
+                    summary.pairs_found++;
+
+                    const row = existingByKey.get(key);
+                    const [customerId, duplicateId] = key.split(':').map(Number);
+                    if (!row) {
+                        await main.run(
+                            `INSERT INTO customer_duplicates (customer_id, duplicate_customer_id, score, reasons)
+                             VALUES (?, ?, ?, ?)`,
+                            [customerId, duplicateId, match.score, JSON.stringify(match.reasons)]
+                        );
+                        summary.new_pairs++;
+                    } else if (row.status === 'pending') {
+                        await main.run(
+                            `UPDATE customer_duplicates SET score = ?, reasons = ?, last_detected_at = CURRENT_TIMESTAMP
+                             WHERE id = ?`,
+                            [match.score, JSON.stringify(match.reasons), row.id]
+                        );
+                    }
+                }
+
+                // Pending pairs that no longer match, or whose customers have gone, leave the queue
+                for (const row of existing) {
+                    const key = `${row.customer_id}:${row.duplicate_customer_id}`;
+                    if (row.status === 'pending' && !found.get(key)) {
+                        await main.run('DELETE FROM customer_duplicates WHERE id = ?', [row.id]);
+                        summary.pairs_dropped++;
+                    }
+                }
+            }, { customers: customers.length });
+
+            return { success: true, summary };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    static parse(row) {
+        return { ...row, reasons: JSON.parse(row.reasons || '[]') };
+    }
+
+    static async findAll(filters = {}) {
+        try {
+            const status = filters.status || 'pending';
+            if (!this.STATUSES.includes(status)) {
+                throw new Error(`Status must be one of: ${this.STATUSES.join(', ')}`);
+            }
+
+            const rows = await mainDb.all(
+                `SELECT d.*, a.name as customer_name, a.phone as customer_phone, a.pan as customer_pan, a.dob as customer_dob,
+                    b.name as duplicate_name, b.phone as duplicate_phone, b.pan as duplicate_pan, b.dob as duplicate_dob,
+                    u.name as reviewed_by_name
+                 FROM customer_duplicates d
+                 JOIN customers a ON d.customer_id = a.id
+                 JOIN customers b ON d.duplicate_customer_id = b.id
+                 LEFT JOIN users u ON d.reviewed_by = u.id
+                 WHERE d.status = ?
+                 ORDER BY ${status === 'pending' ? 'd.score DESC, d.id' : 'd.reviewed_at DESC, d.id DESC'}`,
+                [status]
+            );
+
+            return { success: true, duplicates: rows.map(row => this.parse(row)) };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // What each customer has, to judge which record to keep
+    static async getHoldings(customerId) {
+        const counts = {};
+        const queries = {
+            accounts: `SELECT COUNT(*) as count FROM accounts p WHERE p.customer_id = ? AND ${JointHolder.PRODUCTS.account.openSql}`,
+            fixed_deposits: `SELECT COUNT(*) as count FROM fixed_deposits p WHERE p.customer_id = ? AND ${JointHolder.PRODUCTS.fd.openSql}`,
+            recurring_deposits: `SELECT COUNT(*) as count FROM recurring_deposits p WHERE p.customer_id = ? AND ${JointHolder.PRODUCTS.rd.openSql}`,
+            loans: `SELECT COUNT(*) as count FROM loans WHERE customer_id = ? AND status IN (${Loan.OPEN_STATUSES.map(() => '?').join(', ')})`,
+            joint_holdings: `SELECT COUNT(*) as count FROM product_holders WHERE customer_id = ? AND status = 'active'`,
+            guarantees: `SELECT COUNT(*) as count FROM loan_guarantors WHERE customer_id = ? AND status = 'active'`,
+            documents: 'SELECT COUNT(*) as count FROM customer_documents WHERE customer_id = ? AND is_current = 1'
+        };
+        for (const [name, query] of Object.entries(queries)) {
+            const params = name === 'loans' ? [customerId, ...Loan.OPEN_STATUSES] : [customerId];
+            counts[name] = (await mainDb.get(query, params)).count;
+        }
+        counts.transactions = (await txnDb.get('SELECT COUNT(*) as count FROM transactions WHERE customer_id = ?', [customerId])).count;
+        return counts;
+    }
+
+    // The pair side by side, with what each holds and anything that would block merging them
+    static async findById(id) {
+        try {
+            const row = await mainDb.get('SELECT * FROM customer_duplicates WHERE id = ?', [id]);
+            if (!row) {
+                return { success: false, error: 'Duplicate not found' };
+            }
+
+            const customers = [];
+            for (const customerId of [row.customer_id, row.duplicate_customer_id]) {
+                const customer = await mainDb.get(
+                    `SELECT id, name, phone, email, dob, aadhaar, pan, address, kyc_status, is_active, date_of_death,
+                        merged_into_id, created_at
+                     FROM customers WHERE id = ?`,
+                    [customerId]
+                );
+                customers.push({ ...customer, holdings: await this.getHoldings(customerId) });
+            }
+
+            const conflicts = row.status === 'pending'
+                ? await this.findConflicts(mainDb, customers[0], customers[1])
+                : [];
+
+            return { success: true, duplicate: { ...this.parse(row), customers, conflicts } };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Reasons the two records cannot be merged as they stand; the same whichever survives
+    static async findConflicts(db, a, b) {
+        const conflicts = [];
+
+        for (const customer of [a, b]) {
+            if (!customer.is_active) {
+                conflicts.push(`${customer.name} is no longer an active customer`);
+            }
+            if (customer.date_of_death) {
+                conflicts.push(`${customer.name} is recorded as deceased; their claim is settled on that record`);
+            }
+        }
+        if (a.aadhaar && b.aadhaar && a.aadhaar !== b.aadhaar) {
+            conflicts.push('The records have different Aadhaar numbers');
+        }
+        if (a.pan && b.pan && this.normalizePan(a.pan) !== this.normalizePan(b.pan)) {
+            conflicts.push('The records have different PANs');
+        }
+
+        // A nominee of a product cannot also hold it, nor appear twice in its list
+        for (const [productType, config] of Object.entries(JointHolder.PRODUCTS)) {
+            const holdsSql = `(SELECT id FROM ${config.table} p WHERE p.customer_id IN (?, ?) AND ${config.openSql}
+                UNION SELECT h.product_id FROM product_holders h JOIN ${config.table} p ON h.product_id = p.id
+                    WHERE h.product_type = '${productType}' AND h.customer_id IN (?, ?) AND h.status = 'active' AND ${config.openSql})`;
+            const overlaps = await db.all(
+                `SELECT p.${config.number} as product_number, COUNT(*) as nominee_rows
+                 FROM product_nominees n
+                 JOIN ${config.table} p ON n.product_id = p.id
+                 WHERE n.product_type = ? AND n.status = 'active' AND n.customer_id IN (?, ?) AND ${config.openSql}
+                 GROUP BY n.product_id
+                 HAVING n.product_id IN ${holdsSql} OR COUNT(*) > 1`,
+                [productType, a.id, b.id, a.id, b.id, a.id, b.id]
+            );
+            for (const overlap of overlaps) {
+                conflicts.push(`${config.label} ${overlap.product_number} has one record as a nominee of the other, or both as nominees; change its nominees first`);
+            }
+        }
+
+        // Nor can a borrower guarantee their own loan, or guarantee it twice
+        const guarantees = await db.all(
+            `SELECT l.loan_number
+             FROM loan_guarantors g
+             JOIN loans l ON g.loan_id = l.id
+             WHERE g.status = 'active' AND g.customer_id IN (?, ?)
+             GROUP BY g.loan_id
+             HAVING l.customer_id IN (?, ?) OR COUNT(*) > 1`,
+            [a.id, b.id, a.id, b.id]
+        );
+        for (const guarantee of guarantees) {
+            conflicts.push(`Loan ${guarantee.loan_number} has one record as a guarantor of the other, or both as guarantors; release the guarantee first`);
+        }
+
+        // The survivor takes on every open guarantee of both, so together they must be within the limit
+        const max = await LoanGuarantor.getMaxGuarantees();
+        const openGuarantees = await db.get(
+            `SELECT COUNT(DISTINCT g.loan_id) as count FROM loan_guarantors g
+             JOIN loans l ON g.loan_id = l.id
+             WHERE g.customer_id IN (?, ?) AND g.status = 'active' AND l.status IN (${Loan.OPEN_STATUSES.map(() => '?').join(', ')})`,
+            [a.id, b.id, ...Loan.OPEN_STATUSES]
+        );
+        if (openGuarantees.count > max) {
+            conflicts.push(`Together the records guarantee ${openGuarantees.count} open loans, more than the ${max} one member may; release ${openGuarantees.count - max} first`);
+        }
+
+        return conflicts;
+    }
+
+    static async dismiss(id, note, reviewedBy) {
+        try {
+            if (!note || !note.trim()) {
+                throw new Error('A note on why these are different people is required');
+            }
+
+            const row = await mainDb.get('SELECT * FROM customer_duplicates WHERE id = ?', [id]);
+            if (!row) {
+                throw new Error('Duplicate not found');
+            }
+            if (row.status !== 'pending') {
+                throw new Error(`This pair was already ${row.status}`);
+            }
+
+            await mainDb.run(
+                `UPDATE customer_duplicates SET status = 'dismissed', reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, review_note = ?
+                 WHERE id = ?`,
+                [reviewedBy, note.trim(), id]
+            );
+
+            return await this.findById(id);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Removes the holder rows that would leave one person holding a product twice once the
+    // merged customer becomes the survivor; returns the ids of the rows removed
+    static async resolveSharedHoldings(main, survivor, merged) {
+        const removed = [];
+
+        for (const [productType, config] of Object.entries(JointHolder.PRODUCTS)) {
+            const rows = await main.all(
+                `SELECT h.id, h.product_id, h.customer_id
+                 FROM product_holders h
+                 JOIN ${config.table} p ON h.product_id = p.id
+                 WHERE h.product_type = ? AND h.status = 'active' AND (
+                    (h.customer_id = ? AND (p.customer_id = ? OR EXISTS (
+                        SELECT 1 FROM product_holders o WHERE o.product_type = h.product_type AND o.product_id = h.product_id
+                            AND o.customer_id = ? AND o.status = 'active')))
+                    OR (h.customer_id = ? AND p.customer_id = ?)
+                 )`,
+                [productType, merged.id, survivor.id, survivor.id, survivor.id, merged.id]
+            );
+
+            for (const row of rows) {
+                await main.run(
+                    `UPDATE product_holders SET status = 'removed', removed_at = CURRENT_TIMESTAMP, remove_note = ?
+                     WHERE id = ?`,
+                    [`Same person as the other holder; records ${merged.id} and ${survivor.id} merged`, row.id]
+                );
+                removed.push(row.id);
+
+                // A product left with no joint holders is operated singly again
+                const others = await main.get(
+                    `SELECT COUNT(*) as count FROM product_holders WHERE product_type = ? AND product_id = ? AND status = 'active'`,
+                    [productType, row.product_id]
+                );
+                if (others.count === 0) {
+                    await main.run(
+                        `UPDATE ${config.table} SET operating_mode = 'single', updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                        [row.product_id]
+                    );
+                }
+            }
+        }
+
+        return removed;
+    }
+
+    // Moves the merged customer's documents to the survivor as later versions; the
+    // survivor's current documents stay current
+    static async moveDocuments(main, survivorId, mergedId) {
+        const documents = await main.all(
+            'SELECT * FROM customer_documents WHERE customer_id = ? ORDER BY document_type, version',
+            [mergedId]
+        );
+
+        for (const document of documents) {
+            const latest = await main.get(
+                `SELECT MAX(version) as version, MAX(is_current) as has_current
+                 FROM customer_documents WHERE customer_id = ? AND document_type = ?`,
+                [survivorId, document.document_type]
+            );
+            const isCurrent = document.is_current && !latest.has_current ? 1 : 0;
+
+            await main.run(
+                'UPDATE customer_documents SET customer_id = ?, version = ?, is_current = ? WHERE id = ?',
+                [survivorId, (latest.version || 0) + 1, isCurrent, document.id]
+            );
+            if (isCurrent) {
+                await main.run(
+                    `UPDATE customers SET ${CustomerDocument.TYPES[document.document_type].column} = ? WHERE id = ?`,
+                    [`/uploads/${document.file_path}`, survivorId]
+                );
+            }
+        }
+
+        return documents.map(document => document.id);
+    }
+
+    // Merges one customer record into another; duplicateId is the queue entry it settles, if any
+    static async merge(survivorId, mergedId, mergedBy, options = {}) {
+        try {
+            const { duplicateId = null, note = null } = options;
+            if (!survivorId || !mergedId) {
+                throw new Error('Both the surviving and the merged customer are required');
+            }
+            if (survivorId === mergedId) {
+                throw new Error('A customer cannot be merged into itself');
+            }
+
+            const mergeId = await coordinator.execute('customer_merge', async ({ main, txn }) => {
+                const survivor = await main.get('SELECT * FROM customers WHERE id = ?', [survivorId]);
+                const merged = await main.get('SELECT * FROM customers WHERE id = ?', [mergedId]);
+                if (!survivor || !merged) {
+                    throw new Error('Customer not found');
+                }
+
+                if (duplicateId) {
+                    const pair = await main.get('SELECT * FROM customer_duplicates WHERE id = ?', [duplicateId]);
+                    if (!pair) {
+                        throw new Error('Duplicate not found');
+                    }
+                    if (pair.status !== 'pending') {
+                        throw new Error(`This pair was already ${pair.status}`);
+                    }
+                    const pairIds = [pair.customer_id, pair.duplicate_customer_id];
+                    if (!pairIds.includes(survivorId) || !pairIds.includes(mergedId)) {
+                        throw new Error('The surviving customer must be one of the pair');
+                    }
+                }
+
+                const conflicts = await this.findConflicts(main, survivor, merged);
+                if (conflicts.length > 0) {
+                    throw new Error(conflicts.join('; '));
+                }
+
+                const moved = {
+                    holders_removed: await this.resolveSharedHoldings(main, survivor, merged),
+                    customer_documents: await this.moveDocuments(main, survivorId, mergedId)
+                };
+
+                for (const table of MAIN_TABLES) {
+                    const rows = await main.all(`SELECT id FROM ${table} WHERE customer_id = ?`, [mergedId]);
+                    if (rows.length > 0) {
+                        await main.run(`UPDATE ${table} SET customer_id = ? WHERE customer_id = ?`, [survivorId, mergedId]);
+                    }
+                    moved[table] = rows.map(row => row.id);
+                }
+                for (const table of TXN_TABLES) {
+                    const rows = await txn.all(`SELECT id FROM ${table} WHERE customer_id = ?`, [mergedId]);
+                    if (rows.length > 0) {
+                        await txn.run(`UPDATE ${table} SET customer_id = ? WHERE customer_id = ?`, [survivorId, mergedId]);
+                    }
+                    moved[table] = rows.map(row => row.id);
+                }
+
+                // Aadhaar is unique, so the merged record gives it up before the survivor takes it
+                const copied = {};
+                for (const field of FILLED_FIELDS) {
+                    if (!survivor[field] && merged[field]) {
+                        copied[field] = merged[field];
+                    }
+                }
+                await main.run(
+                    `UPDATE customers SET is_active = 0, aadhaar = NULL, merged_into_id = ?, merged_at = CURRENT_TIMESTAMP,
+                        updated_at = CURRENT_TIMESTAMP
+                     WHERE id = ?`,
+                    [survivorId, mergedId]
+                );
+                if (Object.keys(copied).length > 0) {
+                    const fields = Object.keys(copied);
+                    await main.run(
+                        `UPDATE customers SET ${fields.map(field => `${field} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                        [...fields.map(field => copied[field]), survivorId]
+                    );
+                }
+
+                const record = await main.run(
+                    `INSERT INTO customer_merges (
+                        surviving_customer_id, merged_customer_id, duplicate_id, merged_record, fields_copied, moved_rows, note, merged_by
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [
+                        survivorId, mergedId, duplicateId, JSON.stringify(merged), JSON.stringify(copied),
+                        JSON.stringify(moved), note, mergedBy
+                    ]
+                );
+
+                // The pair is settled; other pending pairs of the merged record are found again
+                // against the survivor on the next scan
+                const [low, high] = survivorId < mergedId ? [survivorId, mergedId] : [mergedId, survivorId];
+                await main.run(
+                    `UPDATE customer_duplicates SET status = 'merged', reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, review_note = ?
+                     WHERE customer_id = ? AND duplicate_customer_id = ?`,
+                    [mergedBy, note, low, high]
+                );
+                await main.run(
+                    `DELETE FROM customer_duplicates WHERE status = 'pending' AND (customer_id = ? OR duplicate_customer_id = ?)`,
+                    [mergedId, mergedId]
+                );
+
+                return record.id;
+            }, { surviving_customer_id: survivorId, merged_customer_id: mergedId });
+
+            return await this.findMerge(mergeId);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    static describeMerge(row) {
+        const moved = JSON.parse(row.moved_rows);
+        return {
+            ...row,
+            merged_record: JSON.parse(row.merged_record),
+            fields_copied: JSON.parse(row.fields_copied || '{}'),
+            moved_rows: moved,
+            moved_counts: Object.fromEntries(
+                Object.entries(moved).filter(([, ids]) => ids.length > 0).map(([table, ids]) => [table, ids.length])
+            )
+        };
+    }
+
+    static async findMerge(id) {
+        try {
+            const row = await mainDb.get(
+                `SELECT m.*, s.name as surviving_name, u.name as merged_by_name
+                 FROM customer_merges m
+                 JOIN customers s ON m.surviving_customer_id = s.id
+                 LEFT JOIN users u ON m.merged_by = u.id
+                 WHERE m.id = ?`,
+                [id]
+            );
+            if (!row) {
+                return { success: false, error: 'Merge not found' };
+            }
+
+            return { success: true, merge: this.describeMerge(row) };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    static async findMerges(filters = {}) {
+        try {
+            let query = `
+                SELECT m.*, s.name as surviving_name, u.name as merged_by_name
+                FROM customer_merges m
+                JOIN customers s ON m.surviving_customer_id = s.id
+                LEFT JOIN users u ON m.merged_by = u.id
+                WHERE 1 = 1
+            `;
+            const params = [];
+
+            if (filters.customer_id) {
+                query += ' AND (m.surviving_customer_id = ? OR m.merged_customer_id = ?)';
+                params.push(filters.customer_id, filters.customer_id);
+            }
+
+            query += ' ORDER BY m.merged_at DESC, m.id DESC';
+
+            const rows = await mainDb.all(query, params);
+            return {
+                success: true,
+                merges: rows.map(row => {
+                    const { moved_rows, ...merge } = this.describeMerge(row);
+                    return merge;
+                })
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+module.exports = CustomerDuplicate;
@@ -0,0 +1,895 @@
+const fs = require('fs').promises;
+const path = require('path');
+const mainDb = require('../config/db_main');
+const txnDb = require('../config/db_txn');
+const Account = require('./Account');
+const FD = require('./FD');
+const RD = require('./RD');
+const Loan = require('./Loan');
+const JointHolder = require('./JointHolder');
+const Nominee = require('./Nominee');
+const CustomerDocument = require('./CustomerDocument');
+const coordinator = require('../utils/transactionCoordinator');
+const money = require('../utils/money');
+
+/**
+ * Claims on the products of a deceased member.
+ *
+ * Opening a claim records the date of death on the customer. Open products the member
+ * held jointly pass to the surviving holders (JointHolder.passToSurvivors); the rest of
+ * their accounts, FDs and RDs and their loans being repaid are frozen against the claim,
+ * and loan applications still in progress are rejected. Frozen products take no postings
+ * and their holders and nominees cannot change.
+ *
+ * The settlement is worked out afresh whenever it is shown: each account's balance and
+ * what FD.close and RD.close would pay that day, less what the member's loans need to be
+ * foreclosed. Loans are netted first against products without nominees, then against the
+ * rest in turn. What is left of a product is shared among its nominees; products without
+ * nominees go to the legal heirs recorded on the claim. A minor's share is paid to their
+ * guardian. Each claimant is paid in cash or to an account.
+ *
+ * A user submits the claim once its documents are in and a different admin approves it,
+ * which settles it in one coordinator operation: the loans are foreclosed, or paid down as
+ * far as the estate goes, the products are closed through their own models, payouts to
+ * accounts are credited and the settlement statement is kept on the claim. A rejected
+ * claim goes back to open for correction.
+ */
+class DeceasedClaim {
+    static get DOCUMENT_TYPES() {
+        return {
+            death_certificate: 'Death certificate',
+            claim_form: 'Claim form',
+            claimant_id_proof: 'Claimant ID proof',
+            legal_heir_certificate: 'Legal heir certificate',
+            indemnity_bond: 'Indemnity bond',
+            other: 'Other'
+        };
+    }
+
+    // Documents every claim needs before it is submitted; a claim paying legal heirs also
+    // needs the legal heir certificate
+    static get REQUIRED_DOCUMENTS() {
+        return ['death_certificate', 'claim_form'];
+    }
+
+    static get PAYOUT_MODES() {
+        return ['cash', 'account'];
+    }
+
+    static get MAX_HEIRS() {
+        return 10;
+    }
+
+    static get MONEY_FIELDS() {
+        return ['submitted_amount'];
+    }
+
+    static today() {
+        return new Date().toISOString().split('T')[0];
+    }
+
+    static async generateClaimNumber() {
+        const prefix = 'DC';
+        const timestamp = Date.now().toString().slice(-8);
+        const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+        const claimNumber = `${prefix}${timestamp}${random}`;
+
+        // Check if claim number already exists
+        const existing = await mainDb.get('SELECT id FROM deceased_claims WHERE claim_number = ?', [claimNumber]);
+        if (existing) {
+            return await this.generateClaimNumber();
+        }
+
+        return claimNumber;
+    }
+
+    // Records the death, passes joint products to the survivors and freezes the rest
+    static async open(claimData, openedBy) {
+        try {
+            const { customer_id, date_of_death, informant_name, informant_relation, informant_phone, notes } = claimData;
+
+            if (!customer_id) {
+                throw new Error('Customer is required');
+            }
+            if (!date_of_death || !/^\d{4}-\d{2}-\d{2}$/.test(date_of_death) || date_of_death > this.today()) {
+                throw new Error('A valid date of death, not in the future, is required');
+            }
+            if (!informant_name || !informant_name.trim()) {
+                throw new Error('The name of the person reporting the death is required');
+            }
+
+            const customer = await mainDb.get(
+                'SELECT id, name, dob, date_of_death FROM customers WHERE id = ? AND is_active = 1',
+                [customer_id]
+            );
+            if (!customer) {
+                throw new Error('Customer not found');
+            }
+            if (customer.date_of_death) {
+                throw new Error(`${customer.name} is already recorded as deceased`);
+            }
+            if (customer.dob && date_of_death < customer.dob) {
+                throw new Error('Date of death is before the date of birth');
+            }
+
+            const claimNumber = await this.generateClaimNumber();
+
+            const claimId = await coordinator.execute('deceased_claim_open', async ({ main }) => {
+                const marked = await main.run(
+                    'UPDATE customers SET date_of_death = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND date_of_death IS NULL',
+                    [date_of_death, customer.id]
+                );
+                if (marked.changes === 0) {
+                    throw new Error(`${customer.name} is already recorded as deceased`);
+                }
+
+                const survivorship = await JointHolder.passToSurvivors(main, customer, date_of_death, openedBy);
+
+                const inserted = await main.run(
+                    `INSERT INTO deceased_claims (
+                        claim_number, customer_id, date_of_death, informant_name, informant_relation, informant_phone,
+                        notes, survivorship, opened_by
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [
+                        claimNumber, customer.id, date_of_death, informant_name.trim(), informant_relation || null,
+                        informant_phone || null, notes || null, JSON.stringify(survivorship), openedBy
+                    ]
+                );
+
+                await main.run(
+                    'UPDATE accounts SET frozen_claim_id = ?, updated_at = CURRENT_TIMESTAMP WHERE customer_id = ? AND is_active = 1',
+                    [inserted.id, customer.id]
+                );
+                await main.run(
+                    `UPDATE fixed_deposits SET frozen_claim_id = ?, updated_at = CURRENT_TIMESTAMP
+                     WHERE customer_id = ? AND status IN ('active', 'matured')`,
+                    [inserted.id, customer.id]
+                );
+                await main.run(
+                    `UPDATE recurring_deposits SET frozen_claim_id = ?, updated_at = CURRENT_TIMESTAMP
+                     WHERE customer_id = ? AND status IN ('active', 'defaulted', 'completed', 'matured')`,
+                    [inserted.id, customer.id]
+                );
+                await main.run(
+                    `UPDATE loans SET frozen_claim_id = ?, updated_at = CURRENT_TIMESTAMP
+                     WHERE customer_id = ? AND status IN (${Loan.REPAYING_STATUSES.map(() => '?').join(', ')})`,
+                    [inserted.id, customer.id, ...Loan.REPAYING_STATUSES]
+                );
+
+                // Nothing more is disbursed to a deceased applicant
+                const applications = await main.all(
+                    `SELECT * FROM loans WHERE customer_id = ? AND status IN ('applied', 'under_review', 'sanctioned')`,
+                    [customer.id]
+                );
+                const reason = `Applicant died on ${date_of_death}`;
+                for (const loan of applications) {
+                    await Loan.transition(main, loan, 'rejected', openedBy, reason, { rejection_reason: reason });
+                    await Loan.releaseSecurity(main, loan.id, openedBy, 'Loan application rejected');
+                }
+
+                // The nominees of each frozen product claim their shares of it
+                for (const [productType, config] of Object.entries(JointHolder.PRODUCTS)) {
+                    await main.run(
+                        `INSERT INTO deceased_claim_claimants (
+                            claim_id, claimant_type, nominee_id, product_type, product_id, customer_id, name, relationship,
+                            dob, phone, address, share_percent, guardian_name, guardian_relation, created_by
+                        )
+                        SELECT ?, 'nominee', n.id, n.product_type, n.product_id, n.customer_id, n.name, n.relationship,
+                            n.dob, n.phone, n.address, n.share_percent, n.guardian_name, n.guardian_relation, ?
+                        FROM product_nominees n
+                        JOIN ${config.table} p ON n.product_id = p.id
+                        WHERE n.product_type = ? AND n.status = 'active' AND p.frozen_claim_id = ?
+                        ORDER BY n.product_id, n.id`,
+                        [inserted.id, openedBy, productType, inserted.id]
+                    );
+                }
+
+                return inserted.id;
+            }, { customer_id: customer.id, date_of_death });
+
+            return await this.findById(claimId);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    static async findRecordById(id, db = mainDb) {
+        const claim = await db.get(`
+            SELECT dc.*, c.name as customer_name, c.phone as customer_phone, c.address as customer_address,
+                o.name as opened_by_name, s.name as submitted_by_name, r.name as rejected_by_name, st.name as settled_by_name
+            FROM deceased_claims dc
+            JOIN customers c ON dc.customer_id = c.id
+            LEFT JOIN users o ON dc.opened_by = o.id
+            LEFT JOIN users s ON dc.submitted_by = s.id
+            LEFT JOIN users r ON dc.rejected_by = r.id
+            LEFT JOIN users st ON dc.settled_by = st.id
+            WHERE dc.id = ?
+        `, [id]);
+        if (!claim) {
+            throw new Error('Claim not found');
+        }
+        return claim;
+    }
+
+    static async findClaimants(claimId, db = mainDb) {
+        return db.all(
+            `SELECT cl.*, a.account_number as payout_account_number, a.is_active as payout_account_active,
+                a.frozen_claim_id as payout_account_frozen
+             FROM deceased_claim_claimants cl
+             LEFT JOIN accounts a ON cl.payout_account_id = a.id
+             WHERE cl.claim_id = ? AND cl.status = 'active'
+             ORDER BY cl.claimant_type DESC, cl.id`,
+            [claimId]
+        );
+    }
+
+    // Whether settling the claim pays any claimant in cash
+    static async paysCash(claimId) {
+        const claimants = await this.findClaimants(claimId);
+        return claimants.some(claimant => claimant.payout_mode === 'cash');
+    }
+
+    static describeDocument(document) {
+        return {
+            ...document,
+            label: this.DOCUMENT_TYPES[document.document_type],
+            url: `/claims/${document.claim_id}/documents/${document.id}/file`
+        };
+    }
+
+    // The claim with its documents, claimants and, until it is settled, the settlement as
+    // it would be paid today; a settled claim carries the statement it was paid on
+    static async findById(id) {
+        try {
+            const claim = await this.findRecordById(id);
+
+            const documents = await mainDb.all(
+                `SELECT d.*, u.name as uploaded_by_name
+                 FROM deceased_claim_documents d
+                 LEFT JOIN users u ON d.uploaded_by = u.id
+                 WHERE d.claim_id = ?
+                 ORDER BY d.uploaded_at, d.id`,
+                [id]
+            );
+            const claimants = await this.findClaimants(id);
+
+            const settlement = claim.status === 'settled'
+                ? JSON.parse(claim.statement)
+                : this.settlementToRupees(await this.computeSettlement(claim, { main: mainDb, txn: txnDb }));
+
+            const { statement, survivorship, ...record } = claim;
+            return {
+                success: true,
+                claim: {
+                    ...money.rowToRupees(record, this.MONEY_FIELDS),
+                    survivorship: JSON.parse(survivorship || '[]'),
+                    documents: documents.map(document => this.describeDocument(document)),
+                    claimants: claimants.map(claimant => ({ ...claimant, is_minor: Nominee.isMinor(claimant.dob) })),
+                    settlement
+                }
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    static async findAll(filters = {}) {
+        try {
+            let query = `
+                SELECT dc.id, dc.claim_number, dc.customer_id, dc.date_of_death, dc.status, dc.opened_at, dc.submitted_at,
+                    dc.submitted_amount, dc.submitted_by, dc.settled_at, dc.rejection_reason,
+                    c.name as customer_name, o.name as opened_by_name
+                FROM deceased_claims dc
+                JOIN customers c ON dc.customer_id = c.id
+                LEFT JOIN users o ON dc.opened_by = o.id
+                WHERE 1 = 1
+            `;
+            const params = [];
+
+            if (filters.status) {
+                query += ' AND dc.status = ?';
+                params.push(filters.status);
+            }
+            if (filters.customer_id) {
+                query += ' AND dc.customer_id = ?';
+                params.push(filters.customer_id);
+            }
+
+            query += ' ORDER BY dc.opened_at DESC, dc.id DESC';
+
+            const claims = await mainDb.all(query, params);
+            return { success: true, claims: money.rowsToRupees(claims, this.MONEY_FIELDS) };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Splits an amount (paise) by the claimants' shares; the last one takes the rounding
+    static splitByShares(amount, claimants) {
+        let allocated = 0;
+        return claimants.map((claimant, index) => {
+            const share = index === claimants.length - 1
+                ? amount - allocated
+                : Math.floor(amount * Math.round(claimant.share_percent * 100) / 10000);
+            allocated += share;
+            return { claimant, amount: share };
+        });
+    }
+
+    // What settling the claim today pays (amounts in paise), with anything that stops it
+    // being settled in `blocking`
+    static async computeSettlement(claim, handles) {
+        const { main } = handles;
+        const closureDate = new Date();
+        const blocking = [];
+        const products = [];
+
+        const accounts = await main.all('SELECT * FROM accounts WHERE frozen_claim_id = ? ORDER BY id', [claim.id]);
+        for (const account of accounts) {
+            products.push({
+                product_type: 'account',
+                product_id: account.id,
+                product_number: account.account_number,
+                description: `${account.account_type} account balance`,
+                gross: account.balance,
+                quote: null
+            });
+        }
+
+        const fds = await main.all('SELECT * FROM fixed_deposits WHERE frozen_claim_id = ? ORDER BY id', [claim.id]);
+        for (const fd of fds) {
+            const quote = await FD.quoteClosure(fd, closureDate, false);
+            const lien = await FD.getLien(fd.id, main);
+            products.push({
+                product_type: 'fd',
+                product_id: fd.id,
+                product_number: fd.fd_number,
+                description: quote.is_premature ? 'FD closed before maturity' : 'FD paid at maturity',
+                gross: quote.closure_amount,
+                quote,
+                lien_loan_id: lien ? lien.loan_id : null
+            });
+            if (lien && !(await main.get('SELECT id FROM loans WHERE id = ? AND frozen_claim_id = ?', [lien.loan_id, claim.id]))) {
+                blocking.push(`FD ${fd.fd_number} is pledged for loan ${lien.loan_number}, which is not part of this claim; release the lien first`);
+            }
+        }
+
+        const rds = await main.all('SELECT * FROM recurring_deposits WHERE frozen_claim_id = ? ORDER BY id', [claim.id]);
+        for (let rd of rds) {
+            // Quoted on the position closing would save
+            if (RD.OPEN_STATUSES.includes(rd.status)) {
+                const calendar = await RD.computeCalendar(rd.id, handles);
+                rd = { ...rd, status: calendar.status, total_paid: calendar.total_paid, maturity_amount: calendar.maturity_amount };
+            }
+            const quote = await RD.quoteClosure(rd, closureDate, false);
+            products.push({
+                product_type: 'rd',
+                product_id: rd.id,
+                product_number: rd.rd_number,
+                description: quote.is_premature ? 'RD closed before maturity' : 'RD paid at maturity',
+                gross: quote.closure_amount,
+                quote
+            });
+        }
+
+        // Loans secured by the member's own FDs are recovered first so those FDs can be released
+        const loanRows = await main.all('SELECT * FROM loans WHERE frozen_claim_id = ? ORDER BY id', [claim.id]);
+        const pledged = new Set(products.filter(product => product.lien_loan_id).map(product => product.lien_loan_id));
+        const loans = [];
+        for (const loan of [...loanRows.filter(row => pledged.has(row.id)), ...loanRows.filter(row => !pledged.has(row.id))]) {
+            const plan = await Loan.computePlan(loan.id, handles);
+            loans.push({
+                loan_id: loan.id,
+                loan_number: loan.loan_number,
+                owed: Math.max(0, Loan.quoteForeclosure(loan, plan).total)
+            });
+        }
+
+        const estate = products.reduce((total, product) => total + product.gross, 0);
+        let available = estate;
+        for (const loan of loans) {
+            loan.recovered = Math.min(loan.owed, available);
+            loan.shortfall = loan.owed - loan.recovered;
+            available -= loan.recovered;
+            if (loan.shortfall > 0 && pledged.has(loan.loan_id)) {
+                blocking.push(`Loan ${loan.loan_number} is not covered by the estate, so the FD pledged for it cannot be released; collect the rest of the loan first`);
+            }
+        }
+        const recovered = estate - available;
+
+        const claimants = await this.findClaimants(claim.id, main);
+        const heirs = claimants.filter(claimant => claimant.claimant_type === 'heir');
+        for (const product of products) {
+            product.claimants = claimants.filter(claimant => claimant.claimant_type === 'nominee'
+                && claimant.product_type === product.product_type && claimant.product_id === product.product_id);
+            product.paid_to_heirs = product.claimants.length === 0;
+        }
+
+        // Loans come out of what the heirs receive before what the nominees receive
+        let toDeduct = recovered;
+        for (const product of [...products.filter(p => p.paid_to_heirs), ...products.filter(p => !p.paid_to_heirs)]) {
+            product.loan_deduction = Math.min(product.gross, toDeduct);
+            product.net = product.gross - product.loan_deduction;
+            toDeduct -= product.loan_deduction;
+        }
+
+        const unnominated = products.filter(product => product.paid_to_heirs && product.net > 0);
+        if (unnominated.length > 0 && heirs.length === 0) {
+            blocking.push(`Record the legal heirs: ${unnominated.map(product => product.product_number).join(', ')} have no nominee`);
+        }
+
+        for (const product of products) {
+            const payees = product.paid_to_heirs ? heirs : product.claimants;
+            product.payees = this.splitByShares(product.net, payees).map(({ claimant, amount }) => {
+                const isMinor = Nominee.isMinor(claimant.dob);
+                return {
+                    claimant_id: claimant.id,
+                    claimant_type: claimant.claimant_type,
+                    name: claimant.name,
+                    relationship: claimant.relationship,
+                    share_percent: claimant.share_percent,
+                    is_minor: isMinor,
+                    paid_to: isMinor ? `${claimant.guardian_name}, guardian of ${claimant.name}` : claimant.name,
+                    payout_mode: claimant.payout_mode,
+                    payout_account_id: claimant.payout_account_id,
+                    payout_account_number: claimant.payout_account_number,
+                    amount
+                };
+            });
+            delete product.claimants;
+        }
+
+        for (const claimant of claimants) {
+            if (claimant.payout_mode === 'account' && (!claimant.payout_account_active || claimant.payout_account_frozen)) {
+                blocking.push(`Account ${claimant.payout_account_number} chosen for ${claimant.name} is closed or frozen`);
+            }
+        }
+
+        return {
+            as_of: this.today(),
+            products,
+            loans,
+            totals: {
+                estate,
+                loans_owed: loans.reduce((total, loan) => total + loan.owed, 0),
+                loans_recovered: recovered,
+                loan_shortfall: loans.reduce((total, loan) => total + loan.shortfall, 0),
+                payable: estate - recovered
+            },
+            pays_heirs: products.some(product => product.paid_to_heirs && product.net > 0),
+            blocking
+        };
+    }
+
+    static settlementToRupees(settlement) {
+        return {
+            ...settlement,
+            products: settlement.products.map(product => ({
+                ...money.rowToRupees(product, ['gross', 'loan_deduction', 'net']),
+                quote: product.quote ? money.rowToRupees(product.quote, FD.QUOTE_MONEY_FIELDS) : null,
+                payees: money.rowsToRupees(product.payees, ['amount'])
+            })),
+            loans: money.rowsToRupees(settlement.loans, ['owed', 'recovered', 'shortfall']),
+            totals: money.rowToRupees(settlement.totals, Object.keys(settlement.totals))
+        };
+    }
+
+    // An account a claimant is paid into: open and not itself frozen
+    static async validatePayout(db, payoutMode, payoutAccountId) {
+        if (!this.PAYOUT_MODES.includes(payoutMode)) {
+            throw new Error(`Payout mode must be one of: ${this.PAYOUT_MODES.join(', ')}`);
+        }
+        if (payoutMode === 'cash') {
+            return null;
+        }
+
+        if (!payoutAccountId) {
+            throw new Error('An account is required for a payout to an account');
+        }
+        const account = await db.get('SELECT id, account_number, is_active, frozen_claim_id FROM accounts WHERE id = ?', [payoutAccountId]);
+        if (!account || !account.is_active) {
+            throw new Error('Payout account not found or closed');
+        }
+        if (account.frozen_claim_id) {
+            throw new Error(`Account ${account.account_number} is frozen and cannot receive the payout`);
+        }
+        return account.id;
+    }
+
+    static async getOpenClaim(id, db) {
+        const claim = await this.findRecordById(id, db);
+        if (claim.status !== 'open') {
+            throw new Error(`Claim is ${claim.status}; it can only be changed while open`);
+        }
+        return claim;
+    }
+
+    // Replaces the legal heirs who share what has no nominee; shares add up to 100%
+    static async setHeirs(id, heirs, userId) {
+        try {
+            if (!Array.isArray(heirs)) {
+                throw new Error('Heirs must be a list');
+            }
+            if (heirs.length > this.MAX_HEIRS) {
+                throw new Error(`At most ${this.MAX_HEIRS} legal heirs can be recorded`);
+            }
+
+            await coordinator.execute('deceased_claim_heirs', async ({ main }) => {
+                const claim = await this.getOpenClaim(id, main);
+
+                const prepared = [];
+                for (const heir of heirs) {
+                    let { name, dob, phone, address } = heir;
+                    const { customer_id, relationship, share_percent, guardian_name, guardian_relation } = heir;
+
+                    if (customer_id) {
+                        const customer = await main.get('SELECT id, name, dob, phone, address FROM customers WHERE id = ? AND is_active = 1', [customer_id]);
+                        if (!customer || customer.id === claim.customer_id) {
+                            throw new Error('Heir customer not found');
+                        }
+                        name = customer.name;
+                        dob = dob || customer.dob;
+                        phone = phone || customer.phone;
+                        address = address || customer.address;
+                    } else if (!name || !name.trim()) {
+                        throw new Error('Heir name is required');
+                    }
+                    name = name.trim();
+
+                    if (!relationship || !relationship.trim()) {
+                        throw new Error(`Relationship of ${name} to the deceased is required`);
+                    }
+                    if (dob && (!/^\d{4}-\d{2}-\d{2}$/.test(dob) || dob > this.today())) {
+                        throw new Error(`Invalid date of birth for ${name}`);
+                    }
+
+                    const share = Number(share_percent);
+                    if (!(share > 0 && share <= 100) || Math.abs(share * 100 - Math.round(share * 100)) > 1e-6) {
+                        throw new Error(`Share for ${name} must be a percentage above 0 with at most two decimals`);
+                    }
+
+                    if (Nominee.isMinor(dob) && (!guardian_name || !guardian_name.trim() || !guardian_relation || !guardian_relation.trim())) {
+                        throw new Error(`${name} is a minor; the guardian's name and relation are required`);
+                    }
+
+                    const payoutMode = heir.payout_mode || 'cash';
+                    prepared.push({
+                        customer_id: customer_id || null,
+                        name,
+                        relationship: relationship.trim(),
+                        dob: dob || null,
+                        phone: phone || null,
+                        address: address || null,
+                        share_percent: Math.round(share * 100) / 100,
+                        guardian_name: guardian_name ? guardian_name.trim() : null,
+                        guardian_relation: guardian_relation || null,
+                        payout_mode: payoutMode,
+                        payout_account_id: await this.validatePayout(main, payoutMode, heir.payout_account_id)
+                    });
+                }
+
+                // Compared in hundredths of a percent, as for nominees
+                const total = prepared.reduce((sum, heir) => sum + Math.round(heir.share_percent * 100), 0);
+                if (prepared.length > 0 && total !== 10000) {
+                    throw new Error(`Heir shares must add up to 100%, not ${total / 100}%`);
+                }
+
+                await main.run(
+                    `UPDATE deceased_claim_claimants SET status = 'removed' WHERE claim_id = ? AND claimant_type = 'heir' AND status = 'active'`,
+                    [id]
+                );
+                for (const heir of prepared) {
+                    await main.run(
+                        `INSERT INTO deceased_claim_claimants (
+                            claim_id, claimant_type, customer_id, name, relationship, dob, phone, address, share_percent,
+                            guardian_name, guardian_relation, payout_mode, payout_account_id, created_by
+                        ) VALUES (?, 'heir', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                        [
+                            id, heir.customer_id, heir.name, heir.relationship, heir.dob, heir.phone, heir.address,
+                            heir.share_percent, heir.guardian_name, heir.guardian_relation, heir.payout_mode,
+                            heir.payout_account_id, userId
+                        ]
+                    );
+                }
+            }, { claim_id: id, heirs: heirs.length });
+
+            return await this.findById(id);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // How one claimant is paid: in cash, or credited to an account
+    static async setPayout(id, claimantId, payout) {
+        try {
+            await coordinator.execute('deceased_claim_payout', async ({ main }) => {
+                await this.getOpenClaim(id, main);
+
+                const claimant = await main.get(
+                    `SELECT id FROM deceased_claim_claimants WHERE id = ? AND claim_id = ? AND status = 'active'`,
+                    [claimantId, id]
+                );
+                if (!claimant) {
+                    throw new Error('Claimant not found on this claim');
+                }
+
+                const payoutMode = payout.payout_mode || 'cash';
+                const accountId = await this.validatePayout(main, payoutMode, payout.payout_account_id);
+                await main.run(
+                    'UPDATE deceased_claim_claimants SET payout_mode = ?, payout_account_id = ? WHERE id = ?',
+                    [payoutMode, accountId, claimantId]
+                );
+            }, { claim_id: id, claimant_id: claimantId });
+
+            return await this.findById(id);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Stores a claim document from an upload held in memory ({ buffer, originalname })
+    static async uploadDocument(id, documentType, file, uploadedBy) {
+        let written = null;
+        try {
+            if (!this.DOCUMENT_TYPES[documentType]) {
+                throw new Error(`Document type must be one of: ${Object.keys(this.DOCUMENT_TYPES).join(', ')}`);
+            }
+            if (!file || !file.buffer || file.buffer.length === 0) {
+                throw new Error('A file is required');
+            }
+            if (file.buffer.length > CustomerDocument.MAX_FILE_SIZE) {
+                throw new Error(`File is larger than ${CustomerDocument.MAX_FILE_SIZE / (1024 * 1024)} MB`);
+            }
+
+            const format = CustomerDocument.detectFormat(file.buffer);
+            if (!format) {
+                throw new Error('Document must be a JPG, PNG, WEBP or PDF file');
+            }
+
+            const claim = await this.findRecordById(id);
+            if (claim.status === 'settled') {
+                throw new Error('Claim is already settled');
+            }
+
+            await fs.mkdir(path.join(CustomerDocument.UPLOAD_ROOT, 'claims', String(claim.id)), { recursive: true });
+
+            const documentId = await coordinator.execute('deceased_claim_document', async ({ main }) => {
+                const existing = await main.get(
+                    'SELECT COUNT(*) as count FROM deceased_claim_documents WHERE claim_id = ? AND document_type = ?',
+                    [claim.id, documentType]
+                );
+
+                const filePath = path.posix.join('claims', String(claim.id), `${documentType}_${existing.count + 1}.${format}`);
+                await fs.writeFile(path.join(CustomerDocument.UPLOAD_ROOT, filePath), file.buffer, { flag: 'wx' });
+                written = filePath;
+
+                const inserted = await main.run(
+                    `INSERT INTO deceased_claim_documents (claim_id, document_type, file_path, original_name, mime_type, file_size, uploaded_by)
+                     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                    [claim.id, documentType, filePath, file.originalname || null, CustomerDocument.MIME_TYPES[format], file.buffer.length, uploadedBy]
+                );
+                return inserted.id;
+            }, { claim_id: claim.id, document_type: documentType });
+
+            const document = await mainDb.get('SELECT * FROM deceased_claim_documents WHERE id = ?', [documentId]);
+            return { success: true, document: this.describeDocument(document), claim_number: claim.claim_number };
+        } catch (error) {
+            // The file is only kept when the document was recorded
+            if (written) {
+                await fs.unlink(path.join(CustomerDocument.UPLOAD_ROOT, written)).catch(() => {});
+            }
+            return { success: false, error: error.message };
+        }
+    }
+
+    static async getDocumentFile(id, documentId) {
+        try {
+            const document = await mainDb.get(
+                'SELECT * FROM deceased_claim_documents WHERE id = ? AND claim_id = ?',
+                [documentId, id]
+            );
+            if (!document) {
+                return { success: false, error: 'Document not found' };
+            }
+
+            const filePath = CustomerDocument.resolvePath(document.file_path);
+            await fs.access(filePath);
+
+            return { success: true, file: { path: filePath, mime_type: document.mime_type, name: path.basename(filePath) } };
+        } catch (error) {
+            return { success: false, error: error.code === 'ENOENT' ? 'Document file not found' : error.message };
+        }
+    }
+
+    // Maker step: puts the claim up for approval at today's settlement amount
+    static async submit(id, submittedBy) {
+        try {
+            await coordinator.execute('deceased_claim_submit', async ({ main, txn }) => {
+                const claim = await this.getOpenClaim(id, main);
+
+                const documents = await main.all('SELECT DISTINCT document_type FROM deceased_claim_documents WHERE claim_id = ?', [id]);
+                const held = documents.map(document => document.document_type);
+
+                const settlement = await this.computeSettlement(claim, { main, txn });
+                const required = settlement.pays_heirs
+                    ? [...this.REQUIRED_DOCUMENTS, 'legal_heir_certificate']
+                    : this.REQUIRED_DOCUMENTS;
+                const missing = required.filter(type => !held.includes(type));
+                if (missing.length > 0) {
+                    throw new Error(`Missing documents: ${missing.map(type => this.DOCUMENT_TYPES[type]).join(', ')}`);
+                }
+                if (settlement.blocking.length > 0) {
+                    throw new Error(settlement.blocking.join('; '));
+                }
+
+                await main.run(
+                    `UPDATE deceased_claims SET status = 'submitted', submitted_by = ?, submitted_at = CURRENT_TIMESTAMP,
+                     submitted_amount = ? WHERE id = ? AND status = 'open'`,
+                    [submittedBy, settlement.totals.payable, id]
+                );
+            }, { claim_id: id });
+
+            return await this.findById(id);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    static async reject(id, reason, rejectedBy) {
+        try {
+            if (!reason || !reason.trim()) {
+                throw new Error('Rejection reason is required');
+            }
+
+            const result = await mainDb.run(
+                `UPDATE deceased_claims SET status = 'open', rejected_by = ?, rejected_at = CURRENT_TIMESTAMP, rejection_reason = ?
+                 WHERE id = ? AND status = 'submitted'`,
+                [rejectedBy, reason.trim(), id]
+            );
+            if (result.changes === 0) {
+                throw new Error('Only a submitted claim can be rejected');
+            }
+
+            return await this.findById(id);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Checker step: settles the claim. expectedAmount (rupees) is the payable amount the
+    // admin confirmed; the settlement is refused if it has changed since.
+    static async approve(id, approvedBy, expectedAmount = null) {
+        try {
+            await coordinator.execute('deceased_claim_settle', async ({ main, txn }) => {
+                const claim = await this.findRecordById(id, main);
+                if (claim.status !== 'submitted') {
+                    throw new Error(`Claim is ${claim.status}; only a submitted claim can be approved`);
+                }
+                if (claim.submitted_by === approvedBy) {
+                    throw new Error('A claim must be approved by someone other than the user who submitted it');
+                }
+
+                const settlement = await this.computeSettlement(claim, { main, txn });
+                if (settlement.blocking.length > 0) {
+                    throw new Error(settlement.blocking.join('; '));
+                }
+                if (expectedAmount !== null && expectedAmount !== undefined && money.toPaise(expectedAmount) !== settlement.totals.payable) {
+                    const error = new Error(`Payable amount is now ₹${money.toRupees(settlement.totals.payable)}, not the quoted ₹${expectedAmount}; review the settlement`);
+                    error.code = 'QUOTE_CHANGED';
+                    throw error;
+                }
+
+                // The products are settled through their own models, which refuse frozen products
+                for (const table of ['accounts', 'fixed_deposits', 'recurring_deposits', 'loans']) {
+                    await main.run(`UPDATE ${table} SET frozen_claim_id = NULL WHERE frozen_claim_id = ?`, [id]);
+                }
+
+                const reference = `Claim settlement ${claim.claim_number}`;
+                for (const loan of settlement.loans.filter(entry => entry.recovered > 0)) {
+                    const result = loan.recovered === loan.owed
+                        ? await Loan.foreclose(loan.loan_id, approvedBy, money.toRupees(loan.owed), reference)
+                        : await Loan.makePayment(loan.loan_id, money.toRupees(loan.recovered), approvedBy, reference);
+                    if (!result.success) {
+                        throw new Error(`Loan ${loan.loan_number} could not be settled: ${result.error}`);
+                    }
+                    loan.transaction_reference = result.transaction.transaction_id;
+                }
+
+                for (const product of settlement.products) {
+                    let result = null;
+                    if (product.product_type === 'account') {
+                        if (product.gross > 0) {
+                            result = await Account.withdraw(product.product_id, money.toRupees(product.gross), reference, approvedBy);
+                        }
+                        if (!result || result.success) {
+                            await main.run(
+                                'UPDATE accounts SET is_active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                                [product.product_id]
+                            );
+                        }
+                    } else if (product.product_type === 'fd') {
+                        result = await FD.close(product.product_id, approvedBy, false, money.toRupees(product.gross));
+                    } else if (product.gross > 0) {
+                        result = await RD.close(product.product_id, approvedBy, false, money.toRupees(product.gross));
+                    } else {
+                        // Nothing was paid in, so there is nothing to post
+                        await main.run(
+                            `UPDATE recurring_deposits SET status = 'closed', updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                            [product.product_id]
+                        );
+                    }
+                    if (result && !result.success) {
+                        throw new Error(`${product.product_number} could not be closed: ${result.error}`);
+                    }
+                    product.transaction_reference = result ? result.transaction.transaction_id : null;
+
+                    for (const payee of product.payees.filter(entry => entry.amount > 0)) {
+                        if (payee.payout_mode === 'account') {
+                            const credit = await Account.deposit(
+                                payee.payout_account_id,
+                                money.toRupees(payee.amount),
+                                `${reference} - ${product.product_number} for ${payee.name}`,
+                                approvedBy
+                            );
+                            if (!credit.success) {
+                                throw new Error(`Payout to ${payee.name} could not be credited: ${credit.error}`);
+                            }
+                            payee.transaction_reference = credit.transaction.transaction_id;
+                        }
+
+                        await main.run(
+                            `INSERT INTO deceased_claim_payouts (
+                                claim_id, claimant_id, product_type, product_id, amount, paid_to, payout_mode, account_id, transaction_reference
+                            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                            [
+                                id, payee.claimant_id, product.product_type, product.product_id, payee.amount, payee.paid_to,
+                                payee.payout_mode, payee.payout_mode === 'account' ? payee.payout_account_id : null,
+                                payee.transaction_reference || null
+                            ]
+                        );
+                    }
+                }
+
+                await main.run(
+                    `UPDATE deceased_claims SET status = 'settled', settled_by = ?, settled_at = CURRENT_TIMESTAMP, statement = ?
+                     WHERE id = ?`,
+                    [approvedBy, JSON.stringify(this.settlementToRupees(settlement)), id]
+                );
+            }, { claim_id: id, expected_amount: expectedAmount });
+
+            return await this.findById(id);
+        } catch (error) {
+            return { success: false, error: error.message, quote_changed: error.code === 'QUOTE_CHANGED' };
+        }
+    }
+
+    // The settlement statement of a settled claim, ready to print
+    static async getStatement(id) {
+        try {
+            const claim = await this.findRecordById(id);
+            if (claim.status !== 'settled') {
+                throw new Error('The settlement statement is issued once the claim is settled');
+            }
+
+            return {
+                success: true,
+                statement: {
+                    institute: await Loan.getInstitute(),
+                    claim_number: claim.claim_number,
+                    date: claim.settled_at,
+                    customer_name: claim.customer_name,
+                    customer_address: claim.customer_address,
+                    date_of_death: claim.date_of_death,
+                    survivorship: JSON.parse(claim.survivorship || '[]'),
+                    submitted_by_name: claim.submitted_by_name,
+                    settled_by_name: claim.settled_by_name,
+                    ...JSON.parse(claim.statement)
+                }
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+module.exports = DeceasedClaim;
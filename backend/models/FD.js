@@ -1,93 +1,205 @@
 const mainDb = require('../config/db_main');
 const txnDb = require('../config/db_txn');
+const GeneralLedger = require('./GeneralLedger');
+const PenaltyRule = require('./PenaltyRule');
+const Product = require('./Product');
+const Account = require('./Account');
+const Loan = require('./Loan');
+const coordinator = require('../utils/transactionCoordinator');
+const amortization = require('../utils/amortization');
+const money = require('../utils/money');
 
 class FD {
+    static get MONEY_FIELDS() {
+        return ['principal_amount', 'maturity_amount', 'premature_amount', 'loan_adjustment_amount'];
+    }
+
+    // What happens on maturity: pay everything to savings, renew the principal and pay the
+    // interest to savings, or renew principal and interest together
+    static get MATURITY_INSTRUCTIONS() {
+        return ['payout_savings', 'renew_principal', 'renew_principal_interest'];
+    }
+
     static async create(fdData, createdBy) {
         try {
             const {
                 customer_id,
+                product_id,
                 principal_amount,
-                interest_rate,
-                tenure_months
+                tenure_months,
+                maturity_instruction,
+                payout_account_id = null
             } = fdData;
 
             // Validate required fields
-            if (!customer_id || !principal_amount || !interest_rate || !tenure_months) {
-                throw new Error('Customer ID, principal amount, interest rate, and tenure are required');
+            if (!customer_id || !product_id || !principal_amount || !tenure_months) {
+                throw new Error('Customer ID, product, principal amount, and tenure are required');
             }
 
             // Validate customer exists
-            const customer = await mainDb.get('SELECT id FROM customers WHERE id = ? AND is_active = 1', [customer_id]);
+            const customer = await mainDb.get('SELECT id FROM customers WHERE id = ? AND is_active = 1 AND date_of_death IS NULL', [customer_id]);
             if (!customer) {
-                throw new Error('Customer not found or inactive');
+                throw new Error('Customer not found, inactive or deceased');
             }
 
-            // Validate amounts and rates
+            // Validate amounts and tenure
             if (principal_amount <= 0) {
                 throw new Error('Principal amount must be positive');
             }
-            if (interest_rate <= 0) {
-                throw new Error('Interest rate must be positive');
-            }
-            if (tenure_months <= 0) {
-                throw new Error('Tenure must be positive');
+            if (!Number.isInteger(Number(tenure_months)) || tenure_months <= 0) {
+                throw new Error('Tenure must be a positive number of months');
             }
 
-            // Generate unique FD number
-            const fd_number = await this.generateFDNumber();
-
-            // Calculate maturity details
-            const start_date = new Date();
-            const maturity_date = new Date(start_date);
-            maturity_date.setMonth(maturity_date.getMonth() + tenure_months);
+            if (!this.MATURITY_INSTRUCTIONS.includes(maturity_instruction)) {
+                throw new Error(`Maturity instruction must be one of: ${this.MATURITY_INSTRUCTIONS.join(', ')}`);
+            }
 
-            // Calculate maturity amount using compound interest
-            const maturity_amount = this.calculateMaturityAmount(principal_amount, interest_rate, tenure_months);
+            // Everything but a principal-and-interest renewal credits savings on maturity
+            const payoutAccountId = maturity_instruction === 'renew_principal_interest' && !payout_account_id
+                ? null
+                : await this.validatePayoutAccount(payout_account_id, customer_id);
 
-            // Insert FD
-            const result = await mainDb.run(
-                `INSERT INTO fixed_deposits (
-                    fd_number, customer_id, principal_amount, interest_rate, tenure_months,
-                    maturity_amount, start_date, maturity_date, created_by, created_at, updated_at
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
-                [
-                    fd_number, customer_id, principal_amount, interest_rate, tenure_months,
-                    maturity_amount, start_date.toISOString().split('T')[0], 
-                    maturity_date.toISOString().split('T')[0], createdBy
-                ]
-            );
+            // Work in paise from here on
+            const principalAmount = money.toPaise(principal_amount);
 
-            // Create FD transaction record
-            await this.createFDTransaction({
-                fd_id: result.id,
-                customer_id,
-                transaction_type: 'fd_create',
-                amount: principal_amount,
-                description: `FD created - ${fd_number}`,
-                processed_by: createdBy
+            // The product sets the rate and compounding, and the limits the FD must be within
+            const { product, termsJson } = await Product.selectForContract(product_id, 'fd', {
+                customerId: customer_id,
+                amount: principalAmount,
+                tenureMonths: parseInt(tenure_months)
             });
 
-            return {
-                success: true,
-                fd: {
-                    id: result.id,
+            // Generate unique FD number
+            const fd_number = await this.generateFDNumber();
+
+            const fd = await coordinator.execute('fd_open', async (handles) => {
+                return await this.openFD({
                     fd_number,
                     customer_id,
-                    principal_amount,
-                    interest_rate,
-                    tenure_months,
-                    maturity_amount,
-                    start_date: start_date.toISOString().split('T')[0],
-                    maturity_date: maturity_date.toISOString().split('T')[0],
-                    status: 'active',
-                    created_by: createdBy
-                }
-            };
+                    principal_amount: principalAmount,
+                    interest_rate: product.interest_rate,
+                    compounding: product.compounding,
+                    tenure_months: parseInt(tenure_months),
+                    product_id: product.id,
+                    product_terms: termsJson,
+                    start_date: new Date(),
+                    maturity_instruction,
+                    payout_account_id: payoutAccountId
+                }, createdBy, handles);
+            }, { fd_number, customer_id, principal_amount: principalAmount });
+
+            return { success: true, fd: Product.withTerms(money.rowToRupees(fd, this.MONEY_FIELDS)) };
         } catch (error) {
             return { success: false, error: error.message };
         }
     }
 
+    // Inserts an FD and posts its opening inside a coordinator operation (amounts in paise).
+    // A renewal passes the old FD's maturity date as start_date and renewed_from_id.
+    static async openFD(fdData, createdBy, { main, txn }) {
+        const {
+            fd_number,
+            customer_id,
+            principal_amount,
+            interest_rate,
+            compounding,
+            tenure_months,
+            product_id,
+            product_terms,
+            start_date,
+            maturity_instruction,
+            payout_account_id = null,
+            renewed_from_id = null,
+            description = `FD created - ${fd_number}`
+        } = fdData;
+
+        const startDate = new Date(start_date).toISOString().split('T')[0];
+        const maturityDate = this.addMonths(start_date, tenure_months);
+
+        // Calculate maturity amount using compound interest
+        const maturity_amount = this.calculateMaturityAmount(principal_amount, interest_rate, tenure_months, compounding);
+
+        // Insert FD
+        const inserted = await main.run(
+            `INSERT INTO fixed_deposits (
+                fd_number, customer_id, principal_amount, interest_rate, compounding, tenure_months,
+                maturity_amount, start_date, maturity_date, maturity_instruction,
+                payout_account_id, renewed_from_id, product_id, product_terms, created_by, created_at, updated_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+            [
+                fd_number, customer_id, principal_amount, interest_rate, compounding, tenure_months,
+                maturity_amount, startDate, maturityDate, maturity_instruction,
+                payout_account_id, renewed_from_id, product_id, product_terms, createdBy
+            ]
+        );
+
+        // Create FD transaction record
+        const transaction = await this.createFDTransaction({
+            fd_id: inserted.id,
+            customer_id,
+            transaction_type: 'fd_create',
+            amount: principal_amount,
+            description,
+            processed_by: createdBy
+        }, txn);
+
+        await GeneralLedger.postEntry({
+            source_type: 'fd_create',
+            source_id: transaction.id,
+            reference_number: transaction.transaction_id,
+            customer_id,
+            description,
+            posted_by: createdBy,
+            lines: [
+                { account: GeneralLedger.ACCOUNTS.CASH, debit: principal_amount },
+                { account: GeneralLedger.ACCOUNTS.FD_LIABILITY, credit: principal_amount }
+            ]
+        }, txn);
+
+        return {
+            id: inserted.id,
+            fd_number,
+            customer_id,
+            principal_amount,
+            interest_rate,
+            compounding,
+            tenure_months,
+            maturity_amount,
+            start_date: startDate,
+            maturity_date: maturityDate,
+            status: 'active',
+            maturity_instruction,
+            payout_account_id,
+            renewed_from_id,
+            product_id,
+            product_terms,
+            created_by: createdBy
+        };
+    }
+
+    // The account maturity proceeds are credited to must be an active account of the FD's customer
+    static async validatePayoutAccount(accountId, customerId) {
+        if (!accountId) {
+            throw new Error('A savings account is required to receive the maturity payout');
+        }
+
+        const account = await mainDb.get('SELECT id, customer_id, is_active FROM accounts WHERE id = ?', [accountId]);
+        if (!account || !account.is_active) {
+            throw new Error('Payout account not found or inactive');
+        }
+        if (account.customer_id !== parseInt(customerId)) {
+            throw new Error('Payout account belongs to a different customer');
+        }
+
+        return account.id;
+    }
+
+    static addMonths(date, months) {
+        const result = new Date(date);
+        result.setMonth(result.getMonth() + months);
+        return result.toISOString().split('T')[0];
+    }
+
     static async generateFDNumber() {
         const prefix = 'FD';
         const timestamp = Date.now().toString().slice(-8);
@@ -103,21 +215,45 @@ class FD {
         return fdNumber;
     }
 
-    static calculateMaturityAmount(principal, rate, months) {
-        // Compound interest calculation: A = P(1 + r/n)^(nt)
-        // For monthly compounding: n = 12, t = months/12
-        const monthlyRate = rate / 100 / 12;
+    static calculateMaturityAmount(principal, rate, months, compounding = 'monthly') {
+        // Compound interest calculation: A = P(1 + r/n)^(nt), n set by the compounding
+        // frequency, worked a month at a time so part periods earn their share
+        // Principal and result are in paise
+        const monthlyRate = amortization.monthlyRate(rate, compounding);
         const maturityAmount = principal * Math.pow(1 + monthlyRate, months);
-        return Math.round(maturityAmount * 100) / 100; // Round to 2 decimal places
+        return money.round(maturityAmount);
     }
 
     static async findById(id) {
+        const result = await this.findRecordById(id);
+        if (!result.success) {
+            return result;
+        }
+
+        const fd = Product.withTerms(money.rowToRupees(result.fd, this.MONEY_FIELDS));
+        if (fd.closure_breakdown) {
+            fd.closure_breakdown = money.rowToRupees(JSON.parse(fd.closure_breakdown), this.QUOTE_MONEY_FIELDS);
+        }
+
+        return { success: true, fd };
+    }
+
+    // Same as findById with amounts left in paise, for money movement
+    static async findRecordById(id) {
         try {
             const fd = await mainDb.get(`
-                SELECT fd.*, c.name as customer_name, c.phone as customer_phone, u.name as created_by_name
+                SELECT fd.*, c.name as customer_name, c.phone as customer_phone, c.email as customer_email,
+                    u.name as created_by_name, a.account_number as payout_account_number,
+                    prev.fd_number as renewed_from_number, lc.loan_id as lien_loan_id, ll.loan_number as lien_loan_number,
+                    al.loan_number as adjusted_loan_number
                 FROM fixed_deposits fd
                 JOIN customers c ON fd.customer_id = c.id
                 LEFT JOIN users u ON fd.created_by = u.id
+                LEFT JOIN accounts a ON fd.payout_account_id = a.id
+                LEFT JOIN fixed_deposits prev ON fd.renewed_from_id = prev.id
+                LEFT JOIN loan_collateral lc ON lc.fd_id = fd.id AND lc.status = 'pledged'
+                LEFT JOIN loans ll ON lc.loan_id = ll.id
+                LEFT JOIN loans al ON fd.adjusted_loan_id = al.id
                 WHERE fd.id = ?
             `, [id]);
 
@@ -145,7 +281,7 @@ class FD {
                 return { success: false, error: 'Fixed deposit not found' };
             }
 
-            return { success: true, fd };
+            return { success: true, fd: Product.withTerms(money.rowToRupees(fd, this.MONEY_FIELDS)) };
         } catch (error) {
             return { success: false, error: error.message };
         }
@@ -154,10 +290,14 @@ class FD {
     static async findAll(filters = {}) {
         try {
             let query = `
-                SELECT fd.*, c.name as customer_name, c.phone as customer_phone, u.name as created_by_name
+                SELECT fd.*, c.name as customer_name, c.phone as customer_phone, u.name as created_by_name,
+                    a.account_number as payout_account_number, lc.loan_id as lien_loan_id, ll.loan_number as lien_loan_number
                 FROM fixed_deposits fd
                 JOIN customers c ON fd.customer_id = c.id
                 LEFT JOIN users u ON fd.created_by = u.id
+                LEFT JOIN accounts a ON fd.payout_account_id = a.id
+                LEFT JOIN loan_collateral lc ON lc.fd_id = fd.id AND lc.status = 'pledged'
+                LEFT JOIN loans ll ON lc.loan_id = ll.id
                 WHERE 1=1
             `;
             const params = [];
@@ -204,89 +344,501 @@ class FD {
 
             const fds = await mainDb.all(query, params);
 
-            return { success: true, fds };
+            return { success: true, fds: money.rowsToRupees(fds, this.MONEY_FIELDS).map(fd => Product.withTerms(fd)) };
         } catch (error) {
             return { success: false, error: error.message };
         }
     }
 
-    static async close(id, processedBy, isPremature = false) {
+    static get QUOTE_MONEY_FIELDS() {
+        return ['principal', 'interest', 'flat_fee', 'closure_amount'];
+    }
+
+    // What closing the FD on closureDate pays (amounts in paise), with the breakdown the
+    // admin confirms. Before maturity the premature closure rules in force that day apply:
+    // interest at the contracted rate or the rate for the period actually run, less the
+    // rule's reduction (none inside the lock-in), for the whole months and days run.
+    static async quoteClosure(fd, closureDate = new Date(), isPremature = false) {
+        const closeDate = new Date(closureDate).toISOString().split('T')[0];
+
+        // 'matured' FDs were moved there by the maturity job and are paid in full
+        const premature = fd.status === 'active' && (isPremature || closeDate < fd.maturity_date);
+
+        if (!premature) {
+            return {
+                is_premature: false,
+                closure_date: closeDate,
+                principal: fd.principal_amount,
+                interest: fd.maturity_amount - fd.principal_amount,
+                contracted_rate: fd.interest_rate,
+                applied_rate: fd.interest_rate,
+                flat_fee: 0,
+                closure_amount: fd.maturity_amount
+            };
+        }
+
+        const productTerms = Product.parseTerms(fd);
+        const terms = await PenaltyRule.resolve(
+            'fd', fd.tenure_months, fd.start_date, closeDate, productTerms ? productTerms.penalty_rules : null
+        );
+
+        // The period-run rate is what the catalogue offered for the months run on the day it opened
+        let baseRate = fd.interest_rate;
+        if (terms.rate_basis === 'period_run') {
+            const cardRate = await Product.cardRate('fd', terms.months_run, fd.start_date, fd.principal_amount);
+            baseRate = Math.min(fd.interest_rate, cardRate ?? fd.interest_rate);
+        }
+        const appliedRate = terms.within_lock_in ? 0 : Math.max(0, baseRate - terms.rate_reduction);
+
+        // Compounding for the whole months run, simple interest for the days after
+        const afterMonths = this.calculateMaturityAmount(fd.principal_amount, appliedRate, terms.months_run, fd.compounding);
+        const interest = afterMonths - fd.principal_amount
+            + money.round(afterMonths * appliedRate / 100 * terms.days_run / 365);
+
+        return {
+            is_premature: true,
+            closure_date: closeDate,
+            principal: fd.principal_amount,
+            contracted_rate: fd.interest_rate,
+            ...terms,
+            base_rate: baseRate,
+            applied_rate: appliedRate,
+            interest,
+            closure_amount: Math.max(0, fd.principal_amount + interest - terms.flat_fee)
+        };
+    }
+
+    static async getClosureQuote(id, isPremature = false) {
         try {
-            // Get FD details
-            const fdResult = await this.findById(id);
+            const fdResult = await this.findRecordById(id);
             if (!fdResult.success) {
-                return fdResult;
+                throw new Error(fdResult.error);
             }
 
             const fd = fdResult.fd;
+            if (fd.status !== 'active' && fd.status !== 'matured') {
+                throw new Error('FD is not active');
+            }
 
-            if (fd.status !== 'active') {
+            const quote = await this.quoteClosure(fd, new Date(), isPremature);
+            return { success: true, fd_number: fd.fd_number, quote: money.rowToRupees(quote, this.QUOTE_MONEY_FIELDS) };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Pays the FD out in cash. expectedAmount (rupees) is the quoted amount the admin
+    // confirmed; the closure is refused if the amount has changed since.
+    static async close(id, processedBy, isPremature = false, expectedAmount = null) {
+        try {
+            return await coordinator.execute('fd_close', async ({ main, txn }) => {
+                // Get FD details
+                const fdResult = await this.findRecordById(id);
+                if (!fdResult.success) {
+                    throw new Error(fdResult.error);
+                }
+
+                const fd = fdResult.fd;
+
+                // 'matured' FDs were moved there by the maturity job and still await payout
+                if (fd.status !== 'active' && fd.status !== 'matured') {
+                    throw new Error('FD is not active');
+                }
+                if (fd.frozen_claim_id) {
+                    throw new Error(`FD ${fd.fd_number} is frozen for the claim on its deceased holder`);
+                }
+
+                if (fd.status === 'matured') {
+                    // Before the maturity job existed, a paid-out FD was left as 'matured'
+                    const payout = await txn.get(
+                        `SELECT id FROM fd_transactions WHERE fd_id = ? AND transaction_type = 'fd_mature' AND status = 'completed'`,
+                        [id]
+                    );
+                    if (payout) {
+                        throw new Error('FD has already been paid out');
+                    }
+                }
+
+                const lien = await this.getLien(id, main);
+                if (lien) {
+                    throw new Error(`FD is under lien on loan ${lien.loan_number}; it cannot be closed until the lien is released`);
+                }
+
+                const quote = await this.quoteClosure(fd, new Date(), isPremature);
+                const closureAmount = quote.closure_amount;
+
+                if (expectedAmount !== null && expectedAmount !== undefined && money.toPaise(expectedAmount) !== closureAmount) {
+                    const error = new Error(`Closure amount is now ₹${money.toRupees(closureAmount)}, not the quoted ₹${expectedAmount}; review the new quote`);
+                    error.code = 'QUOTE_CHANGED';
+                    throw error;
+                }
+
+                let description = `FD matured - ${fd.fd_number}`;
+
+                if (quote.is_premature) {
+                    description = `FD closed prematurely - ${fd.fd_number}`;
+
+                    // Update FD with premature closure details and the quote it was paid on
+                    await main.run(
+                        `UPDATE fixed_deposits SET 
+                         status = 'closed', is_premature = 1, premature_date = ?, premature_amount = ?,
+                         penalty_rule_version_id = ?, closure_breakdown = ?, updated_at = CURRENT_TIMESTAMP 
+                         WHERE id = ?`,
+                        [quote.closure_date, closureAmount, quote.version_id, JSON.stringify(quote), id]
+                    );
+                } else {
+                    // Normal maturity
+                    await main.run(
+                        'UPDATE fixed_deposits SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                        ['closed', id]
+                    );
+                }
+
+                // Create FD transaction record
+                const transaction = await this.createFDTransaction({
+                    fd_id: id,
+                    customer_id: fd.customer_id,
+                    transaction_type: quote.is_premature ? 'fd_premature_close' : 'fd_mature',
+                    amount: closureAmount,
+                    description,
+                    processed_by: processedBy
+                }, txn);
+
+                await GeneralLedger.postEntry({
+                    source_type: transaction.transaction_type,
+                    source_id: transaction.id,
+                    reference_number: transaction.transaction_id,
+                    customer_id: fd.customer_id,
+                    description,
+                    posted_by: processedBy,
+                    lines: GeneralLedger.closureLines(
+                        GeneralLedger.ACCOUNTS.FD_LIABILITY,
+                        fd.principal_amount,
+                        closureAmount
+                    )
+                }, txn);
+
+                return {
+                    success: true,
+                    transaction,
+                    closure_amount: money.toRupees(closureAmount),
+                    is_premature: quote.is_premature,
+                    quote: money.rowToRupees(quote, this.QUOTE_MONEY_FIELDS)
+                };
+            }, { fd_id: id, is_premature: isPremature });
+        } catch (error) {
+            return { success: false, error: error.message, quote_changed: error.code === 'QUOTE_CHANGED' };
+        }
+    }
+
+    static get LIEN_RELEASE_NOTE() {
+        return 'FD matured and adjusted against the loan';
+    }
+
+    // The pledged lien on an FD, with the loan it secures
+    static async getLien(id, db = mainDb) {
+        return db.get(
+            `SELECT lc.id, lc.loan_id, l.loan_number, l.status as loan_status
+             FROM loan_collateral lc
+             JOIN loans l ON lc.loan_id = l.id
+             WHERE lc.fd_id = ? AND lc.status = 'pledged'`,
+            [id]
+        );
+    }
+
+    // Carries out the FD's maturity instruction once its maturity date has arrived. The
+    // FD is closed on maturity, savings are credited by transfer (no cash) and a renewal
+    // opens a new FD from the old maturity date at the current slab rate.
+    //
+    // An FD under lien for a loan being repaid first settles the loan: in full by
+    // foreclosure if the proceeds cover it, otherwise as a payment, after which the lien
+    // is released. The instruction then applies to what is left.
+    static async processMaturity(id, processedBy) {
+        try {
+            const fdResult = await this.findRecordById(id);
+            if (!fdResult.success) {
+                throw new Error(fdResult.error);
+            }
+
+            const fd = fdResult.fd;
+            const today = new Date().toISOString().split('T')[0];
+
+            if (!fd.maturity_instruction) {
+                throw new Error('FD has no maturity instruction; close it to pay out');
+            }
+            if (fd.status !== 'active' && fd.status !== 'matured') {
                 throw new Error('FD is not active');
             }
+            if (fd.maturity_date > today) {
+                throw new Error('FD has not matured yet');
+            }
+            if (fd.frozen_claim_id) {
+                throw new Error(`FD ${fd.fd_number} is frozen for the claim on its deceased holder`);
+            }
 
-            const currentDate = new Date();
-            const maturityDate = new Date(fd.maturity_date);
-            let closureAmount = fd.maturity_amount;
-            let description = `FD matured - ${fd.fd_number}`;
+            const isRenewal = fd.maturity_instruction !== 'payout_savings';
+            const renewalProduct = isRenewal ? await Product.findRenewalProduct(fd) : null;
+            const renewalNumber = isRenewal ? await this.generateFDNumber() : null;
 
-            // Handle premature closure
-            if (isPremature || currentDate < maturityDate) {
-                // Calculate premature closure amount (reduced interest)
-                const daysCompleted = Math.floor((currentDate - new Date(fd.start_date)) / (1000 * 60 * 60 * 24));
-                const totalDays = Math.floor((maturityDate - new Date(fd.start_date)) / (1000 * 60 * 60 * 24));
-                
-                // Apply penalty - reduce interest rate by 1% for premature closure
-                const penaltyRate = Math.max(0, fd.interest_rate - 1);
-                const monthsCompleted = daysCompleted / 30.44; // Average days per month
-                
-                closureAmount = this.calculateMaturityAmount(fd.principal_amount, penaltyRate, monthsCompleted);
-                description = `FD closed prematurely - ${fd.fd_number}`;
-
-                // Update FD with premature closure details
-                await mainDb.run(
-                    `UPDATE fixed_deposits SET 
-                     status = 'closed', is_premature = 1, premature_date = ?, 
-                     premature_amount = ?, updated_at = CURRENT_TIMESTAMP 
-                     WHERE id = ?`,
-                    [currentDate.toISOString().split('T')[0], closureAmount, id]
-                );
-            } else {
-                // Normal maturity
-                await mainDb.run(
-                    'UPDATE fixed_deposits SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-                    ['matured', id]
+            return await coordinator.execute('fd_maturity', async (handles) => {
+                const { main, txn } = handles;
+
+                // Checked again inside the operation so a concurrent close cannot pay out twice
+                const current = await main.get('SELECT status FROM fixed_deposits WHERE id = ?', [id]);
+                if (current.status !== 'active' && current.status !== 'matured') {
+                    throw new Error('FD is not active');
+                }
+
+                const lien = await this.getLien(id, main);
+                let loanOwed = 0;
+                if (lien) {
+                    if (!Loan.REPAYING_STATUSES.includes(lien.loan_status)) {
+                        throw new Error(`FD is under lien on loan ${lien.loan_number}, which is ${lien.loan_status}; disburse the loan or release the lien first`);
+                    }
+
+                    const loan = await Loan.getActiveLoan(lien.loan_id);
+                    const plan = await Loan.computePlan(lien.loan_id, handles);
+                    loanOwed = Math.max(0, Loan.quoteForeclosure(loan, plan).total);
+                }
+
+                const adjustmentAmount = Math.min(fd.maturity_amount, loanOwed);
+                const available = fd.maturity_amount - adjustmentAmount;
+                const renewalPrincipal = !isRenewal ? 0
+                    : fd.maturity_instruction === 'renew_principal' ? Math.min(fd.principal_amount, available) : available;
+                const payoutAmount = available - renewalPrincipal;
+
+                let description = isRenewal
+                    ? `FD matured - ${fd.fd_number} renewed as ${renewalNumber}`
+                    : `FD matured - ${fd.fd_number} paid to savings`;
+                if (adjustmentAmount > 0) {
+                    description = `FD matured - ${fd.fd_number} adjusted against loan ${lien.loan_number}`
+                        + (renewalPrincipal > 0 ? `, balance renewed as ${renewalNumber}` : payoutAmount > 0 ? ', balance paid to savings' : '');
+                }
+
+                await main.run(
+                    `UPDATE fixed_deposits SET status = 'closed', updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                    [id]
                 );
-            }
 
-            // Create FD transaction record
-            const transaction = await this.createFDTransaction({
-                fd_id: id,
-                customer_id: fd.customer_id,
-                transaction_type: isPremature ? 'fd_premature_close' : 'fd_mature',
-                amount: closureAmount,
-                description,
-                processed_by: processedBy
-            });
+                const transaction = await this.createFDTransaction({
+                    fd_id: id,
+                    customer_id: fd.customer_id,
+                    transaction_type: 'fd_mature',
+                    amount: fd.maturity_amount,
+                    description,
+                    processed_by: processedBy
+                }, txn);
+
+                await GeneralLedger.postEntry({
+                    source_type: 'fd_mature',
+                    source_id: transaction.id,
+                    reference_number: transaction.transaction_id,
+                    customer_id: fd.customer_id,
+                    description,
+                    posted_by: processedBy,
+                    lines: GeneralLedger.closureLines(
+                        GeneralLedger.ACCOUNTS.FD_LIABILITY,
+                        fd.principal_amount,
+                        fd.maturity_amount,
+                        payoutAmount
+                    )
+                }, txn);
+
+                let adjustment = null;
+                if (adjustmentAmount > 0) {
+                    const note = `Adjusted from FD ${fd.fd_number} on maturity`;
+                    adjustment = adjustmentAmount === loanOwed
+                        ? await Loan.foreclose(lien.loan_id, processedBy, money.toRupees(loanOwed), note)
+                        : await Loan.makePayment(lien.loan_id, money.toRupees(adjustmentAmount), processedBy, note);
+                    if (!adjustment.success) {
+                        throw new Error(`Loan ${lien.loan_number} could not be adjusted: ${adjustment.error}`);
+                    }
+
+                    await main.run(
+                        `UPDATE fixed_deposits SET adjusted_loan_id = ?, loan_adjustment_amount = ?, loan_adjustment_reference = ?,
+                         updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                        [lien.loan_id, adjustmentAmount, adjustment.transaction.transaction_id, id]
+                    );
+                }
 
-            return {
-                success: true,
-                transaction,
-                closure_amount: closureAmount,
-                is_premature: isPremature || currentDate < maturityDate
-            };
+                // A foreclosure released the lien with the rest of the loan's security
+                if (lien) {
+                    await main.run(
+                        `UPDATE loan_collateral SET status = 'released', release_date = ?, released_by = ?, release_note = ?,
+                         updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'pledged'`,
+                        [today, processedBy, this.LIEN_RELEASE_NOTE, lien.id]
+                    );
+                }
+
+                let renewedFD = null;
+                if (renewalPrincipal > 0) {
+                    // Priced at the renewal product's rate on the maturity date for the amount renewed
+                    const renewalTerms = await Product.priceOn(renewalProduct, fd.maturity_date, renewalPrincipal);
+                    renewedFD = await this.openFD({
+                        fd_number: renewalNumber,
+                        customer_id: fd.customer_id,
+                        principal_amount: renewalPrincipal,
+                        interest_rate: renewalTerms.interest_rate,
+                        compounding: renewalTerms.compounding,
+                        tenure_months: fd.tenure_months,
+                        product_id: renewalTerms.id,
+                        product_terms: Product.snapshot(renewalTerms),
+                        start_date: fd.maturity_date,
+                        maturity_instruction: fd.maturity_instruction,
+                        payout_account_id: fd.payout_account_id,
+                        renewed_from_id: id,
+                        description: `FD renewed from ${fd.fd_number} - ${renewalNumber}`
+                    }, processedBy, handles);
+                }
+
+                let credit = null;
+                if (payoutAmount > 0) {
+                    await this.validatePayoutAccount(fd.payout_account_id, fd.customer_id);
+
+                    credit = await Account.transferWithProduct(
+                        fd.payout_account_id,
+                        payoutAmount,
+                        isRenewal ? `FD ${fd.fd_number} interest on renewal` : `FD ${fd.fd_number} maturity proceeds`,
+                        { type: 'fd_mature', number: transaction.transaction_id, id: transaction.id },
+                        processedBy,
+                        handles
+                    );
+                }
+
+                return {
+                    success: true,
+                    fd: Product.withTerms(money.rowToRupees({
+                        ...fd,
+                        status: 'closed',
+                        adjusted_loan_id: adjustment ? lien.loan_id : null,
+                        adjusted_loan_number: adjustment ? lien.loan_number : null,
+                        loan_adjustment_amount: adjustment ? adjustmentAmount : null
+                    }, this.MONEY_FIELDS)),
+                    transaction,
+                    maturity_instruction: fd.maturity_instruction,
+                    maturity_amount: money.toRupees(fd.maturity_amount),
+                    loan_adjustment_amount: money.toRupees(adjustmentAmount),
+                    loan_adjustment_transaction: adjustment ? adjustment.transaction : null,
+                    payout_amount: money.toRupees(payoutAmount),
+                    payout_transaction: credit,
+                    renewed_fd: renewedFD ? Product.withTerms(money.rowToRupees(renewedFD, this.MONEY_FIELDS)) : null
+                };
+            }, { fd_id: id, maturity_instruction: fd.maturity_instruction });
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Runs the maturity instruction of every FD that has one and is due; a failure is
+    // reported and leaves that FD to be retried on the next run
+    static async processDueMaturities(processedBy) {
+        try {
+            const today = new Date().toISOString().split('T')[0];
+            const due = await mainDb.all(
+                `SELECT id, fd_number FROM fixed_deposits
+                 WHERE status IN ('active', 'matured') AND maturity_instruction IS NOT NULL AND maturity_date <= ?
+                   AND frozen_claim_id IS NULL
+                 ORDER BY maturity_date, id`,
+                [today]
+            );
+
+            const results = [];
+            for (const fd of due) {
+                const result = await this.processMaturity(fd.id, processedBy);
+                results.push({ fd_id: fd.id, fd_number: fd.fd_number, ...result });
+            }
+
+            return { success: true, results };
         } catch (error) {
             return { success: false, error: error.message };
         }
     }
 
-    static async createFDTransaction(transactionData) {
+    static get REVERSIBLE_TYPES() {
+        return ['fd_create', 'fd_mature', 'fd_premature_close'];
+    }
+
+    // Posts compensating entries for an FD transaction row (amounts in paise) inside a
+    // coordinator operation: a reversed opening cancels the FD, a reversed closure reopens it
+    static async reverseTransaction(original, reason, processedBy, { main, txn }) {
+        const fdResult = await this.findRecordById(original.fd_id);
+        if (!fdResult.success) {
+            throw new Error(fdResult.error);
+        }
+
+        const fd = fdResult.fd;
+
+        if (original.transaction_type === 'fd_create') {
+            if (fd.status !== 'active') {
+                throw new Error('FD must be reopened before its opening can be reversed');
+            }
+
+            await main.run(
+                `UPDATE fixed_deposits SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [fd.id]
+            );
+        } else {
+            if (!['matured', 'closed'].includes(fd.status)) {
+                throw new Error('FD is not closed');
+            }
+
+            if (fd.loan_adjustment_reference) {
+                const adjustment = await txn.get('SELECT status FROM loan_transactions WHERE transaction_id = ?', [fd.loan_adjustment_reference]);
+                if (adjustment && adjustment.status !== 'reversed') {
+                    throw new Error(`Reverse the loan adjustment ${fd.loan_adjustment_reference} before reversing this maturity`);
+                }
+
+                // The lien comes back on the reopened FD
+                await main.run(
+                    `UPDATE loan_collateral SET status = 'pledged', release_date = NULL, released_by = NULL, release_note = NULL,
+                     updated_at = CURRENT_TIMESTAMP WHERE fd_id = ? AND loan_id = ? AND status = 'released' AND release_note = ?`,
+                    [fd.id, fd.adjusted_loan_id, this.LIEN_RELEASE_NOTE]
+                );
+            }
+
+            await main.run(
+                `UPDATE fixed_deposits SET
+                 status = 'active', is_premature = 0, premature_date = NULL, premature_amount = NULL,
+                 penalty_rule_version_id = NULL, closure_breakdown = NULL,
+                 adjusted_loan_id = NULL, loan_adjustment_amount = NULL, loan_adjustment_reference = NULL,
+                 updated_at = CURRENT_TIMESTAMP
+                 WHERE id = ?`,
+                [fd.id]
+            );
+        }
+
+        const reversal = await this.createFDTransaction({
+            fd_id: fd.id,
+            customer_id: fd.customer_id,
+            transaction_type: `${original.transaction_type}_reversal`,
+            amount: original.amount,
+            description: `Reversal of ${original.transaction_id} - ${reason}`,
+            reversal_of: original.id,
+            processed_by: processedBy
+        }, txn);
+
+        // Maturity proceeds credited to savings come back out of the account
+        await Account.reverseProductTransfer(original.transaction_type, original.id, reason, processedBy, { main, txn });
+
+        await GeneralLedger.reverseEntry(original.transaction_type, original.id, {
+            source_id: reversal.id,
+            reference_number: reversal.transaction_id,
+            customer_id: fd.customer_id,
+            description: `Reversal of ${original.transaction_id} - ${fd.fd_number}`,
+            posted_by: processedBy
+        }, txn);
+
+        return [{ original, reversal }];
+    }
+
+    static async createFDTransaction(transactionData, db = txnDb) {
         const transactionId = `FDTXN${Date.now()}${Math.floor(Math.random() * 1000)}`;
         
-        const result = await txnDb.run(
+        const result = await db.run(
             `INSERT INTO fd_transactions (
                 transaction_id, fd_id, customer_id, transaction_type, amount,
-                description, processed_by, transaction_date
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+                description, reversal_of, processed_by, transaction_date
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
             [
                 transactionId,
                 transactionData.fd_id,
@@ -294,15 +846,16 @@ class FD {
                 transactionData.transaction_type,
                 transactionData.amount,
                 transactionData.description,
+                transactionData.reversal_of || null,
                 transactionData.processed_by
             ]
         );
 
-        return {
+        return money.rowToRupees({
             id: result.id,
             transaction_id: transactionId,
             ...transactionData
-        };
+        }, ['amount']);
     }
 
     static async getTransactionHistory(fdId, filters = {}) {
@@ -324,7 +877,22 @@ class FD {
 
             const transactions = await txnDb.all(query, params);
 
-            return { success: true, transactions };
+            return { success: true, transactions: money.rowsToRupees(transactions, ['amount']) };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Moves active FDs whose maturity date has arrived to 'matured', where they wait for payout
+    static async markMatured(asOf = new Date().toISOString().split('T')[0]) {
+        try {
+            const result = await mainDb.run(
+                `UPDATE fixed_deposits SET status = 'matured', updated_at = CURRENT_TIMESTAMP
+                 WHERE status = 'active' AND maturity_date <= ?`,
+                [asOf]
+            );
+
+            return { success: true, matured: result.changes };
         } catch (error) {
             return { success: false, error: error.message };
         }
@@ -339,12 +907,12 @@ class FD {
                 SELECT fd.*, c.name as customer_name, c.phone as customer_phone, c.email as customer_email
                 FROM fixed_deposits fd
                 JOIN customers c ON fd.customer_id = c.id
-                WHERE fd.status = 'active' 
+                WHERE fd.status IN ('active', 'matured') 
                 AND fd.maturity_date <= ?
                 ORDER BY fd.maturity_date ASC
             `, [futureDate.toISOString().split('T')[0]]);
 
-            return { success: true, maturing_fds: maturingFDs };
+            return { success: true, maturing_fds: money.rowsToRupees(maturingFDs, this.MONEY_FIELDS).map(fd => Product.withTerms(fd)) };
         } catch (error) {
             return { success: false, error: error.message };
         }
@@ -364,7 +932,21 @@ class FD {
                 FROM fixed_deposits
             `);
 
-            return { success: true, stats };
+            return { success: true, stats: money.rowToRupees(stats, ['total_active_amount', 'total_maturity_amount']) };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // FDs opened between two dates (YYYY-MM-DD, inclusive)
+    static async getCountByDateRange(startDate, endDate) {
+        try {
+            const row = await mainDb.get(
+                'SELECT COUNT(*) as count FROM fixed_deposits WHERE DATE(created_at) BETWEEN ? AND ?',
+                [startDate, endDate]
+            );
+
+            return { success: true, count: row.count };
         } catch (error) {
             return { success: false, error: error.message };
         }
@@ -372,10 +954,10 @@ class FD {
 
     static async update(id, updateData) {
         try {
-            const { interest_rate, tenure_months } = updateData;
+            const { interest_rate, tenure_months, maturity_instruction, payout_account_id } = updateData;
 
             // Check if FD exists and is active
-            const fdResult = await this.findById(id);
+            const fdResult = await this.findRecordById(id);
             if (!fdResult.success) {
                 return fdResult;
             }
@@ -396,7 +978,7 @@ class FD {
                 params.push(interest_rate);
 
                 // Recalculate maturity amount if interest rate changes
-                const newMaturityAmount = this.calculateMaturityAmount(fd.principal_amount, interest_rate, fd.tenure_months);
+                const newMaturityAmount = this.calculateMaturityAmount(fd.principal_amount, interest_rate, fd.tenure_months, fd.compounding);
                 updateFields.push('maturity_amount = ?');
                 params.push(newMaturityAmount);
             }
@@ -415,11 +997,27 @@ class FD {
                 params.push(newMaturityDate.toISOString().split('T')[0]);
 
                 const currentRate = interest_rate || fd.interest_rate;
-                const newMaturityAmount = this.calculateMaturityAmount(fd.principal_amount, currentRate, tenure_months);
+                const newMaturityAmount = this.calculateMaturityAmount(fd.principal_amount, currentRate, tenure_months, fd.compounding);
                 updateFields.push('maturity_amount = ?');
                 params.push(newMaturityAmount);
             }
 
+            // The maturity instruction can be changed until the FD matures
+            if (maturity_instruction !== undefined || payout_account_id !== undefined) {
+                const instruction = maturity_instruction !== undefined ? maturity_instruction : fd.maturity_instruction;
+                if (!this.MATURITY_INSTRUCTIONS.includes(instruction)) {
+                    throw new Error(`Maturity instruction must be one of: ${this.MATURITY_INSTRUCTIONS.join(', ')}`);
+                }
+
+                const accountId = payout_account_id !== undefined ? payout_account_id : fd.payout_account_id;
+                const payoutAccountId = instruction === 'renew_principal_interest' && !accountId
+                    ? null
+                    : await this.validatePayoutAccount(accountId, fd.customer_id);
+
+                updateFields.push('maturity_instruction = ?', 'payout_account_id = ?');
+                params.push(instruction, payoutAccountId);
+            }
+
             if (updateFields.length === 0) {
                 throw new Error('No fields to update');
             }
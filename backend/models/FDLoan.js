@@ -0,0 +1,162 @@
+const mainDb = require('../config/db_main');
+const FD = require('./FD');
+const Loan = require('./Loan');
+const LoanCollateral = require('./LoanCollateral');
+const coordinator = require('../utils/transactionCoordinator');
+const money = require('../utils/money');
+const settingsStore = require('../utils/settingsStore');
+
+/**
+ * Loans against fixed deposits.
+ *
+ * A member can borrow up to Settings → loans.fdLoanLimitPercent of an FD's current
+ * value, which is what closing the FD today would pay. The loan carries the FD rate
+ * plus Settings → loans.fdLoanSpread, fixed when it is applied for. The application
+ * puts a lien on the FD as the loan's collateral, so the FD cannot be closed until the
+ * loan is repaid or the lien released. From there the loan goes through the usual
+ * workflow. If the FD matures first, its proceeds settle the loan (see
+ * FD.processMaturity), so the FD must carry a maturity instruction.
+ */
+class FDLoan {
+    static get LOAN_TYPE() {
+        return 'fd_loan';
+    }
+
+    static get MONEY_FIELDS() {
+        return ['principal_amount', 'maturity_amount', 'current_value', 'limit'];
+    }
+
+    static isValidLimitPercent(percent) {
+        return typeof percent === 'number' && percent > 0 && percent <= 100;
+    }
+
+    static isValidSpread(spread) {
+        return typeof spread === 'number' && spread >= 0 && spread <= 100;
+    }
+
+    static async getConfig() {
+        const settings = await settingsStore.read();
+        const { fdLoanLimitPercent, fdLoanSpread } = settings.loans;
+
+        if (!this.isValidLimitPercent(fdLoanLimitPercent)) {
+            throw new Error(`Invalid FD loan limit: ${fdLoanLimitPercent}%`);
+        }
+        if (!this.isValidSpread(fdLoanSpread)) {
+            throw new Error(`Invalid FD loan spread: ${fdLoanSpread}%`);
+        }
+
+        return { fdLoanLimitPercent, fdLoanSpread };
+    }
+
+    // How much can be lent against an FD today and at what rate (amounts in paise);
+    // throws if the FD cannot secure a loan
+    static async assess(fdId, config, db = mainDb) {
+        const fdResult = await FD.findRecordById(fdId);
+        if (!fdResult.success) {
+            throw new Error(fdResult.error);
+        }
+
+        const fd = fdResult.fd;
+        if (fd.status !== 'active' || fd.maturity_date <= Loan.today()) {
+            throw new Error('Only an active FD that has not yet matured can secure a loan');
+        }
+        if (!fd.maturity_instruction) {
+            throw new Error('FD has no maturity instruction; set one before borrowing against it');
+        }
+
+        const lien = await FD.getLien(fd.id, db);
+        if (lien) {
+            throw new Error(`FD is already under lien on loan ${lien.loan_number}`);
+        }
+
+        const quote = await FD.quoteClosure(fd, new Date());
+
+        return {
+            fd,
+            current_value: quote.closure_amount,
+            limit_percent: config.fdLoanLimitPercent,
+            limit: Math.floor(quote.closure_amount * config.fdLoanLimitPercent / 100),
+            fd_rate: fd.interest_rate,
+            spread: config.fdLoanSpread,
+            interest_rate: Math.round((fd.interest_rate + config.fdLoanSpread) * 100) / 100
+        };
+    }
+
+    static async getEligibility(fdId) {
+        try {
+            const { fd, ...terms } = await this.assess(fdId, await this.getConfig());
+
+            return {
+                success: true,
+                eligibility: money.rowToRupees({
+                    fd_id: fd.id,
+                    fd_number: fd.fd_number,
+                    customer_id: fd.customer_id,
+                    customer_name: fd.customer_name,
+                    principal_amount: fd.principal_amount,
+                    maturity_amount: fd.maturity_amount,
+                    maturity_date: fd.maturity_date,
+                    ...terms
+                }, this.MONEY_FIELDS)
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // An application for a loan against an FD, within its limit and at its rate, with a
+    // lien on the FD recorded as the loan's collateral
+    static async apply(fdId, loanData, createdBy) {
+        try {
+            const { principal_amount, tenure_months, purpose } = loanData;
+
+            if (!principal_amount || !tenure_months) {
+                throw new Error('Loan amount and tenure are required');
+            }
+
+            const config = await this.getConfig();
+            const principalAmount = money.toPaise(principal_amount);
+            const loan_number = await Loan.generateLoanNumber();
+
+            const result = await coordinator.execute('loan_apply_fd', async ({ main }) => {
+                // Assessed inside the operation so two applications cannot take the same FD
+                const terms = await this.assess(fdId, config, main);
+                const { fd } = terms;
+
+                Loan.validateTerms(principal_amount, terms.interest_rate, tenure_months);
+                if (principalAmount > terms.limit) {
+                    throw new Error(`Loan against FD ${fd.fd_number} is limited to ₹${money.toRupees(terms.limit)}, ${terms.limit_percent}% of its current value`);
+                }
+
+                const inserted = await Loan.insertApplication(main, {
+                    loan_number,
+                    customer_id: fd.customer_id,
+                    loan_type: this.LOAN_TYPE,
+                    principal_amount: principalAmount,
+                    interest_rate: terms.interest_rate,
+                    tenure_months: parseInt(tenure_months),
+                    purpose,
+                    fd_id: fd.id
+                }, createdBy);
+
+                const lien = await LoanCollateral.add(inserted.id, {
+                    collateral_type: 'fd_lien',
+                    fd_id: fd.id,
+                    valuation_amount: money.toRupees(terms.current_value),
+                    valued_by: 'Current value of the FD'
+                }, createdBy);
+                if (!lien.success) {
+                    throw new Error(lien.error);
+                }
+
+                return inserted;
+            }, { loan_number, fd_id: fdId, principal_amount: principalAmount });
+
+            return await Loan.findById(result.id);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+module.exports = FDLoan;
@@ -0,0 +1,310 @@
+const txnDb = require('../config/db_txn');
+const money = require('../utils/money');
+
+class GeneralLedger {
+    static get ACCOUNTS() {
+        return {
+            CASH: '1000',
+            BANK: '1100',
+            LOANS_RECEIVABLE: '1200',
+            LOAN_CHARGES_RECEIVABLE: '1210',
+            SAVINGS_DEPOSITS: '2000',
+            FD_LIABILITY: '2100',
+            RD_LIABILITY: '2200',
+            OPENING_BALANCE_EQUITY: '3000',
+            INTEREST_INCOME: '4000',
+            PENALTY_INCOME: '4100',
+            FEE_INCOME: '4200',
+            INTEREST_EXPENSE: '5000',
+            LOAN_WRITE_OFFS: '5100',
+            CASH_OVER_SHORT: '5200'
+        };
+    }
+
+    // Ledger entries that move cash but are not a till's customer business
+    static get NON_TILL_SOURCES() {
+        return ['till_difference', 'vault_bank', 'vault_opening'];
+    }
+
+    // Posts a balanced journal entry with line amounts in paise. Pass the coordinator's
+    // txn handle so the entry commits together with the operation that caused it.
+    // Customer cash is recorded against the till the poster has open.
+    static async postEntry(entryData, db = txnDb) {
+        const { source_type, source_id, reference_number, customer_id, description, posted_by } = entryData;
+        const lines = entryData.lines.filter(line => (line.debit || 0) !== 0 || (line.credit || 0) !== 0);
+
+        if (lines.length < 2) {
+            throw new Error('Journal entry needs at least two lines');
+        }
+
+        let totalDebit = 0;
+        let totalCredit = 0;
+        for (const line of lines) {
+            if ((line.debit || 0) < 0 || (line.credit || 0) < 0) {
+                throw new Error('Journal entry amounts cannot be negative');
+            }
+            totalDebit += line.debit || 0;
+            totalCredit += line.credit || 0;
+        }
+
+        if (lines.some(line => !Number.isInteger(line.debit || 0) || !Number.isInteger(line.credit || 0))) {
+            throw new Error('Journal entry amounts must be whole paise');
+        }
+
+        if (totalDebit !== totalCredit) {
+            throw new Error(`Journal entry is not balanced (debit ${money.toRupees(totalDebit)}, credit ${money.toRupees(totalCredit)})`);
+        }
+
+        const entryNumber = `JE${Date.now()}${Math.floor(Math.random() * 1000)}`;
+
+        let till = null;
+        if (lines.some(line => line.account === this.ACCOUNTS.CASH) && !this.NON_TILL_SOURCES.includes(source_type)) {
+            till = await db.get(`SELECT id FROM till_sessions WHERE teller_id = ? AND status = 'open'`, [posted_by]);
+        }
+
+        const result = await db.run(
+            `INSERT INTO gl_journal_entries (
+                entry_number, source_type, source_id, reference_number, customer_id,
+                description, posted_by, till_session_id, entry_date
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+            [
+                entryNumber,
+                source_type,
+                source_id || null,
+                reference_number || null,
+                customer_id || null,
+                description,
+                posted_by,
+                till ? till.id : null
+            ]
+        );
+
+        for (const line of lines) {
+            // Resolve the entry by number so a journal replay links lines to the replayed entry
+            await db.run(
+                `INSERT INTO gl_journal_lines (entry_id, gl_account_code, debit, credit)
+                 VALUES ((SELECT id FROM gl_journal_entries WHERE entry_number = ?), ?, ?, ?)`,
+                [entryNumber, line.account, line.debit || 0, line.credit || 0]
+            );
+        }
+
+        return {
+            id: result.id,
+            entry_number: entryNumber,
+            total_debit: money.toRupees(totalDebit),
+            total_credit: money.toRupees(totalCredit)
+        };
+    }
+
+    // Lines for paying out a deposit: the liability is released, the difference is
+    // interest expense (payout above principal) or penalty income (payout below principal).
+    // The part of the payout transferred to a savings account is not cash.
+    static closureLines(liabilityAccount, principal, payout, transferred = 0) {
+        const lines = [
+            { account: liabilityAccount, debit: principal },
+            { account: this.ACCOUNTS.CASH, credit: payout - transferred },
+            { account: this.ACCOUNTS.SAVINGS_DEPOSITS, credit: transferred }
+        ];
+
+        if (payout > principal) {
+            lines.push({ account: this.ACCOUNTS.INTEREST_EXPENSE, debit: payout - principal });
+        } else if (payout < principal) {
+            lines.push({ account: this.ACCOUNTS.PENALTY_INCOME, credit: principal - payout });
+        }
+
+        return lines;
+    }
+
+    // Posts the mirror image of the entry recorded for a source transaction, as
+    // '<source_type>_reversal'. Returns null when the source predates the ledger.
+    static async reverseEntry(sourceType, sourceId, entryData, db = txnDb) {
+        const entry = await db.get(
+            'SELECT id FROM gl_journal_entries WHERE source_type = ? AND source_id = ? ORDER BY id LIMIT 1',
+            [sourceType, sourceId]
+        );
+
+        if (!entry) {
+            return null;
+        }
+
+        const lines = await db.all(
+            'SELECT gl_account_code, debit, credit FROM gl_journal_lines WHERE entry_id = ? ORDER BY id',
+            [entry.id]
+        );
+
+        return await this.postEntry({
+            ...entryData,
+            source_type: `${sourceType}_reversal`,
+            lines: lines.map(line => ({ account: line.gl_account_code, debit: line.credit, credit: line.debit }))
+        }, db);
+    }
+
+    static async getChartOfAccounts() {
+        try {
+            const accounts = await txnDb.all('SELECT * FROM gl_accounts WHERE is_active = 1 ORDER BY code');
+            return { success: true, accounts };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    static async getJournal(filters = {}) {
+        try {
+            let query = 'SELECT * FROM gl_journal_entries WHERE 1=1';
+            const params = [];
+
+            // Apply filters
+            if (filters.source_type) {
+                query += ' AND source_type = ?';
+                params.push(filters.source_type);
+            }
+
+            if (filters.customer_id) {
+                query += ' AND customer_id = ?';
+                params.push(filters.customer_id);
+            }
+
+            if (filters.gl_account_code) {
+                query += ' AND id IN (SELECT entry_id FROM gl_journal_lines WHERE gl_account_code = ?)';
+                params.push(filters.gl_account_code);
+            }
+
+            if (filters.start_date) {
+                query += ' AND DATE(entry_date) >= ?';
+                params.push(filters.start_date);
+            }
+
+            if (filters.end_date) {
+                query += ' AND DATE(entry_date) <= ?';
+                params.push(filters.end_date);
+            }
+
+            query += ' ORDER BY entry_date DESC, id DESC';
+
+            // Pagination
+            if (filters.limit) {
+                query += ' LIMIT ?';
+                params.push(filters.limit);
+
+                if (filters.offset) {
+                    query += ' OFFSET ?';
+                    params.push(filters.offset);
+                }
+            }
+
+            const entries = await txnDb.all(query, params);
+
+            // Attach lines to each entry
+            for (const entry of entries) {
+                const lines = await txnDb.all(`
+                    SELECT l.gl_account_code, a.name as gl_account_name, l.debit, l.credit
+                    FROM gl_journal_lines l
+                    LEFT JOIN gl_accounts a ON l.gl_account_code = a.code
+                    WHERE l.entry_id = ?
+                    ORDER BY l.id
+                `, [entry.id]);
+                entry.lines = money.rowsToRupees(lines, ['debit', 'credit']);
+            }
+
+            return { success: true, entries };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    static async getAccountBalances(filters = {}) {
+        const result = await this.getAccountBalancesInPaise(filters);
+        if (!result.success) {
+            return result;
+        }
+
+        return {
+            success: true,
+            accounts: money.rowsToRupees(result.accounts, ['total_debit', 'total_credit', 'balance'])
+        };
+    }
+
+    static async getAccountBalancesInPaise(filters = {}) {
+        try {
+            let dateCondition = '';
+            const params = [];
+
+            if (filters.start_date) {
+                dateCondition += ' AND DATE(e.entry_date) >= ?';
+                params.push(filters.start_date);
+            }
+
+            if (filters.as_of) {
+                dateCondition += ' AND DATE(e.entry_date) <= ?';
+                params.push(filters.as_of);
+            }
+
+            const rows = await txnDb.all(`
+                SELECT
+                    a.code, a.name, a.account_type, a.normal_balance,
+                    COALESCE(SUM(l.debit), 0) as total_debit,
+                    COALESCE(SUM(l.credit), 0) as total_credit
+                FROM gl_accounts a
+                LEFT JOIN gl_journal_lines l ON l.gl_account_code = a.code
+                    AND l.entry_id IN (SELECT e.id FROM gl_journal_entries e WHERE 1=1${dateCondition})
+                WHERE a.is_active = 1
+                GROUP BY a.code
+                ORDER BY a.code
+            `, params);
+
+            const accounts = rows.map(row => ({
+                ...row,
+                balance: row.normal_balance === 'debit'
+                    ? row.total_debit - row.total_credit
+                    : row.total_credit - row.total_debit
+            }));
+
+            return { success: true, accounts };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    static async getTrialBalance(asOf = null) {
+        try {
+            const balancesResult = await this.getAccountBalancesInPaise({ as_of: asOf });
+            if (!balancesResult.success) {
+                return balancesResult;
+            }
+
+            let totalDebit = 0;
+            let totalCredit = 0;
+
+            const accounts = balancesResult.accounts.map(account => {
+                const net = account.total_debit - account.total_credit;
+                const debit = net > 0 ? net : 0;
+                const credit = net < 0 ? -net : 0;
+                totalDebit += debit;
+                totalCredit += credit;
+
+                return {
+                    code: account.code,
+                    name: account.name,
+                    account_type: account.account_type,
+                    debit: money.toRupees(debit),
+                    credit: money.toRupees(credit)
+                };
+            });
+
+            return {
+                success: true,
+                trial_balance: {
+                    as_of: asOf || new Date().toISOString().split('T')[0],
+                    accounts,
+                    total_debit: money.toRupees(totalDebit),
+                    total_credit: money.toRupees(totalCredit),
+                    is_balanced: totalDebit === totalCredit
+                }
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+module.exports = GeneralLedger;
@@ -0,0 +1,544 @@
+const mainDb = require('../config/db_main');
+const txnDb = require('../config/db_txn');
+const Account = require('./Account');
+const GeneralLedger = require('./GeneralLedger');
+const RateCard = require('./RateCard');
+const coordinator = require('../utils/transactionCoordinator');
+const money = require('../utils/money');
+const settingsStore = require('../utils/settingsStore');
+
+/**
+ * Savings interest accrual and posting.
+ *
+ * Interest accrues for every day that has ended, on a balance rebuilt from the
+ * balance_after history in transactions: the day's closing balance (daily product)
+ * or the lowest balance held during the day (daily minimum). Each accrued day is an
+ * interest_calculations row. Amounts are rounded on the running total of the period,
+ * so the days always add up to the interest on the period's whole product. Each day
+ * earns the rate its product's rate card had in force that day for the day's balance
+ * slab; accounts opened before the catalogue keep the rate they were opened at.
+ *
+ * Accrued interest is credited once per posting period, quarterly or half-yearly
+ * and aligned to the April-March financial year. interest_postings holds one row per
+ * account and period, so repeating an accrual or posting run never pays a day twice.
+ */
+class InterestAccrual {
+    static get METHODS() {
+        return ['daily_product', 'daily_minimum'];
+    }
+
+    // Length of each posting period in months
+    static get POSTING_FREQUENCIES() {
+        return { quarterly: 3, half_yearly: 6 };
+    }
+
+    static get DAYS_IN_YEAR() {
+        return 365;
+    }
+
+    static async getConfig() {
+        const settings = await settingsStore.read();
+        const method = settings.interest.savingsAccrualMethod;
+        const frequency = settings.interest.savingsPostingFrequency;
+
+        if (!this.METHODS.includes(method)) {
+            throw new Error(`Unsupported interest accrual method: ${method}`);
+        }
+        if (!this.POSTING_FREQUENCIES[frequency]) {
+            throw new Error(`Unsupported interest posting frequency: ${frequency}`);
+        }
+
+        return { method, frequency };
+    }
+
+    // Dates are handled as YYYY-MM-DD strings in UTC, like DATE() in SQLite
+    static parseDate(value) {
+        const date = new Date(`${value}T00:00:00Z`);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '') || isNaN(date.getTime()) || this.formatDate(date) !== value) {
+            throw new Error(`Invalid date: ${value}. Use YYYY-MM-DD`);
+        }
+        return date;
+    }
+
+    static formatDate(date) {
+        return date.toISOString().split('T')[0];
+    }
+
+    static today() {
+        return this.formatDate(new Date());
+    }
+
+    static addDays(value, days) {
+        const date = this.parseDate(value);
+        date.setUTCDate(date.getUTCDate() + days);
+        return this.formatDate(date);
+    }
+
+    // Posting period containing a date
+    static getPeriod(value, frequency) {
+        const months = this.POSTING_FREQUENCIES[frequency];
+        if (!months) {
+            throw new Error(`Unsupported interest posting frequency: ${frequency}`);
+        }
+
+        const date = this.parseDate(value);
+        const monthsSinceApril = date.getUTCFullYear() * 12 + date.getUTCMonth() - 3;
+        const startMonth = monthsSinceApril - (monthsSinceApril % months) + 3;
+        const year = Math.floor(startMonth / 12);
+
+        return {
+            period_start: this.formatDate(new Date(Date.UTC(year, startMonth % 12, 1))),
+            period_end: this.formatDate(new Date(Date.UTC(year, startMonth % 12 + months, 0)))
+        };
+    }
+
+    static getLastCompletedPeriod(frequency) {
+        const current = this.getPeriod(this.today(), frequency);
+        return this.getPeriod(this.addDays(current.period_start, -1), frequency);
+    }
+
+    // Accounts that earn interest, optionally limited to the given ids: those opened at a
+    // rate, and those whose product has paid one on any of its rate cards
+    static async getEligibleAccounts(accountIds = null) {
+        let query = `
+            SELECT id, account_number, customer_id, interest_rate, product_id
+            FROM accounts
+            WHERE is_active = 1 AND (interest_rate > 0 OR product_id IN (
+                SELECT c.product_id FROM rate_cards c
+                JOIN rate_card_slabs s ON s.rate_card_id = c.id
+                WHERE c.status = 'approved' AND s.interest_rate > 0
+            ))
+        `;
+        const params = [];
+
+        if (accountIds) {
+            query += ` AND id IN (${accountIds.map(() => '?').join(', ')})`;
+            params.push(...accountIds);
+        }
+
+        query += ' ORDER BY id';
+
+        return await mainDb.all(query, params);
+    }
+
+    // Opening, closing and lowest balance of each day from `from` to `to`
+    static async getDailyBalances(accountId, from, to, db = txnDb) {
+        const opening = await db.get(
+            `SELECT balance_after FROM transactions
+             WHERE account_id = ? AND DATE(transaction_date) < ?
+             ORDER BY transaction_date DESC, id DESC LIMIT 1`,
+            [accountId, from]
+        );
+
+        const rows = await db.all(
+            `SELECT DATE(transaction_date) as day, balance_after FROM transactions
+             WHERE account_id = ? AND DATE(transaction_date) BETWEEN ? AND ?
+             ORDER BY transaction_date, id`,
+            [accountId, from, to]
+        );
+
+        const days = [];
+        let balance = opening ? opening.balance_after : 0;
+        let index = 0;
+
+        for (let day = from; day <= to; day = this.addDays(day, 1)) {
+            const dayOpening = balance;
+            let lowest = balance;
+
+            while (index < rows.length && rows[index].day === day) {
+                balance = rows[index].balance_after;
+                lowest = Math.min(lowest, balance);
+                index++;
+            }
+
+            days.push({ date: day, opening_balance: dayOpening, closing_balance: balance, lowest_balance: lowest });
+        }
+
+        return days;
+    }
+
+    // Accruals of a period recorded so far: days, running product (balance x rate) and interest
+    static async getAccruedToDate(accountId, periodStart, db = txnDb) {
+        return await db.get(
+            `SELECT
+                COUNT(*) as days_count,
+                MAX(calculation_date) as last_date,
+                COALESCE(SUM(balance_basis * interest_rate), 0) as weighted_product,
+                COALESCE(SUM(interest_amount), 0) as interest_amount
+             FROM interest_calculations
+             WHERE account_id = ? AND period_start = ?`,
+            [accountId, periodStart]
+        );
+    }
+
+    // Accrual rows for the days of a period not yet accrued, up to `through`
+    static async calculateAccruals(account, period, through, method, db = txnDb) {
+        const accrued = await this.getAccruedToDate(account.id, period.period_start, db);
+        const from = accrued.last_date ? this.addDays(accrued.last_date, 1) : period.period_start;
+        const until = through < period.period_end ? through : period.period_end;
+
+        if (from > until) {
+            return { accrued, days: [] };
+        }
+
+        const history = account.product_id ? await RateCard.getHistory(account.product_id) : [];
+        const balances = await this.getDailyBalances(account.id, from, until, db);
+
+        let weightedProduct = accrued.weighted_product;
+        let interestToDate = accrued.interest_amount;
+
+        const days = balances.map(day => {
+            const basis = method === 'daily_minimum' ? day.lowest_balance : day.closing_balance;
+            const card = RateCard.pick(history, day.date);
+            const rate = card ? RateCard.slabRate(card, basis) : parseFloat(account.interest_rate);
+
+            weightedProduct += basis * rate;
+            const roundedToDate = money.round(weightedProduct / (100 * this.DAYS_IN_YEAR));
+            const interest = roundedToDate - interestToDate;
+            interestToDate = roundedToDate;
+
+            return {
+                ...day,
+                balance_basis: basis,
+                interest_rate: rate,
+                interest_amount: interest
+            };
+        });
+
+        return { accrued, days };
+    }
+
+    static async recordAccruals(account, period, method, days, processedBy, txn) {
+        for (const day of days) {
+            await txn.run(
+                `INSERT INTO interest_calculations (
+                    account_id, customer_id, calculation_date, opening_balance, closing_balance,
+                    interest_rate, interest_amount, days_count, processed_by,
+                    period_start, period_end, accrual_method, balance_basis
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, 1, ?, ?, ?, ?, ?)`,
+                [
+                    account.id, account.customer_id, day.date, day.opening_balance, day.closing_balance,
+                    day.interest_rate, day.interest_amount, processedBy,
+                    period.period_start, period.period_end, method, day.balance_basis
+                ]
+            );
+        }
+    }
+
+    // Daily run: accrues every ended day of the current period up to asOf (default yesterday)
+    static async accrue(asOf = null, processedBy) {
+        try {
+            const yesterday = this.addDays(this.today(), -1);
+            const through = asOf || yesterday;
+            this.parseDate(through);
+
+            if (through > yesterday) {
+                throw new Error('Interest can only be accrued for days that have ended');
+            }
+
+            const { method, frequency } = await this.getConfig();
+            const period = this.getPeriod(through, frequency);
+            const accounts = await this.getEligibleAccounts();
+
+            const results = [];
+            let daysAccrued = 0;
+            let interestAccrued = 0;
+
+            for (const account of accounts) {
+                try {
+                    const days = await coordinator.execute('interest_accrual', async ({ txn }) => {
+                        const calculation = await this.calculateAccruals(account, period, through, method, txn);
+                        await this.recordAccruals(account, period, method, calculation.days, processedBy, txn);
+                        return calculation.days;
+                    }, { account_id: account.id, through });
+
+                    const interest = days.reduce((sum, day) => sum + day.interest_amount, 0);
+                    daysAccrued += days.length;
+                    interestAccrued += interest;
+
+                    results.push({
+                        account_id: account.id,
+                        account_number: account.account_number,
+                        success: true,
+                        days_accrued: days.length,
+                        interest_accrued: money.toRupees(interest)
+                    });
+                } catch (error) {
+                    results.push({
+                        account_id: account.id,
+                        account_number: account.account_number,
+                        success: false,
+                        error: error.message
+                    });
+                }
+            }
+
+            return {
+                success: true,
+                as_of: through,
+                method,
+                ...period,
+                results,
+                summary: {
+                    total_accounts: accounts.length,
+                    failed: results.filter(result => !result.success).length,
+                    days_accrued: daysAccrued,
+                    interest_accrued: money.toRupees(interestAccrued)
+                }
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Resolves the posting period from any date inside it (default: the last completed period)
+    static async resolvePeriod(date) {
+        const config = await this.getConfig();
+        const period = date ? this.getPeriod(date, config.frequency) : this.getLastCompletedPeriod(config.frequency);
+        return { ...config, period };
+    }
+
+    // What a posting run would credit, without writing anything
+    static async preview(options = {}) {
+        try {
+            const { method, period } = await this.resolvePeriod(options.period);
+            const yesterday = this.addDays(this.today(), -1);
+            const accounts = await this.getEligibleAccounts(options.account_ids || null);
+
+            const rows = [];
+            let totalInterest = 0;
+
+            for (const account of accounts) {
+                const posting = await txnDb.get(
+                    'SELECT * FROM interest_postings WHERE account_id = ? AND period_start = ?',
+                    [account.id, period.period_start]
+                );
+
+                if (posting) {
+                    rows.push({
+                        account_id: account.id,
+                        account_number: account.account_number,
+                        customer_id: account.customer_id,
+                        interest_rate: account.interest_rate,
+                        days_count: posting.days_count,
+                        interest_amount: money.toRupees(posting.interest_amount),
+                        already_posted: true,
+                        posted_at: posting.posted_at
+                    });
+                    continue;
+                }
+
+                const { accrued, days } = await this.calculateAccruals(account, period, yesterday, method);
+                const interest = accrued.interest_amount + days.reduce((sum, day) => sum + day.interest_amount, 0);
+                totalInterest += interest;
+
+                rows.push({
+                    account_id: account.id,
+                    account_number: account.account_number,
+                    customer_id: account.customer_id,
+                    interest_rate: account.interest_rate,
+                    days_count: accrued.days_count + days.length,
+                    interest_amount: money.toRupees(interest),
+                    already_posted: false
+                });
+            }
+
+            return {
+                success: true,
+                method,
+                ...period,
+                is_complete: period.period_end <= yesterday,
+                accounts: rows,
+                summary: {
+                    total_accounts: rows.length,
+                    already_posted: rows.filter(row => row.already_posted).length,
+                    interest_to_post: money.toRupees(totalInterest)
+                }
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Credits the interest accrued over an ended period, once per account
+    static async post(options = {}, processedBy) {
+        try {
+            const { method, period } = await this.resolvePeriod(options.period);
+
+            if (period.period_end >= this.today()) {
+                throw new Error(`Interest for ${period.period_start} to ${period.period_end} can be posted after the period ends`);
+            }
+
+            const accounts = await this.getEligibleAccounts(options.account_ids || null);
+            const results = [];
+
+            // Accounts posted by an earlier run are skipped without opening a coordinated operation
+            const alreadyPosted = new Set((await txnDb.all(
+                'SELECT account_id FROM interest_postings WHERE period_start = ?',
+                [period.period_start]
+            )).map(row => row.account_id));
+
+            for (const account of accounts) {
+                if (alreadyPosted.has(account.id)) {
+                    results.push({ account_id: account.id, account_number: account.account_number, success: true, status: 'already_posted' });
+                    continue;
+                }
+
+                try {
+                    const result = await this.postAccount(account, period, method, processedBy);
+                    results.push({ account_id: account.id, account_number: account.account_number, success: true, ...result });
+                } catch (error) {
+                    results.push({
+                        account_id: account.id,
+                        account_number: account.account_number,
+                        success: false,
+                        error: error.message,
+                        retry: error.code === 'BALANCE_CONFLICT'
+                    });
+                }
+            }
+
+            const posted = results.filter(result => result.status === 'posted');
+
+            return {
+                success: true,
+                method,
+                ...period,
+                results,
+                summary: {
+                    total_accounts: accounts.length,
+                    posted: posted.length,
+                    already_posted: results.filter(result => result.status === 'already_posted').length,
+                    failed: results.filter(result => !result.success).length,
+                    total_interest: money.toRupees(posted.reduce((sum, result) => sum + money.toPaise(result.interest_amount), 0))
+                }
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    static async postAccount(accountRow, period, method, processedBy) {
+        return await coordinator.execute('interest_posting', async ({ main, txn }) => {
+            const existing = await txn.get(
+                'SELECT id FROM interest_postings WHERE account_id = ? AND period_start = ?',
+                [accountRow.id, period.period_start]
+            );
+            if (existing) {
+                return { status: 'already_posted' };
+            }
+
+            // Fill in any days the daily run missed before totalling the period
+            const calculation = await this.calculateAccruals(accountRow, period, period.period_end, method, txn);
+            await this.recordAccruals(accountRow, period, method, calculation.days, processedBy, txn);
+
+            const totals = await this.getAccruedToDate(accountRow.id, period.period_start, txn);
+            const interestAmount = totals.interest_amount;
+
+            let transaction = null;
+            let newBalance = null;
+
+            if (interestAmount > 0) {
+                const accountResult = await Account.findRecordById(accountRow.id);
+                if (!accountResult.success) {
+                    throw new Error(accountResult.error);
+                }
+
+                const account = accountResult.account;
+                newBalance = await Account.updateBalance(main, account, interestAmount);
+
+                transaction = await Account.createTransaction({
+                    account_id: account.id,
+                    customer_id: account.customer_id,
+                    transaction_type: 'interest_credit',
+                    amount: interestAmount,
+                    balance_before: account.balance,
+                    balance_after: newBalance,
+                    description: `Interest ${period.period_start} to ${period.period_end} (${method.replace('_', ' ')})`,
+                    reference_type: 'interest_posting',
+                    processed_by: processedBy
+                }, txn);
+
+                await GeneralLedger.postEntry({
+                    source_type: 'interest_credit',
+                    source_id: transaction.id,
+                    reference_number: transaction.transaction_id,
+                    customer_id: account.customer_id,
+                    description: `Interest credit - ${account.account_number} (${period.period_start} to ${period.period_end})`,
+                    posted_by: processedBy,
+                    lines: [
+                        { account: GeneralLedger.ACCOUNTS.INTEREST_EXPENSE, debit: interestAmount },
+                        { account: GeneralLedger.ACCOUNTS.SAVINGS_DEPOSITS, credit: interestAmount }
+                    ]
+                }, txn);
+            }
+
+            // A period with nothing to credit is still recorded so it is not offered again
+            await txn.run(
+                `INSERT INTO interest_postings (
+                    account_id, customer_id, period_start, period_end, days_count,
+                    interest_amount, transaction_id, posted_by, posted_at
+                ) VALUES (?, ?, ?, ?, ?, ?, (SELECT id FROM transactions WHERE transaction_id = ?), ?, CURRENT_TIMESTAMP)`,
+                [
+                    accountRow.id, accountRow.customer_id, period.period_start, period.period_end, totals.days_count,
+                    interestAmount, transaction ? transaction.transaction_id : null, processedBy
+                ]
+            );
+
+            await txn.run(
+                `UPDATE interest_calculations
+                 SET posting_id = (SELECT id FROM interest_postings WHERE account_id = ? AND period_start = ?)
+                 WHERE account_id = ? AND period_start = ?`,
+                [accountRow.id, period.period_start, accountRow.id, period.period_start]
+            );
+
+            return {
+                status: interestAmount > 0 ? 'posted' : 'no_interest',
+                days_count: totals.days_count,
+                interest_amount: money.toRupees(interestAmount),
+                transaction,
+                new_balance: newBalance === null ? null : money.toRupees(newBalance)
+            };
+        }, { account_id: accountRow.id, period_start: period.period_start });
+    }
+
+    // Postings of an account, and the accruals of the period in progress
+    static async getAccountInterest(accountId) {
+        try {
+            const { method, frequency } = await this.getConfig();
+            const current = this.getPeriod(this.today(), frequency);
+
+            const postings = await txnDb.all(
+                'SELECT * FROM interest_postings WHERE account_id = ? ORDER BY period_start DESC',
+                [accountId]
+            );
+
+            const accruals = await txnDb.all(
+                `SELECT calculation_date, opening_balance, closing_balance, balance_basis,
+                        interest_rate, interest_amount, accrual_method
+                 FROM interest_calculations
+                 WHERE account_id = ? AND period_start = ?
+                 ORDER BY calculation_date`,
+                [accountId, current.period_start]
+            );
+
+            const accruedToDate = accruals.reduce((sum, row) => sum + row.interest_amount, 0);
+
+            return {
+                success: true,
+                method,
+                frequency,
+                current_period: {
+                    ...current,
+                    accrued_to_date: money.toRupees(accruedToDate),
+                    accruals: money.rowsToRupees(accruals, ['opening_balance', 'closing_balance', 'balance_basis', 'interest_amount'])
+                },
+                postings: money.rowsToRupees(postings, ['interest_amount'])
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+module.exports = InterestAccrual;
@@ -0,0 +1,467 @@
+const mainDb = require('../config/db_main');
+const coordinator = require('../utils/transactionCoordinator');
+
+/**
+ * Joint holders of savings accounts, FDs and RDs.
+ *
+ * The first holder is the product's own customer_id; joint holders are the members added
+ * after them, up to MAX_HOLDERS in all. A product with joint holders is operated in one
+ * of three modes: either-or-survivor (any holder alone), jointly (all holders together)
+ * or former-or-survivor (the first holder alone, the others only after their death). A
+ * product without joint holders is 'single', and goes back to it when the last joint
+ * holder is removed. Removed holders are kept with the reason for their removal.
+ * Withdrawals name the holders operating the product and are refused when the mode
+ * needs others (see checkOperators).
+ */
+class JointHolder {
+    static get PRODUCTS() {
+        return {
+            account: { table: 'accounts', number: 'account_number', label: 'Account', openSql: 'p.is_active = 1' },
+            fd: { table: 'fixed_deposits', number: 'fd_number', label: 'FD', openSql: `p.status IN ('active', 'matured')` },
+            rd: { table: 'recurring_deposits', number: 'rd_number', label: 'RD', openSql: `p.status IN ('active', 'defaulted', 'completed')` }
+        };
+    }
+
+    static get OPERATING_MODES() {
+        return {
+            single: 'Single',
+            either_or_survivor: 'Either or survivor',
+            jointly: 'Jointly',
+            former_or_survivor: 'Former or survivor'
+        };
+    }
+
+    // Modes a product with joint holders can be operated in
+    static get JOINT_MODES() {
+        return ['either_or_survivor', 'jointly', 'former_or_survivor'];
+    }
+
+    static get MAX_HOLDERS() {
+        return 4;
+    }
+
+    static productConfig(productType) {
+        const config = this.PRODUCTS[productType];
+        if (!config) {
+            throw new Error(`Unknown product type: ${productType}`);
+        }
+        return config;
+    }
+
+    // The product with its first holder, and whether it is still open to changes
+    static async findProduct(productType, productId, db = mainDb) {
+        const config = this.productConfig(productType);
+        const product = await db.get(
+            `SELECT p.id, p.customer_id, p.${config.number} as product_number, p.operating_mode, p.frozen_claim_id,
+                CASE WHEN ${config.openSql} THEN 1 ELSE 0 END as is_open,
+                c.name as customer_name, c.phone as customer_phone
+             FROM ${config.table} p
+             JOIN customers c ON p.customer_id = c.id
+             WHERE p.id = ?`,
+            [productId]
+        );
+        if (!product) {
+            throw new Error(`${config.label} not found`);
+        }
+        return product;
+    }
+
+    // The holders who must operate the product together for a debit under its mode: the first
+    // holder for 'single' and 'former_or_survivor', every holder for 'jointly', and for
+    // 'either_or_survivor' whichever of them are present (null: any one will do)
+    static requiredOperators(operatingMode, holders) {
+        if (operatingMode === 'jointly') {
+            return holders;
+        }
+        if (operatingMode === 'either_or_survivor') {
+            return null;
+        }
+        return holders.slice(0, 1);
+    }
+
+    // The first holder followed by the active joint holders, in the order they were added
+    static async findHolders(productType, productId, db = mainDb) {
+        const product = await this.findProduct(productType, productId, db);
+        const holders = await db.all(
+            `SELECT h.customer_id, c.name FROM product_holders h
+             JOIN customers c ON h.customer_id = c.id
+             WHERE h.product_type = ? AND h.product_id = ? AND h.status = 'active'
+             ORDER BY h.added_at, h.id`,
+            [productType, productId]
+        );
+        return {
+            product,
+            holders: [{ customer_id: product.customer_id, name: product.customer_name }, ...holders]
+        };
+    }
+
+    // Checks that the holders present (customer ids; the first holder when none are named) may
+    // debit the product under its operating mode, and returns those who operate it
+    static async checkOperators(productType, productId, operatedBy, db = mainDb) {
+        const config = this.productConfig(productType);
+        const { product, holders } = await this.findHolders(productType, productId, db);
+
+        const present = Array.isArray(operatedBy) && operatedBy.length > 0
+            ? [...new Set(operatedBy.map(id => parseInt(id)))]
+            : [product.customer_id];
+        const stranger = present.find(id => !holders.some(holder => holder.customer_id === id));
+        if (stranger !== undefined) {
+            throw new Error(`Customer #${stranger} is not a holder of ${config.label} ${product.product_number}`);
+        }
+
+        const required = this.requiredOperators(product.operating_mode, holders);
+        if (!required) {
+            return holders.filter(holder => present.includes(holder.customer_id));
+        }
+
+        const missing = required.filter(holder => !present.includes(holder.customer_id));
+        if (missing.length > 0) {
+            throw new Error(`${config.label} ${product.product_number} (${this.OPERATING_MODES[product.operating_mode]}) `
+                + `also needs ${missing.map(holder => holder.name).join(', ')} to operate it`);
+        }
+        return required;
+    }
+
+    static async findOperators(productType, productId, operatedBy) {
+        try {
+            return { success: true, holders: await this.checkOperators(productType, productId, operatedBy) };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Holders and nominees of a deceased holder's product stay as they were until the claim is settled
+    static assertNotFrozen(product, config) {
+        if (product.frozen_claim_id) {
+            throw new Error(`${config.label} ${product.product_number} is frozen for the claim on its deceased holder`);
+        }
+    }
+
+    static async findByProduct(productType, productId) {
+        try {
+            const product = await this.findProduct(productType, productId);
+
+            const rows = await mainDb.all(`
+                SELECT h.*, c.name, c.phone, u.name as added_by_name, r.name as removed_by_name
+                FROM product_holders h
+                JOIN customers c ON h.customer_id = c.id
+                LEFT JOIN users u ON h.added_by = u.id
+                LEFT JOIN users r ON h.removed_by = r.id
+                WHERE h.product_type = ? AND h.product_id = ?
+                ORDER BY h.added_at, h.id
+            `, [productType, productId]);
+
+            const active = rows.filter(row => row.status === 'active');
+
+            return {
+                success: true,
+                holding: {
+                    product_type: productType,
+                    product_id: product.id,
+                    product_number: product.product_number,
+                    operating_mode: product.operating_mode,
+                    operating_mode_label: this.OPERATING_MODES[product.operating_mode],
+                    is_open: !!product.is_open,
+                    holders: [
+                        { id: null, customer_id: product.customer_id, name: product.customer_name, phone: product.customer_phone, is_first_holder: true },
+                        ...active.map(row => ({ ...row, is_first_holder: false }))
+                    ],
+                    former_holders: rows.filter(row => row.status === 'removed')
+                }
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    static async add(productType, productId, holderData, addedBy) {
+        try {
+            const { customer_id, operating_mode } = holderData;
+            if (!customer_id) {
+                throw new Error('Customer is required');
+            }
+
+            let name;
+            await coordinator.execute('joint_holder_add', async ({ main }) => {
+                const config = this.productConfig(productType);
+                const product = await this.findProduct(productType, productId, main);
+                if (!product.is_open) {
+                    throw new Error(`Holders can only be added to an open ${config.label}`);
+                }
+                this.assertNotFrozen(product, config);
+
+                const mode = operating_mode || (product.operating_mode !== 'single' ? product.operating_mode : null);
+                if (!this.JOINT_MODES.includes(mode)) {
+                    throw new Error(`Operating mode must be one of: ${this.JOINT_MODES.join(', ')}`);
+                }
+
+                const customer = await main.get('SELECT id, name FROM customers WHERE id = ? AND is_active = 1 AND date_of_death IS NULL', [customer_id]);
+                if (!customer) {
+                    throw new Error('Customer not found, inactive or deceased');
+                }
+                if (customer.id === product.customer_id) {
+                    throw new Error(`${customer.name} is already the first holder`);
+                }
+
+                const holders = await main.all(
+                    `SELECT customer_id FROM product_holders WHERE product_type = ? AND product_id = ? AND status = 'active'`,
+                    [productType, productId]
+                );
+                if (holders.some(holder => holder.customer_id === customer.id)) {
+                    throw new Error(`${customer.name} is already a joint holder`);
+                }
+                const nominee = await main.get(
+                    `SELECT id FROM product_nominees WHERE product_type = ? AND product_id = ? AND customer_id = ? AND status = 'active'`,
+                    [productType, productId, customer.id]
+                );
+                if (nominee) {
+                    throw new Error(`${customer.name} is a nominee; change the nominees before adding them as a holder`);
+                }
+                if (holders.length + 1 >= this.MAX_HOLDERS) {
+                    throw new Error(`A ${config.label} can have at most ${this.MAX_HOLDERS} holders`);
+                }
+
+                await main.run(
+                    'INSERT INTO product_holders (product_type, product_id, customer_id, added_by) VALUES (?, ?, ?, ?)',
+                    [productType, productId, customer.id, addedBy]
+                );
+                await main.run(`UPDATE ${config.table} SET operating_mode = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [mode, productId]);
+                name = customer.name;
+            }, { product_type: productType, product_id: productId, customer_id });
+
+            const result = await this.findByProduct(productType, productId);
+            return result.success ? { ...result, name } : result;
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    static async remove(productType, productId, holderId, note, removedBy) {
+        try {
+            if (!note || !note.trim()) {
+                throw new Error('A note on why the holder is removed is required');
+            }
+
+            let name;
+            await coordinator.execute('joint_holder_remove', async ({ main }) => {
+                const config = this.productConfig(productType);
+                this.assertNotFrozen(await this.findProduct(productType, productId, main), config);
+                const holder = await main.get(
+                    `SELECT h.id, c.name FROM product_holders h
+                     JOIN customers c ON h.customer_id = c.id
+                     WHERE h.id = ? AND h.product_type = ? AND h.product_id = ? AND h.status = 'active'`,
+                    [holderId, productType, productId]
+                );
+                if (!holder) {
+                    throw new Error('Active joint holder not found on this product');
+                }
+
+                await main.run(
+                    `UPDATE product_holders SET status = 'removed', removed_by = ?, removed_at = CURRENT_TIMESTAMP, remove_note = ?
+                     WHERE id = ?`,
+                    [removedBy, note.trim(), holderId]
+                );
+
+                const remaining = await main.get(
+                    `SELECT COUNT(*) as count FROM product_holders WHERE product_type = ? AND product_id = ? AND status = 'active'`,
+                    [productType, productId]
+                );
+                if (remaining.count === 0) {
+                    await main.run(`UPDATE ${config.table} SET operating_mode = 'single', updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [productId]);
+                }
+                name = holder.name;
+            }, { product_type: productType, product_id: productId, holder_id: holderId });
+
+            const result = await this.findByProduct(productType, productId);
+            return result.success ? { ...result, name } : result;
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    static async setOperatingMode(productType, productId, operatingMode) {
+        try {
+            if (!this.JOINT_MODES.includes(operatingMode)) {
+                throw new Error(`Operating mode must be one of: ${this.JOINT_MODES.join(', ')}`);
+            }
+
+            const config = this.productConfig(productType);
+            const product = await this.findProduct(productType, productId);
+            if (!product.is_open) {
+                throw new Error(`The ${config.label} is closed`);
+            }
+            this.assertNotFrozen(product, config);
+            if (product.operating_mode === 'single') {
+                throw new Error(`The ${config.label} has no joint holders`);
+            }
+
+            await mainDb.run(`UPDATE ${config.table} SET operating_mode = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [operatingMode, productId]);
+
+            return await this.findByProduct(productType, productId);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Passes a deceased member's open joint products to the surviving holders, inside the
+    // claim's coordinator operation. A deceased joint holder is removed; when the first
+    // holder dies, the earliest surviving joint holder takes their place. Returns the
+    // products passed on, which stay out of the claim.
+    static async passToSurvivors(main, customer, dateOfDeath, recordedBy) {
+        const passed = [];
+        for (const [productType, config] of Object.entries(this.PRODUCTS)) {
+            const products = await main.all(
+                `SELECT p.id, p.customer_id, p.${config.number} as product_number, c.name as first_holder_name
+                 FROM ${config.table} p
+                 JOIN customers c ON p.customer_id = c.id
+                 WHERE ${config.openSql} AND p.operating_mode != 'single'
+                   AND (p.customer_id = ? OR p.id IN (${this.jointProductIdsSql(productType)}))
+                 ORDER BY p.id`,
+                [customer.id, customer.id]
+            );
+
+            for (const product of products) {
+                const holders = await main.all(
+                    `SELECT h.id, h.customer_id, c.name FROM product_holders h
+                     JOIN customers c ON h.customer_id = c.id
+                     WHERE h.product_type = ? AND h.product_id = ? AND h.status = 'active'
+                     ORDER BY h.added_at, h.id`,
+                    [productType, product.id]
+                );
+
+                const leaving = product.customer_id === customer.id
+                    ? holders[0]
+                    : holders.find(holder => holder.customer_id === customer.id);
+                const note = product.customer_id === customer.id
+                    ? `Became first holder on the death of ${customer.name} on ${dateOfDeath}`
+                    : `Died on ${dateOfDeath}`;
+
+                if (product.customer_id === customer.id) {
+                    await main.run(
+                        `UPDATE ${config.table} SET customer_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                        [leaving.customer_id, product.id]
+                    );
+                }
+                await main.run(
+                    `UPDATE product_holders SET status = 'removed', removed_by = ?, removed_at = CURRENT_TIMESTAMP, remove_note = ?
+                     WHERE id = ?`,
+                    [recordedBy, note, leaving.id]
+                );
+                if (holders.length === 1) {
+                    await main.run(`UPDATE ${config.table} SET operating_mode = 'single', updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [product.id]);
+                }
+
+                passed.push({
+                    product_type: productType,
+                    product_id: product.id,
+                    product_number: product.product_number,
+                    survivors: [{ customer_id: product.customer_id, name: product.first_holder_name }, ...holders]
+                        .filter(holder => holder.customer_id !== customer.id)
+                        .map(holder => holder.name)
+                });
+            }
+        }
+        return passed;
+    }
+
+    // Active joint holders of each of the given products, by product id
+    static async findHoldersFor(productType, productIds) {
+        const holders = new Map(productIds.map(id => [id, []]));
+        if (productIds.length === 0) {
+            return holders;
+        }
+
+        const rows = await mainDb.all(
+            `SELECT h.product_id, h.customer_id, c.name
+             FROM product_holders h
+             JOIN customers c ON h.customer_id = c.id
+             WHERE h.product_type = ? AND h.status = 'active' AND h.product_id IN (${productIds.map(() => '?').join(', ')})
+             ORDER BY h.added_at, h.id`,
+            [productType, ...productIds]
+        );
+        for (const row of rows) {
+            holders.get(row.product_id).push({ customer_id: row.customer_id, name: row.name });
+        }
+        return holders;
+    }
+
+    // Subquery for the ids of the products of a type a customer (the one parameter) holds jointly
+    static jointProductIdsSql(productType) {
+        this.productConfig(productType);
+        return `SELECT product_id FROM product_holders WHERE product_type = '${productType}' AND customer_id = ? AND status = 'active'`;
+    }
+
+    // Subquery for the first and joint holders of every product whose number matches the
+    // parameter, which is given once per product type per holder kind (see PRODUCT_NUMBER_PARAMS)
+    static get PRODUCT_NUMBER_HOLDERS_SQL() {
+        return Object.entries(this.PRODUCTS).map(([productType, config]) => `
+            SELECT customer_id FROM ${config.table} WHERE ${config.number} LIKE ?
+            UNION SELECT h.customer_id FROM product_holders h
+                JOIN ${config.table} p ON h.product_id = p.id
+                WHERE h.product_type = '${productType}' AND h.status = 'active' AND p.${config.number} LIKE ?
+        `).join(' UNION ');
+    }
+
+    static get PRODUCT_NUMBER_PARAMS() {
+        return Object.keys(this.PRODUCTS).length * 2;
+    }
+
+    // For each of the given customers, the open products they share with other holders
+    static async findRelationshipsFor(customerIds) {
+        const relationships = new Map(customerIds.map(id => [id, []]));
+        if (customerIds.length === 0) {
+            return relationships;
+        }
+
+        const placeholders = customerIds.map(() => '?').join(', ');
+        for (const [productType, config] of Object.entries(this.PRODUCTS)) {
+            const rows = await mainDb.all(
+                `SELECT p.id as product_id, p.${config.number} as product_number, p.operating_mode,
+                    p.customer_id as first_holder_id, c.name as first_holder_name,
+                    h.customer_id as holder_id, hc.name as holder_name
+                 FROM product_holders h
+                 JOIN ${config.table} p ON h.product_id = p.id
+                 JOIN customers c ON p.customer_id = c.id
+                 JOIN customers hc ON h.customer_id = hc.id
+                 WHERE h.product_type = ? AND h.status = 'active' AND ${config.openSql}
+                   AND (p.customer_id IN (${placeholders}) OR p.id IN (
+                       SELECT product_id FROM product_holders
+                       WHERE product_type = ? AND status = 'active' AND customer_id IN (${placeholders})
+                   ))
+                 ORDER BY p.id, h.added_at, h.id`,
+                [productType, ...customerIds, productType, ...customerIds]
+            );
+
+            const products = new Map();
+            for (const row of rows) {
+                if (!products.has(row.product_id)) {
+                    products.set(row.product_id, {
+                        product_number: row.product_number,
+                        operating_mode: row.operating_mode,
+                        holders: [{ customer_id: row.first_holder_id, name: row.first_holder_name }]
+                    });
+                }
+                products.get(row.product_id).holders.push({ customer_id: row.holder_id, name: row.holder_name });
+            }
+
+            for (const [productId, product] of products) {
+                product.holders.forEach((holder, index) => {
+                    if (!relationships.has(holder.customer_id)) {
+                        return;
+                    }
+                    relationships.get(holder.customer_id).push({
+                        product_type: productType,
+                        product_id: productId,
+                        product_number: product.product_number,
+                        operating_mode: product.operating_mode,
+                        is_first_holder: index === 0,
+                        other_holders: product.holders.filter(other => other.customer_id !== holder.customer_id).map(other => other.name)
+                    });
+                });
+            }
+        }
+        return relationships;
+    }
+}
+
+module.exports = JointHolder;
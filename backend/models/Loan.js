@@ -1,103 +1,591 @@
 const mainDb = require('../config/db_main');
 const txnDb = require('../config/db_txn');
+const GeneralLedger = require('./GeneralLedger');
+const Account = require('./Account');
+const Product = require('./Product');
+const coordinator = require('../utils/transactionCoordinator');
+const money = require('../utils/money');
+const amortization = require('../utils/amortization');
+const settingsStore = require('../utils/settingsStore');
 
 class Loan {
+    static get MONEY_FIELDS() {
+        return [
+            'principal_amount', 'emi_amount', 'total_amount', 'outstanding_amount',
+            'principal_outstanding', 'principal_due', 'interest_due', 'charges_due', 'provision_amount',
+            'requested_amount', 'sanctioned_amount', 'written_off_amount'
+        ];
+    }
+
+    static get TRANSACTION_MONEY_FIELDS() {
+        return ['amount', 'principal_amount', 'interest_amount', 'charges_amount', 'outstanding_before', 'outstanding_after'];
+    }
+
+    static get QUOTE_MONEY_FIELDS() {
+        return ['principal', 'interest_due', 'broken_interest', 'advance_interest', 'interest', 'charges', 'total'];
+    }
+
+    static get PREPAYMENT_OPTIONS() {
+        return ['reduce_emi', 'reduce_tenure'];
+    }
+
+    // Where a loan can move next; disbursed becomes active by itself once repayment starts,
+    // and a loan repaid in full is closed by its last payment
+    static get TRANSITIONS() {
+        return {
+            applied: ['under_review', 'rejected'],
+            under_review: ['sanctioned', 'rejected'],
+            sanctioned: ['disbursed', 'rejected'],
+            disbursed: ['active', 'foreclosed', 'written_off'],
+            active: ['closed', 'foreclosed', 'written_off']
+        };
+    }
+
+    // Statuses of a loan that is out and being repaid
+    static get REPAYING_STATUSES() {
+        return ['disbursed', 'active'];
+    }
+
+    // Statuses of a loan from application until it is repaid, written off or rejected
+    static get OPEN_STATUSES() {
+        return ['applied', 'under_review', 'sanctioned', 'disbursed', 'active'];
+    }
+
+    static get DISBURSEMENT_MODES() {
+        return ['savings', 'cash'];
+    }
+
+    static today() {
+        return new Date().toISOString().split('T')[0];
+    }
+
+    // An application for a loan. The terms applied for are recorded as the loan's terms
+    // until it is sanctioned; nothing is disbursed until then.
     static async create(loanData, createdBy) {
         try {
             const {
                 customer_id,
-                loan_type,
+                product_id,
                 principal_amount,
-                interest_rate,
-                tenure_months
+                tenure_months,
+                purpose
             } = loanData;
 
             // Validate required fields
-            if (!customer_id || !loan_type || !principal_amount || !interest_rate || !tenure_months) {
+            if (!customer_id || !product_id || !principal_amount || !tenure_months) {
                 throw new Error('All loan details are required');
             }
 
             // Validate customer exists
-            const customer = await mainDb.get('SELECT id FROM customers WHERE id = ? AND is_active = 1', [customer_id]);
+            const customer = await mainDb.get('SELECT id FROM customers WHERE id = ? AND is_active = 1 AND date_of_death IS NULL', [customer_id]);
             if (!customer) {
-                throw new Error('Customer not found or inactive');
+                throw new Error('Customer not found, inactive or deceased');
             }
 
-            // Validate amounts and rates
-            if (principal_amount <= 0) {
-                throw new Error('Principal amount must be positive');
+            // Work in paise from here on
+            const principalAmount = money.toPaise(principal_amount);
+
+            // The product sets the loan type, rate and compounding, and the limits the loan
+            // must be within; loans against an FD are applied for through FDLoan.apply
+            const { product, termsJson } = await Product.selectForContract(product_id, 'loan', {
+                customerId: customer_id,
+                amount: principalAmount,
+                tenureMonths: parseInt(tenure_months)
+            });
+
+            this.validateTerms(principal_amount, product.interest_rate, tenure_months);
+
+            // Generate unique loan number
+            const loan_number = await this.generateLoanNumber();
+
+            const result = await coordinator.execute('loan_apply', async ({ main }) => {
+                return this.insertApplication(main, {
+                    loan_number,
+                    customer_id,
+                    loan_type: product.category,
+                    principal_amount: principalAmount,
+                    interest_rate: product.interest_rate,
+                    compounding: product.compounding,
+                    tenure_months: parseInt(tenure_months),
+                    purpose,
+                    product_id: product.id,
+                    product_terms: termsJson
+                }, createdBy);
+            }, { loan_number, customer_id, principal_amount: principalAmount });
+
+            return await this.findById(result.id);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Records a validated application (principal in paise) with its first history row
+    static async insertApplication(main, application, createdBy) {
+        const {
+            loan_number, customer_id, loan_type, principal_amount, interest_rate, compounding = 'monthly',
+            tenure_months, purpose, fd_id, product_id, product_terms
+        } = application;
+
+        // Indicative EMI and dates; they are set again on sanction and disbursement
+        const emi_amount = this.calculateEMI(principal_amount, interest_rate, tenure_months, compounding);
+        const start_date = this.today();
+
+        const inserted = await main.run(
+            `INSERT INTO loans (
+                loan_number, customer_id, loan_type, principal_amount, requested_amount, interest_rate, compounding,
+                tenure_months, emi_amount, total_amount, outstanding_amount, principal_outstanding,
+                start_date, end_date, purpose, fd_id, product_id, product_terms, status, created_by, created_at, updated_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0, 0, ?, ?, ?, ?, ?, ?, 'applied', ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+            [
+                loan_number, customer_id, loan_type, principal_amount, principal_amount, interest_rate, compounding,
+                tenure_months, emi_amount, emi_amount * tenure_months,
+                start_date, amortization.addMonths(start_date, tenure_months), purpose || null, fd_id || null,
+                product_id || null, product_terms || null, createdBy
+            ]
+        );
+
+        await this.recordStatusChange(main, inserted.id, null, 'applied', createdBy, purpose || null);
+        return inserted;
+    }
+
+    static validateTerms(principalAmount, interestRate, tenureMonths) {
+        if (!(principalAmount > 0)) {
+            throw new Error('Principal amount must be positive');
+        }
+        if (!(interestRate > 0)) {
+            throw new Error('Interest rate must be positive');
+        }
+        if (!Number.isInteger(Number(tenureMonths)) || tenureMonths <= 0) {
+            throw new Error('Tenure must be a positive number of months');
+        }
+    }
+
+    static async recordStatusChange(main, loanId, fromStatus, toStatus, changedBy, note = null) {
+        await main.run(
+            `INSERT INTO loan_status_history (loan_id, from_status, to_status, note, changed_by, changed_at)
+             VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+            [loanId, fromStatus, toStatus, note, changedBy]
+        );
+    }
+
+    // Moves a loan to the next workflow status inside a coordinator operation, with the
+    // extra columns that step sets; refuses a move the workflow does not allow
+    static async transition(main, loan, toStatus, changedBy, note = null, fields = {}) {
+        const allowed = this.TRANSITIONS[loan.status] || [];
+        if (!allowed.includes(toStatus)) {
+            throw new Error(`A loan that is ${loan.status.replace('_', ' ')} cannot be moved to ${toStatus.replace('_', ' ')}`);
+        }
+
+        const columns = Object.keys(fields);
+        await main.run(
+            `UPDATE loans SET status = ?, ${columns.map(column => `${column} = ?, `).join('')}updated_at = CURRENT_TIMESTAMP
+             WHERE id = ? AND status = ?`,
+            [toStatus, ...columns.map(column => fields[column]), loan.id, loan.status]
+        );
+
+        await this.recordStatusChange(main, loan.id, loan.status, toStatus, changedBy, note);
+    }
+
+    static async getLoanForUpdate(id, main) {
+        const loan = await main.get('SELECT * FROM loans WHERE id = ?', [id]);
+        if (!loan) {
+            throw new Error('Loan not found');
+        }
+        return loan;
+    }
+
+    // Applied -> under review
+    static async review(id, reviewedBy, note = null) {
+        try {
+            await coordinator.execute('loan_review', async ({ main }) => {
+                const loan = await this.getLoanForUpdate(id, main);
+                await this.transition(main, loan, 'under_review', reviewedBy, note);
+            }, { loan_id: id });
+
+            return await this.findById(id);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Under review -> sanctioned, on the terms sanctioned (rupees), which may be lower
+    // than the amount applied for. The sanction letter records them.
+    static async sanction(id, terms, sanctionedBy) {
+        try {
+            const { sanctioned_amount, interest_rate, tenure_months, conditions } = terms;
+            this.validateTerms(sanctioned_amount, interest_rate, tenure_months);
+
+            const sanctionedAmount = money.toPaise(sanctioned_amount);
+            const tenureMonths = parseInt(tenure_months);
+
+            await coordinator.execute('loan_sanction', async ({ main }) => {
+                const loan = await this.getLoanForUpdate(id, main);
+
+                if (sanctionedAmount > loan.requested_amount) {
+                    throw new Error(`Sanctioned amount cannot exceed the ₹${money.toRupees(loan.requested_amount)} applied for`);
+                }
+                // A loan against an FD is priced off the FD when applied for
+                if (loan.fd_id && parseFloat(interest_rate) !== loan.interest_rate) {
+                    throw new Error(`A loan against an FD carries the ${loan.interest_rate}% set from the FD rate`);
+                }
+
+                // The sanctioned amount and tenure stay within the product the loan was applied for
+                const productTerms = Product.parseTerms(loan);
+                if (productTerms) {
+                    Product.checkLimits(productTerms, sanctionedAmount, tenureMonths);
+                }
+
+                const emi = this.calculateEMI(sanctionedAmount, interest_rate, tenureMonths, loan.compounding);
+
+                await this.transition(main, loan, 'sanctioned', sanctionedBy, conditions || null, {
+                    principal_amount: sanctionedAmount,
+                    interest_rate,
+                    tenure_months: tenureMonths,
+                    emi_amount: emi,
+                    total_amount: emi * tenureMonths,
+                    sanctioned_amount: sanctionedAmount,
+                    sanctioned_rate: interest_rate,
+                    sanctioned_tenure_months: tenureMonths,
+                    sanction_conditions: conditions || null,
+                    sanction_letter_number: `SL${loan.loan_number.slice(2)}`,
+                    sanctioned_by: sanctionedBy,
+                    sanctioned_at: new Date().toISOString()
+                });
+            }, { loan_id: id, sanctioned_amount: sanctionedAmount });
+
+            return await this.findById(id);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Applied, under review or sanctioned -> rejected
+    static async reject(id, reason, rejectedBy) {
+        try {
+            if (!reason || !reason.trim()) {
+                throw new Error('Rejection reason is required');
             }
-            if (interest_rate <= 0) {
-                throw new Error('Interest rate must be positive');
+
+            await coordinator.execute('loan_reject', async ({ main }) => {
+                const loan = await this.getLoanForUpdate(id, main);
+                await this.transition(main, loan, 'rejected', rejectedBy, reason.trim(), {
+                    rejection_reason: reason.trim()
+                });
+                await this.releaseSecurity(main, id, rejectedBy, 'Loan application rejected');
+            }, { loan_id: id });
+
+            return await this.findById(id);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    static async validateDisbursementAccount(accountId, customerId) {
+        if (!accountId) {
+            throw new Error('A savings account is required to receive the disbursement');
+        }
+
+        const account = await mainDb.get('SELECT id, customer_id, account_type, is_active FROM accounts WHERE id = ?', [accountId]);
+        if (!account || !account.is_active) {
+            throw new Error('Disbursement account not found or inactive');
+        }
+        if (account.customer_id !== customerId) {
+            throw new Error('Disbursement account belongs to a different customer');
+        }
+        if (account.account_type !== 'savings') {
+            throw new Error('Disbursement account must be a savings account');
+        }
+
+        return account.id;
+    }
+
+    // Sanctioned -> disbursed. The sanctioned amount is paid out in cash or credited to
+    // the customer's savings account, and the schedule starts from today. The loan
+    // becomes active once its first installment falls due or is paid.
+    static async disburse(id, { mode, account_id }, disbursedBy) {
+        try {
+            if (!this.DISBURSEMENT_MODES.includes(mode)) {
+                throw new Error(`Disbursement mode must be one of: ${this.DISBURSEMENT_MODES.join(', ')}`);
+            }
+
+            return await coordinator.execute('loan_disburse', async ({ main, txn }) => {
+                const loan = await this.getLoanForUpdate(id, main);
+                const accountId = mode === 'savings'
+                    ? await this.validateDisbursementAccount(parseInt(account_id), loan.customer_id)
+                    : null;
+
+                const startDate = this.today();
+                await this.transition(main, loan, 'disbursed', disbursedBy, mode === 'savings' ? 'Credited to savings' : 'Paid in cash', {
+                    start_date: startDate,
+                    end_date: amortization.addMonths(startDate, loan.tenure_months),
+                    outstanding_amount: loan.principal_amount,
+                    principal_outstanding: loan.principal_amount,
+                    disbursement_mode: mode,
+                    disbursement_account_id: accountId,
+                    disbursed_by: disbursedBy,
+                    disbursed_at: new Date().toISOString()
+                });
+
+                const description = `Loan disbursed${mode === 'savings' ? ' to savings' : ' in cash'} - ${loan.loan_number}`;
+                const transaction = await this.createLoanTransaction({
+                    loan_id: id,
+                    customer_id: loan.customer_id,
+                    transaction_type: 'loan_disbursement',
+                    amount: loan.principal_amount,
+                    principal_amount: loan.principal_amount,
+                    interest_amount: 0,
+                    outstanding_before: 0,
+                    outstanding_after: loan.principal_amount,
+                    description,
+                    processed_by: disbursedBy
+                }, txn);
+
+                // A savings disbursement credits the account directly; no cash leaves the counter
+                let credit = null;
+                if (accountId) {
+                    credit = await Account.transferWithProduct(
+                        accountId,
+                        loan.principal_amount,
+                        `Loan ${loan.loan_number} disbursement`,
+                        { type: 'loan_disbursement', number: transaction.transaction_id, id: transaction.id },
+                        disbursedBy,
+                        { main, txn }
+                    );
+
+                    await main.run(
+                        'UPDATE loans SET disbursement_reference = ? WHERE id = ?',
+                        [credit.transaction_id, id]
+                    );
+                }
+
+                await GeneralLedger.postEntry({
+                    source_type: 'loan_disbursement',
+                    source_id: transaction.id,
+                    reference_number: transaction.transaction_id,
+                    customer_id: loan.customer_id,
+                    description,
+                    posted_by: disbursedBy,
+                    lines: [
+                        { account: GeneralLedger.ACCOUNTS.LOANS_RECEIVABLE, debit: loan.principal_amount },
+                        { account: credit ? GeneralLedger.ACCOUNTS.SAVINGS_DEPOSITS : GeneralLedger.ACCOUNTS.CASH, credit: loan.principal_amount }
+                    ]
+                }, txn);
+
+                await this.rebuildSchedule(id, { main, txn });
+                const disbursed = await this.findById(id);
+
+                return {
+                    success: true,
+                    loan: disbursed.loan,
+                    transaction,
+                    deposit_transaction: credit
+                };
+            }, { loan_id: id, mode, account_id });
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Disbursed or active -> written off. What is still owed comes off the books as a
+    // write-off expense; the transaction can be reversed to reinstate the loan.
+    static async writeOff(id, reason, processedBy) {
+        try {
+            if (!reason || !reason.trim()) {
+                throw new Error('Write-off reason is required');
+            }
+
+            return await coordinator.execute('loan_write_off', async ({ main, txn }) => {
+                // Rebuilt first: it can move a disbursed loan to active
+                const plan = await this.rebuildSchedule(id, { main, txn });
+                const loan = await this.getLoanForUpdate(id, main);
+                const amount = plan.principal_outstanding + plan.charges_due;
+
+                await this.transition(main, loan, 'written_off', processedBy, reason.trim(), {
+                    written_off_amount: amount,
+                    outstanding_amount: 0,
+                    principal_outstanding: 0,
+                    principal_due: 0,
+                    interest_due: 0,
+                    charges_due: 0,
+                    overdue_emis: 0,
+                    overdue_since: null,
+                    closed_at: new Date().toISOString()
+                });
+
+                const description = `Loan written off - ${loan.loan_number}`;
+                const transaction = await this.createLoanTransaction({
+                    loan_id: id,
+                    customer_id: loan.customer_id,
+                    transaction_type: 'loan_write_off',
+                    amount,
+                    principal_amount: plan.principal_outstanding,
+                    interest_amount: 0,
+                    charges_amount: plan.charges_due,
+                    outstanding_before: plan.outstanding_amount,
+                    outstanding_after: 0,
+                    description: `${description}: ${reason.trim()}`,
+                    processed_by: processedBy
+                }, txn);
+
+                await GeneralLedger.postEntry({
+                    source_type: 'loan_write_off',
+                    source_id: transaction.id,
+                    reference_number: transaction.transaction_id,
+                    customer_id: loan.customer_id,
+                    description,
+                    posted_by: processedBy,
+                    lines: [
+                        { account: GeneralLedger.ACCOUNTS.LOAN_WRITE_OFFS, debit: amount },
+                        { account: GeneralLedger.ACCOUNTS.LOANS_RECEIVABLE, credit: plan.principal_outstanding },
+                        { account: GeneralLedger.ACCOUNTS.LOAN_CHARGES_RECEIVABLE, credit: plan.charges_due }
+                    ]
+                }, txn);
+
+                return { success: true, transaction, written_off_amount: money.toRupees(amount) };
+            }, { loan_id: id });
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Marks a loan repaid in full as closed or foreclosed and issues its no-dues certificate
+    static async closeLoan(main, id, toStatus, closedBy) {
+        const loan = await main.get('SELECT status, loan_number FROM loans WHERE id = ?', [id]);
+        await main.run(
+            `UPDATE loans SET status = ?, closed_at = CURRENT_TIMESTAMP, no_dues_certificate_number = ?,
+             updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [toStatus, `ND${loan.loan_number.slice(2)}`, id]
+        );
+        await this.recordStatusChange(main, id, loan.status, toStatus, closedBy, 'No-dues certificate issued');
+        await this.releaseSecurity(main, id, closedBy, `Loan ${toStatus}`);
+    }
+
+    // Puts back the guarantors and collateral released when a loan was closed or
+    // foreclosed, for a loan reopened by a reversal
+    static async reinstateSecurity(main, id, fromStatus) {
+        const note = `Loan ${fromStatus}`;
+        await main.run(
+            `UPDATE loan_guarantors SET status = 'active', release_date = NULL, released_by = NULL, release_note = NULL
+             WHERE loan_id = ? AND status = 'released' AND release_note = ?`,
+            [id, note]
+        );
+        await main.run(
+            `UPDATE loan_collateral SET status = 'pledged', release_date = NULL, released_by = NULL, release_note = NULL,
+             updated_at = CURRENT_TIMESTAMP WHERE loan_id = ? AND status = 'released' AND release_note = ?`,
+            [id, note]
+        );
+    }
+
+    // Releases the guarantors and collateral still standing on a loan
+    static async releaseSecurity(main, id, releasedBy, note) {
+        await main.run(
+            `UPDATE loan_guarantors SET status = 'released', release_date = ?, released_by = ?, release_note = ?
+             WHERE loan_id = ? AND status = 'active'`,
+            [this.today(), releasedBy, note, id]
+        );
+        await main.run(
+            `UPDATE loan_collateral SET status = 'released', release_date = ?, released_by = ?, release_note = ?,
+             updated_at = CURRENT_TIMESTAMP WHERE loan_id = ? AND status = 'pledged'`,
+            [this.today(), releasedBy, note, id]
+        );
+    }
+
+    static async getInstitute() {
+        const settings = await settingsStore.read();
+        const { name, address, phone, email, registrationNumber } = settings.institute;
+        return { name, address, phone, email, registration_number: registrationNumber };
+    }
+
+    static async getSanctionLetter(id) {
+        try {
+            const loan = await mainDb.get(`
+                SELECT l.*, c.name as customer_name, c.address as customer_address, c.phone as customer_phone,
+                    u.name as sanctioned_by_name
+                FROM loans l
+                JOIN customers c ON l.customer_id = c.id
+                LEFT JOIN users u ON l.sanctioned_by = u.id
+                WHERE l.id = ?
+            `, [id]);
+
+            if (!loan) {
+                throw new Error('Loan not found');
             }
-            if (tenure_months <= 0) {
-                throw new Error('Tenure must be positive');
+            if (!loan.sanction_letter_number) {
+                throw new Error('Loan has not been sanctioned');
             }
 
-            // Validate loan type
-            const validLoanTypes = ['personal', 'home', 'vehicle', 'business', 'education', 'gold'];
-            if (!validLoanTypes.includes(loan_type)) {
-                throw new Error('Invalid loan type');
+            return {
+                success: true,
+                letter: {
+                    letter_number: loan.sanction_letter_number,
+                    date: loan.sanctioned_at,
+                    institute: await this.getInstitute(),
+                    customer_name: loan.customer_name,
+                    customer_address: loan.customer_address,
+                    customer_phone: loan.customer_phone,
+                    loan_number: loan.loan_number,
+                    loan_type: loan.loan_type,
+                    purpose: loan.purpose,
+                    requested_amount: money.toRupees(loan.requested_amount),
+                    sanctioned_amount: money.toRupees(loan.sanctioned_amount),
+                    interest_rate: loan.sanctioned_rate,
+                    tenure_months: loan.sanctioned_tenure_months,
+                    emi_amount: money.toRupees(this.calculateEMI(loan.sanctioned_amount, loan.sanctioned_rate, loan.sanctioned_tenure_months, loan.compounding)),
+                    conditions: loan.sanction_conditions,
+                    sanctioned_by_name: loan.sanctioned_by_name
+                }
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    static async getNoDuesCertificate(id) {
+        try {
+            const loan = await mainDb.get(`
+                SELECT l.*, c.name as customer_name, c.address as customer_address
+                FROM loans l
+                JOIN customers c ON l.customer_id = c.id
+                WHERE l.id = ?
+            `, [id]);
+
+            if (!loan) {
+                throw new Error('Loan not found');
+            }
+            if (!['closed', 'foreclosed'].includes(loan.status) || loan.outstanding_amount !== 0) {
+                throw new Error('A no-dues certificate is only issued for a loan repaid in full');
             }
 
-            // Generate unique loan number
-            const loan_number = await this.generateLoanNumber();
+            // Loans closed before certificates existed get theirs on first request
+            if (!loan.no_dues_certificate_number) {
+                await mainDb.run(
+                    `UPDATE loans SET no_dues_certificate_number = ?, closed_at = COALESCE(closed_at, updated_at) WHERE id = ?`,
+                    [`ND${loan.loan_number.slice(2)}`, id]
+                );
+                return this.getNoDuesCertificate(id);
+            }
 
-            // Calculate EMI and total amount
-            const emi_amount = this.calculateEMI(principal_amount, interest_rate, tenure_months);
-            const total_amount = emi_amount * tenure_months;
-
-            // Calculate dates
-            const start_date = new Date();
-            const end_date = new Date(start_date);
-            end_date.setMonth(end_date.getMonth() + tenure_months);
-
-            // Insert loan
-            const result = await mainDb.run(
-                `INSERT INTO loans (
-                    loan_number, customer_id, loan_type, principal_amount, interest_rate,
-                    tenure_months, emi_amount, total_amount, outstanding_amount,
-                    start_date, end_date, created_by, created_at, updated_at
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
-                [
-                    loan_number, customer_id, loan_type, principal_amount, interest_rate,
-                    tenure_months, emi_amount, total_amount, total_amount,
-                    start_date.toISOString().split('T')[0], 
-                    end_date.toISOString().split('T')[0], createdBy
-                ]
+            const repaid = await txnDb.get(
+                `SELECT COALESCE(SUM(amount), 0) as total FROM loan_transactions
+                 WHERE loan_id = ? AND status = 'completed' AND reversal_of IS NULL
+                 AND transaction_type IN ('loan_payment', 'loan_prepayment', 'loan_foreclose')`,
+                [id]
             );
 
-            // Create loan disbursement transaction
-            await this.createLoanTransaction({
-                loan_id: result.id,
-                customer_id,
-                transaction_type: 'loan_disbursement',
-                amount: principal_amount,
-                principal_amount: principal_amount,
-                interest_amount: 0,
-                outstanding_before: 0,
-                outstanding_after: total_amount,
-                description: `Loan disbursed - ${loan_number}`,
-                processed_by: createdBy
-            });
-
             return {
                 success: true,
-                loan: {
-                    id: result.id,
-                    loan_number,
-                    customer_id,
-                    loan_type,
-                    principal_amount,
-                    interest_rate,
-                    tenure_months,
-                    emi_amount,
-                    total_amount,
-                    outstanding_amount: total_amount,
-                    start_date: start_date.toISOString().split('T')[0],
-                    end_date: end_date.toISOString().split('T')[0],
-                    status: 'active',
-                    created_by: createdBy
+                certificate: {
+                    certificate_number: loan.no_dues_certificate_number,
+                    date: loan.closed_at,
+                    institute: await this.getInstitute(),
+                    customer_name: loan.customer_name,
+                    customer_address: loan.customer_address,
+                    loan_number: loan.loan_number,
+                    loan_type: loan.loan_type,
+                    principal_amount: money.toRupees(loan.principal_amount),
+                    disbursed_at: loan.disbursed_at,
+                    closed_as: loan.status,
+                    total_repaid: money.toRupees(repaid.total)
                 }
             };
         } catch (error) {
@@ -105,6 +593,22 @@ class Loan {
         }
     }
 
+    static async getStatusHistory(id) {
+        try {
+            const history = await mainDb.all(`
+                SELECT h.*, u.name as changed_by_name
+                FROM loan_status_history h
+                LEFT JOIN users u ON h.changed_by = u.id
+                WHERE h.loan_id = ?
+                ORDER BY h.changed_at, h.id
+            `, [id]);
+
+            return { success: true, history };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
     static async generateLoanNumber() {
         const prefix = 'LN';
         const timestamp = Date.now().toString().slice(-8);
@@ -120,21 +624,29 @@ class Loan {
         return loanNumber;
     }
 
-    static calculateEMI(principal, rate, months) {
-        // EMI calculation: EMI = P * r * (1 + r)^n / ((1 + r)^n - 1)
-        // Where P = principal, r = monthly interest rate, n = number of months
-        const monthlyRate = rate / 100 / 12;
-        const emi = principal * monthlyRate * Math.pow(1 + monthlyRate, months) / (Math.pow(1 + monthlyRate, months) - 1);
-        return Math.round(emi * 100) / 100; // Round to 2 decimal places
+    // Principal and result are in paise
+    static calculateEMI(principal, rate, months, compounding = 'monthly') {
+        return amortization.calculateEMI(principal, rate, months, compounding);
     }
 
     static async findById(id) {
+        const result = await this.findRecordById(id);
+        if (!result.success) {
+            return result;
+        }
+
+        return { success: true, loan: Product.withTerms(money.rowToRupees(result.loan, this.MONEY_FIELDS)) };
+    }
+
+    // Same as findById with amounts left in paise, for money movement
+    static async findRecordById(id) {
         try {
             const loan = await mainDb.get(`
-                SELECT l.*, c.name as customer_name, c.phone as customer_phone, u.name as created_by_name
+                SELECT l.*, c.name as customer_name, c.phone as customer_phone, u.name as created_by_name, fd.fd_number
                 FROM loans l
                 JOIN customers c ON l.customer_id = c.id
                 LEFT JOIN users u ON l.created_by = u.id
+                LEFT JOIN fixed_deposits fd ON l.fd_id = fd.id
                 WHERE l.id = ?
             `, [id]);
 
@@ -151,10 +663,11 @@ class Loan {
     static async findByLoanNumber(loanNumber) {
         try {
             const loan = await mainDb.get(`
-                SELECT l.*, c.name as customer_name, c.phone as customer_phone, u.name as created_by_name
+                SELECT l.*, c.name as customer_name, c.phone as customer_phone, u.name as created_by_name, fd.fd_number
                 FROM loans l
                 JOIN customers c ON l.customer_id = c.id
                 LEFT JOIN users u ON l.created_by = u.id
+                LEFT JOIN fixed_deposits fd ON l.fd_id = fd.id
                 WHERE l.loan_number = ?
             `, [loanNumber]);
 
@@ -162,7 +675,7 @@ class Loan {
                 return { success: false, error: 'Loan not found' };
             }
 
-            return { success: true, loan };
+            return { success: true, loan: Product.withTerms(money.rowToRupees(loan, this.MONEY_FIELDS)) };
         } catch (error) {
             return { success: false, error: error.message };
         }
@@ -171,10 +684,11 @@ class Loan {
     static async findAll(filters = {}) {
         try {
             let query = `
-                SELECT l.*, c.name as customer_name, c.phone as customer_phone, u.name as created_by_name
+                SELECT l.*, c.name as customer_name, c.phone as customer_phone, u.name as created_by_name, fd.fd_number
                 FROM loans l
                 JOIN customers c ON l.customer_id = c.id
                 LEFT JOIN users u ON l.created_by = u.id
+                LEFT JOIN fixed_deposits fd ON l.fd_id = fd.id
                 WHERE 1=1
             `;
             const params = [];
@@ -203,12 +717,12 @@ class Loan {
 
             if (filters.min_amount !== undefined) {
                 query += ' AND l.principal_amount >= ?';
-                params.push(filters.min_amount);
+                params.push(money.toPaise(filters.min_amount));
             }
 
             if (filters.max_amount !== undefined) {
                 query += ' AND l.principal_amount <= ?';
-                params.push(filters.max_amount);
+                params.push(money.toPaise(filters.max_amount));
             }
 
             query += ' ORDER BY l.created_at DESC';
@@ -226,158 +740,606 @@ class Loan {
 
             const loans = await mainDb.all(query, params);
 
-            return { success: true, loans };
+            return { success: true, loans: money.rowsToRupees(loans, this.MONEY_FIELDS).map(loan => Product.withTerms(loan)) };
         } catch (error) {
             return { success: false, error: error.message };
         }
     }
 
-    static async makePayment(id, amount, processedBy, emiNumber = null) {
-        try {
-            // Get loan details
-            const loanResult = await this.findById(id);
-            if (!loanResult.success) {
-                return loanResult;
-            }
+    static async getAppropriationOrder() {
+        const settings = await settingsStore.read();
+        const order = settings.loans.appropriationOrder;
+        if (!amortization.isValidOrder(order)) {
+            throw new Error(`Loan appropriation order must list each of: ${amortization.APPROPRIATION_BUCKETS.join(', ')}`);
+        }
+        return order;
+    }
 
-            const loan = loanResult.loan;
+    // The loan's position worked out from its terms, schedule and completed transactions
+    // (see utils/amortization.js), without saving anything
+    static async computePlan(id, { main, txn }, options = {}) {
+        const { asOf = this.today(), regenerate = null, excludeTransactionId = null } = options;
 
-            if (loan.status !== 'active') {
-                throw new Error('Loan is not active');
+        const loan = await main.get('SELECT * FROM loans WHERE id = ?', [id]);
+        if (!loan) {
+            throw new Error('Loan not found');
+        }
+
+        const rows = await main.all('SELECT * FROM loan_schedule WHERE loan_id = ? ORDER BY installment_number', [id]);
+        const transactions = await txn.all(
+            `SELECT * FROM loan_transactions
+             WHERE loan_id = ? AND status = 'completed' AND reversal_of IS NULL AND id != ?
+             ORDER BY transaction_date, id`,
+            [id, excludeTransactionId || 0]
+        );
+
+        return amortization.rebuild({ loan, rows, transactions, asOf, regenerate });
+    }
+
+    // Regenerates the schedule and saves it with the balances it leaves on the loan.
+    // Runs after every repayment event, inside that event's coordinator operation.
+    static async rebuildSchedule(id, { main, txn }, options = {}) {
+        const plan = await this.computePlan(id, { main, txn }, options);
+
+        await main.run('DELETE FROM loan_schedule WHERE loan_id = ?', [id]);
+        for (const row of plan.rows) {
+            await main.run(
+                `INSERT INTO loan_schedule (
+                    loan_id, installment_number, due_date, opening_principal, emi_amount, principal_amount,
+                    interest_amount, closing_principal, principal_paid, interest_paid, status, paid_date
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    id, row.installment_number, row.due_date, row.opening_principal, row.emi_amount, row.principal_amount,
+                    row.interest_amount, row.closing_principal, row.principal_paid, row.interest_paid, row.status, row.paid_date
+                ]
+            );
+        }
+
+        await main.run(
+            `UPDATE loans SET
+                emi_amount = ?, tenure_months = ?, end_date = ?, total_amount = ?,
+                principal_outstanding = ?, principal_due = ?, interest_due = ?, charges_due = ?,
+                outstanding_amount = ?, overdue_emis = ?, overdue_since = ?, paid_emis = ?,
+                updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [
+                plan.emi_amount, plan.tenure_months, plan.end_date, plan.total_amount,
+                plan.principal_outstanding, plan.principal_due, plan.interest_due, plan.charges_due,
+                plan.outstanding_amount, plan.overdue_emis, plan.overdue_since, plan.paid_emis,
+                id
+            ]
+        );
+
+        // A disbursed loan is active from its first installment falling due or being paid
+        if (plan.locked_count > 0) {
+            const changed = await main.run(
+                `UPDATE loans SET status = 'active' WHERE id = ? AND status = 'disbursed'`,
+                [id]
+            );
+            if (changed.changes > 0) {
+                await this.recordStatusChange(main, id, 'disbursed', 'active', null, 'Repayment started');
             }
+        }
+
+        return plan;
+    }
+
+    static async getActiveLoan(id) {
+        const loanResult = await this.findRecordById(id);
+        if (!loanResult.success) {
+            throw new Error(loanResult.error);
+        }
+
+        if (!this.REPAYING_STATUSES.includes(loanResult.loan.status)) {
+            throw new Error('Loan is not active');
+        }
+        if (loanResult.loan.frozen_claim_id) {
+            throw new Error(`Loan ${loanResult.loan.loan_number} is frozen for the claim on its deceased borrower`);
+        }
+
+        return loanResult.loan;
+    }
+
+    // Records a payment split by appropriate() (paise), with its GL entry. fundedFrom is the
+    // GL account the money comes from: Cash at the counter, Savings Deposits from an account.
+    static async recordPayment(loan, amount, split, plan, processedBy, txn, description = null, fundedFrom = GeneralLedger.ACCOUNTS.CASH) {
+        description = description || (split.installment_number
+            ? `Loan payment EMI #${split.installment_number} - ${loan.loan_number}`
+            : `Loan charges payment - ${loan.loan_number}`);
+
+        const transaction = await this.createLoanTransaction({
+            loan_id: loan.id,
+            customer_id: loan.customer_id,
+            transaction_type: 'loan_payment',
+            amount,
+            principal_amount: split.principal,
+            interest_amount: split.interest,
+            charges_amount: split.charges,
+            outstanding_before: plan.outstanding_amount,
+            outstanding_after: plan.outstanding_amount - amount + split.advance_interest,
+            emi_number: split.installment_number,
+            description,
+            processed_by: processedBy
+        }, txn);
+
+        await GeneralLedger.postEntry({
+            source_type: 'loan_payment',
+            source_id: transaction.id,
+            reference_number: transaction.transaction_id,
+            customer_id: loan.customer_id,
+            description,
+            posted_by: processedBy,
+            lines: [
+                { account: fundedFrom, debit: amount },
+                { account: GeneralLedger.ACCOUNTS.LOAN_CHARGES_RECEIVABLE, credit: split.charges },
+                { account: GeneralLedger.ACCOUNTS.INTEREST_INCOME, credit: split.interest },
+                { account: GeneralLedger.ACCOUNTS.LOANS_RECEIVABLE, credit: split.principal }
+            ]
+        }, txn);
+
+        return transaction;
+    }
+
+    // Settles what has fallen due in the configured appropriation order (charges,
+    // interest and principal by default); any excess pays the next installments early.
+    // description replaces the standard one for payments not made at the counter.
+    // funding ({ account_id, description }) debits a savings account instead of taking cash.
+    static async makePayment(id, amount, processedBy, description = null, funding = null) {
+        try {
+            // Work in paise from here on
+            amount = money.toPaise(amount);
 
-            // Validate amount
             if (amount <= 0) {
                 throw new Error('Payment amount must be positive');
             }
 
-            const outstandingBefore = parseFloat(loan.outstanding_amount);
+            const order = await this.getAppropriationOrder();
+
+            return await coordinator.execute('loan_payment', async ({ main, txn }) => {
+                const loan = await this.getActiveLoan(id);
+
+                const plan = await this.rebuildSchedule(id, { main, txn });
+                const split = amortization.appropriate(amount, plan, order);
+                const transaction = await this.recordPayment(
+                    loan, amount, split, plan, processedBy, txn, description,
+                    funding ? GeneralLedger.ACCOUNTS.SAVINGS_DEPOSITS : GeneralLedger.ACCOUNTS.CASH
+                );
+
+                let debit = null;
+                if (funding) {
+                    debit = await Account.transferWithProduct(
+                        funding.account_id,
+                        -amount,
+                        funding.description,
+                        { type: 'loan_payment', number: transaction.transaction_id, id: transaction.id },
+                        processedBy,
+                        { main, txn }
+                    );
+                }
+
+                const after = await this.rebuildSchedule(id, { main, txn });
+                const loanClosed = after.outstanding_amount === 0 && after.paid_emis === after.tenure_months;
 
-            if (amount > outstandingBefore) {
-                throw new Error('Payment amount cannot exceed outstanding amount');
+                if (loanClosed) {
+                    await this.closeLoan(main, id, 'closed', processedBy);
+                }
+
+                return {
+                    success: true,
+                    transaction,
+                    debit_transaction: debit,
+                    outstanding_amount: money.toRupees(after.outstanding_amount),
+                    principal_paid: money.toRupees(split.principal),
+                    interest_paid: money.toRupees(split.interest),
+                    charges_paid: money.toRupees(split.charges),
+                    emi_number: split.installment_number,
+                    loan_closed: loanClosed
+                };
+            }, { loan_id: id, amount });
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Part-prepayment: settles what is due first, then repays principal outside the
+    // installments and regenerates the rest of the schedule, keeping the end date
+    // (reduce_emi) or the EMI (reduce_tenure)
+    static async prepay(id, amount, option, processedBy) {
+        try {
+            amount = money.toPaise(amount);
+
+            if (amount <= 0) {
+                throw new Error('Prepayment amount must be positive');
+            }
+            if (!this.PREPAYMENT_OPTIONS.includes(option)) {
+                throw new Error(`Prepayment option must be one of: ${this.PREPAYMENT_OPTIONS.join(', ')}`);
             }
 
-            // Calculate principal and interest components
-            const monthlyRate = loan.interest_rate / 100 / 12;
-            const interestAmount = outstandingBefore * monthlyRate;
-            const principalAmount = Math.max(0, amount - interestAmount);
+            const order = await this.getAppropriationOrder();
 
-            const outstandingAfter = outstandingBefore - amount;
+            return await coordinator.execute('loan_prepayment', async ({ main, txn }) => {
+                const loan = await this.getActiveLoan(id);
 
-            // Update loan outstanding amount
-            await mainDb.run(
-                'UPDATE loans SET outstanding_amount = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-                [outstandingAfter, id]
-            );
+                let plan = await this.rebuildSchedule(id, { main, txn });
+                const due = plan.charges_due + plan.interest_due + plan.principal_due;
 
-            // Calculate EMI number if not provided
-            if (!emiNumber) {
-                const paidEMIs = await txnDb.get(
-                    'SELECT COUNT(*) as count FROM loan_transactions WHERE loan_id = ? AND transaction_type = "loan_payment"',
-                    [id]
-                );
-                emiNumber = paidEMIs.count + 1;
-            }
-
-            // Create loan transaction record
-            const transaction = await this.createLoanTransaction({
-                loan_id: id,
-                customer_id: loan.customer_id,
-                transaction_type: 'loan_payment',
-                amount,
-                principal_amount: principalAmount,
-                interest_amount: interestAmount,
-                outstanding_before: outstandingBefore,
-                outstanding_after: outstandingAfter,
-                emi_number: emiNumber,
-                description: `Loan payment EMI #${emiNumber} - ${loan.loan_number}`,
-                processed_by: processedBy
-            });
+                if (amount <= due) {
+                    throw new Error(`₹${money.toRupees(due)} has fallen due; record this as a payment instead`);
+                }
 
-            // Check if loan is fully paid
-            if (outstandingAfter <= 0.01) { // Allow for small rounding differences
-                await mainDb.run(
-                    'UPDATE loans SET status = ?, outstanding_amount = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-                    ['closed', id]
-                );
+                let duesPayment = null;
+                if (due > 0) {
+                    const split = amortization.appropriate(due, plan, order);
+                    duesPayment = await this.recordPayment(loan, due, split, plan, processedBy, txn);
+                    plan = await this.rebuildSchedule(id, { main, txn });
+                }
+
+                const prepaid = amount - due;
+                if (prepaid >= plan.balance) {
+                    throw new Error('Prepayment would repay the whole loan; foreclose it instead');
+                }
+
+                const remainingInstallments = plan.rows.length - plan.locked_count;
+                const description = `Loan prepayment (${option === 'reduce_emi' ? 'reduce EMI' : 'reduce tenure'}) - ${loan.loan_number}`;
+
+                const transaction = await this.createLoanTransaction({
+                    loan_id: id,
+                    customer_id: loan.customer_id,
+                    transaction_type: 'loan_prepayment',
+                    amount: prepaid,
+                    principal_amount: prepaid,
+                    interest_amount: 0,
+                    outstanding_before: plan.outstanding_amount,
+                    outstanding_after: plan.outstanding_amount - prepaid,
+                    prepayment_option: option,
+                    description,
+                    processed_by: processedBy
+                }, txn);
+
+                await GeneralLedger.postEntry({
+                    source_type: 'loan_prepayment',
+                    source_id: transaction.id,
+                    reference_number: transaction.transaction_id,
+                    customer_id: loan.customer_id,
+                    description,
+                    posted_by: processedBy,
+                    lines: [
+                        { account: GeneralLedger.ACCOUNTS.CASH, debit: prepaid },
+                        { account: GeneralLedger.ACCOUNTS.LOANS_RECEIVABLE, credit: prepaid }
+                    ]
+                }, txn);
+
+                const after = await this.rebuildSchedule(id, { main, txn }, {
+                    regenerate: option === 'reduce_emi' ? { count: remainingInstallments } : { emi: plan.emi_amount }
+                });
+
+                return {
+                    success: true,
+                    transaction,
+                    dues_payment: duesPayment,
+                    prepaid_amount: money.toRupees(prepaid),
+                    outstanding_amount: money.toRupees(after.outstanding_amount),
+                    emi_amount: money.toRupees(after.emi_amount),
+                    tenure_months: after.tenure_months,
+                    end_date: after.end_date
+                };
+            }, { loan_id: id, amount, option });
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Levies a charge (e.g. bounce or processing charges), booked as fee income when levied
+    // and collected by later payments ahead of or after the EMIs per the appropriation order
+    static async addCharge(id, amount, description, processedBy) {
+        try {
+            amount = money.toPaise(amount);
+
+            if (amount <= 0) {
+                throw new Error('Charge amount must be positive');
+            }
+            if (!description) {
+                throw new Error('Charge description is required');
             }
 
+            return await coordinator.execute('loan_charge', async ({ main, txn }) => {
+                const loan = await this.getActiveLoan(id);
+                const plan = await this.rebuildSchedule(id, { main, txn });
+
+                const transaction = await this.createLoanTransaction({
+                    loan_id: id,
+                    customer_id: loan.customer_id,
+                    transaction_type: 'loan_charge',
+                    amount,
+                    principal_amount: 0,
+                    interest_amount: 0,
+                    outstanding_before: plan.outstanding_amount,
+                    outstanding_after: plan.outstanding_amount + amount,
+                    description: `${description} - ${loan.loan_number}`,
+                    processed_by: processedBy
+                }, txn);
+
+                await GeneralLedger.postEntry({
+                    source_type: 'loan_charge',
+                    source_id: transaction.id,
+                    reference_number: transaction.transaction_id,
+                    customer_id: loan.customer_id,
+                    description: `${description} - ${loan.loan_number}`,
+                    posted_by: processedBy,
+                    lines: [
+                        { account: GeneralLedger.ACCOUNTS.LOAN_CHARGES_RECEIVABLE, debit: amount },
+                        { account: GeneralLedger.ACCOUNTS.FEE_INCOME, credit: amount }
+                    ]
+                }, txn);
+
+                const after = await this.rebuildSchedule(id, { main, txn });
+
+                return {
+                    success: true,
+                    transaction,
+                    charges_due: money.toRupees(after.charges_due),
+                    outstanding_amount: money.toRupees(after.outstanding_amount)
+                };
+            }, { loan_id: id, amount });
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // What closing the loan today takes: principal outstanding, interest fallen due,
+    // interest on the principal not yet due since the last due date, and charges.
+    // Interest already paid on installments not yet due is credited back.
+    static quoteForeclosure(loan, plan) {
+        const lastDue = plan.rows.filter(row => row.due_date <= plan.as_of).pop();
+        const from = lastDue ? lastDue.due_date : loan.start_date;
+        const brokenDays = Math.max(0, Math.round((new Date(plan.as_of) - new Date(from)) / (1000 * 60 * 60 * 24)));
+
+        const notDuePrincipal = plan.principal_outstanding - plan.principal_due;
+        const brokenInterest = money.round(notDuePrincipal * loan.interest_rate / 100 * brokenDays / 365);
+        const advanceInterest = plan.rows
+            .filter(row => row.due_date > plan.as_of)
+            .reduce((total, row) => total + row.interest_paid, 0);
+
+        const interest = plan.interest_due + brokenInterest - advanceInterest;
+
+        return {
+            as_of: plan.as_of,
+            principal: plan.principal_outstanding,
+            interest_due: plan.interest_due,
+            broken_days: brokenDays,
+            broken_interest: brokenInterest,
+            advance_interest: advanceInterest,
+            interest,
+            charges: plan.charges_due,
+            total: plan.principal_outstanding + interest + plan.charges_due
+        };
+    }
+
+    static async getForeclosureQuote(id) {
+        try {
+            const loan = await this.getActiveLoan(id);
+            const plan = await this.computePlan(id, { main: mainDb, txn: txnDb });
+
             return {
                 success: true,
-                transaction,
-                outstanding_amount: outstandingAfter,
-                principal_paid: principalAmount,
-                interest_paid: interestAmount,
-                emi_number: emiNumber,
-                loan_closed: outstandingAfter <= 0.01
+                loan_number: loan.loan_number,
+                quote: money.rowToRupees(this.quoteForeclosure(loan, plan), this.QUOTE_MONEY_FIELDS)
             };
         } catch (error) {
             return { success: false, error: error.message };
         }
     }
 
-    static async foreclose(id, processedBy) {
+    // expectedAmount (rupees) is the quoted total the user confirmed; the foreclosure is
+    // refused if the amount has changed since
+    static async foreclose(id, processedBy, expectedAmount = null, description = null) {
         try {
-            // Get loan details
-            const loanResult = await this.findById(id);
-            if (!loanResult.success) {
-                return loanResult;
-            }
+            return await coordinator.execute('loan_foreclose', async ({ main, txn }) => {
+                const loan = await this.getActiveLoan(id);
+                const plan = await this.rebuildSchedule(id, { main, txn });
+                const quote = this.quoteForeclosure(loan, plan);
 
-            const loan = loanResult.loan;
+                if (quote.total <= 0) {
+                    throw new Error('Loan is already fully paid');
+                }
 
-            if (loan.status !== 'active') {
-                throw new Error('Loan is not active');
-            }
+                if (expectedAmount !== null && expectedAmount !== undefined && money.toPaise(expectedAmount) !== quote.total) {
+                    const error = new Error(`Foreclosure amount is now ₹${money.toRupees(quote.total)}, not the quoted ₹${expectedAmount}; review the new quote`);
+                    error.code = 'QUOTE_CHANGED';
+                    throw error;
+                }
+
+                // Installments not yet due are dropped; the rest stay as the record of what fell due
+                await main.run(
+                    `DELETE FROM loan_schedule WHERE loan_id = ? AND installment_number > ?`,
+                    [id, plan.locked_count]
+                );
+                await main.run(
+                    `UPDATE loans SET outstanding_amount = 0, principal_outstanding = 0, principal_due = 0,
+                     interest_due = 0, charges_due = 0, overdue_emis = 0, overdue_since = NULL, updated_at = CURRENT_TIMESTAMP
+                     WHERE id = ?`,
+                    [id]
+                );
+                await this.closeLoan(main, id, 'foreclosed', processedBy);
+
+                // Create foreclosure transaction
+                const transaction = await this.createLoanTransaction({
+                    loan_id: id,
+                    customer_id: loan.customer_id,
+                    transaction_type: 'loan_foreclose',
+                    amount: quote.total,
+                    principal_amount: quote.principal,
+                    interest_amount: quote.interest,
+                    charges_amount: quote.charges,
+                    outstanding_before: plan.outstanding_amount,
+                    outstanding_after: 0,
+                    description: description || `Loan foreclosed - ${loan.loan_number}`,
+                    processed_by: processedBy
+                }, txn);
+
+                // Advance interest larger than the broken-period interest is income given back
+                await GeneralLedger.postEntry({
+                    source_type: 'loan_foreclose',
+                    source_id: transaction.id,
+                    reference_number: transaction.transaction_id,
+                    customer_id: loan.customer_id,
+                    description: description || `Loan foreclosed - ${loan.loan_number}`,
+                    posted_by: processedBy,
+                    lines: [
+                        { account: GeneralLedger.ACCOUNTS.CASH, debit: quote.total },
+                        { account: GeneralLedger.ACCOUNTS.LOANS_RECEIVABLE, credit: quote.principal },
+                        { account: GeneralLedger.ACCOUNTS.LOAN_CHARGES_RECEIVABLE, credit: quote.charges },
+                        quote.interest >= 0
+                            ? { account: GeneralLedger.ACCOUNTS.INTEREST_INCOME, credit: quote.interest }
+                            : { account: GeneralLedger.ACCOUNTS.INTEREST_INCOME, debit: -quote.interest }
+                    ]
+                }, txn);
+
+                return {
+                    success: true,
+                    transaction,
+                    foreclosure_amount: money.toRupees(quote.total),
+                    quote: money.rowToRupees(quote, this.QUOTE_MONEY_FIELDS)
+                };
+            }, { loan_id: id });
+        } catch (error) {
+            return { success: false, error: error.message, quote_changed: error.code === 'QUOTE_CHANGED' };
+        }
+    }
+
+    static get REVERSIBLE_TYPES() {
+        return [
+            'loan_disbursement', 'loan_payment', 'loan_prepayment', 'loan_charge', 'loan_penal_interest',
+            'loan_foreclose', 'loan_write_off'
+        ];
+    }
+
+    // Posts compensating entries for a loan transaction row (amounts in paise) inside a
+    // coordinator operation: a reversed disbursement returns the loan to sanctioned; any
+    // other reversal rebuilds the loan's position without the original
+    static async reverseTransaction(original, reason, processedBy, { main, txn }) {
+        const loanResult = await this.findRecordById(original.loan_id);
+        if (!loanResult.success) {
+            throw new Error(loanResult.error);
+        }
 
-            const outstandingAmount = parseFloat(loan.outstanding_amount);
+        const loan = loanResult.loan;
+        const outstandingBefore = loan.outstanding_amount;
+        const rebuildOptions = { excludeTransactionId: original.id };
+        let outstandingAfter;
 
-            if (outstandingAmount <= 0) {
-                throw new Error('Loan is already fully paid');
+        if (original.transaction_type === 'loan_disbursement') {
+            const later = await txn.get(
+                `SELECT COUNT(*) as count FROM loan_transactions
+                 WHERE loan_id = ? AND id != ? AND status = 'completed' AND reversal_of IS NULL`,
+                [loan.id, original.id]
+            );
+            if (!this.REPAYING_STATUSES.includes(loan.status) || later.count > 0) {
+                throw new Error('Reverse the repayments on this loan before reversing its disbursement');
             }
 
-            // Calculate foreclosure amount (may include penalty)
-            const foreclosureAmount = outstandingAmount; // Can add penalty logic here
+            // Before savings credits were posted with the disbursement, the proceeds were a
+            // separate deposit to be reversed first
+            if (loan.disbursement_reference) {
+                const credit = await txn.get('SELECT reference_type, status FROM transactions WHERE transaction_id = ?', [loan.disbursement_reference]);
+                if (credit && credit.reference_type !== 'loan_disbursement' && credit.status !== 'reversed') {
+                    throw new Error(`Reverse the savings credit ${loan.disbursement_reference} before reversing this disbursement`);
+                }
+            }
 
-            // Update loan status
-            await mainDb.run(
-                'UPDATE loans SET status = ?, outstanding_amount = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-                ['foreclosed', id]
+            outstandingAfter = 0;
+            await main.run('DELETE FROM loan_schedule WHERE loan_id = ?', [loan.id]);
+            await main.run(
+                `UPDATE loans SET status = 'sanctioned', outstanding_amount = 0, principal_outstanding = 0, principal_due = 0,
+                 interest_due = 0, charges_due = 0, overdue_emis = 0, overdue_since = NULL, paid_emis = 0,
+                 disbursement_mode = NULL, disbursement_account_id = NULL, disbursement_reference = NULL,
+                 disbursed_by = NULL, disbursed_at = NULL, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = ?`,
+                [loan.id]
             );
+            await this.recordStatusChange(main, loan.id, loan.status, 'sanctioned', processedBy, `Disbursement reversed: ${reason}`);
+        } else {
+            if (original.transaction_type === 'loan_payment' && ![...this.REPAYING_STATUSES, 'closed'].includes(loan.status)) {
+                throw new Error('Loan must be reopened before a payment can be reversed');
+            }
+            if (['loan_prepayment', 'loan_charge', 'loan_penal_interest'].includes(original.transaction_type)
+                && !this.REPAYING_STATUSES.includes(loan.status)) {
+                throw new Error('Loan is not active');
+            }
+            if (original.transaction_type === 'loan_foreclose' && loan.status !== 'foreclosed') {
+                throw new Error('Loan is not foreclosed');
+            }
+            if (original.transaction_type === 'loan_write_off' && loan.status !== 'written_off') {
+                throw new Error('Loan is not written off');
+            }
 
-            // Create foreclosure transaction
-            const transaction = await this.createLoanTransaction({
-                loan_id: id,
-                customer_id: loan.customer_id,
-                transaction_type: 'loan_foreclose',
-                amount: foreclosureAmount,
-                principal_amount: foreclosureAmount,
-                interest_amount: 0,
-                outstanding_before: outstandingAmount,
-                outstanding_after: 0,
-                description: `Loan foreclosed - ${loan.loan_number}`,
-                processed_by: processedBy
-            });
+            // A reduce-EMI prepayment kept the number of installments; undoing it does too
+            if (original.transaction_type === 'loan_prepayment' && original.prepayment_option === 'reduce_emi') {
+                const plan = await this.computePlan(loan.id, { main, txn });
+                rebuildOptions.regenerate = { count: plan.rows.length - plan.locked_count };
+            }
 
-            return {
-                success: true,
-                transaction,
-                foreclosure_amount: foreclosureAmount
-            };
-        } catch (error) {
-            return { success: false, error: error.message };
+            if (['loan_charge', 'loan_penal_interest'].includes(original.transaction_type)) {
+                const plan = await this.computePlan(loan.id, { main, txn }, rebuildOptions);
+                if (plan.charges_due < 0) {
+                    throw new Error('Charge has already been collected; reverse the payments that collected it first');
+                }
+            }
+
+            // A closed, foreclosed or written-off loan is reopened; its certificate no longer holds
+            if (!this.REPAYING_STATUSES.includes(loan.status)) {
+                await main.run(
+                    `UPDATE loans SET status = 'active', closed_at = NULL, no_dues_certificate_number = NULL,
+                     written_off_amount = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                    [loan.id]
+                );
+                await this.recordStatusChange(main, loan.id, loan.status, 'active', processedBy, `Reopened: ${reason}`);
+                await this.reinstateSecurity(main, loan.id, loan.status);
+            }
+            const plan = await this.rebuildSchedule(loan.id, { main, txn }, rebuildOptions);
+            outstandingAfter = plan.outstanding_amount;
         }
+
+        const reversal = await this.createLoanTransaction({
+            loan_id: loan.id,
+            customer_id: loan.customer_id,
+            transaction_type: `${original.transaction_type}_reversal`,
+            amount: original.amount,
+            principal_amount: original.principal_amount,
+            interest_amount: original.interest_amount,
+            charges_amount: original.charges_amount,
+            outstanding_before: outstandingBefore,
+            outstanding_after: outstandingAfter,
+            emi_number: original.emi_number,
+            prepayment_option: original.prepayment_option,
+            description: `Reversal of ${original.transaction_id} - ${reason}`,
+            reversal_of: original.id,
+            processed_by: processedBy
+        }, txn);
+
+        // A disbursement to or payment from savings goes back to the account with it
+        await Account.reverseProductTransfer(original.transaction_type, original.id, reason, processedBy, { main, txn });
+
+        await GeneralLedger.reverseEntry(original.transaction_type, original.id, {
+            source_id: reversal.id,
+            reference_number: reversal.transaction_id,
+            customer_id: loan.customer_id,
+            description: `Reversal of ${original.transaction_id} - ${loan.loan_number}`,
+            posted_by: processedBy
+        }, txn);
+
+        return [{ original, reversal }];
     }
 
-    static async createLoanTransaction(transactionData) {
+    static async createLoanTransaction(transactionData, db = txnDb) {
         const transactionId = `LNTXN${Date.now()}${Math.floor(Math.random() * 1000)}`;
         
-        const result = await txnDb.run(
+        const result = await db.run(
             `INSERT INTO loan_transactions (
                 transaction_id, loan_id, customer_id, transaction_type, amount,
-                principal_amount, interest_amount, outstanding_before, outstanding_after,
-                emi_number, description, processed_by, transaction_date
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+                principal_amount, interest_amount, charges_amount, outstanding_before, outstanding_after,
+                emi_number, prepayment_option, description, reversal_of, processed_by, transaction_date
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
             [
                 transactionId,
                 transactionData.loan_id,
@@ -386,19 +1348,22 @@ class Loan {
                 transactionData.amount,
                 transactionData.principal_amount,
                 transactionData.interest_amount,
+                transactionData.charges_amount || 0,
                 transactionData.outstanding_before,
                 transactionData.outstanding_after,
                 transactionData.emi_number || null,
+                transactionData.prepayment_option || null,
                 transactionData.description,
+                transactionData.reversal_of || null,
                 transactionData.processed_by
             ]
         );
 
-        return {
+        return money.rowToRupees({
             id: result.id,
             transaction_id: transactionId,
             ...transactionData
-        };
+        }, this.TRANSACTION_MONEY_FIELDS);
     }
 
     static async getTransactionHistory(loanId, filters = {}) {
@@ -420,99 +1385,95 @@ class Loan {
 
             const transactions = await txnDb.all(query, params);
 
-            return { success: true, transactions };
+            return { success: true, transactions: money.rowsToRupees(transactions, this.TRANSACTION_MONEY_FIELDS) };
         } catch (error) {
             return { success: false, error: error.message };
         }
     }
 
+    // Installments with what has been paid on each. Loans not yet on the repayment
+    // engine are worked out on the fly; their schedule is saved by the next event.
     static async getEMISchedule(id) {
         try {
-            const loanResult = await this.findById(id);
+            const loanResult = await this.findRecordById(id);
             if (!loanResult.success) {
                 return loanResult;
             }
 
             const loan = loanResult.loan;
-            const schedule = [];
-            const startDate = new Date(loan.start_date);
-            let outstandingBalance = parseFloat(loan.total_amount);
-            const monthlyRate = loan.interest_rate / 100 / 12;
-
-            for (let i = 1; i <= loan.tenure_months; i++) {
-                const dueDate = new Date(startDate);
-                dueDate.setMonth(dueDate.getMonth() + i - 1);
-
-                const interestAmount = outstandingBalance * monthlyRate;
-                const principalAmount = loan.emi_amount - interestAmount;
-                outstandingBalance -= principalAmount;
-
-                // Check if EMI is paid
-                const payment = await txnDb.get(
-                    'SELECT * FROM loan_transactions WHERE loan_id = ? AND emi_number = ? AND transaction_type = "loan_payment"',
-                    [id, i]
-                );
-
-                schedule.push({
-                    emi_number: i,
-                    due_date: dueDate.toISOString().split('T')[0],
-                    emi_amount: loan.emi_amount,
-                    principal_amount: Math.round(principalAmount * 100) / 100,
-                    interest_amount: Math.round(interestAmount * 100) / 100,
-                    outstanding_balance: Math.max(0, Math.round(outstandingBalance * 100) / 100),
-                    status: payment ? 'paid' : 'pending',
-                    paid_date: payment ? payment.transaction_date : null,
-                    paid_amount: payment ? payment.amount : null
-                });
+            if (loan.status === 'cancelled') {
+                return { success: true, schedule: [], summary: null };
             }
 
-            return { success: true, schedule };
+            const plan = await this.computePlan(id, { main: mainDb, txn: txnDb });
+            const settled = ['closed', 'foreclosed'].includes(loan.status);
+
+            const schedule = plan.rows.map(row => {
+                let status = row.status;
+                if (row.status !== 'paid') {
+                    if (settled) {
+                        status = 'settled';
+                    } else if (row.due_date < plan.as_of) {
+                        status = 'overdue';
+                    } else if (row.due_date === plan.as_of) {
+                        status = 'due';
+                    }
+                }
+
+                return {
+                    emi_number: row.installment_number,
+                    due_date: row.due_date,
+                    emi_amount: money.toRupees(row.emi_amount),
+                    principal_amount: money.toRupees(row.principal_amount),
+                    interest_amount: money.toRupees(row.interest_amount),
+                    outstanding_balance: money.toRupees(row.closing_principal),
+                    principal_paid: money.toRupees(row.principal_paid),
+                    interest_paid: money.toRupees(row.interest_paid),
+                    paid_amount: money.toRupees(row.principal_paid + row.interest_paid),
+                    status,
+                    paid_date: row.paid_date
+                };
+            });
+
+            const summary = settled ? null : {
+                emi_amount: money.toRupees(plan.emi_amount),
+                tenure_months: plan.tenure_months,
+                end_date: plan.end_date,
+                principal_outstanding: money.toRupees(plan.principal_outstanding),
+                principal_due: money.toRupees(plan.principal_due),
+                interest_due: money.toRupees(plan.interest_due),
+                charges_due: money.toRupees(plan.charges_due),
+                outstanding_amount: money.toRupees(plan.outstanding_amount),
+                overdue_emis: plan.overdue_emis,
+                paid_emis: plan.paid_emis
+            };
+
+            return { success: true, schedule, summary };
         } catch (error) {
             return { success: false, error: error.message };
         }
     }
 
+    // The next unpaid installment of each active loan falling due within daysAhead days
     static async getDueEMIs(daysAhead = 7) {
         try {
             const futureDate = new Date();
             futureDate.setDate(futureDate.getDate() + daysAhead);
 
-            // Get all active loans
-            const activeLoans = await mainDb.all(`
-                SELECT l.*, c.name as customer_name, c.phone as customer_phone, c.email as customer_email
+            const dueEMIs = await mainDb.all(`
+                SELECT l.*, c.name as customer_name, c.phone as customer_phone, c.email as customer_email,
+                    s.installment_number as next_emi_number, s.due_date,
+                    (s.principal_amount - s.principal_paid) + (s.interest_amount - s.interest_paid) as due_amount
                 FROM loans l
                 JOIN customers c ON l.customer_id = c.id
-                WHERE l.status = 'active'
-            `);
-
-            const dueEMIs = [];
-
-            for (const loan of activeLoans) {
-                // Get last paid EMI
-                const lastPayment = await txnDb.get(
-                    'SELECT MAX(emi_number) as last_emi FROM loan_transactions WHERE loan_id = ? AND transaction_type = "loan_payment"',
-                    [loan.id]
-                );
-
-                const nextEMINumber = (lastPayment.last_emi || 0) + 1;
-
-                if (nextEMINumber <= loan.tenure_months) {
-                    const startDate = new Date(loan.start_date);
-                    const dueDate = new Date(startDate);
-                    dueDate.setMonth(dueDate.getMonth() + nextEMINumber - 1);
-
-                    if (dueDate <= futureDate) {
-                        dueEMIs.push({
-                            ...loan,
-                            next_emi_number: nextEMINumber,
-                            due_date: dueDate.toISOString().split('T')[0],
-                            due_amount: loan.emi_amount
-                        });
-                    }
-                }
-            }
-
-            return { success: true, due_emis: dueEMIs };
+                JOIN loan_schedule s ON s.loan_id = l.id AND s.installment_number = (
+                    SELECT MIN(installment_number) FROM loan_schedule WHERE loan_id = l.id AND status != 'paid'
+                )
+                WHERE l.status IN ('disbursed', 'active') AND s.due_date <= ?
+                ORDER BY s.due_date
+            `, [futureDate.toISOString().split('T')[0]]);
+
+            return { success: true, due_emis: money.rowsToRupees(dueEMIs, [...this.MONEY_FIELDS, 'due_amount']) };
         } catch (error) {
             return { success: false, error: error.message };
         }
@@ -523,12 +1484,16 @@ class Loan {
             const stats = await mainDb.get(`
                 SELECT 
                     COUNT(*) as total_loans,
-                    COUNT(CASE WHEN status = 'active' THEN 1 END) as active_loans,
+                    COUNT(CASE WHEN status IN ('disbursed', 'active') THEN 1 END) as active_loans,
+                    COUNT(CASE WHEN status IN ('applied', 'under_review', 'sanctioned') THEN 1 END) as pending_applications,
                     COUNT(CASE WHEN status = 'closed' THEN 1 END) as closed_loans,
                     COUNT(CASE WHEN status = 'foreclosed' THEN 1 END) as foreclosed_loans,
-                    SUM(CASE WHEN status = 'active' THEN principal_amount ELSE 0 END) as total_disbursed,
-                    SUM(CASE WHEN status = 'active' THEN outstanding_amount ELSE 0 END) as total_outstanding,
-                    AVG(CASE WHEN status = 'active' THEN interest_rate ELSE NULL END) as avg_interest_rate
+                    COUNT(CASE WHEN status = 'written_off' THEN 1 END) as written_off_loans,
+                    COUNT(CASE WHEN status IN ('disbursed', 'active') AND overdue_emis > 0 THEN 1 END) as overdue_loans,
+                    SUM(CASE WHEN status IN ('disbursed', 'active') THEN principal_amount ELSE 0 END) as total_disbursed,
+                    SUM(CASE WHEN status IN ('disbursed', 'active') THEN outstanding_amount ELSE 0 END) as total_outstanding,
+                    SUM(written_off_amount) as total_written_off,
+                    AVG(CASE WHEN status IN ('disbursed', 'active') THEN interest_rate ELSE NULL END) as avg_interest_rate
                 FROM loans
             `);
 
@@ -536,15 +1501,15 @@ class Loan {
             const loanTypes = await mainDb.all(`
                 SELECT loan_type, COUNT(*) as count, SUM(principal_amount) as total_amount
                 FROM loans 
-                WHERE status = 'active'
+                WHERE status IN ('disbursed', 'active')
                 GROUP BY loan_type
             `);
 
             return { 
                 success: true, 
                 stats: {
-                    ...stats,
-                    loan_types: loanTypes
+                    ...money.rowToRupees(stats, ['total_disbursed', 'total_outstanding', 'total_written_off']),
+                    loan_types: money.rowsToRupees(loanTypes, ['total_amount'])
                 }
             };
         } catch (error) {
@@ -552,76 +1517,63 @@ class Loan {
         }
     }
 
+    // Loans applied for between two dates (YYYY-MM-DD, inclusive)
+    static async getCountByDateRange(startDate, endDate) {
+        try {
+            const row = await mainDb.get(
+                'SELECT COUNT(*) as count FROM loans WHERE DATE(created_at) BETWEEN ? AND ?',
+                [startDate, endDate]
+            );
+
+            return { success: true, count: row.count };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // A rate change keeps the remaining number of installments and moves the EMI;
+    // an EMI change keeps the rate and moves the tenure
     static async update(id, updateData) {
         try {
             const { interest_rate, emi_amount } = updateData;
 
-            // Check if loan exists and is active
-            const loanResult = await this.findById(id);
-            if (!loanResult.success) {
-                return loanResult;
+            if (interest_rate === undefined && emi_amount === undefined) {
+                throw new Error('No fields to update');
             }
-
-            const loan = loanResult.loan;
-            if (loan.status !== 'active') {
-                throw new Error('Can only update active loans');
+            if (interest_rate !== undefined && interest_rate <= 0) {
+                throw new Error('Interest rate must be positive');
             }
-
-            const updateFields = [];
-            const params = [];
-
-            if (interest_rate !== undefined) {
-                if (interest_rate <= 0) {
-                    throw new Error('Interest rate must be positive');
-                }
-                updateFields.push('interest_rate = ?');
-                params.push(interest_rate);
-
-                // Recalculate EMI if interest rate changes
-                const newEMI = this.calculateEMI(loan.principal_amount, interest_rate, loan.tenure_months);
-                updateFields.push('emi_amount = ?');
-                params.push(newEMI);
-
-                // Recalculate total amount
-                const newTotalAmount = newEMI * loan.tenure_months;
-                updateFields.push('total_amount = ?');
-                params.push(newTotalAmount);
-
-                // Update outstanding amount proportionally
-                const paidAmount = loan.total_amount - loan.outstanding_amount;
-                const newOutstanding = newTotalAmount - paidAmount;
-                updateFields.push('outstanding_amount = ?');
-                params.push(Math.max(0, newOutstanding));
+            if (emi_amount !== undefined && interest_rate === undefined && emi_amount <= 0) {
+                throw new Error('EMI amount must be positive');
             }
 
-            if (emi_amount !== undefined && interest_rate === undefined) {
-                if (emi_amount <= 0) {
-                    throw new Error('EMI amount must be positive');
+            await coordinator.execute('loan_update', async ({ main, txn }) => {
+                // Check if loan exists and is active
+                const loanResult = await this.findRecordById(id);
+                if (!loanResult.success) {
+                    throw new Error(loanResult.error);
+                }
+                if (!this.REPAYING_STATUSES.includes(loanResult.loan.status)) {
+                    throw new Error('Can only update active loans');
                 }
-                updateFields.push('emi_amount = ?');
-                params.push(emi_amount);
-
-                // Recalculate total amount
-                const newTotalAmount = emi_amount * loan.tenure_months;
-                updateFields.push('total_amount = ?');
-                params.push(newTotalAmount);
-
-                // Update outstanding amount proportionally
-                const paidAmount = loan.total_amount - loan.outstanding_amount;
-                const newOutstanding = newTotalAmount - paidAmount;
-                updateFields.push('outstanding_amount = ?');
-                params.push(Math.max(0, newOutstanding));
-            }
 
-            if (updateFields.length === 0) {
-                throw new Error('No fields to update');
-            }
+                const plan = await this.rebuildSchedule(id, { main, txn });
+                const remainingInstallments = plan.rows.length - plan.locked_count;
 
-            updateFields.push('updated_at = CURRENT_TIMESTAMP');
-            params.push(id);
+                if (remainingInstallments === 0) {
+                    throw new Error('No installments left to reschedule');
+                }
 
-            const query = `UPDATE loans SET ${updateFields.join(', ')} WHERE id = ?`;
-            await mainDb.run(query, params);
+                if (interest_rate !== undefined) {
+                    await main.run(
+                        'UPDATE loans SET interest_rate = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                        [interest_rate, id]
+                    );
+                    await this.rebuildSchedule(id, { main, txn }, { regenerate: { count: remainingInstallments } });
+                } else {
+                    await this.rebuildSchedule(id, { main, txn }, { regenerate: { emi: money.toPaise(emi_amount) } });
+                }
+            }, { loan_id: id, interest_rate, emi_amount });
 
             return await this.findById(id);
         } catch (error) {
@@ -630,4 +1582,4 @@ class Loan {
     }
 }
 
-module.exports = Loan;
\ No newline at end of file
+module.exports = Loan;
@@ -0,0 +1,207 @@
+const mainDb = require('../config/db_main');
+const Loan = require('./Loan');
+const money = require('../utils/money');
+
+/**
+ * Loan collateral: security pledged against a loan, such as gold, land records or a
+ * lien on a fixed deposit.
+ *
+ * Each item records its owner (the borrower unless a third party pledged it), its
+ * latest valuation with the date and valuer, and the documents held for it. Items can
+ * be revalued while pledged. They are released by an admin, or by themselves when the
+ * loan is closed, foreclosed or rejected; a written-off loan keeps its collateral for
+ * recovery. An FD can be under only one pledged lien at a time and is valued at its
+ * principal unless a valuation is given.
+ */
+class LoanCollateral {
+    static get TYPES() {
+        return ['gold', 'land', 'property', 'vehicle', 'fd_lien', 'other'];
+    }
+
+    static get MONEY_FIELDS() {
+        return ['valuation_amount', 'fd_principal_amount'];
+    }
+
+    static validateValuation(valuationAmount, valuationDate) {
+        if (!(valuationAmount > 0)) {
+            throw new Error('Valuation amount must be positive');
+        }
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(valuationDate) || valuationDate > Loan.today()) {
+            throw new Error('Valuation date must be a date no later than today');
+        }
+    }
+
+    static async add(loanId, collateralData, addedBy) {
+        try {
+            const { collateral_type, description, reference, fd_id, valued_by, documents } = collateralData;
+            const valuationDate = collateralData.valuation_date || Loan.today();
+
+            if (!this.TYPES.includes(collateral_type)) {
+                throw new Error(`Collateral type must be one of: ${this.TYPES.join(', ')}`);
+            }
+
+            const loan = await mainDb.get('SELECT id, customer_id, status FROM loans WHERE id = ?', [loanId]);
+            if (!loan) {
+                throw new Error('Loan not found');
+            }
+            if (!Loan.OPEN_STATUSES.includes(loan.status)) {
+                throw new Error('Collateral can only be pledged against an open loan');
+            }
+
+            const ownerId = collateralData.customer_id ? parseInt(collateralData.customer_id) : loan.customer_id;
+            const owner = await mainDb.get('SELECT id FROM customers WHERE id = ? AND is_active = 1', [ownerId]);
+            if (!owner) {
+                throw new Error('Collateral owner not found or inactive');
+            }
+
+            let valuationAmount = collateralData.valuation_amount ? money.toPaise(collateralData.valuation_amount) : null;
+            let itemDescription = description;
+            let itemReference = reference;
+
+            if (collateral_type === 'fd_lien') {
+                const fd = await mainDb.get('SELECT id, fd_number, customer_id, principal_amount, status FROM fixed_deposits WHERE id = ?', [fd_id]);
+                if (!fd || fd.status !== 'active') {
+                    throw new Error('Fixed deposit not found or not active');
+                }
+                if (fd.customer_id !== ownerId) {
+                    throw new Error('Fixed deposit belongs to a different customer');
+                }
+
+                const lien = await mainDb.get(
+                    `SELECT id FROM loan_collateral WHERE fd_id = ? AND status = 'pledged'`,
+                    [fd.id]
+                );
+                if (lien) {
+                    throw new Error(`Fixed deposit ${fd.fd_number} is already under a lien`);
+                }
+
+                valuationAmount = valuationAmount || fd.principal_amount;
+                itemDescription = itemDescription || `Lien on FD ${fd.fd_number}`;
+                itemReference = fd.fd_number;
+            } else if (fd_id) {
+                throw new Error('Only an FD lien can name a fixed deposit');
+            }
+
+            if (!itemDescription || !itemDescription.trim()) {
+                throw new Error('Collateral description is required');
+            }
+            this.validateValuation(valuationAmount, valuationDate);
+
+            const result = await mainDb.run(
+                `INSERT INTO loan_collateral (
+                    loan_id, customer_id, collateral_type, description, reference, fd_id,
+                    valuation_amount, valuation_date, valued_by, documents, added_by
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    loanId, ownerId, collateral_type, itemDescription.trim(), itemReference || null,
+                    collateral_type === 'fd_lien' ? fd_id : null,
+                    valuationAmount, valuationDate, valued_by || null, documents || null, addedBy
+                ]
+            );
+
+            return await this.findById(result.id);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    static async findById(id) {
+        try {
+            const collateral = await mainDb.get(`
+                SELECT lc.*, c.name as owner_name, fd.fd_number, fd.principal_amount as fd_principal_amount, fd.status as fd_status,
+                    u.name as added_by_name, r.name as released_by_name
+                FROM loan_collateral lc
+                JOIN customers c ON lc.customer_id = c.id
+                LEFT JOIN fixed_deposits fd ON lc.fd_id = fd.id
+                LEFT JOIN users u ON lc.added_by = u.id
+                LEFT JOIN users r ON lc.released_by = r.id
+                WHERE lc.id = ?
+            `, [id]);
+
+            if (!collateral) {
+                return { success: false, error: 'Collateral not found' };
+            }
+
+            return { success: true, collateral: money.rowToRupees(collateral, this.MONEY_FIELDS) };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // A loan's collateral, with the value still pledged against it
+    static async findByLoan(loanId) {
+        try {
+            const collateral = await mainDb.all(`
+                SELECT lc.*, c.name as owner_name, fd.fd_number, fd.principal_amount as fd_principal_amount, fd.status as fd_status,
+                    u.name as added_by_name, r.name as released_by_name
+                FROM loan_collateral lc
+                JOIN customers c ON lc.customer_id = c.id
+                LEFT JOIN fixed_deposits fd ON lc.fd_id = fd.id
+                LEFT JOIN users u ON lc.added_by = u.id
+                LEFT JOIN users r ON lc.released_by = r.id
+                WHERE lc.loan_id = ?
+                ORDER BY lc.status, lc.created_at
+            `, [loanId]);
+
+            const pledgedValue = collateral
+                .filter(item => item.status === 'pledged')
+                .reduce((total, item) => total + item.valuation_amount, 0);
+
+            return {
+                success: true,
+                collateral: money.rowsToRupees(collateral, this.MONEY_FIELDS),
+                pledged_value: money.toRupees(pledgedValue)
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    static async revalue(loanId, collateralId, valuation) {
+        try {
+            const valuationAmount = money.toPaise(valuation.valuation_amount);
+            const valuationDate = valuation.valuation_date || Loan.today();
+            this.validateValuation(valuationAmount, valuationDate);
+
+            const result = await mainDb.run(
+                `UPDATE loan_collateral SET valuation_amount = ?, valuation_date = ?, valued_by = ?,
+                 documents = COALESCE(?, documents), updated_at = CURRENT_TIMESTAMP
+                 WHERE id = ? AND loan_id = ? AND status = 'pledged'`,
+                [valuationAmount, valuationDate, valuation.valued_by || null, valuation.documents || null, collateralId, loanId]
+            );
+
+            if (result.changes === 0) {
+                throw new Error('Pledged collateral not found on this loan');
+            }
+
+            return await this.findById(collateralId);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    static async release(loanId, collateralId, note, releasedBy) {
+        try {
+            if (!note || !note.trim()) {
+                throw new Error('A note on why the collateral is released is required');
+            }
+
+            const result = await mainDb.run(
+                `UPDATE loan_collateral SET status = 'released', release_date = ?, released_by = ?, release_note = ?,
+                 updated_at = CURRENT_TIMESTAMP
+                 WHERE id = ? AND loan_id = ? AND status = 'pledged'`,
+                [Loan.today(), releasedBy, note.trim(), collateralId, loanId]
+            );
+
+            if (result.changes === 0) {
+                throw new Error('Pledged collateral not found on this loan');
+            }
+
+            return await this.findById(collateralId);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+module.exports = LoanCollateral;
@@ -0,0 +1,336 @@
+const mainDb = require('../config/db_main');
+const Loan = require('./Loan');
+const GeneralLedger = require('./GeneralLedger');
+const coordinator = require('../utils/transactionCoordinator');
+const money = require('../utils/money');
+const settingsStore = require('../utils/settingsStore');
+
+/**
+ * Loan delinquency: days past due, penal interest and asset classification.
+ *
+ * Run daily over each active loan's rebuilt EMI schedule. Days past due (DPD) count
+ * from the due date of the oldest installment still unpaid. Penal interest accrues
+ * for each day on the unpaid amount of installments already past due, at
+ * Settings → loans.penalInterestRate, and is levied as a charge the next payments
+ * collect. A loan's asset class is the last class in Settings → loans.assetClasses
+ * whose from_dpd it has reached; every class after the first is a non-performing
+ * asset, and the class's provision percent applies to the principal outstanding.
+ *
+ * loans.delinquency_through records the last day assessed, so a repeated run on the
+ * same day charges nothing twice and a run after a gap charges the missed days. Each
+ * run leaves a loan_delinquency row per loan and day.
+ */
+class LoanDelinquency {
+    static get ASSET_CLASSES() {
+        return ['standard', 'sub_standard', 'doubtful', 'loss'];
+    }
+
+    // to is inclusive; null is open-ended
+    static get DPD_BUCKETS() {
+        return [
+            { label: 'Current', from: 0, to: 0 },
+            { label: '1-30', from: 1, to: 30 },
+            { label: '31-60', from: 31, to: 60 },
+            { label: '61-90', from: 61, to: 90 },
+            { label: '91-180', from: 91, to: 180 },
+            { label: '181-365', from: 181, to: 365 },
+            { label: '365+', from: 366, to: null }
+        ];
+    }
+
+    static get DAYS_IN_YEAR() {
+        return 365;
+    }
+
+    // Asset classes are listed in ASSET_CLASSES order, starting at 0 DPD, with rising
+    // thresholds and provision percents between 0 and 100
+    static isValidAssetClasses(classes) {
+        return Array.isArray(classes)
+            && classes.length === this.ASSET_CLASSES.length
+            && classes.every((assetClass, index) => assetClass
+                && assetClass.name === this.ASSET_CLASSES[index]
+                && Number.isInteger(assetClass.from_dpd)
+                && (index === 0 ? assetClass.from_dpd === 0 : assetClass.from_dpd > classes[index - 1].from_dpd)
+                && typeof assetClass.provision_percent === 'number'
+                && assetClass.provision_percent >= 0 && assetClass.provision_percent <= 100);
+    }
+
+    static isValidPenalRate(rate) {
+        return typeof rate === 'number' && rate >= 0 && rate <= 100;
+    }
+
+    static async getConfig() {
+        const settings = await settingsStore.read();
+        const { penalInterestRate, assetClasses } = settings.loans;
+
+        if (!this.isValidPenalRate(penalInterestRate)) {
+            throw new Error(`Invalid penal interest rate: ${penalInterestRate}`);
+        }
+        if (!this.isValidAssetClasses(assetClasses)) {
+            throw new Error(`Loan asset classes must be ${this.ASSET_CLASSES.join(', ')} with rising DPD thresholds from 0`);
+        }
+
+        return { penalInterestRate, assetClasses };
+    }
+
+    // Dates are YYYY-MM-DD strings in UTC
+    static addDays(value, days) {
+        const date = new Date(`${value}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + days);
+        return date.toISOString().split('T')[0];
+    }
+
+    static daysBetween(from, to) {
+        return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / (1000 * 60 * 60 * 24));
+    }
+
+    static classify(dpd, assetClasses) {
+        return assetClasses.filter(assetClass => dpd >= assetClass.from_dpd).pop();
+    }
+
+    static getBucketIndex(dpd) {
+        return this.DPD_BUCKETS.findIndex(bucket => dpd >= bucket.from && (bucket.to === null || dpd <= bucket.to));
+    }
+
+    // Unpaid amount of installments past due on a day
+    static overdueOn(plan, date) {
+        return plan.rows
+            .filter(row => row.due_date < date)
+            .reduce((total, row) => total + (row.principal_amount - row.principal_paid) + (row.interest_amount - row.interest_paid), 0);
+    }
+
+    // Penal interest (paise) for the days after from through to. Payments are already in
+    // the plan, so days missed between runs are charged on what is unpaid now.
+    static penalInterest(plan, from, to, annualRate) {
+        let product = 0;
+        for (let date = this.addDays(from, 1); date <= to; date = this.addDays(date, 1)) {
+            product += this.overdueOn(plan, date);
+        }
+        return money.round(product * annualRate / 100 / this.DAYS_IN_YEAR);
+    }
+
+    // Assesses one loan as of a date inside its own coordinator operation
+    static async assess(loanId, asOf, config, processedBy) {
+        return coordinator.execute('loan_delinquency', async ({ main, txn }) => {
+            const loan = await main.get('SELECT * FROM loans WHERE id = ?', [loanId]);
+            let plan = await Loan.rebuildSchedule(loanId, { main, txn }, { asOf });
+
+            const from = loan.delinquency_through || this.addDays(asOf, -1);
+            const penal = from < asOf ? this.penalInterest(plan, from, asOf, config.penalInterestRate) : 0;
+
+            if (penal > 0) {
+                const description = `Penal interest ${this.addDays(from, 1)} to ${asOf} - ${loan.loan_number}`;
+                const transaction = await Loan.createLoanTransaction({
+                    loan_id: loanId,
+                    customer_id: loan.customer_id,
+                    transaction_type: 'loan_penal_interest',
+                    amount: penal,
+                    principal_amount: 0,
+                    interest_amount: 0,
+                    outstanding_before: plan.outstanding_amount,
+                    outstanding_after: plan.outstanding_amount + penal,
+                    description,
+                    processed_by: processedBy
+                }, txn);
+
+                await GeneralLedger.postEntry({
+                    source_type: 'loan_penal_interest',
+                    source_id: transaction.id,
+                    reference_number: transaction.transaction_id,
+                    customer_id: loan.customer_id,
+                    description,
+                    posted_by: processedBy,
+                    lines: [
+                        { account: GeneralLedger.ACCOUNTS.LOAN_CHARGES_RECEIVABLE, debit: penal },
+                        { account: GeneralLedger.ACCOUNTS.PENALTY_INCOME, credit: penal }
+                    ]
+                }, txn);
+
+                plan = await Loan.rebuildSchedule(loanId, { main, txn }, { asOf });
+            }
+
+            const dpd = plan.overdue_since ? this.daysBetween(plan.overdue_since, asOf) : 0;
+            const assetClass = this.classify(dpd, config.assetClasses);
+            const npaSince = assetClass.name !== config.assetClasses[0].name
+                ? this.addDays(plan.overdue_since, config.assetClasses[1].from_dpd)
+                : null;
+            const provision = money.round(plan.principal_outstanding * assetClass.provision_percent / 100);
+            const overdueAmount = this.overdueOn(plan, asOf);
+
+            await main.run(
+                `UPDATE loans SET dpd = ?, asset_class = ?, npa_since = ?, provision_amount = ?, delinquency_through = ?
+                 WHERE id = ?`,
+                [dpd, assetClass.name, npaSince, provision, asOf, loanId]
+            );
+
+            await main.run(
+                `INSERT INTO loan_delinquency (
+                    loan_id, as_of_date, dpd, overdue_amount, penal_interest, asset_class, provision_percent, provision_amount
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                ON CONFLICT (loan_id, as_of_date) DO UPDATE SET
+                    dpd = excluded.dpd, overdue_amount = excluded.overdue_amount,
+                    penal_interest = penal_interest + excluded.penal_interest, asset_class = excluded.asset_class,
+                    provision_percent = excluded.provision_percent, provision_amount = excluded.provision_amount`,
+                [loanId, asOf, dpd, overdueAmount, penal, assetClass.name, assetClass.provision_percent, provision]
+            );
+
+            return { dpd, asset_class: assetClass.name, penal_interest: penal };
+        }, { loan_id: loanId, as_of: asOf });
+    }
+
+    // Assesses every active loan as of a date (default today). Each loan is its own
+    // operation, so one that fails does not hold up the rest. Loans that are no longer
+    // active are cleared.
+    static async run(asOf = null, processedBy) {
+        try {
+            asOf = asOf || Loan.today();
+            const config = await this.getConfig();
+
+            const activeLoans = await mainDb.all(`SELECT id FROM loans WHERE status IN ('disbursed', 'active')`);
+
+            const summary = { checked: activeLoans.length, overdue: 0, npa: 0, penal_interest: 0 };
+            const failed = [];
+
+            for (const loan of activeLoans) {
+                try {
+                    const result = await this.assess(loan.id, asOf, config, processedBy);
+
+                    if (result.dpd > 0) {
+                        summary.overdue++;
+                    }
+                    if (result.asset_class !== config.assetClasses[0].name) {
+                        summary.npa++;
+                    }
+                    summary.penal_interest += result.penal_interest;
+                } catch (error) {
+                    failed.push({ loan_id: loan.id, error: error.message });
+                }
+            }
+
+            await mainDb.run(
+                `UPDATE loans SET overdue_emis = 0, overdue_since = NULL, dpd = 0, npa_since = NULL, provision_amount = 0
+                 WHERE status NOT IN ('disbursed', 'active') AND (overdue_emis > 0 OR dpd > 0 OR provision_amount > 0)`
+            );
+
+            return {
+                success: true,
+                as_of: asOf,
+                summary: { ...summary, penal_interest: money.toRupees(summary.penal_interest) },
+                failed
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Active loans by DPD bucket and by asset class, from the latest assessment
+    static async getPortfolioReport() {
+        try {
+            const { assetClasses } = await this.getConfig();
+
+            const loans = await mainDb.all(`
+                SELECT l.id, l.loan_number, l.loan_type, l.customer_id, c.name as customer_name, c.phone as customer_phone,
+                    l.principal_outstanding, l.principal_due, l.interest_due, l.charges_due, l.outstanding_amount,
+                    l.emi_amount, l.overdue_emis, l.overdue_since, l.dpd, l.asset_class, l.npa_since,
+                    l.provision_amount, l.delinquency_through
+                FROM loans l
+                JOIN customers c ON l.customer_id = c.id
+                WHERE l.status IN ('disbursed', 'active')
+                ORDER BY l.dpd DESC, l.loan_number
+            `);
+
+            const emptyTotals = () => ({ count: 0, principal_outstanding: 0, amount_due: 0, provision_amount: 0 });
+            const add = (totals, loan) => {
+                totals.count++;
+                totals.principal_outstanding += loan.principal_outstanding || 0;
+                totals.amount_due += loan.principal_due + loan.interest_due + loan.charges_due;
+                totals.provision_amount += loan.provision_amount;
+            };
+            const toRupees = (totals) => money.rowToRupees(totals, ['principal_outstanding', 'amount_due', 'provision_amount']);
+
+            const buckets = this.DPD_BUCKETS.map(bucket => ({ ...bucket, ...emptyTotals() }));
+            const classes = assetClasses.map(assetClass => ({ ...assetClass, ...emptyTotals() }));
+            const total = emptyTotals();
+            const npa = emptyTotals();
+
+            for (const loan of loans) {
+                add(buckets[this.getBucketIndex(loan.dpd)], loan);
+                add(classes.find(assetClass => assetClass.name === loan.asset_class) || classes[0], loan);
+                add(total, loan);
+                if (loan.asset_class !== assetClasses[0].name) {
+                    add(npa, loan);
+                }
+            }
+
+            const lastAssessed = loans.reduce((latest, loan) => (loan.delinquency_through > (latest || '') ? loan.delinquency_through : latest), null);
+
+            return {
+                success: true,
+                report: {
+                    as_of: lastAssessed,
+                    buckets: buckets.map(toRupees),
+                    asset_classes: classes.map(toRupees),
+                    total: toRupees(total),
+                    npa: toRupees(npa),
+                    gross_npa_percent: total.principal_outstanding > 0
+                        ? Math.round(npa.principal_outstanding / total.principal_outstanding * 10000) / 100
+                        : 0,
+                    overdue_loans: money.rowsToRupees(
+                        loans.filter(loan => loan.dpd > 0),
+                        [...Loan.MONEY_FIELDS, 'provision_amount']
+                    )
+                }
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Active loans past due at their latest assessment, most days past due first
+    static async getOverdueLoans() {
+        try {
+            const loans = await mainDb.all(`
+                SELECT l.id, l.loan_number, l.loan_type, l.customer_id, c.name as customer_name, c.phone as customer_phone,
+                    l.emi_amount, l.outstanding_amount, l.overdue_emis, l.overdue_since,
+                    d.as_of_date, d.dpd, d.overdue_amount, d.penal_interest, d.asset_class, d.provision_amount
+                FROM loans l
+                JOIN customers c ON l.customer_id = c.id
+                JOIN loan_delinquency d ON d.loan_id = l.id
+                    AND d.as_of_date = (SELECT MAX(as_of_date) FROM loan_delinquency WHERE loan_id = l.id)
+                WHERE l.status IN ('disbursed', 'active') AND d.dpd > 0
+                ORDER BY d.dpd DESC, l.loan_number
+            `);
+
+            const total = (field) => loans.reduce((sum, loan) => sum + (loan[field] || 0), 0);
+
+            return {
+                success: true,
+                loans: money.rowsToRupees(loans, ['emi_amount', 'outstanding_amount', 'overdue_amount', 'penal_interest', 'provision_amount']),
+                summary: {
+                    total_count: loans.length,
+                    total_overdue_amount: money.toRupees(total('overdue_amount')),
+                    total_outstanding_amount: money.toRupees(total('outstanding_amount')),
+                    total_emi_amount: money.toRupees(total('emi_amount'))
+                }
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Daily assessments of a loan, newest first
+    static async getHistory(loanId, limit = 90) {
+        try {
+            const history = await mainDb.all(
+                'SELECT * FROM loan_delinquency WHERE loan_id = ? ORDER BY as_of_date DESC LIMIT ?',
+                [loanId, limit]
+            );
+
+            return { success: true, history: money.rowsToRupees(history, ['overdue_amount', 'penal_interest', 'provision_amount']) };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+module.exports = LoanDelinquency;
@@ -0,0 +1,233 @@
+const mainDb = require('../config/db_main');
+const Loan = require('./Loan');
+const coordinator = require('../utils/transactionCoordinator');
+const money = require('../utils/money');
+const settingsStore = require('../utils/settingsStore');
+
+/**
+ * Loan guarantors: the people standing surety for a loan.
+ *
+ * A guarantor is usually a member, recorded against their customer record, but may be
+ * an outsider recorded by name. A member can guarantee at most
+ * Settings → loans.maxGuaranteesPerCustomer open loans (applied through active) at a
+ * time, and never their own loan. A guarantee stands until it is released: by an
+ * admin, or by itself when the loan is closed, foreclosed or rejected. A written-off
+ * loan keeps its guarantors, who remain answerable for it.
+ *
+ * A guarantor's exposure is the amount guaranteed, capped at what the loan owes; a
+ * guarantee with no amount covers the whole loan. Before disbursement the loan's
+ * principal stands in for what it owes, and after a write-off the amount written off.
+ */
+class LoanGuarantor {
+    static get MONEY_FIELDS() {
+        return ['guaranteed_amount', 'loan_principal', 'loan_outstanding', 'exposure'];
+    }
+
+    static isValidMaxGuarantees(max) {
+        return Number.isInteger(max) && max >= 1;
+    }
+
+    static async getMaxGuarantees() {
+        const settings = await settingsStore.read();
+        const max = settings.loans.maxGuaranteesPerCustomer;
+        if (!this.isValidMaxGuarantees(max)) {
+            throw new Error(`Invalid maximum guarantees per customer: ${max}`);
+        }
+        return max;
+    }
+
+    // What the loan owes for exposure purposes (paise), by its status
+    static get LOAN_OWED_SQL() {
+        return `CASE
+            WHEN l.status IN ('applied', 'under_review', 'sanctioned') THEN l.principal_amount
+            WHEN l.status = 'written_off' THEN l.written_off_amount
+            ELSE l.outstanding_amount
+        END`;
+    }
+
+    static get EXPOSURE_SQL() {
+        return `CASE
+            WHEN g.guaranteed_amount IS NULL OR g.guaranteed_amount > ${this.LOAN_OWED_SQL} THEN ${this.LOAN_OWED_SQL}
+            ELSE g.guaranteed_amount
+        END`;
+    }
+
+    // Active guarantees a member gives on loans still open
+    static async countOpenGuarantees(customerId, db = mainDb) {
+        const row = await db.get(
+            `SELECT COUNT(*) as count FROM loan_guarantors g
+             JOIN loans l ON g.loan_id = l.id
+             WHERE g.customer_id = ? AND g.status = 'active' AND l.status IN (${Loan.OPEN_STATUSES.map(() => '?').join(', ')})`,
+            [customerId, ...Loan.OPEN_STATUSES]
+        );
+        return row.count;
+    }
+
+    static async add(loanId, guarantorData, addedBy) {
+        try {
+            const { customer_id, relationship, guaranteed_amount, documents } = guarantorData;
+            let { name, phone, address } = guarantorData;
+
+            const guaranteedAmount = guaranteed_amount ? money.toPaise(guaranteed_amount) : null;
+            if (guaranteedAmount !== null && guaranteedAmount <= 0) {
+                throw new Error('Guaranteed amount must be positive');
+            }
+
+            const max = await this.getMaxGuarantees();
+
+            const result = await coordinator.execute('loan_guarantor_add', async ({ main }) => {
+                const loan = await main.get('SELECT id, customer_id, status, principal_amount FROM loans WHERE id = ?', [loanId]);
+                if (!loan) {
+                    throw new Error('Loan not found');
+                }
+                if (!Loan.OPEN_STATUSES.includes(loan.status)) {
+                    throw new Error('Guarantors can only be added to an open loan');
+                }
+                if (guaranteedAmount !== null && guaranteedAmount > loan.principal_amount) {
+                    throw new Error('Guaranteed amount cannot exceed the loan amount');
+                }
+
+                if (customer_id) {
+                    const customer = await main.get('SELECT id, name, phone, address FROM customers WHERE id = ? AND is_active = 1 AND date_of_death IS NULL', [customer_id]);
+                    if (!customer) {
+                        throw new Error('Guarantor customer not found, inactive or deceased');
+                    }
+                    if (customer.id === loan.customer_id) {
+                        throw new Error('A borrower cannot guarantee their own loan');
+                    }
+
+                    const existing = await main.get(
+                        `SELECT id FROM loan_guarantors WHERE loan_id = ? AND customer_id = ? AND status = 'active'`,
+                        [loanId, customer.id]
+                    );
+                    if (existing) {
+                        throw new Error('Customer already guarantees this loan');
+                    }
+
+                    const open = await this.countOpenGuarantees(customer.id, main);
+                    if (open >= max) {
+                        throw new Error(`${customer.name} already guarantees ${open} open loan(s); the limit is ${max}`);
+                    }
+
+                    name = customer.name;
+                    phone = phone || customer.phone;
+                    address = address || customer.address;
+                } else if (!name || !name.trim()) {
+                    throw new Error('Guarantor name is required');
+                }
+
+                return main.run(
+                    `INSERT INTO loan_guarantors (
+                        loan_id, customer_id, name, phone, address, relationship, guaranteed_amount, documents, added_by
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [
+                        loanId, customer_id || null, name.trim(), phone || null, address || null,
+                        relationship || null, guaranteedAmount, documents || null, addedBy
+                    ]
+                );
+            }, { loan_id: loanId, customer_id });
+
+            return await this.findById(result.id);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    static async findById(id) {
+        try {
+            const guarantor = await mainDb.get(`
+                SELECT g.*, ${this.EXPOSURE_SQL} as exposure, u.name as added_by_name
+                FROM loan_guarantors g
+                JOIN loans l ON g.loan_id = l.id
+                LEFT JOIN users u ON g.added_by = u.id
+                WHERE g.id = ?
+            `, [id]);
+
+            if (!guarantor) {
+                return { success: false, error: 'Guarantor not found' };
+            }
+
+            return { success: true, guarantor: money.rowToRupees(guarantor, this.MONEY_FIELDS) };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    static async findByLoan(loanId) {
+        try {
+            const guarantors = await mainDb.all(`
+                SELECT g.*, ${this.EXPOSURE_SQL} as exposure, u.name as added_by_name, r.name as released_by_name
+                FROM loan_guarantors g
+                JOIN loans l ON g.loan_id = l.id
+                LEFT JOIN users u ON g.added_by = u.id
+                LEFT JOIN users r ON g.released_by = r.id
+                WHERE g.loan_id = ?
+                ORDER BY g.status, g.added_at
+            `, [loanId]);
+
+            return { success: true, guarantors: money.rowsToRupees(guarantors, this.MONEY_FIELDS) };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    static async release(loanId, guarantorId, note, releasedBy) {
+        try {
+            if (!note || !note.trim()) {
+                throw new Error('A note on why the guarantor is released is required');
+            }
+
+            const result = await mainDb.run(
+                `UPDATE loan_guarantors SET status = 'released', release_date = ?, released_by = ?, release_note = ?
+                 WHERE id = ? AND loan_id = ? AND status = 'active'`,
+                [Loan.today(), releasedBy, note.trim(), guarantorId, loanId]
+            );
+
+            if (result.changes === 0) {
+                throw new Error('Active guarantor not found on this loan');
+            }
+
+            return await this.findById(guarantorId);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // The loans a member guarantees, with the exposure on each still standing
+    static async getExposure(customerId) {
+        try {
+            const guarantees = await mainDb.all(`
+                SELECT g.id, g.loan_id, g.relationship, g.guaranteed_amount, g.status, g.added_at, g.release_date,
+                    l.loan_number, l.loan_type, l.status as loan_status, l.principal_amount as loan_principal,
+                    ${this.LOAN_OWED_SQL} as loan_outstanding, l.dpd, l.asset_class,
+                    CASE WHEN g.status = 'active' THEN ${this.EXPOSURE_SQL} ELSE 0 END as exposure,
+                    c.name as borrower_name, c.phone as borrower_phone
+                FROM loan_guarantors g
+                JOIN loans l ON g.loan_id = l.id
+                JOIN customers c ON l.customer_id = c.id
+                WHERE g.customer_id = ?
+                ORDER BY g.status, g.added_at DESC
+            `, [customerId]);
+
+            const standing = guarantees.filter(guarantee => guarantee.status === 'active');
+
+            return {
+                success: true,
+                exposure: {
+                    guarantees: money.rowsToRupees(guarantees, this.MONEY_FIELDS),
+                    open_guarantees: standing.filter(guarantee => Loan.OPEN_STATUSES.includes(guarantee.loan_status)).length,
+                    max_guarantees: await this.getMaxGuarantees(),
+                    total_exposure: money.toRupees(standing.reduce((total, guarantee) => total + guarantee.exposure, 0)),
+                    npa_exposure: money.toRupees(standing
+                        .filter(guarantee => guarantee.loan_status === 'written_off'
+                            || (guarantee.asset_class && guarantee.asset_class !== 'standard'))
+                        .reduce((total, guarantee) => total + guarantee.exposure, 0))
+                }
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+module.exports = LoanGuarantor;
@@ -0,0 +1,202 @@
+const mainDb = require('../config/db_main');
+const coordinator = require('../utils/transactionCoordinator');
+const JointHolder = require('./JointHolder');
+
+/**
+ * Nominees of savings accounts, FDs and RDs: who is paid the product when its holders die.
+ *
+ * A product has up to MAX_NOMINEES nominees whose shares, in percent with at most two
+ * decimals, add up to exactly 100. A nominee may be a member, recorded against their
+ * customer record, or an outsider recorded by name, but never one of the product's own
+ * holders. A nominee under MAJORITY_AGE on the day of nomination needs a guardian, who
+ * receives their share on their behalf.
+ *
+ * The list is always replaced as a whole so the shares stay consistent; earlier lists
+ * are kept as 'replaced' with who replaced them and when.
+ */
+class Nominee {
+    static get MAX_NOMINEES() {
+        return 4;
+    }
+
+    static get MAJORITY_AGE() {
+        return 18;
+    }
+
+    static today() {
+        return new Date().toISOString().split('T')[0];
+    }
+
+    static isMinor(dob, asOf = this.today()) {
+        if (!dob) {
+            return false;
+        }
+        const [year, month, day] = dob.split('-').map(Number);
+        const majority = new Date(Date.UTC(year + this.MAJORITY_AGE, month - 1, day)).toISOString().split('T')[0];
+        return majority > asOf;
+    }
+
+    static describe(nominee) {
+        return { ...nominee, is_minor: this.isMinor(nominee.dob) };
+    }
+
+    static async findByProduct(productType, productId) {
+        try {
+            const product = await JointHolder.findProduct(productType, productId);
+
+            const nominees = await mainDb.all(`
+                SELECT n.*, u.name as added_by_name
+                FROM product_nominees n
+                LEFT JOIN users u ON n.added_by = u.id
+                WHERE n.product_type = ? AND n.product_id = ? AND n.status = 'active'
+                ORDER BY n.id
+            `, [productType, productId]);
+
+            return {
+                success: true,
+                product_number: product.product_number,
+                nominees: nominees.map(nominee => this.describe(nominee))
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Checks one nominee of a new list and fills in a member's details from their record
+    static async prepare(nominee, holderIds, db) {
+        const { customer_id, relationship, share_percent, guardian_name, guardian_relation, guardian_phone, guardian_address } = nominee;
+        let { name, dob, phone, address } = nominee;
+
+        if (customer_id) {
+            const customer = await db.get('SELECT id, name, dob, phone, address FROM customers WHERE id = ? AND is_active = 1 AND date_of_death IS NULL', [customer_id]);
+            if (!customer) {
+                throw new Error('Nominee customer not found, inactive or deceased');
+            }
+            if (holderIds.includes(customer.id)) {
+                throw new Error(`${customer.name} holds this product and cannot be its nominee`);
+            }
+            name = customer.name;
+            dob = dob || customer.dob;
+            phone = phone || customer.phone;
+            address = address || customer.address;
+        } else if (!name || !name.trim()) {
+            throw new Error('Nominee name is required');
+        }
+
+        if (dob && (!/^\d{4}-\d{2}-\d{2}$/.test(dob) || dob > this.today())) {
+            throw new Error(`Invalid date of birth for ${name.trim()}`);
+        }
+
+        const share = Number(share_percent);
+        if (!(share > 0 && share <= 100) || Math.abs(share * 100 - Math.round(share * 100)) > 1e-6) {
+            throw new Error(`Share for ${name.trim()} must be a percentage above 0 with at most two decimals`);
+        }
+
+        if (this.isMinor(dob) && (!guardian_name || !guardian_name.trim() || !guardian_relation || !guardian_relation.trim())) {
+            throw new Error(`${name.trim()} is a minor; the guardian's name and relation are required`);
+        }
+
+        return {
+            customer_id: customer_id || null,
+            name: name.trim(),
+            relationship: relationship || null,
+            dob: dob || null,
+            phone: phone || null,
+            address: address || null,
+            share_percent: Math.round(share * 100) / 100,
+            guardian_name: guardian_name ? guardian_name.trim() : null,
+            guardian_relation: guardian_relation || null,
+            guardian_phone: guardian_phone || null,
+            guardian_address: guardian_address || null
+        };
+    }
+
+    static async replace(productType, productId, nominees, userId) {
+        try {
+            if (!Array.isArray(nominees)) {
+                throw new Error('Nominees must be a list');
+            }
+            if (nominees.length > this.MAX_NOMINEES) {
+                throw new Error(`At most ${this.MAX_NOMINEES} nominees are allowed`);
+            }
+
+            await coordinator.execute('nominee_replace', async ({ main }) => {
+                const config = JointHolder.productConfig(productType);
+                const product = await JointHolder.findProduct(productType, productId, main);
+                if (!product.is_open) {
+                    throw new Error(`Nominees can only be changed on an open ${config.label}`);
+                }
+                JointHolder.assertNotFrozen(product, config);
+
+                const holders = await main.all(
+                    `SELECT customer_id FROM product_holders WHERE product_type = ? AND product_id = ? AND status = 'active'`,
+                    [productType, productId]
+                );
+                const holderIds = [product.customer_id, ...holders.map(holder => holder.customer_id)];
+
+                const prepared = [];
+                for (const nominee of nominees) {
+                    prepared.push(await this.prepare(nominee, holderIds, main));
+                }
+
+                const members = prepared.filter(nominee => nominee.customer_id).map(nominee => nominee.customer_id);
+                if (new Set(members).size !== members.length) {
+                    throw new Error('The same member is nominated more than once');
+                }
+
+                // Compared in hundredths of a percent so 33.33 + 33.33 + 33.34 adds up exactly
+                const total = prepared.reduce((sum, nominee) => sum + Math.round(nominee.share_percent * 100), 0);
+                if (prepared.length > 0 && total !== 10000) {
+                    throw new Error(`Nominee shares must add up to 100%, not ${total / 100}%`);
+                }
+
+                await main.run(
+                    `UPDATE product_nominees SET status = 'replaced', replaced_by = ?, replaced_at = CURRENT_TIMESTAMP
+                     WHERE product_type = ? AND product_id = ? AND status = 'active'`,
+                    [userId, productType, productId]
+                );
+
+                for (const nominee of prepared) {
+                    await main.run(
+                        `INSERT INTO product_nominees (
+                            product_type, product_id, customer_id, name, relationship, dob, phone, address, share_percent,
+                            guardian_name, guardian_relation, guardian_phone, guardian_address, added_by
+                        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                        [
+                            productType, productId, nominee.customer_id, nominee.name, nominee.relationship, nominee.dob,
+                            nominee.phone, nominee.address, nominee.share_percent, nominee.guardian_name,
+                            nominee.guardian_relation, nominee.guardian_phone, nominee.guardian_address, userId
+                        ]
+                    );
+                }
+            }, { product_type: productType, product_id: productId, nominees: nominees.length });
+
+            return await this.findByProduct(productType, productId);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Active nominees of each of the given products, by product id
+    static async findNomineesFor(productType, productIds) {
+        const nominees = new Map(productIds.map(id => [id, []]));
+        if (productIds.length === 0) {
+            return nominees;
+        }
+
+        const rows = await mainDb.all(
+            `SELECT product_id, customer_id, name, relationship, dob, share_percent, guardian_name, guardian_relation
+             FROM product_nominees
+             WHERE product_type = ? AND status = 'active' AND product_id IN (${productIds.map(() => '?').join(', ')})
+             ORDER BY id`,
+            [productType, ...productIds]
+        );
+        for (const row of rows) {
+            const { product_id, ...nominee } = row;
+            nominees.get(product_id).push(this.describe(nominee));
+        }
+        return nominees;
+    }
+}
+
+module.exports = Nominee;
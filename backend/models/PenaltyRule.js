@@ -0,0 +1,354 @@
+const mainDb = require('../config/db_main');
+const coordinator = require('../utils/transactionCoordinator');
+const money = require('../utils/money');
+
+/**
+ * Premature closure penalty rules for FDs and RDs.
+ *
+ * Rules come in versions per product, each in force from its effective date until the
+ * next version's. A version has a lock-in period (closing inside it earns no interest)
+ * and a table of rules by tenure bucket and elapsed-period bucket; the first rule whose
+ * buckets hold the deposit's tenure and the months it actually ran applies. A rule pays
+ * interest at the contracted rate or at the rate for the period actually run, less
+ * rate_reduction percentage points, and charges a flat fee.
+ *
+ * Versions already in force are kept as they are, since closures were paid on them;
+ * a policy change is a new version with a future (or today's) effective date.
+ *
+ * A product in the catalogue can carry its own lock-in and rules instead; deposits
+ * opened on it are closed on the copy kept in their product terms.
+ */
+class PenaltyRule {
+    static get PRODUCT_TYPES() {
+        return ['fd', 'rd'];
+    }
+
+    static get RATE_BASES() {
+        return ['contracted', 'period_run'];
+    }
+
+    static today() {
+        return new Date().toISOString().split('T')[0];
+    }
+
+    static async findAll(filters = {}) {
+        try {
+            let query = `
+                SELECT v.*, u.name as created_by_name
+                FROM penalty_rule_versions v
+                LEFT JOIN users u ON v.created_by = u.id
+                WHERE 1=1
+            `;
+            const params = [];
+
+            if (filters.product_type) {
+                query += ' AND v.product_type = ?';
+                params.push(filters.product_type);
+            }
+
+            query += ' ORDER BY v.product_type, v.effective_from DESC';
+
+            const versions = await mainDb.all(query, params);
+            const today = this.today();
+
+            for (const version of versions) {
+                version.rules = await this.getRules(version.id);
+            }
+
+            // The latest version per product that has taken effect is the one in force
+            const current = {};
+            for (const version of versions) {
+                if (version.effective_from <= today && !current[version.product_type]) {
+                    current[version.product_type] = version.id;
+                }
+            }
+
+            return {
+                success: true,
+                versions: versions.map(version => ({
+                    ...version,
+                    is_current: current[version.product_type] === version.id,
+                    is_editable: version.effective_from > today
+                }))
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    static async findById(id) {
+        try {
+            const version = await mainDb.get('SELECT * FROM penalty_rule_versions WHERE id = ?', [id]);
+            if (!version) {
+                return { success: false, error: 'Penalty rule version not found' };
+            }
+
+            version.rules = await this.getRules(id);
+            version.is_editable = version.effective_from > this.today();
+
+            return { success: true, version };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Rules of a version in the order they are matched, fees in rupees
+    static async getRules(versionId) {
+        const rules = await mainDb.all('SELECT * FROM penalty_rules WHERE version_id = ? ORDER BY id', [versionId]);
+        return money.rowsToRupees(rules, ['flat_fee']);
+    }
+
+    // The version in force for a product on a date
+    static async getEffectiveVersion(productType, date = this.today()) {
+        const version = await mainDb.get(
+            `SELECT * FROM penalty_rule_versions
+             WHERE product_type = ? AND effective_from <= ?
+             ORDER BY effective_from DESC LIMIT 1`,
+            [productType, date]
+        );
+
+        if (!version) {
+            throw new Error(`No ${productType.toUpperCase()} penalty rules are in force on ${date}`);
+        }
+
+        version.rules = await mainDb.all('SELECT * FROM penalty_rules WHERE version_id = ? ORDER BY id', [version.id]);
+        return version;
+    }
+
+    // First rule whose buckets hold the tenure and elapsed months (fee in paise), or null
+    static matchRule(version, tenureMonths, elapsedMonths) {
+        const within = (value, from, to) => value >= from && (to === null || value < to);
+
+        return version.rules.find(rule =>
+            within(tenureMonths, rule.tenure_from_months, rule.tenure_to_months)
+            && within(elapsedMonths, rule.elapsed_from_months, rule.elapsed_to_months)
+        ) || null;
+    }
+
+    // Whole months from start to end, and the days left over after the last whole month
+    static elapsedPeriod(startDate, endDate) {
+        const start = new Date(startDate);
+        const end = new Date(endDate);
+
+        let months = (end.getUTCFullYear() - start.getUTCFullYear()) * 12 + (end.getUTCMonth() - start.getUTCMonth());
+        if (end.getUTCDate() < start.getUTCDate()) {
+            months--;
+        }
+        months = Math.max(0, months);
+
+        const lastMonthEnd = new Date(start);
+        lastMonthEnd.setUTCMonth(lastMonthEnd.getUTCMonth() + months);
+        const days = Math.max(0, Math.round((end - lastMonthEnd) / (1000 * 60 * 60 * 24)));
+
+        return { months, days };
+    }
+
+    // The penalty terms for a deposit of the given tenure closed on closeDate: the version
+    // in force that day, or the rules of the deposit's product (productRules, from its
+    // product terms) when it has its own, the matching rule (if any) and whether the
+    // lock-in applies
+    static async resolve(productType, tenureMonths, startDate, closeDate, productRules = null) {
+        const version = productRules
+            ? { id: null, effective_from: null, lock_in_months: productRules.lock_in_months, rules: productRules.rules }
+            : await this.getEffectiveVersion(productType, closeDate);
+        const elapsed = this.elapsedPeriod(startDate, closeDate);
+        const rule = this.matchRule(version, tenureMonths, elapsed.months);
+
+        return {
+            rules_source: productRules ? 'product' : 'institute',
+            version_id: version.id,
+            effective_from: version.effective_from,
+            lock_in_months: version.lock_in_months,
+            within_lock_in: elapsed.months < version.lock_in_months,
+            rule_id: rule ? rule.id : null,
+            rate_basis: rule ? rule.rate_basis : 'contracted',
+            rate_reduction: rule ? rule.rate_reduction : 0,
+            flat_fee: rule ? rule.flat_fee : 0,
+            months_run: elapsed.months,
+            days_run: elapsed.days
+        };
+    }
+
+    static async create(versionData, createdBy) {
+        try {
+            const data = this.validate(versionData);
+
+            if (data.effective_from < this.today()) {
+                throw new Error('Effective date cannot be in the past');
+            }
+
+            const existing = await mainDb.get(
+                'SELECT id FROM penalty_rule_versions WHERE product_type = ? AND effective_from = ?',
+                [data.product_type, data.effective_from]
+            );
+            if (existing) {
+                throw new Error('A version with this effective date already exists');
+            }
+
+            // The connection is shared, so the version and its rules are written as one coordinated unit
+            const versionId = await coordinator.execute('penalty_rules_create', async ({ main }) => {
+                const inserted = await main.run(
+                    `INSERT INTO penalty_rule_versions (product_type, effective_from, lock_in_months, notes, created_by)
+                     VALUES (?, ?, ?, ?, ?)`,
+                    [data.product_type, data.effective_from, data.lock_in_months, data.notes, createdBy]
+                );
+                await this.insertRules(main, inserted.id, data.rules);
+                return inserted.id;
+            }, { product_type: data.product_type, effective_from: data.effective_from });
+
+            return await this.findById(versionId);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Only versions that have not taken effect can be changed
+    static async update(id, versionData) {
+        try {
+            const current = await mainDb.get('SELECT * FROM penalty_rule_versions WHERE id = ?', [id]);
+            if (!current) {
+                throw new Error('Penalty rule version not found');
+            }
+            if (current.effective_from <= this.today()) {
+                throw new Error('A version already in force cannot be changed; add a new version instead');
+            }
+
+            const data = this.validate({ ...versionData, product_type: current.product_type });
+
+            if (data.effective_from <= this.today()) {
+                throw new Error('Effective date must be after today to keep the version editable; add a new version to take effect today');
+            }
+
+            const clash = await mainDb.get(
+                'SELECT id FROM penalty_rule_versions WHERE product_type = ? AND effective_from = ? AND id != ?',
+                [current.product_type, data.effective_from, id]
+            );
+            if (clash) {
+                throw new Error('A version with this effective date already exists');
+            }
+
+            await coordinator.execute('penalty_rules_update', async ({ main }) => {
+                await main.run(
+                    `UPDATE penalty_rule_versions
+                     SET effective_from = ?, lock_in_months = ?, notes = ?, updated_at = CURRENT_TIMESTAMP
+                     WHERE id = ?`,
+                    [data.effective_from, data.lock_in_months, data.notes, id]
+                );
+                await main.run('DELETE FROM penalty_rules WHERE version_id = ?', [id]);
+                await this.insertRules(main, id, data.rules);
+            }, { version_id: id });
+
+            return await this.findById(id);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    static async delete(id) {
+        try {
+            const current = await mainDb.get('SELECT * FROM penalty_rule_versions WHERE id = ?', [id]);
+            if (!current) {
+                throw new Error('Penalty rule version not found');
+            }
+            if (current.effective_from <= this.today()) {
+                throw new Error('A version already in force cannot be deleted');
+            }
+
+            await coordinator.execute('penalty_rules_delete', async ({ main }) => {
+                await main.run('DELETE FROM penalty_rules WHERE version_id = ?', [id]);
+                await main.run('DELETE FROM penalty_rule_versions WHERE id = ?', [id]);
+            }, { version_id: id });
+
+            return { success: true, version: current };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    static async insertRules(db, versionId, rules) {
+        for (const rule of rules) {
+            await db.run(
+                `INSERT INTO penalty_rules (
+                    version_id, tenure_from_months, tenure_to_months, elapsed_from_months,
+                    elapsed_to_months, rate_basis, rate_reduction, flat_fee
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    versionId, rule.tenure_from_months, rule.tenure_to_months, rule.elapsed_from_months,
+                    rule.elapsed_to_months, rule.rate_basis, rule.rate_reduction, rule.flat_fee
+                ]
+            );
+        }
+    }
+
+    // Checks a version and its rules and normalises them (fees to paise)
+    static validate(versionData) {
+        const { product_type, effective_from, lock_in_months = 0, notes = null, rules } = versionData;
+
+        if (!this.PRODUCT_TYPES.includes(product_type)) {
+            throw new Error(`Product type must be one of: ${this.PRODUCT_TYPES.join(', ')}`);
+        }
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(effective_from || '') || isNaN(new Date(effective_from))) {
+            throw new Error('Effective date must be a date (YYYY-MM-DD)');
+        }
+
+        const lockIn = parseInt(lock_in_months);
+        if (isNaN(lockIn) || lockIn < 0) {
+            throw new Error('Lock-in period must be zero or more months');
+        }
+
+        return {
+            product_type,
+            effective_from,
+            lock_in_months: lockIn,
+            notes: notes || null,
+            rules: this.normaliseRules(rules)
+        };
+    }
+
+    // Checks a table of rules and normalises them (fees to paise); a product's own
+    // premature closure rules go through here too
+    static normaliseRules(rules) {
+        if (!Array.isArray(rules) || rules.length === 0) {
+            throw new Error('At least one penalty rule is required');
+        }
+
+        const optionalMonths = (value) => (value === null || value === undefined || value === '' ? null : parseInt(value));
+
+        return rules.map((rule, index) => {
+            const label = `Rule ${index + 1}`;
+            const normalisedRule = {
+                tenure_from_months: parseInt(rule.tenure_from_months) || 0,
+                tenure_to_months: optionalMonths(rule.tenure_to_months),
+                elapsed_from_months: parseInt(rule.elapsed_from_months) || 0,
+                elapsed_to_months: optionalMonths(rule.elapsed_to_months),
+                rate_basis: rule.rate_basis || 'contracted',
+                rate_reduction: parseFloat(rule.rate_reduction) || 0,
+                flat_fee: parseFloat(rule.flat_fee) || 0
+            };
+
+            for (const [from, to, name] of [
+                ['tenure_from_months', 'tenure_to_months', 'tenure'],
+                ['elapsed_from_months', 'elapsed_to_months', 'elapsed period']
+            ]) {
+                if (normalisedRule[from] < 0 || (normalisedRule[to] !== null && (isNaN(normalisedRule[to]) || normalisedRule[to] <= normalisedRule[from]))) {
+                    throw new Error(`${label}: ${name} bucket must end after it starts`);
+                }
+            }
+
+            if (!this.RATE_BASES.includes(normalisedRule.rate_basis)) {
+                throw new Error(`${label}: rate basis must be one of: ${this.RATE_BASES.join(', ')}`);
+            }
+            if (normalisedRule.rate_reduction < 0 || normalisedRule.rate_reduction > 100) {
+                throw new Error(`${label}: rate reduction must be between 0 and 100`);
+            }
+            if (normalisedRule.flat_fee < 0) {
+                throw new Error(`${label}: flat fee cannot be negative`);
+            }
+
+            normalisedRule.flat_fee = money.toPaise(normalisedRule.flat_fee);
+            return normalisedRule;
+        });
+    }
+}
+
+module.exports = PenaltyRule;
@@ -0,0 +1,468 @@
+const mainDb = require('../config/db_main');
+const PenaltyRule = require('./PenaltyRule');
+const RateCard = require('./RateCard');
+const coordinator = require('../utils/transactionCoordinator');
+const amortization = require('../utils/amortization');
+const money = require('../utils/money');
+
+/**
+ * Product catalogue: the account, FD, RD and loan schemes the institute offers, such
+ * as "Senior Citizen FD 2Y" or "Gold Loan".
+ *
+ * A product sets how often interest compounds, the amounts and tenures it accepts (the
+ * opening deposit for an account, the monthly installment for an RD), who is eligible
+ * by age, and for FDs and RDs optionally its own premature closure lock-in and rules
+ * in place of the institute's (see PenaltyRule). Its rates are kept on dated rate
+ * cards with amount slabs (see RateCard), and a rate change takes effect only once
+ * approved. Every contract is opened on a product and keeps a copy of its terms and
+ * the rate it got (product_terms), so changing or retiring a product only affects
+ * contracts opened afterwards.
+ */
+class Product {
+    static get PRODUCT_TYPES() {
+        return ['account', 'fd', 'rd', 'loan'];
+    }
+
+    // account_type of the accounts and loan_type of the loans a product opens
+    static get CATEGORIES() {
+        return {
+            account: ['savings', 'current', 'salary'],
+            loan: ['personal', 'home', 'vehicle', 'business', 'education', 'gold']
+        };
+    }
+
+    static get COMPOUNDING() {
+        return Object.keys(amortization.COMPOUNDING_PERIODS);
+    }
+
+    static get MONEY_FIELDS() {
+        return ['min_amount', 'max_amount'];
+    }
+
+    // Amounts in rupees and the penalty rules parsed, for a product or a contract's copy of one
+    static toRupees(product) {
+        const result = money.rowToRupees(product, this.MONEY_FIELDS);
+
+        const penalty = typeof result.penalty_rules === 'string' ? JSON.parse(result.penalty_rules) : result.penalty_rules;
+        result.penalty_rules = penalty
+            ? { ...penalty, rules: money.rowsToRupees(penalty.rules, ['flat_fee']) }
+            : null;
+
+        return result;
+    }
+
+    // A contract row with its product terms parsed into rupees
+    static withTerms(row) {
+        if (!row || !row.product_terms) {
+            return row;
+        }
+        return { ...row, product_terms: this.toRupees(JSON.parse(row.product_terms)) };
+    }
+
+    // The product terms kept in a contract row (amounts in paise), or null for contracts
+    // opened before the catalogue
+    static parseTerms(row) {
+        return row && row.product_terms ? JSON.parse(row.product_terms) : null;
+    }
+
+    // Products with the rates in force today: interest_rate is the first slab's, with every
+    // slab in rate_slabs (amounts in paise)
+    static async withCurrentRates(products) {
+        const cards = await RateCard.currentCards(products.map(product => product.id));
+        return products.map(product => {
+            const card = cards[product.id];
+            return {
+                ...product,
+                interest_rate: card ? card.slabs[0].interest_rate : null,
+                rate_slabs: card ? RateCard.slabsToRupees(card.slabs) : [],
+                rate_effective_from: card ? card.effective_from : null
+            };
+        });
+    }
+
+    static async findAll(filters = {}) {
+        try {
+            let query = `
+                SELECT p.*, u.name as created_by_name
+                FROM products p
+                LEFT JOIN users u ON p.created_by = u.id
+                WHERE 1=1
+            `;
+            const params = [];
+
+            if (filters.product_type) {
+                query += ' AND p.product_type = ?';
+                params.push(filters.product_type);
+            }
+
+            if (filters.is_active !== undefined) {
+                query += ' AND p.is_active = ?';
+                params.push(filters.is_active ? 1 : 0);
+            }
+
+            query += ' ORDER BY p.product_type, p.is_active DESC, p.name';
+
+            const products = await this.withCurrentRates(await mainDb.all(query, params));
+            return { success: true, products: products.map(product => this.toRupees(product)) };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    static async findById(id) {
+        try {
+            const product = await mainDb.get('SELECT * FROM products WHERE id = ?', [id]);
+            if (!product) {
+                return { success: false, error: 'Product not found' };
+            }
+
+            const [withRates] = await this.withCurrentRates([product]);
+            return { success: true, product: this.toRupees(withRates) };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // A new product with its opening rates: rate_slabs, or a single interest_rate
+    static async create(productData, createdBy) {
+        try {
+            const data = this.validate(productData);
+            const slabs = RateCard.validateSlabs(
+                productData.rate_slabs || [{ amount_from: 0, interest_rate: productData.interest_rate }],
+                data.product_type
+            );
+
+            const existing = await mainDb.get('SELECT id FROM products WHERE code = ?', [data.code]);
+            if (existing) {
+                throw new Error(`Product code ${data.code} is already in use`);
+            }
+
+            // The connection is shared, so the product and its opening rates are written as one coordinated unit
+            const productId = await coordinator.execute('product_create', async ({ main }) => {
+                const result = await main.run(
+                    `INSERT INTO products (
+                        code, name, product_type, category, description, compounding,
+                        min_amount, max_amount, min_tenure_months, max_tenure_months, penalty_rules,
+                        min_age, max_age, created_by, created_at, updated_at
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+                    [
+                        data.code, data.name, data.product_type, data.category, data.description,
+                        data.compounding, data.min_amount, data.max_amount, data.min_tenure_months, data.max_tenure_months,
+                        data.penalty_rules ? JSON.stringify(data.penalty_rules) : null,
+                        data.min_age, data.max_age, createdBy
+                    ]
+                );
+                await RateCard.createOpening(main, result.id, slabs, createdBy);
+                return result.id;
+            }, { code: data.code });
+
+            return await this.findById(productId);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Changes the terms new contracts are opened on; contracts already opened keep theirs.
+    // The product type cannot change, and rates change only through an approved rate card.
+    static async update(id, productData) {
+        try {
+            const current = await mainDb.get('SELECT * FROM products WHERE id = ?', [id]);
+            if (!current) {
+                throw new Error('Product not found');
+            }
+
+            if (productData.interest_rate !== undefined || productData.rate_slabs !== undefined) {
+                throw new Error('Rates are changed by requesting a rate change for approval');
+            }
+
+            const data = this.validate({ ...productData, product_type: current.product_type });
+
+            const clash = await mainDb.get('SELECT id FROM products WHERE code = ? AND id != ?', [data.code, id]);
+            if (clash) {
+                throw new Error(`Product code ${data.code} is already in use`);
+            }
+
+            await mainDb.run(
+                `UPDATE products SET
+                    code = ?, name = ?, category = ?, description = ?, compounding = ?,
+                    min_amount = ?, max_amount = ?, min_tenure_months = ?, max_tenure_months = ?,
+                    penalty_rules = ?, min_age = ?, max_age = ?, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = ?`,
+                [
+                    data.code, data.name, data.category, data.description, data.compounding,
+                    data.min_amount, data.max_amount, data.min_tenure_months, data.max_tenure_months,
+                    data.penalty_rules ? JSON.stringify(data.penalty_rules) : null,
+                    data.min_age, data.max_age, id
+                ]
+            );
+
+            return await this.findById(id);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Retires a product from new contracts, or offers it again
+    static async setActive(id, isActive) {
+        try {
+            const result = await mainDb.run(
+                'UPDATE products SET is_active = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [isActive ? 1 : 0, id]
+            );
+            if (result.changes === 0) {
+                throw new Error('Product not found');
+            }
+
+            return await this.findById(id);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Checks a product and normalises it (amounts to paise, penalty fees to paise)
+    static validate(productData) {
+        const {
+            code, name, product_type, category, description, compounding,
+            min_amount, max_amount, min_tenure_months, max_tenure_months, penalty_rules, min_age, max_age
+        } = productData;
+
+        const optional = (value, parse) => (value === null || value === undefined || value === '' ? null : parse(value));
+
+        const normalisedCode = String(code || '').trim().toUpperCase();
+        if (!/^[A-Z0-9][A-Z0-9-]{0,19}$/.test(normalisedCode)) {
+            throw new Error('Product code must be up to 20 letters, digits and dashes');
+        }
+        if (!name || !String(name).trim()) {
+            throw new Error('Product name is required');
+        }
+        if (!this.PRODUCT_TYPES.includes(product_type)) {
+            throw new Error(`Product type must be one of: ${this.PRODUCT_TYPES.join(', ')}`);
+        }
+
+        const categories = this.CATEGORIES[product_type];
+        if (categories && !categories.includes(category)) {
+            throw new Error(`${product_type === 'account' ? 'Account' : 'Loan'} type must be one of: ${categories.join(', ')}`);
+        }
+
+        // Accounts earn interest through the savings accrual; everything else compounds
+        const isTermProduct = product_type !== 'account';
+        if (isTermProduct && !this.COMPOUNDING.includes(compounding)) {
+            throw new Error(`Compounding must be one of: ${this.COMPOUNDING.join(', ')}`);
+        }
+
+        const minAmount = optional(min_amount, parseFloat) || 0;
+        const maxAmount = optional(max_amount, parseFloat);
+        if (minAmount < 0 || (maxAmount !== null && (isNaN(maxAmount) || maxAmount <= 0 || maxAmount < minAmount))) {
+            throw new Error('Amount limits must be positive, with the maximum no less than the minimum');
+        }
+
+        let minTenure = null;
+        let maxTenure = null;
+        if (isTermProduct) {
+            minTenure = optional(min_tenure_months, Number) || 1;
+            maxTenure = optional(max_tenure_months, Number);
+            if (!Number.isInteger(minTenure) || minTenure < 1
+                || (maxTenure !== null && (!Number.isInteger(maxTenure) || maxTenure < minTenure))) {
+                throw new Error('Tenure limits must be whole months, with the maximum no less than the minimum');
+            }
+        }
+
+        // Premature closure rules are for deposits; none means the institute's rules
+        let penaltyRules = null;
+        if (penalty_rules) {
+            if (!['fd', 'rd'].includes(product_type)) {
+                throw new Error('Only FD and RD products can carry premature closure rules');
+            }
+
+            const lockIn = parseInt(penalty_rules.lock_in_months || 0);
+            if (isNaN(lockIn) || lockIn < 0) {
+                throw new Error('Lock-in period must be zero or more months');
+            }
+            penaltyRules = { lock_in_months: lockIn, rules: PenaltyRule.normaliseRules(penalty_rules.rules) };
+        }
+
+        const minAge = optional(min_age, Number);
+        const maxAge = optional(max_age, Number);
+        for (const age of [minAge, maxAge]) {
+            if (age !== null && (!Number.isInteger(age) || age < 0 || age > 150)) {
+                throw new Error('Age limits must be whole years');
+            }
+        }
+        if (minAge !== null && maxAge !== null && maxAge < minAge) {
+            throw new Error('Maximum age cannot be below the minimum age');
+        }
+
+        return {
+            code: normalisedCode,
+            name: String(name).trim(),
+            product_type,
+            category: categories ? category : null,
+            description: description || null,
+            compounding: isTermProduct ? compounding : null,
+            min_amount: money.toPaise(minAmount),
+            max_amount: maxAmount !== null ? money.toPaise(maxAmount) : null,
+            min_tenure_months: minTenure,
+            max_tenure_months: maxTenure,
+            penalty_rules: penaltyRules,
+            min_age: minAge,
+            max_age: maxAge
+        };
+    }
+
+    // Whole years from dob to today
+    static ageOn(dob, date = new Date()) {
+        const birth = new Date(dob);
+        let age = date.getFullYear() - birth.getFullYear();
+        if (date.getMonth() < birth.getMonth() || (date.getMonth() === birth.getMonth() && date.getDate() < birth.getDate())) {
+            age--;
+        }
+        return age;
+    }
+
+    // Checks an amount (paise) and tenure against a product or a contract's copy of its terms
+    static checkLimits(terms, amount, tenureMonths = null) {
+        const label = terms.product_type === 'rd' ? 'Monthly amount' : terms.product_type === 'account' ? 'Opening deposit' : 'Amount';
+
+        if (amount < terms.min_amount) {
+            throw new Error(`${label} for ${terms.name} must be at least ₹${money.toRupees(terms.min_amount)}`);
+        }
+        if (terms.max_amount !== null && amount > terms.max_amount) {
+            throw new Error(`${label} for ${terms.name} cannot exceed ₹${money.toRupees(terms.max_amount)}`);
+        }
+
+        if (tenureMonths !== null && terms.min_tenure_months !== null) {
+            if (tenureMonths < terms.min_tenure_months
+                || (terms.max_tenure_months !== null && tenureMonths > terms.max_tenure_months)) {
+                throw new Error(`${terms.name} is for tenures of ${terms.min_tenure_months}${terms.max_tenure_months !== null ? ` to ${terms.max_tenure_months}` : ' or more'} months`);
+            }
+        }
+    }
+
+    // The active product of productType a contract is opened on, checked against the
+    // customer's age, the amount (paise) and tenure and priced at its rate for the amount
+    // on the opening date, with the copy of its terms the contract keeps
+    static async selectForContract(productId, productType, { customerId, amount, tenureMonths = null, date = RateCard.today() }) {
+        if (!productId) {
+            throw new Error('A product is required');
+        }
+
+        const product = await mainDb.get('SELECT * FROM products WHERE id = ?', [productId]);
+        if (!product || product.product_type !== productType) {
+            throw new Error('Product not found');
+        }
+        if (!product.is_active) {
+            throw new Error(`${product.name} is no longer offered`);
+        }
+
+        if (product.min_age !== null || product.max_age !== null) {
+            const customer = await mainDb.get('SELECT dob FROM customers WHERE id = ?', [customerId]);
+            if (!customer || !customer.dob) {
+                throw new Error(`${product.name} has an age limit; record the customer's date of birth first`);
+            }
+
+            const age = this.ageOn(customer.dob);
+            if ((product.min_age !== null && age < product.min_age) || (product.max_age !== null && age > product.max_age)) {
+                throw new Error(`${product.name} is for customers aged ${product.min_age ?? 0}${product.max_age !== null ? ` to ${product.max_age}` : ' and over'}; the customer is ${age}`);
+            }
+        }
+
+        this.checkLimits(product, amount, tenureMonths);
+
+        const priced = await this.priceOn(product, date, amount);
+        return { product: priced, termsJson: this.snapshot(priced) };
+    }
+
+    // A product row with the rate of its slab for an amount (paise) on a date, and the card
+    // it came from
+    static async priceOn(product, date, amount) {
+        const card = await RateCard.cardOn(product.id, date);
+        return { ...product, interest_rate: RateCard.slabRate(card, amount), rate_card_id: card.id };
+    }
+
+    // The copy of a product's terms a contract keeps, as JSON (amounts in paise)
+    static snapshot(product) {
+        return JSON.stringify({
+            product_id: product.id,
+            code: product.code,
+            name: product.name,
+            product_type: product.product_type,
+            category: product.category,
+            interest_rate: product.interest_rate,
+            rate_card_id: product.rate_card_id,
+            compounding: product.compounding,
+            min_amount: product.min_amount,
+            max_amount: product.max_amount,
+            min_tenure_months: product.min_tenure_months,
+            max_tenure_months: product.max_tenure_months,
+            penalty_rules: product.penalty_rules ? JSON.parse(product.penalty_rules) : null,
+            min_age: product.min_age,
+            max_age: product.max_age,
+            taken_at: new Date().toISOString()
+        });
+    }
+
+    // The rate the products of productType open to everyone paid on a date for an amount
+    // (paise) and a tenure of the given months, the lowest where several did; the basis for
+    // interest on the period a deposit actually ran, taken on its start date. Null when
+    // none covers it.
+    static async cardRate(productType, tenureMonths, date, amount) {
+        const products = await mainDb.all(
+            `SELECT id FROM products
+             WHERE product_type = ? AND is_active = 1 AND min_age IS NULL AND max_age IS NULL
+               AND min_tenure_months <= ? AND (max_tenure_months IS NULL OR max_tenure_months >= ?)`,
+            [productType, tenureMonths, tenureMonths]
+        );
+
+        let lowest = null;
+        for (const product of products) {
+            const card = RateCard.pick(await RateCard.getHistory(product.id), date);
+            if (card) {
+                const rate = RateCard.slabRate(card, amount);
+                lowest = lowest === null ? rate : Math.min(lowest, rate);
+            }
+        }
+        return lowest;
+    }
+
+    // The product a maturing FD renews on, at its terms on the maturity date: its own if
+    // still offered, otherwise the FD product open to everyone with the lowest rate for its
+    // tenure and principal. The depositor already holds the money with the institute, so
+    // limits are not checked. The caller prices it (priceOn) for the amount renewed.
+    static async findRenewalProduct(fd) {
+        if (fd.product_id) {
+            const own = await mainDb.get('SELECT * FROM products WHERE id = ? AND is_active = 1', [fd.product_id]);
+            if (own) {
+                return own;
+            }
+        }
+
+        const candidates = await mainDb.all(
+            `SELECT * FROM products
+             WHERE product_type = 'fd' AND is_active = 1 AND min_age IS NULL AND max_age IS NULL
+               AND min_tenure_months <= ? AND (max_tenure_months IS NULL OR max_tenure_months >= ?)
+             ORDER BY id`,
+            [fd.tenure_months, fd.tenure_months]
+        );
+
+        let fallback = null;
+        let fallbackRate = null;
+        for (const candidate of candidates) {
+            const card = RateCard.pick(await RateCard.getHistory(candidate.id), fd.maturity_date);
+            if (!card) {
+                continue;
+            }
+            const rate = RateCard.slabRate(card, fd.principal_amount);
+            if (fallback === null || rate < fallbackRate) {
+                fallback = candidate;
+                fallbackRate = rate;
+            }
+        }
+        if (!fallback) {
+            throw new Error(`No FD product on offer covers a ${fd.tenure_months}-month renewal`);
+        }
+
+        return fallback;
+    }
+}
+
+module.exports = Product;
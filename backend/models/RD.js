@@ -1,71 +1,149 @@
 const mainDb = require('../config/db_main');
 const txnDb = require('../config/db_txn');
-
+const GeneralLedger = require('./GeneralLedger');
+const Account = require('./Account');
+const PenaltyRule = require('./PenaltyRule');
+const Product = require('./Product');
+const coordinator = require('../utils/transactionCoordinator');
+const amortization = require('../utils/amortization');
+const money = require('../utils/money');
+const settingsStore = require('../utils/settingsStore');
+
+/**
+ * Recurring deposits.
+ *
+ * Installment n falls due n - 1 months after the start date. A payment settles the
+ * oldest unpaid installments first, each with a late fee of Settings →
+ * deposits.rdLateFeePercent of the installment for every month (or part) it is paid
+ * after its due date. An amount short of a whole installment is refused, or held
+ * towards the next one when Settings → deposits.rdPartialPayments is carry_forward.
+ * The RD's position (installments paid and overdue, amount carried forward, maturity
+ * amount) is worked out again from its completed payments after each payment, reversal
+ * and daily maturity run (see buildCalendar). An RD with Settings →
+ * deposits.rdDefaultAfterMissed installments overdue is defaulted until they are paid.
+ */
 class RD {
+    static get MONEY_FIELDS() {
+        return ['monthly_amount', 'maturity_amount', 'total_paid', 'carry_forward_amount', 'late_fees_paid'];
+    }
+
+    // Statuses in which the calendar decides whether the RD is active, defaulted or completed
+    static get OPEN_STATUSES() {
+        return ['active', 'defaulted', 'completed'];
+    }
+
+    static get PARTIAL_PAYMENT_MODES() {
+        return ['reject', 'carry_forward'];
+    }
+
+    static isValidLateFeePercent(percent) {
+        return typeof percent === 'number' && percent >= 0 && percent <= 100;
+    }
+
+    static isValidDefaultAfterMissed(count) {
+        return Number.isInteger(count) && count >= 1;
+    }
+
+    static async getConfig() {
+        const settings = await settingsStore.read();
+        const { rdLateFeePercent, rdPartialPayments, rdDefaultAfterMissed } = settings.deposits;
+
+        if (!this.isValidLateFeePercent(rdLateFeePercent)) {
+            throw new Error(`Invalid RD late fee: ${rdLateFeePercent}%`);
+        }
+        if (!this.PARTIAL_PAYMENT_MODES.includes(rdPartialPayments)) {
+            throw new Error(`Invalid RD partial payment mode: ${rdPartialPayments}`);
+        }
+        if (!this.isValidDefaultAfterMissed(rdDefaultAfterMissed)) {
+            throw new Error(`Invalid RD default threshold: ${rdDefaultAfterMissed}`);
+        }
+
+        return { rdLateFeePercent, rdPartialPayments, rdDefaultAfterMissed };
+    }
+
+    static today() {
+        return new Date().toISOString().split('T')[0];
+    }
+
     static async create(rdData, createdBy) {
         try {
             const {
                 customer_id,
+                product_id,
                 monthly_amount,
-                interest_rate,
                 tenure_months
             } = rdData;
 
             // Validate required fields
-            if (!customer_id || !monthly_amount || !interest_rate || !tenure_months) {
-                throw new Error('Customer ID, monthly amount, interest rate, and tenure are required');
+            if (!customer_id || !product_id || !monthly_amount || !tenure_months) {
+                throw new Error('Customer ID, product, monthly amount, and tenure are required');
             }
 
             // Validate customer exists
-            const customer = await mainDb.get('SELECT id FROM customers WHERE id = ? AND is_active = 1', [customer_id]);
+            const customer = await mainDb.get('SELECT id FROM customers WHERE id = ? AND is_active = 1 AND date_of_death IS NULL', [customer_id]);
             if (!customer) {
-                throw new Error('Customer not found or inactive');
+                throw new Error('Customer not found, inactive or deceased');
             }
 
-            // Validate amounts and rates
+            // Validate amounts and tenure
             if (monthly_amount <= 0) {
                 throw new Error('Monthly amount must be positive');
             }
-            if (interest_rate <= 0) {
-                throw new Error('Interest rate must be positive');
-            }
-            if (tenure_months <= 0) {
-                throw new Error('Tenure must be positive');
+            if (!Number.isInteger(Number(tenure_months)) || tenure_months <= 0) {
+                throw new Error('Tenure must be a positive number of months');
             }
 
+            // Work in paise from here on
+            const monthlyAmount = money.toPaise(monthly_amount);
+            const tenureMonths = parseInt(tenure_months);
+
+            // The product sets the rate and compounding, and the limits the RD must be within
+            const { product, termsJson } = await Product.selectForContract(product_id, 'rd', {
+                customerId: customer_id,
+                amount: monthlyAmount,
+                tenureMonths
+            });
+            const interest_rate = product.interest_rate;
+            const compounding = product.compounding;
+
             // Generate unique RD number
             const rd_number = await this.generateRDNumber();
 
             // Calculate maturity details
             const start_date = new Date();
             const maturity_date = new Date(start_date);
-            maturity_date.setMonth(maturity_date.getMonth() + tenure_months);
+            maturity_date.setMonth(maturity_date.getMonth() + tenureMonths);
 
             // Calculate maturity amount for RD
-            const maturity_amount = this.calculateRDMaturityAmount(monthly_amount, interest_rate, tenure_months);
+            const maturity_amount = this.calculateRDMaturityAmount(monthlyAmount, interest_rate, tenureMonths, compounding);
+
+            const result = await coordinator.execute('rd_open', async ({ main, txn }) => {
+                // Insert RD
+                const inserted = await main.run(
+                    `INSERT INTO recurring_deposits (
+                        rd_number, customer_id, monthly_amount, interest_rate, compounding, tenure_months,
+                        maturity_amount, start_date, maturity_date, product_id, product_terms,
+                        created_by, created_at, updated_at
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+                    [
+                        rd_number, customer_id, monthlyAmount, interest_rate, compounding, tenureMonths,
+                        maturity_amount, start_date.toISOString().split('T')[0], 
+                        maturity_date.toISOString().split('T')[0], product.id, termsJson, createdBy
+                    ]
+                );
 
-            // Insert RD
-            const result = await mainDb.run(
-                `INSERT INTO recurring_deposits (
-                    rd_number, customer_id, monthly_amount, interest_rate, tenure_months,
-                    maturity_amount, start_date, maturity_date, created_by, created_at, updated_at
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
-                [
-                    rd_number, customer_id, monthly_amount, interest_rate, tenure_months,
-                    maturity_amount, start_date.toISOString().split('T')[0], 
-                    maturity_date.toISOString().split('T')[0], createdBy
-                ]
-            );
+                // Create RD transaction record
+                await this.createRDTransaction({
+                    rd_id: inserted.id,
+                    customer_id,
+                    transaction_type: 'rd_create',
+                    amount: 0,
+                    description: `RD created - ${rd_number}`,
+                    processed_by: createdBy
+                }, txn);
 
-            // Create RD transaction record
-            await this.createRDTransaction({
-                rd_id: result.id,
-                customer_id,
-                transaction_type: 'rd_create',
-                amount: 0,
-                description: `RD created - ${rd_number}`,
-                processed_by: createdBy
-            });
+                return inserted;
+            }, { rd_number, customer_id, monthly_amount: monthlyAmount });
 
             return {
                 success: true,
@@ -73,14 +151,17 @@ class RD {
                     id: result.id,
                     rd_number,
                     customer_id,
-                    monthly_amount,
+                    monthly_amount: money.toRupees(monthlyAmount),
                     interest_rate,
-                    tenure_months,
-                    maturity_amount,
+                    compounding,
+                    tenure_months: tenureMonths,
+                    maturity_amount: money.toRupees(maturity_amount),
                     start_date: start_date.toISOString().split('T')[0],
                     maturity_date: maturity_date.toISOString().split('T')[0],
                     total_paid: 0,
                     status: 'active',
+                    product_id: product.id,
+                    product_terms: Product.toRupees(JSON.parse(termsJson)),
                     created_by: createdBy
                 }
             };
@@ -104,15 +185,35 @@ class RD {
         return rdNumber;
     }
 
-    static calculateRDMaturityAmount(monthlyAmount, rate, months) {
+    static calculateRDMaturityAmount(monthlyAmount, rate, months, compounding = 'monthly') {
         // RD maturity calculation: M = P * [((1 + r)^n - 1) / r] * (1 + r)
-        // Where P = monthly amount, r = monthly interest rate, n = number of months
-        const monthlyRate = rate / 100 / 12;
+        // Where P = monthly amount, r = monthly interest rate for the compounding
+        // frequency, n = number of months
+        // Monthly amount and result are in paise
+        const monthlyRate = amortization.monthlyRate(rate, compounding);
+        if (monthlyRate === 0) {
+            return monthlyAmount * months;
+        }
         const maturityAmount = monthlyAmount * (((Math.pow(1 + monthlyRate, months) - 1) / monthlyRate) * (1 + monthlyRate));
-        return Math.round(maturityAmount * 100) / 100; // Round to 2 decimal places
+        return money.round(maturityAmount);
     }
 
     static async findById(id) {
+        const result = await this.findRecordById(id);
+        if (!result.success) {
+            return result;
+        }
+
+        const rd = Product.withTerms(money.rowToRupees(result.rd, this.MONEY_FIELDS));
+        if (rd.closure_breakdown) {
+            rd.closure_breakdown = money.rowToRupees(JSON.parse(rd.closure_breakdown), this.QUOTE_MONEY_FIELDS);
+        }
+
+        return { success: true, rd };
+    }
+
+    // Same as findById with amounts left in paise, for money movement
+    static async findRecordById(id) {
         try {
             const rd = await mainDb.get(`
                 SELECT rd.*, c.name as customer_name, c.phone as customer_phone, u.name as created_by_name
@@ -146,7 +247,7 @@ class RD {
                 return { success: false, error: 'Recurring deposit not found' };
             }
 
-            return { success: true, rd };
+            return { success: true, rd: Product.withTerms(money.rowToRupees(rd, this.MONEY_FIELDS)) };
         } catch (error) {
             return { success: false, error: error.message };
         }
@@ -205,167 +306,568 @@ class RD {
 
             const rds = await mainDb.all(query, params);
 
-            return { success: true, rds };
+            return { success: true, rds: money.rowsToRupees(rds, this.MONEY_FIELDS).map(rd => Product.withTerms(rd)) };
         } catch (error) {
             return { success: false, error: error.message };
         }
     }
 
-    static async payInstallment(id, amount, processedBy, installmentNumber = null) {
-        try {
-            // Get RD details
-            const rdResult = await this.findById(id);
-            if (!rdResult.success) {
-                return rdResult;
+    // Months (or part) from dueDate to paidDate, both YYYY-MM-DD
+    static monthsLate(dueDate, paidDate) {
+        let months = 0;
+        while (amortization.addMonths(dueDate, months) < paidDate) {
+            months++;
+        }
+        return months;
+    }
+
+    static lateFee(monthlyAmount, monthsLate, config) {
+        return money.round(monthlyAmount * config.rdLateFeePercent / 100 * monthsLate);
+    }
+
+    // The installment calendar as of asOf from the RD's completed payments, oldest first
+    // (amounts in paise). Each payment's deposit, less the late fee it carried, settles
+    // whole installments in due-date order; what is left over is carried forward.
+    // Unpaid installments past their due date are overdue, with the late fee paying
+    // them on asOf would carry.
+    //
+    // The maturity amount compounds each installment monthly from the month it was
+    // paid in, so one paid late earns interest for the months it was actually held.
+    // Installments still to come are counted as paid on time and overdue ones as paid
+    // on asOf; once the maturity date has passed, only what was paid counts, and an
+    // amount still carried forward is repaid without interest.
+    static buildCalendar(rd, payments, asOf, config) {
+        const rows = [];
+        for (let number = 1; number <= rd.tenure_months; number++) {
+            rows.push({
+                installment_number: number,
+                due_date: amortization.addMonths(rd.start_date, number - 1),
+                amount: rd.monthly_amount,
+                status: 'pending',
+                paid_date: null,
+                months_late: 0,
+                late_fee: 0,
+                transaction_id: null
+            });
+        }
+
+        let credit = 0;
+        let totalPaid = 0;
+        let lateFeesPaid = 0;
+        let paidCount = 0;
+
+        for (const payment of payments) {
+            const paidDate = String(payment.transaction_date).split(/[ T]/)[0];
+            const deposit = payment.amount - (payment.late_fee_amount || 0);
+
+            totalPaid += deposit;
+            lateFeesPaid += payment.late_fee_amount || 0;
+            credit += deposit;
+
+            while (paidCount < rows.length && credit >= rd.monthly_amount) {
+                const row = rows[paidCount++];
+                credit -= rd.monthly_amount;
+                row.status = 'paid';
+                row.paid_date = paidDate;
+                row.months_late = this.monthsLate(row.due_date, paidDate);
+                row.late_fee = this.lateFee(rd.monthly_amount, row.months_late, config);
+                row.transaction_id = payment.transaction_id;
+            }
+        }
+
+        let missed = 0;
+        for (const row of rows.slice(paidCount)) {
+            if (row.due_date < asOf) {
+                row.status = 'overdue';
+                row.months_late = this.monthsLate(row.due_date, asOf);
+                row.late_fee = this.lateFee(rd.monthly_amount, row.months_late, config);
+                missed++;
+            }
+        }
+
+        const monthlyRate = amortization.monthlyRate(rd.interest_rate, rd.compounding);
+        const pastMaturity = asOf >= rd.maturity_date;
+        // Before maturity, what is carried forward is part of an installment still to come
+        let maturityAmount = pastMaturity ? credit : 0;
+
+        for (const row of rows) {
+            if (row.status !== 'paid' && pastMaturity) {
+                continue;
+            }
+            const heldFrom = row.installment_number - 1 + row.months_late;
+            maturityAmount += row.amount * Math.pow(1 + monthlyRate, Math.max(0, rd.tenure_months - heldFrom));
+        }
+
+        let status = rd.status;
+        if (this.OPEN_STATUSES.includes(rd.status)) {
+            if (paidCount === rd.tenure_months) {
+                status = 'completed';
+            } else if (missed >= config.rdDefaultAfterMissed) {
+                status = 'defaulted';
+            } else {
+                status = 'active';
+            }
+        }
+
+        return {
+            rows,
+            status,
+            total_paid: totalPaid,
+            paid_installments: paidCount,
+            missed_installments: missed,
+            carry_forward_amount: credit,
+            late_fees_paid: lateFeesPaid,
+            next_due_date: paidCount < rows.length ? rows[paidCount].due_date : null,
+            maturity_amount: money.round(maturityAmount)
+        };
+    }
+
+    // The RD's calendar from its completed payments, without saving anything
+    static async computeCalendar(id, { main, txn }, options = {}) {
+        const { asOf = this.today(), excludeTransactionId = null } = options;
+
+        const rd = await main.get('SELECT * FROM recurring_deposits WHERE id = ?', [id]);
+        if (!rd) {
+            throw new Error('Recurring deposit not found');
+        }
+
+        const payments = await txn.all(
+            `SELECT * FROM rd_transactions
+             WHERE rd_id = ? AND transaction_type = 'rd_installment' AND status = 'completed' AND id != ?
+             ORDER BY transaction_date, id`,
+            [id, excludeTransactionId || 0]
+        );
+
+        const config = await this.getConfig();
+
+        return { rd, config, ...this.buildCalendar(rd, payments, asOf, config) };
+    }
+
+    // Saves the calendar's position and status on the RD. Runs after every payment
+    // and reversal, inside that event's coordinator operation, and from the daily
+    // maturity run.
+    static async rebuildCalendar(id, { main, txn }, options = {}) {
+        const calendar = await this.computeCalendar(id, { main, txn }, options);
+
+        await main.run(
+            `UPDATE recurring_deposits SET
+                total_paid = ?, paid_installments = ?, missed_installments = ?, carry_forward_amount = ?,
+                late_fees_paid = ?, next_due_date = ?, maturity_amount = ?, status = ?,
+                defaulted_at = CASE WHEN ? = 'defaulted' THEN COALESCE(defaulted_at, CURRENT_TIMESTAMP) END,
+                updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [
+                calendar.total_paid, calendar.paid_installments, calendar.missed_installments,
+                calendar.carry_forward_amount, calendar.late_fees_paid, calendar.next_due_date,
+                calendar.maturity_amount, calendar.status, calendar.status, id
+            ]
+        );
+
+        return calendar;
+    }
+
+    // How a payment of amount (paise) is applied: the unpaid installments it settles
+    // in full with their late fees, and what it leaves to carry forward. Throws when
+    // the amount cannot be taken under the partial payment setting.
+    static allocatePayment(calendar, amount) {
+        const unpaid = calendar.rows.filter(row => row.status !== 'paid');
+        if (unpaid.length === 0) {
+            throw new Error('All installments of this RD are paid');
+        }
+
+        let remaining = amount;
+        let credit = calendar.carry_forward_amount;
+        let lateFee = 0;
+        const installments = [];
+
+        for (const row of unpaid) {
+            const cost = row.amount + row.late_fee - credit;
+            if (remaining < cost) {
+                break;
             }
+            remaining -= cost;
+            lateFee += row.late_fee;
+            credit = 0;
+            installments.push(row);
+        }
 
-            const rd = rdResult.rd;
+        if (remaining > 0) {
+            const next = unpaid[installments.length];
+            if (!next) {
+                throw new Error(`Only ₹${money.toRupees(amount - remaining)} is due on this RD`);
+            }
 
-            if (rd.status !== 'active') {
-                throw new Error('RD is not active');
+            const nextCost = next.amount + next.late_fee - credit;
+            const withFee = next.late_fee > 0 ? ` with its late fee of ₹${money.toRupees(next.late_fee)}` : '';
+            if (calendar.config.rdPartialPayments === 'reject') {
+                throw new Error(`Partial payments are not accepted; installment #${next.installment_number} comes to ₹${money.toRupees(nextCost)}${withFee}`);
+            }
+            // What is carried forward must stay short of the installment itself, or the
+            // installment would be settled without its late fee
+            if (remaining + credit >= next.amount) {
+                throw new Error(`Installment #${next.installment_number} comes to ₹${money.toRupees(nextCost)}${withFee}; pay that, or less than ₹${money.toRupees(next.amount - credit)} to carry forward`);
             }
+        }
+
+        return { installments, late_fee_amount: lateFee, carried_forward: remaining };
+    }
 
+    // funding ({ account_id, description }) debits a savings account instead of taking cash
+    static async payInstallment(id, amount, processedBy, funding = null) {
+        try {
             // Validate amount
             if (amount <= 0) {
                 throw new Error('Installment amount must be positive');
             }
 
-            // Calculate next installment number if not provided
-            if (!installmentNumber) {
-                const lastInstallment = await txnDb.get(
-                    'SELECT MAX(installment_number) as last_installment FROM rd_transactions WHERE rd_id = ? AND transaction_type = "rd_installment"',
-                    [id]
-                );
-                installmentNumber = (lastInstallment.last_installment || 0) + 1;
-            }
+            // Work in paise from here on
+            amount = money.toPaise(amount);
 
-            // Update total paid amount
-            const newTotalPaid = parseFloat(rd.total_paid) + amount;
+            return await coordinator.execute('rd_installment', async ({ main, txn }) => {
+                const calendar = await this.computeCalendar(id, { main, txn });
+                const { rd } = calendar;
 
-            await mainDb.run(
-                'UPDATE recurring_deposits SET total_paid = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-                [newTotalPaid, id]
-            );
+                if (!['active', 'defaulted'].includes(rd.status)) {
+                    throw new Error('RD is not active');
+                }
+                if (rd.frozen_claim_id) {
+                    throw new Error(`RD ${rd.rd_number} is frozen for the claim on its deceased holder`);
+                }
+                if (this.today() >= rd.maturity_date) {
+                    throw new Error('RD has reached its maturity date; no more installments can be paid');
+                }
 
-            // Create RD transaction record
-            const transaction = await this.createRDTransaction({
-                rd_id: id,
-                customer_id: rd.customer_id,
-                transaction_type: 'rd_installment',
-                amount,
-                installment_number: installmentNumber,
-                description: `RD installment #${installmentNumber} - ${rd.rd_number}`,
-                processed_by: processedBy
-            });
+                const allocation = this.allocatePayment(calendar, amount);
+                const numbers = allocation.installments.map(row => row.installment_number);
+                const lastNumber = numbers.length > 0 ? numbers[numbers.length - 1] : null;
+
+                let description;
+                if (numbers.length === 0) {
+                    description = `RD part payment carried forward - ${rd.rd_number}`;
+                } else if (numbers.length === 1) {
+                    description = `RD installment #${lastNumber} - ${rd.rd_number}`;
+                } else {
+                    description = `RD installments #${numbers[0]}-#${lastNumber} - ${rd.rd_number}`;
+                }
 
-            // Check if RD is fully paid
-            const expectedTotalAmount = rd.monthly_amount * rd.tenure_months;
-            if (newTotalPaid >= expectedTotalAmount) {
-                await mainDb.run(
-                    'UPDATE recurring_deposits SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-                    ['completed', id]
-                );
-            }
+                // Create RD transaction record
+                const transaction = await this.createRDTransaction({
+                    rd_id: id,
+                    customer_id: rd.customer_id,
+                    transaction_type: 'rd_installment',
+                    amount,
+                    late_fee_amount: allocation.late_fee_amount,
+                    installment_number: lastNumber,
+                    description,
+                    processed_by: processedBy
+                }, txn);
+
+                await GeneralLedger.postEntry({
+                    source_type: 'rd_installment',
+                    source_id: transaction.id,
+                    reference_number: transaction.transaction_id,
+                    customer_id: rd.customer_id,
+                    description,
+                    posted_by: processedBy,
+                    lines: [
+                        { account: funding ? GeneralLedger.ACCOUNTS.SAVINGS_DEPOSITS : GeneralLedger.ACCOUNTS.CASH, debit: amount },
+                        { account: GeneralLedger.ACCOUNTS.RD_LIABILITY, credit: amount - allocation.late_fee_amount },
+                        { account: GeneralLedger.ACCOUNTS.PENALTY_INCOME, credit: allocation.late_fee_amount }
+                    ]
+                }, txn);
+
+                let debit = null;
+                if (funding) {
+                    debit = await Account.transferWithProduct(
+                        funding.account_id,
+                        -amount,
+                        funding.description,
+                        { type: 'rd_installment', number: transaction.transaction_id, id: transaction.id },
+                        processedBy,
+                        { main, txn }
+                    );
+                }
 
-            return {
-                success: true,
-                transaction,
-                new_total_paid: newTotalPaid,
-                installment_number: installmentNumber,
-                remaining_amount: Math.max(0, expectedTotalAmount - newTotalPaid)
-            };
+                const updated = await this.rebuildCalendar(id, { main, txn });
+
+                return {
+                    success: true,
+                    transaction,
+                    debit_transaction: debit,
+                    installments_paid: numbers,
+                    installment_number: lastNumber,
+                    late_fee: money.toRupees(allocation.late_fee_amount),
+                    carry_forward_amount: money.toRupees(updated.carry_forward_amount),
+                    new_total_paid: money.toRupees(updated.total_paid),
+                    paid_installments: updated.paid_installments,
+                    remaining_amount: money.toRupees(Math.max(0, rd.monthly_amount * rd.tenure_months - updated.total_paid)),
+                    maturity_amount: money.toRupees(updated.maturity_amount),
+                    status: updated.status
+                };
+            }, { rd_id: id, amount });
         } catch (error) {
             return { success: false, error: error.message };
         }
     }
 
-    static async close(id, processedBy, isPremature = false) {
+    static get QUOTE_MONEY_FIELDS() {
+        return ['principal', 'interest', 'flat_fee', 'closure_amount'];
+    }
+
+    // What closing the RD on closureDate pays (amounts in paise), with the breakdown the
+    // admin confirms. Before maturity the premature closure rules in force that day apply
+    // to the installments paid; anything paid beyond whole installments earns no interest.
+    static async quoteClosure(rd, closureDate = new Date(), isPremature = false) {
+        const closeDate = new Date(closureDate).toISOString().split('T')[0];
+
+        // An RD past its maturity date is paid out at maturity, as is a fully paid one
+        const premature = rd.status !== 'matured'
+            && (isPremature || (closeDate < rd.maturity_date && rd.status !== 'completed'));
+
+        if (!premature) {
+            return {
+                is_premature: false,
+                closure_date: closeDate,
+                principal: rd.total_paid,
+                interest: rd.maturity_amount - rd.total_paid,
+                contracted_rate: rd.interest_rate,
+                applied_rate: rd.interest_rate,
+                flat_fee: 0,
+                closure_amount: rd.maturity_amount
+            };
+        }
+
+        const productTerms = Product.parseTerms(rd);
+        const terms = await PenaltyRule.resolve(
+            'rd', rd.tenure_months, rd.start_date, closeDate, productTerms ? productTerms.penalty_rules : null
+        );
+
+        // The period-run rate is what the catalogue offered for the months run on the day it opened
+        let baseRate = rd.interest_rate;
+        if (terms.rate_basis === 'period_run') {
+            const cardRate = await Product.cardRate('rd', terms.months_run, rd.start_date, rd.monthly_amount);
+            baseRate = Math.min(rd.interest_rate, cardRate ?? rd.interest_rate);
+        }
+        const appliedRate = terms.within_lock_in ? 0 : Math.max(0, baseRate - terms.rate_reduction);
+
+        const installmentsPaid = Math.floor(rd.total_paid / rd.monthly_amount);
+        const interest = this.calculateRDMaturityAmount(rd.monthly_amount, appliedRate, installmentsPaid, rd.compounding)
+            - installmentsPaid * rd.monthly_amount;
+
+        return {
+            is_premature: true,
+            closure_date: closeDate,
+            principal: rd.total_paid,
+            installments_paid: installmentsPaid,
+            contracted_rate: rd.interest_rate,
+            ...terms,
+            base_rate: baseRate,
+            applied_rate: appliedRate,
+            interest,
+            closure_amount: Math.max(0, rd.total_paid + interest - terms.flat_fee)
+        };
+    }
+
+    static async getClosureQuote(id, isPremature = false) {
         try {
-            // Get RD details
-            const rdResult = await this.findById(id);
+            const rdResult = await this.findRecordById(id);
             if (!rdResult.success) {
-                return rdResult;
+                throw new Error(rdResult.error);
             }
 
-            const rd = rdResult.rd;
-
-            if (rd.status !== 'active' && rd.status !== 'completed') {
+            let rd = rdResult.rd;
+            if (!['active', 'defaulted', 'completed', 'matured'].includes(rd.status)) {
                 throw new Error('RD is not active or completed');
             }
 
-            const currentDate = new Date();
-            const maturityDate = new Date(rd.maturity_date);
-            let closureAmount = rd.maturity_amount;
-            let description = `RD matured - ${rd.rd_number}`;
-
-            // Handle premature closure
-            if (isPremature || (currentDate < maturityDate && rd.status !== 'completed')) {
-                // Calculate premature closure amount based on actual payments
-                const monthsPaid = Math.floor(rd.total_paid / rd.monthly_amount);
-                
-                // Apply penalty - reduce interest rate by 1% for premature closure
-                const penaltyRate = Math.max(0, rd.interest_rate - 1);
-                closureAmount = this.calculateRDMaturityAmount(rd.monthly_amount, penaltyRate, monthsPaid);
-                
-                // Add any excess amount paid
-                const excessAmount = rd.total_paid - (monthsPaid * rd.monthly_amount);
-                closureAmount += excessAmount;
-                
-                description = `RD closed prematurely - ${rd.rd_number}`;
+            // Quoted on the position closing would save
+            if (this.OPEN_STATUSES.includes(rd.status)) {
+                const calendar = await this.computeCalendar(id, { main: mainDb, txn: txnDb });
+                rd = { ...rd, status: calendar.status, total_paid: calendar.total_paid, maturity_amount: calendar.maturity_amount };
             }
 
-            // Update RD status
-            await mainDb.run(
-                'UPDATE recurring_deposits SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-                ['closed', id]
-            );
+            const quote = await this.quoteClosure(rd, new Date(), isPremature);
+            return { success: true, rd_number: rd.rd_number, quote: money.rowToRupees(quote, this.QUOTE_MONEY_FIELDS) };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
 
-            // Create RD transaction record
-            const transaction = await this.createRDTransaction({
-                rd_id: id,
-                customer_id: rd.customer_id,
-                transaction_type: isPremature ? 'rd_premature_close' : 'rd_mature',
-                amount: closureAmount,
-                description,
-                processed_by: processedBy
-            });
+    // expectedAmount (rupees) is the quoted amount the admin confirmed; the closure is
+    // refused if the amount has changed since
+    static async close(id, processedBy, isPremature = false, expectedAmount = null) {
+        try {
+            return await coordinator.execute('rd_close', async ({ main, txn }) => {
+                // Get RD details
+                let rdResult = await this.findRecordById(id);
+                if (!rdResult.success) {
+                    throw new Error(rdResult.error);
+                }
 
-            return {
-                success: true,
-                transaction,
-                closure_amount: closureAmount,
-                is_premature: isPremature
-            };
+                if (!['active', 'defaulted', 'completed', 'matured'].includes(rdResult.rd.status)) {
+                    throw new Error('RD is not active or completed');
+                }
+
+                // Bring the maturity amount and status up to date before quoting
+                if (this.OPEN_STATUSES.includes(rdResult.rd.status)) {
+                    await this.rebuildCalendar(id, { main, txn });
+                    rdResult = await this.findRecordById(id);
+                }
+
+                const rd = rdResult.rd;
+                if (rd.frozen_claim_id) {
+                    throw new Error(`RD ${rd.rd_number} is frozen for the claim on its deceased holder`);
+                }
+
+                const quote = await this.quoteClosure(rd, new Date(), isPremature);
+                const closureAmount = quote.closure_amount;
+
+                if (expectedAmount !== null && expectedAmount !== undefined && money.toPaise(expectedAmount) !== closureAmount) {
+                    const error = new Error(`Closure amount is now ₹${money.toRupees(closureAmount)}, not the quoted ₹${expectedAmount}; review the new quote`);
+                    error.code = 'QUOTE_CHANGED';
+                    throw error;
+                }
+
+                const description = quote.is_premature
+                    ? `RD closed prematurely - ${rd.rd_number}`
+                    : `RD matured - ${rd.rd_number}`;
+
+                // Update RD status, keeping the quote a premature closure was paid on
+                await main.run(
+                    `UPDATE recurring_deposits SET status = ?, penalty_rule_version_id = ?, closure_breakdown = ?,
+                     updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                    [
+                        'closed',
+                        quote.is_premature ? quote.version_id : null,
+                        quote.is_premature ? JSON.stringify(quote) : null,
+                        id
+                    ]
+                );
+
+                // Create RD transaction record
+                const transaction = await this.createRDTransaction({
+                    rd_id: id,
+                    customer_id: rd.customer_id,
+                    transaction_type: quote.is_premature ? 'rd_premature_close' : 'rd_mature',
+                    amount: closureAmount,
+                    description,
+                    processed_by: processedBy
+                }, txn);
+
+                await GeneralLedger.postEntry({
+                    source_type: transaction.transaction_type,
+                    source_id: transaction.id,
+                    reference_number: transaction.transaction_id,
+                    customer_id: rd.customer_id,
+                    description,
+                    posted_by: processedBy,
+                    lines: GeneralLedger.closureLines(
+                        GeneralLedger.ACCOUNTS.RD_LIABILITY,
+                        rd.total_paid,
+                        closureAmount
+                    )
+                }, txn);
+
+                return {
+                    success: true,
+                    transaction,
+                    closure_amount: money.toRupees(closureAmount),
+                    is_premature: quote.is_premature,
+                    quote: money.rowToRupees(quote, this.QUOTE_MONEY_FIELDS)
+                };
+            }, { rd_id: id, is_premature: isPremature });
         } catch (error) {
-            return { success: false, error: error.message };
+            return { success: false, error: error.message, quote_changed: error.code === 'QUOTE_CHANGED' };
+        }
+    }
+
+    static get REVERSIBLE_TYPES() {
+        return ['rd_installment', 'rd_mature', 'rd_premature_close'];
+    }
+
+    // Posts compensating entries for an RD transaction row (amounts in paise) inside a
+    // coordinator operation: a reversed installment payment is taken out of the
+    // calendar, a reversed closure reopens the RD
+    static async reverseTransaction(original, reason, processedBy, { main, txn }) {
+        const rdResult = await this.findRecordById(original.rd_id);
+        if (!rdResult.success) {
+            throw new Error(rdResult.error);
         }
+
+        const rd = rdResult.rd;
+
+        if (original.transaction_type === 'rd_installment') {
+            if (rd.status === 'closed') {
+                throw new Error('RD must be reopened before an installment can be reversed');
+            }
+        } else {
+            if (rd.status !== 'closed') {
+                throw new Error('RD is not closed');
+            }
+
+            // Reopened as active; the rebuild below settles whether it is completed or defaulted
+            await main.run(
+                `UPDATE recurring_deposits SET status = 'active', penalty_rule_version_id = NULL, closure_breakdown = NULL,
+                 updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [rd.id]
+            );
+        }
+
+        await this.rebuildCalendar(rd.id, { main, txn }, { excludeTransactionId: original.id });
+
+        const reversal = await this.createRDTransaction({
+            rd_id: rd.id,
+            customer_id: rd.customer_id,
+            transaction_type: `${original.transaction_type}_reversal`,
+            amount: original.amount,
+            late_fee_amount: original.late_fee_amount,
+            installment_number: original.installment_number,
+            description: `Reversal of ${original.transaction_id} - ${reason}`,
+            reversal_of: original.id,
+            processed_by: processedBy
+        }, txn);
+
+        // An installment paid from savings goes back to the account
+        await Account.reverseProductTransfer(original.transaction_type, original.id, reason, processedBy, { main, txn });
+
+        await GeneralLedger.reverseEntry(original.transaction_type, original.id, {
+            source_id: reversal.id,
+            reference_number: reversal.transaction_id,
+            customer_id: rd.customer_id,
+            description: `Reversal of ${original.transaction_id} - ${rd.rd_number}`,
+            posted_by: processedBy
+        }, txn);
+
+        return [{ original, reversal }];
     }
 
-    static async createRDTransaction(transactionData) {
+    static async createRDTransaction(transactionData, db = txnDb) {
         const transactionId = `RDTXN${Date.now()}${Math.floor(Math.random() * 1000)}`;
         
-        const result = await txnDb.run(
+        const result = await db.run(
             `INSERT INTO rd_transactions (
-                transaction_id, rd_id, customer_id, transaction_type, amount,
-                installment_number, description, processed_by, transaction_date
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+                transaction_id, rd_id, customer_id, transaction_type, amount, late_fee_amount,
+                installment_number, description, reversal_of, processed_by, transaction_date
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
             [
                 transactionId,
                 transactionData.rd_id,
                 transactionData.customer_id,
                 transactionData.transaction_type,
                 transactionData.amount,
+                transactionData.late_fee_amount || 0,
                 transactionData.installment_number || null,
                 transactionData.description,
+                transactionData.reversal_of || null,
                 transactionData.processed_by
             ]
         );
 
-        return {
+        return money.rowToRupees({
             id: result.id,
             transaction_id: transactionId,
             ...transactionData
-        };
+        }, ['amount', 'late_fee_amount']);
     }
 
     static async getTransactionHistory(rdId, filters = {}) {
@@ -387,44 +889,82 @@ class RD {
 
             const transactions = await txnDb.all(query, params);
 
-            return { success: true, transactions };
+            return { success: true, transactions: money.rowsToRupees(transactions, ['amount', 'late_fee_amount']) };
         } catch (error) {
             return { success: false, error: error.message };
         }
     }
 
+    // The installment calendar as of today, with the settings it was worked out under
     static async getInstallmentSchedule(id) {
         try {
-            const rdResult = await this.findById(id);
-            if (!rdResult.success) {
-                return rdResult;
-            }
+            const calendar = await this.computeCalendar(id, { main: mainDb, txn: txnDb });
+            const { config } = calendar;
 
-            const rd = rdResult.rd;
-            const schedule = [];
-            const startDate = new Date(rd.start_date);
+            return {
+                success: true,
+                schedule: money.rowsToRupees(calendar.rows, ['amount', 'late_fee']),
+                summary: money.rowToRupees({
+                    status: calendar.status,
+                    paid_installments: calendar.paid_installments,
+                    missed_installments: calendar.missed_installments,
+                    next_due_date: calendar.next_due_date,
+                    total_paid: calendar.total_paid,
+                    carry_forward_amount: calendar.carry_forward_amount,
+                    late_fees_paid: calendar.late_fees_paid,
+                    maturity_amount: calendar.maturity_amount,
+                    late_fee_percent: config.rdLateFeePercent,
+                    partial_payments: config.rdPartialPayments,
+                    default_after_missed: config.rdDefaultAfterMissed
+                }, this.MONEY_FIELDS)
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
 
-            for (let i = 1; i <= rd.tenure_months; i++) {
-                const dueDate = new Date(startDate);
-                dueDate.setMonth(dueDate.getMonth() + i - 1);
+    // Rebuilds the calendar of every open RD, so installments falling overdue put RDs
+    // in default and the maturity amounts of those past their maturity date count only
+    // what was paid. Part of the daily maturity run, ahead of markMatured.
+    static async assessInstallments(asOf = this.today()) {
+        try {
+            const rds = await mainDb.all(
+                `SELECT id, rd_number, status FROM recurring_deposits WHERE status IN ('active', 'defaulted', 'completed')`
+            );
 
-                // Check if installment is paid
-                const payment = await txnDb.get(
-                    'SELECT * FROM rd_transactions WHERE rd_id = ? AND installment_number = ? AND transaction_type = "rd_installment"',
-                    [id, i]
-                );
+            const summary = { checked: 0, defaulted: 0 };
+            const failed = [];
 
-                schedule.push({
-                    installment_number: i,
-                    due_date: dueDate.toISOString().split('T')[0],
-                    amount: rd.monthly_amount,
-                    status: payment ? 'paid' : 'pending',
-                    paid_date: payment ? payment.transaction_date : null,
-                    paid_amount: payment ? payment.amount : null
-                });
+            for (const rd of rds) {
+                try {
+                    const calendar = await coordinator.execute('rd_assess', handles =>
+                        this.rebuildCalendar(rd.id, handles, { asOf }), { rd_id: rd.id });
+
+                    summary.checked++;
+                    if (calendar.status === 'defaulted' && rd.status !== 'defaulted') {
+                        summary.defaulted++;
+                    }
+                } catch (error) {
+                    failed.push({ rd_number: rd.rd_number, error: error.message });
+                }
             }
 
-            return { success: true, schedule };
+            return { success: true, summary, failed };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Moves RDs whose maturity date has arrived to 'matured', where they wait for payout
+    static async markMatured(asOf = new Date().toISOString().split('T')[0]) {
+        try {
+            const result = await mainDb.run(
+                `UPDATE recurring_deposits SET status = 'matured', updated_at = CURRENT_TIMESTAMP
+                 WHERE status IN ('active', 'defaulted', 'completed') AND maturity_date <= ?`,
+                [asOf]
+            );
+
+            return { success: true, matured: result.changes };
         } catch (error) {
             return { success: false, error: error.message };
         }
@@ -439,12 +979,12 @@ class RD {
                 SELECT rd.*, c.name as customer_name, c.phone as customer_phone, c.email as customer_email
                 FROM recurring_deposits rd
                 JOIN customers c ON rd.customer_id = c.id
-                WHERE rd.status IN ('active', 'completed') 
+                WHERE rd.status IN ('active', 'defaulted', 'completed', 'matured') 
                 AND rd.maturity_date <= ?
                 ORDER BY rd.maturity_date ASC
             `, [futureDate.toISOString().split('T')[0]]);
 
-            return { success: true, maturing_rds: maturingRDs };
+            return { success: true, maturing_rds: money.rowsToRupees(maturingRDs, this.MONEY_FIELDS).map(rd => Product.withTerms(rd)) };
         } catch (error) {
             return { success: false, error: error.message };
         }
@@ -456,57 +996,70 @@ class RD {
                 SELECT 
                     COUNT(*) as total_rds,
                     COUNT(CASE WHEN status = 'active' THEN 1 END) as active_rds,
+                    COUNT(CASE WHEN status = 'defaulted' THEN 1 END) as defaulted_rds,
                     COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed_rds,
+                    COUNT(CASE WHEN status = 'matured' THEN 1 END) as matured_rds,
                     COUNT(CASE WHEN status = 'closed' THEN 1 END) as closed_rds,
-                    SUM(CASE WHEN status IN ('active', 'completed') THEN total_paid ELSE 0 END) as total_collected,
-                    SUM(CASE WHEN status IN ('active', 'completed') THEN maturity_amount ELSE 0 END) as total_maturity_amount,
+                    SUM(CASE WHEN status IN ('active', 'defaulted', 'completed', 'matured') THEN total_paid ELSE 0 END) as total_collected,
+                    SUM(CASE WHEN status IN ('active', 'defaulted', 'completed', 'matured') THEN maturity_amount ELSE 0 END) as total_maturity_amount,
+                    SUM(late_fees_paid) as total_late_fees,
                     AVG(CASE WHEN status IN ('active', 'completed') THEN interest_rate ELSE NULL END) as avg_interest_rate
                 FROM recurring_deposits
             `);
 
-            return { success: true, stats };
+            return { success: true, stats: money.rowToRupees(stats, ['total_collected', 'total_maturity_amount', 'total_late_fees']) };
         } catch (error) {
             return { success: false, error: error.message };
         }
     }
 
+    // RDs opened between two dates (YYYY-MM-DD, inclusive)
+    static async getCountByDateRange(startDate, endDate) {
+        try {
+            const row = await mainDb.get(
+                'SELECT COUNT(*) as count FROM recurring_deposits WHERE DATE(created_at) BETWEEN ? AND ?',
+                [startDate, endDate]
+            );
+
+            return { success: true, count: row.count };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Open RDs with installments falling due within daysAhead, with what paying
+    // them all would come to today, late fees included
     static async getDueInstallments(daysAhead = 7) {
         try {
             const futureDate = new Date();
             futureDate.setDate(futureDate.getDate() + daysAhead);
+            const until = futureDate.toISOString().split('T')[0];
 
-            // Get all active RDs
-            const activeRDs = await mainDb.all(`
+            const openRDs = await mainDb.all(`
                 SELECT rd.*, c.name as customer_name, c.phone as customer_phone, c.email as customer_email
                 FROM recurring_deposits rd
                 JOIN customers c ON rd.customer_id = c.id
-                WHERE rd.status = 'active'
+                WHERE rd.status IN ('active', 'defaulted')
             `);
 
             const dueInstallments = [];
 
-            for (const rd of activeRDs) {
-                // Get last paid installment
-                const lastPayment = await txnDb.get(
-                    'SELECT MAX(installment_number) as last_installment FROM rd_transactions WHERE rd_id = ? AND transaction_type = "rd_installment"',
-                    [rd.id]
-                );
-
-                const nextInstallmentNumber = (lastPayment.last_installment || 0) + 1;
-
-                if (nextInstallmentNumber <= rd.tenure_months) {
-                    const startDate = new Date(rd.start_date);
-                    const dueDate = new Date(startDate);
-                    dueDate.setMonth(dueDate.getMonth() + nextInstallmentNumber - 1);
-
-                    if (dueDate <= futureDate) {
-                        dueInstallments.push({
-                            ...rd,
-                            next_installment_number: nextInstallmentNumber,
-                            due_date: dueDate.toISOString().split('T')[0],
-                            due_amount: rd.monthly_amount
-                        });
-                    }
+            for (const rd of openRDs) {
+                const calendar = await this.computeCalendar(rd.id, { main: mainDb, txn: txnDb });
+                const due = calendar.rows.filter(row => row.status !== 'paid' && row.due_date <= until);
+
+                if (due.length > 0) {
+                    const dueAmount = due.reduce((sum, row) => sum + row.amount + row.late_fee, 0)
+                        - calendar.carry_forward_amount;
+
+                    dueInstallments.push({
+                        ...Product.withTerms(money.rowToRupees(rd, this.MONEY_FIELDS)),
+                        next_installment_number: due[0].installment_number,
+                        due_date: due[0].due_date,
+                        installments_due: due.length,
+                        late_fee: money.toRupees(due.reduce((sum, row) => sum + row.late_fee, 0)),
+                        due_amount: money.toRupees(dueAmount)
+                    });
                 }
             }
 
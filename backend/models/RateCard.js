@@ -0,0 +1,394 @@
+const mainDb = require('../config/db_main');
+const coordinator = require('../utils/transactionCoordinator');
+const money = require('../utils/money');
+
+/**
+ * Dated interest rate cards for the products in the catalogue.
+ *
+ * A card holds a product's rates from its effective date until the next approved
+ * card's, in slabs by amount: the balance for savings and current accounts, the
+ * deposit for FDs, the monthly installment for RDs and the amount borrowed for loans.
+ * A slab runs from its amount_from up to the next slab's, and its rate applies to the
+ * whole amount.
+ *
+ * A rate change is requested as a pending card with a future (or today's) effective
+ * date and takes effect only once an admin other than the requester approves it.
+ * Approved cards are never edited, so interest for any past day can be recomputed and
+ * the rate that applied on a date shown; a card not yet in force can be withdrawn.
+ */
+class RateCard {
+    static get STATUSES() {
+        return ['pending', 'approved', 'rejected', 'withdrawn'];
+    }
+
+    static today() {
+        return new Date().toISOString().split('T')[0];
+    }
+
+    static async findAll(filters = {}) {
+        try {
+            let query = `
+                SELECT c.*, p.code as product_code, p.name as product_name, p.product_type,
+                       r.name as requested_by_name, v.name as reviewed_by_name
+                FROM rate_cards c
+                JOIN products p ON c.product_id = p.id
+                LEFT JOIN users r ON c.requested_by = r.id
+                LEFT JOIN users v ON c.reviewed_by = v.id
+                WHERE 1=1
+            `;
+            const params = [];
+
+            if (filters.product_id) {
+                query += ' AND c.product_id = ?';
+                params.push(filters.product_id);
+            }
+
+            if (filters.status) {
+                query += ' AND c.status = ?';
+                params.push(filters.status);
+            }
+
+            query += ' ORDER BY c.product_id, c.effective_from DESC, c.id DESC';
+
+            const cards = await mainDb.all(query, params);
+            const today = this.today();
+
+            // The latest approved card per product that has taken effect is the one in force
+            const current = {};
+            for (const card of cards) {
+                if (card.status === 'approved' && card.effective_from <= today && !current[card.product_id]) {
+                    current[card.product_id] = card.id;
+                }
+            }
+
+            for (const card of cards) {
+                card.slabs = this.slabsToRupees(await this.getSlabs(card.id));
+                card.is_current = current[card.product_id] === card.id;
+            }
+
+            return { success: true, rate_cards: cards };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    static async findById(id) {
+        try {
+            const card = await mainDb.get(
+                `SELECT c.*, p.code as product_code, p.name as product_name, p.product_type
+                 FROM rate_cards c JOIN products p ON c.product_id = p.id
+                 WHERE c.id = ?`,
+                [id]
+            );
+            if (!card) {
+                return { success: false, error: 'Rate card not found' };
+            }
+
+            card.slabs = this.slabsToRupees(await this.getSlabs(id));
+            return { success: true, rate_card: card };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Slabs of a card from the lowest amount up (amounts in paise)
+    static async getSlabs(cardId, db = mainDb) {
+        return await db.all(
+            'SELECT amount_from, interest_rate FROM rate_card_slabs WHERE rate_card_id = ? ORDER BY amount_from',
+            [cardId]
+        );
+    }
+
+    static slabsToRupees(slabs) {
+        return money.rowsToRupees(slabs, ['amount_from']);
+    }
+
+    // Every approved card of a product, oldest first, with its slabs (amounts in paise)
+    static async getHistory(productId, db = mainDb) {
+        const cards = await db.all(
+            `SELECT * FROM rate_cards WHERE product_id = ? AND status = 'approved' ORDER BY effective_from`,
+            [productId]
+        );
+        for (const card of cards) {
+            card.slabs = await this.getSlabs(card.id, db);
+        }
+        return cards;
+    }
+
+    // The card in force on a date, from a product's history
+    static pick(history, date) {
+        let card = null;
+        for (const candidate of history) {
+            if (candidate.effective_from > date) {
+                break;
+            }
+            card = candidate;
+        }
+        return card;
+    }
+
+    // The rate of the slab an amount (paise) falls in
+    static slabRate(card, amount) {
+        let rate = card.slabs[0].interest_rate;
+        for (const slab of card.slabs) {
+            if (slab.amount_from > amount) {
+                break;
+            }
+            rate = slab.interest_rate;
+        }
+        return rate;
+    }
+
+    // The card a product had in force on a date, throwing when there is none
+    static async cardOn(productId, date = this.today(), db = mainDb) {
+        const card = this.pick(await this.getHistory(productId, db), date);
+        if (!card) {
+            throw new Error(`No approved interest rates are in force for this product on ${date}`);
+        }
+        return card;
+    }
+
+    // The rate a product paid or charged on a date for an amount (paise)
+    static async rateOn(productId, date, amount, db = mainDb) {
+        return this.slabRate(await this.cardOn(productId, date, db), amount);
+    }
+
+    // The cards in force today for a set of products, by product id (amounts in paise)
+    static async currentCards(productIds) {
+        if (productIds.length === 0) {
+            return {};
+        }
+
+        const cards = await mainDb.all(
+            `SELECT c.* FROM rate_cards c
+             WHERE c.product_id IN (${productIds.map(() => '?').join(', ')})
+               AND c.status = 'approved'
+               AND c.effective_from = (
+                   SELECT MAX(effective_from) FROM rate_cards
+                   WHERE product_id = c.product_id AND status = 'approved' AND effective_from <= ?
+               )`,
+            [...productIds, this.today()]
+        );
+
+        const byProduct = {};
+        for (const card of cards) {
+            card.slabs = await this.getSlabs(card.id);
+            byProduct[card.product_id] = card;
+        }
+        return byProduct;
+    }
+
+    // Checks slabs and normalises them (amounts to paise, lowest first). Only accounts
+    // may pay 0%, e.g. current accounts.
+    static validateSlabs(slabs, productType) {
+        if (!Array.isArray(slabs) || slabs.length === 0) {
+            throw new Error('At least one rate slab is required');
+        }
+
+        const normalised = slabs.map(slab => {
+            const amountFrom = parseFloat(slab.amount_from || 0);
+            const rate = parseFloat(slab.interest_rate);
+
+            if (isNaN(amountFrom) || amountFrom < 0) {
+                throw new Error('Slab amounts must be zero or more');
+            }
+            if (isNaN(rate) || rate < 0 || rate > 100 || (productType !== 'account' && rate === 0)) {
+                throw new Error(productType === 'account'
+                    ? 'Slab rates must be between 0 and 100'
+                    : 'Slab rates must be more than 0 and at most 100');
+            }
+
+            return { amount_from: money.toPaise(amountFrom), interest_rate: rate };
+        }).sort((a, b) => a.amount_from - b.amount_from);
+
+        if (normalised[0].amount_from !== 0) {
+            throw new Error('The first slab must start from ₹0');
+        }
+        if (new Set(normalised.map(slab => slab.amount_from)).size !== normalised.length) {
+            throw new Error('Each slab must start from a different amount');
+        }
+
+        return normalised;
+    }
+
+    static async insertSlabs(db, cardId, slabs) {
+        for (const slab of slabs) {
+            await db.run(
+                'INSERT INTO rate_card_slabs (rate_card_id, amount_from, interest_rate) VALUES (?, ?, ?)',
+                [cardId, slab.amount_from, slab.interest_rate]
+            );
+        }
+    }
+
+    // A new product's opening rates (validated slabs), in force from today without a
+    // second approval since no contract has been opened on it yet
+    static async createOpening(db, productId, slabs, createdBy) {
+        const card = await db.run(
+            `INSERT INTO rate_cards (product_id, effective_from, status, notes, requested_by, requested_at, reviewed_by, reviewed_at)
+             VALUES (?, ?, 'approved', 'Opening rates', ?, CURRENT_TIMESTAMP, ?, CURRENT_TIMESTAMP)`,
+            [productId, this.today(), createdBy, createdBy]
+        );
+        await this.insertSlabs(db, card.id, slabs);
+        return card.id;
+    }
+
+    // Maker step: a rate change awaiting approval
+    static async request(cardData, requestedBy) {
+        try {
+            const { product_id, effective_from, slabs, notes } = cardData;
+
+            const product = await mainDb.get('SELECT id, name, product_type FROM products WHERE id = ?', [product_id]);
+            if (!product) {
+                throw new Error('Product not found');
+            }
+
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(effective_from || '') || isNaN(new Date(effective_from).getTime())) {
+                throw new Error('Effective date is required (YYYY-MM-DD)');
+            }
+            if (effective_from < this.today()) {
+                throw new Error('Effective date cannot be in the past');
+            }
+
+            const normalised = this.validateSlabs(slabs, product.product_type);
+
+            const pending = await mainDb.get(
+                `SELECT id FROM rate_cards WHERE product_id = ? AND status = 'pending'`,
+                [product.id]
+            );
+            if (pending) {
+                throw new Error(`A rate change for ${product.name} is already awaiting approval`);
+            }
+
+            await this.checkDateFree(product.id, effective_from);
+
+            // The connection is shared, so the card and its slabs are written as one coordinated unit
+            const cardId = await coordinator.execute('rate_card_request', async ({ main }) => {
+                const inserted = await main.run(
+                    `INSERT INTO rate_cards (product_id, effective_from, status, notes, requested_by, requested_at)
+                     VALUES (?, ?, 'pending', ?, ?, CURRENT_TIMESTAMP)`,
+                    [product.id, effective_from, notes || null, requestedBy]
+                );
+                await this.insertSlabs(main, inserted.id, normalised);
+                return inserted.id;
+            }, { product_id: product.id, effective_from });
+
+            return await this.findById(cardId);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    static async checkDateFree(productId, effectiveFrom) {
+        const clash = await mainDb.get(
+            `SELECT id FROM rate_cards WHERE product_id = ? AND effective_from = ? AND status = 'approved'`,
+            [productId, effectiveFrom]
+        );
+        if (clash) {
+            throw new Error('Approved rates already take effect on this date; withdraw them first or choose another date');
+        }
+    }
+
+    // Checker step: puts the rates in force from their effective date
+    static async approve(id, approvedBy) {
+        try {
+            const card = await mainDb.get('SELECT * FROM rate_cards WHERE id = ?', [id]);
+            if (!card) {
+                throw new Error('Rate card not found');
+            }
+            if (card.status !== 'pending') {
+                throw new Error(`Rate change is already ${card.status}`);
+            }
+            if (card.requested_by === approvedBy) {
+                throw new Error('A rate change must be approved by someone other than the user who requested it');
+            }
+
+            // Days already accrued or contracts already opened must keep the rates they had
+            if (card.effective_from < this.today()) {
+                throw new Error(`The effective date ${card.effective_from} has passed; reject this change and request it again`);
+            }
+
+            await this.checkDateFree(card.product_id, card.effective_from);
+
+            await mainDb.run(
+                `UPDATE rate_cards SET status = 'approved', reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP
+                 WHERE id = ? AND status = 'pending'`,
+                [approvedBy, id]
+            );
+
+            return await this.findById(id);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    static async reject(id, rejectedBy, note) {
+        try {
+            const card = await mainDb.get('SELECT * FROM rate_cards WHERE id = ?', [id]);
+            if (!card) {
+                throw new Error('Rate card not found');
+            }
+            if (card.status !== 'pending') {
+                throw new Error(`Rate change is already ${card.status}`);
+            }
+
+            await mainDb.run(
+                `UPDATE rate_cards SET status = 'rejected', reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, review_note = ?
+                 WHERE id = ? AND status = 'pending'`,
+                [rejectedBy, note || null, id]
+            );
+
+            return await this.findById(id);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Takes back a change awaiting approval, or an approved one before it takes effect
+    static async withdraw(id, withdrawnBy, note) {
+        try {
+            const card = await mainDb.get('SELECT * FROM rate_cards WHERE id = ?', [id]);
+            if (!card) {
+                throw new Error('Rate card not found');
+            }
+            if (card.status === 'approved' && card.effective_from <= this.today()) {
+                throw new Error('Rates already in force cannot be withdrawn; request a new rate change instead');
+            }
+            if (!['pending', 'approved'].includes(card.status)) {
+                throw new Error(`Rate change is already ${card.status}`);
+            }
+
+            await mainDb.run(
+                `UPDATE rate_cards SET status = 'withdrawn', reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, review_note = ?
+                 WHERE id = ?`,
+                [withdrawnBy, note || null, id]
+            );
+
+            return await this.findById(id);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // The rate a product applied on a date for an amount, with the card it came from
+    static async lookup(productId, date, amount) {
+        try {
+            const card = await this.cardOn(productId, date);
+            return {
+                success: true,
+                rate: {
+                    product_id: parseInt(productId),
+                    date,
+                    amount: money.toRupees(amount),
+                    interest_rate: this.slabRate(card, amount),
+                    rate_card_id: card.id,
+                    effective_from: card.effective_from,
+                    slabs: this.slabsToRupees(card.slabs)
+                }
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+module.exports = RateCard;
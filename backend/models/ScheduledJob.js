@@ -0,0 +1,224 @@
+const mainDb = require('../config/db_main');
+const cronSchedule = require('../utils/cronSchedule');
+
+class ScheduledJob {
+    static get RUN_STATUSES() {
+        return ['running', 'succeeded', 'failed', 'skipped'];
+    }
+
+    // SQLite CURRENT_TIMESTAMP values are UTC without a zone marker
+    static toTimestamp(date) {
+        return date.toISOString().replace('T', ' ').slice(0, 19);
+    }
+
+    static parseTimestamp(value) {
+        return value ? new Date(`${value.replace(' ', 'T')}Z`) : null;
+    }
+
+    static async findAllRecords() {
+        return await mainDb.all('SELECT * FROM scheduled_jobs ORDER BY id');
+    }
+
+    static async findRecordByName(name) {
+        return await mainDb.get('SELECT * FROM scheduled_jobs WHERE name = ?', [name]);
+    }
+
+    // Jobs with their latest run, next run time and failures of the last 30 days
+    static async findAll() {
+        try {
+            const jobs = await mainDb.all(`
+                SELECT j.*,
+                    (SELECT COUNT(*) FROM job_runs r
+                     WHERE r.job_name = j.name AND r.status = 'failed'
+                     AND r.started_at >= datetime('now', '-30 days')) as recent_failures
+                FROM scheduled_jobs j
+                ORDER BY j.id
+            `);
+
+            for (const job of jobs) {
+                job.last_run = await mainDb.get(
+                    'SELECT * FROM job_runs WHERE job_name = ? ORDER BY id DESC LIMIT 1',
+                    [job.name]
+                ) || null;
+                job.last_failure = await mainDb.get(
+                    `SELECT * FROM job_runs WHERE job_name = ? AND status = 'failed' ORDER BY id DESC LIMIT 1`,
+                    [job.name]
+                ) || null;
+
+                const nextRun = job.enabled ? cronSchedule.next(job.cron_expression) : null;
+                job.next_run_at = nextRun ? this.toTimestamp(nextRun) : null;
+                job.is_running = Boolean(job.locked_at);
+            }
+
+            return { success: true, jobs: jobs.map(job => this.withParsedSummaries(job)) };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    static withParsedSummaries(job) {
+        return {
+            ...job,
+            last_run: job.last_run ? this.parseRun(job.last_run) : null,
+            last_failure: job.last_failure ? this.parseRun(job.last_failure) : null
+        };
+    }
+
+    static parseRun(run) {
+        return { ...run, summary: run.summary ? JSON.parse(run.summary) : null };
+    }
+
+    static async update(name, updateData) {
+        try {
+            const job = await this.findRecordByName(name);
+            if (!job) {
+                throw new Error('Scheduled job not found');
+            }
+
+            const allowedFields = ['cron_expression', 'enabled', 'catch_up'];
+            const updates = [];
+            const params = [];
+
+            for (const field of allowedFields) {
+                if (updateData[field] !== undefined) {
+                    let value = updateData[field];
+
+                    if (field === 'cron_expression') {
+                        value = String(value).trim();
+                        cronSchedule.parse(value);
+                    } else {
+                        value = value === true || value === 'true' || value === 1 ? 1 : 0;
+                    }
+
+                    updates.push(`${field} = ?`);
+                    params.push(value);
+                }
+            }
+
+            if (updates.length === 0) {
+                throw new Error('No valid fields to update');
+            }
+
+            updates.push('updated_at = CURRENT_TIMESTAMP');
+            params.push(name);
+
+            await mainDb.run(`UPDATE scheduled_jobs SET ${updates.join(', ')} WHERE name = ?`, params);
+
+            return { success: true, job: await this.findRecordByName(name) };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    static async getRuns(filters = {}) {
+        try {
+            let query = `
+                SELECT r.*, u.name as triggered_by_name
+                FROM job_runs r
+                LEFT JOIN users u ON r.triggered_by = u.id
+                WHERE 1=1
+            `;
+            const params = [];
+
+            // Apply filters
+            if (filters.job_name) {
+                query += ' AND r.job_name = ?';
+                params.push(filters.job_name);
+            }
+
+            if (filters.status) {
+                query += ' AND r.status = ?';
+                params.push(filters.status);
+            }
+
+            query += ' ORDER BY r.id DESC';
+
+            // Pagination
+            if (filters.limit) {
+                query += ' LIMIT ?';
+                params.push(filters.limit);
+
+                if (filters.offset) {
+                    query += ' OFFSET ?';
+                    params.push(filters.offset);
+                }
+            }
+
+            const runs = await mainDb.all(query, params);
+
+            return { success: true, runs: runs.map(run => this.parseRun(run)) };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    static async findRunById(id) {
+        const run = await mainDb.get('SELECT * FROM job_runs WHERE id = ?', [id]);
+        return run ? this.parseRun(run) : null;
+    }
+
+    // Scheduled work is attributed to the first active admin
+    static async getSystemUserId() {
+        const admin = await mainDb.get(`SELECT id FROM users WHERE role = 'admin' AND is_active = 1 ORDER BY id LIMIT 1`);
+        if (!admin) {
+            throw new Error('No active admin user to attribute scheduled work to');
+        }
+        return admin.id;
+    }
+
+    // Takes the job's lock unless another run holds it
+    static async acquireLock(name) {
+        const result = await mainDb.run(
+            'UPDATE scheduled_jobs SET locked_at = CURRENT_TIMESTAMP WHERE name = ? AND locked_at IS NULL',
+            [name]
+        );
+        return result.changes === 1;
+    }
+
+    // Releases the lock; a scheduled or catch-up run also moves the catch-up baseline
+    static async releaseLock(name, scheduledFor = null) {
+        await mainDb.run(
+            `UPDATE scheduled_jobs
+             SET locked_at = NULL, last_scheduled_for = COALESCE(?, last_scheduled_for)
+             WHERE name = ?`,
+            [scheduledFor ? this.toTimestamp(scheduledFor) : null, name]
+        );
+    }
+
+    static async startRun(name, triggerType, scheduledFor, triggeredBy, status = 'running') {
+        const result = await mainDb.run(
+            `INSERT INTO job_runs (job_name, trigger_type, scheduled_for, status, triggered_by, started_at)
+             VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+            [name, triggerType, scheduledFor ? this.toTimestamp(scheduledFor) : null, status, triggeredBy || null]
+        );
+        return result.id;
+    }
+
+    static async finishRun(id, status, summary = null, errorMessage = null) {
+        await mainDb.run(
+            `UPDATE job_runs SET status = ?, summary = ?, error_message = ?, finished_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [status, summary ? JSON.stringify(summary) : null, errorMessage, id]
+        );
+    }
+
+    // Runs cut short by a shutdown are marked failed and their locks released
+    static async releaseInterrupted() {
+        const result = await mainDb.run(
+            `UPDATE job_runs SET status = 'failed', error_message = 'Interrupted by shutdown', finished_at = CURRENT_TIMESTAMP
+             WHERE status = 'running'`
+        );
+        await mainDb.run('UPDATE scheduled_jobs SET locked_at = NULL WHERE locked_at IS NOT NULL');
+        return result.changes;
+    }
+
+    static async purgeRuns(daysToKeep) {
+        const result = await mainDb.run(
+            `DELETE FROM job_runs WHERE status != 'running' AND started_at < datetime('now', '-' || ? || ' days')`,
+            [daysToKeep]
+        );
+        return result.changes;
+    }
+}
+
+module.exports = ScheduledJob;
@@ -0,0 +1,423 @@
+const mainDb = require('../config/db_main');
+const txnDb = require('../config/db_txn');
+const RD = require('./RD');
+const Loan = require('./Loan');
+const coordinator = require('../utils/transactionCoordinator');
+const money = require('../utils/money');
+const settingsStore = require('../utils/settingsStore');
+
+/**
+ * Standing instructions: a member's savings account paying their RD installments or
+ * loan EMIs as they fall due.
+ *
+ * An instruction pays what is due on the RD or loan (overdue installments and late
+ * fees or charges included) or, when it carries an amount, that fixed amount. The
+ * standing_instructions job works through every active instruction daily: once an
+ * installment has fallen due and is still unpaid, RD.payInstallment or Loan.makePayment
+ * pays it from the account, debiting the account and crediting the RD or loan in one
+ * transfer that involves no cash. A failed attempt (a short balance, say) is
+ * tried again on each of the next Settings → standingInstructions.maxRetries days
+ * until the next installment falls due. Every attempt is kept in
+ * standing_instruction_runs and the customer is emailed the result. An instruction
+ * completes by itself once its RD or loan is no longer being paid into, or after its
+ * end date.
+ */
+class StandingInstruction {
+    static get TARGET_TYPES() {
+        return ['rd', 'loan'];
+    }
+
+    static get STATUSES() {
+        return ['active', 'paused', 'cancelled', 'completed'];
+    }
+
+    static get MONEY_FIELDS() {
+        return ['amount', 'account_balance'];
+    }
+
+    static isValidMaxRetries(retries) {
+        return Number.isInteger(retries) && retries >= 0 && retries <= 30;
+    }
+
+    static async getMaxRetries() {
+        const settings = await settingsStore.read();
+        const retries = settings.standingInstructions.maxRetries;
+        if (!this.isValidMaxRetries(retries)) {
+            throw new Error(`Invalid standing instruction retries: ${retries}`);
+        }
+        return retries;
+    }
+
+    static get SELECT_SQL() {
+        return `
+            SELECT si.*, c.name as customer_name, c.email as customer_email, c.phone as customer_phone,
+                a.account_number, a.balance as account_balance,
+                CASE si.target_type WHEN 'rd' THEN rd.rd_number ELSE l.loan_number END as target_number,
+                CASE si.target_type WHEN 'rd' THEN rd.status ELSE l.status END as target_status,
+                u.name as created_by_name
+            FROM standing_instructions si
+            JOIN customers c ON si.customer_id = c.id
+            JOIN accounts a ON si.account_id = a.id
+            LEFT JOIN recurring_deposits rd ON si.target_type = 'rd' AND si.target_id = rd.id
+            LEFT JOIN loans l ON si.target_type = 'loan' AND si.target_id = l.id
+            LEFT JOIN users u ON si.created_by = u.id
+        `;
+    }
+
+    // The RD or loan an instruction pays, checked to belong to the customer and still
+    // be taking payments
+    static async getTarget(targetType, targetId) {
+        if (targetType === 'rd') {
+            const rd = await mainDb.get('SELECT id, rd_number as number, customer_id, status FROM recurring_deposits WHERE id = ?', [targetId]);
+            if (!rd) {
+                throw new Error('Recurring deposit not found');
+            }
+            return { ...rd, payable: ['active', 'defaulted'].includes(rd.status) };
+        }
+
+        const loan = await mainDb.get('SELECT id, loan_number as number, customer_id, status FROM loans WHERE id = ?', [targetId]);
+        if (!loan) {
+            throw new Error('Loan not found');
+        }
+        return { ...loan, payable: Loan.REPAYING_STATUSES.includes(loan.status) };
+    }
+
+    static async create(data, createdBy) {
+        try {
+            const { account_id, target_type, target_id, amount, start_date, end_date } = data;
+
+            if (!account_id || !target_type || !target_id) {
+                throw new Error('Savings account, and the RD or loan to pay, are required');
+            }
+            if (!this.TARGET_TYPES.includes(target_type)) {
+                throw new Error(`Standing instructions pay one of: ${this.TARGET_TYPES.join(', ')}`);
+            }
+
+            const account = await mainDb.get('SELECT * FROM accounts WHERE id = ?', [account_id]);
+            if (!account || !account.is_active || account.account_type !== 'savings') {
+                throw new Error('Standing instructions debit an active savings account');
+            }
+
+            const target = await this.getTarget(target_type, target_id);
+            if (target.customer_id !== account.customer_id) {
+                throw new Error(`Account ${account.account_number} belongs to a different customer than ${target.number}`);
+            }
+            if (!target.payable) {
+                throw new Error(`${target.number} is not taking payments`);
+            }
+
+            const existing = await mainDb.get(
+                `SELECT id FROM standing_instructions WHERE target_type = ? AND target_id = ? AND status IN ('active', 'paused')`,
+                [target_type, target_id]
+            );
+            if (existing) {
+                throw new Error(`${target.number} already has a standing instruction`);
+            }
+
+            if (amount !== undefined && amount !== null && amount !== '' && !(parseFloat(amount) > 0)) {
+                throw new Error('Amount must be positive, or left out to pay what is due');
+            }
+            const fixedAmount = amount ? money.toPaise(amount) : null;
+
+            const startDate = start_date || Loan.today();
+            if (end_date && end_date < startDate) {
+                throw new Error('End date must not be before the start date');
+            }
+
+            const result = await mainDb.run(
+                `INSERT INTO standing_instructions (
+                    customer_id, account_id, target_type, target_id, amount, start_date, end_date,
+                    created_by, created_at, updated_at
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+                [account.customer_id, account_id, target_type, target_id, fixedAmount, startDate, end_date || null, createdBy]
+            );
+
+            return await this.findById(result.id);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    static async findById(id) {
+        try {
+            const instruction = await mainDb.get(`${this.SELECT_SQL} WHERE si.id = ?`, [id]);
+            if (!instruction) {
+                return { success: false, error: 'Standing instruction not found' };
+            }
+
+            return { success: true, instruction: money.rowToRupees(instruction, this.MONEY_FIELDS) };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    static async findAll(filters = {}) {
+        try {
+            let query = `${this.SELECT_SQL} WHERE 1=1`;
+            const params = [];
+
+            for (const field of ['customer_id', 'account_id', 'target_type', 'target_id', 'status']) {
+                if (filters[field]) {
+                    query += ` AND si.${field} = ?`;
+                    params.push(filters[field]);
+                }
+            }
+
+            query += ' ORDER BY si.created_at DESC';
+
+            const instructions = await mainDb.all(query, params);
+
+            return { success: true, instructions: money.rowsToRupees(instructions, this.MONEY_FIELDS) };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Pauses, resumes or cancels an instruction; a cancelled or completed one stays so
+    static async setStatus(id, status) {
+        try {
+            if (!['active', 'paused', 'cancelled'].includes(status)) {
+                throw new Error('Status must be active, paused or cancelled');
+            }
+
+            const instruction = await mainDb.get('SELECT * FROM standing_instructions WHERE id = ?', [id]);
+            if (!instruction) {
+                throw new Error('Standing instruction not found');
+            }
+            if (!['active', 'paused'].includes(instruction.status)) {
+                throw new Error(`Standing instruction is ${instruction.status}`);
+            }
+
+            await mainDb.run(
+                'UPDATE standing_instructions SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [status, id]
+            );
+
+            return await this.findById(id);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    static async getHistory(id) {
+        try {
+            const runs = await mainDb.all(
+                `SELECT r.*, u.name as run_by_name
+                 FROM standing_instruction_runs r
+                 LEFT JOIN users u ON r.run_by = u.id
+                 WHERE r.instruction_id = ?
+                 ORDER BY r.run_at DESC, r.id DESC`,
+                [id]
+            );
+
+            return { success: true, runs: money.rowsToRupees(runs, ['amount']) };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // The installment now being collected and what is owed on the RD or loan as of
+    // asOf (paise), or null when nothing due is unpaid. due_date is the latest due date
+    // reached, which identifies the attempts made for it.
+    static async getDue(instruction, asOf) {
+        const handles = { main: mainDb, txn: txnDb };
+        let rows;
+        let owed;
+
+        if (instruction.target_type === 'rd') {
+            const calendar = await RD.computeCalendar(instruction.target_id, handles, { asOf });
+            rows = calendar.rows;
+            owed = rows
+                .filter(row => row.status !== 'paid' && row.due_date <= asOf)
+                .reduce((sum, row) => sum + row.amount + row.late_fee, 0);
+            owed = owed > 0 ? owed - calendar.carry_forward_amount : 0;
+        } else {
+            const plan = await Loan.computePlan(instruction.target_id, handles, { asOf });
+            rows = plan.rows;
+            owed = plan.principal_due + plan.interest_due + plan.charges_due;
+        }
+
+        const reached = rows.filter(row => row.due_date <= asOf);
+        if (owed <= 0 || reached.length === 0) {
+            return null;
+        }
+
+        return { due_date: reached[reached.length - 1].due_date, owed };
+    }
+
+    // Pays the RD or loan from the account, and records the attempt either way. Returns
+    // the run; the caller emails the customer.
+    static async attempt(instruction, due, attempt, triggerType, processedBy) {
+        const amount = instruction.amount || due.owed;
+        const label = instruction.target_type === 'rd'
+            ? `RD ${instruction.target_number} installment`
+            : `Loan ${instruction.target_number} EMI`;
+
+        const run = {
+            instruction_id: instruction.id,
+            due_date: due.due_date,
+            attempt,
+            trigger_type: triggerType,
+            amount,
+            run_by: processedBy
+        };
+
+        try {
+            const references = await coordinator.execute('standing_instruction', async ({ main }) => {
+                const funding = { account_id: instruction.account_id, description: `Standing instruction - ${label}` };
+                const payment = instruction.target_type === 'rd'
+                    ? await RD.payInstallment(instruction.target_id, money.toRupees(amount), processedBy, funding)
+                    : await Loan.makePayment(
+                        instruction.target_id,
+                        money.toRupees(amount),
+                        processedBy,
+                        `Standing instruction from account ${instruction.account_number}`,
+                        funding
+                    );
+                if (!payment.success) {
+                    throw new Error(payment.error);
+                }
+
+                const recorded = {
+                    debit_reference: payment.debit_transaction.transaction_id,
+                    payment_reference: payment.transaction.transaction_id
+                };
+                await this.recordRun(main, { ...run, ...recorded, status: 'succeeded' });
+
+                return recorded;
+            }, { instruction_id: instruction.id, due_date: due.due_date, amount });
+
+            return { ...run, ...references, status: 'succeeded' };
+        } catch (error) {
+            const failed = { ...run, status: 'failed', error_message: error.message };
+            await this.recordRun(mainDb, failed);
+            return failed;
+        }
+    }
+
+    static async recordRun(db, run) {
+        await db.run(
+            `INSERT INTO standing_instruction_runs (
+                instruction_id, due_date, attempt, trigger_type, status, amount,
+                debit_reference, payment_reference, error_message, run_by, run_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+            [
+                run.instruction_id, run.due_date, run.attempt, run.trigger_type, run.status, run.amount,
+                run.debit_reference || null, run.payment_reference || null, run.error_message || null, run.run_by
+            ]
+        );
+        await db.run(
+            `UPDATE standing_instructions SET last_run_at = CURRENT_TIMESTAMP, last_run_status = ?,
+             updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [run.status, run.instruction_id]
+        );
+    }
+
+    // Works out whether an instruction should be tried now and tries it. A scheduled
+    // run tries each due date once a day, up to 1 + maxRetries times; a manual run
+    // (an admin's "run now") tries whenever something is due and not yet collected.
+    // Returns { action, run? }, action being one of completed, not_due, collected,
+    // retries_exhausted, tried_today or attempted.
+    static async process(instruction, asOf, maxRetries, triggerType, processedBy) {
+        const target = await this.getTarget(instruction.target_type, instruction.target_id);
+
+        if (!target.payable || (instruction.end_date && instruction.end_date < asOf)) {
+            await mainDb.run(
+                `UPDATE standing_instructions SET status = 'completed', updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [instruction.id]
+            );
+            return { action: 'completed' };
+        }
+
+        if (instruction.start_date > asOf) {
+            return { action: 'not_due' };
+        }
+
+        const due = await this.getDue(instruction, asOf);
+        if (!due) {
+            return { action: 'not_due' };
+        }
+
+        const attempts = await mainDb.all(
+            'SELECT status, run_at FROM standing_instruction_runs WHERE instruction_id = ? AND due_date = ? ORDER BY id',
+            [instruction.id, due.due_date]
+        );
+
+        if (attempts.some(attempt => attempt.status === 'succeeded')) {
+            return { action: 'collected' };
+        }
+        if (triggerType === 'schedule') {
+            if (attempts.length > maxRetries) {
+                return { action: 'retries_exhausted' };
+            }
+            if (attempts.length > 0 && String(attempts[attempts.length - 1].run_at).split(/[T ]/)[0] === asOf) {
+                return { action: 'tried_today' };
+            }
+        }
+
+        const run = await this.attempt(instruction, due, attempts.length + 1, triggerType, processedBy);
+        return {
+            action: 'attempted',
+            run: {
+                ...money.rowToRupees(run, ['amount']),
+                final_attempt: run.status === 'failed' && attempts.length + 1 > maxRetries
+            }
+        };
+    }
+
+    // Every active instruction, for the daily job. Attempts are returned with the
+    // instruction so the caller can email the customers.
+    static async runDue(asOf = null, processedBy) {
+        try {
+            asOf = asOf || Loan.today();
+            const maxRetries = await this.getMaxRetries();
+            const instructions = await mainDb.all(`${this.SELECT_SQL} WHERE si.status = 'active' ORDER BY si.id`);
+
+            const summary = { checked: instructions.length, succeeded: 0, failed: 0, completed: 0 };
+            const attempts = [];
+            const failed = [];
+
+            for (const instruction of instructions) {
+                try {
+                    const result = await this.process(instruction, asOf, maxRetries, 'schedule', processedBy);
+
+                    if (result.action === 'completed') {
+                        summary.completed++;
+                    }
+                    if (result.run) {
+                        summary[result.run.status]++;
+                        attempts.push({ instruction: money.rowToRupees(instruction, this.MONEY_FIELDS), run: result.run });
+                    }
+                } catch (error) {
+                    failed.push({ instruction_id: instruction.id, error: error.message });
+                }
+            }
+
+            return { success: true, as_of: asOf, summary, attempts, failed };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // An admin's "run now" for one instruction
+    static async runNow(id, processedBy) {
+        try {
+            const instruction = await mainDb.get(`${this.SELECT_SQL} WHERE si.id = ?`, [id]);
+            if (!instruction) {
+                throw new Error('Standing instruction not found');
+            }
+            if (instruction.status !== 'active') {
+                throw new Error(`Standing instruction is ${instruction.status}`);
+            }
+
+            const maxRetries = await this.getMaxRetries();
+            const result = await this.process(instruction, Loan.today(), maxRetries, 'manual', processedBy);
+
+            return { success: true, action: result.action, run: result.run || null, instruction: money.rowToRupees(instruction, this.MONEY_FIELDS) };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+module.exports = StandingInstruction;
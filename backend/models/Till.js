@@ -0,0 +1,590 @@
+const mainDb = require('../config/db_main');
+const txnDb = require('../config/db_txn');
+const GeneralLedger = require('./GeneralLedger');
+const coordinator = require('../utils/transactionCoordinator');
+const money = require('../utils/money');
+
+/**
+ * Teller tills and the vault.
+ *
+ * A teller opens a till for the business day with cash issued from the vault, and may
+ * draw more from or hand cash back to the vault during the day. Every cash receipt or
+ * payment a teller processes while their till is open is the till's: the ledger records
+ * the poster's open till on each entry with a Cash (1000) line, so deposits, withdrawals,
+ * installments and loan payments are all counted without each of them knowing about
+ * tills. No cash can be taken or paid at the counter without a till open for the day.
+ *
+ * The till is closed with a count by denomination. The counted cash goes back to the
+ * vault, and an excess or shortage against the expected cash is booked to Cash Over
+ * and Short (5200) with the teller's reason, so the ledger keeps matching the cash held.
+ * The daily cash report reconciles the vault and the tills still open against the
+ * ledger's Cash balance.
+ */
+class Till {
+    // Notes and coins counted at close, in rupees
+    static get DENOMINATIONS() {
+        return [500, 200, 100, 50, 20, 10, 5, 2, 1];
+    }
+
+    static get MOVEMENT_TYPES() {
+        return ['opening', 'bank_in', 'bank_out', 'till_issue', 'till_return', 'till_close'];
+    }
+
+    // Ledger entries that move cash but are not a till's customer business
+    static get NON_TILL_SOURCES() {
+        return GeneralLedger.NON_TILL_SOURCES;
+    }
+
+    static get MONEY_FIELDS() {
+        return ['opening_cash', 'expected_cash', 'counted_cash', 'difference'];
+    }
+
+    static today() {
+        return new Date().toISOString().split('T')[0];
+    }
+
+    static async getVaultBalance(db = txnDb, asOf = null) {
+        let query = `
+            SELECT COALESCE(SUM(CASE movement_type
+                WHEN 'bank_out' THEN -amount WHEN 'till_issue' THEN -amount ELSE amount END), 0) as balance
+            FROM vault_movements
+        `;
+        const params = [];
+
+        if (asOf) {
+            query += ' WHERE DATE(created_at) <= ?';
+            params.push(asOf);
+        }
+
+        const row = await db.get(query, params);
+        return row.balance;
+    }
+
+    static async getOpenSession(tellerId, db = txnDb) {
+        return await db.get(`SELECT * FROM till_sessions WHERE teller_id = ? AND status = 'open'`, [tellerId]);
+    }
+
+    // The till a teller's counter cash goes to: their till open for today
+    static async getCounterSession(tellerId) {
+        try {
+            const session = await this.getOpenSession(tellerId);
+            if (!session) {
+                throw new Error('Open your till before handling cash');
+            }
+            if (session.business_date < this.today()) {
+                throw new Error(`Close your till from ${session.business_date} before handling cash`);
+            }
+            return { success: true, session };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Cash received and paid out by a till (paise), from the ledger
+    static async getCashFlow(sessionId, db = txnDb) {
+        return await db.get(
+            `SELECT COALESCE(SUM(l.debit), 0) as cash_in, COALESCE(SUM(l.credit), 0) as cash_out,
+                    COUNT(DISTINCT e.id) as entry_count
+             FROM gl_journal_entries e
+             JOIN gl_journal_lines l ON l.entry_id = e.id AND l.gl_account_code = ?
+             WHERE e.till_session_id = ?`,
+            [GeneralLedger.ACCOUNTS.CASH, sessionId]
+        );
+    }
+
+    // Where a till stands (paise): cash issued and returned, received and paid, and the
+    // cash it should hold
+    static async getPosition(session, db = txnDb) {
+        const movements = await db.get(
+            `SELECT
+                COALESCE(SUM(CASE WHEN movement_type = 'till_issue' THEN amount ELSE 0 END), 0) as issued,
+                COALESCE(SUM(CASE WHEN movement_type = 'till_return' THEN amount ELSE 0 END), 0) as returned
+             FROM vault_movements WHERE till_session_id = ?`,
+            [session.id]
+        );
+        const flow = await this.getCashFlow(session.id, db);
+
+        return {
+            issued: movements.issued,
+            returned: movements.returned,
+            cash_in: flow.cash_in,
+            cash_out: flow.cash_out,
+            entry_count: flow.entry_count,
+            expected_cash: session.status === 'closed'
+                ? session.expected_cash
+                : movements.issued - movements.returned + flow.cash_in - flow.cash_out
+        };
+    }
+
+    // User names by id, from the main database
+    static async getUserNames(ids) {
+        const unique = [...new Set(ids.filter(Boolean))];
+        if (unique.length === 0) {
+            return {};
+        }
+
+        const users = await mainDb.all(
+            `SELECT id, name FROM users WHERE id IN (${unique.map(() => '?').join(', ')})`,
+            unique
+        );
+        return Object.fromEntries(users.map(user => [user.id, user.name]));
+    }
+
+    // Sessions with their position and names, amounts in rupees
+    static async describe(sessions) {
+        const names = await this.getUserNames(sessions.flatMap(s => [s.teller_id, s.opened_by, s.closed_by]));
+
+        const described = [];
+        for (const session of sessions) {
+            const position = await this.getPosition(session);
+            described.push({
+                ...money.rowToRupees(session, this.MONEY_FIELDS),
+                denominations: session.denominations ? JSON.parse(session.denominations) : null,
+                teller_name: names[session.teller_id] || null,
+                opened_by_name: names[session.opened_by] || null,
+                closed_by_name: names[session.closed_by] || null,
+                position: money.rowToRupees(position, ['issued', 'returned', 'cash_in', 'cash_out', 'expected_cash'])
+            });
+        }
+        return described;
+    }
+
+    static async findAll(filters = {}) {
+        try {
+            let query = 'SELECT * FROM till_sessions WHERE 1=1';
+            const params = [];
+
+            if (filters.business_date) {
+                query += ' AND business_date = ?';
+                params.push(filters.business_date);
+            }
+
+            if (filters.teller_id) {
+                query += ' AND teller_id = ?';
+                params.push(filters.teller_id);
+            }
+
+            if (filters.status) {
+                query += ' AND status = ?';
+                params.push(filters.status);
+            }
+
+            query += ' ORDER BY business_date DESC, opened_at DESC, id DESC';
+
+            return { success: true, sessions: await this.describe(await txnDb.all(query, params)) };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // A till with its vault movements and the cash entries attributed to it
+    static async findById(id) {
+        try {
+            const session = await txnDb.get('SELECT * FROM till_sessions WHERE id = ?', [id]);
+            if (!session) {
+                return { success: false, error: 'Till session not found' };
+            }
+
+            const [described] = await this.describe([session]);
+
+            const movements = await txnDb.all(
+                'SELECT * FROM vault_movements WHERE till_session_id = ? ORDER BY created_at, id',
+                [id]
+            );
+            const entries = await txnDb.all(
+                `SELECT e.entry_number, e.source_type, e.reference_number, e.customer_id, e.description, e.entry_date,
+                        l.debit as cash_in, l.credit as cash_out
+                 FROM gl_journal_entries e
+                 JOIN gl_journal_lines l ON l.entry_id = e.id AND l.gl_account_code = ?
+                 WHERE e.till_session_id = ?
+                 ORDER BY e.entry_date, e.id`,
+                [GeneralLedger.ACCOUNTS.CASH, id]
+            );
+
+            return {
+                success: true,
+                session: {
+                    ...described,
+                    movements: money.rowsToRupees(movements, ['amount']),
+                    cash_entries: money.rowsToRupees(entries, ['cash_in', 'cash_out'])
+                }
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    static parseAmount(amount, label) {
+        const value = parseFloat(amount);
+        if (isNaN(value) || value < 0) {
+            throw new Error(`${label} must be zero or more`);
+        }
+        return money.toPaise(value);
+    }
+
+    static async checkVaultHolds(amount, db) {
+        const vault = await this.getVaultBalance(db);
+        if (amount > vault) {
+            throw new Error(`The vault holds only ₹${money.toRupees(vault)}`);
+        }
+    }
+
+    // Opens a teller's till for today with cash issued from the vault
+    static async open(tillData, openedBy) {
+        try {
+            const tellerId = parseInt(tillData.teller_id || openedBy);
+            const openingCash = this.parseAmount(tillData.opening_cash || 0, 'Opening cash');
+
+            const teller = await mainDb.get('SELECT id, name, is_active FROM users WHERE id = ?', [tellerId]);
+            if (!teller || !teller.is_active) {
+                throw new Error('Teller not found');
+            }
+
+            const sessionId = await coordinator.execute('till_open', async ({ txn }) => {
+                const open = await this.getOpenSession(tellerId, txn);
+                if (open) {
+                    throw new Error(`${teller.name} already has a till open from ${open.business_date}`);
+                }
+                await this.checkVaultHolds(openingCash, txn);
+
+                const inserted = await txn.run(
+                    `INSERT INTO till_sessions (teller_id, business_date, status, opening_cash, opened_by, opened_at)
+                     VALUES (?, ?, 'open', ?, ?, CURRENT_TIMESTAMP)`,
+                    [tellerId, this.today(), openingCash, openedBy]
+                );
+
+                if (openingCash > 0) {
+                    await txn.run(
+                        `INSERT INTO vault_movements (movement_type, till_session_id, amount, note, created_by, created_at)
+                         VALUES ('till_issue', ?, ?, 'Opening cash', ?, CURRENT_TIMESTAMP)`,
+                        [inserted.id, openingCash, openedBy]
+                    );
+                }
+
+                return inserted.id;
+            }, { teller_id: tellerId, opening_cash: openingCash });
+
+            return await this.findById(sessionId);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Cash issued from the vault to an open till, or handed back from it
+    static async transfer(sessionId, transferData, userId) {
+        try {
+            const { direction, note } = transferData;
+            if (!['issue', 'return'].includes(direction)) {
+                throw new Error('Direction must be issue or return');
+            }
+
+            const amount = this.parseAmount(transferData.amount, 'Amount');
+            if (amount === 0) {
+                throw new Error('Amount must be positive');
+            }
+
+            await coordinator.execute('till_transfer', async ({ txn }) => {
+                const session = await txn.get('SELECT * FROM till_sessions WHERE id = ?', [sessionId]);
+                if (!session) {
+                    throw new Error('Till session not found');
+                }
+                if (session.status !== 'open') {
+                    throw new Error('Till is closed');
+                }
+
+                if (direction === 'issue') {
+                    await this.checkVaultHolds(amount, txn);
+                } else {
+                    const position = await this.getPosition(session, txn);
+                    if (amount > position.expected_cash) {
+                        throw new Error(`The till should hold only ₹${money.toRupees(position.expected_cash)}`);
+                    }
+                }
+
+                await txn.run(
+                    `INSERT INTO vault_movements (movement_type, till_session_id, amount, note, created_by, created_at)
+                     VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+                    [direction === 'issue' ? 'till_issue' : 'till_return', sessionId, amount, note || null, userId]
+                );
+            }, { till_session_id: sessionId, direction, amount });
+
+            return await this.findById(sessionId);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Checks a denomination count ({ "500": 10, ... }) and totals it in paise
+    static countCash(denominations) {
+        if (!denominations || typeof denominations !== 'object') {
+            throw new Error('A count by denomination is required');
+        }
+
+        const counts = {};
+        let total = 0;
+        for (const [denomination, count] of Object.entries(denominations)) {
+            const value = Number(denomination);
+            const pieces = Number(count || 0);
+
+            if (!this.DENOMINATIONS.includes(value)) {
+                throw new Error(`₹${denomination} is not a counted denomination`);
+            }
+            if (!Number.isInteger(pieces) || pieces < 0) {
+                throw new Error(`Count of ₹${denomination} must be a whole number`);
+            }
+
+            if (pieces > 0) {
+                counts[value] = pieces;
+                total += money.toPaise(value) * pieces;
+            }
+        }
+
+        return { counts, total };
+    }
+
+    // Closes a till on its count: the cash goes back to the vault and any excess or
+    // shortage is booked with its reason
+    static async close(sessionId, closeData, closedBy) {
+        try {
+            const { counts, total } = this.countCash(closeData.denominations);
+            const reason = closeData.reason ? String(closeData.reason).trim() : '';
+
+            await coordinator.execute('till_close', async ({ txn }) => {
+                const session = await txn.get('SELECT * FROM till_sessions WHERE id = ?', [sessionId]);
+                if (!session) {
+                    throw new Error('Till session not found');
+                }
+                if (session.status !== 'open') {
+                    throw new Error('Till is already closed');
+                }
+
+                const position = await this.getPosition(session, txn);
+                const difference = total - position.expected_cash;
+                if (difference !== 0 && !reason) {
+                    throw new Error(`The count is ₹${money.toRupees(Math.abs(difference))} ${difference > 0 ? 'over' : 'short'}; give a reason for the difference`);
+                }
+
+                await txn.run(
+                    `UPDATE till_sessions SET status = 'closed', expected_cash = ?, counted_cash = ?, denominations = ?,
+                     difference = ?, difference_reason = ?, closed_by = ?, closed_at = CURRENT_TIMESTAMP
+                     WHERE id = ?`,
+                    [position.expected_cash, total, JSON.stringify(counts), difference, reason || null, closedBy, sessionId]
+                );
+
+                if (total > 0) {
+                    await txn.run(
+                        `INSERT INTO vault_movements (movement_type, till_session_id, amount, note, created_by, created_at)
+                         VALUES ('till_close', ?, ?, 'Closing cash', ?, CURRENT_TIMESTAMP)`,
+                        [sessionId, total, closedBy]
+                    );
+                }
+
+                if (difference !== 0) {
+                    const cash = GeneralLedger.ACCOUNTS.CASH;
+                    const overShort = GeneralLedger.ACCOUNTS.CASH_OVER_SHORT;
+                    await GeneralLedger.postEntry({
+                        source_type: 'till_difference',
+                        source_id: sessionId,
+                        description: `Till ${difference > 0 ? 'excess' : 'shortage'} on ${session.business_date}: ${reason}`,
+                        posted_by: closedBy,
+                        lines: difference > 0
+                            ? [{ account: cash, debit: difference }, { account: overShort, credit: difference }]
+                            : [{ account: overShort, debit: -difference }, { account: cash, credit: -difference }]
+                    }, txn);
+                }
+            }, { till_session_id: sessionId, counted_cash: total });
+
+            return await this.findById(sessionId);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Cash into or out of the vault other than through tills: the opening count of the cash
+    // on hand (once), or a remittance from or to the bank
+    static async recordVaultMovement(movementData, userId) {
+        try {
+            const { movement_type, note } = movementData;
+            if (!['opening', 'bank_in', 'bank_out'].includes(movement_type)) {
+                throw new Error('Movement must be opening, bank_in or bank_out');
+            }
+
+            const amount = this.parseAmount(movementData.amount, 'Amount');
+            if (amount === 0) {
+                throw new Error('Amount must be positive');
+            }
+
+            const movementId = await coordinator.execute('vault_movement', async ({ txn }) => {
+                if (movement_type === 'opening') {
+                    const any = await txn.get('SELECT id FROM vault_movements LIMIT 1');
+                    if (any) {
+                        throw new Error('The vault already has its opening cash');
+                    }
+                }
+                if (movement_type === 'bank_out') {
+                    await this.checkVaultHolds(amount, txn);
+                }
+
+                const inserted = await txn.run(
+                    `INSERT INTO vault_movements (movement_type, amount, note, created_by, created_at)
+                     VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+                    [movement_type, amount, note || null, userId]
+                );
+
+                // The opening count brings the cash on hand onto the books against Opening Balance
+                // Equity; remittances move cash to or from the bank
+                const cash = GeneralLedger.ACCOUNTS.CASH;
+                if (movement_type === 'opening') {
+                    await GeneralLedger.postEntry({
+                        source_type: 'vault_opening',
+                        source_id: inserted.id,
+                        description: 'Opening cash counted into vault',
+                        posted_by: userId,
+                        lines: [
+                            { account: cash, debit: amount },
+                            { account: GeneralLedger.ACCOUNTS.OPENING_BALANCE_EQUITY, credit: amount }
+                        ]
+                    }, txn);
+                } else {
+                    const bank = GeneralLedger.ACCOUNTS.BANK;
+                    await GeneralLedger.postEntry({
+                        source_type: 'vault_bank',
+                        source_id: inserted.id,
+                        description: movement_type === 'bank_in' ? 'Cash drawn from bank into vault' : 'Cash remitted from vault to bank',
+                        posted_by: userId,
+                        lines: movement_type === 'bank_in'
+                            ? [{ account: cash, debit: amount }, { account: bank, credit: amount }]
+                            : [{ account: bank, debit: amount }, { account: cash, credit: amount }]
+                    }, txn);
+                }
+
+                return inserted.id;
+            }, { movement_type, amount });
+
+            const movement = await txnDb.get('SELECT * FROM vault_movements WHERE id = ?', [movementId]);
+            return {
+                success: true,
+                movement: money.rowToRupees(movement, ['amount']),
+                vault_balance: money.toRupees(await this.getVaultBalance())
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // The vault's balance and its movements other than through tills, newest first
+    static async getVault(limit = 50) {
+        try {
+            const movements = await txnDb.all(
+                'SELECT * FROM vault_movements ORDER BY created_at DESC, id DESC LIMIT ?',
+                [limit]
+            );
+            const names = await this.getUserNames(movements.map(movement => movement.created_by));
+
+            return {
+                success: true,
+                vault: {
+                    balance: money.toRupees(await this.getVaultBalance()),
+                    movements: money.rowsToRupees(movements, ['amount'])
+                        .map(movement => ({ ...movement, created_by_name: names[movement.created_by] || null }))
+                }
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // The day's cash: the vault, each till, and both against the ledger's Cash balance
+    static async getDailyCashReport(date = this.today()) {
+        try {
+            const previous = new Date(`${date}T00:00:00Z`);
+            previous.setUTCDate(previous.getUTCDate() - 1);
+            const vaultOpening = await this.getVaultBalance(txnDb, previous.toISOString().split('T')[0]);
+            const vaultClosing = await this.getVaultBalance(txnDb, date);
+
+            const dayMovements = await txnDb.all(
+                `SELECT movement_type, COUNT(*) as count, COALESCE(SUM(amount), 0) as amount
+                 FROM vault_movements WHERE DATE(created_at) = ?
+                 GROUP BY movement_type`,
+                [date]
+            );
+            const movements = Object.fromEntries(this.MOVEMENT_TYPES.map(type => [type, 0]));
+            for (const row of dayMovements) {
+                movements[row.movement_type] = row.amount;
+            }
+
+            const sessions = await txnDb.all(
+                `SELECT * FROM till_sessions WHERE business_date = ? OR (status = 'open' AND business_date < ?)
+                 ORDER BY opened_at, id`,
+                [date, date]
+            );
+            const tills = await this.describe(sessions);
+
+            // Cash still in tills that have not been closed and returned to the vault
+            let inOpenTills = 0;
+            for (const session of sessions) {
+                if (session.status === 'open') {
+                    inOpenTills += (await this.getPosition(session)).expected_cash;
+                }
+            }
+
+            const ledger = await txnDb.get(
+                `SELECT
+                    COALESCE(SUM(CASE WHEN DATE(e.entry_date) <= ? THEN l.debit - l.credit ELSE 0 END), 0) as balance,
+                    COALESCE(SUM(CASE WHEN DATE(e.entry_date) = ? THEN l.debit ELSE 0 END), 0) as received,
+                    COALESCE(SUM(CASE WHEN DATE(e.entry_date) = ? THEN l.credit ELSE 0 END), 0) as paid
+                 FROM gl_journal_lines l
+                 JOIN gl_journal_entries e ON l.entry_id = e.id
+                 WHERE l.gl_account_code = ?`,
+                [date, date, date, GeneralLedger.ACCOUNTS.CASH]
+            );
+
+            // Cash business of the day handled by someone without an open till
+            const unattributed = await txnDb.all(
+                `SELECT e.entry_number, e.source_type, e.reference_number, e.description, e.posted_by, e.entry_date,
+                        l.debit as cash_in, l.credit as cash_out
+                 FROM gl_journal_entries e
+                 JOIN gl_journal_lines l ON l.entry_id = e.id AND l.gl_account_code = ?
+                 WHERE DATE(e.entry_date) = ?
+                   AND e.source_type NOT IN (${this.NON_TILL_SOURCES.map(() => '?').join(', ')})
+                   AND e.till_session_id IS NULL
+                 ORDER BY e.entry_date, e.id`,
+                [GeneralLedger.ACCOUNTS.CASH, date, ...this.NON_TILL_SOURCES]
+            );
+            const names = await this.getUserNames(unattributed.map(entry => entry.posted_by));
+
+            const cashHeld = vaultClosing + inOpenTills;
+            const differences = tills.reduce((sum, till) => sum + money.toPaise(till.difference || 0), 0);
+
+            return {
+                success: true,
+                report: {
+                    date,
+                    vault: {
+                        opening_balance: money.toRupees(vaultOpening),
+                        movements: money.rowToRupees(movements, this.MOVEMENT_TYPES),
+                        closing_balance: money.toRupees(vaultClosing)
+                    },
+                    tills,
+                    till_differences: money.toRupees(differences),
+                    unattributed: money.rowsToRupees(unattributed, ['cash_in', 'cash_out'])
+                        .map(entry => ({ ...entry, posted_by_name: names[entry.posted_by] || null })),
+                    reconciliation: {
+                        vault_cash: money.toRupees(vaultClosing),
+                        cash_in_open_tills: money.toRupees(inOpenTills),
+                        cash_held: money.toRupees(cashHeld),
+                        ledger_received: money.toRupees(ledger.received),
+                        ledger_paid: money.toRupees(ledger.paid),
+                        ledger_cash_balance: money.toRupees(ledger.balance),
+                        difference: money.toRupees(cashHeld - ledger.balance),
+                        is_balanced: cashHeld === ledger.balance
+                    }
+                }
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+module.exports = Till;
@@ -1,7 +1,17 @@
 const txnDb = require('../config/db_txn');
 const mainDb = require('../config/db_main');
+const money = require('../utils/money');
+const coordinator = require('../utils/transactionCoordinator');
+const Account = require('./Account');
+const FD = require('./FD');
+const RD = require('./RD');
+const Loan = require('./Loan');
 
 class Transaction {
+    static get MONEY_FIELDS() {
+        return ['amount', 'balance_before', 'balance_after'];
+    }
+
     static async findAll(filters = {}) {
         try {
             let query = `
@@ -43,12 +53,12 @@ class Transaction {
 
             if (filters.min_amount !== undefined) {
                 query += ' AND t.amount >= ?';
-                params.push(filters.min_amount);
+                params.push(money.toPaise(filters.min_amount));
             }
 
             if (filters.max_amount !== undefined) {
                 query += ' AND t.amount <= ?';
-                params.push(filters.max_amount);
+                params.push(money.toPaise(filters.max_amount));
             }
 
             if (filters.search) {
@@ -109,12 +119,12 @@ class Transaction {
 
             if (filters.min_amount !== undefined) {
                 countQuery += ' AND t.amount >= ?';
-                countParams.push(filters.min_amount);
+                countParams.push(money.toPaise(filters.min_amount));
             }
 
             if (filters.max_amount !== undefined) {
                 countQuery += ' AND t.amount <= ?';
-                countParams.push(filters.max_amount);
+                countParams.push(money.toPaise(filters.max_amount));
             }
 
             if (filters.search) {
@@ -127,7 +137,7 @@ class Transaction {
 
             return { 
                 success: true, 
-                transactions,
+                transactions: money.rowsToRupees(transactions, this.MONEY_FIELDS),
                 total: countResult.total,
                 limit: filters.limit || transactions.length,
                 offset: filters.offset || 0
@@ -153,7 +163,7 @@ class Transaction {
                 return { success: false, error: 'Transaction not found' };
             }
 
-            return { success: true, transaction };
+            return { success: true, transaction: money.rowToRupees(transaction, this.MONEY_FIELDS) };
         } catch (error) {
             return { success: false, error: error.message };
         }
@@ -175,7 +185,7 @@ class Transaction {
                 return { success: false, error: 'Transaction not found' };
             }
 
-            return { success: true, transaction };
+            return { success: true, transaction: money.rowToRupees(transaction, this.MONEY_FIELDS) };
         } catch (error) {
             return { success: false, error: error.message };
         }
@@ -195,7 +205,7 @@ class Transaction {
                 ORDER BY t.transaction_date DESC
             `, [today]);
 
-            return { success: true, transactions };
+            return { success: true, transactions: money.rowsToRupees(transactions, this.MONEY_FIELDS) };
         } catch (error) {
             return { success: false, error: error.message };
         }
@@ -203,7 +213,8 @@ class Transaction {
 
     static async getTransactionStats(filters = {}) {
         try {
-            let whereClause = 'WHERE 1=1';
+            // Reversed transactions and their reversals cancel out, so neither is counted
+            let whereClause = "WHERE status = 'completed' AND reversal_of IS NULL";
             const params = [];
 
             if (filters.start_date) {
@@ -241,7 +252,16 @@ class Transaction {
                 ${whereClause}
             `, params);
 
-            return { success: true, stats };
+            return {
+                success: true,
+                stats: money.rowToRupees(stats, [
+                    'total_deposit_amount',
+                    'total_withdrawal_amount',
+                    'total_transfer_in_amount',
+                    'total_transfer_out_amount',
+                    'average_transaction_amount'
+                ])
+            };
         } catch (error) {
             return { success: false, error: error.message };
         }
@@ -258,11 +278,12 @@ class Transaction {
                     SUM(CASE WHEN transaction_type IN ('transfer_in', 'transfer_out') THEN amount ELSE 0 END) as transfers
                 FROM transactions 
                 WHERE transaction_date >= datetime('now', '-${days} days')
+                  AND status = 'completed' AND reversal_of IS NULL
                 GROUP BY DATE(transaction_date)
                 ORDER BY date DESC
             `);
 
-            return { success: true, trend };
+            return { success: true, trend: money.rowsToRupees(trend, ['deposits', 'withdrawals', 'transfers']) };
         } catch (error) {
             return { success: false, error: error.message };
         }
@@ -297,7 +318,10 @@ class Transaction {
                 ORDER BY total_amount DESC
             `, params);
 
-            return { success: true, type_stats: typeStats };
+            return {
+                success: true,
+                type_stats: money.rowsToRupees(typeStats, ['total_amount', 'average_amount', 'min_amount', 'max_amount'])
+            };
         } catch (error) {
             return { success: false, error: error.message };
         }
@@ -335,7 +359,10 @@ class Transaction {
                 ${whereClause}
             `, params);
 
-            return { success: true, summary };
+            return {
+                success: true,
+                summary: money.rowToRupees(summary, ['total_deposits', 'total_withdrawals', 'total_interest'])
+            };
         } catch (error) {
             return { success: false, error: error.message };
         }
@@ -368,15 +395,23 @@ class Transaction {
                 return { success: false, error: 'Account not found' };
             }
 
-            // Get transactions
+            // Get transactions; the users who processed them are in the main database
             const transactions = await txnDb.all(`
-                SELECT t.*, u.name as processed_by_name
+                SELECT t.*
                 FROM transactions t
-                LEFT JOIN users u ON t.processed_by = u.id
                 ${whereClause}
-                ORDER BY t.transaction_date ASC
+                ORDER BY t.transaction_date ASC, t.id ASC
             `, params);
 
+            const userIds = [...new Set(transactions.map(transaction => transaction.processed_by).filter(Boolean))];
+            const users = userIds.length > 0
+                ? await mainDb.all(`SELECT id, name FROM users WHERE id IN (${userIds.map(() => '?').join(', ')})`, userIds)
+                : [];
+            const names = Object.fromEntries(users.map(user => [user.id, user.name]));
+            for (const transaction of transactions) {
+                transaction.processed_by_name = names[transaction.processed_by] || null;
+            }
+
             // Calculate opening balance
             let openingBalance = 0;
             if (filters.start_date) {
@@ -384,7 +419,7 @@ class Transaction {
                     SELECT balance_after 
                     FROM transactions 
                     WHERE account_id = ? AND transaction_date < ?
-                    ORDER BY transaction_date DESC 
+                    ORDER BY transaction_date DESC, id DESC
                     LIMIT 1
                 `, [accountId, filters.start_date + ' 00:00:00']);
                 
@@ -393,10 +428,12 @@ class Transaction {
 
             return { 
                 success: true, 
-                account,
-                transactions,
-                opening_balance: openingBalance,
-                closing_balance: transactions.length > 0 ? transactions[transactions.length - 1].balance_after : openingBalance
+                account: money.rowToRupees(account, ['balance']),
+                transactions: money.rowsToRupees(transactions, this.MONEY_FIELDS),
+                opening_balance: money.toRupees(openingBalance),
+                closing_balance: money.toRupees(transactions.length > 0 ? transactions[transactions.length - 1].balance_after : openingBalance),
+                total_credits: money.toRupees(transactions.reduce((sum, t) => sum + Math.max(0, t.balance_after - t.balance_before), 0)),
+                total_debits: money.toRupees(transactions.reduce((sum, t) => sum + Math.max(0, t.balance_before - t.balance_after), 0))
             };
         } catch (error) {
             return { success: false, error: error.message };
@@ -433,8 +470,8 @@ class Transaction {
 
             return { 
                 success: true, 
-                report,
-                summary,
+                report: money.rowsToRupees(report, ['total_amount']),
+                summary: money.rowToRupees(summary, ['total_amount']),
                 period: { year, month, start_date: startDate, end_date: endDate }
             };
         } catch (error) {
@@ -489,7 +526,7 @@ class Transaction {
 
             const transactions = await txnDb.all(query, params);
 
-            return { success: true, transactions };
+            return { success: true, transactions: money.rowsToRupees(transactions, this.MONEY_FIELDS) };
         } catch (error) {
             return { success: false, error: error.message };
         }
@@ -531,7 +568,7 @@ class Transaction {
 
             return { 
                 success: true, 
-                volume,
+                volume: money.rowsToRupees(volume, ['total_amount', 'average_amount']),
                 period_type: dateFormat,
                 days_covered: days
             };
@@ -539,6 +576,216 @@ class Transaction {
             return { success: false, error: error.message };
         }
     }
+
+    // Where each kind of transaction is stored and the model that reverses it
+    static get REVERSAL_SOURCES() {
+        return {
+            account: { table: 'transactions', model: Account },
+            fd: { table: 'fd_transactions', model: FD },
+            rd: { table: 'rd_transactions', model: RD },
+            loan: { table: 'loan_transactions', model: Loan }
+        };
+    }
+
+    // Raw transaction row (amounts in paise) that a reversal would compensate
+    static async findReversalTarget(source, transactionId) {
+        const target = this.REVERSAL_SOURCES[source];
+        if (!target) {
+            throw new Error('Invalid transaction source');
+        }
+
+        const original = await txnDb.get(`SELECT * FROM ${target.table} WHERE id = ?`, [transactionId]);
+        if (!original) {
+            throw new Error('Transaction not found');
+        }
+
+        if (original.reversal_of) {
+            throw new Error('A reversal entry cannot itself be reversed');
+        }
+
+        if (original.status === 'reversed') {
+            throw new Error('Transaction has already been reversed');
+        }
+
+        if (!target.model.REVERSIBLE_TYPES.includes(original.transaction_type)) {
+            throw new Error(`${original.transaction_type} transactions cannot be reversed`);
+        }
+
+        // An account's side of a loan or deposit transaction is reversed with that transaction
+        if (source === 'account' && ['transfer_in', 'transfer_out'].includes(original.transaction_type)
+            && original.reference_type !== 'transfer') {
+            throw new Error(`${original.transaction_id} was posted with ${original.reference_number}; reverse that transaction instead`);
+        }
+
+        return original;
+    }
+
+    // Maker step: records a reversal for a checker to approve
+    static async requestReversal(source, transactionId, reason, requestedBy) {
+        try {
+            if (!reason || !reason.trim()) {
+                throw new Error('Reversal reason is required');
+            }
+
+            const original = await this.findReversalTarget(source, transactionId);
+
+            const existing = await txnDb.get(
+                `SELECT id FROM transaction_reversals WHERE source = ? AND transaction_id = ? AND status != 'rejected'`,
+                [source, transactionId]
+            );
+            if (existing) {
+                throw new Error('A reversal has already been requested for this transaction');
+            }
+
+            const result = await txnDb.run(
+                `INSERT INTO transaction_reversals (source, transaction_id, reason, requested_by, requested_at)
+                 VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+                [source, transactionId, reason.trim(), requestedBy]
+            );
+
+            return {
+                success: true,
+                reversal_request: {
+                    id: result.id,
+                    source,
+                    transaction_id: transactionId,
+                    transaction_reference: original.transaction_id,
+                    transaction_type: original.transaction_type,
+                    amount: money.toRupees(original.amount),
+                    reason: reason.trim(),
+                    status: 'pending',
+                    requested_by: requestedBy
+                }
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Checker step: posts the compensating entries and marks the original as reversed
+    static async approveReversal(requestId, approvedBy) {
+        try {
+            const request = await txnDb.get('SELECT * FROM transaction_reversals WHERE id = ?', [requestId]);
+            if (!request) {
+                throw new Error('Reversal request not found');
+            }
+
+            if (request.status !== 'pending') {
+                throw new Error(`Reversal request is already ${request.status}`);
+            }
+
+            if (request.requested_by === approvedBy) {
+                throw new Error('A reversal must be approved by someone other than the user who requested it');
+            }
+
+            const { table, model } = this.REVERSAL_SOURCES[request.source];
+
+            const reversed = await coordinator.execute('transaction_reversal', async ({ main, txn }) => {
+                // Read the original again inside the operation so a concurrent reversal is caught
+                const original = await this.findReversalTarget(request.source, request.transaction_id);
+                const entries = await model.reverseTransaction(original, request.reason, approvedBy, { main, txn });
+
+                for (const { original: reversedRow, reversal } of entries) {
+                    // Resolve the reversal by number so a journal replay links the replayed row
+                    const marked = await txn.run(
+                        `UPDATE ${table} SET status = 'reversed', reversed_by = (SELECT id FROM ${table} WHERE transaction_id = ?)
+                         WHERE id = ? AND status = 'completed'`,
+                        [reversal.transaction_id, reversedRow.id]
+                    );
+                    if (marked.changes === 0) {
+                        throw new Error(`Transaction ${reversedRow.transaction_id} has already been reversed`);
+                    }
+                }
+
+                await txn.run(
+                    `UPDATE transaction_reversals SET status = 'approved', reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP
+                     WHERE id = ?`,
+                    [approvedBy, requestId]
+                );
+
+                return entries;
+            }, { reversal_request_id: requestId, source: request.source, transaction_id: request.transaction_id });
+
+            return {
+                success: true,
+                source: request.source,
+                original_transaction_ids: reversed.map(({ original }) => original.transaction_id),
+                reversals: reversed.map(({ reversal }) => reversal)
+            };
+        } catch (error) {
+            return { success: false, error: error.message, retry: error.code === 'BALANCE_CONFLICT' };
+        }
+    }
+
+    static async rejectReversal(requestId, rejectedBy, note) {
+        try {
+            const request = await txnDb.get('SELECT * FROM transaction_reversals WHERE id = ?', [requestId]);
+            if (!request) {
+                throw new Error('Reversal request not found');
+            }
+
+            if (request.status !== 'pending') {
+                throw new Error(`Reversal request is already ${request.status}`);
+            }
+
+            await txnDb.run(
+                `UPDATE transaction_reversals SET status = 'rejected', reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP,
+                 review_note = ? WHERE id = ? AND status = 'pending'`,
+                [rejectedBy, note || null, requestId]
+            );
+
+            return { success: true, reversal_request: { ...request, status: 'rejected', reviewed_by: rejectedBy, review_note: note || null } };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    static async getReversalRequests(filters = {}) {
+        try {
+            let query = 'SELECT * FROM transaction_reversals WHERE 1=1';
+            const params = [];
+
+            // Apply filters
+            if (filters.status) {
+                query += ' AND status = ?';
+                params.push(filters.status);
+            }
+
+            if (filters.source) {
+                query += ' AND source = ?';
+                params.push(filters.source);
+            }
+
+            query += ' ORDER BY requested_at DESC, id DESC';
+
+            // Pagination
+            if (filters.limit) {
+                query += ' LIMIT ?';
+                params.push(filters.limit);
+
+                if (filters.offset) {
+                    query += ' OFFSET ?';
+                    params.push(filters.offset);
+                }
+            }
+
+            const requests = await txnDb.all(query, params);
+
+            // Attach the transaction each request targets
+            for (const request of requests) {
+                const target = this.REVERSAL_SOURCES[request.source];
+                const original = await txnDb.get(
+                    `SELECT transaction_id, transaction_type, amount, customer_id, status, transaction_date FROM ${target.table} WHERE id = ?`,
+                    [request.transaction_id]
+                );
+                request.transaction = money.rowToRupees(original, ['amount']);
+            }
+
+            return { success: true, reversal_requests: requests };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
 }
 
 module.exports = Transaction;
\ No newline at end of file
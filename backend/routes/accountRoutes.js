@@ -2,10 +2,16 @@ const express = require('express');
 const router = express.Router();
 const Account = require('../models/Account');
 const Customer = require('../models/Customer');
+const CustomerDocument = require('../models/CustomerDocument');
+const InterestAccrual = require('../models/InterestAccrual');
+const JointHolder = require('../models/JointHolder');
+const Nominee = require('../models/Nominee');
+const holderRoutes = require('./holderRoutes');
 const AuditService = require('../utils/auditService');
 const emailService = require('../utils/emailService');
 const { authMiddleware } = require('../middleware/authMiddleware');
 const { adminOrEmployee, canApplyInterest } = require('../middleware/roleMiddleware');
+const { requireTill, counterCash } = require('../middleware/tillMiddleware');
 
 // Get all accounts
 router.get('/', authMiddleware, adminOrEmployee, async (req, res) => {
@@ -78,6 +84,66 @@ router.get('/:id', authMiddleware, adminOrEmployee, async (req, res) => {
     }
 });
 
+// Get the photo and specimen signature of each holder for the teller paying out cash
+router.get('/:id/specimen', authMiddleware, adminOrEmployee, async (req, res) => {
+    try {
+        const result = await CustomerDocument.getAccountSpecimens(parseInt(req.params.id));
+        if (!result.success) {
+            return res.status(404).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            specimen: result.specimen
+        });
+    } catch (error) {
+        console.error('Get account specimen error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Get a holder's current photo or specimen signature image
+router.get('/:id/specimen/:customerId/:type', authMiddleware, adminOrEmployee, async (req, res) => {
+    try {
+        const { type } = req.params;
+        const customerId = parseInt(req.params.customerId);
+        const specimen = await CustomerDocument.getAccountSpecimens(parseInt(req.params.id));
+        const holder = specimen.success ? specimen.specimen.holders.find(entry => entry.customer_id === customerId) : null;
+        const document = holder && ['photo', 'signature'].includes(type) ? holder[type] : null;
+
+        if (!document) {
+            return res.status(404).json({
+                success: false,
+                message: specimen.error || 'No specimen on file'
+            });
+        }
+
+        const result = await CustomerDocument.getFile(customerId, document.id);
+        if (!result.success) {
+            return res.status(404).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        res.set('Cache-Control', 'private, no-store');
+        res.type(result.file.mime_type || 'application/octet-stream');
+        res.sendFile(result.file.path);
+    } catch (error) {
+        console.error('Get account specimen image error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
 // Get account by account number
 router.get('/number/:accountNumber', authMiddleware, adminOrEmployee, async (req, res) => {
     try {
@@ -104,10 +170,44 @@ router.get('/number/:accountNumber', authMiddleware, adminOrEmployee, async (req
     }
 });
 
+// An opening balance is paid in at the counter
+const openingCash = requireTill(req => parseFloat(req.body.initial_balance) > 0);
+
 // Create new account
-router.post('/', authMiddleware, adminOrEmployee, async (req, res) => {
+router.post('/', authMiddleware, adminOrEmployee, openingCash, async (req, res) => {
     try {
-        const accountData = req.body;
+        const { kyc_override, kyc_override_reason, ...accountData } = req.body;
+
+        // Accounts are opened only for KYC-verified customers unless an admin overrides it
+        const kyc = await CustomerDocument.checkForAccount(accountData.customer_id);
+        if (!kyc.success) {
+            return res.status(400).json({
+                success: false,
+                message: kyc.error
+            });
+        }
+
+        const overridden = !kyc.verified && kyc_override === true;
+        if (!kyc.verified && !overridden) {
+            return res.status(400).json({
+                success: false,
+                message: `KYC for ${kyc.customer_name} is ${kyc.status}; verify it before opening an account`,
+                kyc_status: kyc.status
+            });
+        }
+        if (overridden && req.user.role !== 'admin') {
+            return res.status(403).json({
+                success: false,
+                message: 'Only an admin can open an account without verified KYC'
+            });
+        }
+        if (overridden && !(kyc_override_reason || '').trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'A reason is required to open an account without verified KYC'
+            });
+        }
+
         const result = await Account.create(accountData, req.user.id);
 
         if (!result.success) {
@@ -131,6 +231,17 @@ router.post('/', authMiddleware, adminOrEmployee, async (req, res) => {
             req
         );
 
+        if (overridden) {
+            await AuditService.logActivity(
+                req.user.id,
+                AuditService.ACTION_TYPES.KYC_OVERRIDE,
+                'account',
+                result.account.id,
+                `Opened account ${result.account.account_number} for ${customerName} with KYC ${kyc.status}: ${kyc_override_reason.trim()}`,
+                req
+            );
+        }
+
         res.status(201).json({
             success: true,
             message: 'Account created successfully',
@@ -146,7 +257,7 @@ router.post('/', authMiddleware, adminOrEmployee, async (req, res) => {
 });
 
 // Deposit money
-router.post('/:id/deposit', authMiddleware, adminOrEmployee, async (req, res) => {
+router.post('/:id/deposit', authMiddleware, adminOrEmployee, counterCash, async (req, res) => {
     try {
         const { id } = req.params;
         const { amount, description } = req.body;
@@ -161,7 +272,7 @@ router.post('/:id/deposit', authMiddleware, adminOrEmployee, async (req, res) =>
         const result = await Account.deposit(parseInt(id), parseFloat(amount), description, req.user.id);
 
         if (!result.success) {
-            return res.status(400).json({
+            return res.status(result.retry ? 409 : 400).json({
                 success: false,
                 message: result.error
             });
@@ -215,7 +326,7 @@ router.post('/:id/deposit', authMiddleware, adminOrEmployee, async (req, res) =>
 });
 
 // Withdraw money
-router.post('/:id/withdraw', authMiddleware, adminOrEmployee, async (req, res) => {
+router.post('/:id/withdraw', authMiddleware, adminOrEmployee, counterCash, async (req, res) => {
     try {
         const { id } = req.params;
         const { amount, description } = req.body;
@@ -227,10 +338,39 @@ router.post('/:id/withdraw', authMiddleware, adminOrEmployee, async (req, res) =
             });
         }
 
-        const result = await Account.withdraw(parseInt(id), parseFloat(amount), description, req.user.id);
+        const account = await Account.findRecordById(parseInt(id));
+        if (!account.success) {
+            return res.status(404).json({
+                success: false,
+                message: account.error
+            });
+        }
 
-        if (!result.success) {
+        // The operating mode decides which holders must give the withdrawal, and larger
+        // payouts need the teller to have checked each one's signature
+        const operators = await JointHolder.findOperators('account', parseInt(id), req.body.operated_by);
+        if (!operators.success) {
             return res.status(400).json({
+                success: false,
+                message: operators.error
+            });
+        }
+        const signature = await CustomerDocument.checkSignature(operators.holders, parseFloat(amount), req.body, req.user.id);
+        if (!signature.success) {
+            return res.status(400).json({
+                success: false,
+                message: signature.error,
+                signature_required: true
+            });
+        }
+
+        const result = await Account.withdraw(parseInt(id), parseFloat(amount), description, req.user.id, {
+            operated_by: req.body.operated_by,
+            signature_check: signature.check
+        });
+
+        if (!result.success) {
+            return res.status(result.retry ? 409 : 400).json({
                 success: false,
                 message: result.error
             });
@@ -251,6 +391,17 @@ router.post('/:id/withdraw', authMiddleware, adminOrEmployee, async (req, res) =
                 req
             );
 
+            if (signature.check) {
+                await AuditService.logActivity(
+                    req.user.id,
+                    AuditService.ACTION_TYPES.SIGNATURE_VERIFY,
+                    'account',
+                    parseInt(id),
+                    `Verified the signatures of ${CustomerDocument.describeCheck(operators.holders, signature.check)} for withdrawal ${result.transaction.transaction_id} of ₹${amount}`,
+                    req
+                );
+            }
+
             // Send transaction alert email if customer has email
             const customerResult = await Customer.findById(account.customer_id);
             if (customerResult.success && customerResult.customer.email) {
@@ -307,11 +458,12 @@ router.post('/transfer', authMiddleware, adminOrEmployee, async (req, res) => {
             parseInt(to_account_id),
             parseFloat(amount),
             description,
-            req.user.id
+            req.user.id,
+            { operated_by: req.body.operated_by }
         );
 
         if (!result.success) {
-            return res.status(400).json({
+            return res.status(result.retry ? 409 : 400).json({
                 success: false,
                 message: result.error
             });
@@ -344,11 +496,10 @@ router.post('/transfer', authMiddleware, adminOrEmployee, async (req, res) => {
     }
 });
 
-// Apply interest (admin only)
-router.post('/:id/apply-interest', authMiddleware, canApplyInterest, async (req, res) => {
+// Interest accrued and posted for an account
+router.get('/:id/interest', authMiddleware, adminOrEmployee, async (req, res) => {
     try {
-        const { id } = req.params;
-        const result = await Account.applyInterest(parseInt(id), req.user.id);
+        const result = await InterestAccrual.getAccountInterest(parseInt(req.params.id));
 
         if (!result.success) {
             return res.status(400).json({
@@ -357,31 +508,9 @@ router.post('/:id/apply-interest', authMiddleware, canApplyInterest, async (req,
             });
         }
 
-        // Get account details for logging
-        const accountResult = await Account.findById(parseInt(id));
-        if (accountResult.success) {
-            const account = accountResult.account;
-            
-            // Log interest application
-            await AuditService.logActivity(
-                req.user.id,
-                AuditService.ACTION_TYPES.INTEREST_APPLY,
-                'account',
-                parseInt(id),
-                `Applied interest ₹${result.interest_amount} to account ${account.account_number}`,
-                req
-            );
-        }
-
-        res.json({
-            success: true,
-            message: 'Interest applied successfully',
-            transaction: result.transaction,
-            interest_amount: result.interest_amount,
-            new_balance: result.new_balance
-        });
+        res.json(result);
     } catch (error) {
-        console.error('Apply interest error:', error);
+        console.error('Get account interest error:', error);
         res.status(500).json({
             success: false,
             message: 'Internal server error'
@@ -456,6 +585,16 @@ router.get('/:id/statement', authMiddleware, adminOrEmployee, async (req, res) =
             });
         }
 
+        // Who holds the account and who it passes to
+        const holding = await JointHolder.findByProduct('account', parseInt(id));
+        const nominees = await Nominee.findByProduct('account', parseInt(id));
+        if (!holding.success || !nominees.success) {
+            return res.status(500).json({
+                success: false,
+                message: holding.error || nominees.error
+            });
+        }
+
         // Log statement generation
         await AuditService.logActivity(
             req.user.id,
@@ -470,6 +609,9 @@ router.get('/:id/statement', authMiddleware, adminOrEmployee, async (req, res) =
             success: true,
             statement: {
                 account: result.account,
+                holders: holding.holding.holders,
+                operating_mode: holding.holding.operating_mode,
+                nominees: nominees.nominees,
                 transactions: result.transactions,
                 opening_balance: result.opening_balance,
                 closing_balance: result.closing_balance,
@@ -569,73 +711,108 @@ router.get('/stats/overview', authMiddleware, adminOrEmployee, async (req, res)
     }
 });
 
-// Bulk interest application (admin only)
-router.post('/bulk/apply-interest', authMiddleware, canApplyInterest, async (req, res) => {
+// Preview interest to be posted for a period (any date inside it, default the last completed period)
+router.get('/interest/preview', authMiddleware, adminOrEmployee, async (req, res) => {
     try {
-        const { account_ids } = req.body;
+        const { period, account_id } = req.query;
+        const result = await InterestAccrual.preview({
+            period,
+            account_ids: account_id ? [parseInt(account_id)] : null
+        });
 
-        if (!Array.isArray(account_ids) || account_ids.length === 0) {
+        if (!result.success) {
             return res.status(400).json({
                 success: false,
-                message: 'Valid account IDs array is required'
-            });
-        }
-
-        const results = [];
-        let successCount = 0;
-        let failureCount = 0;
-
-        for (const accountId of account_ids) {
-            try {
-                const result = await Account.applyInterest(parseInt(accountId), req.user.id);
-                if (result.success) {
-                    successCount++;
-                    results.push({
-                        account_id: accountId,
-                        success: true,
-                        interest_amount: result.interest_amount,
-                        new_balance: result.new_balance
-                    });
-                } else {
-                    failureCount++;
-                    results.push({
-                        account_id: accountId,
-                        success: false,
-                        error: result.error
-                    });
-                }
-            } catch (error) {
-                failureCount++;
-                results.push({
-                    account_id: accountId,
-                    success: false,
-                    error: error.message
-                });
-            }
+                message: result.error
+            });
         }
 
-        // Log bulk interest application
+        res.json(result);
+    } catch (error) {
+        console.error('Preview interest error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Accrue interest for every ended day of the current period (admin only)
+router.post('/interest/accrue', authMiddleware, canApplyInterest, async (req, res) => {
+    try {
+        const result = await InterestAccrual.accrue(req.body.as_of || null, req.user.id);
+
+        if (!result.success) {
+            return res.status(400).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        await AuditService.logActivity(
+            req.user.id,
+            AuditService.ACTION_TYPES.INTEREST_ACCRUE,
+            'system',
+            null,
+            `Accrued interest through ${result.as_of}: ${result.summary.days_accrued} account-days, ₹${result.summary.interest_accrued}`,
+            req
+        );
+
+        res.json({
+            success: true,
+            message: `Interest accrued through ${result.as_of}`,
+            ...result
+        });
+    } catch (error) {
+        console.error('Accrue interest error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Post accrued interest for an ended period (admin only); accounts already posted are skipped
+router.post('/interest/post', authMiddleware, canApplyInterest, async (req, res) => {
+    try {
+        const { period, account_ids } = req.body;
+
+        if (account_ids !== undefined && (!Array.isArray(account_ids) || account_ids.length === 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'account_ids must be a non-empty array when given'
+            });
+        }
+
+        const result = await InterestAccrual.post({
+            period,
+            account_ids: account_ids ? account_ids.map(id => parseInt(id)) : null
+        }, req.user.id);
+
+        if (!result.success) {
+            return res.status(400).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        const { summary } = result;
         await AuditService.logActivity(
             req.user.id,
             AuditService.ACTION_TYPES.INTEREST_APPLY,
             'system',
             null,
-            `Bulk interest application: ${successCount} successful, ${failureCount} failed`,
+            `Interest posting ${result.period_start} to ${result.period_end}: ${summary.posted} posted (₹${summary.total_interest}), ${summary.already_posted} already posted, ${summary.failed} failed`,
             req
         );
 
         res.json({
             success: true,
-            message: `Bulk interest application completed: ${successCount} successful, ${failureCount} failed`,
-            results,
-            summary: {
-                total_accounts: account_ids.length,
-                successful: successCount,
-                failed: failureCount
-            }
+            message: `Interest posting completed: ${summary.posted} posted, ${summary.already_posted} already posted, ${summary.failed} failed`,
+            ...result
         });
     } catch (error) {
-        console.error('Bulk apply interest error:', error);
+        console.error('Post interest error:', error);
         res.status(500).json({
             success: false,
             message: 'Internal server error'
@@ -643,4 +820,7 @@ router.post('/bulk/apply-interest', authMiddleware, canApplyInterest, async (req
     }
 });
 
+// Joint holders and nominees
+router.use('/:id', holderRoutes('account'));
+
 module.exports = router;
\ No newline at end of file
@@ -3,6 +3,11 @@ const router = express.Router();
 const { authMiddleware } = require('../middleware/authMiddleware');
 const { roleMiddleware } = require('../middleware/roleMiddleware');
 const { auditLog } = require('../utils/auditService');
+const AuditService = require('../utils/auditService');
+const ScheduledJob = require('../models/ScheduledJob');
+const scheduler = require('../utils/scheduler');
+const cronSchedule = require('../utils/cronSchedule');
+const settingsStore = require('../utils/settingsStore');
 const { createBackup, restoreBackup, listBackups, deleteBackup } = require('../utils/backupService');
 const multer = require('multer');
 const path = require('path');
@@ -282,7 +287,7 @@ router.get('/info/:filename', authMiddleware, roleMiddleware(['admin']), async (
   }
 });
 
-// Schedule automatic backup
+// Schedule automatic backup; updates the "backup" scheduled job
 router.post('/schedule', authMiddleware, roleMiddleware(['admin']), async (req, res) => {
   try {
     const { frequency = 'weekly', time = '02:00', enabled = true } = req.body;
@@ -304,17 +309,48 @@ router.post('/schedule', authMiddleware, roleMiddleware(['admin']), async (req,
       });
     }
 
-    // Save schedule settings (this would typically be saved to settings)
+    // Daily, every Sunday or on the 1st of the month
+    const [hour, minute] = time.split(':').map(Number);
+    const days = { daily: '* * *', weekly: '* * 0', monthly: '1 * *' };
+    const isEnabled = enabled === true || enabled === 'true';
+
+    const result = await ScheduledJob.update('backup', {
+      cron_expression: `${minute} ${hour} ${days[frequency]}`,
+      enabled: isEnabled
+    });
+
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    await scheduler.reschedule('backup');
+
+    // Keep the system settings shown on the Settings page in step
+    const settings = await settingsStore.read();
+    settings.system = { ...settings.system, autoBackup: isEnabled, backupFrequency: frequency };
+    await settingsStore.write(settings);
+
+    const lastRun = (await ScheduledJob.getRuns({ job_name: 'backup', limit: 1 })).runs || [];
+    const nextRun = isEnabled ? cronSchedule.next(result.job.cron_expression) : null;
+
     const scheduleConfig = {
       frequency,
       time,
-      enabled: enabled === true || enabled === 'true',
-      lastRun: null,
-      nextRun: null // This would be calculated based on frequency and time
+      enabled: isEnabled,
+      cron_expression: result.job.cron_expression,
+      lastRun: lastRun.length > 0 ? lastRun[0].started_at : null,
+      nextRun: nextRun ? ScheduledJob.toTimestamp(nextRun) : null
     };
 
     // Log the action
-    await auditLog(req.user.id, 'SCHEDULE', 'BACKUP', `Configured automatic backup: ${frequency} at ${time}`);
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.JOB_UPDATE,
+      'scheduled_job',
+      result.job.id,
+      `Configured automatic backup: ${isEnabled ? `${frequency} at ${time}` : 'disabled'}`,
+      req
+    );
 
     res.json({ 
       success: true, 
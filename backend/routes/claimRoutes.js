@@ -0,0 +1,320 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const { authMiddleware } = require('../middleware/authMiddleware');
+const { adminOnly, adminOrEmployee } = require('../middleware/roleMiddleware');
+const { requireTill } = require('../middleware/tillMiddleware');
+const AuditService = require('../utils/auditService');
+const CustomerDocument = require('../models/CustomerDocument');
+const DeceasedClaim = require('../models/DeceasedClaim');
+
+// Documents are held in memory so they can be checked before anything is written
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: CustomerDocument.MAX_FILE_SIZE,
+    files: 1
+  }
+});
+
+// Takes one document from the 'file' field, answering upload errors as bad requests
+const receiveDocument = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 'LIMIT_FILE_SIZE'
+          ? `File is larger than ${CustomerDocument.MAX_FILE_SIZE / (1024 * 1024)} MB`
+          : error.message
+      });
+    }
+    next();
+  });
+};
+
+const statusCode = (error) => (error === 'Claim not found' ? 404 : 400);
+
+// List claims, optionally by status or customer
+router.get('/', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const { status, customer_id } = req.query;
+    const result = await DeceasedClaim.findAll({
+      status,
+      customer_id: customer_id ? parseInt(customer_id) : undefined
+    });
+
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, claims: result.claims, document_types: DeceasedClaim.DOCUMENT_TYPES });
+  } catch (error) {
+    console.error('Error fetching claims:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch claims' });
+  }
+});
+
+// Record a member's death and open the claim on their products
+router.post('/', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const result = await DeceasedClaim.open({
+      ...req.body,
+      customer_id: req.body.customer_id ? parseInt(req.body.customer_id) : null
+    }, req.user.id);
+
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    const { claim } = result;
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.CUSTOMER_DECEASED,
+      'customer',
+      claim.customer_id,
+      `Recorded the death of ${claim.customer_name} on ${claim.date_of_death} and opened claim ${claim.claim_number}: `
+        + `${claim.settlement.products.length} product(s) and ${claim.settlement.loans.length} loan(s) frozen, `
+        + `${claim.survivorship.length} passed to surviving holders`,
+      req
+    );
+
+    res.status(201).json({ success: true, message: 'Death recorded and claim opened', claim });
+  } catch (error) {
+    console.error('Error opening claim:', error);
+    res.status(500).json({ success: false, message: 'Failed to open claim' });
+  }
+});
+
+// Claim details with the settlement as it would be paid today
+router.get('/:id', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const result = await DeceasedClaim.findById(parseInt(req.params.id));
+
+    if (!result.success) {
+      return res.status(statusCode(result.error)).json({ success: false, message: result.error });
+    }
+
+    res.json({
+      success: true,
+      claim: result.claim,
+      document_types: DeceasedClaim.DOCUMENT_TYPES,
+      payout_modes: DeceasedClaim.PAYOUT_MODES
+    });
+  } catch (error) {
+    console.error('Error fetching claim:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch claim' });
+  }
+});
+
+// Settlement statement of a settled claim
+router.get('/:id/statement', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const result = await DeceasedClaim.getStatement(parseInt(req.params.id));
+
+    if (!result.success) {
+      return res.status(statusCode(result.error)).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, statement: result.statement });
+  } catch (error) {
+    console.error('Error fetching settlement statement:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch settlement statement' });
+  }
+});
+
+// Upload a claim document (multipart: document_type, file)
+router.post('/:id/documents', authMiddleware, adminOrEmployee, receiveDocument, async (req, res) => {
+  try {
+    const claimId = parseInt(req.params.id);
+    const result = await DeceasedClaim.uploadDocument(claimId, req.body.document_type, req.file, req.user.id);
+
+    if (!result.success) {
+      return res.status(statusCode(result.error)).json({ success: false, message: result.error });
+    }
+
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.CLAIM_DOCUMENT_UPLOAD,
+      'claim',
+      claimId,
+      `Uploaded ${result.document.label} for claim ${result.claim_number}`,
+      req
+    );
+
+    res.status(201).json({ success: true, message: `${result.document.label} uploaded`, document: result.document });
+  } catch (error) {
+    console.error('Error uploading claim document:', error);
+    res.status(500).json({ success: false, message: 'Failed to upload claim document' });
+  }
+});
+
+// The file of a claim document
+router.get('/:id/documents/:documentId/file', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const result = await DeceasedClaim.getDocumentFile(parseInt(req.params.id), parseInt(req.params.documentId));
+
+    if (!result.success) {
+      return res.status(404).json({ success: false, message: result.error });
+    }
+
+    res.set('Cache-Control', 'private, no-store');
+    res.type(result.file.mime_type || 'application/octet-stream');
+    res.sendFile(result.file.path);
+  } catch (error) {
+    console.error('Error fetching claim document:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch claim document' });
+  }
+});
+
+// Replace the legal heirs who share the products without nominees
+router.put('/:id/heirs', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const claimId = parseInt(req.params.id);
+    const heirs = Array.isArray(req.body.heirs)
+      ? req.body.heirs.map(heir => ({
+        ...heir,
+        customer_id: heir.customer_id ? parseInt(heir.customer_id) : null,
+        payout_account_id: heir.payout_account_id ? parseInt(heir.payout_account_id) : null
+      }))
+      : req.body.heirs;
+    const result = await DeceasedClaim.setHeirs(claimId, heirs, req.user.id);
+
+    if (!result.success) {
+      return res.status(statusCode(result.error)).json({ success: false, message: result.error });
+    }
+
+    const names = result.claim.claimants
+      .filter(claimant => claimant.claimant_type === 'heir')
+      .map(heir => `${heir.name} ${heir.share_percent}%`)
+      .join(', ');
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.CLAIM_UPDATE,
+      'claim',
+      claimId,
+      `Set legal heirs of claim ${result.claim.claim_number}: ${names || 'none'}`,
+      req
+    );
+
+    res.json({ success: true, message: 'Legal heirs updated', claim: result.claim });
+  } catch (error) {
+    console.error('Error updating legal heirs:', error);
+    res.status(500).json({ success: false, message: 'Failed to update legal heirs' });
+  }
+});
+
+// Set how a claimant is paid
+router.put('/:id/claimants/:claimantId/payout', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const claimId = parseInt(req.params.id);
+    const result = await DeceasedClaim.setPayout(claimId, parseInt(req.params.claimantId), {
+      payout_mode: req.body.payout_mode,
+      payout_account_id: req.body.payout_account_id ? parseInt(req.body.payout_account_id) : null
+    });
+
+    if (!result.success) {
+      return res.status(statusCode(result.error)).json({ success: false, message: result.error });
+    }
+
+    const claimant = result.claim.claimants.find(entry => entry.id === parseInt(req.params.claimantId));
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.CLAIM_UPDATE,
+      'claim',
+      claimId,
+      `Set payout of ${claimant.name} on claim ${result.claim.claim_number} to `
+        + (claimant.payout_mode === 'account' ? `account ${claimant.payout_account_number}` : 'cash'),
+      req
+    );
+
+    res.json({ success: true, message: 'Payout updated', claim: result.claim });
+  } catch (error) {
+    console.error('Error updating claim payout:', error);
+    res.status(500).json({ success: false, message: 'Failed to update payout' });
+  }
+});
+
+// Submit the claim for approval (maker)
+router.post('/:id/submit', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const claimId = parseInt(req.params.id);
+    const result = await DeceasedClaim.submit(claimId, req.user.id);
+
+    if (!result.success) {
+      return res.status(statusCode(result.error)).json({ success: false, message: result.error });
+    }
+
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.CLAIM_SUBMIT,
+      'claim',
+      claimId,
+      `Submitted claim ${result.claim.claim_number} for approval, ₹${result.claim.submitted_amount} payable`,
+      req
+    );
+
+    res.json({ success: true, message: 'Claim submitted for approval', claim: result.claim });
+  } catch (error) {
+    console.error('Error submitting claim:', error);
+    res.status(500).json({ success: false, message: 'Failed to submit claim' });
+  }
+});
+
+// Claimants paid in cash are paid from the approver's till
+const cashPayouts = requireTill(req => DeceasedClaim.paysCash(parseInt(req.params.id)));
+
+// Approve and settle a submitted claim (checker, Admin only)
+router.post('/:id/approve', authMiddleware, adminOnly, cashPayouts, async (req, res) => {
+  try {
+    const claimId = parseInt(req.params.id);
+    const result = await DeceasedClaim.approve(claimId, req.user.id, req.body.expected_amount);
+
+    if (!result.success) {
+      return res.status(result.quote_changed ? 409 : statusCode(result.error)).json({ success: false, message: result.error });
+    }
+
+    const { claim } = result;
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.CLAIM_APPROVE,
+      'claim',
+      claimId,
+      `Approved and settled claim ${claim.claim_number} of ${claim.customer_name}: ₹${claim.settlement.totals.payable} paid, `
+        + `₹${claim.settlement.totals.loans_recovered} recovered against loans`,
+      req
+    );
+
+    res.json({ success: true, message: 'Claim settled', claim });
+  } catch (error) {
+    console.error('Error approving claim:', error);
+    res.status(500).json({ success: false, message: 'Failed to approve claim' });
+  }
+});
+
+// Send a submitted claim back for correction (Admin only)
+router.post('/:id/reject', authMiddleware, adminOnly, async (req, res) => {
+  try {
+    const claimId = parseInt(req.params.id);
+    const result = await DeceasedClaim.reject(claimId, req.body.reason, req.user.id);
+
+    if (!result.success) {
+      return res.status(statusCode(result.error)).json({ success: false, message: result.error });
+    }
+
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.CLAIM_REJECT,
+      'claim',
+      claimId,
+      `Rejected claim ${result.claim.claim_number}: ${result.claim.rejection_reason}`,
+      req
+    );
+
+    res.json({ success: true, message: 'Claim sent back for correction', claim: result.claim });
+  } catch (error) {
+    console.error('Error rejecting claim:', error);
+    res.status(500).json({ success: false, message: 'Failed to reject claim' });
+  }
+});
+
+module.exports = router;
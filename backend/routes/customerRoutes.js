@@ -1,11 +1,40 @@
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
 const Customer = require('../models/Customer');
+const CustomerDocument = require('../models/CustomerDocument');
 const AuditService = require('../utils/auditService');
 const emailService = require('../utils/emailService');
 const { authMiddleware } = require('../middleware/authMiddleware');
 const { adminOrEmployee } = require('../middleware/roleMiddleware');
 
+// Documents are held in memory so they can be checked before anything is written
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: CustomerDocument.MAX_FILE_SIZE,
+        files: 1
+    }
+});
+
+// Takes one document from the 'file' field, answering upload errors as bad requests
+const receiveDocument = (req, res, next) => {
+    upload.single('file')(req, res, (error) => {
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.code === 'LIMIT_FILE_SIZE'
+                    ? `File is larger than ${CustomerDocument.MAX_FILE_SIZE / (1024 * 1024)} MB`
+                    : error.message
+            });
+        }
+        next();
+    });
+};
+
+// Employees work only with customers they created
+const canAccessCustomer = (req, customer) => req.user.role !== 'employee' || customer.created_by === req.user.id;
+
 // Get all customers
 router.get('/', authMiddleware, adminOrEmployee, async (req, res) => {
     try {
@@ -13,11 +42,13 @@ router.get('/', authMiddleware, adminOrEmployee, async (req, res) => {
             search,
             limit = 50,
             offset = 0,
-            created_by
+            created_by,
+            kyc_status
         } = req.query;
 
         const filters = {
             search,
+            kyc_status,
             limit: parseInt(limit),
             offset: parseInt(offset)
         };
@@ -318,6 +349,172 @@ router.get('/:id/summary', authMiddleware, adminOrEmployee, async (req, res) =>
     }
 });
 
+
+// Get a customer's KYC status, review history and document versions
+router.get('/:id/kyc', authMiddleware, adminOrEmployee, async (req, res) => {
+    try {
+        const result = await CustomerDocument.getKyc(parseInt(req.params.id));
+
+        if (!result.success || !canAccessCustomer(req, result.kyc)) {
+            return res.status(404).json({
+                success: false,
+                message: result.error || 'Customer not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            kyc: result.kyc,
+            document_types: CustomerDocument.TYPES,
+            max_file_size: CustomerDocument.MAX_FILE_SIZE
+        });
+    } catch (error) {
+        console.error('Get customer KYC error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Get the file of a customer document, or its thumbnail (?variant=thumbnail)
+router.get('/:id/documents/:documentId/file', authMiddleware, adminOrEmployee, async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const customer = await Customer.findById(id);
+
+        if (!customer.success || !canAccessCustomer(req, customer.customer)) {
+            return res.status(404).json({
+                success: false,
+                message: customer.error || 'Customer not found'
+            });
+        }
+
+        const result = await CustomerDocument.getFile(id, parseInt(req.params.documentId), req.query.variant);
+        if (!result.success) {
+            return res.status(404).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        res.set('Cache-Control', 'private, no-store');
+        res.type(result.file.mime_type || 'application/octet-stream');
+        res.sendFile(result.file.path);
+    } catch (error) {
+        console.error('Get customer document file error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Upload a new version of a customer document (multipart: document_type, file)
+router.post('/:id/documents', authMiddleware, adminOrEmployee, receiveDocument, async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const customer = await Customer.findById(id);
+
+        if (!customer.success || !canAccessCustomer(req, customer.customer)) {
+            return res.status(404).json({
+                success: false,
+                message: customer.error || 'Customer not found'
+            });
+        }
+
+        const result = await CustomerDocument.upload(id, req.body.document_type, req.file, req.user.id);
+
+        if (!result.success) {
+            return res.status(400).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        const { document } = result;
+        await AuditService.logActivity(
+            req.user.id,
+            AuditService.ACTION_TYPES.DOCUMENT_UPLOAD,
+            'customer',
+            id,
+            `Uploaded ${document.label} version ${document.version} for customer: ${customer.customer.name}${result.kyc_reset ? ' (KYC back to pending)' : ''}`,
+            req
+        );
+
+        res.status(201).json({
+            success: true,
+            message: `${document.label} uploaded`,
+            document,
+            kyc_reset: result.kyc_reset
+        });
+    } catch (error) {
+        console.error('Upload customer document error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Verify or reject a customer's KYC
+router.post('/:id/kyc/:decision', authMiddleware, adminOrEmployee, async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const { decision } = req.params;
+
+        if (!['verify', 'reject'].includes(decision)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Unknown KYC decision'
+            });
+        }
+
+        const customer = await Customer.findById(id);
+        if (!customer.success || !canAccessCustomer(req, customer.customer)) {
+            return res.status(404).json({
+                success: false,
+                message: customer.error || 'Customer not found'
+            });
+        }
+
+        const { remarks } = req.body;
+        const result = decision === 'verify'
+            ? await CustomerDocument.verify(id, remarks, req.user.id)
+            : await CustomerDocument.reject(id, remarks, req.user.id);
+
+        if (!result.success) {
+            return res.status(400).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        await AuditService.logActivity(
+            req.user.id,
+            decision === 'verify' ? AuditService.ACTION_TYPES.KYC_VERIFY : AuditService.ACTION_TYPES.KYC_REJECT,
+            'customer',
+            id,
+            decision === 'verify'
+                ? `Verified KYC for customer: ${customer.customer.name}, due for re-verification on ${result.kyc.kyc_due_date}`
+                : `Rejected KYC for customer: ${customer.customer.name} (${result.kyc.kyc_remarks})`,
+            req
+        );
+
+        res.json({
+            success: true,
+            message: decision === 'verify' ? 'KYC verified' : 'KYC rejected',
+            kyc: result.kyc
+        });
+    } catch (error) {
+        console.error('KYC decision error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
 // Get customer statistics
 router.get('/stats/overview', authMiddleware, adminOrEmployee, async (req, res) => {
     try {
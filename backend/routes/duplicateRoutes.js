@@ -0,0 +1,152 @@
+const express = require('express');
+const router = express.Router();
+const { authMiddleware } = require('../middleware/authMiddleware');
+const { adminOnly } = require('../middleware/roleMiddleware');
+const AuditService = require('../utils/auditService');
+const CustomerDuplicate = require('../models/CustomerDuplicate');
+
+const statusCode = (error) => (['Duplicate not found', 'Customer not found'].includes(error) ? 404 : 400);
+
+// What a merge moved, for the audit log
+const describeMoved = (merge) => {
+  const { holders_removed: removed, ...moved } = merge.moved_counts;
+  const rows = Object.entries(moved).map(([table, count]) => `${count} ${table.replace(/_/g, ' ')}`);
+  return (rows.join(', ') || 'nothing')
+    + (removed ? `; removed ${removed} joint holding(s) the two records shared` : '');
+};
+
+// Merges one customer into another and records it in the audit log
+const mergeCustomers = async (req, res, survivorId, mergedId, duplicateId) => {
+  const result = await CustomerDuplicate.merge(survivorId, mergedId, req.user.id, {
+    duplicateId,
+    note: req.body.note ? req.body.note.trim() : null
+  });
+
+  if (!result.success) {
+    return res.status(statusCode(result.error)).json({ success: false, message: result.error });
+  }
+
+  const { merge } = result;
+  await AuditService.logActivity(
+    req.user.id,
+    AuditService.ACTION_TYPES.CUSTOMER_MERGE,
+    'customer',
+    merge.surviving_customer_id,
+    `Merged customer #${merge.merged_customer_id} (${merge.merged_record.name}) into #${merge.surviving_customer_id} `
+      + `(${merge.surviving_name}), moving ${describeMoved(merge)}`,
+    req
+  );
+
+  res.json({ success: true, message: 'Customers merged', merge });
+};
+
+// Review queue, pending by default
+router.get('/', authMiddleware, adminOnly, async (req, res) => {
+  try {
+    const result = await CustomerDuplicate.findAll({ status: req.query.status });
+
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, duplicates: result.duplicates });
+  } catch (error) {
+    console.error('Error fetching duplicates:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch duplicates' });
+  }
+});
+
+// Merge history, optionally for one customer
+router.get('/merges', authMiddleware, adminOnly, async (req, res) => {
+  try {
+    const { customer_id } = req.query;
+    const result = await CustomerDuplicate.findMerges({
+      customer_id: customer_id ? parseInt(customer_id) : undefined
+    });
+
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, merges: result.merges });
+  } catch (error) {
+    console.error('Error fetching merges:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch merges' });
+  }
+});
+
+// Merge two customers that were not raised by the scan
+router.post('/merge', authMiddleware, adminOnly, async (req, res) => {
+  try {
+    const survivorId = parseInt(req.body.surviving_customer_id);
+    const mergedId = parseInt(req.body.merged_customer_id);
+    await mergeCustomers(req, res, survivorId, mergedId, null);
+  } catch (error) {
+    console.error('Error merging customers:', error);
+    res.status(500).json({ success: false, message: 'Failed to merge customers' });
+  }
+});
+
+// A pair side by side, with what each holds and what blocks merging them
+router.get('/:id', authMiddleware, adminOnly, async (req, res) => {
+  try {
+    const result = await CustomerDuplicate.findById(parseInt(req.params.id));
+
+    if (!result.success) {
+      return res.status(statusCode(result.error)).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, duplicate: result.duplicate });
+  } catch (error) {
+    console.error('Error fetching duplicate:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch duplicate' });
+  }
+});
+
+// Mark a pair as different people so it is not raised again
+router.post('/:id/dismiss', authMiddleware, adminOnly, async (req, res) => {
+  try {
+    const result = await CustomerDuplicate.dismiss(parseInt(req.params.id), req.body.note, req.user.id);
+
+    if (!result.success) {
+      return res.status(statusCode(result.error)).json({ success: false, message: result.error });
+    }
+
+    const { duplicate } = result;
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.DUPLICATE_DISMISS,
+      'customer',
+      duplicate.customer_id,
+      `Dismissed possible duplicate: customers #${duplicate.customer_id} and #${duplicate.duplicate_customer_id} `
+        + `are different people (${duplicate.review_note})`,
+      req
+    );
+
+    res.json({ success: true, message: 'Marked as different people', duplicate });
+  } catch (error) {
+    console.error('Error dismissing duplicate:', error);
+    res.status(500).json({ success: false, message: 'Failed to dismiss duplicate' });
+  }
+});
+
+// Merge a queued pair into the customer chosen to survive
+router.post('/:id/merge', authMiddleware, adminOnly, async (req, res) => {
+  try {
+    const duplicateId = parseInt(req.params.id);
+    const found = await CustomerDuplicate.findById(duplicateId);
+    if (!found.success) {
+      return res.status(statusCode(found.error)).json({ success: false, message: found.error });
+    }
+
+    const survivorId = parseInt(req.body.surviving_customer_id);
+    const { customer_id, duplicate_customer_id } = found.duplicate;
+    const mergedId = survivorId === customer_id ? duplicate_customer_id : customer_id;
+    await mergeCustomers(req, res, survivorId, mergedId, duplicateId);
+  } catch (error) {
+    console.error('Error merging customers:', error);
+    res.status(500).json({ success: false, message: 'Failed to merge customers' });
+  }
+});
+
+module.exports = router;
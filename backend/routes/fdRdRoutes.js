@@ -2,32 +2,93 @@ const express = require('express');
 const router = express.Router();
 const FD = require('../models/FD');
 const RD = require('../models/RD');
-const Customer = require('../models/Customer');
+const AuditService = require('../utils/auditService');
+const { recordMaturity } = require('../utils/fdMaturity');
+const holderRoutes = require('./holderRoutes');
 const { authMiddleware } = require('../middleware/authMiddleware');
-const { roleMiddleware } = require('../middleware/roleMiddleware');
-const { auditLog } = require('../utils/auditService');
+const { adminOnly, adminOrEmployee } = require('../middleware/roleMiddleware');
+const { counterCash } = require('../middleware/tillMiddleware');
+
+// Penalty terms of a premature closure quote, for the audit log
+const penaltySummary = (quote) => {
+  if (!quote.is_premature) {
+    return '';
+  }
+  return ` (rules from ${quote.effective_from}: ${quote.applied_rate}% applied of ${quote.contracted_rate}% contracted`
+    + `${quote.within_lock_in ? ', within lock-in' : ''}${quote.flat_fee > 0 ? `, fee ₹${quote.flat_fee}` : ''})`;
+};
 
 // FD Routes
 
 // Get all FDs
-router.get('/fd', authMiddleware, async (req, res) => {
+router.get('/fd', authMiddleware, adminOrEmployee, async (req, res) => {
   try {
-    const fds = await FD.getAll();
-    res.json({ success: true, data: fds });
+    const { customer_id, status, search, maturity_from, maturity_to, limit = 50, offset = 0 } = req.query;
+
+    const result = await FD.findAll({
+      customer_id: customer_id ? parseInt(customer_id) : undefined,
+      status,
+      search,
+      maturity_from,
+      maturity_to,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, fds: result.fds, limit: parseInt(limit), offset: parseInt(offset) });
   } catch (error) {
     console.error('Error fetching FDs:', error);
     res.status(500).json({ success: false, message: 'Failed to fetch FDs' });
   }
 });
 
-// Get FD by ID
-router.get('/fd/:id', authMiddleware, async (req, res) => {
+// Get FDs maturing soon
+router.get('/fd/maturity-list', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const { days = 30 } = req.query;
+    const result = await FD.getMaturityList(parseInt(days));
+
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, maturing_fds: result.maturing_fds });
+  } catch (error) {
+    console.error('Error fetching FD maturity list:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch FD maturity list' });
+  }
+});
+
+// Get FD statistics
+router.get('/fd/stats/overview', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const result = await FD.getStats();
+
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, stats: result.stats });
+  } catch (error) {
+    console.error('Error fetching FD stats:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch FD stats' });
+  }
+});
+
+// Get FD by FD number
+router.get('/fd/number/:fdNumber', authMiddleware, adminOrEmployee, async (req, res) => {
   try {
-    const fd = await FD.getById(req.params.id);
-    if (!fd) {
-      return res.status(404).json({ success: false, message: 'FD not found' });
+    const result = await FD.findByFDNumber(req.params.fdNumber);
+
+    if (!result.success) {
+      return res.status(404).json({ success: false, message: result.error });
     }
-    res.json({ success: true, data: fd });
+
+    res.json({ success: true, fd: result.fd });
   } catch (error) {
     console.error('Error fetching FD:', error);
     res.status(500).json({ success: false, message: 'Failed to fetch FD' });
@@ -35,66 +96,74 @@ router.get('/fd/:id', authMiddleware, async (req, res) => {
 });
 
 // Get FDs by customer ID
-router.get('/fd/customer/:customerId', authMiddleware, async (req, res) => {
+router.get('/fd/customer/:customerId', authMiddleware, adminOrEmployee, async (req, res) => {
   try {
-    const fds = await FD.getByCustomerId(req.params.customerId);
-    res.json({ success: true, data: fds });
+    const result = await FD.findAll({ customer_id: parseInt(req.params.customerId) });
+
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, fds: result.fds });
   } catch (error) {
     console.error('Error fetching customer FDs:', error);
     res.status(500).json({ success: false, message: 'Failed to fetch customer FDs' });
   }
 });
 
-// Create new FD
-router.post('/fd', authMiddleware, async (req, res) => {
+// Get FD by ID
+router.get('/fd/:id', authMiddleware, adminOrEmployee, async (req, res) => {
   try {
-    const { customerId, amount, interestRate, tenure, maturityDate } = req.body;
-
-    // Validate required fields
-    if (!customerId || !amount || !interestRate || !tenure) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Customer ID, amount, interest rate, and tenure are required' 
-      });
+    const result = await FD.findById(parseInt(req.params.id));
+
+    if (!result.success) {
+      return res.status(404).json({ success: false, message: result.error });
     }
 
-    // Verify customer exists
-    const customer = await Customer.getById(customerId);
-    if (!customer) {
-      return res.status(404).json({ success: false, message: 'Customer not found' });
+    res.json({ success: true, fd: result.fd });
+  } catch (error) {
+    console.error('Error fetching FD:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch FD' });
+  }
+});
+
+// Get FD transactions
+router.get('/fd/:id/transactions', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const result = await FD.getTransactionHistory(parseInt(req.params.id), {
+      transaction_type: req.query.transaction_type
+    });
+
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
     }
 
-    // Calculate maturity date if not provided
-    let calculatedMaturityDate = maturityDate;
-    if (!calculatedMaturityDate) {
-      const startDate = new Date();
-      calculatedMaturityDate = new Date(startDate.setFullYear(startDate.getFullYear() + tenure));
+    res.json({ success: true, transactions: result.transactions });
+  } catch (error) {
+    console.error('Error fetching FD transactions:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch FD transactions' });
+  }
+});
+
+// Create new FD
+router.post('/fd', authMiddleware, adminOrEmployee, counterCash, async (req, res) => {
+  try {
+    const result = await FD.create(req.body, req.user.id);
+
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error });
     }
 
-    // Calculate maturity amount (compound interest)
-    const maturityAmount = amount * Math.pow(1 + (interestRate / 100), tenure);
-
-    const fdData = {
-      customerId,
-      amount: parseFloat(amount),
-      interestRate: parseFloat(interestRate),
-      tenure: parseInt(tenure),
-      maturityDate: calculatedMaturityDate,
-      maturityAmount: parseFloat(maturityAmount.toFixed(2)),
-      status: 'active'
-    };
-
-    const fdId = await FD.create(fdData);
-    const newFd = await FD.getById(fdId);
-
-    // Log the action
-    await auditLog(req.user.id, 'CREATE', 'FD', `Created FD ${fdId} for customer ${customerId}`);
-
-    res.status(201).json({ 
-      success: true, 
-      message: 'FD created successfully', 
-      data: newFd 
-    });
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.FD_CREATE,
+      'fd',
+      result.fd.id,
+      `Created FD ${result.fd.fd_number} of ₹${result.fd.principal_amount} for customer ${result.fd.customer_id}`,
+      req
+    );
+
+    res.status(201).json({ success: true, message: 'FD created successfully', fd: result.fd });
   } catch (error) {
     console.error('Error creating FD:', error);
     res.status(500).json({ success: false, message: 'Failed to create FD' });
@@ -102,72 +171,78 @@ router.post('/fd', authMiddleware, async (req, res) => {
 });
 
 // Update FD
-router.put('/fd/:id', authMiddleware, roleMiddleware(['admin']), async (req, res) => {
+router.put('/fd/:id', authMiddleware, adminOnly, async (req, res) => {
   try {
-    const fdId = req.params.id;
-    const updates = req.body;
-
-    const existingFd = await FD.getById(fdId);
-    if (!existingFd) {
-      return res.status(404).json({ success: false, message: 'FD not found' });
-    }
+    const fdId = parseInt(req.params.id);
+    const result = await FD.update(fdId, req.body);
 
-    // Recalculate maturity amount if amount, rate, or tenure changed
-    if (updates.amount || updates.interestRate || updates.tenure) {
-      const amount = updates.amount || existingFd.amount;
-      const rate = updates.interestRate || existingFd.interestRate;
-      const tenure = updates.tenure || existingFd.tenure;
-      updates.maturityAmount = amount * Math.pow(1 + (rate / 100), tenure);
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error });
     }
 
-    await FD.update(fdId, updates);
-    const updatedFd = await FD.getById(fdId);
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.FD_UPDATE,
+      'fd',
+      fdId,
+      `Updated FD ${result.fd.fd_number}`,
+      req
+    );
 
-    // Log the action
-    await auditLog(req.user.id, 'UPDATE', 'FD', `Updated FD ${fdId}`);
-
-    res.json({ 
-      success: true, 
-      message: 'FD updated successfully', 
-      data: updatedFd 
-    });
+    res.json({ success: true, message: 'FD updated successfully', fd: result.fd });
   } catch (error) {
     console.error('Error updating FD:', error);
     res.status(500).json({ success: false, message: 'Failed to update FD' });
   }
 });
 
-// Close/Mature FD
-router.post('/fd/:id/close', authMiddleware, roleMiddleware(['admin']), async (req, res) => {
+// Closure quote: what closing now would pay, with the premature penalty breakdown
+router.get('/fd/:id/closure-quote', authMiddleware, adminOrEmployee, async (req, res) => {
   try {
-    const fdId = req.params.id;
-    const { prematureClosing = false, closingAmount } = req.body;
+    const fdId = parseInt(req.params.id);
+    const isPremature = req.query.is_premature === 'true';
 
-    const fd = await FD.getById(fdId);
-    if (!fd) {
-      return res.status(404).json({ success: false, message: 'FD not found' });
-    }
+    const result = await FD.getClosureQuote(fdId, isPremature);
 
-    if (fd.status !== 'active') {
-      return res.status(400).json({ success: false, message: 'FD is not active' });
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error });
     }
 
-    const updates = {
-      status: prematureClosing ? 'closed_premature' : 'matured',
-      closingDate: new Date().toISOString(),
-      actualAmount: closingAmount || fd.maturityAmount
-    };
+    res.json({ success: true, fd_number: result.fd_number, quote: result.quote });
+  } catch (error) {
+    console.error('Error quoting FD closure:', error);
+    res.status(500).json({ success: false, message: 'Failed to quote FD closure' });
+  }
+});
+
+// Close/Mature FD
+router.post('/fd/:id/close', authMiddleware, adminOnly, counterCash, async (req, res) => {
+  try {
+    const fdId = parseInt(req.params.id);
+    const { is_premature = false, quoted_amount = null } = req.body;
 
-    await FD.update(fdId, updates);
-    const closedFd = await FD.getById(fdId);
+    const result = await FD.close(fdId, req.user.id, is_premature, quoted_amount);
 
-    // Log the action
-    await auditLog(req.user.id, 'CLOSE', 'FD', `Closed FD ${fdId} - ${prematureClosing ? 'Premature' : 'Matured'}`);
+    if (!result.success) {
+      return res.status(result.quote_changed ? 409 : 400).json({ success: false, message: result.error });
+    }
 
-    res.json({ 
-      success: true, 
-      message: `FD ${prematureClosing ? 'closed prematurely' : 'matured'} successfully`, 
-      data: closedFd 
+    await AuditService.logActivity(
+      req.user.id,
+      result.is_premature ? AuditService.ACTION_TYPES.FD_PREMATURE_CLOSE : AuditService.ACTION_TYPES.FD_CLOSE,
+      'fd',
+      fdId,
+      `Closed FD ${fdId} ${result.is_premature ? 'prematurely' : 'on maturity'} - paid ₹${result.closure_amount}${penaltySummary(result.quote)}`,
+      req
+    );
+
+    res.json({
+      success: true,
+      message: `FD ${result.is_premature ? 'closed prematurely' : 'matured'} successfully`,
+      transaction: result.transaction,
+      closure_amount: result.closure_amount,
+      is_premature: result.is_premature,
+      quote: result.quote
     });
   } catch (error) {
     console.error('Error closing FD:', error);
@@ -175,27 +250,125 @@ router.post('/fd/:id/close', authMiddleware, roleMiddleware(['admin']), async (r
   }
 });
 
+// Carry out a matured FD's maturity instruction now instead of waiting for the maturity job
+router.post('/fd/:id/process-maturity', authMiddleware, adminOnly, async (req, res) => {
+  try {
+    const fdId = parseInt(req.params.id);
+    const result = await FD.processMaturity(fdId, req.user.id);
+
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    await recordMaturity(result, req.user.id, req);
+
+    res.json({
+      success: true,
+      message: result.renewed_fd ? `FD renewed as ${result.renewed_fd.fd_number}`
+        : result.loan_adjustment_amount > 0 ? `FD maturity adjusted against loan ${result.fd.adjusted_loan_number}`
+        : 'FD maturity paid to savings',
+      transaction: result.transaction,
+      maturity_amount: result.maturity_amount,
+      loan_adjustment_amount: result.loan_adjustment_amount,
+      loan_adjustment_transaction: result.loan_adjustment_transaction,
+      payout_amount: result.payout_amount,
+      payout_transaction: result.payout_transaction,
+      renewed_fd: result.renewed_fd
+    });
+  } catch (error) {
+    console.error('Error processing FD maturity:', error);
+    res.status(500).json({ success: false, message: 'Failed to process FD maturity' });
+  }
+});
+
 // RD Routes
 
 // Get all RDs
-router.get('/rd', authMiddleware, async (req, res) => {
+router.get('/rd', authMiddleware, adminOrEmployee, async (req, res) => {
   try {
-    const rds = await RD.getAll();
-    res.json({ success: true, data: rds });
+    const { customer_id, status, search, maturity_from, maturity_to, limit = 50, offset = 0 } = req.query;
+
+    const result = await RD.findAll({
+      customer_id: customer_id ? parseInt(customer_id) : undefined,
+      status,
+      search,
+      maturity_from,
+      maturity_to,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, rds: result.rds, limit: parseInt(limit), offset: parseInt(offset) });
   } catch (error) {
     console.error('Error fetching RDs:', error);
     res.status(500).json({ success: false, message: 'Failed to fetch RDs' });
   }
 });
 
-// Get RD by ID
-router.get('/rd/:id', authMiddleware, async (req, res) => {
+// Get RDs maturing soon
+router.get('/rd/maturity-list', authMiddleware, adminOrEmployee, async (req, res) => {
   try {
-    const rd = await RD.getById(req.params.id);
-    if (!rd) {
-      return res.status(404).json({ success: false, message: 'RD not found' });
+    const { days = 30 } = req.query;
+    const result = await RD.getMaturityList(parseInt(days));
+
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, maturing_rds: result.maturing_rds });
+  } catch (error) {
+    console.error('Error fetching RD maturity list:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch RD maturity list' });
+  }
+});
+
+// Get RD installments falling due
+router.get('/rd/due-installments', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const { days = 7 } = req.query;
+    const result = await RD.getDueInstallments(parseInt(days));
+
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, due_installments: result.due_installments });
+  } catch (error) {
+    console.error('Error fetching due RD installments:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch due RD installments' });
+  }
+});
+
+// Get RD statistics
+router.get('/rd/stats/overview', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const result = await RD.getStats();
+
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, stats: result.stats });
+  } catch (error) {
+    console.error('Error fetching RD stats:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch RD stats' });
+  }
+});
+
+// Get RD by RD number
+router.get('/rd/number/:rdNumber', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const result = await RD.findByRDNumber(req.params.rdNumber);
+
+    if (!result.success) {
+      return res.status(404).json({ success: false, message: result.error });
     }
-    res.json({ success: true, data: rd });
+
+    res.json({ success: true, rd: result.rd });
   } catch (error) {
     console.error('Error fetching RD:', error);
     res.status(500).json({ success: false, message: 'Failed to fetch RD' });
@@ -203,202 +376,209 @@ router.get('/rd/:id', authMiddleware, async (req, res) => {
 });
 
 // Get RDs by customer ID
-router.get('/rd/customer/:customerId', authMiddleware, async (req, res) => {
+router.get('/rd/customer/:customerId', authMiddleware, adminOrEmployee, async (req, res) => {
   try {
-    const rds = await RD.getByCustomerId(req.params.customerId);
-    res.json({ success: true, data: rds });
+    const result = await RD.findAll({ customer_id: parseInt(req.params.customerId) });
+
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, rds: result.rds });
   } catch (error) {
     console.error('Error fetching customer RDs:', error);
     res.status(500).json({ success: false, message: 'Failed to fetch customer RDs' });
   }
 });
 
-// Create new RD
-router.post('/rd', authMiddleware, async (req, res) => {
+// Get RD by ID
+router.get('/rd/:id', authMiddleware, adminOrEmployee, async (req, res) => {
   try {
-    const { customerId, monthlyAmount, interestRate, tenure } = req.body;
-
-    // Validate required fields
-    if (!customerId || !monthlyAmount || !interestRate || !tenure) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Customer ID, monthly amount, interest rate, and tenure are required' 
-      });
-    }
+    const result = await RD.findById(parseInt(req.params.id));
 
-    // Verify customer exists
-    const customer = await Customer.getById(customerId);
-    if (!customer) {
-      return res.status(404).json({ success: false, message: 'Customer not found' });
+    if (!result.success) {
+      return res.status(404).json({ success: false, message: result.error });
     }
 
-    // Calculate maturity date and amount
-    const startDate = new Date();
-    const maturityDate = new Date(startDate.setMonth(startDate.getMonth() + tenure));
-    
-    // RD maturity calculation: P * n + (P * n * (n + 1) * r) / (2 * 12 * 100)
-    const P = parseFloat(monthlyAmount);
-    const n = parseInt(tenure);
-    const r = parseFloat(interestRate);
-    const maturityAmount = P * n + (P * n * (n + 1) * r) / (2 * 12 * 100);
-
-    const rdData = {
-      customerId,
-      monthlyAmount: P,
-      interestRate: r,
-      tenure: n,
-      maturityDate: maturityDate.toISOString(),
-      maturityAmount: parseFloat(maturityAmount.toFixed(2)),
-      totalDeposited: 0,
-      installmentsPaid: 0,
-      status: 'active'
-    };
-
-    const rdId = await RD.create(rdData);
-    const newRd = await RD.getById(rdId);
-
-    // Log the action
-    await auditLog(req.user.id, 'CREATE', 'RD', `Created RD ${rdId} for customer ${customerId}`);
-
-    res.status(201).json({ 
-      success: true, 
-      message: 'RD created successfully', 
-      data: newRd 
-    });
+    res.json({ success: true, rd: result.rd });
   } catch (error) {
-    console.error('Error creating RD:', error);
-    res.status(500).json({ success: false, message: 'Failed to create RD' });
+    console.error('Error fetching RD:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch RD' });
   }
 });
 
-// Make RD installment payment
-router.post('/rd/:id/payment', authMiddleware, async (req, res) => {
+// Get RD transactions
+router.get('/rd/:id/transactions', authMiddleware, adminOrEmployee, async (req, res) => {
   try {
-    const rdId = req.params.id;
-    const { amount, paymentDate } = req.body;
+    const result = await RD.getTransactionHistory(parseInt(req.params.id), {
+      transaction_type: req.query.transaction_type
+    });
 
-    const rd = await RD.getById(rdId);
-    if (!rd) {
-      return res.status(404).json({ success: false, message: 'RD not found' });
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
     }
 
-    if (rd.status !== 'active') {
-      return res.status(400).json({ success: false, message: 'RD is not active' });
+    res.json({ success: true, transactions: result.transactions });
+  } catch (error) {
+    console.error('Error fetching RD transactions:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch RD transactions' });
+  }
+});
+
+// Get RD installment schedule
+router.get('/rd/:id/schedule', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const result = await RD.getInstallmentSchedule(parseInt(req.params.id));
+
+    if (!result.success) {
+      return res.status(404).json({ success: false, message: result.error });
     }
 
-    const paymentAmount = parseFloat(amount) || rd.monthlyAmount;
-    const newTotalDeposited = rd.totalDeposited + paymentAmount;
-    const newInstallmentsPaid = rd.installmentsPaid + 1;
+    res.json({ success: true, schedule: result.schedule, summary: result.summary });
+  } catch (error) {
+    console.error('Error fetching RD schedule:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch RD schedule' });
+  }
+});
 
-    const updates = {
-      totalDeposited: newTotalDeposited,
-      installmentsPaid: newInstallmentsPaid,
-      lastPaymentDate: paymentDate || new Date().toISOString()
-    };
+// Create new RD
+router.post('/rd', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const result = await RD.create(req.body, req.user.id);
 
-    // Check if RD is completed
-    if (newInstallmentsPaid >= rd.tenure) {
-      updates.status = 'completed';
-      updates.completionDate = new Date().toISOString();
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error });
     }
 
-    await RD.update(rdId, updates);
-    const updatedRd = await RD.getById(rdId);
-
-    // Log the action
-    await auditLog(req.user.id, 'PAYMENT', 'RD', `RD payment of ${paymentAmount} for RD ${rdId}`);
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.RD_CREATE,
+      'rd',
+      result.rd.id,
+      `Created RD ${result.rd.rd_number} of ₹${result.rd.monthly_amount}/month for customer ${result.rd.customer_id}`,
+      req
+    );
 
-    res.json({ 
-      success: true, 
-      message: 'RD payment recorded successfully', 
-      data: updatedRd 
-    });
+    res.status(201).json({ success: true, message: 'RD created successfully', rd: result.rd });
   } catch (error) {
-    console.error('Error recording RD payment:', error);
-    res.status(500).json({ success: false, message: 'Failed to record RD payment' });
+    console.error('Error creating RD:', error);
+    res.status(500).json({ success: false, message: 'Failed to create RD' });
   }
 });
 
-// Close RD
-router.post('/rd/:id/close', authMiddleware, roleMiddleware(['admin']), async (req, res) => {
+// Make RD installment payment
+router.post('/rd/:id/pay-installment', authMiddleware, adminOrEmployee, counterCash, async (req, res) => {
   try {
-    const rdId = req.params.id;
-    const { prematureClosing = false, closingAmount } = req.body;
-
-    const rd = await RD.getById(rdId);
-    if (!rd) {
-      return res.status(404).json({ success: false, message: 'RD not found' });
-    }
+    const rdId = parseInt(req.params.id);
+    const { amount } = req.body;
 
-    if (rd.status !== 'active') {
-      return res.status(400).json({ success: false, message: 'RD is not active' });
+    if (!amount) {
+      return res.status(400).json({ success: false, message: 'Installment amount is required' });
     }
 
-    const updates = {
-      status: prematureClosing ? 'closed_premature' : 'completed',
-      closingDate: new Date().toISOString(),
-      actualAmount: closingAmount || rd.totalDeposited
-    };
+    const result = await RD.payInstallment(rdId, parseFloat(amount), req.user.id);
 
-    await RD.update(rdId, updates);
-    const closedRd = await RD.getById(rdId);
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
 
-    // Log the action
-    await auditLog(req.user.id, 'CLOSE', 'RD', `Closed RD ${rdId} - ${prematureClosing ? 'Premature' : 'Completed'}`);
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.RD_INSTALLMENT,
+      'rd',
+      rdId,
+      result.installments_paid.length > 0
+        ? `RD installment(s) #${result.installments_paid.join(', #')} paid with ₹${result.transaction.amount} (late fee ₹${result.late_fee}) for RD ${rdId}`
+        : `RD part payment of ₹${result.transaction.amount} carried forward for RD ${rdId}`,
+      req
+    );
+
+    let message = result.installments_paid.length > 0
+      ? `RD installment(s) #${result.installments_paid.join(', #')} recorded`
+      : `₹${result.transaction.amount} carried forward to the next installment`;
+    if (result.late_fee > 0) {
+      message += ` with a late fee of ₹${result.late_fee}`;
+    }
+    if (result.status === 'defaulted') {
+      message += '; the RD is still in default';
+    }
 
-    res.json({ 
-      success: true, 
-      message: `RD ${prematureClosing ? 'closed prematurely' : 'completed'} successfully`, 
-      data: closedRd 
+    res.json({
+      success: true,
+      message,
+      transaction: result.transaction,
+      installments_paid: result.installments_paid,
+      installment_number: result.installment_number,
+      late_fee: result.late_fee,
+      carry_forward_amount: result.carry_forward_amount,
+      new_total_paid: result.new_total_paid,
+      paid_installments: result.paid_installments,
+      remaining_amount: result.remaining_amount,
+      maturity_amount: result.maturity_amount,
+      status: result.status
     });
   } catch (error) {
-    console.error('Error closing RD:', error);
-    res.status(500).json({ success: false, message: 'Failed to close RD' });
+    console.error('Error recording RD payment:', error);
+    res.status(500).json({ success: false, message: 'Failed to record RD payment' });
   }
 });
 
-// Delete FD (Admin only)
-router.delete('/fd/:id', authMiddleware, roleMiddleware(['admin']), async (req, res) => {
+// Closure quote: what closing now would pay, with the premature penalty breakdown
+router.get('/rd/:id/closure-quote', authMiddleware, adminOrEmployee, async (req, res) => {
   try {
-    const fdId = req.params.id;
-    
-    const fd = await FD.getById(fdId);
-    if (!fd) {
-      return res.status(404).json({ success: false, message: 'FD not found' });
-    }
+    const rdId = parseInt(req.params.id);
+    const isPremature = req.query.is_premature === 'true';
 
-    await FD.delete(fdId);
+    const result = await RD.getClosureQuote(rdId, isPremature);
 
-    // Log the action
-    await auditLog(req.user.id, 'DELETE', 'FD', `Deleted FD ${fdId}`);
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
 
-    res.json({ success: true, message: 'FD deleted successfully' });
+    res.json({ success: true, rd_number: result.rd_number, quote: result.quote });
   } catch (error) {
-    console.error('Error deleting FD:', error);
-    res.status(500).json({ success: false, message: 'Failed to delete FD' });
+    console.error('Error quoting RD closure:', error);
+    res.status(500).json({ success: false, message: 'Failed to quote RD closure' });
   }
 });
 
-// Delete RD (Admin only)
-router.delete('/rd/:id', authMiddleware, roleMiddleware(['admin']), async (req, res) => {
+// Close RD
+router.post('/rd/:id/close', authMiddleware, adminOnly, counterCash, async (req, res) => {
   try {
-    const rdId = req.params.id;
-    
-    const rd = await RD.getById(rdId);
-    if (!rd) {
-      return res.status(404).json({ success: false, message: 'RD not found' });
-    }
+    const rdId = parseInt(req.params.id);
+    const { is_premature = false, quoted_amount = null } = req.body;
 
-    await RD.delete(rdId);
+    const result = await RD.close(rdId, req.user.id, is_premature, quoted_amount);
 
-    // Log the action
-    await auditLog(req.user.id, 'DELETE', 'RD', `Deleted RD ${rdId}`);
+    if (!result.success) {
+      return res.status(result.quote_changed ? 409 : 400).json({ success: false, message: result.error });
+    }
 
-    res.json({ success: true, message: 'RD deleted successfully' });
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.RD_CLOSE,
+      'rd',
+      rdId,
+      `Closed RD ${rdId}${result.is_premature ? ' prematurely' : ''} - paid ₹${result.closure_amount}${penaltySummary(result.quote)}`,
+      req
+    );
+
+    res.json({
+      success: true,
+      message: `RD ${result.is_premature ? 'closed prematurely' : 'closed'} successfully`,
+      transaction: result.transaction,
+      closure_amount: result.closure_amount,
+      is_premature: result.is_premature,
+      quote: result.quote
+    });
   } catch (error) {
-    console.error('Error deleting RD:', error);
-    res.status(500).json({ success: false, message: 'Failed to delete RD' });
+    console.error('Error closing RD:', error);
+    res.status(500).json({ success: false, message: 'Failed to close RD' });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// Joint holders and nominees of FDs and RDs
+router.use('/fd/:id', holderRoutes('fd'));
+router.use('/rd/:id', holderRoutes('rd'));
+
+module.exports = router;
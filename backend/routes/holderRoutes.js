@@ -0,0 +1,163 @@
+const express = require('express');
+const JointHolder = require('../models/JointHolder');
+const Nominee = require('../models/Nominee');
+const AuditService = require('../utils/auditService');
+const { authMiddleware } = require('../middleware/authMiddleware');
+const { adminOnly, adminOrEmployee } = require('../middleware/roleMiddleware');
+
+// Joint holder and nominee routes for one product type, mounted under the product's /:id
+const holderRoutes = (productType) => {
+    const router = express.Router({ mergeParams: true });
+    const { label } = JointHolder.productConfig(productType);
+
+    // Get the product's holders and operating mode
+    router.get('/holders', authMiddleware, adminOrEmployee, async (req, res) => {
+        try {
+            const result = await JointHolder.findByProduct(productType, parseInt(req.params.id));
+
+            if (!result.success) {
+                return res.status(404).json({ success: false, message: result.error });
+            }
+
+            res.json({ success: true, holding: result.holding, operating_modes: JointHolder.OPERATING_MODES, max_holders: JointHolder.MAX_HOLDERS });
+        } catch (error) {
+            console.error('Error fetching holders:', error);
+            res.status(500).json({ success: false, message: 'Failed to fetch holders' });
+        }
+    });
+
+    // Add a joint holder
+    router.post('/holders', authMiddleware, adminOrEmployee, async (req, res) => {
+        try {
+            const productId = parseInt(req.params.id);
+            const result = await JointHolder.add(productType, productId, {
+                customer_id: req.body.customer_id ? parseInt(req.body.customer_id) : null,
+                operating_mode: req.body.operating_mode
+            }, req.user.id);
+
+            if (!result.success) {
+                return res.status(400).json({ success: false, message: result.error });
+            }
+
+            await AuditService.logActivity(
+                req.user.id,
+                AuditService.ACTION_TYPES.JOINT_HOLDER_ADD,
+                productType,
+                productId,
+                `Added ${result.name} as joint holder of ${label} ${result.holding.product_number} (${result.holding.operating_mode_label})`,
+                req
+            );
+
+            res.status(201).json({ success: true, message: 'Joint holder added', holding: result.holding });
+        } catch (error) {
+            console.error('Error adding joint holder:', error);
+            res.status(500).json({ success: false, message: 'Failed to add joint holder' });
+        }
+    });
+
+    // Remove a joint holder
+    router.post('/holders/:holderId/remove', authMiddleware, adminOnly, async (req, res) => {
+        try {
+            const productId = parseInt(req.params.id);
+            const { note } = req.body;
+            const result = await JointHolder.remove(productType, productId, parseInt(req.params.holderId), note, req.user.id);
+
+            if (!result.success) {
+                return res.status(400).json({ success: false, message: result.error });
+            }
+
+            await AuditService.logActivity(
+                req.user.id,
+                AuditService.ACTION_TYPES.JOINT_HOLDER_REMOVE,
+                productType,
+                productId,
+                `Removed joint holder ${result.name} from ${label} ${result.holding.product_number}: ${note}`,
+                req
+            );
+
+            res.json({ success: true, message: 'Joint holder removed', holding: result.holding });
+        } catch (error) {
+            console.error('Error removing joint holder:', error);
+            res.status(500).json({ success: false, message: 'Failed to remove joint holder' });
+        }
+    });
+
+    // Change how a jointly held product is operated
+    router.put('/operating-mode', authMiddleware, adminOnly, async (req, res) => {
+        try {
+            const productId = parseInt(req.params.id);
+            const result = await JointHolder.setOperatingMode(productType, productId, req.body.operating_mode);
+
+            if (!result.success) {
+                return res.status(400).json({ success: false, message: result.error });
+            }
+
+            await AuditService.logActivity(
+                req.user.id,
+                AuditService.ACTION_TYPES.OPERATING_MODE_CHANGE,
+                productType,
+                productId,
+                `Set ${label} ${result.holding.product_number} to be operated ${result.holding.operating_mode_label.toLowerCase()}`,
+                req
+            );
+
+            res.json({ success: true, message: 'Operating mode updated', holding: result.holding });
+        } catch (error) {
+            console.error('Error changing operating mode:', error);
+            res.status(500).json({ success: false, message: 'Failed to change operating mode' });
+        }
+    });
+
+    // Get the product's nominees
+    router.get('/nominees', authMiddleware, adminOrEmployee, async (req, res) => {
+        try {
+            const result = await Nominee.findByProduct(productType, parseInt(req.params.id));
+
+            if (!result.success) {
+                return res.status(404).json({ success: false, message: result.error });
+            }
+
+            res.json({ success: true, nominees: result.nominees, max_nominees: Nominee.MAX_NOMINEES, majority_age: Nominee.MAJORITY_AGE });
+        } catch (error) {
+            console.error('Error fetching nominees:', error);
+            res.status(500).json({ success: false, message: 'Failed to fetch nominees' });
+        }
+    });
+
+    // Replace the product's nominees with a new list
+    router.put('/nominees', authMiddleware, adminOrEmployee, async (req, res) => {
+        try {
+            const productId = parseInt(req.params.id);
+            const nominees = Array.isArray(req.body.nominees)
+                ? req.body.nominees.map(nominee => ({
+                    ...nominee,
+                    customer_id: nominee.customer_id ? parseInt(nominee.customer_id) : null
+                }))
+                : req.body.nominees;
+            const result = await Nominee.replace(productType, productId, nominees, req.user.id);
+
+            if (!result.success) {
+                return res.status(400).json({ success: false, message: result.error });
+            }
+
+            const names = result.nominees.map(nominee => `${nominee.name} ${nominee.share_percent}%`).join(', ');
+            await AuditService.logActivity(
+                req.user.id,
+                AuditService.ACTION_TYPES.NOMINEE_UPDATE,
+                productType,
+                productId,
+                `Set nominees of ${label} ${result.product_number}: ${names || 'none'}`,
+                req
+            );
+
+            res.json({ success: true, message: 'Nominees updated', nominees: result.nominees });
+        } catch (error) {
+            console.error('Error updating nominees:', error);
+            res.status(500).json({ success: false, message: 'Failed to update nominees' });
+        }
+    });
+
+    return router;
+};
+
+module.exports = holderRoutes;
@@ -0,0 +1,119 @@
+const express = require('express');
+const router = express.Router();
+const { authMiddleware } = require('../middleware/authMiddleware');
+const { adminOnly } = require('../middleware/roleMiddleware');
+const AuditService = require('../utils/auditService');
+const ScheduledJob = require('../models/ScheduledJob');
+const scheduler = require('../utils/scheduler');
+
+// List scheduled jobs with their last run, next run and recent failures (Admin only)
+router.get('/', authMiddleware, adminOnly, async (req, res) => {
+  try {
+    const result = await ScheduledJob.findAll();
+
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, jobs: result.jobs });
+  } catch (error) {
+    console.error('Error fetching scheduled jobs:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch scheduled jobs' });
+  }
+});
+
+// Run history, newest first; filter by job and status (Admin only)
+router.get('/runs', authMiddleware, adminOnly, async (req, res) => {
+  try {
+    const { job_name, status, limit = 50, offset = 0 } = req.query;
+
+    if (status && !ScheduledJob.RUN_STATUSES.includes(status)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Status must be one of: ${ScheduledJob.RUN_STATUSES.join(', ')}` 
+      });
+    }
+
+    const result = await ScheduledJob.getRuns({
+      job_name,
+      status,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, runs: result.runs });
+  } catch (error) {
+    console.error('Error fetching job runs:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch job runs' });
+  }
+});
+
+// Change a job's schedule or turn it on/off (Admin only)
+router.put('/:name', authMiddleware, adminOnly, async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { cron_expression, enabled, catch_up } = req.body;
+
+    const result = await ScheduledJob.update(name, { cron_expression, enabled, catch_up });
+
+    if (!result.success) {
+      return res.status(result.error === 'Scheduled job not found' ? 404 : 400).json({ success: false, message: result.error });
+    }
+
+    await scheduler.reschedule(name);
+
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.JOB_UPDATE,
+      'scheduled_job',
+      result.job.id,
+      `Updated scheduled job ${name}: ${result.job.cron_expression}${result.job.enabled ? '' : ' (disabled)'}`,
+      req
+    );
+
+    res.json({ success: true, message: 'Scheduled job updated successfully', job: result.job });
+  } catch (error) {
+    console.error('Error updating scheduled job:', error);
+    res.status(500).json({ success: false, message: 'Failed to update scheduled job' });
+  }
+});
+
+// Run a job now (Admin only); waits for the run to finish
+router.post('/:name/run', authMiddleware, adminOnly, async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    const job = await ScheduledJob.findRecordByName(name);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Scheduled job not found' });
+    }
+
+    const run = await scheduler.runJob(name, { trigger: 'manual', userId: req.user.id });
+
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.JOB_RUN,
+      'scheduled_job',
+      job.id,
+      `Ran scheduled job ${name}: ${run.status}${run.error_message ? ` - ${run.error_message}` : ''}`,
+      req
+    );
+
+    res.status(run.status === 'skipped' ? 409 : 200).json({
+      success: run.status === 'succeeded',
+      message: run.status === 'succeeded'
+        ? `Job ${name} completed`
+        : `Job ${name} ${run.status}: ${run.error_message}`,
+      run
+    });
+  } catch (error) {
+    console.error('Error running scheduled job:', error);
+    res.status(500).json({ success: false, message: 'Failed to run scheduled job' });
+  }
+});
+
+module.exports = router;
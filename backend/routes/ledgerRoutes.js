@@ -0,0 +1,129 @@
+const express = require('express');
+const router = express.Router();
+const GeneralLedger = require('../models/GeneralLedger');
+const { authMiddleware } = require('../middleware/authMiddleware');
+const { adminOnly, adminOrEmployee } = require('../middleware/roleMiddleware');
+
+// Get chart of accounts
+router.get('/accounts', authMiddleware, adminOrEmployee, async (req, res) => {
+    try {
+        const result = await GeneralLedger.getChartOfAccounts();
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            accounts: result.accounts
+        });
+    } catch (error) {
+        console.error('Get chart of accounts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Get journal entries
+router.get('/journal', authMiddleware, adminOrEmployee, async (req, res) => {
+    try {
+        const {
+            source_type,
+            customer_id,
+            gl_account_code,
+            start_date,
+            end_date,
+            limit = 50,
+            offset = 0
+        } = req.query;
+
+        const filters = {
+            source_type,
+            customer_id: customer_id ? parseInt(customer_id) : undefined,
+            gl_account_code,
+            start_date,
+            end_date,
+            limit: parseInt(limit),
+            offset: parseInt(offset)
+        };
+
+        const result = await GeneralLedger.getJournal(filters);
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            entries: result.entries
+        });
+    } catch (error) {
+        console.error('Get journal error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Get balance of each GL account
+router.get('/balances', authMiddleware, adminOnly, async (req, res) => {
+    try {
+        const { start_date, as_of } = req.query;
+        const result = await GeneralLedger.getAccountBalances({ start_date, as_of });
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            accounts: result.accounts
+        });
+    } catch (error) {
+        console.error('Get GL balances error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Get trial balance
+router.get('/trial-balance', authMiddleware, adminOnly, async (req, res) => {
+    try {
+        const { as_of } = req.query;
+        const result = await GeneralLedger.getTrialBalance(as_of || null);
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            trial_balance: result.trial_balance
+        });
+    } catch (error) {
+        console.error('Get trial balance error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+module.exports = router;
@@ -1,30 +1,101 @@
 const express = require('express');
 const router = express.Router();
 const Loan = require('../models/Loan');
-const Customer = require('../models/Customer');
+const LoanDelinquency = require('../models/LoanDelinquency');
+const LoanGuarantor = require('../models/LoanGuarantor');
+const LoanCollateral = require('../models/LoanCollateral');
+const FDLoan = require('../models/FDLoan');
+const AuditService = require('../utils/auditService');
 const { authMiddleware } = require('../middleware/authMiddleware');
-const { roleMiddleware } = require('../middleware/roleMiddleware');
-const { auditLog } = require('../utils/auditService');
+const { adminOnly, adminOrEmployee } = require('../middleware/roleMiddleware');
+const { requireTill, counterCash } = require('../middleware/tillMiddleware');
 
 // Get all loans
-router.get('/', authMiddleware, async (req, res) => {
+router.get('/', authMiddleware, adminOrEmployee, async (req, res) => {
   try {
-    const loans = await Loan.getAll();
-    res.json({ success: true, data: loans });
+    const { customer_id, loan_type, status, search, min_amount, max_amount, limit = 50, offset = 0 } = req.query;
+
+    const result = await Loan.findAll({
+      customer_id: customer_id ? parseInt(customer_id) : undefined,
+      loan_type,
+      status,
+      search,
+      min_amount: min_amount ? parseFloat(min_amount) : undefined,
+      max_amount: max_amount ? parseFloat(max_amount) : undefined,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, loans: result.loans, limit: parseInt(limit), offset: parseInt(offset) });
   } catch (error) {
     console.error('Error fetching loans:', error);
     res.status(500).json({ success: false, message: 'Failed to fetch loans' });
   }
 });
 
-// Get loan by ID
-router.get('/:id', authMiddleware, async (req, res) => {
+// Get EMIs falling due
+router.get('/due-emis', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const { days = 7 } = req.query;
+    const result = await Loan.getDueEMIs(parseInt(days));
+
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, due_emis: result.due_emis });
+  } catch (error) {
+    console.error('Error fetching due EMIs:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch due EMIs' });
+  }
+});
+
+// Get loan statistics
+router.get('/stats/overview', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const result = await Loan.getStats();
+
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, stats: result.stats });
+  } catch (error) {
+    console.error('Error fetching loan stats:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch loan stats' });
+  }
+});
+
+// How much can be lent against an FD and at what rate
+router.get('/fd-eligibility/:fdId', authMiddleware, adminOrEmployee, async (req, res) => {
   try {
-    const loan = await Loan.getById(req.params.id);
-    if (!loan) {
-      return res.status(404).json({ success: false, message: 'Loan not found' });
+    const result = await FDLoan.getEligibility(parseInt(req.params.fdId));
+
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, eligibility: result.eligibility });
+  } catch (error) {
+    console.error('Error fetching FD loan eligibility:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch FD loan eligibility' });
+  }
+});
+
+// Get loan by loan number
+router.get('/number/:loanNumber', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const result = await Loan.findByLoanNumber(req.params.loanNumber);
+
+    if (!result.success) {
+      return res.status(404).json({ success: false, message: result.error });
     }
-    res.json({ success: true, data: loan });
+
+    res.json({ success: true, loan: result.loan });
   } catch (error) {
     console.error('Error fetching loan:', error);
     res.status(500).json({ success: false, message: 'Failed to fetch loan' });
@@ -32,319 +103,721 @@ router.get('/:id', authMiddleware, async (req, res) => {
 });
 
 // Get loans by customer ID
-router.get('/customer/:customerId', authMiddleware, async (req, res) => {
+router.get('/customer/:customerId', authMiddleware, adminOrEmployee, async (req, res) => {
   try {
-    const loans = await Loan.getByCustomerId(req.params.customerId);
-    res.json({ success: true, data: loans });
+    const result = await Loan.findAll({ customer_id: parseInt(req.params.customerId) });
+
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, loans: result.loans });
   } catch (error) {
     console.error('Error fetching customer loans:', error);
     res.status(500).json({ success: false, message: 'Failed to fetch customer loans' });
   }
 });
 
-// Create new loan
-router.post('/', authMiddleware, async (req, res) => {
-  try {
-    const { 
-      customerId, 
-      amount, 
-      interestRate, 
-      tenure, 
-      loanType, 
-      purpose,
-      guarantorName,
-      guarantorContact,
-      collateral 
-    } = req.body;
-
-    // Validate required fields
-    if (!customerId || !amount || !interestRate || !tenure || !loanType) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Customer ID, amount, interest rate, tenure, and loan type are required' 
-      });
-    }
-
-    // Verify customer exists
-    const customer = await Customer.getById(customerId);
-    if (!customer) {
-      return res.status(404).json({ success: false, message: 'Customer not found' });
-    }
-
-    // Calculate EMI using compound interest formula
-    const principal = parseFloat(amount);
-    const monthlyRate = parseFloat(interestRate) / (12 * 100);
-    const numberOfPayments = parseInt(tenure);
-    
-    let emi;
-    if (monthlyRate === 0) {
-      emi = principal / numberOfPayments;
-    } else {
-      emi = principal * (monthlyRate * Math.pow(1 + monthlyRate, numberOfPayments)) / 
-            (Math.pow(1 + monthlyRate, numberOfPayments) - 1);
-    }
-
-    const totalAmount = emi * numberOfPayments;
-    const totalInterest = totalAmount - principal;
-
-    const loanData = {
-      customerId,
-      amount: principal,
-      interestRate: parseFloat(interestRate),
-      tenure: numberOfPayments,
-      loanType,
-      purpose: purpose || '',
-      guarantorName: guarantorName || '',
-      guarantorContact: guarantorContact || '',
-      collateral: collateral || '',
-      emi: parseFloat(emi.toFixed(2)),
-      totalAmount: parseFloat(totalAmount.toFixed(2)),
-      totalInterest: parseFloat(totalInterest.toFixed(2)),
-      amountPaid: 0,
-      installmentsPaid: 0,
-      remainingAmount: principal,
-      status: 'active',
-      disbursementDate: new Date().toISOString()
-    };
-
-    const loanId = await Loan.create(loanData);
-    const newLoan = await Loan.getById(loanId);
-
-    // Log the action
-    await auditLog(req.user.id, 'CREATE', 'LOAN', `Created loan ${loanId} for customer ${customerId} - Amount: ${principal}`);
-
-    res.status(201).json({ 
-      success: true, 
-      message: 'Loan created successfully', 
-      data: newLoan 
+// Get loan by ID
+router.get('/:id', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const result = await Loan.findById(parseInt(req.params.id));
+
+    if (!result.success) {
+      return res.status(404).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, loan: result.loan });
+  } catch (error) {
+    console.error('Error fetching loan:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch loan' });
+  }
+});
+
+// Get loan transactions
+router.get('/:id/transactions', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const result = await Loan.getTransactionHistory(parseInt(req.params.id), {
+      transaction_type: req.query.transaction_type
     });
+
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, transactions: result.transactions });
   } catch (error) {
-    console.error('Error creating loan:', error);
-    res.status(500).json({ success: false, message: 'Failed to create loan' });
+    console.error('Error fetching loan transactions:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch loan transactions' });
   }
 });
 
-// Make loan payment/EMI
-router.post('/:id/payment', authMiddleware, async (req, res) => {
+// Get loan EMI schedule
+router.get('/:id/emi-schedule', authMiddleware, adminOrEmployee, async (req, res) => {
   try {
-    const loanId = req.params.id;
-    const { amount, paymentDate, paymentType = 'emi' } = req.body;
+    const result = await Loan.getEMISchedule(parseInt(req.params.id));
 
-    if (!amount) {
-      return res.status(400).json({ success: false, message: 'Payment amount is required' });
+    if (!result.success) {
+      return res.status(404).json({ success: false, message: result.error });
     }
 
-    const loan = await Loan.getById(loanId);
-    if (!loan) {
-      return res.status(404).json({ success: false, message: 'Loan not found' });
+    res.json({ success: true, schedule: result.schedule, summary: result.summary });
+  } catch (error) {
+    console.error('Error generating loan schedule:', error);
+    res.status(500).json({ success: false, message: 'Failed to generate loan schedule' });
+  }
+});
+
+// Get a loan's daily DPD and asset classification history
+router.get('/:id/delinquency', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const { limit = 90 } = req.query;
+    const result = await LoanDelinquency.getHistory(parseInt(req.params.id), parseInt(limit));
+
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
     }
 
-    if (loan.status !== 'active') {
-      return res.status(400).json({ success: false, message: 'Loan is not active' });
+    res.json({ success: true, history: result.history });
+  } catch (error) {
+    console.error('Error fetching loan delinquency history:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch loan delinquency history' });
+  }
+});
+
+// Get a loan's sanction letter
+router.get('/:id/sanction-letter', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const result = await Loan.getSanctionLetter(parseInt(req.params.id));
+
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, letter: result.letter });
+  } catch (error) {
+    console.error('Error fetching sanction letter:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch sanction letter' });
+  }
+});
+
+// Get the no-dues certificate of a closed loan
+router.get('/:id/no-dues-certificate', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const result = await Loan.getNoDuesCertificate(parseInt(req.params.id));
+
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error });
     }
 
-    const paymentAmount = parseFloat(amount);
-    const newAmountPaid = loan.amountPaid + paymentAmount;
-    const newRemainingAmount = Math.max(0, loan.totalAmount - newAmountPaid);
-    
-    let newInstallmentsPaid = loan.installmentsPaid;
-    if (paymentType === 'emi') {
-      newInstallmentsPaid += 1;
+    res.json({ success: true, certificate: result.certificate });
+  } catch (error) {
+    console.error('Error fetching no-dues certificate:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch no-dues certificate' });
+  }
+});
+
+// Get a loan's workflow status history
+router.get('/:id/status-history', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const result = await Loan.getStatusHistory(parseInt(req.params.id));
+
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
     }
 
-    const updates = {
-      amountPaid: newAmountPaid,
-      remainingAmount: newRemainingAmount,
-      installmentsPaid: newInstallmentsPaid,
-      lastPaymentDate: paymentDate || new Date().toISOString()
-    };
+    res.json({ success: true, history: result.history });
+  } catch (error) {
+    console.error('Error fetching loan status history:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch loan status history' });
+  }
+});
+
+// Get a loan's guarantors
+router.get('/:id/guarantors', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const result = await LoanGuarantor.findByLoan(parseInt(req.params.id));
 
-    // Check if loan is fully paid
-    if (newRemainingAmount <= 0) {
-      updates.status = 'closed';
-      updates.closingDate = new Date().toISOString();
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
     }
 
-    await Loan.update(loanId, updates);
-    const updatedLoan = await Loan.getById(loanId);
+    res.json({ success: true, guarantors: result.guarantors });
+  } catch (error) {
+    console.error('Error fetching loan guarantors:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch loan guarantors' });
+  }
+});
+
+// Add a guarantor to a loan
+router.post('/:id/guarantors', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const loanId = parseInt(req.params.id);
+    const result = await LoanGuarantor.add(loanId, {
+      ...req.body,
+      customer_id: req.body.customer_id ? parseInt(req.body.customer_id) : null,
+      guaranteed_amount: req.body.guaranteed_amount ? parseFloat(req.body.guaranteed_amount) : null
+    }, req.user.id);
+
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.LOAN_GUARANTOR_ADD,
+      'loan',
+      loanId,
+      `Added ${result.guarantor.name} as guarantor on loan ${loanId}`,
+      req
+    );
+
+    res.status(201).json({ success: true, message: 'Guarantor added successfully', guarantor: result.guarantor });
+  } catch (error) {
+    console.error('Error adding loan guarantor:', error);
+    res.status(500).json({ success: false, message: 'Failed to add loan guarantor' });
+  }
+});
+
+// Release a guarantor from a loan
+router.post('/:id/guarantors/:guarantorId/release', authMiddleware, adminOnly, async (req, res) => {
+  try {
+    const loanId = parseInt(req.params.id);
+    const { note } = req.body;
+    const result = await LoanGuarantor.release(loanId, parseInt(req.params.guarantorId), note, req.user.id);
+
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.LOAN_GUARANTOR_RELEASE,
+      'loan',
+      loanId,
+      `Released guarantor ${result.guarantor.name} on loan ${loanId}: ${note}`,
+      req
+    );
+
+    res.json({ success: true, message: 'Guarantor released', guarantor: result.guarantor });
+  } catch (error) {
+    console.error('Error releasing loan guarantor:', error);
+    res.status(500).json({ success: false, message: 'Failed to release loan guarantor' });
+  }
+});
+
+// Get the collateral pledged against a loan
+router.get('/:id/collateral', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const result = await LoanCollateral.findByLoan(parseInt(req.params.id));
+
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, collateral: result.collateral, pledged_value: result.pledged_value });
+  } catch (error) {
+    console.error('Error fetching loan collateral:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch loan collateral' });
+  }
+});
+
+// Pledge collateral against a loan
+router.post('/:id/collateral', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const loanId = parseInt(req.params.id);
+    const result = await LoanCollateral.add(loanId, {
+      ...req.body,
+      fd_id: req.body.fd_id ? parseInt(req.body.fd_id) : null,
+      valuation_amount: req.body.valuation_amount ? parseFloat(req.body.valuation_amount) : null
+    }, req.user.id);
+
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.LOAN_COLLATERAL_ADD,
+      'loan',
+      loanId,
+      `Pledged ${result.collateral.collateral_type} collateral valued ₹${result.collateral.valuation_amount} against loan ${loanId}`,
+      req
+    );
+
+    res.status(201).json({ success: true, message: 'Collateral pledged successfully', collateral: result.collateral });
+  } catch (error) {
+    console.error('Error pledging loan collateral:', error);
+    res.status(500).json({ success: false, message: 'Failed to pledge loan collateral' });
+  }
+});
+
+// Revalue pledged collateral
+router.put('/:id/collateral/:collateralId', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const loanId = parseInt(req.params.id);
+    const { valuation_amount, valuation_date, valued_by, documents } = req.body;
 
-    // Log the action
-    await auditLog(req.user.id, 'PAYMENT', 'LOAN', `Loan payment of ${paymentAmount} for loan ${loanId}`);
+    if (!valuation_amount) {
+      return res.status(400).json({ success: false, message: 'Valuation amount is required' });
+    }
 
-    res.json({ 
-      success: true, 
-      message: 'Loan payment recorded successfully', 
-      data: updatedLoan 
+    const result = await LoanCollateral.revalue(loanId, parseInt(req.params.collateralId), {
+      valuation_amount: parseFloat(valuation_amount),
+      valuation_date,
+      valued_by,
+      documents
     });
+
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.LOAN_COLLATERAL_UPDATE,
+      'loan',
+      loanId,
+      `Revalued collateral ${result.collateral.id} on loan ${loanId} at ₹${result.collateral.valuation_amount}`,
+      req
+    );
+
+    res.json({ success: true, message: 'Collateral revalued successfully', collateral: result.collateral });
   } catch (error) {
-    console.error('Error recording loan payment:', error);
-    res.status(500).json({ success: false, message: 'Failed to record loan payment' });
+    console.error('Error revaluing loan collateral:', error);
+    res.status(500).json({ success: false, message: 'Failed to revalue loan collateral' });
   }
 });
 
-// Update loan details
-router.put('/:id', authMiddleware, roleMiddleware(['admin']), async (req, res) => {
-  try {
-    const loanId = req.params.id;
-    const updates = req.body;
-
-    const existingLoan = await Loan.getById(loanId);
-    if (!existingLoan) {
-      return res.status(404).json({ success: false, message: 'Loan not found' });
-    }
-
-    // Recalculate EMI if amount, rate, or tenure changed
-    if (updates.amount || updates.interestRate || updates.tenure) {
-      const principal = updates.amount || existingLoan.amount;
-      const rate = updates.interestRate || existingLoan.interestRate;
-      const tenure = updates.tenure || existingLoan.tenure;
-      
-      const monthlyRate = rate / (12 * 100);
-      let emi;
-      
-      if (monthlyRate === 0) {
-        emi = principal / tenure;
-      } else {
-        emi = principal * (monthlyRate * Math.pow(1 + monthlyRate, tenure)) / 
-              (Math.pow(1 + monthlyRate, tenure) - 1);
-      }
-      
-      const totalAmount = emi * tenure;
-      const totalInterest = totalAmount - principal;
-      
-      updates.emi = parseFloat(emi.toFixed(2));
-      updates.totalAmount = parseFloat(totalAmount.toFixed(2));
-      updates.totalInterest = parseFloat(totalInterest.toFixed(2));
-      updates.remainingAmount = totalAmount - (existingLoan.amountPaid || 0);
-    }
-
-    await Loan.update(loanId, updates);
-    const updatedLoan = await Loan.getById(loanId);
-
-    // Log the action
-    await auditLog(req.user.id, 'UPDATE', 'LOAN', `Updated loan ${loanId}`);
-
-    res.json({ 
-      success: true, 
-      message: 'Loan updated successfully', 
-      data: updatedLoan 
+// Release pledged collateral
+router.post('/:id/collateral/:collateralId/release', authMiddleware, adminOnly, async (req, res) => {
+  try {
+    const loanId = parseInt(req.params.id);
+    const { note } = req.body;
+    const result = await LoanCollateral.release(loanId, parseInt(req.params.collateralId), note, req.user.id);
+
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.LOAN_COLLATERAL_RELEASE,
+      'loan',
+      loanId,
+      `Released collateral ${result.collateral.id} (${result.collateral.description}) on loan ${loanId}: ${note}`,
+      req
+    );
+
+    res.json({ success: true, message: 'Collateral released', collateral: result.collateral });
+  } catch (error) {
+    console.error('Error releasing loan collateral:', error);
+    res.status(500).json({ success: false, message: 'Failed to release loan collateral' });
+  }
+});
+
+// Apply for a loan
+router.post('/', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const result = await Loan.create(req.body, req.user.id);
+
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.LOAN_CREATE,
+      'loan',
+      result.loan.id,
+      `Recorded ${result.loan.loan_type} loan application ${result.loan.loan_number} for ₹${result.loan.requested_amount} for customer ${result.loan.customer_id}`,
+      req
+    );
+
+    res.status(201).json({ success: true, message: 'Loan application recorded successfully', loan: result.loan });
+  } catch (error) {
+    console.error('Error creating loan:', error);
+    res.status(500).json({ success: false, message: 'Failed to record loan application' });
+  }
+});
+
+// Record an application for a loan against an FD, putting a lien on the FD
+router.post('/against-fd', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const result = await FDLoan.apply(parseInt(req.body.fd_id), req.body, req.user.id);
+
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.LOAN_CREATE,
+      'loan',
+      result.loan.id,
+      `Recorded loan application ${result.loan.loan_number} for ₹${result.loan.requested_amount} against FD ${result.loan.fd_number} at ${result.loan.interest_rate}% for customer ${result.loan.customer_id}`,
+      req
+    );
+
+    res.status(201).json({ success: true, message: 'Loan against FD application recorded successfully', loan: result.loan });
+  } catch (error) {
+    console.error('Error creating loan against FD:', error);
+    res.status(500).json({ success: false, message: 'Failed to record loan against FD application' });
+  }
+});
+
+// Take up an application for review
+router.post('/:id/review', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const loanId = parseInt(req.params.id);
+    const result = await Loan.review(loanId, req.user.id, req.body.note);
+
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.LOAN_REVIEW,
+      'loan',
+      loanId,
+      `Took up loan application ${result.loan.loan_number} for review`,
+      req
+    );
+
+    res.json({ success: true, message: 'Loan application is under review', loan: result.loan });
+  } catch (error) {
+    console.error('Error reviewing loan:', error);
+    res.status(500).json({ success: false, message: 'Failed to review loan application' });
+  }
+});
+
+// Sanction a loan on the given terms
+router.post('/:id/sanction', authMiddleware, adminOnly, async (req, res) => {
+  try {
+    const loanId = parseInt(req.params.id);
+    const { sanctioned_amount, interest_rate, tenure_months, conditions } = req.body;
+
+    const result = await Loan.sanction(loanId, {
+      sanctioned_amount: parseFloat(sanctioned_amount),
+      interest_rate: parseFloat(interest_rate),
+      tenure_months: parseInt(tenure_months),
+      conditions
+    }, req.user.id);
+
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.LOAN_SANCTION,
+      'loan',
+      loanId,
+      `Sanctioned loan ${result.loan.loan_number} - ₹${result.loan.sanctioned_amount} at ${result.loan.sanctioned_rate}% for ${result.loan.sanctioned_tenure_months} months`,
+      req
+    );
+
+    res.json({ success: true, message: 'Loan sanctioned successfully', loan: result.loan });
+  } catch (error) {
+    console.error('Error sanctioning loan:', error);
+    res.status(500).json({ success: false, message: 'Failed to sanction loan' });
+  }
+});
+
+// Reject a loan application
+router.post('/:id/reject', authMiddleware, adminOnly, async (req, res) => {
+  try {
+    const loanId = parseInt(req.params.id);
+    const { reason } = req.body;
+    const result = await Loan.reject(loanId, reason, req.user.id);
+
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.LOAN_REJECT,
+      'loan',
+      loanId,
+      `Rejected loan application ${result.loan.loan_number}: ${reason}`,
+      req
+    );
+
+    res.json({ success: true, message: 'Loan application rejected', loan: result.loan });
+  } catch (error) {
+    console.error('Error rejecting loan:', error);
+    res.status(500).json({ success: false, message: 'Failed to reject loan application' });
+  }
+});
+
+// Disburse a sanctioned loan in cash or to the customer's savings account
+const cashDisbursement = requireTill(req => req.body.mode === 'cash');
+
+router.post('/:id/disburse', authMiddleware, adminOnly, cashDisbursement, async (req, res) => {
+  try {
+    const loanId = parseInt(req.params.id);
+    const { mode, account_id } = req.body;
+    const result = await Loan.disburse(loanId, { mode, account_id }, req.user.id);
+
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.LOAN_DISBURSE,
+      'loan',
+      loanId,
+      mode === 'savings'
+        ? `Disbursed loan ${result.loan.loan_number} of ₹${result.transaction.amount} to savings account ${account_id}`
+        : `Disbursed loan ${result.loan.loan_number} of ₹${result.transaction.amount} in cash`,
+      req
+    );
+
+    res.json({
+      success: true,
+      message: 'Loan disbursed successfully',
+      loan: result.loan,
+      transaction: result.transaction,
+      deposit_transaction: result.deposit_transaction
     });
   } catch (error) {
-    console.error('Error updating loan:', error);
-    res.status(500).json({ success: false, message: 'Failed to update loan' });
+    console.error('Error disbursing loan:', error);
+    res.status(500).json({ success: false, message: 'Failed to disburse loan' });
   }
 });
 
-// Close loan
-router.post('/:id/close', authMiddleware, roleMiddleware(['admin']), async (req, res) => {
+// Make loan payment/EMI
+router.post('/:id/make-payment', authMiddleware, adminOrEmployee, counterCash, async (req, res) => {
   try {
-    const loanId = req.params.id;
-    const { reason, closingAmount } = req.body;
+    const loanId = parseInt(req.params.id);
+    const { amount } = req.body;
 
-    const loan = await Loan.getById(loanId);
-    if (!loan) {
-      return res.status(404).json({ success: false, message: 'Loan not found' });
+    if (!amount) {
+      return res.status(400).json({ success: false, message: 'Payment amount is required' });
     }
 
-    if (loan.status !== 'active') {
-      return res.status(400).json({ success: false, message: 'Loan is not active' });
+    const result = await Loan.makePayment(loanId, parseFloat(amount), req.user.id);
+
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error });
     }
 
-    const updates = {
-      status: 'closed',
-      closingDate: new Date().toISOString(),
-      closingReason: reason || 'Manual closure',
-      remainingAmount: 0
-    };
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.LOAN_PAYMENT,
+      'loan',
+      loanId,
+      result.emi_number
+        ? `Loan payment EMI #${result.emi_number} of ₹${result.transaction.amount} for loan ${loanId}`
+        : `Loan charges payment of ₹${result.transaction.amount} for loan ${loanId}`,
+      req
+    );
+
+    res.json({
+      success: true,
+      message: 'Loan payment recorded successfully',
+      transaction: result.transaction,
+      outstanding_amount: result.outstanding_amount,
+      principal_paid: result.principal_paid,
+      interest_paid: result.interest_paid,
+      charges_paid: result.charges_paid,
+      emi_number: result.emi_number,
+      loan_closed: result.loan_closed
+    });
+  } catch (error) {
+    console.error('Error recording loan payment:', error);
+    res.status(500).json({ success: false, message: 'Failed to record loan payment' });
+  }
+});
+
+// Part-prepay a loan, reducing the EMI or the tenure
+router.post('/:id/prepay', authMiddleware, adminOrEmployee, counterCash, async (req, res) => {
+  try {
+    const loanId = parseInt(req.params.id);
+    const { amount, option } = req.body;
 
-    if (closingAmount !== undefined) {
-      updates.amountPaid = loan.amountPaid + parseFloat(closingAmount);
+    if (!amount) {
+      return res.status(400).json({ success: false, message: 'Prepayment amount is required' });
     }
 
-    await Loan.update(loanId, updates);
-    const closedLoan = await Loan.getById(loanId);
+    const result = await Loan.prepay(loanId, parseFloat(amount), option, req.user.id);
 
-    // Log the action
-    await auditLog(req.user.id, 'CLOSE', 'LOAN', `Closed loan ${loanId} - Reason: ${reason || 'Manual closure'}`);
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
 
-    res.json({ 
-      success: true, 
-      message: 'Loan closed successfully', 
-      data: closedLoan 
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.LOAN_PREPAYMENT,
+      'loan',
+      loanId,
+      `Loan prepayment of ₹${result.prepaid_amount} (${option}) for loan ${loanId} - EMI now ₹${result.emi_amount} over ${result.tenure_months} installments`,
+      req
+    );
+
+    res.json({
+      success: true,
+      message: 'Loan prepayment recorded successfully',
+      transaction: result.transaction,
+      dues_payment: result.dues_payment,
+      prepaid_amount: result.prepaid_amount,
+      outstanding_amount: result.outstanding_amount,
+      emi_amount: result.emi_amount,
+      tenure_months: result.tenure_months,
+      end_date: result.end_date
     });
   } catch (error) {
-    console.error('Error closing loan:', error);
-    res.status(500).json({ success: false, message: 'Failed to close loan' });
+    console.error('Error recording loan prepayment:', error);
+    res.status(500).json({ success: false, message: 'Failed to record loan prepayment' });
   }
 });
 
-// Get loan payment schedule
-router.get('/:id/schedule', authMiddleware, async (req, res) => {
+// Levy a charge on a loan (Admin only)
+router.post('/:id/charges', authMiddleware, adminOnly, async (req, res) => {
   try {
-    const loan = await Loan.getById(req.params.id);
-    if (!loan) {
-      return res.status(404).json({ success: false, message: 'Loan not found' });
+    const loanId = parseInt(req.params.id);
+    const { amount, description } = req.body;
+
+    if (!amount) {
+      return res.status(400).json({ success: false, message: 'Charge amount is required' });
     }
 
-    const schedule = [];
-    const startDate = new Date(loan.disbursementDate);
-    let remainingPrincipal = loan.amount;
-    const monthlyRate = loan.interestRate / (12 * 100);
+    const result = await Loan.addCharge(loanId, parseFloat(amount), description, req.user.id);
 
-    for (let i = 1; i <= loan.tenure; i++) {
-      const dueDate = new Date(startDate);
-      dueDate.setMonth(dueDate.getMonth() + i);
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
 
-      let interestAmount, principalAmount;
-      
-      if (monthlyRate === 0) {
-        interestAmount = 0;
-        principalAmount = loan.amount / loan.tenure;
-      } else {
-        interestAmount = remainingPrincipal * monthlyRate;
-        principalAmount = loan.emi - interestAmount;
-      }
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.LOAN_CHARGE,
+      'loan',
+      loanId,
+      `Levied charge of ₹${result.transaction.amount} on loan ${loanId} - ${description}`,
+      req
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Loan charge levied successfully',
+      transaction: result.transaction,
+      charges_due: result.charges_due,
+      outstanding_amount: result.outstanding_amount
+    });
+  } catch (error) {
+    console.error('Error levying loan charge:', error);
+    res.status(500).json({ success: false, message: 'Failed to levy loan charge' });
+  }
+});
 
-      remainingPrincipal -= principalAmount;
+// Get what foreclosing a loan today would take
+router.get('/:id/foreclosure-quote', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const result = await Loan.getForeclosureQuote(parseInt(req.params.id));
 
-      schedule.push({
-        installmentNumber: i,
-        dueDate: dueDate.toISOString().split('T')[0],
-        emiAmount: loan.emi,
-        principalAmount: parseFloat(principalAmount.toFixed(2)),
-        interestAmount: parseFloat(interestAmount.toFixed(2)),
-        remainingPrincipal: parseFloat(Math.max(0, remainingPrincipal).toFixed(2)),
-        status: i <= loan.installmentsPaid ? 'paid' : 'pending'
-      });
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error });
     }
 
-    res.json({ success: true, data: schedule });
+    res.json({ success: true, loan_number: result.loan_number, quote: result.quote });
   } catch (error) {
-    console.error('Error generating loan schedule:', error);
-    res.status(500).json({ success: false, message: 'Failed to generate loan schedule' });
+    console.error('Error quoting loan foreclosure:', error);
+    res.status(500).json({ success: false, message: 'Failed to quote loan foreclosure' });
   }
 });
 
-// Delete loan (Admin only)
-router.delete('/:id', authMiddleware, roleMiddleware(['admin']), async (req, res) => {
+// Foreclose loan
+router.post('/:id/foreclose', authMiddleware, adminOnly, counterCash, async (req, res) => {
   try {
-    const loanId = req.params.id;
-    
-    const loan = await Loan.getById(loanId);
-    if (!loan) {
-      return res.status(404).json({ success: false, message: 'Loan not found' });
+    const loanId = parseInt(req.params.id);
+    const { quoted_amount = null } = req.body;
+    const result = await Loan.foreclose(loanId, req.user.id, quoted_amount);
+
+    if (!result.success) {
+      return res.status(result.quote_changed ? 409 : 400).json({ success: false, message: result.error });
     }
 
-    await Loan.delete(loanId);
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.LOAN_CLOSE,
+      'loan',
+      loanId,
+      `Foreclosed loan ${loanId} - received ₹${result.foreclosure_amount}`,
+      req
+    );
+
+    res.json({
+      success: true,
+      message: 'Loan foreclosed successfully',
+      transaction: result.transaction,
+      foreclosure_amount: result.foreclosure_amount,
+      quote: result.quote
+    });
+  } catch (error) {
+    console.error('Error foreclosing loan:', error);
+    res.status(500).json({ success: false, message: 'Failed to foreclose loan' });
+  }
+});
 
-    // Log the action
-    await auditLog(req.user.id, 'DELETE', 'LOAN', `Deleted loan ${loanId}`);
+// Write off what is still owed on a loan
+router.post('/:id/write-off', authMiddleware, adminOnly, async (req, res) => {
+  try {
+    const loanId = parseInt(req.params.id);
+    const { reason } = req.body;
+    const result = await Loan.writeOff(loanId, reason, req.user.id);
 
-    res.json({ success: true, message: 'Loan deleted successfully' });
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.LOAN_WRITE_OFF,
+      'loan',
+      loanId,
+      `Wrote off ₹${result.written_off_amount} on loan ${loanId}: ${reason}`,
+      req
+    );
+
+    res.json({
+      success: true,
+      message: 'Loan written off',
+      transaction: result.transaction,
+      written_off_amount: result.written_off_amount
+    });
+  } catch (error) {
+    console.error('Error writing off loan:', error);
+    res.status(500).json({ success: false, message: 'Failed to write off loan' });
+  }
+});
+
+// Update loan details
+router.put('/:id', authMiddleware, adminOnly, async (req, res) => {
+  try {
+    const loanId = parseInt(req.params.id);
+    const result = await Loan.update(loanId, req.body);
+
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.LOAN_UPDATE,
+      'loan',
+      loanId,
+      `Updated loan ${result.loan.loan_number}`,
+      req
+    );
+
+    res.json({ success: true, message: 'Loan updated successfully', loan: result.loan });
   } catch (error) {
-    console.error('Error deleting loan:', error);
-    res.status(500).json({ success: false, message: 'Failed to delete loan' });
+    console.error('Error updating loan:', error);
+    res.status(500).json({ success: false, message: 'Failed to update loan' });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,128 @@
+const express = require('express');
+const router = express.Router();
+const { authMiddleware } = require('../middleware/authMiddleware');
+const { adminOnly, adminOrEmployee } = require('../middleware/roleMiddleware');
+const AuditService = require('../utils/auditService');
+const PenaltyRule = require('../models/PenaltyRule');
+
+// List penalty rule versions, newest first, optionally for one product
+router.get('/', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const { product_type } = req.query;
+
+    if (product_type && !PenaltyRule.PRODUCT_TYPES.includes(product_type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Product type must be one of: ${PenaltyRule.PRODUCT_TYPES.join(', ')}`
+      });
+    }
+
+    const result = await PenaltyRule.findAll({ product_type });
+
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, versions: result.versions });
+  } catch (error) {
+    console.error('Error fetching penalty rules:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch penalty rules' });
+  }
+});
+
+// Get a penalty rule version
+router.get('/:id', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const result = await PenaltyRule.findById(parseInt(req.params.id));
+
+    if (!result.success) {
+      return res.status(404).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, version: result.version });
+  } catch (error) {
+    console.error('Error fetching penalty rule version:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch penalty rule version' });
+  }
+});
+
+// Add a penalty rule version taking effect today or later (Admin only)
+router.post('/', authMiddleware, adminOnly, async (req, res) => {
+  try {
+    const result = await PenaltyRule.create(req.body, req.user.id);
+
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    const { version } = result;
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.PENALTY_RULES_CREATE,
+      'penalty_rule_version',
+      version.id,
+      `Added ${version.product_type.toUpperCase()} premature closure rules effective ${version.effective_from} (${version.rules.length} rule(s), lock-in ${version.lock_in_months} months)`,
+      req
+    );
+
+    res.status(201).json({ success: true, message: 'Penalty rules added successfully', version });
+  } catch (error) {
+    console.error('Error creating penalty rules:', error);
+    res.status(500).json({ success: false, message: 'Failed to add penalty rules' });
+  }
+});
+
+// Change a version that has not taken effect yet (Admin only)
+router.put('/:id', authMiddleware, adminOnly, async (req, res) => {
+  try {
+    const versionId = parseInt(req.params.id);
+    const result = await PenaltyRule.update(versionId, req.body);
+
+    if (!result.success) {
+      return res.status(result.error === 'Penalty rule version not found' ? 404 : 400).json({ success: false, message: result.error });
+    }
+
+    const { version } = result;
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.PENALTY_RULES_UPDATE,
+      'penalty_rule_version',
+      versionId,
+      `Updated ${version.product_type.toUpperCase()} premature closure rules effective ${version.effective_from} (${version.rules.length} rule(s), lock-in ${version.lock_in_months} months)`,
+      req
+    );
+
+    res.json({ success: true, message: 'Penalty rules updated successfully', version });
+  } catch (error) {
+    console.error('Error updating penalty rules:', error);
+    res.status(500).json({ success: false, message: 'Failed to update penalty rules' });
+  }
+});
+
+// Delete a version that has not taken effect yet (Admin only)
+router.delete('/:id', authMiddleware, adminOnly, async (req, res) => {
+  try {
+    const versionId = parseInt(req.params.id);
+    const result = await PenaltyRule.delete(versionId);
+
+    if (!result.success) {
+      return res.status(result.error === 'Penalty rule version not found' ? 404 : 400).json({ success: false, message: result.error });
+    }
+
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.PENALTY_RULES_DELETE,
+      'penalty_rule_version',
+      versionId,
+      `Deleted ${result.version.product_type.toUpperCase()} premature closure rules effective ${result.version.effective_from}`,
+      req
+    );
+
+    res.json({ success: true, message: 'Penalty rules deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting penalty rules:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete penalty rules' });
+  }
+});
+
+module.exports = router;
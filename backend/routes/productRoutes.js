@@ -0,0 +1,135 @@
+const express = require('express');
+const router = express.Router();
+const { authMiddleware } = require('../middleware/authMiddleware');
+const { adminOnly, adminOrEmployee } = require('../middleware/roleMiddleware');
+const AuditService = require('../utils/auditService');
+const Product = require('../models/Product');
+
+const describe = (product) => `${product.code} ${product.name} (${product.product_type.toUpperCase()}, ${product.interest_rate}%${product.compounding ? ` compounded ${product.compounding.replace('_', '-')}` : ''})`;
+
+// List the catalogue, optionally one product type or only products on offer
+router.get('/', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const { product_type, active } = req.query;
+
+    if (product_type && !Product.PRODUCT_TYPES.includes(product_type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Product type must be one of: ${Product.PRODUCT_TYPES.join(', ')}`
+      });
+    }
+
+    const result = await Product.findAll({
+      product_type,
+      is_active: active === undefined ? undefined : active === 'true'
+    });
+
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, products: result.products });
+  } catch (error) {
+    console.error('Error fetching products:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch products' });
+  }
+});
+
+// Get a product
+router.get('/:id', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const result = await Product.findById(parseInt(req.params.id));
+
+    if (!result.success) {
+      return res.status(404).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, product: result.product });
+  } catch (error) {
+    console.error('Error fetching product:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch product' });
+  }
+});
+
+// Add a product to the catalogue (Admin only)
+router.post('/', authMiddleware, adminOnly, async (req, res) => {
+  try {
+    const result = await Product.create(req.body, req.user.id);
+
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    const { product } = result;
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.PRODUCT_CREATE,
+      'product',
+      product.id,
+      `Added product ${describe(product)}`,
+      req
+    );
+
+    res.status(201).json({ success: true, message: 'Product added successfully', product });
+  } catch (error) {
+    console.error('Error creating product:', error);
+    res.status(500).json({ success: false, message: 'Failed to add product' });
+  }
+});
+
+// Change the terms new contracts are opened on (Admin only)
+router.put('/:id', authMiddleware, adminOnly, async (req, res) => {
+  try {
+    const productId = parseInt(req.params.id);
+    const result = await Product.update(productId, req.body);
+
+    if (!result.success) {
+      return res.status(result.error === 'Product not found' ? 404 : 400).json({ success: false, message: result.error });
+    }
+
+    const { product } = result;
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.PRODUCT_UPDATE,
+      'product',
+      productId,
+      `Updated product ${describe(product)}`,
+      req
+    );
+
+    res.json({ success: true, message: 'Product updated successfully', product });
+  } catch (error) {
+    console.error('Error updating product:', error);
+    res.status(500).json({ success: false, message: 'Failed to update product' });
+  }
+});
+
+// Retire a product from new contracts, or offer it again (Admin only)
+router.put('/:id/status', authMiddleware, adminOnly, async (req, res) => {
+  try {
+    const productId = parseInt(req.params.id);
+    const isActive = Boolean(req.body.is_active);
+    const result = await Product.setActive(productId, isActive);
+
+    if (!result.success) {
+      return res.status(result.error === 'Product not found' ? 404 : 400).json({ success: false, message: result.error });
+    }
+
+    const { product } = result;
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.PRODUCT_UPDATE,
+      'product',
+      productId,
+      `${isActive ? 'Offered' : 'Retired'} product ${product.code} ${product.name}`,
+      req
+    );
+
+    res.json({ success: true, message: `Product ${isActive ? 'offered again' : 'retired'}`, product });
+  } catch (error) {
+    console.error('Error updating product status:', error);
+    res.status(500).json({ success: false, message: 'Failed to update product' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,187 @@
+const express = require('express');
+const router = express.Router();
+const { authMiddleware } = require('../middleware/authMiddleware');
+const { adminOnly, adminOrEmployee } = require('../middleware/roleMiddleware');
+const AuditService = require('../utils/auditService');
+const RateCard = require('../models/RateCard');
+const money = require('../utils/money');
+
+const describeSlabs = (card) => card.slabs
+  .map(slab => (slab.amount_from > 0 ? `${slab.interest_rate}% from ₹${slab.amount_from}` : `${slab.interest_rate}%`))
+  .join(', ');
+
+const statusCode = (error) => (error === 'Rate card not found' || error === 'Product not found' ? 404 : 400);
+
+// List rate cards, newest first per product, optionally one product or status
+router.get('/', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const { product_id, status } = req.query;
+
+    if (status && !RateCard.STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${RateCard.STATUSES.join(', ')}`
+      });
+    }
+
+    const result = await RateCard.findAll({ product_id: product_id ? parseInt(product_id) : undefined, status });
+
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, rate_cards: result.rate_cards });
+  } catch (error) {
+    console.error('Error fetching rate cards:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch rate cards' });
+  }
+});
+
+// The rate a product applied on a date (default today) for an amount
+router.get('/rate', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const { product_id, date, amount } = req.query;
+
+    if (!product_id) {
+      return res.status(400).json({ success: false, message: 'Product is required' });
+    }
+
+    const result = await RateCard.lookup(parseInt(product_id), date || RateCard.today(), money.toPaise(parseFloat(amount) || 0));
+
+    if (!result.success) {
+      return res.status(404).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, rate: result.rate });
+  } catch (error) {
+    console.error('Error looking up rate:', error);
+    res.status(500).json({ success: false, message: 'Failed to look up rate' });
+  }
+});
+
+// Get a rate card
+router.get('/:id', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const result = await RateCard.findById(parseInt(req.params.id));
+
+    if (!result.success) {
+      return res.status(404).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, rate_card: result.rate_card });
+  } catch (error) {
+    console.error('Error fetching rate card:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch rate card' });
+  }
+});
+
+// Request a rate change taking effect today or later, pending approval (Admin only)
+router.post('/', authMiddleware, adminOnly, async (req, res) => {
+  try {
+    const result = await RateCard.request(req.body, req.user.id);
+
+    if (!result.success) {
+      return res.status(statusCode(result.error)).json({ success: false, message: result.error });
+    }
+
+    const card = result.rate_card;
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.RATE_CHANGE_REQUEST,
+      'rate_card',
+      card.id,
+      `Requested rates for ${card.product_code} ${card.product_name} effective ${card.effective_from}: ${describeSlabs(card)}`,
+      req
+    );
+
+    res.status(201).json({ success: true, message: 'Rate change sent for approval', rate_card: card });
+  } catch (error) {
+    console.error('Error requesting rate change:', error);
+    res.status(500).json({ success: false, message: 'Failed to request rate change' });
+  }
+});
+
+// Approve a rate change requested by another admin (Admin only)
+router.post('/:id/approve', authMiddleware, adminOnly, async (req, res) => {
+  try {
+    const cardId = parseInt(req.params.id);
+    const result = await RateCard.approve(cardId, req.user.id);
+
+    if (!result.success) {
+      return res.status(statusCode(result.error)).json({ success: false, message: result.error });
+    }
+
+    const card = result.rate_card;
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.RATE_CHANGE_APPROVE,
+      'rate_card',
+      cardId,
+      `Approved rates for ${card.product_code} ${card.product_name} effective ${card.effective_from}: ${describeSlabs(card)}`,
+      req
+    );
+
+    res.json({ success: true, message: 'Rate change approved', rate_card: card });
+  } catch (error) {
+    console.error('Error approving rate change:', error);
+    res.status(500).json({ success: false, message: 'Failed to approve rate change' });
+  }
+});
+
+// Reject a pending rate change (Admin only)
+router.post('/:id/reject', authMiddleware, adminOnly, async (req, res) => {
+  try {
+    const cardId = parseInt(req.params.id);
+    const { note } = req.body;
+    const result = await RateCard.reject(cardId, req.user.id, note);
+
+    if (!result.success) {
+      return res.status(statusCode(result.error)).json({ success: false, message: result.error });
+    }
+
+    const card = result.rate_card;
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.RATE_CHANGE_REJECT,
+      'rate_card',
+      cardId,
+      `Rejected rates for ${card.product_code} ${card.product_name} effective ${card.effective_from}${note ? `: ${note}` : ''}`,
+      req
+    );
+
+    res.json({ success: true, message: 'Rate change rejected', rate_card: card });
+  } catch (error) {
+    console.error('Error rejecting rate change:', error);
+    res.status(500).json({ success: false, message: 'Failed to reject rate change' });
+  }
+});
+
+// Withdraw a pending rate change, or an approved one before it takes effect (Admin only)
+router.post('/:id/withdraw', authMiddleware, adminOnly, async (req, res) => {
+  try {
+    const cardId = parseInt(req.params.id);
+    const { note } = req.body;
+    const result = await RateCard.withdraw(cardId, req.user.id, note);
+
+    if (!result.success) {
+      return res.status(statusCode(result.error)).json({ success: false, message: result.error });
+    }
+
+    const card = result.rate_card;
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.RATE_CHANGE_WITHDRAW,
+      'rate_card',
+      cardId,
+      `Withdrew rates for ${card.product_code} ${card.product_name} effective ${card.effective_from}${note ? `: ${note}` : ''}`,
+      req
+    );
+
+    res.json({ success: true, message: 'Rate change withdrawn', rate_card: card });
+  } catch (error) {
+    console.error('Error withdrawing rate change:', error);
+    res.status(500).json({ success: false, message: 'Failed to withdraw rate change' });
+  }
+});
+
+module.exports = router;
@@ -6,40 +6,61 @@ const Transaction = require('../models/Transaction');
 const FD = require('../models/FD');
 const RD = require('../models/RD');
 const Loan = require('../models/Loan');
+const LoanDelinquency = require('../models/LoanDelinquency');
+const Till = require('../models/Till');
 const { authMiddleware } = require('../middleware/authMiddleware');
-const { auditLog } = require('../utils/auditService');
+const { adminOrEmployee } = require('../middleware/roleMiddleware');
+const AuditService = require('../utils/auditService');
+const money = require('../utils/money');
 
 // Get dashboard statistics
 router.get('/dashboard', authMiddleware, async (req, res) => {
   try {
+    const today = new Date().toISOString().split('T')[0];
+    const [customers, accounts, todays, thisMonth, fds, rds, loans] = await Promise.all([
+      Customer.getStats(),
+      Account.getStats(),
+      Transaction.getTransactionStats({ start_date: today, end_date: today }),
+      Transaction.getTransactionStats({ start_date: `${today.slice(0, 7)}-01`, end_date: today }),
+      FD.getStats(),
+      RD.getStats(),
+      Loan.getStats()
+    ]);
+
+    const failed = [customers, accounts, todays, thisMonth, fds, rds, loans].find(result => !result.success);
+    if (failed) {
+      console.error('Error fetching dashboard stats:', failed.error);
+      return res.status(500).json({ success: false, message: 'Failed to fetch dashboard statistics' });
+    }
+
     const stats = {
       customers: {
-        total: await Customer.getCount(),
-        active: await Customer.getCount({ isActive: true }),
-        new_this_month: await Customer.getCountByDateRange('thisMonth')
+        total: customers.stats.total_customers,
+        active: customers.stats.active_customers,
+        new_this_month: customers.stats.new_this_month
       },
       accounts: {
-        total: await Account.getCount(),
-        active: await Account.getCount({ status: 'active' }),
-        total_balance: await Account.getTotalBalance()
+        total: accounts.stats.total_accounts,
+        active: accounts.stats.active_accounts,
+        total_balance: accounts.stats.total_balance || 0
       },
       transactions: {
-        today: await Transaction.getCountByDate(new Date().toISOString().split('T')[0]),
-        this_month: await Transaction.getCountByDateRange('thisMonth'),
-        total_deposits_today: await Transaction.getTotalByTypeAndDate('deposit', new Date().toISOString().split('T')[0]),
-        total_withdrawals_today: await Transaction.getTotalByTypeAndDate('withdrawal', new Date().toISOString().split('T')[0])
+        today: todays.stats.total_transactions,
+        this_month: thisMonth.stats.total_transactions,
+        total_deposits_today: todays.stats.total_deposit_amount || 0,
+        total_withdrawals_today: todays.stats.total_withdrawal_amount || 0
       },
       deposits: {
-        fd_count: await FD.getCount({ status: 'active' }),
-        rd_count: await RD.getCount({ status: 'active' }),
-        fd_total_amount: await FD.getTotalAmount({ status: 'active' }),
-        rd_total_amount: await RD.getTotalAmount({ status: 'active' })
+        fd_count: fds.stats.active_fds,
+        rd_count: rds.stats.active_rds,
+        fd_total_amount: fds.stats.total_active_amount || 0,
+        rd_total_amount: rds.stats.total_collected || 0
       },
       loans: {
-        active_count: await Loan.getCount({ status: 'active' }),
-        total_disbursed: await Loan.getTotalAmount({ status: 'active' }),
-        total_outstanding: await Loan.getTotalOutstanding(),
-        overdue_count: await Loan.getOverdueCount()
+        active_count: loans.stats.active_loans,
+        total_disbursed: loans.stats.total_disbursed || 0,
+        total_outstanding: loans.stats.total_outstanding || 0,
+        overdue_count: loans.stats.overdue_loans
       }
     };
 
@@ -50,107 +71,75 @@ router.get('/dashboard', authMiddleware, async (req, res) => {
   }
 });
 
-// Get customer statement
+// Get customer statement: holdings and every transaction across the customer's products
 router.get('/customer/:customerId/statement', authMiddleware, async (req, res) => {
   try {
-    const { customerId } = req.params;
-    const { startDate, endDate, accountId } = req.query;
+    const customerId = parseInt(req.params.customerId);
+    const { startDate, endDate } = req.query;
+
+    const result = await Customer.getStatement(customerId, { startDate, endDate });
 
-    // Verify customer exists
-    const customer = await Customer.getById(customerId);
-    if (!customer) {
-      return res.status(404).json({ success: false, message: 'Customer not found' });
+    if (!result.success) {
+      return res.status(404).json({ success: false, message: result.error });
     }
 
-    // Get customer accounts
-    const accounts = await Account.getByCustomerId(customerId);
-    
-    // Get transactions
-    const filters = { customerId };
-    if (accountId) filters.accountId = accountId;
-    if (startDate) filters.startDate = startDate;
-    if (endDate) filters.endDate = endDate;
-
-    const transactions = await Transaction.getAll(filters);
-
-    // Get FDs, RDs, and Loans
-    const fds = await FD.getByCustomerId(customerId);
-    const rds = await RD.getByCustomerId(customerId);
-    const loans = await Loan.getByCustomerId(customerId);
-
-    const statement = {
-      customer,
-      accounts,
-      transactions,
-      deposits: { fds, rds },
-      loans,
-      summary: {
-        total_balance: accounts.reduce((sum, acc) => sum + acc.balance, 0),
-        total_fd_amount: fds.filter(fd => fd.status === 'active').reduce((sum, fd) => sum + fd.amount, 0),
-        total_rd_amount: rds.filter(rd => rd.status === 'active').reduce((sum, rd) => sum + rd.totalDeposited, 0),
-        total_loan_outstanding: loans.filter(loan => loan.status === 'active').reduce((sum, loan) => sum + loan.remainingAmount, 0)
-      },
-      period: {
-        startDate: startDate || 'All time',
-        endDate: endDate || new Date().toISOString().split('T')[0]
-      }
-    };
+    // Employees see statements only for customers they created
+    if (req.user.role === 'employee' && result.statement.customer.created_by !== req.user.id) {
+      return res.status(403).json({ success: false, message: 'Access denied. You can only view customers you created.' });
+    }
 
-    // Log the action
-    await auditLog(req.user.id, 'GENERATE', 'REPORT', `Generated customer statement for ${customerId}`);
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.REPORT_GENERATE,
+      'customer',
+      customerId,
+      `Generated customer statement for ${result.statement.customer.name}`,
+      req
+    );
 
-    res.json({ success: true, data: statement });
+    res.json({ success: true, data: result.statement });
   } catch (error) {
     console.error('Error generating customer statement:', error);
     res.status(500).json({ success: false, message: 'Failed to generate customer statement' });
   }
 });
 
-// Get account passbook
+// Get account passbook: the account's transactions with balances over a period
 router.get('/account/:accountId/passbook', authMiddleware, async (req, res) => {
   try {
-    const { accountId } = req.params;
-    const { startDate, endDate, limit = 100 } = req.query;
+    const accountId = parseInt(req.params.accountId);
+    const { startDate, endDate } = req.query;
 
-    // Verify account exists
-    const account = await Account.getById(accountId);
-    if (!account) {
-      return res.status(404).json({ success: false, message: 'Account not found' });
-    }
-
-    // Get customer details
-    const customer = await Customer.getById(account.customerId);
-
-    // Get transactions
-    const filters = { accountId };
-    if (startDate) filters.startDate = startDate;
-    if (endDate) filters.endDate = endDate;
+    const result = await Transaction.getAccountStatement(accountId, { start_date: startDate, end_date: endDate });
 
-    const transactions = await Transaction.getAll(filters, 1, parseInt(limit));
+    if (!result.success) {
+      return res.status(404).json({ success: false, message: result.error });
+    }
 
     const passbook = {
-      account,
-      customer,
-      transactions,
+      account: result.account,
+      transactions: result.transactions,
       summary: {
-        opening_balance: account.balance - transactions.reduce((sum, txn) => {
-          return txn.type === 'deposit' || txn.type === 'transfer_in' || txn.type === 'interest' 
-            ? sum + txn.amount 
-            : sum - txn.amount;
-        }, 0),
-        closing_balance: account.balance,
-        total_deposits: transactions.filter(t => ['deposit', 'transfer_in', 'interest'].includes(t.type)).reduce((sum, t) => sum + t.amount, 0),
-        total_withdrawals: transactions.filter(t => ['withdrawal', 'transfer_out'].includes(t.type)).reduce((sum, t) => sum + t.amount, 0),
-        transaction_count: transactions.length
+        opening_balance: result.opening_balance,
+        closing_balance: result.closing_balance,
+        total_credits: result.total_credits,
+        total_debits: result.total_debits,
+        transaction_count: result.transactions.length
       },
       period: {
-        startDate: startDate || 'All time',
-        endDate: endDate || new Date().toISOString().split('T')[0]
+        start_date: startDate || null,
+        end_date: endDate || new Date().toISOString().split('T')[0]
       }
     };
 
-    // Log the action
-    await auditLog(req.user.id, 'GENERATE', 'REPORT', `Generated passbook for account ${accountId}`);
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.REPORT_GENERATE,
+      'account',
+      accountId,
+      `Generated passbook for account ${result.account.account_number}`,
+      req
+    );
 
     res.json({ success: true, data: passbook });
   } catch (error) {
@@ -159,59 +148,43 @@ router.get('/account/:accountId/passbook', authMiddleware, async (req, res) => {
   }
 });
 
-// Get FD maturity report
+// Get FD maturity report: FDs maturing in a period, soonest first
 router.get('/fd/maturity', authMiddleware, async (req, res) => {
   try {
     const { startDate, endDate, status = 'active' } = req.query;
 
-    const filters = { status };
-    if (startDate) filters.startDate = startDate;
-    if (endDate) filters.endDate = endDate;
-
-    const fds = await FD.getAll(filters);
-    
-    // Filter by maturity date if date range provided
-    let filteredFds = fds;
-    if (startDate || endDate) {
-      filteredFds = fds.filter(fd => {
-        const maturityDate = new Date(fd.maturityDate);
-        const start = startDate ? new Date(startDate) : new Date('1900-01-01');
-        const end = endDate ? new Date(endDate) : new Date('2100-12-31');
-        return maturityDate >= start && maturityDate <= end;
-      });
-    }
+    const result = await FD.findAll({ status, maturity_from: startDate, maturity_to: endDate });
 
-    // Sort by maturity date
-    filteredFds.sort((a, b) => new Date(a.maturityDate) - new Date(b.maturityDate));
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
+    }
 
-    // Add customer details
-    const fdsWithCustomers = await Promise.all(
-      filteredFds.map(async (fd) => {
-        const customer = await Customer.getById(fd.customerId);
-        return { ...fd, customer };
-      })
-    );
+    const fds = [...result.fds].sort((a, b) => (a.maturity_date < b.maturity_date ? -1 : a.maturity_date > b.maturity_date ? 1 : 0));
+    const thisMonth = new Date().toISOString().slice(0, 7);
+    const sum = (field) => money.toRupees(fds.reduce((total, fd) => total + money.toPaise(fd[field]), 0));
 
     const report = {
-      fds: fdsWithCustomers,
+      fds,
       summary: {
-        total_count: fdsWithCustomers.length,
-        total_amount: fdsWithCustomers.reduce((sum, fd) => sum + fd.amount, 0),
-        total_maturity_amount: fdsWithCustomers.reduce((sum, fd) => sum + fd.maturityAmount, 0),
-        maturing_this_month: fdsWithCustomers.filter(fd => {
-          const maturityDate = new Date(fd.maturityDate);
-          const now = new Date();
-          return maturityDate.getMonth() === now.getMonth() && maturityDate.getFullYear() === now.getFullYear();
-        }).length
+        total_count: fds.length,
+        total_amount: sum('principal_amount'),
+        total_maturity_amount: sum('maturity_amount'),
+        maturing_this_month: fds.filter(fd => fd.maturity_date.startsWith(thisMonth)).length
       },
       period: {
-        startDate: startDate || 'All time',
-        endDate: endDate || 'All time'
+        start_date: startDate || null,
+        end_date: endDate || null
       }
     };
 
-    // Log the action
-    await auditLog(req.user.id, 'GENERATE', 'REPORT', 'Generated FD maturity report');
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.REPORT_GENERATE,
+      'report',
+      null,
+      'Generated FD maturity report',
+      req
+    );
 
     res.json({ success: true, data: report });
   } catch (error) {
@@ -220,188 +193,176 @@ router.get('/fd/maturity', authMiddleware, async (req, res) => {
   }
 });
 
-// Get loan EMI schedule report
+// Get loan EMI schedule report: the amortization schedule with what has been paid
 router.get('/loan/:loanId/schedule', authMiddleware, async (req, res) => {
   try {
-    const { loanId } = req.params;
+    const loanId = parseInt(req.params.loanId);
 
-    const loan = await Loan.getById(loanId);
-    if (!loan) {
-      return res.status(404).json({ success: false, message: 'Loan not found' });
+    const loanResult = await Loan.findById(loanId);
+    if (!loanResult.success) {
+      return res.status(404).json({ success: false, message: loanResult.error });
     }
 
-    const customer = await Customer.getById(loan.customerId);
-
-    // Generate EMI schedule
-    const schedule = [];
-    const startDate = new Date(loan.disbursementDate);
-    let remainingPrincipal = loan.amount;
-    const monthlyRate = loan.interestRate / (12 * 100);
-
-    for (let i = 1; i <= loan.tenure; i++) {
-      const dueDate = new Date(startDate);
-      dueDate.setMonth(dueDate.getMonth() + i);
-
-      let interestAmount, principalAmount;
-      
-      if (monthlyRate === 0) {
-        interestAmount = 0;
-        principalAmount = loan.amount / loan.tenure;
-      } else {
-        interestAmount = remainingPrincipal * monthlyRate;
-        principalAmount = loan.emi - interestAmount;
-      }
-
-      remainingPrincipal -= principalAmount;
-
-      schedule.push({
-        installmentNumber: i,
-        dueDate: dueDate.toISOString().split('T')[0],
-        emiAmount: loan.emi,
-        principalAmount: parseFloat(principalAmount.toFixed(2)),
-        interestAmount: parseFloat(interestAmount.toFixed(2)),
-        remainingPrincipal: parseFloat(Math.max(0, remainingPrincipal).toFixed(2)),
-        status: i <= loan.installmentsPaid ? 'paid' : 'pending'
-      });
+    const result = await Loan.getEMISchedule(loanId);
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
     }
 
-    const report = {
-      loan,
-      customer,
-      schedule,
-      summary: {
-        total_installments: loan.tenure,
-        paid_installments: loan.installmentsPaid,
-        remaining_installments: loan.tenure - loan.installmentsPaid,
-        total_amount: loan.totalAmount,
-        amount_paid: loan.amountPaid,
-        remaining_amount: loan.remainingAmount
-      }
-    };
-
-    // Log the action
-    await auditLog(req.user.id, 'GENERATE', 'REPORT', `Generated EMI schedule for loan ${loanId}`);
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.REPORT_GENERATE,
+      'loan',
+      loanId,
+      `Generated EMI schedule for loan ${loanResult.loan.loan_number}`,
+      req
+    );
 
-    res.json({ success: true, data: report });
+    res.json({ success: true, data: { loan: loanResult.loan, schedule: result.schedule, summary: result.summary } });
   } catch (error) {
     console.error('Error generating loan schedule:', error);
     res.status(500).json({ success: false, message: 'Failed to generate loan schedule' });
   }
 });
 
-// Get overdue loans report
+// Get overdue loans report: active loans past due at their latest delinquency assessment
 router.get('/loans/overdue', authMiddleware, async (req, res) => {
   try {
-    const overdueLoans = await Loan.getOverdue();
-    
-    // Add customer details
-    const loansWithCustomers = await Promise.all(
-      overdueLoans.map(async (loan) => {
-        const customer = await Customer.getById(loan.customerId);
-        return { ...loan, customer };
-      })
-    );
+    const result = await LoanDelinquency.getOverdueLoans();
 
-    const report = {
-      loans: loansWithCustomers,
-      summary: {
-        total_count: loansWithCustomers.length,
-        total_overdue_amount: loansWithCustomers.reduce((sum, loan) => sum + loan.remainingAmount, 0),
-        total_emi_amount: loansWithCustomers.reduce((sum, loan) => sum + loan.emi, 0)
-      }
-    };
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
+    }
 
-    // Log the action
-    await auditLog(req.user.id, 'GENERATE', 'REPORT', 'Generated overdue loans report');
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.REPORT_GENERATE,
+      'report',
+      null,
+      'Generated overdue loans report',
+      req
+    );
 
-    res.json({ success: true, data: report });
+    res.json({ success: true, data: { loans: result.loans, summary: result.summary } });
   } catch (error) {
     console.error('Error generating overdue loans report:', error);
     res.status(500).json({ success: false, message: 'Failed to generate overdue loans report' });
   }
 });
 
-// Get daily cash report
-router.get('/cash/daily', authMiddleware, async (req, res) => {
+// Get active loans by days-past-due bucket and asset class, with NPA provisioning
+router.get('/loans/dpd', authMiddleware, async (req, res) => {
   try {
-    const { date } = req.query;
-    const targetDate = date || new Date().toISOString().split('T')[0];
-
-    const summary = await Transaction.getDailySummary(targetDate);
-    const transactions = await Transaction.getAll({ 
-      startDate: targetDate, 
-      endDate: targetDate 
-    });
-
-    // Group transactions by type
-    const groupedTransactions = {
-      deposits: transactions.filter(t => t.type === 'deposit'),
-      withdrawals: transactions.filter(t => t.type === 'withdrawal'),
-      transfers: transactions.filter(t => ['transfer_in', 'transfer_out'].includes(t.type)),
-      interest: transactions.filter(t => t.type === 'interest'),
-      others: transactions.filter(t => !['deposit', 'withdrawal', 'transfer_in', 'transfer_out', 'interest'].includes(t.type))
-    };
+    const result = await LoanDelinquency.getPortfolioReport();
 
-    const report = {
-      date: targetDate,
-      summary,
-      transactions: groupedTransactions,
-      totals: {
-        total_transactions: transactions.length,
-        cash_in: summary.totalDeposits + summary.totalTransfersIn,
-        cash_out: summary.totalWithdrawals + summary.totalTransfersOut,
-        net_cash_flow: (summary.totalDeposits + summary.totalTransfersIn) - (summary.totalWithdrawals + summary.totalTransfersOut)
-      }
-    };
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
+    }
 
-    // Log the action
-    await auditLog(req.user.id, 'GENERATE', 'REPORT', `Generated daily cash report for ${targetDate}`);
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.REPORT_GENERATE,
+      'report',
+      null,
+      'Generated loan DPD portfolio report',
+      req
+    );
 
-    res.json({ success: true, data: report });
+    res.json({ success: true, data: result.report });
+  } catch (error) {
+    console.error('Error generating loan DPD report:', error);
+    res.status(500).json({ success: false, message: 'Failed to generate loan DPD report' });
+  }
+});
+
+// Get daily cash report: the vault and each till, reconciled against the ledger's Cash
+router.get('/cash/daily', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const targetDate = req.query.date || new Date().toISOString().split('T')[0];
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(targetDate)) {
+      return res.status(400).json({ success: false, message: 'Date must be YYYY-MM-DD' });
+    }
+
+    const result = await Till.getDailyCashReport(targetDate);
+
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
+    }
+
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.REPORT_GENERATE,
+      'report',
+      null,
+      `Generated daily cash report for ${targetDate}`,
+      req
+    );
+
+    res.json({ success: true, data: result.report });
   } catch (error) {
     console.error('Error generating daily cash report:', error);
     res.status(500).json({ success: false, message: 'Failed to generate daily cash report' });
   }
 });
 
+// New customers, accounts, FDs, RDs and loans between two dates
+const getGrowth = async (startDate, endDate) => {
+  const results = await Promise.all(
+    [Customer, Account, FD, RD, Loan].map(model => model.getCountByDateRange(startDate, endDate))
+  );
+  const failed = results.find(result => !result.success);
+  if (failed) {
+    throw new Error(failed.error);
+  }
+
+  const [customers, accounts, fds, rds, loans] = results.map(result => result.count);
+  return { customers, accounts, fds, rds, loans };
+};
+
 // Get monthly summary report
 router.get('/summary/monthly', authMiddleware, async (req, res) => {
   try {
-    const { year, month } = req.query;
     const currentDate = new Date();
-    const targetYear = parseInt(year) || currentDate.getFullYear();
-    const targetMonth = parseInt(month) || (currentDate.getMonth() + 1);
+    const targetYear = parseInt(req.query.year) || currentDate.getFullYear();
+    const targetMonth = parseInt(req.query.month) || (currentDate.getMonth() + 1);
+
+    if (targetMonth < 1 || targetMonth > 12) {
+      return res.status(400).json({ success: false, message: 'Month must be 1 to 12' });
+    }
 
-    const summary = await Transaction.getMonthlySummary(targetYear, targetMonth);
-    
-    // Get additional statistics
-    const startDate = new Date(targetYear, targetMonth - 1, 1).toISOString().split('T')[0];
-    const endDate = new Date(targetYear, targetMonth, 0).toISOString().split('T')[0];
+    const result = await Transaction.getMonthlyTransactionReport(targetYear, targetMonth);
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
+    }
 
-    const newCustomers = await Customer.getCountByDateRange(startDate, endDate);
-    const newAccounts = await Account.getCountByDateRange(startDate, endDate);
-    const newFDs = await FD.getCountByDateRange(startDate, endDate);
-    const newRDs = await RD.getCountByDateRange(startDate, endDate);
-    const newLoans = await Loan.getCountByDateRange(startDate, endDate);
+    const growth = await getGrowth(result.period.start_date, result.period.end_date);
 
     const report = {
       period: {
-        year: targetYear,
-        month: targetMonth,
-        monthName: new Date(targetYear, targetMonth - 1).toLocaleString('default', { month: 'long' })
+        ...result.period,
+        month_name: new Date(targetYear, targetMonth - 1).toLocaleString('default', { month: 'long' })
+      },
+      transactions: {
+        summary: result.summary,
+        daily: result.report
       },
-      transactions: summary,
       growth: {
-        new_customers: newCustomers,
-        new_accounts: newAccounts,
-        new_fds: newFDs,
-        new_rds: newRDs,
-        new_loans: newLoans
+        new_customers: growth.customers,
+        new_accounts: growth.accounts,
+        new_fds: growth.fds,
+        new_rds: growth.rds,
+        new_loans: growth.loans
       }
     };
 
-    // Log the action
-    await auditLog(req.user.id, 'GENERATE', 'REPORT', `Generated monthly summary report for ${targetMonth}/${targetYear}`);
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.REPORT_GENERATE,
+      'report',
+      null,
+      `Generated monthly summary report for ${targetMonth}/${targetYear}`,
+      req
+    );
 
     res.json({ success: true, data: report });
   } catch (error) {
@@ -422,34 +383,36 @@ router.get('/custom', authMiddleware, async (req, res) => {
       });
     }
 
-    const filters = { startDate, endDate };
-    
-    const summary = {
-      customers: await Customer.getCountByDateRange(startDate, endDate),
-      accounts: await Account.getCountByDateRange(startDate, endDate),
-      fds: await FD.getCountByDateRange(startDate, endDate),
-      rds: await RD.getCountByDateRange(startDate, endDate),
-      loans: await Loan.getCountByDateRange(startDate, endDate)
-    };
-
     const report = {
-      period: { startDate, endDate },
-      summary
+      period: { start_date: startDate, end_date: endDate },
+      summary: await getGrowth(startDate, endDate)
     };
 
     if (includeTransactions === 'true') {
-      const transactions = await Transaction.getAll(filters);
+      const result = await Transaction.getTransactionStats({ start_date: startDate, end_date: endDate });
+      if (!result.success) {
+        return res.status(500).json({ success: false, message: result.error });
+      }
+
+      const { stats } = result;
       report.transactions = {
-        total: transactions.length,
-        deposits: transactions.filter(t => t.type === 'deposit').length,
-        withdrawals: transactions.filter(t => t.type === 'withdrawal').length,
-        transfers: transactions.filter(t => ['transfer_in', 'transfer_out'].includes(t.type)).length,
-        total_amount: transactions.reduce((sum, t) => sum + t.amount, 0)
+        total: stats.total_transactions,
+        deposits: stats.total_deposits,
+        withdrawals: stats.total_withdrawals,
+        transfers: stats.total_transfers,
+        total_deposit_amount: stats.total_deposit_amount || 0,
+        total_withdrawal_amount: stats.total_withdrawal_amount || 0
       };
     }
 
-    // Log the action
-    await auditLog(req.user.id, 'GENERATE', 'REPORT', `Generated custom report for ${startDate} to ${endDate}`);
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.REPORT_GENERATE,
+      'report',
+      null,
+      `Generated custom report for ${startDate} to ${endDate}`,
+      req
+    );
 
     res.json({ success: true, data: report });
   } catch (error) {
@@ -2,96 +2,23 @@ const express = require('express');
 const router = express.Router();
 const { authMiddleware } = require('../middleware/authMiddleware');
 const { roleMiddleware } = require('../middleware/roleMiddleware');
-const { auditLog } = require('../utils/auditService');
-const fs = require('fs').promises;
+const AuditService = require('../utils/auditService');
+const settingsStore = require('../utils/settingsStore');
+const money = require('../utils/money');
+const amortization = require('../utils/amortization');
+const InterestAccrual = require('../models/InterestAccrual');
+const LoanDelinquency = require('../models/LoanDelinquency');
+const LoanGuarantor = require('../models/LoanGuarantor');
+const FDLoan = require('../models/FDLoan');
+const RD = require('../models/RD');
+const StandingInstruction = require('../models/StandingInstruction');
+const CustomerDocument = require('../models/CustomerDocument');
 const path = require('path');
 
-// Settings storage file
-const SETTINGS_FILE = path.join(__dirname, '../data/settings.json');
-
-// Default settings
-const DEFAULT_SETTINGS = {
-  institute: {
-    name: 'FinancePlus Institute',
-    address: '',
-    phone: '',
-    email: '',
-    logo: '',
-    registrationNumber: '',
-    establishedYear: new Date().getFullYear()
-  },
-  email: {
-    smtpHost: '',
-    smtpPort: 587,
-    smtpSecure: false,
-    smtpUser: '',
-    smtpPassword: '',
-    fromName: 'FinancePlus',
-    fromEmail: ''
-  },
-  interest: {
-    savingsRate: 4.0,
-    fdRates: {
-      '1': 6.0,
-      '2': 6.5,
-      '3': 7.0,
-      '5': 7.5
-    },
-    rdRate: 6.5,
-    loanRates: {
-      personal: 12.0,
-      business: 10.0,
-      agriculture: 8.0,
-      education: 9.0
-    }
-  },
-  system: {
-    autoBackup: true,
-    backupFrequency: 'weekly',
-    maxBackups: 10,
-    sessionTimeout: 86400000, // 24 hours in milliseconds
-    passwordMinLength: 6,
-    enableEmailNotifications: true,
-    defaultLanguage: 'en'
-  },
-  security: {
-    maxLoginAttempts: 5,
-    lockoutDuration: 300000, // 5 minutes in milliseconds
-    requirePasswordChange: false,
-    passwordExpiryDays: 90
-  }
-};
-
-// Helper function to read settings
-async function readSettings() {
-  try {
-    const data = await fs.readFile(SETTINGS_FILE, 'utf8');
-    return { ...DEFAULT_SETTINGS, ...JSON.parse(data) };
-  } catch (error) {
-    // If file doesn't exist, return default settings
-    return DEFAULT_SETTINGS;
-  }
-}
-
-// Helper function to write settings
-async function writeSettings(settings) {
-  try {
-    // Ensure data directory exists
-    const dataDir = path.dirname(SETTINGS_FILE);
-    await fs.mkdir(dataDir, { recursive: true });
-    
-    await fs.writeFile(SETTINGS_FILE, JSON.stringify(settings, null, 2));
-    return true;
-  } catch (error) {
-    console.error('Error writing settings:', error);
-    return false;
-  }
-}
-
 // Get all settings
 router.get('/', authMiddleware, async (req, res) => {
   try {
-    const settings = await readSettings();
+    const settings = await settingsStore.read();
     
     // Remove sensitive information for non-admin users
     if (req.user.role !== 'admin') {
@@ -110,7 +37,7 @@ router.get('/', authMiddleware, async (req, res) => {
 router.get('/:category', authMiddleware, async (req, res) => {
   try {
     const { category } = req.params;
-    const settings = await readSettings();
+    const settings = await settingsStore.read();
 
     if (!settings[category]) {
       return res.status(404).json({ success: false, message: 'Setting category not found' });
@@ -139,7 +66,7 @@ router.get('/:category', authMiddleware, async (req, res) => {
 router.put('/', authMiddleware, roleMiddleware(['admin']), async (req, res) => {
   try {
     const updates = req.body;
-    const currentSettings = await readSettings();
+    const currentSettings = await settingsStore.read();
 
     // Merge updates with current settings
     const newSettings = { ...currentSettings };
@@ -167,13 +94,114 @@ router.put('/', authMiddleware, roleMiddleware(['admin']), async (req, res) => {
       });
     }
 
-    const success = await writeSettings(newSettings);
+    if (!money.ROUNDING_MODES.includes(newSettings.money.roundingMode)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Rounding mode must be one of: ${money.ROUNDING_MODES.join(', ')}` 
+      });
+    }
+
+    if (!InterestAccrual.METHODS.includes(newSettings.interest.savingsAccrualMethod)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Savings interest accrual method must be one of: ${InterestAccrual.METHODS.join(', ')}` 
+      });
+    }
+
+    if (!InterestAccrual.POSTING_FREQUENCIES[newSettings.interest.savingsPostingFrequency]) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Savings interest posting frequency must be one of: ${Object.keys(InterestAccrual.POSTING_FREQUENCIES).join(', ')}` 
+      });
+    }
+
+    if (!amortization.isValidOrder(newSettings.loans.appropriationOrder)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Loan appropriation order must list each of: ${amortization.APPROPRIATION_BUCKETS.join(', ')}` 
+      });
+    }
+
+    if (!LoanDelinquency.isValidPenalRate(newSettings.loans.penalInterestRate)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Penal interest rate must be between 0 and 100' 
+      });
+    }
+
+    if (!LoanDelinquency.isValidAssetClasses(newSettings.loans.assetClasses)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Loan asset classes must be ${LoanDelinquency.ASSET_CLASSES.join(', ')} with rising DPD thresholds from 0 and provisions between 0 and 100%` 
+      });
+    }
+
+    if (!LoanGuarantor.isValidMaxGuarantees(newSettings.loans.maxGuaranteesPerCustomer)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Maximum guarantees per customer must be a whole number of at least 1' 
+      });
+    }
+
+    if (!FDLoan.isValidLimitPercent(newSettings.loans.fdLoanLimitPercent) || !FDLoan.isValidSpread(newSettings.loans.fdLoanSpread)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'FD loan limit must be above 0 and at most 100%, and the spread between 0 and 100%' 
+      });
+    }
+
+    if (!RD.isValidLateFeePercent(newSettings.deposits.rdLateFeePercent)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'RD late fee must be between 0 and 100%' 
+      });
+    }
+
+    if (!RD.PARTIAL_PAYMENT_MODES.includes(newSettings.deposits.rdPartialPayments)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `RD partial payments must be one of: ${RD.PARTIAL_PAYMENT_MODES.join(', ')}` 
+      });
+    }
+
+    if (!RD.isValidDefaultAfterMissed(newSettings.deposits.rdDefaultAfterMissed)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Missed installments before an RD defaults must be a whole number of at least 1' 
+      });
+    }
+
+    if (!StandingInstruction.isValidMaxRetries(newSettings.standingInstructions.maxRetries)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Standing instruction retries must be a whole number from 0 to 30' 
+      });
+    }
+
+    if (!CustomerDocument.isValidReverifyYears(newSettings.kyc.reverifyAfterYears)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'KYC re-verification period must be a whole number of years from 1 to 20' 
+      });
+    }
+
+    if (!CustomerDocument.isValidSignatureCheckAbove(newSettings.withdrawals.signatureCheckAbove)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Signature check amount must be a number of at least 0' 
+      });
+    }
+
+    const success = await settingsStore.write(newSettings);
     if (!success) {
       return res.status(500).json({ success: false, message: 'Failed to save settings' });
     }
 
+    // Apply the rounding mode to calculations from now on
+    money.configure(newSettings.money);
+
     // Log the action
-    await auditLog(req.user.id, 'UPDATE', 'SETTINGS', `Updated system settings`);
+    await AuditService.logActivity(req.user.id, AuditService.ACTION_TYPES.SETTINGS_UPDATE, 'settings', null, 'Updated system settings', req);
 
     res.json({ 
       success: true, 
@@ -191,7 +219,7 @@ router.put('/:category', authMiddleware, roleMiddleware(['admin']), async (req,
   try {
     const { category } = req.params;
     const updates = req.body;
-    const currentSettings = await readSettings();
+    const currentSettings = await settingsStore.read();
 
     if (!currentSettings[category]) {
       return res.status(404).json({ success: false, message: 'Setting category not found' });
@@ -216,6 +244,103 @@ router.put('/:category', authMiddleware, roleMiddleware(['admin']), async (req,
       }
     }
 
+    if (category === 'money' && !money.ROUNDING_MODES.includes(currentSettings.money.roundingMode)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Rounding mode must be one of: ${money.ROUNDING_MODES.join(', ')}` 
+      });
+    }
+
+    if (category === 'interest') {
+      if (!InterestAccrual.METHODS.includes(currentSettings.interest.savingsAccrualMethod)) {
+        return res.status(400).json({ 
+          success: false, 
+          message: `Savings interest accrual method must be one of: ${InterestAccrual.METHODS.join(', ')}` 
+        });
+      }
+      if (!InterestAccrual.POSTING_FREQUENCIES[currentSettings.interest.savingsPostingFrequency]) {
+        return res.status(400).json({ 
+          success: false, 
+          message: `Savings interest posting frequency must be one of: ${Object.keys(InterestAccrual.POSTING_FREQUENCIES).join(', ')}` 
+        });
+      }
+    }
+
+    if (category === 'loans') {
+      if (!amortization.isValidOrder(currentSettings.loans.appropriationOrder)) {
+        return res.status(400).json({ 
+          success: false, 
+          message: `Loan appropriation order must list each of: ${amortization.APPROPRIATION_BUCKETS.join(', ')}` 
+        });
+      }
+      if (!LoanDelinquency.isValidPenalRate(currentSettings.loans.penalInterestRate)) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'Penal interest rate must be between 0 and 100' 
+        });
+      }
+      if (!LoanDelinquency.isValidAssetClasses(currentSettings.loans.assetClasses)) {
+        return res.status(400).json({ 
+          success: false, 
+          message: `Loan asset classes must be ${LoanDelinquency.ASSET_CLASSES.join(', ')} with rising DPD thresholds from 0 and provisions between 0 and 100%` 
+        });
+      }
+      if (!LoanGuarantor.isValidMaxGuarantees(currentSettings.loans.maxGuaranteesPerCustomer)) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'Maximum guarantees per customer must be a whole number of at least 1' 
+        });
+      }
+      if (!FDLoan.isValidLimitPercent(currentSettings.loans.fdLoanLimitPercent) || !FDLoan.isValidSpread(currentSettings.loans.fdLoanSpread)) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'FD loan limit must be above 0 and at most 100%, and the spread between 0 and 100%' 
+        });
+      }
+    }
+
+    if (category === 'deposits') {
+      if (!RD.isValidLateFeePercent(currentSettings.deposits.rdLateFeePercent)) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'RD late fee must be between 0 and 100%' 
+        });
+      }
+      if (!RD.PARTIAL_PAYMENT_MODES.includes(currentSettings.deposits.rdPartialPayments)) {
+        return res.status(400).json({ 
+          success: false, 
+          message: `RD partial payments must be one of: ${RD.PARTIAL_PAYMENT_MODES.join(', ')}` 
+        });
+      }
+      if (!RD.isValidDefaultAfterMissed(currentSettings.deposits.rdDefaultAfterMissed)) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'Missed installments before an RD defaults must be a whole number of at least 1' 
+        });
+      }
+    }
+
+    if (category === 'standingInstructions' && !StandingInstruction.isValidMaxRetries(currentSettings.standingInstructions.maxRetries)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Standing instruction retries must be a whole number from 0 to 30' 
+      });
+    }
+
+    if (category === 'kyc' && !CustomerDocument.isValidReverifyYears(currentSettings.kyc.reverifyAfterYears)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'KYC re-verification period must be a whole number of years from 1 to 20' 
+      });
+    }
+
+    if (category === 'withdrawals' && !CustomerDocument.isValidSignatureCheckAbove(currentSettings.withdrawals.signatureCheckAbove)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Signature check amount must be a number of at least 0' 
+      });
+    }
+
     if (category === 'email' && updates.smtpPort) {
       if (updates.smtpPort < 1 || updates.smtpPort > 65535) {
         return res.status(400).json({ 
@@ -225,13 +350,17 @@ router.put('/:category', authMiddleware, roleMiddleware(['admin']), async (req,
       }
     }
 
-    const success = await writeSettings(currentSettings);
+    const success = await settingsStore.write(currentSettings);
     if (!success) {
       return res.status(500).json({ success: false, message: 'Failed to save settings' });
     }
 
+    if (category === 'money') {
+      money.configure(currentSettings.money);
+    }
+
     // Log the action
-    await auditLog(req.user.id, 'UPDATE', 'SETTINGS', `Updated ${category} settings`);
+    await AuditService.logActivity(req.user.id, AuditService.ACTION_TYPES.SETTINGS_UPDATE, 'settings', null, `Updated ${category} settings`, req);
 
     res.json({ 
       success: true, 
@@ -256,7 +385,7 @@ router.post('/email/test', authMiddleware, roleMiddleware(['admin']), async (req
       });
     }
 
-    const settings = await readSettings();
+    const settings = await settingsStore.read();
     const emailConfig = settings.email;
 
     if (!emailConfig.smtpHost || !emailConfig.smtpUser || !emailConfig.smtpPassword) {
@@ -282,7 +411,7 @@ router.post('/email/test', authMiddleware, roleMiddleware(['admin']), async (req
     await sendEmail(testEmail, testSubject, testBody);
 
     // Log the action
-    await auditLog(req.user.id, 'TEST', 'EMAIL_CONFIG', `Sent test email to ${testEmail}`);
+    await AuditService.logActivity(req.user.id, AuditService.ACTION_TYPES.EMAIL_SEND, 'settings', null, `Sent test email to ${testEmail}`, req);
 
     res.json({ 
       success: true, 
@@ -304,23 +433,67 @@ router.post('/reset', authMiddleware, roleMiddleware(['admin']), async (req, res
     const { category } = req.body;
 
     let newSettings;
-    if (category && DEFAULT_SETTINGS[category]) {
+    if (category && settingsStore.defaults[category]) {
       // Reset specific category
-      const currentSettings = await readSettings();
-      currentSettings[category] = DEFAULT_SETTINGS[category];
+      const currentSettings = await settingsStore.read();
+      currentSettings[category] = settingsStore.defaults[category];
       newSettings = currentSettings;
     } else {
       // Reset all settings
-      newSettings = DEFAULT_SETTINGS;
+      newSettings = settingsStore.defaults;
     }
 
-    const success = await writeSettings(newSettings);
+    if (!RD.isValidLateFeePercent(newSettings.deposits.rdLateFeePercent)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'RD late fee must be between 0 and 100%' 
+      });
+    }
+
+    if (!RD.PARTIAL_PAYMENT_MODES.includes(newSettings.deposits.rdPartialPayments)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `RD partial payments must be one of: ${RD.PARTIAL_PAYMENT_MODES.join(', ')}` 
+      });
+    }
+
+    if (!RD.isValidDefaultAfterMissed(newSettings.deposits.rdDefaultAfterMissed)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Missed installments before an RD defaults must be a whole number of at least 1' 
+      });
+    }
+
+    if (!StandingInstruction.isValidMaxRetries(newSettings.standingInstructions.maxRetries)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Standing instruction retries must be a whole number from 0 to 30' 
+      });
+    }
+
+    if (!CustomerDocument.isValidReverifyYears(newSettings.kyc.reverifyAfterYears)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'KYC re-verification period must be a whole number of years from 1 to 20' 
+      });
+    }
+
+    if (!CustomerDocument.isValidSignatureCheckAbove(newSettings.withdrawals.signatureCheckAbove)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Signature check amount must be a number of at least 0' 
+      });
+    }
+
+    const success = await settingsStore.write(newSettings);
     if (!success) {
       return res.status(500).json({ success: false, message: 'Failed to reset settings' });
     }
 
+    money.configure(newSettings.money);
+
     // Log the action
-    await auditLog(req.user.id, 'RESET', 'SETTINGS', `Reset ${category || 'all'} settings to default`);
+    await AuditService.logActivity(req.user.id, AuditService.ACTION_TYPES.SETTINGS_UPDATE, 'settings', null, `Reset ${category || 'all'} settings to default`, req);
 
     res.json({ 
       success: true, 
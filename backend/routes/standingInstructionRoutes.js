@@ -0,0 +1,146 @@
+const express = require('express');
+const router = express.Router();
+const { authMiddleware } = require('../middleware/authMiddleware');
+const { adminOnly, adminOrEmployee } = require('../middleware/roleMiddleware');
+const AuditService = require('../utils/auditService');
+const StandingInstruction = require('../models/StandingInstruction');
+const { recordAttempt } = require('../utils/standingInstructionRuns');
+
+const describe = (instruction) => `${instruction.target_type === 'rd' ? 'RD' : 'loan'} ${instruction.target_number} from account ${instruction.account_number}`;
+
+// List standing instructions, optionally for one customer, account, RD or loan
+router.get('/', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const { customer_id, account_id, target_type, target_id, status } = req.query;
+
+    const result = await StandingInstruction.findAll({ customer_id, account_id, target_type, target_id, status });
+
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, instructions: result.instructions });
+  } catch (error) {
+    console.error('Error fetching standing instructions:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch standing instructions' });
+  }
+});
+
+// Get a standing instruction
+router.get('/:id', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const result = await StandingInstruction.findById(parseInt(req.params.id));
+
+    if (!result.success) {
+      return res.status(404).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, instruction: result.instruction });
+  } catch (error) {
+    console.error('Error fetching standing instruction:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch standing instruction' });
+  }
+});
+
+// Every attempt made under a standing instruction, newest first
+router.get('/:id/history', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const result = await StandingInstruction.getHistory(parseInt(req.params.id));
+
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, runs: result.runs });
+  } catch (error) {
+    console.error('Error fetching standing instruction history:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch standing instruction history' });
+  }
+});
+
+// Set up a standing instruction from a savings account to an RD or loan
+router.post('/', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const result = await StandingInstruction.create(req.body, req.user.id);
+
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    const { instruction } = result;
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.STANDING_INSTRUCTION_CREATE,
+      'standing_instruction',
+      instruction.id,
+      `Set up standing instruction to pay ${describe(instruction)}${instruction.amount ? ` - ₹${instruction.amount} each time` : ''}`,
+      req
+    );
+
+    res.status(201).json({ success: true, message: 'Standing instruction set up successfully', instruction });
+  } catch (error) {
+    console.error('Error creating standing instruction:', error);
+    res.status(500).json({ success: false, message: 'Failed to set up standing instruction' });
+  }
+});
+
+// Pause, resume or cancel a standing instruction
+router.put('/:id/status', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const { status } = req.body;
+    const result = await StandingInstruction.setStatus(parseInt(req.params.id), status);
+
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    const { instruction } = result;
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.STANDING_INSTRUCTION_UPDATE,
+      'standing_instruction',
+      instruction.id,
+      `Standing instruction to pay ${describe(instruction)} set to ${status}`,
+      req
+    );
+
+    res.json({ success: true, message: `Standing instruction ${status === 'active' ? 'resumed' : status}`, instruction });
+  } catch (error) {
+    console.error('Error updating standing instruction:', error);
+    res.status(500).json({ success: false, message: 'Failed to update standing instruction' });
+  }
+});
+
+const NOT_ATTEMPTED = {
+  not_due: 'Nothing is due under this instruction yet',
+  collected: 'The installment now due has already been collected',
+  completed: 'The RD or loan is no longer taking payments; the instruction is complete'
+};
+
+// Try a standing instruction now instead of waiting for the daily run (Admin only)
+router.post('/:id/run', authMiddleware, adminOnly, async (req, res) => {
+  try {
+    const result = await StandingInstruction.runNow(parseInt(req.params.id), req.user.id);
+
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    if (!result.run) {
+      return res.status(400).json({ success: false, message: NOT_ATTEMPTED[result.action] || result.action });
+    }
+
+    await recordAttempt(result.instruction, result.run, req.user.id, req);
+
+    if (result.run.status === 'failed') {
+      return res.status(400).json({ success: false, message: `Standing instruction failed: ${result.run.error_message}`, run: result.run });
+    }
+
+    res.json({ success: true, message: `₹${result.run.amount} paid from account ${result.instruction.account_number}`, run: result.run });
+  } catch (error) {
+    console.error('Error running standing instruction:', error);
+    res.status(500).json({ success: false, message: 'Failed to run standing instruction' });
+  }
+});
+
+module.exports = router;
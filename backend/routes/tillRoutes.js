@@ -0,0 +1,219 @@
+const express = require('express');
+const router = express.Router();
+const { authMiddleware } = require('../middleware/authMiddleware');
+const { adminOnly, adminOrEmployee } = require('../middleware/roleMiddleware');
+const AuditService = require('../utils/auditService');
+const Till = require('../models/Till');
+
+const movementLabels = {
+  opening: 'Recorded vault opening cash',
+  bank_in: 'Drew cash from bank into vault',
+  bank_out: 'Remitted cash from vault to bank'
+};
+
+// Tellers work their own till; admins any
+const canUseTill = (req, session) => req.user.role === 'admin' || session.teller_id === req.user.id;
+
+const statusCode = (error) => (error === 'Till session not found' ? 404 : 400);
+
+// List tills, optionally for a business date or status; tellers see their own
+router.get('/', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const { business_date, teller_id, status } = req.query;
+
+    const result = await Till.findAll({
+      business_date,
+      teller_id: req.user.role === 'admin' ? (teller_id ? parseInt(teller_id) : undefined) : req.user.id,
+      status
+    });
+
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, sessions: result.sessions });
+  } catch (error) {
+    console.error('Error fetching tills:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch tills' });
+  }
+});
+
+// The signed-in teller's open till, if any
+router.get('/mine', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const result = await Till.findAll({ teller_id: req.user.id, status: 'open' });
+
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
+    }
+
+    const [open] = result.sessions;
+    if (!open) {
+      return res.json({ success: true, session: null, denominations: Till.DENOMINATIONS });
+    }
+
+    const detail = await Till.findById(open.id);
+    res.json({ success: true, session: detail.session, denominations: Till.DENOMINATIONS });
+  } catch (error) {
+    console.error('Error fetching till:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch till' });
+  }
+});
+
+// The vault's balance and recent movements (Admin only)
+router.get('/vault', authMiddleware, adminOnly, async (req, res) => {
+  try {
+    const result = await Till.getVault();
+
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, vault: result.vault });
+  } catch (error) {
+    console.error('Error fetching vault:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch vault' });
+  }
+});
+
+// Record the vault's opening cash or a remittance from or to the bank (Admin only)
+router.post('/vault/movements', authMiddleware, adminOnly, async (req, res) => {
+  try {
+    const result = await Till.recordVaultMovement(req.body, req.user.id);
+
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    const { movement } = result;
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.VAULT_MOVEMENT,
+      'vault_movement',
+      movement.id,
+      `${movementLabels[movement.movement_type]}: ₹${movement.amount}${movement.note ? ` (${movement.note})` : ''}`,
+      req
+    );
+
+    res.status(201).json({ success: true, message: 'Vault movement recorded', movement, vault_balance: result.vault_balance });
+  } catch (error) {
+    console.error('Error recording vault movement:', error);
+    res.status(500).json({ success: false, message: 'Failed to record vault movement' });
+  }
+});
+
+// Get a till with its vault movements and cash entries
+router.get('/:id', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const result = await Till.findById(parseInt(req.params.id));
+
+    if (!result.success || !canUseTill(req, result.session)) {
+      return res.status(404).json({ success: false, message: result.error || 'Till session not found' });
+    }
+
+    res.json({ success: true, session: result.session });
+  } catch (error) {
+    console.error('Error fetching till:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch till' });
+  }
+});
+
+// Open a till for today with cash from the vault; admins may open one for another teller
+router.post('/', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const tellerId = req.body.teller_id ? parseInt(req.body.teller_id) : req.user.id;
+    if (tellerId !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Only an admin can open a till for another teller' });
+    }
+
+    const result = await Till.open({ ...req.body, teller_id: tellerId }, req.user.id);
+
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    const { session } = result;
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.TILL_OPEN,
+      'till_session',
+      session.id,
+      `Opened till for ${session.teller_name} on ${session.business_date} with ₹${session.opening_cash}`,
+      req
+    );
+
+    res.status(201).json({ success: true, message: 'Till opened', session });
+  } catch (error) {
+    console.error('Error opening till:', error);
+    res.status(500).json({ success: false, message: 'Failed to open till' });
+  }
+});
+
+// Issue cash from the vault to a till, or return cash from it
+router.post('/:id/transfer', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.id);
+    const current = await Till.findById(sessionId);
+    if (!current.success || !canUseTill(req, current.session)) {
+      return res.status(404).json({ success: false, message: current.error || 'Till session not found' });
+    }
+
+    const result = await Till.transfer(sessionId, req.body, req.user.id);
+
+    if (!result.success) {
+      return res.status(statusCode(result.error)).json({ success: false, message: result.error });
+    }
+
+    const { session } = result;
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.TILL_TRANSFER,
+      'till_session',
+      sessionId,
+      `${req.body.direction === 'issue' ? 'Issued' : 'Returned'} ₹${parseFloat(req.body.amount)} ${req.body.direction === 'issue' ? 'from the vault to' : 'to the vault from'} ${session.teller_name}'s till`,
+      req
+    );
+
+    res.json({ success: true, message: req.body.direction === 'issue' ? 'Cash issued to till' : 'Cash returned to vault', session });
+  } catch (error) {
+    console.error('Error moving till cash:', error);
+    res.status(500).json({ success: false, message: 'Failed to move till cash' });
+  }
+});
+
+// Close a till on its count by denomination
+router.post('/:id/close', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.id);
+    const current = await Till.findById(sessionId);
+    if (!current.success || !canUseTill(req, current.session)) {
+      return res.status(404).json({ success: false, message: current.error || 'Till session not found' });
+    }
+
+    const result = await Till.close(sessionId, req.body, req.user.id);
+
+    if (!result.success) {
+      return res.status(statusCode(result.error)).json({ success: false, message: result.error });
+    }
+
+    const { session } = result;
+    const difference = session.difference > 0
+      ? `, excess ₹${session.difference}`
+      : session.difference < 0 ? `, shortage ₹${-session.difference}` : '';
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.TILL_CLOSE,
+      'till_session',
+      sessionId,
+      `Closed ${session.teller_name}'s till for ${session.business_date}: counted ₹${session.counted_cash} against ₹${session.expected_cash} expected${difference}${session.difference_reason ? ` (${session.difference_reason})` : ''}`,
+      req
+    );
+
+    res.json({ success: true, message: 'Till closed', session });
+  } catch (error) {
+    console.error('Error closing till:', error);
+    res.status(500).json({ success: false, message: 'Failed to close till' });
+  }
+});
+
+module.exports = router;
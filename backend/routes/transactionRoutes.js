@@ -2,35 +2,52 @@ const express = require('express');
 const router = express.Router();
 const Transaction = require('../models/Transaction');
 const Account = require('../models/Account');
-const Customer = require('../models/Customer');
+const CustomerDocument = require('../models/CustomerDocument');
+const JointHolder = require('../models/JointHolder');
+const AuditService = require('../utils/auditService');
 const { authMiddleware } = require('../middleware/authMiddleware');
-const { roleMiddleware } = require('../middleware/roleMiddleware');
-const { auditLog } = require('../utils/auditService');
+const { adminOnly, adminOrEmployee } = require('../middleware/roleMiddleware');
+const { counterCash } = require('../middleware/tillMiddleware');
 
 // Get all transactions with pagination
-router.get('/', authMiddleware, async (req, res) => {
+router.get('/', authMiddleware, adminOrEmployee, async (req, res) => {
   try {
-    const { page = 1, limit = 50, customerId, accountId, type, startDate, endDate } = req.query;
-    
-    const filters = {};
-    if (customerId) filters.customerId = customerId;
-    if (accountId) filters.accountId = accountId;
-    if (type) filters.type = type;
-    if (startDate) filters.startDate = startDate;
-    if (endDate) filters.endDate = endDate;
-
-    const transactions = await Transaction.getAll(filters, parseInt(page), parseInt(limit));
-    const total = await Transaction.getCount(filters);
-
-    res.json({ 
-      success: true, 
-      data: transactions,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
+    const {
+      customer_id,
+      account_id,
+      transaction_type,
+      start_date,
+      end_date,
+      min_amount,
+      max_amount,
+      search,
+      limit = 50,
+      offset = 0
+    } = req.query;
+
+    const result = await Transaction.findAll({
+      customer_id: customer_id ? parseInt(customer_id) : undefined,
+      account_id: account_id ? parseInt(account_id) : undefined,
+      transaction_type,
+      start_date,
+      end_date,
+      min_amount: min_amount ? parseFloat(min_amount) : undefined,
+      max_amount: max_amount ? parseFloat(max_amount) : undefined,
+      search,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
+    }
+
+    res.json({
+      success: true,
+      transactions: result.transactions,
+      total: result.total,
+      limit: result.limit,
+      offset: result.offset
     });
   } catch (error) {
     console.error('Error fetching transactions:', error);
@@ -38,477 +55,533 @@ router.get('/', authMiddleware, async (req, res) => {
   }
 });
 
-// Get transaction by ID
-router.get('/:id', authMiddleware, async (req, res) => {
+// Get today's transactions
+router.get('/today', authMiddleware, adminOrEmployee, async (req, res) => {
   try {
-    const transaction = await Transaction.getById(req.params.id);
-    if (!transaction) {
-      return res.status(404).json({ success: false, message: 'Transaction not found' });
+    const result = await Transaction.getTodaysTransactions();
+
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
     }
-    res.json({ success: true, data: transaction });
+
+    res.json({ success: true, transactions: result.transactions });
   } catch (error) {
-    console.error('Error fetching transaction:', error);
-    res.status(500).json({ success: false, message: 'Failed to fetch transaction' });
+    console.error('Error fetching today\'s transactions:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch today\'s transactions' });
   }
 });
 
-// Get transactions by customer ID
-router.get('/customer/:customerId', authMiddleware, async (req, res) => {
+// Get transaction statistics
+router.get('/stats', authMiddleware, adminOrEmployee, async (req, res) => {
   try {
-    const { page = 1, limit = 50 } = req.query;
-    const transactions = await Transaction.getByCustomerId(req.params.customerId, parseInt(page), parseInt(limit));
-    res.json({ success: true, data: transactions });
+    const { start_date, end_date, account_id, customer_id } = req.query;
+
+    const result = await Transaction.getTransactionStats({
+      start_date,
+      end_date,
+      account_id: account_id ? parseInt(account_id) : undefined,
+      customer_id: customer_id ? parseInt(customer_id) : undefined
+    });
+
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, stats: result.stats });
   } catch (error) {
-    console.error('Error fetching customer transactions:', error);
-    res.status(500).json({ success: false, message: 'Failed to fetch customer transactions' });
+    console.error('Error fetching transaction stats:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch transaction stats' });
   }
 });
 
-// Get transactions by account ID (passbook)
-router.get('/account/:accountId', authMiddleware, async (req, res) => {
+// Get daily transaction trend
+router.get('/trend', authMiddleware, adminOrEmployee, async (req, res) => {
   try {
-    const { page = 1, limit = 100 } = req.query;
-    const transactions = await Transaction.getByAccountId(req.params.accountId, parseInt(page), parseInt(limit));
-    res.json({ success: true, data: transactions });
+    const { days = 30 } = req.query;
+    const result = await Transaction.getDailyTransactionTrend(parseInt(days));
+
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, trend: result.trend });
   } catch (error) {
-    console.error('Error fetching account transactions:', error);
-    res.status(500).json({ success: false, message: 'Failed to fetch account transactions' });
+    console.error('Error fetching transaction trend:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch transaction trend' });
   }
 });
 
-// Create deposit transaction
-router.post('/deposit', authMiddleware, async (req, res) => {
+// Get transaction totals by type
+router.get('/by-type', authMiddleware, adminOrEmployee, async (req, res) => {
   try {
-    const { accountId, amount, description, referenceNumber } = req.body;
+    const { start_date, end_date } = req.query;
+    const result = await Transaction.getTransactionsByType({ start_date, end_date });
 
-    // Validate required fields
-    if (!accountId || !amount) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Account ID and amount are required' 
-      });
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
     }
 
-    const depositAmount = parseFloat(amount);
-    if (depositAmount <= 0) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Deposit amount must be greater than 0' 
-      });
-    }
+    res.json({ success: true, type_stats: result.type_stats });
+  } catch (error) {
+    console.error('Error fetching transactions by type:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch transactions by type' });
+  }
+});
 
-    // Verify account exists
-    const account = await Account.getById(accountId);
-    if (!account) {
-      return res.status(404).json({ success: false, message: 'Account not found' });
+// Search transactions
+router.get('/search', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const { q, transaction_type, start_date, end_date, limit = 50 } = req.query;
+
+    if (!q) {
+      return res.status(400).json({ success: false, message: 'Search term is required' });
     }
 
-    // Calculate new balance
-    const newBalance = account.balance + depositAmount;
-
-    // Create transaction record
-    const transactionData = {
-      customerId: account.customerId,
-      accountId,
-      type: 'deposit',
-      amount: depositAmount,
-      balanceAfter: newBalance,
-      description: description || 'Cash deposit',
-      referenceNumber: referenceNumber || `DEP${Date.now()}`,
-      processedBy: req.user.id
-    };
-
-    const transactionId = await Transaction.create(transactionData);
-
-    // Update account balance
-    await Account.update(accountId, { 
-      balance: newBalance,
-      lastTransactionDate: new Date().toISOString()
+    const result = await Transaction.searchTransactions(q, {
+      transaction_type,
+      start_date,
+      end_date,
+      limit: parseInt(limit)
     });
 
-    const newTransaction = await Transaction.getById(transactionId);
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, transactions: result.transactions });
+  } catch (error) {
+    console.error('Error searching transactions:', error);
+    res.status(500).json({ success: false, message: 'Failed to search transactions' });
+  }
+});
+
+// Get transaction volume
+router.get('/volume', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const { period = 'daily', days = 30 } = req.query;
+    const result = await Transaction.getTransactionVolume(period, parseInt(days));
 
-    // Log the action
-    await auditLog(req.user.id, 'DEPOSIT', 'TRANSACTION', `Deposit of ${depositAmount} to account ${accountId}`);
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
+    }
 
-    res.status(201).json({ 
-      success: true, 
-      message: 'Deposit successful', 
-      data: newTransaction 
+    res.json({
+      success: true,
+      volume: result.volume,
+      period_type: result.period_type,
+      days_covered: result.days_covered
     });
   } catch (error) {
-    console.error('Error processing deposit:', error);
-    res.status(500).json({ success: false, message: 'Failed to process deposit' });
+    console.error('Error fetching transaction volume:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch transaction volume' });
   }
 });
 
-// Create withdrawal transaction
-router.post('/withdraw', authMiddleware, async (req, res) => {
+// Get daily transaction summary
+router.get('/summary/daily', authMiddleware, adminOrEmployee, async (req, res) => {
   try {
-    const { accountId, amount, description, referenceNumber } = req.body;
+    const { date } = req.query;
+    const targetDate = date || new Date().toISOString().split('T')[0];
 
-    // Validate required fields
-    if (!accountId || !amount) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Account ID and amount are required' 
-      });
-    }
+    const result = await Transaction.getTransactionStats({ start_date: targetDate, end_date: targetDate });
 
-    const withdrawAmount = parseFloat(amount);
-    if (withdrawAmount <= 0) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Withdrawal amount must be greater than 0' 
-      });
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
     }
 
-    // Verify account exists
-    const account = await Account.getById(accountId);
-    if (!account) {
-      return res.status(404).json({ success: false, message: 'Account not found' });
-    }
+    res.json({ success: true, date: targetDate, stats: result.stats });
+  } catch (error) {
+    console.error('Error fetching daily summary:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch daily summary' });
+  }
+});
 
-    // Check sufficient balance
-    if (account.balance < withdrawAmount) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Insufficient balance' 
-      });
+// Get monthly transaction summary
+router.get('/summary/monthly', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const { year, month } = req.query;
+    const currentDate = new Date();
+    const targetYear = year ? parseInt(year) : currentDate.getFullYear();
+    const targetMonth = month ? parseInt(month) : (currentDate.getMonth() + 1);
+
+    const result = await Transaction.getMonthlyTransactionReport(targetYear, targetMonth);
+
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
     }
 
-    // Calculate new balance
-    const newBalance = account.balance - withdrawAmount;
-
-    // Create transaction record
-    const transactionData = {
-      customerId: account.customerId,
-      accountId,
-      type: 'withdrawal',
-      amount: withdrawAmount,
-      balanceAfter: newBalance,
-      description: description || 'Cash withdrawal',
-      referenceNumber: referenceNumber || `WTH${Date.now()}`,
-      processedBy: req.user.id
-    };
-
-    const transactionId = await Transaction.create(transactionData);
-
-    // Update account balance
-    await Account.update(accountId, { 
-      balance: newBalance,
-      lastTransactionDate: new Date().toISOString()
-    });
+    res.json({ success: true, report: result.report, summary: result.summary, period: result.period });
+  } catch (error) {
+    console.error('Error fetching monthly summary:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch monthly summary' });
+  }
+});
 
-    const newTransaction = await Transaction.getById(transactionId);
+// Get transaction by transaction ID
+router.get('/txn/:transactionId', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const result = await Transaction.findByTransactionId(req.params.transactionId);
 
-    // Log the action
-    await auditLog(req.user.id, 'WITHDRAWAL', 'TRANSACTION', `Withdrawal of ${withdrawAmount} from account ${accountId}`);
+    if (!result.success) {
+      return res.status(404).json({ success: false, message: result.error });
+    }
 
-    res.status(201).json({ 
-      success: true, 
-      message: 'Withdrawal successful', 
-      data: newTransaction 
-    });
+    res.json({ success: true, transaction: result.transaction });
   } catch (error) {
-    console.error('Error processing withdrawal:', error);
-    res.status(500).json({ success: false, message: 'Failed to process withdrawal' });
+    console.error('Error fetching transaction:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch transaction' });
   }
 });
 
-// Transfer between accounts
-router.post('/transfer', authMiddleware, async (req, res) => {
+// Get transaction summary for a customer
+router.get('/customer/:customerId/summary', authMiddleware, adminOrEmployee, async (req, res) => {
   try {
-    const { fromAccountId, toAccountId, amount, description, referenceNumber } = req.body;
+    const { start_date, end_date, account_id } = req.query;
 
-    // Validate required fields
-    if (!fromAccountId || !toAccountId || !amount) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'From account, to account, and amount are required' 
-      });
-    }
+    const result = await Transaction.getCustomerTransactionSummary(parseInt(req.params.customerId), {
+      start_date,
+      end_date,
+      account_id: account_id ? parseInt(account_id) : undefined
+    });
 
-    const transferAmount = parseFloat(amount);
-    if (transferAmount <= 0) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Transfer amount must be greater than 0' 
-      });
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
     }
 
-    if (fromAccountId === toAccountId) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Cannot transfer to the same account' 
-      });
-    }
+    res.json({ success: true, summary: result.summary });
+  } catch (error) {
+    console.error('Error fetching customer transaction summary:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch customer transaction summary' });
+  }
+});
 
-    // Verify both accounts exist
-    const fromAccount = await Account.getById(fromAccountId);
-    const toAccount = await Account.getById(toAccountId);
+// Get transactions by customer ID
+router.get('/customer/:customerId', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const { limit = 50, offset = 0 } = req.query;
 
-    if (!fromAccount) {
-      return res.status(404).json({ success: false, message: 'Source account not found' });
-    }
-    if (!toAccount) {
-      return res.status(404).json({ success: false, message: 'Destination account not found' });
-    }
+    const result = await Transaction.findAll({
+      customer_id: parseInt(req.params.customerId),
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
 
-    // Check sufficient balance
-    if (fromAccount.balance < transferAmount) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Insufficient balance in source account' 
-      });
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
     }
 
-    const transferRef = referenceNumber || `TRF${Date.now()}`;
-    const transferDesc = description || 'Account transfer';
-
-    // Calculate new balances
-    const newFromBalance = fromAccount.balance - transferAmount;
-    const newToBalance = toAccount.balance + transferAmount;
-
-    // Create debit transaction for source account
-    const debitTransactionData = {
-      customerId: fromAccount.customerId,
-      accountId: fromAccountId,
-      type: 'transfer_out',
-      amount: transferAmount,
-      balanceAfter: newFromBalance,
-      description: `${transferDesc} to A/C ${toAccount.accountNumber}`,
-      referenceNumber: transferRef,
-      processedBy: req.user.id
-    };
-
-    // Create credit transaction for destination account
-    const creditTransactionData = {
-      customerId: toAccount.customerId,
-      accountId: toAccountId,
-      type: 'transfer_in',
-      amount: transferAmount,
-      balanceAfter: newToBalance,
-      description: `${transferDesc} from A/C ${fromAccount.accountNumber}`,
-      referenceNumber: transferRef,
-      processedBy: req.user.id
-    };
-
-    // Create both transactions
-    const debitTransactionId = await Transaction.create(debitTransactionData);
-    const creditTransactionId = await Transaction.create(creditTransactionData);
-
-    // Update both account balances
-    await Account.update(fromAccountId, { 
-      balance: newFromBalance,
-      lastTransactionDate: new Date().toISOString()
-    });
-    await Account.update(toAccountId, { 
-      balance: newToBalance,
-      lastTransactionDate: new Date().toISOString()
-    });
+    res.json({ success: true, transactions: result.transactions, total: result.total });
+  } catch (error) {
+    console.error('Error fetching customer transactions:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch customer transactions' });
+  }
+});
 
-    const debitTransaction = await Transaction.getById(debitTransactionId);
-    const creditTransaction = await Transaction.getById(creditTransactionId);
+// Get account statement (passbook)
+router.get('/account/:accountId', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const { start_date, end_date } = req.query;
+    const result = await Transaction.getAccountStatement(parseInt(req.params.accountId), { start_date, end_date });
 
-    // Log the action
-    await auditLog(req.user.id, 'TRANSFER', 'TRANSACTION', `Transfer of ${transferAmount} from ${fromAccountId} to ${toAccountId}`);
+    if (!result.success) {
+      return res.status(404).json({ success: false, message: result.error });
+    }
 
-    res.status(201).json({ 
-      success: true, 
-      message: 'Transfer successful', 
-      data: {
-        debitTransaction,
-        creditTransaction,
-        transferReference: transferRef
-      }
+    res.json({
+      success: true,
+      account: result.account,
+      transactions: result.transactions,
+      opening_balance: result.opening_balance,
+      closing_balance: result.closing_balance
     });
   } catch (error) {
-    console.error('Error processing transfer:', error);
-    res.status(500).json({ success: false, message: 'Failed to process transfer' });
+    console.error('Error fetching account transactions:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch account transactions' });
   }
 });
 
-// Apply interest to account (Admin only)
-router.post('/interest', authMiddleware, roleMiddleware(['admin']), async (req, res) => {
+// Get reversal requests
+router.get('/reversals', authMiddleware, adminOrEmployee, async (req, res) => {
   try {
-    const { accountId, interestRate, description } = req.body;
+    const { status, source, limit = 50, offset = 0 } = req.query;
 
-    if (!accountId || !interestRate) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Account ID and interest rate are required' 
-      });
-    }
+    const result = await Transaction.getReversalRequests({
+      status,
+      source,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
 
-    // Verify account exists
-    const account = await Account.getById(accountId);
-    if (!account) {
-      return res.status(404).json({ success: false, message: 'Account not found' });
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.error });
     }
 
-    // Calculate interest amount
-    const rate = parseFloat(interestRate);
-    const interestAmount = (account.balance * rate) / 100;
-    const newBalance = account.balance + interestAmount;
-
-    // Create interest transaction
-    const transactionData = {
-      customerId: account.customerId,
-      accountId,
-      type: 'interest',
-      amount: interestAmount,
-      balanceAfter: newBalance,
-      description: description || `Interest applied at ${rate}%`,
-      referenceNumber: `INT${Date.now()}`,
-      processedBy: req.user.id
-    };
-
-    const transactionId = await Transaction.create(transactionData);
-
-    // Update account balance
-    await Account.update(accountId, { 
-      balance: newBalance,
-      lastTransactionDate: new Date().toISOString()
-    });
+    res.json({ success: true, reversal_requests: result.reversal_requests });
+  } catch (error) {
+    console.error('Error fetching reversal requests:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch reversal requests' });
+  }
+});
 
-    const newTransaction = await Transaction.getById(transactionId);
+// Get transaction by ID
+router.get('/:id', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const result = await Transaction.findById(parseInt(req.params.id));
 
-    // Log the action
-    await auditLog(req.user.id, 'INTEREST', 'TRANSACTION', `Interest of ${interestAmount} applied to account ${accountId}`);
+    if (!result.success) {
+      return res.status(404).json({ success: false, message: result.error });
+    }
 
-    res.status(201).json({ 
-      success: true, 
-      message: 'Interest applied successfully', 
-      data: newTransaction 
-    });
+    res.json({ success: true, transaction: result.transaction });
   } catch (error) {
-    console.error('Error applying interest:', error);
-    res.status(500).json({ success: false, message: 'Failed to apply interest' });
+    console.error('Error fetching transaction:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch transaction' });
   }
 });
 
-// Get daily transaction summary
-router.get('/summary/daily', authMiddleware, async (req, res) => {
+// Create deposit transaction
+router.post('/deposit', authMiddleware, adminOrEmployee, counterCash, async (req, res) => {
   try {
-    const { date } = req.query;
-    const targetDate = date || new Date().toISOString().split('T')[0];
-    
-    const summary = await Transaction.getDailySummary(targetDate);
-    res.json({ success: true, data: summary });
+    const { account_id, amount, description } = req.body;
+
+    if (!account_id || !amount || amount <= 0) {
+      return res.status(400).json({ success: false, message: 'Account ID and a positive amount are required' });
+    }
+
+    const result = await Account.deposit(parseInt(account_id), parseFloat(amount), description, req.user.id);
+
+    if (!result.success) {
+      return res.status(result.retry ? 409 : 400).json({ success: false, message: result.error });
+    }
+
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.DEPOSIT,
+      'account',
+      parseInt(account_id),
+      `Deposited ₹${result.transaction.amount} to account ${account_id}`,
+      req
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Deposit successful',
+      transaction: result.transaction,
+      new_balance: result.new_balance
+    });
   } catch (error) {
-    console.error('Error fetching daily summary:', error);
-    res.status(500).json({ success: false, message: 'Failed to fetch daily summary' });
+    console.error('Error processing deposit:', error);
+    res.status(500).json({ success: false, message: 'Failed to process deposit' });
   }
 });
 
-// Get monthly transaction summary
-router.get('/summary/monthly', authMiddleware, async (req, res) => {
+// Create withdrawal transaction
+router.post('/withdraw', authMiddleware, adminOrEmployee, counterCash, async (req, res) => {
   try {
-    const { year, month } = req.query;
-    const currentDate = new Date();
-    const targetYear = year || currentDate.getFullYear();
-    const targetMonth = month || (currentDate.getMonth() + 1);
-    
-    const summary = await Transaction.getMonthlySummary(targetYear, targetMonth);
-    res.json({ success: true, data: summary });
+    const { account_id, amount, description } = req.body;
+
+    if (!account_id || !amount || amount <= 0) {
+      return res.status(400).json({ success: false, message: 'Account ID and a positive amount are required' });
+    }
+
+    const account = await Account.findRecordById(parseInt(account_id));
+    if (!account.success) {
+      return res.status(404).json({ success: false, message: account.error });
+    }
+
+    // The operating mode decides which holders must give the withdrawal, and larger
+    // payouts need the teller to have checked each one's signature
+    const operators = await JointHolder.findOperators('account', parseInt(account_id), req.body.operated_by);
+    if (!operators.success) {
+      return res.status(400).json({ success: false, message: operators.error });
+    }
+    const signature = await CustomerDocument.checkSignature(operators.holders, parseFloat(amount), req.body, req.user.id);
+    if (!signature.success) {
+      return res.status(400).json({ success: false, message: signature.error, signature_required: true });
+    }
+
+    const result = await Account.withdraw(parseInt(account_id), parseFloat(amount), description, req.user.id, {
+      operated_by: req.body.operated_by,
+      signature_check: signature.check
+    });
+
+    if (!result.success) {
+      return res.status(result.retry ? 409 : 400).json({ success: false, message: result.error });
+    }
+
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.WITHDRAWAL,
+      'account',
+      parseInt(account_id),
+      `Withdrew ₹${result.transaction.amount} from account ${account.account.account_number}`,
+      req
+    );
+
+    if (signature.check) {
+      await AuditService.logActivity(
+        req.user.id,
+        AuditService.ACTION_TYPES.SIGNATURE_VERIFY,
+        'account',
+        parseInt(account_id),
+        `Verified the signatures of ${CustomerDocument.describeCheck(operators.holders, signature.check)} for withdrawal ${result.transaction.transaction_id} of ₹${result.transaction.amount}`,
+        req
+      );
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Withdrawal successful',
+      transaction: result.transaction,
+      new_balance: result.new_balance
+    });
   } catch (error) {
-    console.error('Error fetching monthly summary:', error);
-    res.status(500).json({ success: false, message: 'Failed to fetch monthly summary' });
+    console.error('Error processing withdrawal:', error);
+    res.status(500).json({ success: false, message: 'Failed to process withdrawal' });
   }
 });
 
-// Reverse/Cancel transaction (Admin only)
-router.post('/:id/reverse', authMiddleware, roleMiddleware(['admin']), async (req, res) => {
+// Create transfer transaction
+router.post('/transfer', authMiddleware, adminOrEmployee, async (req, res) => {
   try {
-    const transactionId = req.params.id;
-    const { reason } = req.body;
+    const { from_account_id, to_account_id, amount, description } = req.body;
 
-    const transaction = await Transaction.getById(transactionId);
-    if (!transaction) {
-      return res.status(404).json({ success: false, message: 'Transaction not found' });
+    if (!from_account_id || !to_account_id || !amount || amount <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'From account, to account, and a positive amount are required'
+      });
     }
 
-    if (transaction.status === 'reversed') {
-      return res.status(400).json({ success: false, message: 'Transaction already reversed' });
+    if (parseInt(from_account_id) === parseInt(to_account_id)) {
+      return res.status(400).json({ success: false, message: 'Cannot transfer to the same account' });
     }
 
-    // Get current account balance
-    const account = await Account.getById(transaction.accountId);
-    if (!account) {
-      return res.status(404).json({ success: false, message: 'Account not found' });
+    const result = await Account.transfer(
+      parseInt(from_account_id),
+      parseInt(to_account_id),
+      parseFloat(amount),
+      description,
+      req.user.id,
+      { operated_by: req.body.operated_by }
+    );
+
+    if (!result.success) {
+      return res.status(result.retry ? 409 : 400).json({ success: false, message: result.error });
     }
 
-    let newBalance;
-    let reversalType;
-
-    // Calculate reversal based on original transaction type
-    switch (transaction.type) {
-      case 'deposit':
-        newBalance = account.balance - transaction.amount;
-        reversalType = 'deposit_reversal';
-        break;
-      case 'withdrawal':
-        newBalance = account.balance + transaction.amount;
-        reversalType = 'withdrawal_reversal';
-        break;
-      case 'interest':
-        newBalance = account.balance - transaction.amount;
-        reversalType = 'interest_reversal';
-        break;
-      default:
-        return res.status(400).json({ success: false, message: 'Cannot reverse this transaction type' });
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.TRANSFER,
+      'account',
+      parseInt(from_account_id),
+      `Transferred ₹${result.from_transaction.amount} from account ${from_account_id} to account ${to_account_id}`,
+      req
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Transfer successful',
+      from_transaction: result.from_transaction,
+      to_transaction: result.to_transaction,
+      from_new_balance: result.from_new_balance,
+      to_new_balance: result.to_new_balance
+    });
+  } catch (error) {
+    console.error('Error processing transfer:', error);
+    res.status(500).json({ success: false, message: 'Failed to process transfer' });
+  }
+});
+
+// Request reversal of a transaction (maker); source is account, fd, rd or loan
+router.post('/:id/reverse', authMiddleware, adminOrEmployee, async (req, res) => {
+  try {
+    const transactionId = parseInt(req.params.id);
+    const { reason, source = 'account' } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({ success: false, message: 'Reversal reason is required' });
     }
 
-    // Check if reversal would result in negative balance for deposit reversals
-    if (reversalType === 'deposit_reversal' && newBalance < 0) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Cannot reverse: would result in negative balance' 
-      });
+    const result = await Transaction.requestReversal(source, transactionId, reason, req.user.id);
+
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error });
     }
 
-    // Create reversal transaction
-    const reversalData = {
-      customerId: transaction.customerId,
-      accountId: transaction.accountId,
-      type: reversalType,
-      amount: transaction.amount,
-      balanceAfter: newBalance,
-      description: `Reversal of transaction ${transactionId} - ${reason || 'No reason provided'}`,
-      referenceNumber: `REV${transactionId}`,
-      processedBy: req.user.id,
-      originalTransactionId: transactionId
-    };
-
-    const reversalId = await Transaction.create(reversalData);
-
-    // Update original transaction status
-    await Transaction.update(transactionId, { 
-      status: 'reversed',
-      reversalTransactionId: reversalId,
-      reversalReason: reason || 'No reason provided'
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.REVERSAL_REQUEST,
+      'transaction',
+      transactionId,
+      `Requested reversal of ${source} transaction ${result.reversal_request.transaction_reference} - ${result.reversal_request.reason}`,
+      req
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Reversal requested and awaiting approval',
+      reversal_request: result.reversal_request
     });
+  } catch (error) {
+    console.error('Error requesting reversal:', error);
+    res.status(500).json({ success: false, message: 'Failed to request reversal' });
+  }
+});
 
-    // Update account balance
-    await Account.update(transaction.accountId, { 
-      balance: newBalance,
-      lastTransactionDate: new Date().toISOString()
+// Approve a reversal request (checker, Admin only)
+router.post('/reversals/:requestId/approve', authMiddleware, adminOnly, async (req, res) => {
+  try {
+    const requestId = parseInt(req.params.requestId);
+    const result = await Transaction.approveReversal(requestId, req.user.id);
+
+    if (!result.success) {
+      return res.status(result.retry ? 409 : 400).json({ success: false, message: result.error });
+    }
+
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.REVERSAL_APPROVE,
+      'transaction',
+      requestId,
+      `Approved reversal request ${requestId} - reversed ${result.source} transaction(s) ${result.original_transaction_ids.join(', ')}`,
+      req
+    );
+
+    res.json({
+      success: true,
+      message: 'Transaction reversed successfully',
+      reversals: result.reversals
     });
+  } catch (error) {
+    console.error('Error approving reversal:', error);
+    res.status(500).json({ success: false, message: 'Failed to approve reversal' });
+  }
+});
 
-    const reversalTransaction = await Transaction.getById(reversalId);
+// Reject a reversal request (Admin only)
+router.post('/reversals/:requestId/reject', authMiddleware, adminOnly, async (req, res) => {
+  try {
+    const requestId = parseInt(req.params.requestId);
+    const result = await Transaction.rejectReversal(requestId, req.user.id, req.body.note);
 
-    // Log the action
-    await auditLog(req.user.id, 'REVERSE', 'TRANSACTION', `Reversed transaction ${transactionId} - Reason: ${reason || 'No reason provided'}`);
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
 
-    res.json({ 
-      success: true, 
-      message: 'Transaction reversed successfully', 
-      data: reversalTransaction 
-    });
+    await AuditService.logActivity(
+      req.user.id,
+      AuditService.ACTION_TYPES.REVERSAL_REJECT,
+      'transaction',
+      requestId,
+      `Rejected reversal request ${requestId}${req.body.note ? ` - ${req.body.note}` : ''}`,
+      req
+    );
+
+    res.json({ success: true, message: 'Reversal request rejected', reversal_request: result.reversal_request });
   } catch (error) {
-    console.error('Error reversing transaction:', error);
-    res.status(500).json({ success: false, message: 'Failed to reverse transaction' });
+    console.error('Error rejecting reversal:', error);
+    res.status(500).json({ success: false, message: 'Failed to reject reversal' });
   }
 });
 
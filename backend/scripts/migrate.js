@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const mainDb = require('../config/db_main');
+const txnDb = require('../config/db_txn');
+const migrationRunner = require('../utils/migrationRunner');
+
+// npm run migrate                                  apply pending migrations to both databases
+// npm run migrate -- --dry-run                     apply them in a transaction that is rolled back
+// npm run migrate -- --status                      list applied and pending migrations
+// npm run migrate -- --down --db=main [--steps=2]  undo the latest migrations of one database
+// --user=<id> attributes the automatic backup to that user (default: the first admin)
+function parseArgs(argv) {
+    const args = {};
+    for (const arg of argv) {
+        const [key, value] = arg.replace(/^--/, '').split('=');
+        args[key] = value === undefined ? true : value;
+    }
+    return args;
+}
+
+async function resolveUserId(args) {
+    if (args.user) {
+        return parseInt(args.user);
+    }
+
+    const users = await mainDb.get(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'users'`);
+    if (!users) {
+        return null;
+    }
+
+    const admin = await mainDb.get(`SELECT id FROM users WHERE role = 'admin' ORDER BY id LIMIT 1`);
+    return admin ? admin.id : null;
+}
+
+function printStatus(status) {
+    for (const [database, state] of Object.entries(status)) {
+        console.log(`\n📊 ${database} database: version ${state.current_version} of ${state.latest_version}`);
+        state.applied.forEach(row => console.log(`   ✅ ${row.name} (applied ${row.applied_at})`));
+        state.pending.forEach(migration => console.log(`   ⏳ ${migration.name} (pending)`));
+        state.unknown.forEach(row => console.log(`   ⚠️  ${row.name} (unknown to this release)`));
+    }
+}
+
+async function run() {
+    const args = parseArgs(process.argv.slice(2));
+    const dryRun = Boolean(args['dry-run']);
+
+    try {
+        console.log('🗂️  FinancePlus - Database Migrations');
+        console.log('=' .repeat(50));
+
+        await mainDb.connect();
+        await txnDb.connect();
+
+        if (args.status) {
+            printStatus(await migrationRunner.status());
+        } else if (args.down) {
+            const result = await migrationRunner.rollback({
+                database: args.db,
+                steps: args.steps ? parseInt(args.steps) : 1,
+                dryRun,
+                userId: await resolveUserId(args)
+            });
+
+            if (result.backup) {
+                console.log(`💾 Backup saved: ${result.backup}`);
+            }
+            if (result.rolled_back.length === 0) {
+                console.log('✅ Nothing to roll back');
+            }
+            result.rolled_back.forEach(migration => {
+                console.log(`${dryRun ? '🔎 Would roll back' : '↩️  Rolled back'} ${migration.database}/${migration.name}`);
+            });
+        } else {
+            const result = await migrationRunner.migrate({ dryRun, userId: await resolveUserId(args) });
+
+            if (result.backup) {
+                console.log(`💾 Backup saved: ${result.backup}`);
+            }
+            if (result.applied.length === 0) {
+                console.log('✅ Databases are up to date');
+            }
+            result.applied.forEach(migration => {
+                console.log(`${dryRun ? '🔎 Would apply' : '✅ Applied'} ${migration.database}/${migration.name}`);
+            });
+            if (dryRun && result.applied.length > 0) {
+                console.log('🔎 Dry run: every migration succeeded and all changes were rolled back');
+            }
+        }
+
+        await mainDb.close();
+        await txnDb.close();
+    } catch (error) {
+        console.error('❌ Migration failed:', error.message);
+        await mainDb.close().catch(() => {});
+        await txnDb.close().catch(() => {});
+        process.exit(1);
+    }
+}
+
+run();
@@ -3,7 +3,6 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const path = require('path');
 
 // Database connections
 const mainDb = require('./config/db_main');
@@ -12,6 +11,11 @@ const txnDb = require('./config/db_txn');
 // Utilities
 const connectionMonitor = require('./utils/connectionMonitor');
 const emailService = require('./utils/emailService');
+const transactionCoordinator = require('./utils/transactionCoordinator');
+const money = require('./utils/money');
+const settingsStore = require('./utils/settingsStore');
+const migrationRunner = require('./utils/migrationRunner');
+const scheduler = require('./utils/scheduler');
 
 // Routes
 const authRoutes = require('./routes/authRoutes');
@@ -25,6 +29,15 @@ const emailRoutes = require('./routes/emailRoutes');
 const reportRoutes = require('./routes/reportRoutes');
 const settingsRoutes = require('./routes/settingsRoutes');
 const backupRoutes = require('./routes/backupRoutes');
+const ledgerRoutes = require('./routes/ledgerRoutes');
+const jobRoutes = require('./routes/jobRoutes');
+const penaltyRuleRoutes = require('./routes/penaltyRuleRoutes');
+const standingInstructionRoutes = require('./routes/standingInstructionRoutes');
+const productRoutes = require('./routes/productRoutes');
+const rateCardRoutes = require('./routes/rateCardRoutes');
+const tillRoutes = require('./routes/tillRoutes');
+const claimRoutes = require('./routes/claimRoutes');
+const duplicateRoutes = require('./routes/duplicateRoutes');
 
 const app = express();
 const PORT = process.env.PORT || 12001;
@@ -110,9 +123,15 @@ app.use('/api/emails', emailRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/settings', settingsRoutes);
 app.use('/api/backups', backupRoutes);
-
-// Serve static files (for file uploads)
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+app.use('/api/ledger', ledgerRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/penalty-rules', penaltyRuleRoutes);
+app.use('/api/standing-instructions', standingInstructionRoutes);
+app.use('/api/products', productRoutes);
+app.use('/api/rate-cards', rateCardRoutes);
+app.use('/api/tills', tillRoutes);
+app.use('/api/claims', claimRoutes);
+app.use('/api/duplicates', duplicateRoutes);
 
 // 404 handler for API routes
 app.use('/api/*', (req, res) => {
@@ -142,11 +161,29 @@ async function startServer() {
     try {
         console.log('🚀 Starting FinancePlus Server...');
         
+        // Apply the configured rounding mode before any amount is computed
+        const settings = await settingsStore.read();
+        money.configure(settings.money);
+
         // Connect to databases
         console.log('📊 Connecting to databases...');
         await mainDb.connect();
         await txnDb.connect();
         console.log('✅ Database connections established');
+
+        // Refuse to serve databases whose schema does not match this release
+        console.log('🗂️  Checking database schema...');
+        const schema = await migrationRunner.check();
+        if (!schema.up_to_date) {
+            schema.problems.forEach(problem => console.error(`❌ ${problem}`));
+            throw new Error('Database schema does not match this release. Run "npm run migrate" and start again.');
+        }
+        console.log('✅ Database schema is up to date');
+
+        // Finish or discard money movement interrupted by a previous shutdown
+        console.log('🧾 Recovering interrupted transactions...');
+        const recovery = await transactionCoordinator.recover();
+        console.log(`✅ Transaction recovery complete (rolled back: ${recovery.rolled_back}, rolled forward: ${recovery.rolled_forward}, failed: ${recovery.failed})`);
         
         // Start connection monitoring
         console.log('🔍 Starting connection monitoring...');
@@ -155,6 +192,11 @@ async function startServer() {
         // Process any queued emails on startup
         console.log('📧 Processing queued emails...');
         await emailService.processQueue();
+
+        // Schedule jobs and catch up on runs missed while the server was off
+        console.log('⏰ Starting job scheduler...');
+        const schedule = await scheduler.start();
+        console.log(`✅ Job scheduler started (${schedule.scheduled} jobs scheduled, ${schedule.interrupted} interrupted runs closed)`);
         
         // Start the server
         const server = app.listen(PORT, '0.0.0.0', () => {
@@ -176,6 +218,10 @@ async function startServer() {
                     // Stop connection monitoring
                     connectionMonitor.stopMonitoring();
                     console.log('🔍 Connection monitoring stopped');
+
+                    // Stop scheduling new job runs
+                    scheduler.stop();
+                    console.log('⏰ Job scheduler stopped');
                     
                     // Close database connections
                     await mainDb.close();
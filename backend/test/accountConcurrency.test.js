@@ -0,0 +1,123 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Fresh databases for this file, set before anything opens them
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'financeplus-test-'));
+process.env.DB_MAIN_PATH = path.join(dataDir, 'main.db');
+process.env.DB_TXN_PATH = path.join(dataDir, 'transactions.db');
+
+const mainDb = require('../config/db_main');
+const txnDb = require('../config/db_txn');
+const migrationRunner = require('../utils/migrationRunner');
+const Customer = require('../models/Customer');
+const Account = require('../models/Account');
+
+// How each transaction type moves the balance
+const SIGNS = { deposit: 1, transfer_in: 1, interest_credit: 1, withdrawal: -1, transfer_out: -1 };
+
+let userId;
+let customerCount = 0;
+
+const openAccount = async (initialBalance) => {
+    customerCount++;
+    const customer = await Customer.create({
+        name: `Stress Test ${customerCount}`,
+        phone: `90000000${String(customerCount).padStart(2, '0')}`
+    }, userId);
+    assert.ok(customer.success, customer.error);
+
+    const account = await Account.create({
+        customer_id: customer.customer.id,
+        product_id: 1,
+        initial_balance: initialBalance
+    }, userId);
+    assert.ok(account.success, account.error);
+    return account.account.id;
+};
+
+// The stored balance (paise) and the balance the transactions add up to
+const balances = async (accountId) => {
+    const account = await mainDb.get('SELECT balance FROM accounts WHERE id = ?', [accountId]);
+    const rows = await txnDb.all('SELECT transaction_type, amount FROM transactions WHERE account_id = ?', [accountId]);
+    const ledger = rows.reduce((sum, row) => sum + SIGNS[row.transaction_type] * row.amount, 0);
+    return { stored: account.balance, ledger, postings: rows.length };
+};
+
+before(async () => {
+    await mainDb.connect();
+    await txnDb.connect();
+    await migrationRunner.migrate();
+
+    const user = await mainDb.run(
+        `INSERT INTO users (name, email, password, role) VALUES ('Stress Tester', 'stress@test.local', 'x', 'admin')`
+    );
+    userId = user.id;
+});
+
+after(async () => {
+    await mainDb.close();
+    await txnDb.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('parallel deposits and withdrawals keep the balance equal to the ledger', async () => {
+    const accountId = await openAccount(10000);
+
+    const postings = [];
+    for (let i = 0; i < 40; i++) {
+        postings.push(Account.deposit(accountId, 100, 'Stress deposit', userId));
+        postings.push(Account.withdraw(accountId, 150, 'Stress withdrawal', userId));
+    }
+    const results = await Promise.all(postings);
+
+    // A lost race may only be reported as a conflict to retry (409), never as anything else
+    const failures = results.filter(result => !result.success);
+    for (const failure of failures) {
+        assert.strictEqual(failure.retry, true, `Unexpected failure: ${failure.error}`);
+    }
+
+    const { stored, ledger, postings: count } = await balances(accountId);
+    assert.strictEqual(stored, ledger);
+    assert.ok(stored >= 0);
+    assert.strictEqual(count, 1 + results.length - failures.length);
+    if (failures.length === 0) {
+        assert.strictEqual(stored, (10000 + 40 * 100 - 40 * 150) * 100);
+    }
+});
+
+test('parallel withdrawals cannot overdraw the account', async () => {
+    const accountId = await openAccount(1000);
+
+    const results = await Promise.all(
+        Array.from({ length: 10 }, () => Account.withdraw(accountId, 300, 'Stress withdrawal', userId))
+    );
+
+    for (const failure of results.filter(result => !result.success)) {
+        assert.ok(failure.retry || failure.error === 'Insufficient balance', `Unexpected failure: ${failure.error}`);
+    }
+
+    const { stored, ledger } = await balances(accountId);
+    assert.strictEqual(stored, ledger);
+    assert.strictEqual(results.filter(result => result.success).length, 3);
+    assert.strictEqual(stored, 100 * 100);
+});
+
+test('a balance update from a stale read is refused as a conflict', async () => {
+    const accountId = await openAccount(500);
+    const stale = await mainDb.get('SELECT * FROM accounts WHERE id = ?', [accountId]);
+
+    const deposit = await Account.deposit(accountId, 50, 'Moves the version on', userId);
+    assert.ok(deposit.success, deposit.error);
+
+    await assert.rejects(
+        Account.updateBalance(mainDb, stale, -100 * 100),
+        (error) => error.code === 'BALANCE_CONFLICT'
+    );
+
+    const { stored, ledger } = await balances(accountId);
+    assert.strictEqual(stored, ledger);
+    assert.strictEqual(stored, 550 * 100);
+});
@@ -0,0 +1,168 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const amortization = require('../utils/amortization');
+
+// ₹1,00,000 at 12% a year over 12 months, in paise
+const loan = {
+    principal_amount: 10000000,
+    interest_rate: 12,
+    compounding: 'monthly',
+    start_date: '2026-01-01',
+    tenure_months: 12,
+    emi_amount: 888488
+};
+
+// The textbook schedule for that loan: [interest, principal] per installment, in paise
+const KNOWN_SCHEDULE = [
+    [100000, 788488], [92115, 796373], [84151, 804337], [76108, 812380],
+    [67984, 820504], [59779, 828709], [51492, 836996], [43122, 845366],
+    [34668, 853820], [26130, 862358], [17507, 870981], [8797, 879688]
+];
+
+const schedule = () => amortization.generate({
+    balance: loan.principal_amount,
+    annualRate: loan.interest_rate,
+    compounding: loan.compounding,
+    startDate: loan.start_date,
+    firstNumber: 1,
+    count: loan.tenure_months
+});
+
+// The loan after its first EMI and a ₹30,000 prepayment, rebuilt the way Loan.prepay does
+const afterPrepayment = (option) => {
+    const payments = [
+        { transaction_type: 'loan_payment', transaction_date: '2026-02-01', interest_amount: 100000, principal_amount: 788488 }
+    ];
+    const prepayment = { transaction_type: 'loan_prepayment', transaction_date: '2026-02-10', principal_amount: 3000000 };
+    const rows = schedule();
+    const current = amortization.rebuild({ loan, rows, transactions: payments, asOf: '2026-02-10' });
+    const remaining = current.rows.length - current.locked_count;
+
+    return amortization.rebuild({
+        loan,
+        rows: current.rows,
+        transactions: [...payments, prepayment],
+        asOf: '2026-02-10',
+        regenerate: option === 'reduce_emi' ? { count: remaining } : { emi: current.emi_amount }
+    });
+};
+
+test('EMI for ₹1,00,000 at 12% over 12 months is ₹8,884.88', () => {
+    assert.strictEqual(amortization.calculateEMI(10000000, 12, 12), 888488);
+});
+
+test('each installment splits the EMI into a month\'s interest and the rest as principal', () => {
+    const rows = schedule();
+    assert.strictEqual(rows.length, 12);
+
+    rows.forEach((row, index) => {
+        const [interest, principal] = KNOWN_SCHEDULE[index];
+        assert.strictEqual(row.installment_number, index + 1);
+        assert.strictEqual(row.interest_amount, interest, `interest of installment ${index + 1}`);
+        assert.strictEqual(row.principal_amount, principal, `principal of installment ${index + 1}`);
+        assert.strictEqual(row.closing_principal, row.opening_principal - row.principal_amount);
+        if (index > 0) {
+            assert.strictEqual(row.opening_principal, rows[index - 1].closing_principal);
+        }
+    });
+
+    assert.strictEqual(rows[0].due_date, '2026-02-01');
+    assert.strictEqual(rows[11].due_date, '2027-01-01');
+});
+
+test('the last installment absorbs the rounding so the loan closes at zero', () => {
+    const rows = schedule();
+    const last = rows[rows.length - 1];
+
+    rows.slice(0, -1).forEach(row => assert.strictEqual(row.emi_amount, 888488));
+    assert.strictEqual(last.principal_amount, last.opening_principal);
+    assert.strictEqual(last.closing_principal, 0);
+    assert.strictEqual(last.emi_amount, 888485);
+    assert.strictEqual(rows.reduce((total, row) => total + row.principal_amount, 0), loan.principal_amount);
+});
+
+test('a reduce-EMI prepayment keeps the remaining installments and lowers the EMI', () => {
+    const plan = afterPrepayment('reduce_emi');
+    const future = plan.rows.slice(plan.locked_count);
+
+    assert.strictEqual(plan.balance, 9211512 - 3000000);
+    assert.strictEqual(plan.tenure_months, 12);
+    assert.strictEqual(future.length, 11);
+    assert.strictEqual(plan.emi_amount, amortization.calculateEMI(6211512, 12, 11));
+    assert.ok(plan.emi_amount < loan.emi_amount);
+    assert.strictEqual(plan.end_date, '2027-01-01');
+
+    assert.strictEqual(future[0].installment_number, 2);
+    assert.strictEqual(future[0].opening_principal, 6211512);
+    assert.strictEqual(future[future.length - 1].closing_principal, 0);
+    assert.strictEqual(future.reduce((total, row) => total + row.principal_amount, 0), 6211512);
+});
+
+test('a reduce-tenure prepayment keeps the EMI and ends the loan sooner', () => {
+    const plan = afterPrepayment('reduce_tenure');
+    const future = plan.rows.slice(plan.locked_count);
+
+    assert.strictEqual(plan.balance, 6211512);
+    assert.strictEqual(plan.emi_amount, loan.emi_amount);
+    assert.ok(plan.tenure_months < 12);
+    assert.strictEqual(plan.end_date, future[future.length - 1].due_date);
+    assert.ok(plan.end_date < '2027-01-01');
+
+    future.slice(0, -1).forEach(row => assert.strictEqual(row.emi_amount, loan.emi_amount));
+    assert.ok(future[future.length - 1].emi_amount <= loan.emi_amount);
+    assert.strictEqual(future[future.length - 1].closing_principal, 0);
+    assert.strictEqual(future.reduce((total, row) => total + row.principal_amount, 0), 6211512);
+});
+
+test('payments go to penalty first, then interest, then principal', () => {
+    // The first EMI is overdue and ₹500 of penal interest has been charged on it
+    const plan = amortization.rebuild({
+        loan,
+        rows: schedule(),
+        transactions: [{ transaction_type: 'loan_penal_interest', transaction_date: '2026-02-15', amount: 50000 }],
+        asOf: '2026-02-15'
+    });
+    const order = ['charges', 'interest', 'principal'];
+
+    assert.strictEqual(plan.charges_due, 50000);
+    assert.strictEqual(plan.interest_due, 100000);
+    assert.strictEqual(plan.principal_due, 788488);
+
+    // Less than the penalty: all of it goes to the penalty
+    assert.deepStrictEqual(
+        amortization.appropriate(30000, plan, order),
+        { charges: 30000, interest: 0, principal: 0, advance_interest: 0, installment_number: null }
+    );
+
+    // Penalty in full, then part of the interest
+    assert.deepStrictEqual(
+        amortization.appropriate(120000, plan, order),
+        { charges: 50000, interest: 70000, principal: 0, advance_interest: 0, installment_number: 1 }
+    );
+
+    // Penalty and interest in full, then part of the principal
+    assert.deepStrictEqual(
+        amortization.appropriate(500000, plan, order),
+        { charges: 50000, interest: 100000, principal: 350000, advance_interest: 0, installment_number: 1 }
+    );
+
+    // Principal first when the order says so
+    assert.deepStrictEqual(
+        amortization.appropriate(500000, plan, ['principal', 'interest', 'charges']),
+        { charges: 0, interest: 0, principal: 500000, advance_interest: 0, installment_number: 1 }
+    );
+});
+
+test('a payment beyond what is due goes to the next installment in advance', () => {
+    const plan = amortization.rebuild({ loan, rows: schedule(), transactions: [], asOf: '2026-02-01' });
+    const split = amortization.appropriate(888488 + 100000, plan, ['charges', 'interest', 'principal']);
+
+    // The next installment's interest is taken first and is not yet owed
+    assert.strictEqual(split.interest, 100000 + 92115);
+    assert.strictEqual(split.principal, 788488 + 7885);
+    assert.strictEqual(split.advance_interest, 92115);
+    assert.strictEqual(split.installment_number, 2);
+
+    assert.throws(() => amortization.appropriate(20000000, plan, ['charges', 'interest', 'principal']), /more than the remaining installments/);
+});
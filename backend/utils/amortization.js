@@ -0,0 +1,287 @@
+const money = require('./money');
+
+const APPROPRIATION_BUCKETS = ['charges', 'interest', 'principal'];
+
+// Times a year interest is compounded at each frequency a product can set
+const COMPOUNDING_PERIODS = { monthly: 12, quarterly: 4, half_yearly: 2, yearly: 1 };
+
+/**
+ * Loan amortization and repayment appropriation.
+ *
+ * A loan's position is worked out from its terms and its completed transactions, so
+ * it can be rebuilt after any event (payment, prepayment, charge, rate change,
+ * reversal) and comes out the same every time. All amounts are in paise.
+ *
+ * Installment n falls due n months after the start date. Interest for an installment
+ * is a month's interest on the principal still outstanding before it, at the monthly
+ * rate for the loan's compounding frequency (see monthlyRate). Installment payments
+ * fill the schedule oldest first, interest and principal separately, so the paid
+ * columns follow from the totals recorded on the payments. Prepayments and
+ * foreclosures repay principal outside the installments.
+ *
+ * An installment is locked once it has fallen due or received a payment: its amounts
+ * no longer change. When the principal left for the unlocked installments no longer
+ * matches the plan (prepayment, rate change, reversal) those installments are
+ * regenerated, either keeping the EMI (the tenure moves) or keeping the number of
+ * installments (the EMI moves).
+ */
+class Amortization {
+    get APPROPRIATION_BUCKETS() {
+        return APPROPRIATION_BUCKETS;
+    }
+
+    get COMPOUNDING_PERIODS() {
+        return COMPOUNDING_PERIODS;
+    }
+
+    // The rate for a month at annualRate compounded at the given frequency: r/12 for
+    // monthly compounding, otherwise the monthly rate that grows to the same amount
+    // over each compounding period
+    monthlyRate(annualRate, compounding = 'monthly') {
+        const periods = COMPOUNDING_PERIODS[compounding];
+        if (!periods) {
+            throw new Error(`Invalid compounding frequency: ${compounding}`);
+        }
+
+        return periods === 12
+            ? annualRate / 100 / 12
+            : Math.pow(1 + annualRate / 100 / periods, periods / 12) - 1;
+    }
+
+    // EMI = P * r * (1 + r)^n / ((1 + r)^n - 1), rounded to whole paise
+    calculateEMI(principal, annualRate, months, compounding = 'monthly') {
+        const rate = this.monthlyRate(annualRate, compounding);
+        if (rate === 0) {
+            return money.round(principal / months);
+        }
+
+        const growth = Math.pow(1 + rate, months);
+        return money.round(principal * rate * growth / (growth - 1));
+    }
+
+    addMonths(date, months) {
+        const result = new Date(date);
+        result.setMonth(result.getMonth() + months);
+        return result.toISOString().split('T')[0];
+    }
+
+    // Installments from firstNumber on, repaying balance either over count installments
+    // or at emi a month until it is repaid
+    generate({ balance, annualRate, compounding = 'monthly', startDate, firstNumber, count = null, emi = null }) {
+        const rate = this.monthlyRate(annualRate, compounding);
+        const installmentEMI = count ? this.calculateEMI(balance, annualRate, count, compounding) : emi;
+        const rows = [];
+
+        let opening = balance;
+        for (let number = firstNumber; opening > 0; number++) {
+            const interest = money.round(opening * rate);
+            const isLast = count ? rows.length === count - 1 : opening + interest <= installmentEMI;
+
+            if (!isLast && installmentEMI <= interest) {
+                throw new Error('EMI does not cover the monthly interest');
+            }
+
+            const principal = isLast ? opening : installmentEMI - interest;
+            rows.push({
+                installment_number: number,
+                due_date: this.addMonths(startDate, number),
+                opening_principal: opening,
+                emi_amount: principal + interest,
+                principal_amount: principal,
+                interest_amount: interest,
+                closing_principal: opening - principal
+            });
+            opening -= principal;
+        }
+
+        return rows;
+    }
+
+    // Fills installments oldest first with the interest and principal of each payment,
+    // in payment order, and works out each installment's status and the date it was paid
+    allocate(rows, payments) {
+        const filled = rows.map(row => ({ ...row, interest_paid: 0, principal_paid: 0, paid_date: null }));
+
+        for (const payment of payments) {
+            for (const component of ['interest', 'principal']) {
+                let remaining = payment[`${component}_amount`] || 0;
+                for (const row of filled) {
+                    if (remaining <= 0) {
+                        break;
+                    }
+                    const applied = Math.min(remaining, row[`${component}_amount`] - row[`${component}_paid`]);
+                    if (applied > 0) {
+                        row[`${component}_paid`] += applied;
+                        remaining -= applied;
+                    }
+                }
+            }
+
+            for (const row of filled) {
+                if (!row.paid_date && this.unpaid(row) === 0 && row.principal_paid + row.interest_paid > 0) {
+                    row.paid_date = payment.date;
+                }
+            }
+        }
+
+        for (const row of filled) {
+            const paid = row.principal_paid + row.interest_paid;
+            row.status = this.unpaid(row) === 0 ? 'paid' : paid > 0 ? 'partial' : 'pending';
+        }
+
+        return filled;
+    }
+
+    unpaid(row) {
+        return (row.principal_amount - row.principal_paid) + (row.interest_amount - row.interest_paid);
+    }
+
+    // The loan's position as of a date. transactions are the loan's completed, unreversed
+    // transactions in order; regenerate ({ count } or { emi }) forces the unlocked
+    // installments to be regenerated that way.
+    rebuild({ loan, rows, transactions, asOf, regenerate = null }) {
+        const sum = (types, field) => transactions
+            .filter(transaction => types.includes(transaction.transaction_type))
+            .reduce((total, transaction) => total + (transaction[field] || 0), 0);
+
+        const payments = transactions
+            .filter(transaction => transaction.transaction_type === 'loan_payment')
+            .map(transaction => ({ ...transaction, date: String(transaction.transaction_date).split(/[T ]/)[0] }));
+
+        const principalOutstanding = loan.principal_amount
+            - sum(['loan_payment', 'loan_prepayment', 'loan_foreclose', 'loan_write_off'], 'principal_amount');
+        const chargesDue = sum(['loan_charge', 'loan_penal_interest'], 'amount')
+            - sum(['loan_payment', 'loan_prepayment', 'loan_foreclose', 'loan_write_off'], 'charges_amount');
+
+        let schedule = rows.length > 0 ? rows : this.generate({
+            balance: loan.principal_amount,
+            annualRate: loan.interest_rate,
+            compounding: loan.compounding,
+            startDate: loan.start_date,
+            firstNumber: 1,
+            count: loan.tenure_months
+        });
+        schedule = this.allocate(schedule, payments);
+
+        // Locked installments are a prefix: due ones, then ones paid in advance
+        let locked = 0;
+        while (locked < schedule.length
+            && (schedule[locked].due_date <= asOf || schedule[locked].status !== 'pending')) {
+            locked++;
+        }
+
+        const lockedRows = schedule.slice(0, locked);
+        const unlockedRows = schedule.slice(locked);
+        const lockedPrincipalDue = lockedRows.reduce((total, row) => total + row.principal_amount - row.principal_paid, 0);
+        const balance = Math.max(0, principalOutstanding - lockedPrincipalDue);
+        const planned = unlockedRows.length > 0 ? unlockedRows[0].opening_principal : 0;
+
+        let emi = loan.emi_amount;
+        let future = unlockedRows;
+        if (regenerate || balance !== planned) {
+            const options = regenerate && regenerate.count
+                ? { count: regenerate.count }
+                : { emi: (regenerate && regenerate.emi) || emi };
+
+            future = balance > 0 ? this.allocate(this.generate({
+                balance,
+                annualRate: loan.interest_rate,
+                compounding: loan.compounding,
+                startDate: loan.start_date,
+                firstNumber: locked + 1,
+                ...options
+            }), []) : [];
+
+            if (future.length > 0) {
+                emi = options.count ? this.calculateEMI(balance, loan.interest_rate, options.count, loan.compounding) : options.emi;
+            }
+        }
+
+        const installments = [...lockedRows, ...future];
+        const dueRows = installments.filter(row => row.due_date <= asOf);
+        const overdueRows = installments.filter(row => row.due_date < asOf && row.status !== 'paid');
+
+        const interestDue = dueRows.reduce((total, row) => total + row.interest_amount - row.interest_paid, 0);
+        const principalDue = dueRows.reduce((total, row) => total + row.principal_amount - row.principal_paid, 0);
+
+        return {
+            as_of: asOf,
+            rows: installments,
+            locked_count: locked,
+            balance,
+            emi_amount: emi,
+            tenure_months: installments.length,
+            end_date: installments.length > 0 ? installments[installments.length - 1].due_date : loan.start_date,
+            total_amount: installments.reduce((total, row) => total + row.emi_amount, 0),
+            principal_outstanding: principalOutstanding,
+            principal_due: principalDue,
+            interest_due: interestDue,
+            charges_due: chargesDue,
+            outstanding_amount: principalOutstanding + interestDue + chargesDue,
+            overdue_emis: overdueRows.length,
+            overdue_since: overdueRows.length > 0 ? overdueRows[0].due_date : null,
+            paid_emis: installments.filter(row => row.status === 'paid').length
+        };
+    }
+
+    // Splits a payment over what has fallen due, bucket by bucket in the given order,
+    // then over the next installments in advance. Throws if the payment is more than
+    // the schedule still asks for.
+    appropriate(amount, plan, order) {
+        const split = { charges: 0, interest: 0, principal: 0 };
+        let remaining = amount;
+        let lastInstallment = null;
+
+        const take = (available) => {
+            const applied = Math.max(0, Math.min(remaining, available));
+            remaining -= applied;
+            return applied;
+        };
+
+        const dueRows = plan.rows.filter(row => row.due_date <= plan.as_of);
+        const futureRows = plan.rows.filter(row => row.due_date > plan.as_of);
+
+        for (const bucket of order) {
+            if (bucket === 'charges') {
+                split.charges += take(plan.charges_due);
+                continue;
+            }
+            for (const row of dueRows) {
+                const applied = take(row[`${bucket}_amount`] - row[`${bucket}_paid`]);
+                if (applied > 0) {
+                    split[bucket] += applied;
+                    lastInstallment = row.installment_number;
+                }
+            }
+        }
+
+        // Interest paid in advance is not owed yet, so it does not reduce the outstanding amount
+        let advanceInterest = 0;
+        for (const row of futureRows) {
+            for (const bucket of order.filter(name => name !== 'charges')) {
+                const applied = take(row[`${bucket}_amount`] - row[`${bucket}_paid`]);
+                if (applied > 0) {
+                    split[bucket] += applied;
+                    lastInstallment = row.installment_number;
+                    if (bucket === 'interest') {
+                        advanceInterest += applied;
+                    }
+                }
+            }
+        }
+
+        if (remaining > 0) {
+            throw new Error(`Payment is ₹${money.toRupees(remaining)} more than the remaining installments; prepay or foreclose instead`);
+        }
+
+        return { ...split, advance_interest: advanceInterest, installment_number: lastInstallment };
+    }
+
+    // A payment appropriation order names each bucket exactly once
+    isValidOrder(order) {
+        return Array.isArray(order) && order.length === APPROPRIATION_BUCKETS.length
+            && APPROPRIATION_BUCKETS.every(bucket => order.includes(bucket));
+    }
+}
+
+module.exports = new Amortization();
@@ -188,23 +188,42 @@ class AuditService {
             CUSTOMER_UPDATE: 'customer_update',
             CUSTOMER_DELETE: 'customer_delete',
             CUSTOMER_VIEW: 'customer_view',
+            DOCUMENT_UPLOAD: 'document_upload',
+            KYC_VERIFY: 'kyc_verify',
+            KYC_REJECT: 'kyc_reject',
 
             // Account Management
             ACCOUNT_CREATE: 'account_create',
+            KYC_OVERRIDE: 'kyc_override',
             ACCOUNT_UPDATE: 'account_update',
             ACCOUNT_DELETE: 'account_delete',
+            JOINT_HOLDER_ADD: 'joint_holder_add',
+            JOINT_HOLDER_REMOVE: 'joint_holder_remove',
+            OPERATING_MODE_CHANGE: 'operating_mode_change',
+            NOMINEE_UPDATE: 'nominee_update',
 
             // Transactions
             DEPOSIT: 'deposit',
             WITHDRAWAL: 'withdrawal',
             TRANSFER: 'transfer',
             INTEREST_APPLY: 'interest_apply',
+            INTEREST_ACCRUE: 'interest_accrue',
+            REVERSAL_REQUEST: 'reversal_request',
+            REVERSAL_APPROVE: 'reversal_approve',
+            REVERSAL_REJECT: 'reversal_reject',
+            TILL_OPEN: 'till_open',
+            TILL_TRANSFER: 'till_transfer',
+            TILL_CLOSE: 'till_close',
+            VAULT_MOVEMENT: 'vault_movement',
+            SIGNATURE_VERIFY: 'signature_verify',
 
             // Fixed Deposits
             FD_CREATE: 'fd_create',
             FD_UPDATE: 'fd_update',
             FD_CLOSE: 'fd_close',
             FD_PREMATURE_CLOSE: 'fd_premature_close',
+            FD_MATURITY_PAYOUT: 'fd_maturity_payout',
+            FD_RENEW: 'fd_renew',
 
             // Recurring Deposits
             RD_CREATE: 'rd_create',
@@ -217,11 +236,49 @@ class AuditService {
             LOAN_UPDATE: 'loan_update',
             LOAN_CLOSE: 'loan_close',
             LOAN_PAYMENT: 'loan_payment',
+            LOAN_PREPAYMENT: 'loan_prepayment',
+            LOAN_CHARGE: 'loan_charge',
+            LOAN_REVIEW: 'loan_review',
+            LOAN_SANCTION: 'loan_sanction',
+            LOAN_REJECT: 'loan_reject',
+            LOAN_DISBURSE: 'loan_disburse',
+            LOAN_WRITE_OFF: 'loan_write_off',
+            LOAN_GUARANTOR_ADD: 'loan_guarantor_add',
+            LOAN_GUARANTOR_RELEASE: 'loan_guarantor_release',
+            LOAN_COLLATERAL_ADD: 'loan_collateral_add',
+            LOAN_COLLATERAL_UPDATE: 'loan_collateral_update',
+            LOAN_COLLATERAL_RELEASE: 'loan_collateral_release',
+            STANDING_INSTRUCTION_CREATE: 'standing_instruction_create',
+            STANDING_INSTRUCTION_UPDATE: 'standing_instruction_update',
+            STANDING_INSTRUCTION_RUN: 'standing_instruction_run',
+
+            // Deceased Member Claims
+            CUSTOMER_DECEASED: 'customer_deceased',
+            CLAIM_DOCUMENT_UPLOAD: 'claim_document_upload',
+            CLAIM_UPDATE: 'claim_update',
+            CLAIM_SUBMIT: 'claim_submit',
+            CLAIM_APPROVE: 'claim_approve',
+            CLAIM_REJECT: 'claim_reject',
+
+            // Customer Duplicates
+            DUPLICATE_DISMISS: 'duplicate_dismiss',
+            CUSTOMER_MERGE: 'customer_merge',
 
             // System
             BACKUP_CREATE: 'backup_create',
             BACKUP_RESTORE: 'backup_restore',
             SETTINGS_UPDATE: 'settings_update',
+            PENALTY_RULES_CREATE: 'penalty_rules_create',
+            PENALTY_RULES_UPDATE: 'penalty_rules_update',
+            PENALTY_RULES_DELETE: 'penalty_rules_delete',
+            PRODUCT_CREATE: 'product_create',
+            PRODUCT_UPDATE: 'product_update',
+            RATE_CHANGE_REQUEST: 'rate_change_request',
+            RATE_CHANGE_APPROVE: 'rate_change_approve',
+            RATE_CHANGE_REJECT: 'rate_change_reject',
+            RATE_CHANGE_WITHDRAW: 'rate_change_withdraw',
+            JOB_UPDATE: 'job_update',
+            JOB_RUN: 'job_run',
             REPORT_GENERATE: 'report_generate',
             EMAIL_SEND: 'email_send',
 
@@ -4,6 +4,7 @@ const crypto = require('crypto');
 const mainDb = require('../config/db_main');
 const txnDb = require('../config/db_txn');
 const AuditService = require('./auditService');
+const CustomerDocument = require('../models/CustomerDocument');
 
 class BackupService {
     constructor() {
@@ -35,6 +36,9 @@ class BackupService {
             // Get all data from transaction database
             const txnData = await this.exportTransactionDatabase();
 
+            // Uploaded documents the databases point at
+            const files = await this.exportUploads();
+
             // Create backup object
             const backupData = {
                 metadata: {
@@ -46,7 +50,8 @@ class BackupService {
                     developer: 'Heropixel Technologies'
                 },
                 main_database: mainData,
-                transaction_database: txnData
+                transaction_database: txnData,
+                files
             };
 
             // Encrypt and save backup
@@ -111,6 +116,17 @@ class BackupService {
             // Restore transaction database
             await this.restoreTransactionDatabase(backupData.transaction_database);
 
+            // Backups taken before documents were backed up leave the uploads folder alone
+            if (backupData.files) {
+                await this.restoreUploads(backupData.files);
+            }
+
+            // The scheduler picks up the restored job definitions (required here: it runs backups itself)
+            const scheduler = require('./scheduler');
+            for (const job of backupData.main_database.scheduled_jobs || []) {
+                await scheduler.reschedule(job.name);
+            }
+
             // Log the restore operation
             await AuditService.logActivity(
                 userId,
@@ -137,7 +153,13 @@ class BackupService {
         const tables = [
             'users', 'customers', 'accounts', 'fixed_deposits', 
             'recurring_deposits', 'loans', 'email_queue', 
-            'activity_logs', 'settings'
+            'activity_logs', 'settings', 'txn_journal', 'penalty_rule_versions', 'penalty_rules',
+            'loan_schedule', 'loan_delinquency', 'loan_status_history',
+            'loan_guarantors', 'loan_collateral', 'products', 'rate_cards', 'rate_card_slabs',
+            'standing_instructions', 'standing_instruction_runs', 'scheduled_jobs', 'job_runs',
+            'customer_documents', 'kyc_reviews', 'product_holders', 'product_nominees',
+            'deceased_claims', 'deceased_claim_claimants', 'deceased_claim_documents', 'deceased_claim_payouts',
+            'customer_duplicates', 'customer_merges'
         ];
 
         const data = {};
@@ -146,8 +168,8 @@ class BackupService {
             try {
                 data[table] = await mainDb.all(`SELECT * FROM ${table}`);
             } catch (error) {
+                // Left out rather than saved empty, so restoring this backup keeps the table's rows
                 console.warn(`Warning: Could not export table ${table}:`, error.message);
-                data[table] = [];
             }
         }
 
@@ -157,7 +179,9 @@ class BackupService {
     async exportTransactionDatabase() {
         const tables = [
             'transactions', 'fd_transactions', 'rd_transactions', 
-            'loan_transactions', 'interest_calculations'
+            'loan_transactions', 'interest_calculations', 'txn_journal_applied',
+            'gl_accounts', 'gl_journal_entries', 'gl_journal_lines', 'transaction_reversals', 'interest_postings',
+            'till_sessions', 'vault_movements', 'transaction_holders'
         ];
 
         const data = {};
@@ -166,8 +190,8 @@ class BackupService {
             try {
                 data[table] = await txnDb.all(`SELECT * FROM ${table}`);
             } catch (error) {
+                // Left out rather than saved empty, so restoring this backup keeps the table's rows
                 console.warn(`Warning: Could not export table ${table}:`, error.message);
-                data[table] = [];
             }
         }
 
@@ -178,11 +202,21 @@ class BackupService {
         // Clear existing data (except users table to prevent lockout)
         const tablesToClear = [
             'activity_logs', 'email_queue', 'loans', 'recurring_deposits', 
-            'fixed_deposits', 'accounts', 'customers', 'settings'
+            'fixed_deposits', 'accounts', 'customers', 'settings', 'txn_journal',
+            'penalty_rules', 'penalty_rule_versions', 'loan_schedule', 'loan_delinquency', 'loan_status_history',
+            'loan_guarantors', 'loan_collateral', 'rate_card_slabs', 'rate_cards', 'products',
+            'standing_instruction_runs', 'standing_instructions', 'job_runs', 'scheduled_jobs',
+            'kyc_reviews', 'customer_documents', 'product_nominees', 'product_holders',
+            'deceased_claim_payouts', 'deceased_claim_documents', 'deceased_claim_claimants', 'deceased_claims',
+            'customer_merges', 'customer_duplicates'
         ];
 
         for (const table of tablesToClear) {
-            await mainDb.run(`DELETE FROM ${table}`);
+            // Tables missing from the backup (not yet created when it was taken) keep their current rows,
+            // e.g. the seeded products
+            if (data[table]) {
+                await mainDb.run(`DELETE FROM ${table}`);
+            }
         }
 
         // Restore data
@@ -206,17 +240,30 @@ class BackupService {
                 }
             }
         }
+
+        // A scheduled backup holds its own job's lock and has its run open; nothing restored is running
+        if (data.scheduled_jobs) {
+            await mainDb.run(
+                `UPDATE job_runs SET status = 'failed', error_message = 'Running when the backup was taken',
+                 finished_at = CURRENT_TIMESTAMP WHERE status = 'running'`
+            );
+            await mainDb.run('UPDATE scheduled_jobs SET locked_at = NULL WHERE locked_at IS NOT NULL');
+        }
     }
 
     async restoreTransactionDatabase(data) {
         // Clear existing data
         const tables = [
-            'interest_calculations', 'loan_transactions', 'rd_transactions', 
+            'transaction_holders', 'vault_movements', 'till_sessions',
+            'interest_postings', 'transaction_reversals', 'gl_journal_lines', 'gl_journal_entries', 'gl_accounts',
+            'txn_journal_applied', 'interest_calculations', 'loan_transactions', 'rd_transactions', 
             'fd_transactions', 'transactions'
         ];
 
         for (const table of tables) {
-            await txnDb.run(`DELETE FROM ${table}`);
+            if (data[table]) {
+                await txnDb.run(`DELETE FROM ${table}`);
+            }
         }
 
         // Restore data
@@ -237,6 +284,41 @@ class BackupService {
         }
     }
 
+    // Every file under the uploads folder, keyed by its path relative to it, base64 encoded
+    async exportUploads(dir = CustomerDocument.UPLOAD_ROOT, files = {}) {
+        let entries;
+        try {
+            entries = await fs.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return files;
+            }
+            throw error;
+        }
+
+        for (const entry of entries) {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                await this.exportUploads(fullPath, files);
+            } else if (entry.isFile()) {
+                const relativePath = path.relative(CustomerDocument.UPLOAD_ROOT, fullPath).split(path.sep).join('/');
+                files[relativePath] = (await fs.readFile(fullPath)).toString('base64');
+            }
+        }
+
+        return files;
+    }
+
+    async restoreUploads(files) {
+        await fs.rm(CustomerDocument.UPLOAD_ROOT, { recursive: true, force: true });
+
+        for (const [relativePath, content] of Object.entries(files)) {
+            const filePath = CustomerDocument.resolvePath(relativePath);
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(filePath, Buffer.from(content, 'base64'));
+        }
+    }
+
     encryptData(data) {
         const algorithm = 'aes-256-cbc';
         const key = crypto.scryptSync(this.encryptionKey, 'salt', 32);
@@ -336,6 +418,7 @@ class BackupService {
                 stats: {
                     mainTables: Object.keys(backupData.main_database).length,
                     transactionTables: Object.keys(backupData.transaction_database).length,
+                    files: Object.keys(backupData.files || {}).length,
                     totalRecords: this.countRecords(backupData)
                 }
             };
@@ -0,0 +1,133 @@
+const cron = require('node-cron');
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }
+];
+
+// How far previous() and next() search before giving up
+const SEARCH_DAYS = 366;
+
+/**
+ * Five-field cron expressions (minute hour day-of-month month day-of-week) matched the
+ * way node-cron matches them: every field must match, in local time. Fields accept *,
+ * numbers, ranges, lists and steps (e.g. 0 2 * * 0, 30 9 1,15 * *, 0 9-17/2 * * 1-5).
+ *
+ * previous() is what lets the scheduler notice runs missed while the computer was off.
+ */
+class CronSchedule {
+    parse(expression) {
+        const parts = String(expression || '').trim().split(/\s+/);
+        if (parts.length !== FIELDS.length) {
+            throw new Error('Cron expression needs five fields: minute hour day-of-month month day-of-week');
+        }
+
+        const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, index) => this.parseField(part, FIELDS[index]));
+
+        // Sunday can be written as 0 or 7
+        if (dayOfWeek.has(7)) {
+            dayOfWeek.add(0);
+        }
+
+        if (!cron.validate(parts.join(' '))) {
+            throw new Error(`Invalid cron expression: ${expression}`);
+        }
+
+        return { minute, hour, dayOfMonth, month, dayOfWeek };
+    }
+
+    parseField(part, field) {
+        const values = new Set();
+
+        for (const item of part.split(',')) {
+            const match = item.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+            if (!match) {
+                throw new Error(`Invalid ${field.name} field: ${part}`);
+            }
+
+            let from = field.min;
+            let to = field.max;
+            if (match[1] !== '*') {
+                const [start, end] = match[1].split('-').map(Number);
+                from = start;
+                // A single value with a step (5/15) runs from that value to the end of the range
+                to = end !== undefined ? end : (match[2] ? field.max : start);
+            }
+
+            const step = match[2] ? parseInt(match[2]) : 1;
+            if (from < field.min || to > field.max || from > to || step < 1) {
+                throw new Error(`Invalid ${field.name} field: ${part}`);
+            }
+
+            for (let value = from; value <= to; value += step) {
+                values.add(value);
+            }
+        }
+
+        return values;
+    }
+
+    matchesDay(schedule, date) {
+        return schedule.dayOfMonth.has(date.getDate())
+            && schedule.month.has(date.getMonth() + 1)
+            && schedule.dayOfWeek.has(date.getDay());
+    }
+
+    // Latest matching minute at or before `from`, or null
+    previous(expression, from = new Date()) {
+        const schedule = this.parse(expression);
+        const date = new Date(from);
+        date.setSeconds(0, 0);
+
+        const limit = new Date(date);
+        limit.setDate(limit.getDate() - SEARCH_DAYS);
+
+        while (date >= limit) {
+            if (!this.matchesDay(schedule, date)) {
+                // Last minute of the previous day
+                date.setHours(0, 0, 0, 0);
+                date.setMinutes(-1);
+            } else if (!schedule.hour.has(date.getHours())) {
+                // Last minute of the previous hour
+                date.setMinutes(0, 0, 0);
+                date.setMinutes(-1);
+            } else if (!schedule.minute.has(date.getMinutes())) {
+                date.setMinutes(date.getMinutes() - 1);
+            } else {
+                return date;
+            }
+        }
+
+        return null;
+    }
+
+    // First matching minute after `from`, or null
+    next(expression, from = new Date()) {
+        const schedule = this.parse(expression);
+        const date = new Date(from);
+        date.setSeconds(0, 0);
+        date.setMinutes(date.getMinutes() + 1);
+
+        const limit = new Date(date);
+        limit.setDate(limit.getDate() + SEARCH_DAYS);
+
+        while (date <= limit) {
+            if (!this.matchesDay(schedule, date)) {
+                date.setHours(24, 0, 0, 0);
+            } else if (!schedule.hour.has(date.getHours())) {
+                date.setHours(date.getHours() + 1, 0, 0, 0);
+            } else if (!schedule.minute.has(date.getMinutes())) {
+                date.setMinutes(date.getMinutes() + 1);
+            } else {
+                return date;
+            }
+        }
+
+        return null;
+    }
+}
+
+module.exports = new CronSchedule();
@@ -266,6 +266,86 @@ class EmailService {
 
         return await this.queueEmail(customerEmail, subject, body);
     }
+
+    async sendFDMaturityNotice(customerEmail, customerName, maturityDetails) {
+        const subject = maturityDetails.renewedNumber
+            ? `FD Renewed - ${maturityDetails.number}`
+            : `FD Matured - ${maturityDetails.number}`;
+        const renewal = maturityDetails.renewedNumber ? `
+                    <p><strong>Renewed As:</strong> ${maturityDetails.renewedNumber}</p>
+                    <p><strong>Renewed Amount:</strong> ₹${maturityDetails.renewedAmount}</p>
+                    <p><strong>New Interest Rate:</strong> ${maturityDetails.renewedRate}%</p>
+                    <p><strong>New Maturity Date:</strong> ${maturityDetails.renewedMaturityDate}</p>` : '';
+        const adjustment = maturityDetails.loanAdjustmentAmount > 0 ? `
+                    <p><strong>Adjusted Against Loan:</strong> ${maturityDetails.loanNumber}</p>
+                    <p><strong>Amount Adjusted:</strong> ₹${maturityDetails.loanAdjustmentAmount}</p>` : '';
+        const payout = maturityDetails.payoutAmount > 0 ? `
+                    <p><strong>Credited to Account:</strong> ${maturityDetails.payoutAccount}</p>
+                    <p><strong>Amount Credited:</strong> ₹${maturityDetails.payoutAmount}</p>` : '';
+        const body = `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <h2 style="color: #2563eb;">Fixed Deposit Maturity</h2>
+                <p>Dear ${customerName},</p>
+                <p>Your Fixed Deposit has matured and your maturity instruction has been carried out:</p>
+                <div style="background: #f3f4f6; padding: 15px; border-radius: 8px; margin: 15px 0;">
+                    <p><strong>FD Number:</strong> ${maturityDetails.number}</p>
+                    <p><strong>Maturity Date:</strong> ${maturityDetails.maturityDate}</p>
+                    <p><strong>Maturity Amount:</strong> ₹${maturityDetails.maturityAmount}</p>${adjustment}${renewal}${payout}
+                </div>
+                <p>If you have any questions, please contact us.</p>
+                <br>
+                <p>Best regards,<br>FinancePlus Team</p>
+                <hr>
+                <p style="font-size: 12px; color: #666;">
+                    This is an automated message from FinancePlus by Heropixel Technologies.
+                </p>
+            </div>
+        `;
+
+        return await this.queueEmail(customerEmail, subject, body);
+    }
+
+    async sendStandingInstructionNotice(customerEmail, customerName, runDetails) {
+        const succeeded = runDetails.status === 'succeeded';
+        const subject = succeeded
+            ? `Standing Instruction Paid - ${runDetails.targetNumber}`
+            : `Standing Instruction Failed - ${runDetails.targetNumber}`;
+        const outcome = succeeded ? `
+                    <p><strong>Debit Reference:</strong> ${runDetails.debitReference}</p>
+                    <p><strong>Payment Reference:</strong> ${runDetails.paymentReference}</p>` : `
+                    <p><strong>Reason:</strong> ${runDetails.error}</p>`;
+        const next = succeeded
+            ? ''
+            : runDetails.finalAttempt
+                ? '<p>This was the last attempt for this due date. Please pay it at our office to avoid further charges.</p>'
+                : '<p>We will try again tomorrow. Please keep enough balance in your account.</p>';
+        const body = `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <h2 style="color: ${succeeded ? '#2563eb' : '#dc2626'};">Standing Instruction ${succeeded ? 'Paid' : 'Failed'}</h2>
+                <p>Dear ${customerName},</p>
+                <p>${succeeded
+                    ? 'Your standing instruction has been carried out:'
+                    : 'We could not carry out your standing instruction:'}</p>
+                <div style="background: #f3f4f6; padding: 15px; border-radius: 8px; margin: 15px 0;">
+                    <p><strong>From Account:</strong> ${runDetails.accountNumber}</p>
+                    <p><strong>Paying:</strong> ${runDetails.targetLabel}</p>
+                    <p><strong>Due Date:</strong> ${runDetails.dueDate}</p>
+                    <p><strong>Amount:</strong> ₹${runDetails.amount}</p>
+                    <p><strong>Attempt:</strong> ${runDetails.attempt}</p>${outcome}
+                </div>
+                ${next}
+                <p>If you have any questions, please contact us.</p>
+                <br>
+                <p>Best regards,<br>FinancePlus Team</p>
+                <hr>
+                <p style="font-size: 12px; color: #666;">
+                    This is an automated message from FinancePlus by Heropixel Technologies.
+                </p>
+            </div>
+        `;
+
+        return await this.queueEmail(customerEmail, subject, body);
+    }
 }
 
 module.exports = new EmailService();
\ No newline at end of file
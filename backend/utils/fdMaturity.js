@@ -0,0 +1,46 @@
+const AuditService = require('./auditService');
+const emailService = require('./emailService');
+
+// Audit entry and customer email for a carried-out FD maturity instruction (the result
+// of FD.processMaturity), shared by the maturity route and the fd_rd_maturity job
+async function recordMaturity(result, userId, req = null) {
+    const { fd, renewed_fd: renewed } = result;
+
+    let description = `FD ${fd.fd_number} matured for ₹${result.maturity_amount}`;
+    if (result.loan_adjustment_amount > 0) {
+        description += ` - ₹${result.loan_adjustment_amount} adjusted against loan ${fd.adjusted_loan_number}`;
+    }
+    if (renewed) {
+        description += ` - renewed as ${renewed.fd_number} for ₹${renewed.principal_amount} at ${renewed.interest_rate}%`;
+    }
+    if (result.payout_amount > 0) {
+        description += ` - ₹${result.payout_amount} credited to account ${fd.payout_account_number}`;
+    }
+
+    await AuditService.logActivity(
+        userId,
+        renewed ? AuditService.ACTION_TYPES.FD_RENEW : AuditService.ACTION_TYPES.FD_MATURITY_PAYOUT,
+        'fd',
+        fd.id,
+        description,
+        req
+    );
+
+    if (fd.customer_email) {
+        await emailService.sendFDMaturityNotice(fd.customer_email, fd.customer_name, {
+            number: fd.fd_number,
+            maturityDate: fd.maturity_date,
+            maturityAmount: result.maturity_amount,
+            loanAdjustmentAmount: result.loan_adjustment_amount,
+            loanNumber: fd.adjusted_loan_number,
+            payoutAmount: result.payout_amount,
+            payoutAccount: fd.payout_account_number,
+            renewedNumber: renewed ? renewed.fd_number : null,
+            renewedAmount: renewed ? renewed.principal_amount : null,
+            renewedRate: renewed ? renewed.interest_rate : null,
+            renewedMaturityDate: renewed ? renewed.maturity_date : null
+        });
+    }
+}
+
+module.exports = { recordMaturity };
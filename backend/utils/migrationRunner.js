@@ -0,0 +1,245 @@
+const fs = require('fs').promises;
+const path = require('path');
+const mainDb = require('../config/db_main');
+const txnDb = require('../config/db_txn');
+const backupService = require('./backupService');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+
+/**
+ * Versioned schema migrations for both databases.
+ *
+ * Each database has a directory of numbered files under migrations/ (main/, txn/)
+ * named like 003_account_version.js and exporting up(db) and down(db). Applied
+ * versions are recorded in the database's own schema_migrations table.
+ *
+ * Each migration commits together with its schema_migrations row, so a failure
+ * leaves the database at the last good version. A dry run applies the pending
+ * migrations in one transaction and rolls it back.
+ *
+ * The server refuses to start while either database has pending migrations, or has
+ * migrations this release does not know about (see check()).
+ */
+class MigrationRunner {
+    constructor() {
+        this.databases = {
+            main: mainDb,
+            txn: txnDb
+        };
+    }
+
+    async loadMigrations(database) {
+        const dir = path.join(MIGRATIONS_DIR, database);
+        const files = (await fs.readdir(dir)).filter(file => /^\d+_\w+\.js$/.test(file));
+
+        const migrations = files
+            .map(file => ({
+                version: parseInt(file, 10),
+                name: path.basename(file, '.js'),
+                file: path.join(dir, file)
+            }))
+            .sort((a, b) => a.version - b.version);
+
+        for (let i = 1; i < migrations.length; i++) {
+            if (migrations[i].version === migrations[i - 1].version) {
+                throw new Error(`Duplicate migration version ${migrations[i].version} in migrations/${database}`);
+            }
+        }
+
+        return migrations;
+    }
+
+    async getApplied(db) {
+        const table = await db.get(
+            `SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'`
+        );
+        if (!table) {
+            return [];
+        }
+
+        return await db.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    }
+
+    async status() {
+        const status = {};
+
+        for (const [database, db] of Object.entries(this.databases)) {
+            const migrations = await this.loadMigrations(database);
+            const applied = await this.getApplied(db);
+            const appliedVersions = new Set(applied.map(row => row.version));
+            const knownVersions = new Set(migrations.map(migration => migration.version));
+
+            status[database] = {
+                current_version: applied.length > 0 ? applied[applied.length - 1].version : 0,
+                latest_version: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+                applied,
+                pending: migrations
+                    .filter(migration => !appliedVersions.has(migration.version))
+                    .map(({ version, name }) => ({ version, name })),
+                unknown: applied.filter(row => !knownVersions.has(row.version))
+            };
+        }
+
+        return status;
+    }
+
+    // Startup check: lists what keeps the databases from matching this release
+    async check() {
+        const status = await this.status();
+        const problems = [];
+
+        for (const [database, state] of Object.entries(status)) {
+            if (state.unknown.length > 0) {
+                problems.push(
+                    `${database} database has migrations unknown to this release (${state.unknown.map(row => row.name).join(', ')}); it was migrated by a newer version`
+                );
+            }
+
+            if (state.pending.length > 0) {
+                problems.push(
+                    `${database} database has pending migrations: ${state.pending.map(migration => migration.name).join(', ')}`
+                );
+            }
+        }
+
+        return { up_to_date: problems.length === 0, problems, databases: status };
+    }
+
+    async migrate(options = {}) {
+        const { dryRun = false, userId = null } = options;
+        const status = await this.status();
+
+        for (const [database, state] of Object.entries(status)) {
+            if (state.unknown.length > 0) {
+                throw new Error(`${database} database was migrated by a newer version; refusing to migrate it with this release`);
+            }
+        }
+
+        const pendingDatabases = Object.keys(status).filter(database => status[database].pending.length > 0);
+        if (pendingDatabases.length === 0) {
+            return { success: true, dry_run: dryRun, applied: [], backup: null };
+        }
+
+        const backup = dryRun ? null : await this.backupBeforeChange(userId, 'Pre-migration backup');
+
+        const applied = [];
+        for (const database of pendingDatabases) {
+            const db = this.databases[database];
+            const pendingVersions = new Set(status[database].pending.map(migration => migration.version));
+            const migrations = (await this.loadMigrations(database)).filter(migration => pendingVersions.has(migration.version));
+
+            const steps = migrations.map(migration => async () => {
+                await this.ensureMigrationsTable(db);
+                await require(migration.file).up(db);
+                await db.run(
+                    'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, CURRENT_TIMESTAMP)',
+                    [migration.version, migration.name]
+                );
+                applied.push({ database, version: migration.version, name: migration.name });
+            });
+
+            await this.runSteps(db, database, migrations, steps, dryRun);
+        }
+
+        return { success: true, dry_run: dryRun, applied, backup };
+    }
+
+    // Undoes the latest `steps` migrations of one database
+    async rollback(options = {}) {
+        const { database, steps = 1, dryRun = false, userId = null } = options;
+
+        const db = this.databases[database];
+        if (!db) {
+            throw new Error('Database to roll back must be main or txn');
+        }
+
+        const migrations = await this.loadMigrations(database);
+        const applied = await this.getApplied(db);
+        const targets = applied.slice(-steps).reverse().map(row => {
+            const migration = migrations.find(candidate => candidate.version === row.version);
+            if (!migration) {
+                throw new Error(`Migration ${row.name} is not part of this release and cannot be rolled back by it`);
+            }
+            return migration;
+        });
+
+        if (targets.length === 0) {
+            return { success: true, dry_run: dryRun, rolled_back: [], backup: null };
+        }
+
+        const backup = dryRun ? null : await this.backupBeforeChange(userId, 'Pre-rollback backup');
+
+        const rolledBack = [];
+        const rollbackSteps = targets.map(migration => async () => {
+            await require(migration.file).down(db);
+            await db.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+            rolledBack.push({ database, version: migration.version, name: migration.name });
+        });
+
+        await this.runSteps(db, database, targets, rollbackSteps, dryRun);
+
+        return { success: true, dry_run: dryRun, rolled_back: rolledBack, backup };
+    }
+
+    // Real runs commit each step on its own; a dry run needs every step to see the
+    // previous ones, so it runs them all in one transaction that is rolled back
+    async runSteps(db, database, migrations, steps, dryRun) {
+        if (dryRun) {
+            await db.run('BEGIN IMMEDIATE');
+            try {
+                for (let i = 0; i < steps.length; i++) {
+                    await this.runStep(database, migrations[i], steps[i]);
+                }
+            } finally {
+                await db.run('ROLLBACK');
+            }
+            return;
+        }
+
+        for (let i = 0; i < steps.length; i++) {
+            await db.run('BEGIN IMMEDIATE');
+            try {
+                await this.runStep(database, migrations[i], steps[i]);
+                await db.run('COMMIT');
+            } catch (error) {
+                await db.run('ROLLBACK').catch(() => {});
+                throw error;
+            }
+        }
+    }
+
+    async runStep(database, migration, step) {
+        try {
+            await step();
+        } catch (error) {
+            throw new Error(`Migration ${database}/${migration.name} failed: ${error.message}`);
+        }
+    }
+
+    async ensureMigrationsTable(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    }
+
+    // A brand-new installation has nothing to back up yet
+    async backupBeforeChange(userId, description) {
+        const existing = await mainDb.get(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'users'`);
+        if (!existing) {
+            return null;
+        }
+
+        const backup = await backupService.createBackup(userId, description);
+        if (!backup.success) {
+            throw new Error(`${description} failed, databases left unchanged: ${backup.error}`);
+        }
+
+        return backup.fileName;
+    }
+}
+
+module.exports = new MigrationRunner();
@@ -0,0 +1,99 @@
+const ROUNDING_MODES = ['half_even', 'half_up'];
+
+/**
+ * Money helpers.
+ *
+ * Every amount is stored in the databases and computed in the models as integer
+ * paise. Rupee decimals only exist at the API boundary: models accept rupee amounts
+ * from routes and convert their results back with toRupees()/rowToRupees().
+ *
+ * Fractional paise (interest, EMI, maturity calculations) are rounded with the
+ * configured mode, banker's rounding (half_even) by default.
+ */
+class Money {
+    constructor() {
+        this.roundingMode = 'half_even';
+    }
+
+    get ROUNDING_MODES() {
+        return ROUNDING_MODES;
+    }
+
+    configure(options = {}) {
+        if (options.roundingMode) {
+            if (!ROUNDING_MODES.includes(options.roundingMode)) {
+                throw new Error(`Unsupported rounding mode: ${options.roundingMode}`);
+            }
+            this.roundingMode = options.roundingMode;
+        }
+    }
+
+    // Round a fractional paise value to whole paise
+    round(value) {
+        const sign = value < 0 ? -1 : 1;
+        const absolute = Math.abs(value);
+        const whole = Math.floor(absolute);
+        const fraction = absolute - whole;
+
+        let rounded;
+        // Values within floating-point noise of .5 are treated as exact ties
+        if (Math.abs(fraction - 0.5) < 1e-6) {
+            if (this.roundingMode === 'half_even') {
+                rounded = whole % 2 === 0 ? whole : whole + 1;
+            } else {
+                rounded = whole + 1;
+            }
+        } else {
+            rounded = Math.round(absolute);
+        }
+
+        return rounded === 0 ? 0 : sign * rounded;
+    }
+
+    toPaise(rupees) {
+        if (rupees === null || rupees === undefined) {
+            return rupees;
+        }
+
+        const value = Number(rupees);
+        if (!Number.isFinite(value)) {
+            throw new Error(`Invalid amount: ${rupees}`);
+        }
+
+        // toFixed strips representation error such as 1.15 * 100 = 114.99999999999999
+        return this.round(Number((value * 100).toFixed(6)));
+    }
+
+    toRupees(paise) {
+        if (paise === null || paise === undefined) {
+            return paise;
+        }
+
+        return this.round(Number(paise)) / 100;
+    }
+
+    // Interest or charge at an annual/flat percentage rate, in whole paise
+    percentage(paise, ratePercent) {
+        return this.round(paise * ratePercent / 100);
+    }
+
+    rowToRupees(row, fields) {
+        if (!row) {
+            return row;
+        }
+
+        const converted = { ...row };
+        for (const field of fields) {
+            if (converted[field] !== undefined) {
+                converted[field] = this.toRupees(converted[field]);
+            }
+        }
+        return converted;
+    }
+
+    rowsToRupees(rows, fields) {
+        return rows.map(row => this.rowToRupees(row, fields));
+    }
+}
+
+module.exports = new Money();
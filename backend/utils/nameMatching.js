@@ -0,0 +1,272 @@
+// Devanagari letters in their usual Marathi romanisation
+const VOWELS = {
+    'अ': 'a', 'आ': 'aa', 'इ': 'i', 'ई': 'ee', 'उ': 'u', 'ऊ': 'oo', 'ऋ': 'ru',
+    'ए': 'e', 'ऐ': 'ai', 'ओ': 'o', 'औ': 'au', 'ऑ': 'o', 'ॲ': 'e'
+};
+const VOWEL_SIGNS = {
+    'ा': 'aa', 'ि': 'i', 'ी': 'ee', 'ु': 'u', 'ू': 'oo', 'ृ': 'ru',
+    'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au', 'ॉ': 'o', 'ॅ': 'e'
+};
+const CONSONANTS = {
+    'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'n',
+    'च': 'ch', 'छ': 'chh', 'ज': 'j', 'झ': 'jh', 'ञ': 'n',
+    'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n',
+    'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+    'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+    'य': 'y', 'र': 'r', 'ल': 'l', 'ळ': 'l', 'व': 'v',
+    'श': 'sh', 'ष': 'sh', 'स': 's', 'ह': 'h'
+};
+const VIRAMA = '्';
+const NUKTA = '़';
+const NASALS = ['ं', 'ँ'];
+const VISARGA = 'ः';
+
+// Honorifics in either script, as they read once romanised
+const TITLES = [
+    'shri', 'shree', 'sri', 'smt', 'shrimati', 'shreemati', 'shreematee', 'sau', 'sou', 'ku', 'kum', 'kumari',
+    'mr', 'mrs', 'ms', 'miss', 'dr', 'late', 'kai'
+];
+
+/**
+ * Fuzzy comparison of personal names written in English or Marathi.
+ *
+ * Devanagari is romanised the way Marathi names are usually spelt in English
+ * (रमेश पाटील -> ramesh paateel), dropping the unspoken inherent vowel at the end of
+ * a word and between a vowel-consonant and a consonant-vowel (गणपत -> ganpat). Each
+ * word is then folded to a rough sound key that irons out the common spelling
+ * variants: aspirates (bh/b, th/t), long vowels (aa/a, ee/i, oo/u), sh/s, w/v, z/j,
+ * doubled letters and a final 'a', so Patil, Paatil and पाटील all come out as 'patil'.
+ *
+ * Names are compared word by word in any order, initials matching the word they
+ * abbreviate, with Jaro-Winkler similarity between the folded words.
+ */
+class NameMatching {
+    get TITLES() {
+        return TITLES;
+    }
+
+    isDevanagari(text) {
+        return /[ऀ-ॿ]/.test(text || '');
+    }
+
+    // Romanises the Devanagari in a text, leaving everything else as it is
+    transliterate(text) {
+        const phonemes = [];
+        const chars = [...(text || '')];
+
+        for (let i = 0; i < chars.length; i++) {
+            const char = chars[i];
+            const last = phonemes[phonemes.length - 1];
+
+            // ज्ञ is 'dny' in Marathi (Dnyaneshwar)
+            if (char === 'ज' && chars[i + 1] === VIRAMA && chars[i + 2] === 'ञ') {
+                phonemes.push({ type: 'consonant', text: 'dny' }, { type: 'vowel', text: 'a', inherent: true });
+                i += 2;
+            } else if (CONSONANTS[char]) {
+                phonemes.push({ type: 'consonant', text: CONSONANTS[char] }, { type: 'vowel', text: 'a', inherent: true });
+            } else if (VOWEL_SIGNS[char] || char === VIRAMA) {
+                // A vowel sign or virama replaces the consonant's inherent vowel
+                if (last && last.inherent) {
+                    phonemes.pop();
+                }
+                if (VOWEL_SIGNS[char]) {
+                    phonemes.push({ type: 'vowel', text: VOWEL_SIGNS[char] });
+                }
+            } else if (NASALS.includes(char)) {
+                phonemes.push({ type: 'consonant', text: 'n' });
+            } else if (char === VISARGA) {
+                phonemes.push({ type: 'consonant', text: 'h' });
+            } else if (VOWELS[char]) {
+                phonemes.push({ type: 'vowel', text: VOWELS[char] });
+            } else if (char !== NUKTA) {
+                phonemes.push({ type: 'other', text: char });
+            }
+        }
+
+        // Drop the unspoken inherent vowels, left to right so each decision sees the last
+        const kept = [];
+        let wordStart = 0;
+        for (let i = 0; i < phonemes.length; i++) {
+            const phoneme = phonemes[i];
+            if (phoneme.inherent) {
+                const next = phonemes[i + 1];
+                const afterNext = phonemes[i + 2];
+                const endOfWord = !next || next.type === 'other';
+                // ...unless the vowel after the next consonant is itself a silent final one
+                const spokenAfterNext = afterNext && afterNext.type === 'vowel'
+                    && !(afterNext.inherent && (!phonemes[i + 3] || phonemes[i + 3].type === 'other'));
+                const between = kept.length - 2 >= wordStart
+                    && kept[kept.length - 1].type === 'consonant'
+                    && kept[kept.length - 2].type === 'vowel'
+                    && next && next.type === 'consonant'
+                    && spokenAfterNext;
+                // A word of one consonant keeps its vowel
+                const wordHasVowel = kept.slice(wordStart).some(entry => entry.type === 'vowel');
+                if ((endOfWord && wordHasVowel) || between) {
+                    continue;
+                }
+            }
+            kept.push(phoneme);
+            if (phoneme.type === 'other') {
+                wordStart = kept.length;
+            }
+        }
+
+        return kept.map(phoneme => phoneme.text).join('');
+    }
+
+    // The words of a name, romanised, lower case and without honorifics
+    words(name) {
+        return this.transliterate(name)
+            .toLowerCase()
+            .split(/[^a-z]+/)
+            .filter(word => word && !TITLES.includes(word));
+    }
+
+    // A word reduced to a sound key that is the same for its usual spellings
+    fold(word) {
+        let key = word.toLowerCase().replace(/[^a-z]/g, '');
+        if (key.length <= 1) {
+            return key;
+        }
+
+        key = key
+            .replace(/x/g, 'ks')
+            .replace(/q/g, 'k')
+            .replace(/z/g, 'j')
+            .replace(/w/g, 'v')
+            .replace(/ph/g, 'f')
+            .replace(/(dny|gny|jn)/g, 'gy')
+            .replace(/chh?/g, 'c')
+            .replace(/([kgjtdb])h/g, '$1')
+            .replace(/sh/g, 's')
+            .replace(/ee|ie|ii/g, 'i')
+            .replace(/oo|uu/g, 'u')
+            .replace(/m([pb])/g, 'n$1')
+            .replace(/(.)\1+/g, '$1');
+
+        if (key.length > 2 && key.endsWith('a')) {
+            key = key.slice(0, -1);
+        }
+        return key;
+    }
+
+    // The folded words of a name
+    keys(name) {
+        return this.words(name).map(word => this.fold(word)).filter(Boolean);
+    }
+
+    jaroWinkler(a, b) {
+        if (a === b) {
+            return 1;
+        }
+        if (!a.length || !b.length) {
+            return 0;
+        }
+
+        const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+        const aMatched = new Array(a.length).fill(false);
+        const bMatched = new Array(b.length).fill(false);
+        let matches = 0;
+
+        for (let i = 0; i < a.length; i++) {
+            const start = Math.max(0, i - window);
+            const end = Math.min(b.length - 1, i + window);
+            for (let j = start; j <= end; j++) {
+                if (!bMatched[j] && a[i] === b[j]) {
+                    aMatched[i] = true;
+                    bMatched[j] = true;
+                    matches++;
+                    break;
+                }
+            }
+        }
+        if (matches === 0) {
+            return 0;
+        }
+
+        let transpositions = 0;
+        let k = 0;
+        for (let i = 0; i < a.length; i++) {
+            if (aMatched[i]) {
+                while (!bMatched[k]) k++;
+                if (a[i] !== b[k]) transpositions++;
+                k++;
+            }
+        }
+
+        const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+        let prefix = 0;
+        while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix++;
+        return jaro + prefix * 0.1 * (1 - jaro);
+    }
+
+    // How alike two folded words are; an initial matches the word it starts
+    wordSimilarity(a, b) {
+        if (a.length === 1 || b.length === 1) {
+            return a[0] === b[0] ? 0.9 : 0;
+        }
+        return this.jaroWinkler(a, b);
+    }
+
+    // Similarity of two names from 0 to 1: each word of the shorter name is paired with
+    // its best unused match in the longer one, in any order, and the names are only as
+    // alike as their least alike pair (Suresh Patil is not Mahesh Patil)
+    similarity(nameA, nameB) {
+        const a = this.keys(nameA);
+        const b = this.keys(nameB);
+        if (a.length === 0 || b.length === 0) {
+            return 0;
+        }
+
+        const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+        const unused = [...longer];
+        let weakest = 1;
+        let fullWordMatched = false;
+
+        for (const word of shorter) {
+            let best = 0;
+            let bestIndex = -1;
+            unused.forEach((candidate, index) => {
+                const score = this.wordSimilarity(word, candidate);
+                if (score > best) {
+                    best = score;
+                    bestIndex = index;
+                }
+            });
+            if (bestIndex >= 0) {
+                if (word.length > 1 && unused[bestIndex].length > 1 && best >= 0.85) {
+                    fullWordMatched = true;
+                }
+                unused.splice(bestIndex, 1);
+            }
+            weakest = Math.min(weakest, best);
+        }
+
+        let score = weakest;
+        // Initials alone say little, and a single name against a full one is weak
+        if (!fullWordMatched) {
+            score = Math.min(score, 0.5);
+        }
+        if (shorter.length === 1 && longer.length > 1) {
+            score *= 0.8;
+        } else if (longer.length > shorter.length) {
+            // A middle name left out is common, so it costs little
+            score *= 0.95;
+        }
+
+        return Math.round(score * 100) / 100;
+    }
+
+    // Keys that similar names share: the first two letters of their first and last words,
+    // in either order, so pairs are only compared within a block
+    blockKey(name) {
+        const keys = this.keys(name).filter(key => key.length > 1);
+        if (keys.length === 0) {
+            return null;
+        }
+        return [keys[0], keys[keys.length - 1]].map(key => key.slice(0, 2)).sort().join('|');
+    }
+}
+
+module.exports = new NameMatching();
@@ -0,0 +1,169 @@
+const FD = require('../models/FD');
+const RD = require('../models/RD');
+const LoanDelinquency = require('../models/LoanDelinquency');
+const StandingInstruction = require('../models/StandingInstruction');
+const InterestAccrual = require('../models/InterestAccrual');
+const CustomerDocument = require('../models/CustomerDocument');
+const CustomerDuplicate = require('../models/CustomerDuplicate');
+const EmailQueue = require('../models/EmailQueue');
+const ScheduledJob = require('../models/ScheduledJob');
+const AuditService = require('./auditService');
+const backupService = require('./backupService');
+const settingsStore = require('./settingsStore');
+const { recordMaturity } = require('./fdMaturity');
+const { recordAttempt } = require('./standingInstructionRuns');
+
+// Throws a model failure so the run is recorded as failed
+function unwrap(result) {
+    if (!result.success) {
+        throw new Error(result.error);
+    }
+    return result;
+}
+
+// A run that finished with some records failing keeps its summary on the error
+function failWithSummary(message, summary) {
+    const error = new Error(message);
+    error.summary = summary;
+    throw error;
+}
+
+/**
+ * Handlers for the jobs defined in scheduled_jobs, keyed by job name. Each receives
+ * { userId } (the admin the work is attributed to) and returns a summary that is
+ * stored with the run. Every handler works through everything due up to now, so a
+ * catch-up run after days switched off needs no special handling.
+ */
+module.exports = {
+    async fd_rd_maturity({ userId }) {
+        // FDs with a maturity instruction are paid out or renewed; the rest wait as 'matured'
+        const processed = unwrap(await FD.processDueMaturities(userId));
+        const failures = [];
+
+        for (const result of processed.results) {
+            if (result.success) {
+                await recordMaturity(result, userId);
+            } else {
+                failures.push(`${result.fd_number}: ${result.error}`);
+            }
+        }
+
+        const fds = unwrap(await FD.markMatured());
+
+        // RD calendars first, so overdue installments default RDs and those reaching
+        // maturity are paid out on what was actually paid
+        const assessed = unwrap(await RD.assessInstallments());
+        const rdFailures = assessed.failed.map(failure => `${failure.rd_number}: ${failure.error}`);
+        const rds = unwrap(await RD.markMatured());
+
+        const summary = {
+            fds_processed: processed.results.length - failures.length,
+            fds_renewed: processed.results.filter(result => result.success && result.renewed_fd).length,
+            fds_matured: fds.matured,
+            rds_checked: assessed.summary.checked,
+            rds_defaulted: assessed.summary.defaulted,
+            rds_matured: rds.matured
+        };
+
+        if (failures.length > 0) {
+            failWithSummary(`${failures.length} FD maturity instruction(s) failed - ${failures.join('; ')}`, summary);
+        }
+        if (rdFailures.length > 0) {
+            failWithSummary(`${rdFailures.length} RD calendar(s) could not be rebuilt - ${rdFailures.join('; ')}`, summary);
+        }
+
+        return summary;
+    },
+
+    async loan_overdue({ userId }) {
+        const result = unwrap(await LoanDelinquency.run(null, userId));
+        const summary = {
+            as_of: result.as_of,
+            loans_checked: result.summary.checked,
+            loans_overdue: result.summary.overdue,
+            loans_npa: result.summary.npa,
+            penal_interest: result.summary.penal_interest
+        };
+
+        if (result.failed.length > 0) {
+            const failures = result.failed.map(failure => `loan ${failure.loan_id}: ${failure.error}`);
+            failWithSummary(`${failures.length} loan(s) could not be assessed - ${failures.join('; ')}`, summary);
+        }
+
+        return summary;
+    },
+
+    async standing_instructions({ userId }) {
+        const result = unwrap(await StandingInstruction.runDue(null, userId));
+
+        for (const { instruction, run } of result.attempts) {
+            await recordAttempt(instruction, run, userId);
+        }
+
+        const summary = {
+            as_of: result.as_of,
+            instructions_checked: result.summary.checked,
+            payments_made: result.summary.succeeded,
+            payments_failed: result.summary.failed,
+            instructions_completed: result.summary.completed
+        };
+
+        if (result.failed.length > 0) {
+            const failures = result.failed.map(failure => `instruction ${failure.instruction_id}: ${failure.error}`);
+            failWithSummary(`${failures.length} standing instruction(s) could not be processed - ${failures.join('; ')}`, summary);
+        }
+
+        return summary;
+    },
+
+    async interest_posting({ userId }) {
+        const accrual = unwrap(await InterestAccrual.accrue(null, userId));
+        const posting = unwrap(await InterestAccrual.post({}, userId));
+
+        const summary = {
+            accrued_through: accrual.as_of,
+            days_accrued: accrual.summary.days_accrued,
+            interest_accrued: accrual.summary.interest_accrued,
+            posting_period: `${posting.period_start} to ${posting.period_end}`,
+            accounts_posted: posting.summary.posted,
+            interest_posted: posting.summary.total_interest
+        };
+
+        const failed = accrual.summary.failed + posting.summary.failed;
+        if (failed > 0) {
+            failWithSummary(`${failed} account(s) could not be accrued or posted`, summary);
+        }
+
+        return summary;
+    },
+
+    async kyc_expiry() {
+        const result = unwrap(await CustomerDocument.expireDue());
+        return { as_of: result.as_of, kyc_expired: result.expired };
+    },
+
+    async duplicate_scan() {
+        return unwrap(await CustomerDuplicate.scan()).summary;
+    },
+
+    async backup({ userId }) {
+        const result = unwrap(await backupService.createBackup(userId, 'Scheduled backup'));
+        return { file: result.fileName, size: result.size };
+    },
+
+    async log_purge() {
+        const settings = await settingsStore.read();
+        const days = parseInt(settings.system.logRetentionDays) || 365;
+
+        const logs = unwrap(await AuditService.cleanupOldLogs(days));
+        const emails = unwrap(await EmailQueue.clearOldEmails(days));
+        const runs = await ScheduledJob.purgeRuns(days);
+
+        return {
+            retention_days: days,
+            activity_logs_deleted: logs.deletedCount,
+            emails_deleted: emails.deleted_count,
+            job_runs_deleted: runs
+        };
+    }
+};
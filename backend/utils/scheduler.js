@@ -0,0 +1,138 @@
+const cron = require('node-cron');
+const ScheduledJob = require('../models/ScheduledJob');
+const cronSchedule = require('./cronSchedule');
+const jobHandlers = require('./scheduledJobs');
+
+/**
+ * Runs the jobs defined in the scheduled_jobs table with node-cron.
+ *
+ * Every run is recorded in job_runs. A job holds a lock (scheduled_jobs.locked_at)
+ * while it runs, so a run that comes due while the previous one is still busy is
+ * recorded as skipped instead of overlapping it.
+ *
+ * The office PC is often switched off at night, when most jobs are due. On startup,
+ * a job whose latest scheduled time passed since its last scheduled run is run once
+ * to catch up (unless catch_up is turned off for it).
+ */
+class Scheduler {
+    constructor() {
+        this.tasks = new Map();
+        this.started = false;
+    }
+
+    async start() {
+        // Nothing is running yet, so locks and open runs were left by a previous shutdown
+        const interrupted = await ScheduledJob.releaseInterrupted();
+        const jobs = await ScheduledJob.findAllRecords();
+
+        for (const job of jobs) {
+            this.schedule(job);
+        }
+        this.started = true;
+
+        // Catch-up runs in the background so a slow backup does not hold up startup
+        this.catchUp(jobs).catch(error => console.error('❌ Scheduled job catch-up failed:', error));
+
+        return { scheduled: this.tasks.size, interrupted };
+    }
+
+    stop() {
+        for (const task of this.tasks.values()) {
+            task.stop();
+        }
+        this.tasks.clear();
+        this.started = false;
+    }
+
+    schedule(job) {
+        const existing = this.tasks.get(job.name);
+        if (existing) {
+            existing.stop();
+            this.tasks.delete(job.name);
+        }
+
+        if (!job.enabled) {
+            return;
+        }
+
+        if (!jobHandlers[job.name]) {
+            console.warn(`⚠️ Scheduled job ${job.name} has no handler in this release`);
+            return;
+        }
+
+        const task = cron.schedule(job.cron_expression, () => {
+            const scheduledFor = new Date();
+            scheduledFor.setSeconds(0, 0);
+
+            this.runJob(job.name, { trigger: 'schedule', scheduledFor })
+                .catch(error => console.error(`❌ Scheduled job ${job.name} could not run:`, error));
+        });
+
+        this.tasks.set(job.name, task);
+    }
+
+    // Picks up a changed definition; before start() there is nothing to reschedule
+    async reschedule(name) {
+        if (!this.started) {
+            return;
+        }
+
+        const job = await ScheduledJob.findRecordByName(name);
+        if (job) {
+            this.schedule(job);
+        }
+    }
+
+    async catchUp(jobs) {
+        const now = new Date();
+
+        for (const job of jobs) {
+            if (!job.enabled || !job.catch_up || !jobHandlers[job.name]) {
+                continue;
+            }
+
+            const missed = cronSchedule.previous(job.cron_expression, now);
+            const lastScheduled = ScheduledJob.parseTimestamp(job.last_scheduled_for || job.created_at);
+
+            if (missed && missed > lastScheduled) {
+                console.log(`⏰ Catching up ${job.name} (missed run at ${missed.toLocaleString()})`);
+                await this.runJob(job.name, { trigger: 'catch_up', scheduledFor: missed });
+            }
+        }
+    }
+
+    // Runs a job now and returns its job_runs row; userId is set for manual runs
+    async runJob(name, options = {}) {
+        const { trigger = 'manual', scheduledFor = null, userId = null } = options;
+
+        const handler = jobHandlers[name];
+        if (!handler) {
+            throw new Error(`Unknown scheduled job: ${name}`);
+        }
+
+        if (!(await ScheduledJob.acquireLock(name))) {
+            const skippedId = await ScheduledJob.startRun(name, trigger, scheduledFor, userId, 'skipped');
+            await ScheduledJob.finishRun(skippedId, 'skipped', null, 'Previous run is still in progress');
+            return await ScheduledJob.findRunById(skippedId);
+        }
+
+        let runId = null;
+        try {
+            runId = await ScheduledJob.startRun(name, trigger, scheduledFor, userId);
+
+            try {
+                const summary = await handler({ userId: userId || await ScheduledJob.getSystemUserId() });
+                await ScheduledJob.finishRun(runId, 'succeeded', summary);
+            } catch (error) {
+                console.error(`❌ Scheduled job ${name} failed:`, error.message);
+                await ScheduledJob.finishRun(runId, 'failed', error.summary || null, error.message);
+            }
+        } finally {
+            await ScheduledJob.releaseLock(name, scheduledFor);
+        }
+
+        return await ScheduledJob.findRunById(runId);
+    }
+}
+
+module.exports = new Scheduler();
@@ -0,0 +1,122 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Settings storage file
+const SETTINGS_FILE = path.join(__dirname, '../data/settings.json');
+
+// Default settings
+const DEFAULT_SETTINGS = {
+    institute: {
+        name: 'FinancePlus Institute',
+        address: '',
+        phone: '',
+        email: '',
+        logo: '',
+        registrationNumber: '',
+        establishedYear: new Date().getFullYear()
+    },
+    email: {
+        smtpHost: '',
+        smtpPort: 587,
+        smtpSecure: false,
+        smtpUser: '',
+        smtpPassword: '',
+        fromName: 'FinancePlus',
+        fromEmail: ''
+    },
+    // Rates are set on each product in the catalogue (see models/Product.js)
+    interest: {
+        savingsAccrualMethod: 'daily_product', // daily_product or daily_minimum
+        savingsPostingFrequency: 'quarterly' // quarterly or half_yearly
+    },
+    money: {
+        roundingMode: 'half_even' // half_even (banker's rounding) or half_up
+    },
+    loans: {
+        // Order in which a loan payment settles what has fallen due
+        appropriationOrder: ['charges', 'interest', 'principal'],
+        penalInterestRate: 2.0, // % a year on installments past due
+        // Asset classification by days past due; every class after standard is an NPA
+        assetClasses: [
+            { name: 'standard', from_dpd: 0, provision_percent: 0.4 },
+            { name: 'sub_standard', from_dpd: 91, provision_percent: 10 },
+            { name: 'doubtful', from_dpd: 456, provision_percent: 25 },
+            { name: 'loss', from_dpd: 1186, provision_percent: 100 }
+        ],
+        maxGuaranteesPerCustomer: 3, // open loans one member may guarantee at a time
+        fdLoanLimitPercent: 90, // % of an FD's current value that can be lent against it
+        fdLoanSpread: 2.0 // % a year over the FD rate on a loan against it
+    },
+    deposits: {
+        rdLateFeePercent: 1.5, // % of an RD installment for each month (or part) it is paid late
+        rdPartialPayments: 'reject', // reject, or carry_forward what is paid short of an installment
+        rdDefaultAfterMissed: 3 // overdue installments that put an RD in default
+    },
+    standingInstructions: {
+        maxRetries: 3 // days a failed standing instruction is tried again for the same due date
+    },
+    kyc: {
+        reverifyAfterYears: 10 // verified KYC expires this many years after verification
+    },
+    withdrawals: {
+        signatureCheckAbove: 10000 // ₹; counter withdrawals above this need the holder's signature checked
+    },
+    system: {
+        autoBackup: true,
+        backupFrequency: 'weekly',
+        maxBackups: 10,
+        logRetentionDays: 365, // activity logs, sent/failed emails and job runs
+        sessionTimeout: 86400000, // 24 hours in milliseconds
+        passwordMinLength: 6,
+        enableEmailNotifications: true,
+        defaultLanguage: 'en'
+    },
+    security: {
+        maxLoginAttempts: 5,
+        lockoutDuration: 300000, // 5 minutes in milliseconds
+        requirePasswordChange: false,
+        passwordExpiryDays: 90
+    }
+};
+
+class SettingsStore {
+    get defaults() {
+        return JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
+    }
+
+    async read() {
+        try {
+            const data = await fs.readFile(SETTINGS_FILE, 'utf8');
+            const stored = JSON.parse(data);
+            const settings = { ...this.defaults, ...stored };
+
+            // Sections saved by an older release pick up the keys added since
+            for (const [section, defaults] of Object.entries(this.defaults)) {
+                if (stored[section] && typeof stored[section] === 'object') {
+                    settings[section] = { ...defaults, ...stored[section] };
+                }
+            }
+
+            return settings;
+        } catch (error) {
+            // If file doesn't exist, return default settings
+            return this.defaults;
+        }
+    }
+
+    async write(settings) {
+        try {
+            // Ensure data directory exists
+            const dataDir = path.dirname(SETTINGS_FILE);
+            await fs.mkdir(dataDir, { recursive: true });
+
+            await fs.writeFile(SETTINGS_FILE, JSON.stringify(settings, null, 2));
+            return true;
+        } catch (error) {
+            console.error('Error writing settings:', error);
+            return false;
+        }
+    }
+}
+
+module.exports = new SettingsStore();
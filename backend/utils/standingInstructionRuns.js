@@ -0,0 +1,41 @@
+const AuditService = require('./auditService');
+const emailService = require('./emailService');
+
+// Audit entry and customer email for a standing instruction attempt (a run returned by
+// StandingInstruction.process), shared by the run-now route and the standing_instructions job
+async function recordAttempt(instruction, run, userId, req = null) {
+    const targetLabel = instruction.target_type === 'rd'
+        ? `RD ${instruction.target_number} installment`
+        : `Loan ${instruction.target_number} EMI`;
+
+    const description = run.status === 'succeeded'
+        ? `Standing instruction ${instruction.id} paid ₹${run.amount} from account ${instruction.account_number} to ${targetLabel} due ${run.due_date}`
+        : `Standing instruction ${instruction.id} failed for ${targetLabel} due ${run.due_date} (attempt ${run.attempt}): ${run.error_message}`;
+
+    await AuditService.logActivity(
+        userId,
+        AuditService.ACTION_TYPES.STANDING_INSTRUCTION_RUN,
+        'standing_instruction',
+        instruction.id,
+        description,
+        req
+    );
+
+    if (instruction.customer_email) {
+        await emailService.sendStandingInstructionNotice(instruction.customer_email, instruction.customer_name, {
+            status: run.status,
+            targetNumber: instruction.target_number,
+            targetLabel,
+            accountNumber: instruction.account_number,
+            dueDate: run.due_date,
+            amount: run.amount,
+            attempt: run.attempt,
+            debitReference: run.debit_reference,
+            paymentReference: run.payment_reference,
+            error: run.error_message,
+            finalAttempt: run.final_attempt
+        });
+    }
+}
+
+module.exports = { recordAttempt };
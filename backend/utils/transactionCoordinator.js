@@ -0,0 +1,200 @@
+const mainDb = require('../config/db_main');
+const txnDb = require('../config/db_txn');
+const unitOfWork = require('../config/unitOfWork');
+
+/**
+ * Coordinates money movement that spans financeplus_main.db and transactions.db.
+ *
+ * Every operation gets a row in txn_journal (main database) before any balance is
+ * touched. Both databases are then opened with BEGIN IMMEDIATE and the work runs
+ * against them. Statements written to transactions.db are recorded, and the journal
+ * row is flipped to 'committed' together with those statements inside the main
+ * transaction, so the main COMMIT is the point of no return:
+ *
+ *   pending    -> crashed before the main COMMIT, SQLite discards both sides
+ *   committed  -> main side is durable, transaction side is replayed if missing
+ *   completed  -> both sides are durable
+ *
+ * The transaction side writes a txn_journal_applied marker in the same COMMIT, which
+ * tells recovery whether a replay is needed.
+ *
+ * Operations run one at a time on each database's work connection, queued with every
+ * write made outside them (see config/unitOfWork.js), so nothing but the operation's own
+ * statements can land in its transactions.
+ */
+class TransactionCoordinator {
+    async execute(operation, work, payload = {}) {
+        // Nested money movement (e.g. an FD payout crediting savings) joins the outer unit of work
+        const active = unitOfWork.current();
+        if (active) {
+            return await work(active);
+        }
+
+        return unitOfWork.enqueue(() => this.runInTransaction(operation, work, payload));
+    }
+
+    async runInTransaction(operation, work, payload) {
+        const main = mainDb.work;
+        const txn = txnDb.work;
+
+        const journal = await main.run(
+            `INSERT INTO txn_journal (operation, status, payload, created_at)
+             VALUES (?, 'pending', ?, CURRENT_TIMESTAMP)`,
+            [operation, JSON.stringify(payload)]
+        );
+        const journalId = journal.id;
+        const statements = [];
+
+        const handles = {
+            journalId,
+            main,
+            txn: {
+                run: async (sql, params = []) => {
+                    const result = await txn.run(sql, params);
+                    statements.push({ sql, params });
+                    return result;
+                },
+                get: (sql, params = []) => txn.get(sql, params),
+                all: (sql, params = []) => txn.all(sql, params)
+            }
+        };
+
+        await main.run('BEGIN IMMEDIATE');
+        try {
+            await txn.run('BEGIN IMMEDIATE');
+        } catch (error) {
+            await this.rollback(journalId, error, false);
+            throw error;
+        }
+
+        let result;
+        try {
+            result = await unitOfWork.run(handles, () => work(handles));
+
+            await main.run(
+                `UPDATE txn_journal SET status = 'committed', txn_statements = ? WHERE id = ?`,
+                [JSON.stringify(statements), journalId]
+            );
+            await txn.run(
+                'INSERT INTO txn_journal_applied (journal_id, applied_at) VALUES (?, CURRENT_TIMESTAMP)',
+                [journalId]
+            );
+        } catch (error) {
+            await this.rollback(journalId, error, true);
+            throw error;
+        }
+
+        await main.run('COMMIT');
+
+        try {
+            await txn.run('COMMIT');
+        } catch (error) {
+            // Main side is durable; roll the transaction side forward from the journal
+            console.error(`Transaction database commit failed for journal ${journalId}:`, error.message);
+            await txn.run('ROLLBACK').catch(() => {});
+            await this.replay(journalId).catch((replayError) => {
+                console.error(`Replay of journal ${journalId} deferred to next startup:`, replayError.message);
+            });
+            return result;
+        }
+
+        await this.markCompleted(journalId);
+        return result;
+    }
+
+    async rollback(journalId, error, txnStarted) {
+        await mainDb.work.run('ROLLBACK').catch(() => {});
+        if (txnStarted) {
+            await txnDb.work.run('ROLLBACK').catch(() => {});
+        }
+
+        await mainDb.work.run(
+            `UPDATE txn_journal SET status = 'rolled_back', error_message = ?, completed_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [error.message, journalId]
+        ).catch((journalError) => {
+            console.error(`Could not mark journal ${journalId} as rolled back:`, journalError.message);
+        });
+    }
+
+    async markCompleted(journalId) {
+        await mainDb.work.run(
+            `UPDATE txn_journal SET status = 'completed', completed_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [journalId]
+        );
+    }
+
+    async replay(journalId) {
+        const main = mainDb.work;
+        const txn = txnDb.work;
+
+        const entry = await main.get('SELECT * FROM txn_journal WHERE id = ?', [journalId]);
+        if (!entry || entry.status !== 'committed') {
+            return false;
+        }
+
+        const applied = await txn.get('SELECT journal_id FROM txn_journal_applied WHERE journal_id = ?', [journalId]);
+        if (applied) {
+            await this.markCompleted(journalId);
+            return false;
+        }
+
+        const statements = JSON.parse(entry.txn_statements || '[]');
+
+        await txn.run('BEGIN IMMEDIATE');
+        try {
+            for (const statement of statements) {
+                await txn.run(statement.sql, statement.params);
+            }
+            await txn.run(
+                'INSERT INTO txn_journal_applied (journal_id, applied_at) VALUES (?, CURRENT_TIMESTAMP)',
+                [journalId]
+            );
+            await txn.run('COMMIT');
+        } catch (error) {
+            await txn.run('ROLLBACK').catch(() => {});
+            throw error;
+        }
+
+        await main.run(
+            `UPDATE txn_journal SET status = 'completed', error_message = 'Rolled forward during recovery',
+             completed_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [journalId]
+        );
+        return true;
+    }
+
+    // Run once at startup, before the server accepts requests
+    async recover() {
+        return unitOfWork.enqueue(async () => {
+            const summary = { rolled_back: 0, rolled_forward: 0, failed: 0 };
+
+            const interrupted = await mainDb.work.all(
+                `SELECT id, operation, status FROM txn_journal WHERE status IN ('pending', 'committed') ORDER BY id ASC`
+            );
+
+            for (const entry of interrupted) {
+                try {
+                    if (entry.status === 'pending') {
+                        // SQLite already discarded the uncommitted work on both databases
+                        await mainDb.work.run(
+                            `UPDATE txn_journal SET status = 'rolled_back', error_message = 'Interrupted before commit',
+                             completed_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                            [entry.id]
+                        );
+                        summary.rolled_back++;
+                    } else if (await this.replay(entry.id)) {
+                        summary.rolled_forward++;
+                    }
+                } catch (error) {
+                    console.error(`Recovery failed for journal ${entry.id} (${entry.operation}):`, error.message);
+                    summary.failed++;
+                }
+            }
+
+            return summary;
+        });
+    }
+}
+
+module.exports = new TransactionCoordinator();
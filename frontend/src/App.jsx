@@ -26,6 +26,12 @@ const EmailQueue = React.lazy(() => import('./pages/EmailQueue'));
 const Settings = React.lazy(() => import('./pages/Settings'));
 const Profile = React.lazy(() => import('./pages/Profile'));
 const AuditLog = React.lazy(() => import('./pages/AuditLog'));
+const ScheduledJobs = React.lazy(() => import('./pages/ScheduledJobs'));
+const StandingInstructions = React.lazy(() => import('./pages/StandingInstructions'));
+const Tills = React.lazy(() => import('./pages/Tills'));
+const Claims = React.lazy(() => import('./pages/Claims'));
+const Duplicates = React.lazy(() => import('./pages/Duplicates'));
+const Products = React.lazy(() => import('./pages/Products'));
 
 // Layout component
 const Layout = React.lazy(() => import('./components/Layout'));
@@ -105,6 +111,22 @@ function App() {
                   {/* Transactions */}
                   <Route path="transactions" element={<Transactions />} />
                   
+                  {/* Standing Instructions */}
+                  <Route path="standing-instructions" element={<StandingInstructions />} />
+                  
+                  {/* Cash & Tills */}
+                  <Route path="tills" element={<Tills />} />
+                  
+                  {/* Deceased Member Claims */}
+                  <Route path="claims" element={<Claims />} />
+                  
+                  {/* Duplicate Customers (Admin only) */}
+                  <Route path="duplicates" element={
+                    <ProtectedRoute requiredRole="admin">
+                      <Duplicates />
+                    </ProtectedRoute>
+                  } />
+                  
                   {/* Reports */}
                   <Route path="reports" element={<Reports />} />
                   
@@ -118,6 +140,13 @@ function App() {
                   {/* Email Queue */}
                   <Route path="email-queue" element={<EmailQueue />} />
                   
+                  {/* Product Catalogue (Admin only) */}
+                  <Route path="products" element={
+                    <ProtectedRoute requiredRole="admin">
+                      <Products />
+                    </ProtectedRoute>
+                  } />
+                  
                   {/* Settings (Admin only) */}
                   <Route path="settings" element={
                     <ProtectedRoute requiredRole="admin">
@@ -134,6 +163,13 @@ function App() {
                       <AuditLog />
                     </ProtectedRoute>
                   } />
+                  
+                  {/* Scheduled Jobs (Admin only) */}
+                  <Route path="scheduled-jobs" element={
+                    <ProtectedRoute requiredRole="admin">
+                      <ScheduledJobs />
+                    </ProtectedRoute>
+                  } />
                 </Route>
                 
                 {/* Catch all route - redirect to dashboard */}
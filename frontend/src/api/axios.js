@@ -181,6 +181,18 @@ export const apiHelpers = {
     }
   },
   
+  // Fetch a file as a blob, for content that needs the auth header (e.g. customer images)
+  getBlob: async (url) => {
+    try {
+      const response = await api.get(url, {
+        responseType: 'blob',
+      });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+  
   // Download file
   download: async (url, filename = null) => {
     try {
@@ -267,6 +279,10 @@ export const endpoints = {
     search: '/customers/search',
     searchByAccount: (accountNumber) => `/customers/search/account/${accountNumber}`,
     summary: (id) => `/customers/${id}/summary`,
+    kyc: (id) => `/customers/${id}/kyc`,
+    uploadDocument: (id) => `/customers/${id}/documents`,
+    verifyKyc: (id) => `/customers/${id}/kyc/verify`,
+    rejectKyc: (id) => `/customers/${id}/kyc/reject`,
     stats: '/customers/stats/overview',
     export: '/customers/bulk/export',
   },
@@ -280,12 +296,20 @@ export const endpoints = {
     deposit: (id) => `/accounts/${id}/deposit`,
     withdraw: (id) => `/accounts/${id}/withdraw`,
     transfer: '/accounts/transfer',
-    applyInterest: (id) => `/accounts/${id}/apply-interest`,
+    interest: (id) => `/accounts/${id}/interest`,
     transactions: (id) => `/accounts/${id}/transactions`,
+    specimen: (id) => `/accounts/${id}/specimen`,
+    specimenImage: (id, customerId, type) => `/accounts/${id}/specimen/${customerId}/${type}`,
+    holders: (id) => `/accounts/${id}/holders`,
+    removeHolder: (id, holderId) => `/accounts/${id}/holders/${holderId}/remove`,
+    operatingMode: (id) => `/accounts/${id}/operating-mode`,
+    nominees: (id) => `/accounts/${id}/nominees`,
     statement: (id) => `/accounts/${id}/statement`,
     delete: (id) => `/accounts/${id}`,
     stats: '/accounts/stats/overview',
-    bulkInterest: '/accounts/bulk/apply-interest',
+    interestPreview: '/accounts/interest/preview',
+    accrueInterest: '/accounts/interest/accrue',
+    postInterest: '/accounts/interest/post',
   },
   
   // Fixed Deposits
@@ -296,7 +320,13 @@ export const endpoints = {
     getByNumber: (fdNumber) => `/fd/number/${fdNumber}`,
     update: (id) => `/fd/${id}`,
     close: (id) => `/fd/${id}/close`,
+    closureQuote: (id) => `/fd/${id}/closure-quote`,
+    processMaturity: (id) => `/fd/${id}/process-maturity`,
     transactions: (id) => `/fd/${id}/transactions`,
+    holders: (id) => `/fd/${id}/holders`,
+    removeHolder: (id, holderId) => `/fd/${id}/holders/${holderId}/remove`,
+    operatingMode: (id) => `/fd/${id}/operating-mode`,
+    nominees: (id) => `/fd/${id}/nominees`,
     maturityList: '/fd/maturity-list',
     stats: '/fd/stats/overview',
   },
@@ -310,7 +340,12 @@ export const endpoints = {
     update: (id) => `/rd/${id}`,
     payInstallment: (id) => `/rd/${id}/pay-installment`,
     close: (id) => `/rd/${id}/close`,
+    closureQuote: (id) => `/rd/${id}/closure-quote`,
     transactions: (id) => `/rd/${id}/transactions`,
+    holders: (id) => `/rd/${id}/holders`,
+    removeHolder: (id, holderId) => `/rd/${id}/holders/${holderId}/remove`,
+    operatingMode: (id) => `/rd/${id}/operating-mode`,
+    nominees: (id) => `/rd/${id}/nominees`,
     schedule: (id) => `/rd/${id}/schedule`,
     maturityList: '/rd/maturity-list',
     dueInstallments: '/rd/due-installments',
@@ -321,11 +356,30 @@ export const endpoints = {
   loans: {
     list: '/loans',
     create: '/loans',
+    againstFd: '/loans/against-fd',
+    fdEligibility: (fdId) => `/loans/fd-eligibility/${fdId}`,
     get: (id) => `/loans/${id}`,
     getByNumber: (loanNumber) => `/loans/number/${loanNumber}`,
     update: (id) => `/loans/${id}`,
+    review: (id) => `/loans/${id}/review`,
+    sanction: (id) => `/loans/${id}/sanction`,
+    reject: (id) => `/loans/${id}/reject`,
+    disburse: (id) => `/loans/${id}/disburse`,
+    writeOff: (id) => `/loans/${id}/write-off`,
+    sanctionLetter: (id) => `/loans/${id}/sanction-letter`,
+    noDuesCertificate: (id) => `/loans/${id}/no-dues-certificate`,
+    statusHistory: (id) => `/loans/${id}/status-history`,
+    guarantors: (id) => `/loans/${id}/guarantors`,
+    releaseGuarantor: (id, guarantorId) => `/loans/${id}/guarantors/${guarantorId}/release`,
+    collateral: (id) => `/loans/${id}/collateral`,
+    updateCollateral: (id, collateralId) => `/loans/${id}/collateral/${collateralId}`,
+    releaseCollateral: (id, collateralId) => `/loans/${id}/collateral/${collateralId}/release`,
     makePayment: (id) => `/loans/${id}/make-payment`,
+    prepay: (id) => `/loans/${id}/prepay`,
+    charges: (id) => `/loans/${id}/charges`,
+    foreclosureQuote: (id) => `/loans/${id}/foreclosure-quote`,
     foreclose: (id) => `/loans/${id}/foreclose`,
+    delinquency: (id) => `/loans/${id}/delinquency`,
     transactions: (id) => `/loans/${id}/transactions`,
     schedule: (id) => `/loans/${id}/emi-schedule`,
     dueEmis: '/loans/due-emis',
@@ -343,7 +397,12 @@ export const endpoints = {
     byType: '/transactions/by-type',
     customerSummary: (customerId) => `/transactions/customer/${customerId}/summary`,
     search: '/transactions/search',
+    withdraw: '/transactions/withdraw',
     volume: '/transactions/volume',
+    reverse: (id) => `/transactions/${id}/reverse`,
+    reversals: '/transactions/reversals',
+    approveReversal: (requestId) => `/transactions/reversals/${requestId}/approve`,
+    rejectReversal: (requestId) => `/transactions/reversals/${requestId}/reject`,
   },
   
   // Reports
@@ -352,8 +411,19 @@ export const endpoints = {
     list: '/reports',
     download: (id) => `/reports/${id}/download`,
     delete: (id) => `/reports/${id}`,
+    loansDpd: '/reports/loans/dpd',
+    cashDaily: '/reports/cash/daily',
+    customerStatement: (customerId) => `/reports/customer/${customerId}/statement`,
   },
-  
+
+  // General Ledger
+  ledger: {
+    accounts: '/ledger/accounts',
+    journal: '/ledger/journal',
+    balances: '/ledger/balances',
+    trialBalance: '/ledger/trial-balance',
+  },
+
   // Employees (Admin only)
   employees: {
     list: '/employees',
@@ -395,6 +465,86 @@ export const endpoints = {
     export: '/audit-log/export',
     cleanup: '/audit-log/cleanup',
   },
+
+  // Scheduled Jobs (Admin only)
+  jobs: {
+    list: '/jobs',
+    runs: '/jobs/runs',
+    update: (name) => `/jobs/${name}`,
+    run: (name) => `/jobs/${name}/run`,
+  },
+
+  // Premature closure penalty rules
+  penaltyRules: {
+    list: '/penalty-rules',
+    create: '/penalty-rules',
+    update: (id) => `/penalty-rules/${id}`,
+    delete: (id) => `/penalty-rules/${id}`,
+  },
+
+  // Standing instructions from savings to RDs and loans
+  standingInstructions: {
+    list: '/standing-instructions',
+    create: '/standing-instructions',
+    get: (id) => `/standing-instructions/${id}`,
+    history: (id) => `/standing-instructions/${id}/history`,
+    status: (id) => `/standing-instructions/${id}/status`,
+    run: (id) => `/standing-instructions/${id}/run`,
+  },
+
+  // Product catalogue of account, FD, RD and loan schemes
+  products: {
+    list: '/products',
+    create: '/products',
+    get: (id) => `/products/${id}`,
+    update: (id) => `/products/${id}`,
+    status: (id) => `/products/${id}/status`,
+  },
+
+  // Teller tills and the vault
+  tills: {
+    list: '/tills',
+    mine: '/tills/mine',
+    get: (id) => `/tills/${id}`,
+    open: '/tills',
+    transfer: (id) => `/tills/${id}/transfer`,
+    close: (id) => `/tills/${id}/close`,
+    vault: '/tills/vault',
+    vaultMovements: '/tills/vault/movements',
+  },
+
+  // Claims on the products of deceased members
+  claims: {
+    list: '/claims',
+    open: '/claims',
+    get: (id) => `/claims/${id}`,
+    statement: (id) => `/claims/${id}/statement`,
+    uploadDocument: (id) => `/claims/${id}/documents`,
+    heirs: (id) => `/claims/${id}/heirs`,
+    payout: (id, claimantId) => `/claims/${id}/claimants/${claimantId}/payout`,
+    submit: (id) => `/claims/${id}/submit`,
+    approve: (id) => `/claims/${id}/approve`,
+    reject: (id) => `/claims/${id}/reject`,
+  },
+
+  // Duplicate customer review queue and merges (admin only)
+  duplicates: {
+    list: '/duplicates',
+    merges: '/duplicates/merges',
+    get: (id) => `/duplicates/${id}`,
+    dismiss: (id) => `/duplicates/${id}/dismiss`,
+    merge: (id) => `/duplicates/${id}/merge`,
+  },
+
+  // Dated interest rate cards, changed with a second admin's approval
+  rateCards: {
+    list: '/rate-cards',
+    create: '/rate-cards',
+    rate: '/rate-cards/rate',
+    approve: (id) => `/rate-cards/${id}/approve`,
+    reject: (id) => `/rate-cards/${id}/reject`,
+    withdraw: (id) => `/rate-cards/${id}/withdraw`,
+  },
 };
 
 export default api;
\ No newline at end of file
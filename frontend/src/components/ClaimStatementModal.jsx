@@ -0,0 +1,164 @@
+import React, { useState, useEffect } from 'react';
+import { apiHelpers, endpoints } from '../api/axios';
+import LoadingSpinner from './LoadingSpinner';
+
+const formatAmount = (amount) => `₹${parseFloat(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2 })}`;
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : '-');
+
+// The settlement statement of a settled deceased-member claim, ready to print
+const ClaimStatementModal = ({ claim, onClose }) => {
+  const [statement, setStatement] = useState(null);
+
+  useEffect(() => {
+    const fetchStatement = async () => {
+      try {
+        const response = await apiHelpers.get(endpoints.claims.statement(claim.id));
+        setStatement(response.statement);
+      } catch (error) {
+        console.error('Error fetching settlement statement:', error);
+        onClose();
+      }
+    };
+
+    fetchStatement();
+  }, [claim.id]);
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-20 mx-auto p-5 border w-11/12 md:w-3/4 lg:w-2/3 shadow-lg rounded-md bg-white dark:bg-gray-800">
+        <div className="flex items-center justify-between mb-4 print:hidden">
+          <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100">
+            Settlement Statement - {claim.claim_number}
+          </h3>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {!statement ? (
+          <div className="flex items-center justify-center py-12">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : (
+          <>
+            <div className="space-y-4 text-sm text-gray-900 dark:text-gray-100">
+              <div className="text-center border-b border-gray-200 dark:border-gray-700 pb-3">
+                <div className="text-lg font-bold">{statement.institute.name}</div>
+                {statement.institute.address && <div>{statement.institute.address}</div>}
+                {statement.institute.registration_number && (
+                  <div className="text-xs text-gray-500 dark:text-gray-400">Reg. No. {statement.institute.registration_number}</div>
+                )}
+              </div>
+
+              <div className="flex justify-between">
+                <span>Claim No. {statement.claim_number}</span>
+                <span>Date: {formatDate(statement.date)}</span>
+              </div>
+
+              <p>
+                Settlement of the deposits of the late {statement.customer_name}
+                {statement.customer_address ? `, ${statement.customer_address}` : ''}, who died
+                on {formatDate(statement.date_of_death)}, valued as on {formatDate(statement.as_of)}.
+              </p>
+
+              {statement.survivorship.length > 0 && (
+                <p>
+                  Passed to the surviving joint holders and not part of this claim:{' '}
+                  {statement.survivorship.map(entry => `${entry.product_number} (${entry.survivors.join(', ')})`).join('; ')}.
+                </p>
+              )}
+
+              {statement.products.map(product => (
+                <div key={`${product.product_type}-${product.product_id}`} className="border-t border-gray-200 dark:border-gray-700 pt-3">
+                  <div className="flex justify-between font-medium">
+                    <span>{product.product_number} - {product.description}</span>
+                    <span>{formatAmount(product.gross)}</span>
+                  </div>
+                  {product.loan_deduction > 0 && (
+                    <div className="flex justify-between text-gray-500 dark:text-gray-400">
+                      <span>Less: recovered against loans</span>
+                      <span>- {formatAmount(product.loan_deduction)}</span>
+                    </div>
+                  )}
+                  <table className="min-w-full mt-2">
+                    <tbody>
+                      {product.payees.map(payee => (
+                        <tr key={payee.claimant_id}>
+                          <td className="py-1">
+                            {payee.paid_to}
+                            <span className="text-gray-500 dark:text-gray-400">
+                              {' '}({payee.claimant_type === 'nominee' ? 'nominee' : 'legal heir'}, {payee.share_percent}%)
+                            </span>
+                          </td>
+                          <td className="py-1 text-gray-500 dark:text-gray-400">
+                            {payee.payout_mode === 'account' ? `Credited to ${payee.payout_account_number}` : 'Paid in cash'}
+                          </td>
+                          <td className="py-1 text-right">{formatAmount(payee.amount)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              ))}
+
+              {statement.loans.length > 0 && (
+                <div className="border-t border-gray-200 dark:border-gray-700 pt-3">
+                  <div className="font-medium mb-1">Loans of the deceased</div>
+                  {statement.loans.map(loan => (
+                    <div key={loan.loan_id} className="flex justify-between">
+                      <span>
+                        {loan.loan_number}: {formatAmount(loan.owed)} owed
+                        {loan.shortfall > 0 ? `, ${formatAmount(loan.shortfall)} left outstanding` : ', closed'}
+                      </span>
+                      <span>{formatAmount(loan.recovered)}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              <dl className="border-t border-gray-200 dark:border-gray-700 pt-3 divide-y divide-gray-200 dark:divide-gray-700">
+                {[
+                  ['Value of the deposits', formatAmount(statement.totals.estate)],
+                  ['Recovered against loans', formatAmount(statement.totals.loans_recovered)],
+                  ['Paid to nominees and heirs', formatAmount(statement.totals.payable)]
+                ].map(([name, value]) => (
+                  <div key={name} className="flex justify-between py-2">
+                    <dt className="text-gray-500 dark:text-gray-400">{name}</dt>
+                    <dd className="font-medium">{value}</dd>
+                  </div>
+                ))}
+              </dl>
+
+              <div className="pt-6 flex justify-between">
+                <div>
+                  <div>{statement.submitted_by_name}</div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400">Prepared by</div>
+                </div>
+                <div className="text-right">
+                  <div>{statement.settled_by_name}</div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400">Approved by, for {statement.institute.name}</div>
+                </div>
+              </div>
+            </div>
+
+            <div className="flex justify-end space-x-3 pt-4 print:hidden">
+              <button type="button" onClick={onClose} className="btn-secondary">
+                Close
+              </button>
+              <button type="button" onClick={() => window.print()} className="btn-primary">
+                Print
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ClaimStatementModal;
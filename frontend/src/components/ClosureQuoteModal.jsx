@@ -0,0 +1,135 @@
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { apiHelpers, endpoints } from '../api/axios';
+import LoadingSpinner from './LoadingSpinner';
+
+const formatAmount = (amount) => `₹${parseFloat(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2 })}`;
+
+const rateBasisLabels = {
+  contracted: 'Contracted rate',
+  period_run: 'Rate for period run'
+};
+
+// Shows what closing an FD or RD now would pay, with the premature penalty breakdown,
+// and closes it on the quoted amount once confirmed
+const ClosureQuoteModal = ({ productType, deposit, isPremature, onClose, onClosed }) => {
+  const [quote, setQuote] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [closing, setClosing] = useState(false);
+
+  const api = endpoints[productType];
+  const label = productType.toUpperCase();
+
+  const fetchQuote = async () => {
+    try {
+      setLoading(true);
+      const response = await apiHelpers.get(api.closureQuote(deposit.id), { is_premature: isPremature });
+      if (response.success) {
+        setQuote(response.quote);
+      }
+    } catch (error) {
+      console.error(`Error fetching ${label} closure quote:`, error);
+      onClose();
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchQuote();
+  }, [deposit.id, isPremature]);
+
+  const handleConfirm = async () => {
+    try {
+      setClosing(true);
+      const response = await apiHelpers.post(api.close(deposit.id), {
+        is_premature: isPremature,
+        quoted_amount: quote.closure_amount
+      });
+
+      if (response.success) {
+        toast.success(response.message);
+        onClosed();
+      }
+    } catch (error) {
+      console.error(`Error closing ${label}:`, error);
+      // The amount changed since it was quoted; show the new quote for confirmation
+      if (error.response?.status === 409) {
+        fetchQuote();
+      }
+    } finally {
+      setClosing(false);
+    }
+  };
+
+  const rows = quote ? [
+    [productType === 'rd' ? 'Deposited' : 'Principal', formatAmount(quote.principal)],
+    ...(quote.is_premature ? [
+      quote.rules_source === 'product'
+        ? ['Rules', 'Product terms']
+        : ['Rules in force from', new Date(quote.effective_from).toLocaleDateString()],
+      ['Period run', `${quote.months_run} months ${quote.days_run} days`],
+      ...(productType === 'rd' ? [['Installments counted', quote.installments_paid]] : []),
+      ['Rate basis', rateBasisLabels[quote.rate_basis]],
+      ['Contracted rate', `${quote.contracted_rate}%`],
+      ...(quote.rate_basis === 'period_run' ? [['Rate for period run', `${quote.base_rate}%`]] : []),
+      ['Rate reduction', `${quote.rate_reduction}%`],
+      ['Lock-in period', `${quote.lock_in_months} months${quote.within_lock_in ? ' (within lock-in, no interest)' : ''}`]
+    ] : []),
+    ['Rate applied', `${quote.applied_rate}%`],
+    ['Interest', formatAmount(quote.interest)],
+    ...(quote.is_premature ? [['Closure fee', `- ${formatAmount(quote.flat_fee)}`]] : [])
+  ] : [];
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-20 mx-auto p-5 border w-11/12 md:w-1/2 lg:w-1/3 shadow-lg rounded-md bg-white dark:bg-gray-800">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100">
+            {quote?.is_premature ? 'Premature Closure' : 'Closure'} - {deposit.number}
+          </h3>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {loading || !quote ? (
+          <div className="flex items-center justify-center py-12">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : (
+          <>
+            <dl className="divide-y divide-gray-200 dark:divide-gray-700">
+              {rows.map(([name, value]) => (
+                <div key={name} className="flex justify-between py-2 text-sm">
+                  <dt className="text-gray-500 dark:text-gray-400">{name}</dt>
+                  <dd className="text-gray-900 dark:text-gray-100">{value}</dd>
+                </div>
+              ))}
+              <div className="flex justify-between py-3">
+                <dt className="font-medium text-gray-900 dark:text-gray-100">Payout</dt>
+                <dd className="text-lg font-bold text-gray-900 dark:text-gray-100">{formatAmount(quote.closure_amount)}</dd>
+              </div>
+            </dl>
+
+            <div className="flex justify-end space-x-3 pt-4">
+              <button type="button" onClick={onClose} className="btn-secondary">
+                Cancel
+              </button>
+              <button type="button" onClick={handleConfirm} disabled={closing} className="btn-primary">
+                {closing ? 'Closing...' : `Close ${label} and Pay ${formatAmount(quote.closure_amount)}`}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ClosureQuoteModal;
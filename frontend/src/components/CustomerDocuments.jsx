@@ -0,0 +1,225 @@
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { apiHelpers, endpoints } from '../api/axios';
+import SecureImage from './SecureImage';
+
+const kycColors = {
+  pending: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200',
+  verified: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200',
+  rejected: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200',
+  expired: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-200'
+};
+
+// Timestamps from the server are UTC without a zone marker
+const formatTimestamp = (value) => {
+  if (!value) return '-';
+  return new Date(`${value.replace(' ', 'T')}Z`).toLocaleString();
+};
+
+// Verified KYC past its re-verification date counts as expired even before the nightly job marks it
+export const KycBadge = ({ status, dueDate }) => {
+  const today = new Date().toISOString().split('T')[0];
+  const current = status === 'verified' && dueDate && dueDate <= today ? 'expired' : status;
+  if (!current) return null;
+
+  return (
+    <span className={`inline-flex px-2 py-0.5 mt-1 text-xs font-semibold rounded-full ${kycColors[current]}`}>
+      KYC {current}
+    </span>
+  );
+};
+
+// A customer's KYC status with its verify/reject actions, and every version of their documents
+const CustomerDocuments = ({ customerId, onKycChange }) => {
+  const [kyc, setKyc] = useState(null);
+  const [documentTypes, setDocumentTypes] = useState({});
+  const [maxFileSize, setMaxFileSize] = useState(0);
+  const [remarks, setRemarks] = useState('');
+  const [uploading, setUploading] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const fetchKyc = async () => {
+    try {
+      const response = await apiHelpers.get(endpoints.customers.kyc(customerId));
+      if (response.success) {
+        setKyc(response.kyc);
+        setDocumentTypes(response.document_types);
+        setMaxFileSize(response.max_file_size);
+      }
+    } catch (error) {
+      console.error('Error fetching KYC:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchKyc();
+  }, [customerId]);
+
+  const handleUpload = async (documentType, e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    // The server checks again by content; this only spares uploading a file that is too large
+    if (maxFileSize && file.size > maxFileSize) {
+      toast.error(`File is larger than ${maxFileSize / (1024 * 1024)} MB`);
+      return;
+    }
+
+    try {
+      setUploading(documentType);
+      const formData = new FormData();
+      formData.append('document_type', documentType);
+      formData.append('file', file);
+      const response = await apiHelpers.upload(endpoints.customers.uploadDocument(customerId), formData);
+      if (response.success) {
+        toast.success(response.kyc_reset ? `${response.message}; KYC is pending review again` : response.message);
+        fetchKyc();
+        if (response.kyc_reset && onKycChange) onKycChange();
+      }
+    } catch (error) {
+      console.error('Error uploading document:', error);
+    } finally {
+      setUploading(null);
+    }
+  };
+
+  // Documents need the auth header, so open them from a fetched copy rather than a link
+  const openDocument = async (document) => {
+    const viewer = window.open('', '_blank');
+    try {
+      const blob = await apiHelpers.getBlob(document.url);
+      const url = URL.createObjectURL(blob);
+      if (viewer) viewer.location.href = url;
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+      if (viewer) viewer.close();
+      console.error('Error opening document:', error);
+    }
+  };
+
+  const handleDecision = async (decision) => {
+    try {
+      setSaving(true);
+      const url = decision === 'verify' ? endpoints.customers.verifyKyc(customerId) : endpoints.customers.rejectKyc(customerId);
+      const response = await apiHelpers.post(url, { remarks });
+      if (response.success) {
+        toast.success(response.message);
+        setKyc(prev => ({ ...prev, ...response.kyc }));
+        setRemarks('');
+        if (onKycChange) onKycChange();
+      }
+    } catch (error) {
+      console.error('Error recording KYC decision:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!kyc) return null;
+
+  return (
+    <div className="clay-card p-6 space-y-6">
+      <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+        <div>
+          <h2 className="text-lg font-medium text-gray-900 dark:text-gray-100">KYC & Documents</h2>
+          <KycBadge status={kyc.kyc_status} dueDate={kyc.kyc_due_date} />
+          <div className="text-sm text-gray-600 dark:text-gray-400 mt-2">
+            {kyc.kyc_verified_at && (
+              <div>
+                Last verified by {kyc.kyc_verified_by_name || 'unknown'} on {formatTimestamp(kyc.kyc_verified_at)}
+                {kyc.kyc_due_date && ` · re-verification due ${new Date(kyc.kyc_due_date).toLocaleDateString()}`}
+              </div>
+            )}
+            {kyc.kyc_remarks && <div>Remarks: {kyc.kyc_remarks}</div>}
+          </div>
+        </div>
+
+        {kyc.kyc_status !== 'verified' && (
+          <div className="flex flex-col sm:flex-row gap-2 md:w-1/2">
+            <input
+              type="text"
+              value={remarks}
+              onChange={(e) => setRemarks(e.target.value)}
+              placeholder="Remarks (required to reject)"
+              className="input-field flex-1"
+            />
+            <button onClick={() => handleDecision('verify')} disabled={saving} className="btn-primary">
+              Verify KYC
+            </button>
+            <button onClick={() => handleDecision('reject')} disabled={saving || !remarks.trim()} className="btn-secondary">
+              Reject
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-4">
+        {Object.entries(documentTypes).map(([type, { label, formats }]) => {
+          const versions = kyc.documents.filter(document => document.document_type === type);
+          const current = versions.find(document => document.is_current);
+
+          return (
+            <div key={type} className="border border-gray-200 dark:border-gray-700 rounded-lg p-3 flex flex-col">
+              <div className="text-sm font-medium text-gray-900 dark:text-gray-100 mb-2">{label}</div>
+              <div className="h-28 flex items-center justify-center bg-gray-50 dark:bg-gray-800 rounded mb-2 overflow-hidden">
+                {current ? (
+                  <button type="button" onClick={() => openDocument(current)} className="text-sm text-primary-600 dark:text-primary-400">
+                    {current.thumbnail_url
+                      ? <SecureImage src={current.thumbnail_url} alt={label} className="max-h-28 object-contain" fallback="Open file" />
+                      : 'Open PDF'}
+                  </button>
+                ) : (
+                  <span className="text-xs text-gray-400">Not uploaded</span>
+                )}
+              </div>
+              {current && (
+                <div className="text-xs text-gray-500 dark:text-gray-400 mb-2">
+                  Version {current.version} · {formatTimestamp(current.uploaded_at)}
+                  {current.uploaded_by_name && ` by ${current.uploaded_by_name}`}
+                </div>
+              )}
+              {versions.length > 1 && (
+                <div className="text-xs text-gray-500 dark:text-gray-400 mb-2">
+                  Earlier:{' '}
+                  {versions.filter(document => !document.is_current).map(document => (
+                    <button key={document.id} type="button" onClick={() => openDocument(document)} className="text-primary-600 dark:text-primary-400 mr-1">
+                      v{document.version}
+                    </button>
+                  ))}
+                </div>
+              )}
+              <label className="btn-secondary text-center text-sm cursor-pointer mt-auto">
+                {uploading === type ? 'Uploading...' : current ? 'Replace' : 'Upload'}
+                <input
+                  type="file"
+                  accept={formats.map(format => `.${format}`).join(',')}
+                  onChange={(e) => handleUpload(type, e)}
+                  disabled={uploading !== null}
+                  className="hidden"
+                />
+              </label>
+            </div>
+          );
+        })}
+      </div>
+
+      {kyc.reviews.length > 0 && (
+        <div>
+          <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">KYC History</h3>
+          <ul className="text-sm text-gray-600 dark:text-gray-400 space-y-1">
+            {kyc.reviews.map(review => (
+              <li key={review.id}>
+                {formatTimestamp(review.reviewed_at)}: <span className="capitalize">{review.status}</span>
+                {review.reviewed_by_name ? ` by ${review.reviewed_by_name}` : ''}
+                {review.remarks ? ` - ${review.remarks}` : ''}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CustomerDocuments;
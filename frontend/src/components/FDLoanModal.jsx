@@ -0,0 +1,165 @@
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { apiHelpers, endpoints } from '../api/axios';
+import LoadingSpinner from './LoadingSpinner';
+
+const formatAmount = (amount) => `₹${parseFloat(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2 })}`;
+
+// Records an application for a loan against an FD, within the limit the server sets
+// from the FD's current value and at the FD rate plus spread
+const FDLoanModal = ({ fd, onClose, onSaved }) => {
+  const [eligibility, setEligibility] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [application, setApplication] = useState({ principal_amount: '', tenure_months: '', purpose: '' });
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchEligibility = async () => {
+      try {
+        const response = await apiHelpers.get(endpoints.loans.fdEligibility(fd.id));
+        if (response.success) {
+          setEligibility(response.eligibility);
+          setApplication(prev => ({ ...prev, principal_amount: response.eligibility.limit }));
+        }
+      } catch (error) {
+        console.error('Error fetching FD loan eligibility:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchEligibility();
+  }, [fd.id]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setApplication(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const response = await apiHelpers.post(endpoints.loans.againstFd, { fd_id: fd.id, ...application });
+
+      if (response.success) {
+        toast.success(`${response.message} - ${response.loan.loan_number}`);
+        onSaved();
+      }
+    } catch (error) {
+      console.error('Error applying for loan against FD:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-20 mx-auto p-5 border w-11/12 md:w-1/2 lg:w-1/3 shadow-lg rounded-md bg-white dark:bg-gray-800">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100">
+            Loan Against FD - {fd.fd_number}
+          </h3>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center py-8">
+            <LoadingSpinner />
+          </div>
+        ) : !eligibility ? (
+          <p className="text-sm text-gray-600 dark:text-gray-400">This FD cannot secure a loan.</p>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <dl className="divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+              {[
+                ['Customer', eligibility.customer_name],
+                ['Principal', formatAmount(eligibility.principal_amount)],
+                ['Current value', formatAmount(eligibility.current_value)],
+                ['Limit', `${formatAmount(eligibility.limit)} (${eligibility.limit_percent}%)`],
+                ['Loan rate', `${eligibility.interest_rate}% (FD ${eligibility.fd_rate}% + ${eligibility.spread}%)`],
+                ['FD matures', new Date(eligibility.maturity_date).toLocaleDateString()]
+              ].map(([name, value]) => (
+                <div key={name} className="flex justify-between py-2">
+                  <dt className="text-gray-500 dark:text-gray-400">{name}</dt>
+                  <dd className="text-gray-900 dark:text-gray-100">{value}</dd>
+                </div>
+              ))}
+            </dl>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  Amount (₹) *
+                </label>
+                <input
+                  type="number"
+                  name="principal_amount"
+                  value={application.principal_amount}
+                  onChange={handleChange}
+                  required
+                  min="1"
+                  max={eligibility.limit}
+                  step="0.01"
+                  className="input-field"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  Months *
+                </label>
+                <input
+                  type="number"
+                  name="tenure_months"
+                  value={application.tenure_months}
+                  onChange={handleChange}
+                  required
+                  min="1"
+                  max="360"
+                  className="input-field"
+                />
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Purpose
+              </label>
+              <input
+                type="text"
+                name="purpose"
+                value={application.purpose}
+                onChange={handleChange}
+                className="input-field"
+              />
+            </div>
+
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              The FD is placed under lien and cannot be closed while the loan is open. If it matures
+              first, its proceeds are adjusted against the loan.
+            </p>
+
+            <div className="flex justify-end space-x-3 pt-2">
+              <button type="button" onClick={onClose} className="btn-secondary">
+                Cancel
+              </button>
+              <button type="submit" disabled={saving} className="btn-primary">
+                {saving ? 'Saving...' : 'Record Application'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FDLoanModal;
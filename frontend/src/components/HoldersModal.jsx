@@ -0,0 +1,398 @@
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { apiHelpers, endpoints } from '../api/axios';
+import { useAuth } from '../context/AuthContext';
+import LoadingSpinner from './LoadingSpinner';
+
+const productEndpoints = {
+  account: endpoints.accounts,
+  fd: endpoints.fd,
+  rd: endpoints.rd
+};
+
+const emptyNominee = {
+  customer_id: '',
+  name: '',
+  relationship: '',
+  dob: '',
+  phone: '',
+  share_percent: '',
+  guardian_name: '',
+  guardian_relation: '',
+  guardian_phone: ''
+};
+
+// Whether someone born on dob is still under age today (the server decides the same way)
+const isMinor = (dob, majorityAge) => {
+  if (!dob) return false;
+  const [year, month, day] = dob.split('-').map(Number);
+  const majority = new Date(Date.UTC(year + majorityAge, month - 1, day)).toISOString().split('T')[0];
+  return majority > new Date().toISOString().split('T')[0];
+};
+
+// An account's, FD's or RD's holders with its operating mode, and its nominees and their shares
+const HoldersModal = ({ productType, productId, productNumber, customers, onClose }) => {
+  const { hasRole } = useAuth();
+  const urls = productEndpoints[productType];
+  const [holding, setHolding] = useState(null);
+  const [operatingModes, setOperatingModes] = useState({});
+  const [maxHolders, setMaxHolders] = useState(0);
+  const [nominees, setNominees] = useState([]);
+  const [maxNominees, setMaxNominees] = useState(0);
+  const [majorityAge, setMajorityAge] = useState(18);
+  const [loading, setLoading] = useState(true);
+  const [holderData, setHolderData] = useState({ customer_id: '', operating_mode: 'either_or_survivor' });
+  const [saving, setSaving] = useState(false);
+
+  const fetchHolders = async () => {
+    try {
+      setLoading(true);
+      const [holderResponse, nomineeResponse] = await Promise.all([
+        apiHelpers.get(urls.holders(productId)),
+        apiHelpers.get(urls.nominees(productId))
+      ]);
+      if (holderResponse.success) {
+        setHolding(holderResponse.holding);
+        setOperatingModes(holderResponse.operating_modes);
+        setMaxHolders(holderResponse.max_holders);
+      }
+      if (nomineeResponse.success) {
+        setNominees(nomineeResponse.nominees.map(nominee => ({
+          ...emptyNominee,
+          ...Object.fromEntries(Object.keys(emptyNominee).map(key => [key, nominee[key] ?? '']))
+        })));
+        setMaxNominees(nomineeResponse.max_nominees);
+        setMajorityAge(nomineeResponse.majority_age);
+      }
+    } catch (error) {
+      console.error('Error fetching holders:', error);
+      onClose();
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchHolders();
+  }, [productType, productId]);
+
+  const handleAddHolder = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const response = await apiHelpers.post(urls.holders(productId), holderData);
+      if (response.success) {
+        toast.success(response.message);
+        setHolding(response.holding);
+        setHolderData(prev => ({ ...prev, customer_id: '' }));
+      }
+    } catch (error) {
+      console.error('Error adding joint holder:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemoveHolder = async (holder) => {
+    const note = window.prompt(`Why is ${holder.name} being removed as a holder?`);
+    if (!note) {
+      return;
+    }
+
+    try {
+      const response = await apiHelpers.post(urls.removeHolder(productId, holder.id), { note });
+      if (response.success) {
+        toast.success(response.message);
+        setHolding(response.holding);
+      }
+    } catch (error) {
+      console.error('Error removing joint holder:', error);
+    }
+  };
+
+  const handleModeChange = async (operatingMode) => {
+    try {
+      const response = await apiHelpers.put(urls.operatingMode(productId), { operating_mode: operatingMode });
+      if (response.success) {
+        toast.success(response.message);
+        setHolding(response.holding);
+      }
+    } catch (error) {
+      console.error('Error changing operating mode:', error);
+    }
+  };
+
+  const handleNomineeChange = (index, name, value) => {
+    setNominees(prev => prev.map((nominee, i) => (i === index ? { ...nominee, [name]: value } : nominee)));
+  };
+
+  const handleSaveNominees = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const response = await apiHelpers.put(urls.nominees(productId), { nominees });
+      if (response.success) {
+        toast.success(response.message);
+        fetchHolders();
+      }
+    } catch (error) {
+      console.error('Error saving nominees:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const holderIds = holding ? holding.holders.map(holder => holder.customer_id) : [];
+  const jointHolders = holding ? holding.holders.filter(holder => !holder.is_first_holder) : [];
+  const totalShare = nominees.reduce((total, nominee) => total + Math.round(parseFloat(nominee.share_percent || 0) * 100), 0) / 100;
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-20 mx-auto p-5 border w-11/12 md:w-3/4 shadow-lg rounded-md bg-white dark:bg-gray-800">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100">
+            Holders & Nominees - {productNumber}
+          </h3>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {loading || !holding ? (
+          <div className="flex items-center justify-center py-12">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : (
+          <div className="space-y-6">
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <h4 className="text-md font-medium text-gray-900 dark:text-gray-100">
+                  Holders
+                  <span className="ml-2 text-sm font-normal text-gray-500 dark:text-gray-400">
+                    Operated: {holding.operating_mode_label}
+                  </span>
+                </h4>
+                {hasRole('admin') && jointHolders.length > 0 && holding.is_open && (
+                  <select
+                    value={holding.operating_mode}
+                    onChange={(e) => handleModeChange(e.target.value)}
+                    className="input-field w-auto"
+                  >
+                    {Object.entries(operatingModes).filter(([mode]) => mode !== 'single').map(([mode, label]) => (
+                      <option key={mode} value={mode}>{label}</option>
+                    ))}
+                  </select>
+                )}
+              </div>
+              <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+                <tbody className="divide-y divide-gray-200 dark:divide-gray-700 text-gray-900 dark:text-gray-100">
+                  {holding.holders.map((holder, index) => (
+                    <tr key={holder.customer_id}>
+                      <td className="px-3 py-2">
+                        <div className="font-medium">{holder.name}</div>
+                        <div className="text-xs text-gray-500 dark:text-gray-400">
+                          {index === 0 ? 'First holder' : `Holder ${index + 1}`}
+                          {holder.phone ? ` · ${holder.phone}` : ''}
+                          {holder.added_by_name ? ` · added by ${holder.added_by_name}` : ''}
+                        </div>
+                      </td>
+                      <td className="px-3 py-2 text-right">
+                        {!holder.is_first_holder && hasRole('admin') && (
+                          <button
+                            onClick={() => handleRemoveHolder(holder)}
+                            className="text-red-600 hover:text-red-900 dark:text-red-400 dark:hover:text-red-300"
+                          >
+                            Remove
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {holding.former_holders.length > 0 && (
+                <div className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+                  Former holders:{' '}
+                  {holding.former_holders.map(holder => `${holder.name} (${holder.remove_note})`).join(', ')}
+                </div>
+              )}
+
+              {holding.is_open && holding.holders.length < maxHolders && (
+                <form onSubmit={handleAddHolder} className="flex flex-col md:flex-row gap-2 mt-3">
+                  <select
+                    value={holderData.customer_id}
+                    onChange={(e) => setHolderData(prev => ({ ...prev, customer_id: e.target.value }))}
+                    required
+                    className="input-field flex-1"
+                  >
+                    <option value="">Add a joint holder</option>
+                    {customers.filter(customer => !holderIds.includes(customer.id)).map(customer => (
+                      <option key={customer.id} value={customer.id}>
+                        {customer.name} - {customer.phone}
+                      </option>
+                    ))}
+                  </select>
+                  {jointHolders.length === 0 && (
+                    <select
+                      value={holderData.operating_mode}
+                      onChange={(e) => setHolderData(prev => ({ ...prev, operating_mode: e.target.value }))}
+                      className="input-field md:w-56"
+                    >
+                      {Object.entries(operatingModes).filter(([mode]) => mode !== 'single').map(([mode, label]) => (
+                        <option key={mode} value={mode}>{label}</option>
+                      ))}
+                    </select>
+                  )}
+                  <button type="submit" disabled={saving} className="btn-secondary">
+                    Add Holder
+                  </button>
+                </form>
+              )}
+            </div>
+
+            <form onSubmit={handleSaveNominees} className="border-t border-gray-200 dark:border-gray-700 pt-4 space-y-3">
+              <div className="flex items-center justify-between">
+                <h4 className="text-md font-medium text-gray-900 dark:text-gray-100">
+                  Nominees
+                  <span className={`ml-2 text-sm font-normal ${nominees.length === 0 || totalShare === 100 ? 'text-gray-500 dark:text-gray-400' : 'text-red-600 dark:text-red-400'}`}>
+                    Shares total {totalShare}%
+                  </span>
+                </h4>
+                {holding.is_open && nominees.length < maxNominees && (
+                  <button type="button" onClick={() => setNominees(prev => [...prev, emptyNominee])} className="btn-secondary">
+                    Add Nominee
+                  </button>
+                )}
+              </div>
+
+              {nominees.length === 0 && (
+                <p className="text-sm text-gray-500 dark:text-gray-400">No nominees.</p>
+              )}
+
+              {nominees.map((nominee, index) => {
+                const minor = isMinor(nominee.dob, majorityAge);
+                return (
+                  <div key={index} className="grid grid-cols-1 md:grid-cols-6 gap-2 p-3 border border-gray-200 dark:border-gray-700 rounded-lg">
+                    <select
+                      value={nominee.customer_id}
+                      onChange={(e) => handleNomineeChange(index, 'customer_id', e.target.value)}
+                      disabled={!holding.is_open}
+                      className="input-field md:col-span-2"
+                    >
+                      <option value="">Not a member</option>
+                      {customers.filter(customer => !holderIds.includes(customer.id)).map(customer => (
+                        <option key={customer.id} value={customer.id}>
+                          {customer.name} - {customer.phone}
+                        </option>
+                      ))}
+                    </select>
+                    {!nominee.customer_id ? (
+                      <input
+                        type="text"
+                        value={nominee.name}
+                        onChange={(e) => handleNomineeChange(index, 'name', e.target.value)}
+                        required
+                        disabled={!holding.is_open}
+                        className="input-field"
+                        placeholder="Name *"
+                      />
+                    ) : <div />}
+                    <input
+                      type="text"
+                      value={nominee.relationship}
+                      onChange={(e) => handleNomineeChange(index, 'relationship', e.target.value)}
+                      disabled={!holding.is_open}
+                      className="input-field"
+                      placeholder="Relationship"
+                    />
+                    <input
+                      type="date"
+                      value={nominee.dob}
+                      onChange={(e) => handleNomineeChange(index, 'dob', e.target.value)}
+                      disabled={!holding.is_open}
+                      className="input-field"
+                      title="Date of birth"
+                    />
+                    <div className="flex gap-2">
+                      <input
+                        type="number"
+                        value={nominee.share_percent}
+                        onChange={(e) => handleNomineeChange(index, 'share_percent', e.target.value)}
+                        required
+                        min="0.01"
+                        max="100"
+                        step="0.01"
+                        disabled={!holding.is_open}
+                        className="input-field"
+                        placeholder="Share %"
+                      />
+                      {holding.is_open && (
+                        <button
+                          type="button"
+                          onClick={() => setNominees(prev => prev.filter((_, i) => i !== index))}
+                          className="text-red-600 hover:text-red-900 dark:text-red-400 dark:hover:text-red-300"
+                        >
+                          ✕
+                        </button>
+                      )}
+                    </div>
+                    {minor && (
+                      <>
+                        <div className="md:col-span-6 text-xs text-gray-500 dark:text-gray-400">
+                          Under {majorityAge}: a guardian receives this share on the nominee's behalf
+                        </div>
+                        <input
+                          type="text"
+                          value={nominee.guardian_name}
+                          onChange={(e) => handleNomineeChange(index, 'guardian_name', e.target.value)}
+                          required
+                          disabled={!holding.is_open}
+                          className="input-field md:col-span-2"
+                          placeholder="Guardian name *"
+                        />
+                        <input
+                          type="text"
+                          value={nominee.guardian_relation}
+                          onChange={(e) => handleNomineeChange(index, 'guardian_relation', e.target.value)}
+                          required
+                          disabled={!holding.is_open}
+                          className="input-field md:col-span-2"
+                          placeholder="Guardian's relation *"
+                        />
+                        <input
+                          type="tel"
+                          value={nominee.guardian_phone}
+                          onChange={(e) => handleNomineeChange(index, 'guardian_phone', e.target.value)}
+                          disabled={!holding.is_open}
+                          className="input-field md:col-span-2"
+                          placeholder="Guardian phone"
+                        />
+                      </>
+                    )}
+                  </div>
+                );
+              })}
+
+              {holding.is_open && (
+                <div className="flex justify-end">
+                  <button type="submit" disabled={saving} className="btn-primary">
+                    {saving ? 'Saving...' : 'Save Nominees'}
+                  </button>
+                </div>
+              )}
+            </form>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default HoldersModal;
@@ -0,0 +1,142 @@
+import React, { useState, useEffect } from 'react';
+import { apiHelpers, endpoints } from '../api/axios';
+import LoadingSpinner from './LoadingSpinner';
+
+const formatAmount = (amount) => `₹${parseFloat(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2 })}`;
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : '-');
+
+// A loan's sanction letter (kind 'sanction') or no-dues certificate (kind 'noDues'), ready to print
+const LoanLetterModal = ({ loan, kind, onClose }) => {
+  const [document, setDocument] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchDocument = async () => {
+      try {
+        setLoading(true);
+        if (kind === 'sanction') {
+          const response = await apiHelpers.get(endpoints.loans.sanctionLetter(loan.id));
+          setDocument(response.letter);
+        } else {
+          const response = await apiHelpers.get(endpoints.loans.noDuesCertificate(loan.id));
+          setDocument(response.certificate);
+        }
+      } catch (error) {
+        console.error('Error fetching loan document:', error);
+        onClose();
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchDocument();
+  }, [loan.id, kind]);
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-20 mx-auto p-5 border w-11/12 md:w-3/4 lg:w-1/2 shadow-lg rounded-md bg-white dark:bg-gray-800">
+        <div className="flex items-center justify-between mb-4 print:hidden">
+          <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100">
+            {kind === 'sanction' ? 'Sanction Letter' : 'No-Dues Certificate'} - {loan.loan_number}
+          </h3>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {loading || !document ? (
+          <div className="flex items-center justify-center py-12">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : (
+          <>
+            <div className="space-y-4 text-sm text-gray-900 dark:text-gray-100">
+              <div className="text-center border-b border-gray-200 dark:border-gray-700 pb-3">
+                <div className="text-lg font-bold">{document.institute.name}</div>
+                {document.institute.address && <div>{document.institute.address}</div>}
+                {document.institute.registration_number && (
+                  <div className="text-xs text-gray-500 dark:text-gray-400">Reg. No. {document.institute.registration_number}</div>
+                )}
+              </div>
+
+              <div className="flex justify-between">
+                <span>No. {kind === 'sanction' ? document.letter_number : document.certificate_number}</span>
+                <span>Date: {formatDate(document.date)}</span>
+              </div>
+
+              <div>
+                <div>To,</div>
+                <div className="font-medium">{document.customer_name}</div>
+                {document.customer_address && <div>{document.customer_address}</div>}
+              </div>
+
+              {kind === 'sanction' ? (
+                <>
+                  <p>
+                    We are pleased to inform you that your application for a {document.loan_type} loan
+                    (loan no. {document.loan_number}){document.purpose ? ` for ${document.purpose}` : ''} has been
+                    sanctioned on the following terms:
+                  </p>
+                  <dl className="divide-y divide-gray-200 dark:divide-gray-700">
+                    {[
+                      ['Amount applied for', formatAmount(document.requested_amount)],
+                      ['Amount sanctioned', formatAmount(document.sanctioned_amount)],
+                      ['Rate of interest', `${document.interest_rate}% per annum`],
+                      ['Tenure', `${document.tenure_months} months`],
+                      ['EMI', formatAmount(document.emi_amount)]
+                    ].map(([name, value]) => (
+                      <div key={name} className="flex justify-between py-2">
+                        <dt className="text-gray-500 dark:text-gray-400">{name}</dt>
+                        <dd>{value}</dd>
+                      </div>
+                    ))}
+                  </dl>
+                  {document.conditions && (
+                    <div>
+                      <div className="font-medium">Conditions</div>
+                      <p className="whitespace-pre-line">{document.conditions}</p>
+                    </div>
+                  )}
+                  <div className="pt-6 text-right">
+                    <div>{document.sanctioned_by_name}</div>
+                    <div className="text-xs text-gray-500 dark:text-gray-400">Sanctioning Authority</div>
+                  </div>
+                </>
+              ) : (
+                <>
+                  <p>
+                    This is to certify that {document.customer_name} has repaid in full the {document.loan_type} loan
+                    no. {document.loan_number} of {formatAmount(document.principal_amount)} disbursed
+                    on {formatDate(document.disbursed_at)}, with {formatAmount(document.total_repaid)} received in all,
+                    and the loan was {document.closed_as} on {formatDate(document.date)}.
+                  </p>
+                  <p>Nothing is due from the borrower under this loan.</p>
+                  <div className="pt-6 text-right">
+                    <div>For {document.institute.name}</div>
+                    <div className="text-xs text-gray-500 dark:text-gray-400">Authorised Signatory</div>
+                  </div>
+                </>
+              )}
+            </div>
+
+            <div className="flex justify-end space-x-3 pt-4 print:hidden">
+              <button type="button" onClick={onClose} className="btn-secondary">
+                Close
+              </button>
+              <button type="button" onClick={() => window.print()} className="btn-primary">
+                Print
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LoanLetterModal;
@@ -0,0 +1,217 @@
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { apiHelpers, endpoints } from '../api/axios';
+import LoadingSpinner from './LoadingSpinner';
+
+const formatAmount = (amount) => `₹${parseFloat(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2 })}`;
+
+const modes = [
+  { value: 'payment', label: 'Payment' },
+  { value: 'prepayment', label: 'Prepayment' },
+  { value: 'foreclosure', label: 'Foreclosure' }
+];
+
+// Records a loan payment, a part-prepayment or a foreclosure. Payments settle what has
+// fallen due first; foreclosure closes the loan on the quoted amount once confirmed.
+const LoanRepaymentModal = ({ loan, onClose, onSaved }) => {
+  const [mode, setMode] = useState('payment');
+  const [amount, setAmount] = useState('');
+  const [option, setOption] = useState('reduce_emi');
+  const [quote, setQuote] = useState(null);
+  const [loadingQuote, setLoadingQuote] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const dues = (loan.principal_due || 0) + (loan.interest_due || 0) + (loan.charges_due || 0);
+
+  const fetchQuote = async () => {
+    try {
+      setLoadingQuote(true);
+      const response = await apiHelpers.get(endpoints.loans.foreclosureQuote(loan.id));
+      if (response.success) {
+        setQuote(response.quote);
+      }
+    } catch (error) {
+      console.error('Error fetching foreclosure quote:', error);
+      setMode('payment');
+    } finally {
+      setLoadingQuote(false);
+    }
+  };
+
+  useEffect(() => {
+    if (mode === 'foreclosure') {
+      fetchQuote();
+    } else if (mode === 'payment') {
+      setAmount(dues > 0 ? dues.toFixed(2) : String(loan.emi_amount || ''));
+    } else {
+      setAmount('');
+    }
+  }, [mode]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      let response;
+      if (mode === 'payment') {
+        response = await apiHelpers.post(endpoints.loans.makePayment(loan.id), { amount });
+      } else if (mode === 'prepayment') {
+        response = await apiHelpers.post(endpoints.loans.prepay(loan.id), { amount, option });
+      } else {
+        response = await apiHelpers.post(endpoints.loans.foreclose(loan.id), { quoted_amount: quote.total });
+      }
+
+      if (response.success) {
+        toast.success(response.message);
+        onSaved();
+      }
+    } catch (error) {
+      console.error(`Error recording loan ${mode}:`, error);
+      // The amount changed since it was quoted; show the new quote for confirmation
+      if (mode === 'foreclosure' && error.response?.status === 409) {
+        fetchQuote();
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const quoteRows = quote ? [
+    ['Principal outstanding', formatAmount(quote.principal)],
+    ['Interest due', formatAmount(quote.interest_due)],
+    [`Interest for ${quote.broken_days} day(s) since last due date`, formatAmount(quote.broken_interest)],
+    ...(quote.advance_interest > 0 ? [['Interest paid in advance', `- ${formatAmount(quote.advance_interest)}`]] : []),
+    ['Charges due', formatAmount(quote.charges)]
+  ] : [];
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-20 mx-auto p-5 border w-11/12 md:w-1/2 lg:w-1/3 shadow-lg rounded-md bg-white dark:bg-gray-800">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100">
+            Repayment - {loan.loan_number}
+          </h3>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="flex space-x-2 mb-4">
+          {modes.map(({ value, label }) => (
+            <button
+              key={value}
+              type="button"
+              onClick={() => setMode(value)}
+              className={mode === value ? 'btn-primary' : 'btn-secondary'}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {mode !== 'foreclosure' && (
+            <>
+              <dl className="divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+                {[
+                  ['EMI', formatAmount(loan.emi_amount)],
+                  ['Principal due', formatAmount(loan.principal_due)],
+                  ['Interest due', formatAmount(loan.interest_due)],
+                  ['Charges due', formatAmount(loan.charges_due)],
+                  ['Principal outstanding', formatAmount(loan.principal_outstanding)]
+                ].map(([name, value]) => (
+                  <div key={name} className="flex justify-between py-2">
+                    <dt className="text-gray-500 dark:text-gray-400">{name}</dt>
+                    <dd className="text-gray-900 dark:text-gray-100">{value}</dd>
+                  </div>
+                ))}
+              </dl>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  Amount (₹) *
+                </label>
+                <input
+                  type="number"
+                  value={amount}
+                  onChange={(e) => setAmount(e.target.value)}
+                  required
+                  min="0.01"
+                  step="0.01"
+                  className="input-field"
+                />
+                <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                  {mode === 'payment'
+                    ? 'Settles what has fallen due; any excess pays the next installments in advance.'
+                    : `Dues of ${formatAmount(dues)} are settled first; the rest repays principal.`}
+                </p>
+              </div>
+
+              {mode === 'prepayment' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    After Prepayment
+                  </label>
+                  <select
+                    value={option}
+                    onChange={(e) => setOption(e.target.value)}
+                    className="input-field"
+                  >
+                    <option value="reduce_emi">Reduce EMI, keep tenure</option>
+                    <option value="reduce_tenure">Reduce tenure, keep EMI</option>
+                  </select>
+                </div>
+              )}
+            </>
+          )}
+
+          {mode === 'foreclosure' && (
+            loadingQuote || !quote ? (
+              <div className="flex items-center justify-center py-12">
+                <LoadingSpinner size="lg" />
+              </div>
+            ) : (
+              <dl className="divide-y divide-gray-200 dark:divide-gray-700">
+                {quoteRows.map(([name, value]) => (
+                  <div key={name} className="flex justify-between py-2 text-sm">
+                    <dt className="text-gray-500 dark:text-gray-400">{name}</dt>
+                    <dd className="text-gray-900 dark:text-gray-100">{value}</dd>
+                  </div>
+                ))}
+                <div className="flex justify-between py-3">
+                  <dt className="font-medium text-gray-900 dark:text-gray-100">To close</dt>
+                  <dd className="text-lg font-bold text-gray-900 dark:text-gray-100">{formatAmount(quote.total)}</dd>
+                </div>
+              </dl>
+            )
+          )}
+
+          <div className="flex justify-end space-x-3 pt-4">
+            <button type="button" onClick={onClose} className="btn-secondary">
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving || (mode === 'foreclosure' && (loadingQuote || !quote))}
+              className="btn-primary"
+            >
+              {saving
+                ? 'Saving...'
+                : mode === 'foreclosure' && quote
+                  ? `Foreclose for ${formatAmount(quote.total)}`
+                  : `Record ${modes.find(({ value }) => value === mode).label}`}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default LoanRepaymentModal;
@@ -0,0 +1,130 @@
+import React, { useState, useEffect } from 'react';
+import { apiHelpers, endpoints } from '../api/axios';
+import LoadingSpinner from './LoadingSpinner';
+
+const formatAmount = (amount) => `₹${parseFloat(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2 })}`;
+
+const statusBadges = {
+  paid: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300',
+  partial: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-300',
+  due: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-300',
+  overdue: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-300',
+  pending: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300',
+  settled: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300'
+};
+
+// A loan's installments with what has been paid on each, and its current dues
+const LoanScheduleModal = ({ loan, onClose }) => {
+  const [schedule, setSchedule] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchSchedule = async () => {
+      try {
+        setLoading(true);
+        const response = await apiHelpers.get(endpoints.loans.schedule(loan.id));
+        if (response.success) {
+          setSchedule(response.schedule);
+          setSummary(response.summary);
+        }
+      } catch (error) {
+        console.error('Error fetching loan schedule:', error);
+        onClose();
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSchedule();
+  }, [loan.id]);
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-20 mx-auto p-5 border w-11/12 md:w-3/4 shadow-lg rounded-md bg-white dark:bg-gray-800">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100">
+            Repayment Schedule - {loan.loan_number}
+          </h3>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="flex items-center justify-center py-12">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : (
+          <>
+            {summary && (
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4 text-sm">
+                {[
+                  ['EMI', `${formatAmount(summary.emi_amount)} x ${summary.tenure_months}`],
+                  ['Ends', new Date(summary.end_date).toLocaleDateString()],
+                  ['Principal outstanding', formatAmount(summary.principal_outstanding)],
+                  ['Outstanding', formatAmount(summary.outstanding_amount)],
+                  ['Principal due', formatAmount(summary.principal_due)],
+                  ['Interest due', formatAmount(summary.interest_due)],
+                  ['Charges due', formatAmount(summary.charges_due)],
+                  ['Overdue EMIs', summary.overdue_emis]
+                ].map(([name, value]) => (
+                  <div key={name}>
+                    <div className="text-gray-500 dark:text-gray-400">{name}</div>
+                    <div className="font-medium text-gray-900 dark:text-gray-100">{value}</div>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <div className="overflow-x-auto max-h-96">
+              <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+                <thead className="bg-gray-50 dark:bg-gray-800">
+                  <tr>
+                    {['#', 'Due Date', 'EMI', 'Principal', 'Interest', 'Balance', 'Paid', 'Status'].map(heading => (
+                      <th key={heading} className="px-3 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                        {heading}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200 dark:divide-gray-700 text-sm text-gray-900 dark:text-gray-100">
+                  {schedule.map(row => (
+                    <tr key={row.emi_number}>
+                      <td className="px-3 py-2">{row.emi_number}</td>
+                      <td className="px-3 py-2">{new Date(row.due_date).toLocaleDateString()}</td>
+                      <td className="px-3 py-2">{formatAmount(row.emi_amount)}</td>
+                      <td className="px-3 py-2">{formatAmount(row.principal_amount)}</td>
+                      <td className="px-3 py-2">{formatAmount(row.interest_amount)}</td>
+                      <td className="px-3 py-2">{formatAmount(row.outstanding_balance)}</td>
+                      <td className="px-3 py-2">
+                        {row.paid_amount > 0 ? formatAmount(row.paid_amount) : '-'}
+                        {row.paid_date && (
+                          <div className="text-xs text-gray-500 dark:text-gray-400">
+                            {new Date(row.paid_date).toLocaleDateString()}
+                          </div>
+                        )}
+                      </td>
+                      <td className="px-3 py-2">
+                        <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${statusBadges[row.status]}`}>
+                          {row.status.charAt(0).toUpperCase() + row.status.slice(1)}
+                        </span>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LoanScheduleModal;
@@ -0,0 +1,508 @@
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { apiHelpers, endpoints } from '../api/axios';
+import LoadingSpinner from './LoadingSpinner';
+
+const formatAmount = (amount) => `₹${parseFloat(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2 })}`;
+
+const collateralTypes = [
+  { value: 'gold', label: 'Gold' },
+  { value: 'land', label: 'Land record' },
+  { value: 'property', label: 'Property' },
+  { value: 'vehicle', label: 'Vehicle' },
+  { value: 'fd_lien', label: 'FD lien' },
+  { value: 'other', label: 'Other' }
+];
+
+const emptyGuarantor = {
+  customer_id: '',
+  name: '',
+  phone: '',
+  address: '',
+  relationship: '',
+  guaranteed_amount: '',
+  documents: ''
+};
+
+const emptyCollateral = {
+  collateral_type: 'gold',
+  description: '',
+  reference: '',
+  fd_id: '',
+  valuation_amount: '',
+  valuation_date: new Date().toISOString().split('T')[0],
+  valued_by: '',
+  documents: ''
+};
+
+// A loan's guarantors and pledged collateral: add, revalue and release them
+const LoanSecurityModal = ({ loan, customers, onClose }) => {
+  const [guarantors, setGuarantors] = useState([]);
+  const [collateral, setCollateral] = useState([]);
+  const [pledgedValue, setPledgedValue] = useState(0);
+  const [fds, setFds] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(null);
+  const [guarantorData, setGuarantorData] = useState(emptyGuarantor);
+  const [collateralData, setCollateralData] = useState(emptyCollateral);
+  const [saving, setSaving] = useState(false);
+
+  const isOpen = ['applied', 'under_review', 'sanctioned', 'disbursed', 'active'].includes(loan.status);
+
+  const fetchSecurity = async () => {
+    try {
+      setLoading(true);
+      const [guarantorResponse, collateralResponse] = await Promise.all([
+        apiHelpers.get(endpoints.loans.guarantors(loan.id)),
+        apiHelpers.get(endpoints.loans.collateral(loan.id))
+      ]);
+      if (guarantorResponse.success) {
+        setGuarantors(guarantorResponse.guarantors);
+      }
+      if (collateralResponse.success) {
+        setCollateral(collateralResponse.collateral);
+        setPledgedValue(collateralResponse.pledged_value);
+      }
+    } catch (error) {
+      console.error('Error fetching loan security:', error);
+      onClose();
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSecurity();
+  }, [loan.id]);
+
+  useEffect(() => {
+    if (form !== 'collateral' || collateralData.collateral_type !== 'fd_lien') {
+      return;
+    }
+
+    const fetchFds = async () => {
+      try {
+        const response = await apiHelpers.get(endpoints.fd.list, { customer_id: loan.customer_id, status: 'active', limit: 100 });
+        if (response.success) {
+          setFds(response.fds);
+        }
+      } catch (error) {
+        console.error('Error fetching fixed deposits:', error);
+      }
+    };
+
+    fetchFds();
+  }, [form, collateralData.collateral_type]);
+
+  const handleGuarantorChange = (e) => {
+    const { name, value } = e.target;
+    setGuarantorData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleCollateralChange = (e) => {
+    const { name, value } = e.target;
+    setCollateralData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const response = form === 'guarantor'
+        ? await apiHelpers.post(endpoints.loans.guarantors(loan.id), guarantorData)
+        : await apiHelpers.post(endpoints.loans.collateral(loan.id), collateralData);
+
+      if (response.success) {
+        toast.success(response.message);
+        setForm(null);
+        setGuarantorData(emptyGuarantor);
+        setCollateralData(emptyCollateral);
+        fetchSecurity();
+      }
+    } catch (error) {
+      console.error(`Error adding loan ${form}:`, error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRelease = async (url, label) => {
+    const note = window.prompt(`Why is this ${label} being released?`);
+    if (!note) {
+      return;
+    }
+
+    try {
+      const response = await apiHelpers.post(url, { note });
+      if (response.success) {
+        toast.success(response.message);
+        fetchSecurity();
+      }
+    } catch (error) {
+      console.error(`Error releasing ${label}:`, error);
+    }
+  };
+
+  const handleRevalue = async (item) => {
+    const amount = window.prompt(`New valuation for ${item.description} (₹)`, item.valuation_amount);
+    if (!amount) {
+      return;
+    }
+    const valuedBy = window.prompt('Valued by', item.valued_by || '');
+
+    try {
+      const response = await apiHelpers.put(endpoints.loans.updateCollateral(loan.id, item.id), {
+        valuation_amount: amount,
+        valued_by: valuedBy
+      });
+      if (response.success) {
+        toast.success(response.message);
+        fetchSecurity();
+      }
+    } catch (error) {
+      console.error('Error revaluing collateral:', error);
+    }
+  };
+
+  const releasedNote = (item) => item.release_date && (
+    <div className="text-xs text-gray-500 dark:text-gray-400">
+      Released {new Date(item.release_date).toLocaleDateString()}{item.release_note ? ` - ${item.release_note}` : ''}
+    </div>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-20 mx-auto p-5 border w-11/12 md:w-3/4 shadow-lg rounded-md bg-white dark:bg-gray-800">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100">
+            Guarantors & Collateral - {loan.loan_number}
+          </h3>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="flex items-center justify-center py-12">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : (
+          <div className="space-y-6">
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <h4 className="text-md font-medium text-gray-900 dark:text-gray-100">Guarantors</h4>
+                {isOpen && (
+                  <button type="button" onClick={() => setForm('guarantor')} className="btn-secondary">
+                    Add Guarantor
+                  </button>
+                )}
+              </div>
+              {guarantors.length === 0 ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">No guarantors recorded.</p>
+              ) : (
+                <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+                  <tbody className="divide-y divide-gray-200 dark:divide-gray-700 text-gray-900 dark:text-gray-100">
+                    {guarantors.map(guarantor => (
+                      <tr key={guarantor.id}>
+                        <td className="px-3 py-2">
+                          <div className="font-medium">{guarantor.name}</div>
+                          <div className="text-xs text-gray-500 dark:text-gray-400">
+                            {guarantor.customer_id ? 'Member' : 'Non-member'}
+                            {guarantor.relationship ? ` · ${guarantor.relationship}` : ''}
+                            {guarantor.phone ? ` · ${guarantor.phone}` : ''}
+                          </div>
+                          {guarantor.documents && (
+                            <div className="text-xs text-gray-500 dark:text-gray-400">Documents: {guarantor.documents}</div>
+                          )}
+                        </td>
+                        <td className="px-3 py-2">
+                          {guarantor.guaranteed_amount ? formatAmount(guarantor.guaranteed_amount) : 'Whole loan'}
+                          {guarantor.status === 'active' && (
+                            <div className="text-xs text-gray-500 dark:text-gray-400">Exposure {formatAmount(guarantor.exposure)}</div>
+                          )}
+                        </td>
+                        <td className="px-3 py-2">
+                          {guarantor.status === 'active' ? 'Active' : 'Released'}
+                          {releasedNote(guarantor)}
+                        </td>
+                        <td className="px-3 py-2 text-right">
+                          {guarantor.status === 'active' && (
+                            <button
+                              onClick={() => handleRelease(endpoints.loans.releaseGuarantor(loan.id, guarantor.id), 'guarantor')}
+                              className="text-red-600 hover:text-red-900 dark:text-red-400 dark:hover:text-red-300"
+                            >
+                              Release
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <h4 className="text-md font-medium text-gray-900 dark:text-gray-100">
+                  Collateral
+                  <span className="ml-2 text-sm font-normal text-gray-500 dark:text-gray-400">
+                    Pledged value {formatAmount(pledgedValue)}
+                  </span>
+                </h4>
+                {isOpen && (
+                  <button type="button" onClick={() => setForm('collateral')} className="btn-secondary">
+                    Pledge Collateral
+                  </button>
+                )}
+              </div>
+              {collateral.length === 0 ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">No collateral pledged.</p>
+              ) : (
+                <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+                  <tbody className="divide-y divide-gray-200 dark:divide-gray-700 text-gray-900 dark:text-gray-100">
+                    {collateral.map(item => (
+                      <tr key={item.id}>
+                        <td className="px-3 py-2">
+                          <div className="font-medium">{item.description}</div>
+                          <div className="text-xs text-gray-500 dark:text-gray-400">
+                            {collateralTypes.find(({ value }) => value === item.collateral_type)?.label}
+                            {item.reference ? ` · ${item.reference}` : ''}
+                            {item.customer_id !== loan.customer_id ? ` · Owner ${item.owner_name}` : ''}
+                          </div>
+                          {item.documents && (
+                            <div className="text-xs text-gray-500 dark:text-gray-400">Documents: {item.documents}</div>
+                          )}
+                        </td>
+                        <td className="px-3 py-2">
+                          {formatAmount(item.valuation_amount)}
+                          <div className="text-xs text-gray-500 dark:text-gray-400">
+                            {new Date(item.valuation_date).toLocaleDateString()}{item.valued_by ? ` by ${item.valued_by}` : ''}
+                          </div>
+                        </td>
+                        <td className="px-3 py-2">
+                          {item.status === 'pledged' ? 'Pledged' : 'Released'}
+                          {releasedNote(item)}
+                        </td>
+                        <td className="px-3 py-2 text-right">
+                          {item.status === 'pledged' && (
+                            <>
+                              <button
+                                onClick={() => handleRevalue(item)}
+                                className="text-primary-600 hover:text-primary-900 dark:text-primary-400 dark:hover:text-primary-300 mr-4"
+                              >
+                                Revalue
+                              </button>
+                              <button
+                                onClick={() => handleRelease(endpoints.loans.releaseCollateral(loan.id, item.id), 'collateral')}
+                                className="text-red-600 hover:text-red-900 dark:text-red-400 dark:hover:text-red-300"
+                              >
+                                Release
+                              </button>
+                            </>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+
+            {form && (
+              <form onSubmit={handleSubmit} className="space-y-4 border-t border-gray-200 dark:border-gray-700 pt-4">
+                {form === 'guarantor' ? (
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                        Member
+                      </label>
+                      <select
+                        name="customer_id"
+                        value={guarantorData.customer_id}
+                        onChange={handleGuarantorChange}
+                        className="input-field"
+                      >
+                        <option value="">Not a member</option>
+                        {customers.filter(customer => customer.id !== loan.customer_id).map(customer => (
+                          <option key={customer.id} value={customer.id}>
+                            {customer.name} - {customer.phone}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                    {!guarantorData.customer_id && (
+                      <>
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                            Name *
+                          </label>
+                          <input type="text" name="name" value={guarantorData.name} onChange={handleGuarantorChange} required className="input-field" />
+                        </div>
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                            Phone
+                          </label>
+                          <input type="tel" name="phone" value={guarantorData.phone} onChange={handleGuarantorChange} pattern="[6-9][0-9]{9}" className="input-field" />
+                        </div>
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                            Address
+                          </label>
+                          <input type="text" name="address" value={guarantorData.address} onChange={handleGuarantorChange} className="input-field" />
+                        </div>
+                      </>
+                    )}
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                        Relationship to Borrower
+                      </label>
+                      <input type="text" name="relationship" value={guarantorData.relationship} onChange={handleGuarantorChange} className="input-field" />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                        Amount Guaranteed (₹)
+                      </label>
+                      <input
+                        type="number"
+                        name="guaranteed_amount"
+                        value={guarantorData.guaranteed_amount}
+                        onChange={handleGuarantorChange}
+                        min="1"
+                        step="0.01"
+                        className="input-field"
+                        placeholder="Whole loan"
+                      />
+                    </div>
+                    <div className="md:col-span-2">
+                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                        Documents Held
+                      </label>
+                      <input type="text" name="documents" value={guarantorData.documents} onChange={handleGuarantorChange} className="input-field" placeholder="e.g. Consent letter, PAN copy" />
+                    </div>
+                  </div>
+                ) : (
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                        Type *
+                      </label>
+                      <select name="collateral_type" value={collateralData.collateral_type} onChange={handleCollateralChange} className="input-field">
+                        {collateralTypes.map(({ value, label }) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
+                      </select>
+                    </div>
+                    {collateralData.collateral_type === 'fd_lien' ? (
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                          Fixed Deposit *
+                        </label>
+                        <select name="fd_id" value={collateralData.fd_id} onChange={handleCollateralChange} required className="input-field">
+                          <option value="">Select FD</option>
+                          {fds.map(fd => (
+                            <option key={fd.id} value={fd.id}>
+                              {fd.fd_number} - {formatAmount(fd.principal_amount)}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                    ) : (
+                      <>
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                            Description *
+                          </label>
+                          <input
+                            type="text"
+                            name="description"
+                            value={collateralData.description}
+                            onChange={handleCollateralChange}
+                            required
+                            className="input-field"
+                            placeholder="e.g. 2 gold bangles, 22 carat, 40 g"
+                          />
+                        </div>
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                            Reference
+                          </label>
+                          <input
+                            type="text"
+                            name="reference"
+                            value={collateralData.reference}
+                            onChange={handleCollateralChange}
+                            className="input-field"
+                            placeholder="Survey no., registration no., packet no."
+                          />
+                        </div>
+                      </>
+                    )}
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                        Valuation (₹){collateralData.collateral_type === 'fd_lien' ? '' : ' *'}
+                      </label>
+                      <input
+                        type="number"
+                        name="valuation_amount"
+                        value={collateralData.valuation_amount}
+                        onChange={handleCollateralChange}
+                        required={collateralData.collateral_type !== 'fd_lien'}
+                        min="1"
+                        step="0.01"
+                        className="input-field"
+                        placeholder={collateralData.collateral_type === 'fd_lien' ? 'FD principal' : ''}
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                        Valuation Date *
+                      </label>
+                      <input type="date" name="valuation_date" value={collateralData.valuation_date} onChange={handleCollateralChange} required className="input-field" />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                        Valued By
+                      </label>
+                      <input type="text" name="valued_by" value={collateralData.valued_by} onChange={handleCollateralChange} className="input-field" />
+                    </div>
+                    <div className="md:col-span-2">
+                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                        Documents Held
+                      </label>
+                      <input
+                        type="text"
+                        name="documents"
+                        value={collateralData.documents}
+                        onChange={handleCollateralChange}
+                        className="input-field"
+                        placeholder="e.g. 7/12 extract, valuation report, RC book"
+                      />
+                    </div>
+                  </div>
+                )}
+
+                <div className="flex justify-end space-x-3">
+                  <button type="button" onClick={() => setForm(null)} className="btn-secondary">
+                    Cancel
+                  </button>
+                  <button type="submit" disabled={saving} className="btn-primary">
+                    {saving ? 'Saving...' : form === 'guarantor' ? 'Add Guarantor' : 'Pledge Collateral'}
+                  </button>
+                </div>
+              </form>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LoanSecurityModal;
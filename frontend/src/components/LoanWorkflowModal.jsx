@@ -0,0 +1,283 @@
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { apiHelpers, endpoints } from '../api/axios';
+
+const formatAmount = (amount) => `₹${parseFloat(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2 })}`;
+
+const titles = {
+  review: 'Take Up for Review',
+  sanction: 'Sanction Loan',
+  reject: 'Reject Application',
+  disburse: 'Disburse Loan',
+  writeOff: 'Write Off Loan'
+};
+
+// Moves a loan to its next workflow step: review, sanction on the given terms, reject,
+// disburse in cash or to savings, or write off what is still owed
+const LoanWorkflowModal = ({ loan, action, onClose, onSaved }) => {
+  const [note, setNote] = useState('');
+  const [terms, setTerms] = useState({
+    sanctioned_amount: loan.requested_amount || loan.principal_amount,
+    interest_rate: loan.interest_rate,
+    tenure_months: loan.tenure_months,
+    conditions: ''
+  });
+  const [mode, setMode] = useState('savings');
+  const [accountId, setAccountId] = useState('');
+  const [accounts, setAccounts] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (action !== 'disburse') {
+      return;
+    }
+
+    const fetchAccounts = async () => {
+      try {
+        const response = await apiHelpers.get(endpoints.accounts.list, {
+          customer_id: loan.customer_id,
+          account_type: 'savings',
+          limit: 100
+        });
+        if (response.success) {
+          const active = response.accounts.filter(account => account.is_active);
+          setAccounts(active);
+          if (active.length > 0) {
+            setAccountId(String(active[0].id));
+          } else {
+            setMode('cash');
+          }
+        }
+      } catch (error) {
+        console.error('Error fetching savings accounts:', error);
+      }
+    };
+
+    fetchAccounts();
+  }, [action, loan.customer_id]);
+
+  const handleTermChange = (e) => {
+    const { name, value } = e.target;
+    setTerms(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      let response;
+      if (action === 'review') {
+        response = await apiHelpers.post(endpoints.loans.review(loan.id), { note });
+      } else if (action === 'sanction') {
+        response = await apiHelpers.post(endpoints.loans.sanction(loan.id), terms);
+      } else if (action === 'reject') {
+        response = await apiHelpers.post(endpoints.loans.reject(loan.id), { reason: note });
+      } else if (action === 'disburse') {
+        response = await apiHelpers.post(endpoints.loans.disburse(loan.id), {
+          mode,
+          account_id: mode === 'savings' ? accountId : undefined
+        });
+      } else {
+        response = await apiHelpers.post(endpoints.loans.writeOff(loan.id), { reason: note });
+      }
+
+      if (response.success) {
+        toast.success(response.message);
+        onSaved();
+      }
+    } catch (error) {
+      console.error(`Error on loan ${action}:`, error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const emi = (() => {
+    const principal = parseFloat(terms.sanctioned_amount) || 0;
+    const monthlyRate = (parseFloat(terms.interest_rate) || 0) / 100 / 12;
+    const tenure = parseInt(terms.tenure_months) || 0;
+    const value = (principal * monthlyRate * Math.pow(1 + monthlyRate, tenure)) /
+                  (Math.pow(1 + monthlyRate, tenure) - 1);
+    return isNaN(value) ? 0 : value;
+  })();
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-20 mx-auto p-5 border w-11/12 md:w-1/2 lg:w-1/3 shadow-lg rounded-md bg-white dark:bg-gray-800">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100">
+            {titles[action]} - {loan.loan_number}
+          </h3>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <dl className="divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+            {[
+              ['Customer', loan.customer_name],
+              ['Applied for', `${formatAmount(loan.requested_amount)} (${loan.loan_type})`],
+              ...(loan.fd_number ? [['Secured by', `Lien on FD ${loan.fd_number}`]] : []),
+              ...(loan.purpose ? [['Purpose', loan.purpose]] : []),
+              ...(action === 'disburse' ? [['Sanctioned', `${formatAmount(loan.sanctioned_amount)} @ ${loan.sanctioned_rate}% for ${loan.sanctioned_tenure_months} months`]] : []),
+              ...(action === 'writeOff' ? [['Outstanding', formatAmount(loan.outstanding_amount)]] : [])
+            ].map(([name, value]) => (
+              <div key={name} className="flex justify-between py-2">
+                <dt className="text-gray-500 dark:text-gray-400">{name}</dt>
+                <dd className="text-gray-900 dark:text-gray-100">{value}</dd>
+              </div>
+            ))}
+          </dl>
+
+          {action === 'sanction' && (
+            <>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Amount (₹) *
+                  </label>
+                  <input
+                    type="number"
+                    name="sanctioned_amount"
+                    value={terms.sanctioned_amount}
+                    onChange={handleTermChange}
+                    required
+                    min="1"
+                    max={loan.requested_amount}
+                    step="0.01"
+                    className="input-field"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Rate (%) *
+                  </label>
+                  <input
+                    type="number"
+                    name="interest_rate"
+                    value={terms.interest_rate}
+                    onChange={handleTermChange}
+                    required
+                    readOnly={!!loan.fd_id}
+                    min="0.1"
+                    step="0.01"
+                    className="input-field"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Months *
+                  </label>
+                  <input
+                    type="number"
+                    name="tenure_months"
+                    value={terms.tenure_months}
+                    onChange={handleTermChange}
+                    required
+                    min="1"
+                    max="360"
+                    className="input-field"
+                  />
+                </div>
+              </div>
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                EMI {formatAmount(emi)}{loan.fd_id ? ` · rate set from FD ${loan.fd_number}` : ''}
+              </p>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  Conditions
+                </label>
+                <textarea
+                  name="conditions"
+                  value={terms.conditions}
+                  onChange={handleTermChange}
+                  rows={3}
+                  className="input-field"
+                  placeholder="Conditions printed on the sanction letter"
+                />
+              </div>
+            </>
+          )}
+
+          {action === 'disburse' && (
+            <>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  Pay Out *
+                </label>
+                <select
+                  value={mode}
+                  onChange={(e) => setMode(e.target.value)}
+                  className="input-field"
+                >
+                  <option value="savings" disabled={accounts.length === 0}>Credit to savings account</option>
+                  <option value="cash">Cash</option>
+                </select>
+              </div>
+              {mode === 'savings' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Savings Account *
+                  </label>
+                  <select
+                    value={accountId}
+                    onChange={(e) => setAccountId(e.target.value)}
+                    required
+                    className="input-field"
+                  >
+                    {accounts.map(account => (
+                      <option key={account.id} value={account.id}>
+                        {account.account_number} - {formatAmount(account.balance)}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                The schedule starts today; the first EMI falls due in a month.
+              </p>
+            </>
+          )}
+
+          {['review', 'reject', 'writeOff'].includes(action) && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                {action === 'review' ? 'Note' : 'Reason *'}
+              </label>
+              <textarea
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                required={action !== 'review'}
+                rows={3}
+                className="input-field"
+              />
+              {action === 'writeOff' && (
+                <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                  The principal and charges outstanding are booked to Loan Write-offs and the loan is closed.
+                </p>
+              )}
+            </div>
+          )}
+
+          <div className="flex justify-end space-x-3 pt-4">
+            <button type="button" onClick={onClose} className="btn-secondary">
+              Cancel
+            </button>
+            <button type="submit" disabled={saving} className="btn-primary">
+              {saving ? 'Saving...' : titles[action]}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default LoanWorkflowModal;
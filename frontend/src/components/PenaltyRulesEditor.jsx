@@ -0,0 +1,360 @@
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { apiHelpers, endpoints } from '../api/axios';
+import LoadingSpinner from './LoadingSpinner';
+
+const emptyRule = {
+  tenure_from_months: 0,
+  tenure_to_months: '',
+  elapsed_from_months: 0,
+  elapsed_to_months: '',
+  rate_basis: 'contracted',
+  rate_reduction: 1,
+  flat_fee: 0
+};
+
+const tomorrow = () => {
+  const date = new Date();
+  date.setDate(date.getDate() + 1);
+  return date.toISOString().split('T')[0];
+};
+
+const bucketLabel = (from, to) => (to === null || to === '' ? `${from}+` : `${from}-${to}`);
+
+// Premature closure penalty rule versions for FDs and RDs. Versions already in force are
+// read-only; a policy change is added as a new version with its own effective date.
+const PenaltyRulesEditor = () => {
+  const [productType, setProductType] = useState('fd');
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [form, setForm] = useState(null);
+
+  const fetchVersions = async () => {
+    try {
+      setLoading(true);
+      const response = await apiHelpers.get(endpoints.penaltyRules.list, { product_type: productType });
+      if (response.success) {
+        setVersions(response.versions);
+      }
+    } catch (error) {
+      console.error('Error fetching penalty rules:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    setForm(null);
+    fetchVersions();
+  }, [productType]);
+
+  // A new version starts from the rules in force
+  const startNew = () => {
+    const current = versions.find(version => version.is_current);
+    setForm({
+      id: null,
+      effective_from: tomorrow(),
+      lock_in_months: current ? current.lock_in_months : 0,
+      notes: '',
+      rules: current ? current.rules.map(({ id, version_id, ...rule }) => ({
+        ...rule,
+        tenure_to_months: rule.tenure_to_months ?? '',
+        elapsed_to_months: rule.elapsed_to_months ?? ''
+      })) : [{ ...emptyRule }]
+    });
+  };
+
+  const startEdit = (version) => {
+    setForm({
+      id: version.id,
+      effective_from: version.effective_from,
+      lock_in_months: version.lock_in_months,
+      notes: version.notes || '',
+      rules: version.rules.map(({ id, version_id, ...rule }) => ({
+        ...rule,
+        tenure_to_months: rule.tenure_to_months ?? '',
+        elapsed_to_months: rule.elapsed_to_months ?? ''
+      }))
+    });
+  };
+
+  const handleFormChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleRuleChange = (index, name, value) => {
+    setForm(prev => ({
+      ...prev,
+      rules: prev.rules.map((rule, i) => (i === index ? { ...rule, [name]: value } : rule))
+    }));
+  };
+
+  const addRule = () => {
+    setForm(prev => ({ ...prev, rules: [...prev.rules, { ...emptyRule }] }));
+  };
+
+  const removeRule = (index) => {
+    setForm(prev => ({ ...prev, rules: prev.rules.filter((_, i) => i !== index) }));
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const payload = { ...form, product_type: productType };
+      const response = form.id
+        ? await apiHelpers.put(endpoints.penaltyRules.update(form.id), payload)
+        : await apiHelpers.post(endpoints.penaltyRules.create, payload);
+
+      if (response.success) {
+        toast.success(response.message);
+        setForm(null);
+        fetchVersions();
+      }
+    } catch (error) {
+      console.error('Error saving penalty rules:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (version) => {
+    if (!window.confirm(`Delete the rules due to take effect on ${version.effective_from}?`)) {
+      return;
+    }
+
+    try {
+      const response = await apiHelpers.delete(endpoints.penaltyRules.delete(version.id));
+      if (response.success) {
+        toast.success(response.message);
+        fetchVersions();
+      }
+    } catch (error) {
+      console.error('Error deleting penalty rules:', error);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100">
+            Premature Closure Penalties
+          </h3>
+          <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+            The first rule matching a deposit's tenure and the months it ran applies. Closing within the lock-in earns no interest.
+          </p>
+        </div>
+        <div className="flex space-x-2">
+          <select
+            value={productType}
+            onChange={(e) => setProductType(e.target.value)}
+            className="input-field"
+          >
+            <option value="fd">Fixed Deposits</option>
+            <option value="rd">Recurring Deposits</option>
+          </select>
+          {!form && (
+            <button type="button" onClick={startNew} className="btn-primary whitespace-nowrap">
+              New Version
+            </button>
+          )}
+        </div>
+      </div>
+
+      {form && (
+        <div className="border border-gray-200 dark:border-gray-700 rounded-md p-4 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Effective From *
+              </label>
+              <input
+                type="date"
+                name="effective_from"
+                value={form.effective_from}
+                onChange={handleFormChange}
+                className="input-field"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Lock-in Period (months)
+              </label>
+              <input
+                type="number"
+                name="lock_in_months"
+                value={form.lock_in_months}
+                onChange={handleFormChange}
+                min="0"
+                className="input-field"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Notes
+              </label>
+              <input
+                type="text"
+                name="notes"
+                value={form.notes}
+                onChange={handleFormChange}
+                className="input-field"
+              />
+            </div>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+              <thead className="bg-gray-50 dark:bg-gray-800">
+                <tr>
+                  {['Tenure From', 'Tenure To', 'Run From', 'Run To', 'Rate Basis', 'Reduction (%)', 'Flat Fee (₹)', ''].map(heading => (
+                    <th key={heading} className="px-3 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                      {heading}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {form.rules.map((rule, index) => (
+                  <tr key={index}>
+                    {['tenure_from_months', 'tenure_to_months', 'elapsed_from_months', 'elapsed_to_months'].map(field => (
+                      <td key={field} className="px-3 py-2">
+                        <input
+                          type="number"
+                          min="0"
+                          value={rule[field]}
+                          onChange={(e) => handleRuleChange(index, field, e.target.value)}
+                          placeholder={field.endsWith('_to_months') ? 'Open' : '0'}
+                          className="input-field w-24"
+                        />
+                      </td>
+                    ))}
+                    <td className="px-3 py-2">
+                      <select
+                        value={rule.rate_basis}
+                        onChange={(e) => handleRuleChange(index, 'rate_basis', e.target.value)}
+                        className="input-field"
+                      >
+                        <option value="contracted">Contracted rate</option>
+                        <option value="period_run">Rate for period run</option>
+                      </select>
+                    </td>
+                    <td className="px-3 py-2">
+                      <input
+                        type="number"
+                        step="0.01"
+                        min="0"
+                        value={rule.rate_reduction}
+                        onChange={(e) => handleRuleChange(index, 'rate_reduction', e.target.value)}
+                        className="input-field w-24"
+                      />
+                    </td>
+                    <td className="px-3 py-2">
+                      <input
+                        type="number"
+                        step="0.01"
+                        min="0"
+                        value={rule.flat_fee}
+                        onChange={(e) => handleRuleChange(index, 'flat_fee', e.target.value)}
+                        className="input-field w-28"
+                      />
+                    </td>
+                    <td className="px-3 py-2 text-right">
+                      {form.rules.length > 1 && (
+                        <button
+                          type="button"
+                          onClick={() => removeRule(index)}
+                          className="text-sm text-red-600 hover:text-red-900 dark:text-red-400 dark:hover:text-red-300"
+                        >
+                          Remove
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex justify-between">
+            <button type="button" onClick={addRule} className="btn-secondary">
+              Add Rule
+            </button>
+            <div className="flex space-x-3">
+              <button type="button" onClick={() => setForm(null)} className="btn-secondary">
+                Cancel
+              </button>
+              <button type="button" onClick={handleSave} disabled={saving} className="btn-primary">
+                {saving ? 'Saving...' : form.id ? 'Update Version' : 'Add Version'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex items-center justify-center py-12">
+          <LoadingSpinner size="lg" />
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {versions.map(version => (
+            <div key={version.id} className="border border-gray-200 dark:border-gray-700 rounded-md p-4">
+              <div className="flex items-center justify-between mb-3">
+                <div>
+                  <span className="text-sm font-medium text-gray-900 dark:text-gray-100">
+                    Effective {new Date(version.effective_from).toLocaleDateString()}
+                  </span>
+                  {version.is_current && (
+                    <span className="ml-2 inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300">
+                      In force
+                    </span>
+                  )}
+                  {version.is_editable && (
+                    <span className="ml-2 inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-300">
+                      Scheduled
+                    </span>
+                  )}
+                  <span className="ml-2 text-sm text-gray-500 dark:text-gray-400">
+                    Lock-in {version.lock_in_months} months{version.notes ? ` - ${version.notes}` : ''}
+                  </span>
+                </div>
+                {version.is_editable && !form && (
+                  <div className="space-x-4 text-sm font-medium">
+                    <button
+                      type="button"
+                      onClick={() => startEdit(version)}
+                      className="text-primary-600 hover:text-primary-900 dark:text-primary-400 dark:hover:text-primary-300"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(version)}
+                      className="text-red-600 hover:text-red-900 dark:text-red-400 dark:hover:text-red-300"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                )}
+              </div>
+              <ul className="text-sm text-gray-600 dark:text-gray-400 space-y-1">
+                {version.rules.map(rule => (
+                  <li key={rule.id}>
+                    Tenure {bucketLabel(rule.tenure_from_months, rule.tenure_to_months)} months, run {bucketLabel(rule.elapsed_from_months, rule.elapsed_to_months)} months:{' '}
+                    {rule.rate_basis === 'period_run' ? 'rate for period run' : 'contracted rate'} less {rule.rate_reduction}%
+                    {rule.flat_fee > 0 ? `, fee ₹${rule.flat_fee}` : ''}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PenaltyRulesEditor;
@@ -0,0 +1,78 @@
+import React from 'react';
+
+const formatAmount = (amount) => `₹${parseFloat(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2 })}`;
+
+const compoundingLabels = {
+  monthly: 'monthly',
+  quarterly: 'quarterly',
+  half_yearly: 'half-yearly',
+  yearly: 'yearly'
+};
+
+const amountLabels = {
+  account: 'Opening deposit',
+  rd: 'Monthly amount'
+};
+
+const range = (min, max, format = (value) => value) => {
+  if (max === null || max === undefined) {
+    return `${format(min)} or more`;
+  }
+  return `${format(min)} to ${format(max)}`;
+};
+
+// The rate of the slab an amount (rupees) falls in, for a catalogue product's rates in force
+export const slabRate = (product, amount) => {
+  let rate = product.interest_rate;
+  for (const slab of product.rate_slabs || []) {
+    if (slab.amount_from > amount) {
+      break;
+    }
+    rate = slab.interest_rate;
+  }
+  return rate;
+};
+
+// The terms of a catalogue product (or a contract's copy of them), read-only on the
+// forms that open a contract on it
+const ProductTerms = ({ product }) => {
+  if (!product) {
+    return null;
+  }
+
+  // A catalogue product with several slabs shows each; a contract's copy has the rate it got
+  const slabs = product.rate_slabs && product.rate_slabs.length > 1 ? product.rate_slabs : null;
+  const rate = slabs
+    ? slabs.map(slab => (slab.amount_from > 0 ? `${slab.interest_rate}% from ${formatAmount(slab.amount_from)}` : `${slab.interest_rate}%`)).join(', ')
+    : `${product.interest_rate}%`;
+
+  const lines = [
+    ['Interest', `${rate} p.a.${product.compounding ? `, compounded ${compoundingLabels[product.compounding]}` : ''}`],
+    [amountLabels[product.product_type] || 'Amount', range(product.min_amount, product.max_amount, formatAmount)],
+    ...(product.min_tenure_months ? [['Tenure', `${range(product.min_tenure_months, product.max_tenure_months)} months`]] : []),
+    ...(product.min_age !== null || product.max_age !== null
+      ? [['Eligible ages', range(product.min_age ?? 0, product.max_age)]]
+      : []),
+    ...(product.penalty_rules
+      ? [['Premature closure', `Own rules, lock-in ${product.penalty_rules.lock_in_months} months`]]
+      : [])
+  ];
+
+  return (
+    <div className="bg-gray-50 dark:bg-gray-800 rounded-md p-3 text-sm">
+      {product.description && (
+        <p className="text-gray-600 dark:text-gray-400 mb-2">{product.description}</p>
+      )}
+      <dl className="grid grid-cols-2 gap-x-4 gap-y-1">
+        {lines.map(([label, value]) => (
+          <React.Fragment key={label}>
+            <dt className="text-gray-500 dark:text-gray-400">{label}</dt>
+            <dd className="text-gray-900 dark:text-gray-100">{value}</dd>
+          </React.Fragment>
+        ))}
+      </dl>
+    </div>
+  );
+};
+
+export default ProductTerms;
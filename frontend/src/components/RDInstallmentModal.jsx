@@ -0,0 +1,179 @@
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { apiHelpers, endpoints } from '../api/axios';
+import LoadingSpinner from './LoadingSpinner';
+
+const formatAmount = (amount) => `₹${parseFloat(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2 })}`;
+
+const statusColors = {
+  paid: 'text-green-600 dark:text-green-400',
+  overdue: 'text-red-600 dark:text-red-400',
+  pending: 'text-gray-500 dark:text-gray-400'
+};
+
+// Shows the RD's installment calendar and records a payment against it. The server
+// settles the oldest unpaid installments first, each with its late fee.
+const RDInstallmentModal = ({ rd, onClose, onSaved }) => {
+  const [schedule, setSchedule] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [amount, setAmount] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchSchedule = async () => {
+      try {
+        const response = await apiHelpers.get(endpoints.rd.schedule(rd.id));
+        if (response.success) {
+          setSchedule(response.schedule);
+          setSummary(response.summary);
+
+          // Suggest the overdue installments, or the next one if none are overdue
+          const overdue = response.schedule.filter(row => row.status === 'overdue');
+          const suggested = overdue.length > 0 ? overdue : response.schedule.filter(row => row.status === 'pending').slice(0, 1);
+          const due = suggested.reduce((sum, row) => sum + row.amount + row.late_fee, 0) - response.summary.carry_forward_amount;
+          setAmount(due > 0 ? due.toFixed(2) : '');
+        }
+      } catch (error) {
+        console.error('Error fetching RD schedule:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSchedule();
+  }, [rd.id]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const response = await apiHelpers.post(endpoints.rd.payInstallment(rd.id), { amount });
+
+      if (response.success) {
+        toast.success(response.message);
+        onSaved();
+      }
+    } catch (error) {
+      console.error('Error recording RD installment:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-20 mx-auto p-5 border w-11/12 md:w-3/4 lg:w-1/2 shadow-lg rounded-md bg-white dark:bg-gray-800">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100">
+            Installments - {rd.rd_number}
+          </h3>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {loading || !summary ? (
+          <div className="flex justify-center py-8">
+            <LoadingSpinner />
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <dl className="grid grid-cols-2 md:grid-cols-3 gap-4 text-sm">
+              {[
+                ['Paid', `${summary.paid_installments}/${schedule.length} · ${formatAmount(summary.total_paid)}`],
+                ['Overdue', summary.missed_installments],
+                ['Carried forward', formatAmount(summary.carry_forward_amount)],
+                ['Late fees paid', formatAmount(summary.late_fees_paid)],
+                ['Maturity amount', formatAmount(summary.maturity_amount)],
+                ['Late fee', `${summary.late_fee_percent}% a month`]
+              ].map(([name, value]) => (
+                <div key={name}>
+                  <dt className="text-gray-500 dark:text-gray-400">{name}</dt>
+                  <dd className="text-gray-900 dark:text-gray-100">{value}</dd>
+                </div>
+              ))}
+            </dl>
+
+            {summary.status === 'defaulted' && (
+              <p className="text-sm text-red-600 dark:text-red-400">
+                In default with {summary.missed_installments} installments overdue. Paying enough of
+                them to bring the count under {summary.default_after_missed} makes the RD active again.
+              </p>
+            )}
+
+            <div className="max-h-64 overflow-y-auto">
+              <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+                <thead className="bg-gray-50 dark:bg-gray-800">
+                  <tr>
+                    {['#', 'Due', 'Amount', 'Status', 'Late Fee'].map(heading => (
+                      <th key={heading} className="px-3 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                        {heading}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200 dark:divide-gray-700 text-gray-900 dark:text-gray-100">
+                  {schedule.map(row => (
+                    <tr key={row.installment_number}>
+                      <td className="px-3 py-2">{row.installment_number}</td>
+                      <td className="px-3 py-2">{new Date(row.due_date).toLocaleDateString()}</td>
+                      <td className="px-3 py-2">{formatAmount(row.amount)}</td>
+                      <td className={`px-3 py-2 ${statusColors[row.status]}`}>
+                        {row.status === 'paid'
+                          ? `Paid ${new Date(row.paid_date).toLocaleDateString()}${row.months_late > 0 ? ` · ${row.months_late} month(s) late` : ''}`
+                          : row.status === 'overdue' ? `Overdue ${row.months_late} month(s)` : 'Pending'}
+                      </td>
+                      <td className="px-3 py-2">{row.late_fee > 0 ? formatAmount(row.late_fee) : '-'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {['active', 'defaulted'].includes(summary.status) && (
+              <>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Amount (₹) *
+                  </label>
+                  <input
+                    type="number"
+                    value={amount}
+                    onChange={(e) => setAmount(e.target.value)}
+                    required
+                    min="0.01"
+                    step="0.01"
+                    className="input-field"
+                  />
+                  <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                    {summary.partial_payments === 'carry_forward'
+                      ? 'Pays the oldest installments with their late fees; anything short of the next installment is carried forward.'
+                      : 'Pays the oldest installments with their late fees; it must cover whole installments.'}
+                  </p>
+                </div>
+
+                <div className="flex justify-end space-x-3 pt-2">
+                  <button type="button" onClick={onClose} className="btn-secondary">
+                    Cancel
+                  </button>
+                  <button type="submit" disabled={saving} className="btn-primary">
+                    {saving ? 'Saving...' : 'Record Payment'}
+                  </button>
+                </div>
+              </>
+            )}
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RDInstallmentModal;
@@ -0,0 +1,388 @@
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { apiHelpers, endpoints } from '../api/axios';
+import { useAuth } from '../context/AuthContext';
+import LoadingSpinner from './LoadingSpinner';
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const typeLabels = {
+  account: 'Accounts',
+  fd: 'Fixed Deposits',
+  rd: 'Recurring Deposits',
+  loan: 'Loans'
+};
+
+// What a slab's amount is measured on, per product type
+const slabBases = {
+  account: 'balance',
+  fd: 'deposit',
+  rd: 'monthly installment',
+  loan: 'amount borrowed'
+};
+
+const statusStyles = {
+  pending: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-300',
+  approved: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-300',
+  rejected: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-300',
+  withdrawn: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300'
+};
+
+const formatAmount = (amount) => `₹${parseFloat(amount || 0).toLocaleString('en-IN')}`;
+
+const slabLabel = (slabs, index) => {
+  const from = slabs[index].amount_from;
+  const next = slabs[index + 1];
+  if (!next) {
+    return from > 0 ? `${formatAmount(from)} and above` : 'Any amount';
+  }
+  return `${formatAmount(from)} to below ${formatAmount(next.amount_from)}`;
+};
+
+// Interest rate cards per product. Approved cards are never edited: a rate change is
+// requested with its effective date and slabs, and takes effect once an admin other than
+// the requester approves it.
+const RateCardEditor = () => {
+  const { user } = useAuth();
+  const [products, setProducts] = useState([]);
+  const [productId, setProductId] = useState('');
+  const [cards, setCards] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [form, setForm] = useState(null);
+
+  const product = products.find(p => p.id === parseInt(productId));
+
+  const fetchProducts = async () => {
+    try {
+      const response = await apiHelpers.get(endpoints.products.list);
+      if (response.success) {
+        setProducts(response.products);
+        if (response.products.length > 0) {
+          setProductId(String(response.products[0].id));
+        }
+      }
+    } catch (error) {
+      console.error('Error fetching products:', error);
+    }
+  };
+
+  const fetchCards = async () => {
+    try {
+      setLoading(true);
+      const response = await apiHelpers.get(endpoints.rateCards.list, productId ? { product_id: productId } : {});
+      if (response.success) {
+        setCards(response.rate_cards);
+      }
+    } catch (error) {
+      console.error('Error fetching rate cards:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchProducts();
+  }, []);
+
+  useEffect(() => {
+    setForm(null);
+    fetchCards();
+  }, [productId]);
+
+  const pending = cards.filter(card => card.status === 'pending');
+
+  // A change starts from the rates in force
+  const startNew = () => {
+    const current = cards.find(card => card.is_current);
+    setForm({
+      effective_from: today(),
+      notes: '',
+      slabs: current
+        ? current.slabs.map(slab => ({ ...slab }))
+        : [{ amount_from: 0, interest_rate: '' }]
+    });
+  };
+
+  const handleFormChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSlabChange = (index, name, value) => {
+    setForm(prev => ({
+      ...prev,
+      slabs: prev.slabs.map((slab, i) => (i === index ? { ...slab, [name]: value } : slab))
+    }));
+  };
+
+  const addSlab = () => {
+    setForm(prev => ({ ...prev, slabs: [...prev.slabs, { amount_from: '', interest_rate: '' }] }));
+  };
+
+  const removeSlab = (index) => {
+    setForm(prev => ({ ...prev, slabs: prev.slabs.filter((_, i) => i !== index) }));
+  };
+
+  const handleRequest = async () => {
+    try {
+      setSaving(true);
+      const response = await apiHelpers.post(endpoints.rateCards.create, { ...form, product_id: parseInt(productId) });
+      if (response.success) {
+        toast.success(response.message);
+        setForm(null);
+        fetchCards();
+      }
+    } catch (error) {
+      console.error('Error requesting rate change:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReview = async (card, action) => {
+    let note = null;
+    if (action === 'approve') {
+      if (!window.confirm(`Approve the rates for ${card.product_name} taking effect on ${card.effective_from}?`)) {
+        return;
+      }
+    } else {
+      note = window.prompt(action === 'reject' ? 'Reason for rejecting this rate change:' : 'Reason for withdrawing this rate change:');
+      if (note === null) {
+        return;
+      }
+    }
+
+    try {
+      const response = await apiHelpers.post(endpoints.rateCards[action](card.id), { note });
+      if (response.success) {
+        toast.success(response.message);
+        fetchCards();
+        fetchProducts();
+      }
+    } catch (error) {
+      console.error(`Error on rate change ${action}:`, error);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100">
+            Interest Rate Cards
+          </h3>
+          <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+            Each slab's rate applies to the whole {product ? slabBases[product.product_type] : 'amount'}. A rate change takes effect on its date once another admin approves it.
+          </p>
+        </div>
+        <div className="flex space-x-2">
+          <select
+            value={productId}
+            onChange={(e) => setProductId(e.target.value)}
+            className="input-field"
+          >
+            {Object.entries(typeLabels).map(([type, label]) => (
+              <optgroup key={type} label={label}>
+                {products.filter(p => p.product_type === type).map(p => (
+                  <option key={p.id} value={p.id}>
+                    {p.name}{p.is_active ? '' : ' (retired)'}
+                  </option>
+                ))}
+              </optgroup>
+            ))}
+          </select>
+          {!form && product && pending.length === 0 && (
+            <button type="button" onClick={startNew} className="btn-primary whitespace-nowrap">
+              Request Change
+            </button>
+          )}
+        </div>
+      </div>
+
+      {form && (
+        <div className="border border-gray-200 dark:border-gray-700 rounded-md p-4 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Effective From *
+              </label>
+              <input
+                type="date"
+                name="effective_from"
+                value={form.effective_from}
+                onChange={handleFormChange}
+                min={today()}
+                className="input-field"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Notes
+              </label>
+              <input
+                type="text"
+                name="notes"
+                value={form.notes}
+                onChange={handleFormChange}
+                placeholder="e.g. Board resolution of 12 March"
+                className="input-field"
+              />
+            </div>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+              <thead className="bg-gray-50 dark:bg-gray-800">
+                <tr>
+                  {[`${slabBases[product.product_type]} from (₹)`, 'Rate (% p.a.)', ''].map(heading => (
+                    <th key={heading} className="px-3 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                      {heading}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {form.slabs.map((slab, index) => (
+                  <tr key={index}>
+                    <td className="px-3 py-2">
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={slab.amount_from}
+                        onChange={(e) => handleSlabChange(index, 'amount_from', e.target.value)}
+                        disabled={index === 0}
+                        className="input-field w-40"
+                      />
+                    </td>
+                    <td className="px-3 py-2">
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        step="0.01"
+                        value={slab.interest_rate}
+                        onChange={(e) => handleSlabChange(index, 'interest_rate', e.target.value)}
+                        className="input-field w-28"
+                      />
+                    </td>
+                    <td className="px-3 py-2 text-right">
+                      {index > 0 && (
+                        <button
+                          type="button"
+                          onClick={() => removeSlab(index)}
+                          className="text-sm text-red-600 hover:text-red-900 dark:text-red-400 dark:hover:text-red-300"
+                        >
+                          Remove
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex justify-between">
+            <button type="button" onClick={addSlab} className="btn-secondary">
+              Add Slab
+            </button>
+            <div className="flex space-x-3">
+              <button type="button" onClick={() => setForm(null)} className="btn-secondary">
+                Cancel
+              </button>
+              <button type="button" onClick={handleRequest} disabled={saving} className="btn-primary">
+                {saving ? 'Sending...' : 'Send for Approval'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex items-center justify-center py-12">
+          <LoadingSpinner size="lg" />
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {cards.map(card => {
+            const ownRequest = user && card.requested_by === user.id;
+            const notInForce = card.status === 'approved' && card.effective_from > today();
+
+            return (
+              <div key={card.id} className="border border-gray-200 dark:border-gray-700 rounded-md p-4">
+                <div className="flex items-center justify-between mb-3">
+                  <div>
+                    <span className="text-sm font-medium text-gray-900 dark:text-gray-100">
+                      Effective {new Date(card.effective_from).toLocaleDateString()}
+                    </span>
+                    {card.is_current ? (
+                      <span className="ml-2 inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300">
+                        In force
+                      </span>
+                    ) : (
+                      <span className={`ml-2 inline-flex px-2 py-1 text-xs font-semibold rounded-full ${statusStyles[card.status]}`}>
+                        {notInForce ? 'Scheduled' : card.status.charAt(0).toUpperCase() + card.status.slice(1)}
+                      </span>
+                    )}
+                    <span className="ml-2 text-sm text-gray-500 dark:text-gray-400">
+                      Requested by {card.requested_by_name || 'system'}
+                      {card.reviewed_by_name ? `, ${card.status === 'withdrawn' ? 'withdrawn' : 'reviewed'} by ${card.reviewed_by_name}` : ''}
+                      {card.notes ? ` - ${card.notes}` : ''}
+                      {card.review_note ? ` (${card.review_note})` : ''}
+                    </span>
+                  </div>
+                  {!form && (card.status === 'pending' || notInForce) && (
+                    <div className="space-x-4 text-sm font-medium">
+                      {card.status === 'pending' && (
+                        <>
+                          <button
+                            type="button"
+                            onClick={() => handleReview(card, 'approve')}
+                            disabled={ownRequest}
+                            title={ownRequest ? 'Another admin must approve your request' : undefined}
+                            className="text-green-600 hover:text-green-900 dark:text-green-400 dark:hover:text-green-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                          >
+                            Approve
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => handleReview(card, 'reject')}
+                            disabled={ownRequest}
+                            className="text-red-600 hover:text-red-900 dark:text-red-400 dark:hover:text-red-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                          >
+                            Reject
+                          </button>
+                        </>
+                      )}
+                      <button
+                        type="button"
+                        onClick={() => handleReview(card, 'withdraw')}
+                        className="text-gray-600 hover:text-gray-900 dark:text-gray-400 dark:hover:text-gray-300"
+                      >
+                        Withdraw
+                      </button>
+                    </div>
+                  )}
+                </div>
+                <ul className="text-sm text-gray-600 dark:text-gray-400 space-y-1">
+                  {card.slabs.map((slab, index) => (
+                    <li key={slab.amount_from}>
+                      {slabLabel(card.slabs, index)}: {slab.interest_rate}% p.a.
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            );
+          })}
+          {cards.length === 0 && (
+            <p className="text-sm text-gray-500 dark:text-gray-400">No rate cards for this product.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RateCardEditor;
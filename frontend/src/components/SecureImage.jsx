@@ -0,0 +1,40 @@
+import React, { useState, useEffect } from 'react';
+import { apiHelpers } from '../api/axios';
+
+// Customer images are only served to signed-in users, so a plain <img src> (which sends no
+// auth header) cannot load them; fetch the bytes instead and show them from an object URL
+const SecureImage = ({ src, alt, className, fallback = null }) => {
+  const [objectUrl, setObjectUrl] = useState(null);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    if (!src) return undefined;
+
+    let cancelled = false;
+    let url = null;
+    setObjectUrl(null);
+    setFailed(false);
+
+    apiHelpers.getBlob(src)
+      .then(blob => {
+        if (cancelled) return;
+        url = URL.createObjectURL(blob);
+        setObjectUrl(url);
+      })
+      .catch(() => {
+        if (!cancelled) setFailed(true);
+      });
+
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [src]);
+
+  if (!src || failed) return fallback;
+  if (!objectUrl) return <span className="text-xs text-gray-400">Loading...</span>;
+
+  return <img src={objectUrl} alt={alt} className={className} />;
+};
+
+export default SecureImage;
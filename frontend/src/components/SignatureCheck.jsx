@@ -0,0 +1,141 @@
+import React, { useState, useEffect } from 'react';
+import { apiHelpers, endpoints } from '../api/axios';
+import SecureImage from './SecureImage';
+
+// The photo and specimen signature of each holder giving a withdrawal. The account's operating mode
+// decides who that is: the first holder, every holder (jointly) or whichever holders are present
+// (either or survivor). Above the configured amount the teller must confirm they compared each
+// signature; the confirmation names the specimen versions they saw so the server can refuse it if a
+// signature was replaced in the meantime.
+const SignatureCheck = ({ accountId, amount, confirmation, onChange }) => {
+  const [specimen, setSpecimen] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setSpecimen(null);
+    onChange(null);
+    if (!accountId) return undefined;
+
+    apiHelpers.get(endpoints.accounts.specimen(accountId))
+      .then(response => {
+        if (!cancelled && response.success) {
+          setSpecimen(response.specimen);
+          onChange({ operated_by: response.specimen.required_holder_ids || [response.specimen.holders[0].customer_id] });
+        }
+      })
+      .catch(error => console.error('Error fetching specimen:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [accountId]);
+
+  if (!specimen) return null;
+
+  const required = parseFloat(amount) > specimen.signature_check_above;
+  const choosable = !specimen.required_holder_ids;
+  const operatedBy = confirmation?.operated_by || [];
+  const operators = specimen.holders.filter(holder => operatedBy.includes(holder.customer_id));
+  const unsigned = operators.filter(holder => !holder.signature);
+
+  const setOperatedBy = (ids) => onChange({ operated_by: ids });
+
+  const toggleHolder = (customerId, checked) => setOperatedBy(checked
+    ? specimen.holders.map(holder => holder.customer_id).filter(id => id === customerId || operatedBy.includes(id))
+    : operatedBy.filter(id => id !== customerId));
+
+  const confirm = (checked) => onChange(checked
+    ? {
+      operated_by: operatedBy,
+      signature_verified: true,
+      signature_document_ids: operators.map(holder => holder.signature.id)
+    }
+    : { operated_by: operatedBy });
+
+  return (
+    <div className="p-3 border border-gray-200 dark:border-gray-700 rounded-lg space-y-3">
+      {specimen.holders.length > 1 && (
+        <div className="text-sm text-gray-700 dark:text-gray-300">
+          <div className="font-medium">Operated {specimen.operating_mode_label.toLowerCase()}</div>
+          {choosable ? (
+            <div className="mt-1 space-y-1">
+              <div className="text-xs text-gray-500 dark:text-gray-400">Holders giving this withdrawal</div>
+              {specimen.holders.map(holder => (
+                <label key={holder.customer_id} className="flex items-center">
+                  <input
+                    type="checkbox"
+                    checked={operatedBy.includes(holder.customer_id)}
+                    onChange={(e) => toggleHolder(holder.customer_id, e.target.checked)}
+                    className="mr-2"
+                  />
+                  {holder.customer_name}{holder.is_first_holder ? ' (first holder)' : ''}
+                </label>
+              ))}
+            </div>
+          ) : (
+            <div className="text-xs text-gray-500 dark:text-gray-400">
+              Given by {operators.map(holder => holder.customer_name).join(', ')}
+            </div>
+          )}
+        </div>
+      )}
+
+      {operators.map(holder => (
+        <div key={holder.customer_id}>
+          {operators.length > 1 && (
+            <div className="text-sm font-medium text-gray-900 dark:text-gray-100 mb-1">{holder.customer_name}</div>
+          )}
+          <div className="grid grid-cols-2 gap-3">
+            {['photo', 'signature'].map(type => (
+              <div key={type}>
+                <div className="text-xs text-gray-500 dark:text-gray-400 mb-1 capitalize">
+                  {type}{holder[type] ? ` (version ${holder[type].version})` : ''}
+                </div>
+                <div className="h-28 flex items-center justify-center bg-gray-50 dark:bg-gray-700 rounded overflow-hidden">
+                  {holder[type] ? (
+                    <SecureImage
+                      src={endpoints.accounts.specimenImage(accountId, holder.customer_id, type)}
+                      alt={`${holder.customer_name} ${type}`}
+                      className="max-h-28 object-contain"
+                      fallback={<span className="text-xs text-gray-400">Could not load</span>}
+                    />
+                  ) : (
+                    <span className="text-xs text-gray-400">Not on file</span>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+
+      {operators.length === 0 && (
+        <div className="text-sm text-red-600 dark:text-red-400">Tick the holders giving this withdrawal.</div>
+      )}
+
+      {required && operators.length > 0 && (unsigned.length === 0 ? (
+        <label className="flex items-start text-sm text-gray-700 dark:text-gray-300">
+          <input
+            type="checkbox"
+            checked={!!confirmation?.signature_verified}
+            onChange={(e) => confirm(e.target.checked)}
+            className="mt-1 mr-2"
+          />
+          I have compared the {operators.length > 1 ? 'signatures' : 'signature'} on the withdrawal slip with the
+          {operators.length > 1 ? ' specimens' : ' specimen'} above and {operators.length > 1 ? 'they match' : 'it matches'}
+        </label>
+      ) : (
+        <div className="text-sm text-red-600 dark:text-red-400">
+          No specimen signature is on file for {unsigned.map(holder => holder.customer_name).join(', ')}. Upload one on the customer's profile before paying out more than ₹{specimen.signature_check_above.toLocaleString()}.
+        </div>
+      ))}
+      {!required && (
+        <div className="text-xs text-gray-500 dark:text-gray-400">
+          Signature confirmation is required above ₹{specimen.signature_check_above.toLocaleString()}.
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SignatureCheck;
@@ -1,11 +1,18 @@
 import React, { useState, useEffect } from 'react';
 import toast from 'react-hot-toast';
 import { apiHelpers, endpoints } from '../api/axios';
+import { useAuth } from '../context/AuthContext';
 import LoadingSpinner from '../components/LoadingSpinner';
+import ProductTerms from '../components/ProductTerms';
+import { KycBadge } from '../components/CustomerDocuments';
+import SignatureCheck from '../components/SignatureCheck';
+import HoldersModal from '../components/HoldersModal';
 
 const Accounts = () => {
+  const { hasRole } = useAuth();
   const [accounts, setAccounts] = useState([]);
   const [customers, setCustomers] = useState([]);
+  const [products, setProducts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
   const [showAddModal, setShowAddModal] = useState(false);
@@ -21,10 +28,11 @@ const Accounts = () => {
   // Form state for adding new account
   const [newAccount, setNewAccount] = useState({
     customer_id: '',
-    account_type: 'savings',
+    product_id: '',
     initial_deposit: '',
-    interest_rate: '',
-    minimum_balance: ''
+    minimum_balance: '',
+    kyc_override: false,
+    kyc_override_reason: ''
   });
 
   // Form state for transactions
@@ -33,6 +41,8 @@ const Accounts = () => {
     description: '',
     reference: ''
   });
+  const [signatureCheck, setSignatureCheck] = useState(null);
+  const [holdersFor, setHoldersFor] = useState(null);
 
   // Fetch accounts
   const fetchAccounts = async (search = '', offset = 0) => {
@@ -76,6 +86,18 @@ const Accounts = () => {
     }
   };
 
+  // Fetch the account products on offer
+  const fetchProducts = async () => {
+    try {
+      const response = await apiHelpers.get(endpoints.products.list, { product_type: 'account', active: true });
+      if (response.success) {
+        setProducts(response.products);
+      }
+    } catch (error) {
+      console.error('Error fetching products:', error);
+    }
+  };
+
   // Handle search
   const handleSearch = (e) => {
     const value = e.target.value;
@@ -98,6 +120,11 @@ const Accounts = () => {
     }));
   };
 
+  // KYC of the customer picked for a new account; verified KYC past its due date has expired
+  const selectedCustomer = customers.find(customer => customer.id === parseInt(newAccount.customer_id));
+  const kycVerified = selectedCustomer?.kyc_status === 'verified'
+    && !(selectedCustomer.kyc_due_date && selectedCustomer.kyc_due_date <= new Date().toISOString().split('T')[0]);
+
   // Handle transaction form input changes
   const handleTransactionInputChange = (e) => {
     const { name, value } = e.target;
@@ -119,10 +146,11 @@ const Accounts = () => {
         setShowAddModal(false);
         setNewAccount({
           customer_id: '',
-          account_type: 'savings',
+          product_id: '',
           initial_deposit: '',
-          interest_rate: '',
-          minimum_balance: ''
+          minimum_balance: '',
+          kyc_override: false,
+          kyc_override_reason: ''
         });
         fetchAccounts(searchTerm, pagination.offset);
       } else {
@@ -143,7 +171,8 @@ const Accounts = () => {
         ? endpoints.accounts.deposit(selectedAccount.id)
         : endpoints.accounts.withdraw(selectedAccount.id);
       
-      const response = await apiHelpers.post(endpoint, transactionForm);
+      const payload = transactionType === 'withdraw' ? { ...transactionForm, ...signatureCheck } : transactionForm;
+      const response = await apiHelpers.post(endpoint, payload);
       
       if (response.success) {
         toast.success(`${transactionType === 'deposit' ? 'Deposit' : 'Withdrawal'} successful`);
@@ -187,6 +216,7 @@ const Accounts = () => {
   useEffect(() => {
     fetchAccounts();
     fetchCustomers();
+    fetchProducts();
   }, []);
 
   // Get status badge color
@@ -310,6 +340,11 @@ const Accounts = () => {
                     <div className="text-sm text-gray-900 dark:text-gray-100">
                       {account.customer_name}
                     </div>
+                    {account.operating_mode && account.operating_mode !== 'single' && (
+                      <div className="text-xs text-primary-600 dark:text-primary-400">
+                        Joint · {account.operating_mode.replace(/_/g, ' ')}
+                      </div>
+                    )}
                     <div className="text-sm text-gray-500 dark:text-gray-400">
                       {account.customer_phone}
                     </div>
@@ -362,6 +397,12 @@ const Accounts = () => {
                           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M20 12H4" />
                         </svg>
                       </button>
+                      <button
+                        onClick={() => setHoldersFor(account)}
+                        className="text-gray-600 hover:text-gray-900 dark:text-gray-400 dark:hover:text-gray-300"
+                      >
+                        Holders
+                      </button>
                       <button className="text-gray-600 hover:text-gray-900 dark:text-gray-400 dark:hover:text-gray-300">
                         View
                       </button>
@@ -480,26 +521,37 @@ const Accounts = () => {
                         </option>
                       ))}
                     </select>
+                    {selectedCustomer && (
+                      <KycBadge status={selectedCustomer.kyc_status} dueDate={selectedCustomer.kyc_due_date} />
+                    )}
                   </div>
 
                   <div>
                     <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-                      Account Type *
+                      Product *
                     </label>
                     <select
-                      name="account_type"
-                      value={newAccount.account_type}
+                      name="product_id"
+                      value={newAccount.product_id}
                       onChange={handleInputChange}
                       required
                       className="input-field"
                     >
-                      <option value="savings">Savings Account</option>
-                      <option value="current">Current Account</option>
-                      <option value="fixed">Fixed Deposit Account</option>
-                      <option value="salary">Salary Account</option>
+                      <option value="">Select Product</option>
+                      {products.map(product => (
+                        <option key={product.id} value={product.id}>
+                          {product.name} - {product.interest_rate}% p.a.
+                        </option>
+                      ))}
                     </select>
                   </div>
 
+                  {newAccount.product_id && (
+                    <div className="md:col-span-2">
+                      <ProductTerms product={products.find(product => product.id === parseInt(newAccount.product_id))} />
+                    </div>
+                  )}
+
                   <div>
                     <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
                       Initial Deposit *
@@ -517,23 +569,36 @@ const Accounts = () => {
                     />
                   </div>
 
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-                      Interest Rate (% per annum) *
-                    </label>
-                    <input
-                      type="number"
-                      name="interest_rate"
-                      value={newAccount.interest_rate}
-                      onChange={handleInputChange}
-                      required
-                      min="0"
-                      max="15"
-                      step="0.1"
-                      className="input-field"
-                      placeholder="Enter interest rate"
-                    />
-                  </div>
+                  {selectedCustomer && !kycVerified && (
+                    <div className="md:col-span-2 rounded-md bg-yellow-50 dark:bg-yellow-900/30 p-3 text-sm text-yellow-800 dark:text-yellow-200">
+                      {hasRole('admin') ? (
+                        <div className="space-y-2">
+                          <label className="flex items-center">
+                            <input
+                              type="checkbox"
+                              checked={newAccount.kyc_override}
+                              onChange={(e) => setNewAccount(prev => ({ ...prev, kyc_override: e.target.checked }))}
+                              className="mr-2"
+                            />
+                            Open this account without verified KYC
+                          </label>
+                          {newAccount.kyc_override && (
+                            <input
+                              type="text"
+                              name="kyc_override_reason"
+                              value={newAccount.kyc_override_reason}
+                              onChange={handleInputChange}
+                              required
+                              className="input-field"
+                              placeholder="Reason for the override"
+                            />
+                          )}
+                        </div>
+                      ) : (
+                        'This customer\'s KYC must be verified on their profile before an account can be opened.'
+                      )}
+                    </div>
+                  )}
 
                   <div className="md:col-span-2">
                     <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
@@ -574,6 +639,20 @@ const Accounts = () => {
         </div>
       )}
 
+      {/* Holders & Nominees Modal */}
+      {holdersFor && (
+        <HoldersModal
+          productType="account"
+          productId={holdersFor.id}
+          productNumber={holdersFor.account_number}
+          customers={customers}
+          onClose={() => {
+            setHoldersFor(null);
+            fetchAccounts(searchTerm, pagination.offset);
+          }}
+        />
+      )}
+
       {/* Transaction Modal */}
       {showTransactionModal && selectedAccount && (
         <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
@@ -649,6 +728,15 @@ const Accounts = () => {
                   />
                 </div>
 
+                {transactionType === 'withdraw' && (
+                  <SignatureCheck
+                    accountId={selectedAccount.id}
+                    amount={transactionForm.amount}
+                    confirmation={signatureCheck}
+                    onChange={setSignatureCheck}
+                  />
+                )}
+
                 <div className="flex justify-end space-x-3 pt-4">
                   <button
                     type="button"
@@ -0,0 +1,947 @@
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { apiHelpers, endpoints } from '../api/axios';
+import { useAuth } from '../context/AuthContext';
+import LoadingSpinner from '../components/LoadingSpinner';
+import ClaimStatementModal from '../components/ClaimStatementModal';
+
+const formatAmount = (amount) => `₹${parseFloat(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2 })}`;
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : '-');
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const statusColors = {
+  open: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200',
+  submitted: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200',
+  settled: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200'
+};
+
+const emptyClaim = {
+  customer_id: '',
+  date_of_death: '',
+  informant_name: '',
+  informant_relation: '',
+  informant_phone: '',
+  notes: ''
+};
+
+const emptyHeir = {
+  customer_id: '',
+  name: '',
+  relationship: '',
+  dob: '',
+  share_percent: '',
+  guardian_name: '',
+  guardian_relation: ''
+};
+
+const isMinorOn = (dob) => {
+  if (!dob) return false;
+  const eighteenth = new Date(dob);
+  eighteenth.setFullYear(eighteenth.getFullYear() + 18);
+  return eighteenth > new Date();
+};
+
+const Claims = () => {
+  const { hasRole } = useAuth();
+  const isAdmin = hasRole('admin');
+  const [claims, setClaims] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [customers, setCustomers] = useState([]);
+  const [openForm, setOpenForm] = useState(null);
+  const [claim, setClaim] = useState(null);
+  const [documentTypes, setDocumentTypes] = useState({});
+  const [heirsForm, setHeirsForm] = useState(null);
+  const [payoutForm, setPayoutForm] = useState(null);
+  const [rejectReason, setRejectReason] = useState(null);
+  const [showStatement, setShowStatement] = useState(false);
+  const [uploading, setUploading] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const fetchClaims = async (status = statusFilter) => {
+    try {
+      const response = await apiHelpers.get(endpoints.claims.list, status ? { status } : {});
+      if (response.success) {
+        setClaims(response.claims);
+      }
+    } catch (error) {
+      console.error('Error fetching claims:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchCustomers = async () => {
+    try {
+      const response = await apiHelpers.get(endpoints.customers.list, { limit: 1000 });
+      if (response.success) {
+        setCustomers(response.customers.filter(customer => !customer.date_of_death));
+      }
+    } catch (error) {
+      console.error('Error fetching customers:', error);
+    }
+  };
+
+  const fetchClaim = async (id) => {
+    try {
+      const response = await apiHelpers.get(endpoints.claims.get(id));
+      if (response.success) {
+        setClaim(response.claim);
+        setDocumentTypes(response.document_types);
+      }
+    } catch (error) {
+      console.error('Error fetching claim:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchClaims();
+    fetchCustomers();
+  }, []);
+
+  const refresh = (updated) => {
+    if (updated) {
+      setClaim(updated);
+    } else if (claim) {
+      fetchClaim(claim.id);
+    }
+    fetchClaims();
+  };
+
+  const handleStatusFilter = (e) => {
+    setStatusFilter(e.target.value);
+    fetchClaims(e.target.value);
+  };
+
+  const handleOpen = async (e) => {
+    e.preventDefault();
+    const customer = customers.find(entry => entry.id === parseInt(openForm.customer_id));
+    if (!window.confirm(`Record the death of ${customer ? customer.name : 'this customer'}? Their accounts, deposits and loans will be frozen until the claim is settled.`)) {
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const response = await apiHelpers.post(endpoints.claims.open, openForm);
+      if (response.success) {
+        toast.success(response.message);
+        setOpenForm(null);
+        fetchCustomers();
+        refresh(response.claim);
+      }
+    } catch (error) {
+      console.error('Error opening claim:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const startHeirs = () => {
+    const heirs = claim.claimants
+      .filter(claimant => claimant.claimant_type === 'heir')
+      .map(heir => ({
+        customer_id: heir.customer_id || '',
+        name: heir.name,
+        relationship: heir.relationship || '',
+        dob: heir.dob || '',
+        share_percent: heir.share_percent,
+        guardian_name: heir.guardian_name || '',
+        guardian_relation: heir.guardian_relation || '',
+        payout_mode: heir.payout_mode,
+        payout_account_id: heir.payout_account_id
+      }));
+    setHeirsForm(heirs.length > 0 ? heirs : [{ ...emptyHeir }]);
+  };
+
+  const updateHeir = (index, field, value) => {
+    setHeirsForm(prev => prev.map((heir, position) => {
+      if (position !== index) return heir;
+      if (field !== 'customer_id') return { ...heir, [field]: value };
+
+      // A customer heir brings their own name and date of birth
+      const customer = customers.find(entry => entry.id === parseInt(value));
+      return { ...heir, customer_id: value, name: customer ? customer.name : '', dob: customer ? customer.dob || '' : '' };
+    }));
+  };
+
+  const heirShareTotal = heirsForm
+    ? heirsForm.reduce((sum, heir) => sum + (parseFloat(heir.share_percent) || 0), 0)
+    : 0;
+
+  const handleHeirs = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const response = await apiHelpers.put(endpoints.claims.heirs(claim.id), {
+        heirs: heirsForm.map(heir => ({
+          ...heir,
+          customer_id: heir.customer_id || null,
+          dob: heir.dob || null,
+          share_percent: parseFloat(heir.share_percent)
+        }))
+      });
+      if (response.success) {
+        toast.success(response.message);
+        setHeirsForm(null);
+        refresh(response.claim);
+      }
+    } catch (error) {
+      console.error('Error updating legal heirs:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handlePayout = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      let payoutAccountId = null;
+      if (payoutForm.payout_mode === 'account') {
+        const lookup = await apiHelpers.get(endpoints.accounts.getByNumber(payoutForm.account_number.trim()));
+        if (!lookup.success) return;
+        payoutAccountId = lookup.account.id;
+      }
+
+      const response = await apiHelpers.put(endpoints.claims.payout(claim.id, payoutForm.claimant.id), {
+        payout_mode: payoutForm.payout_mode,
+        payout_account_id: payoutAccountId
+      });
+      if (response.success) {
+        toast.success(response.message);
+        setPayoutForm(null);
+        refresh(response.claim);
+      }
+    } catch (error) {
+      console.error('Error updating payout:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUpload = async (documentType, e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      setUploading(documentType);
+      const formData = new FormData();
+      formData.append('document_type', documentType);
+      formData.append('file', file);
+      const response = await apiHelpers.upload(endpoints.claims.uploadDocument(claim.id), formData);
+      if (response.success) {
+        toast.success(response.message);
+        fetchClaim(claim.id);
+      }
+    } catch (error) {
+      console.error('Error uploading claim document:', error);
+    } finally {
+      setUploading(null);
+    }
+  };
+
+  // Documents need the auth header, so open them from a fetched copy rather than a link
+  const openDocument = async (document) => {
+    const viewer = window.open('', '_blank');
+    try {
+      const blob = await apiHelpers.getBlob(document.url);
+      const url = URL.createObjectURL(blob);
+      if (viewer) viewer.location.href = url;
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+      if (viewer) viewer.close();
+      console.error('Error opening claim document:', error);
+    }
+  };
+
+  const handleSubmit = async () => {
+    try {
+      setSaving(true);
+      const response = await apiHelpers.post(endpoints.claims.submit(claim.id));
+      if (response.success) {
+        toast.success(response.message);
+        fetchClaim(claim.id);
+        fetchClaims();
+      }
+    } catch (error) {
+      console.error('Error submitting claim:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleApprove = async () => {
+    const payable = claim.settlement.totals.payable;
+    if (!window.confirm(`Settle claim ${claim.claim_number}, paying ${formatAmount(payable)} to the nominees and heirs?`)) {
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const response = await apiHelpers.post(endpoints.claims.approve(claim.id), { expected_amount: payable });
+      if (response.success) {
+        toast.success(response.message);
+        refresh(response.claim);
+      }
+    } catch (error) {
+      console.error('Error approving claim:', error);
+      // The settlement changed since it was reviewed; show the new figures
+      if (error.response?.status === 409) {
+        fetchClaim(claim.id);
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReject = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const response = await apiHelpers.post(endpoints.claims.reject(claim.id), { reason: rejectReason });
+      if (response.success) {
+        toast.success(response.message);
+        setRejectReason(null);
+        fetchClaim(claim.id);
+        fetchClaims();
+      }
+    } catch (error) {
+      console.error('Error rejecting claim:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-96">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  const settlement = claim ? claim.settlement : null;
+  const presentTypes = claim ? claim.documents.map(document => document.document_type) : [];
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="clay-card-lg p-6">
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-gray-100">
+              Deceased Member Claims
+            </h1>
+            <p className="text-gray-600 dark:text-gray-400 mt-1">
+              Record a member's death to freeze their products, then settle them to the nominees and legal heirs.
+            </p>
+          </div>
+          <button onClick={() => setOpenForm({ ...emptyClaim })} className="btn-primary mt-4 md:mt-0">
+            Record a Death
+          </button>
+        </div>
+      </div>
+
+      {/* Claims */}
+      <div className="clay-card p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-medium text-gray-900 dark:text-gray-100">Claims</h2>
+          <select value={statusFilter} onChange={handleStatusFilter} className="input-field w-auto">
+            <option value="">All</option>
+            <option value="open">Open</option>
+            <option value="submitted">Awaiting approval</option>
+            <option value="settled">Settled</option>
+          </select>
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+            <thead className="bg-gray-50 dark:bg-gray-800">
+              <tr>
+                {['Claim', 'Deceased', 'Date of Death', 'Status', 'Opened By', ''].map(heading => (
+                  <th key={heading} className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    {heading}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+              {claims.map(entry => (
+                <tr key={entry.id} className={claim && claim.id === entry.id ? 'bg-gray-50 dark:bg-gray-700' : ''}>
+                  <td className="px-4 py-2 text-sm text-gray-900 dark:text-gray-100">{entry.claim_number}</td>
+                  <td className="px-4 py-2 text-sm text-gray-900 dark:text-gray-100">{entry.customer_name}</td>
+                  <td className="px-4 py-2 text-sm text-gray-500 dark:text-gray-400">{formatDate(entry.date_of_death)}</td>
+                  <td className="px-4 py-2 text-sm">
+                    <span className={`inline-flex px-2 py-0.5 text-xs font-semibold rounded-full capitalize ${statusColors[entry.status]}`}>
+                      {entry.status}
+                    </span>
+                    {entry.status === 'open' && entry.rejection_reason && (
+                      <span className="block text-xs text-red-600 dark:text-red-400">Sent back</span>
+                    )}
+                  </td>
+                  <td className="px-4 py-2 text-sm text-gray-500 dark:text-gray-400">{entry.opened_by_name || '-'}</td>
+                  <td className="px-4 py-2 text-sm text-right">
+                    <button onClick={() => fetchClaim(entry.id)} className="text-primary-600 hover:text-primary-900 dark:text-primary-400">
+                      View
+                    </button>
+                  </td>
+                </tr>
+              ))}
+              {claims.length === 0 && (
+                <tr>
+                  <td colSpan="6" className="px-4 py-4 text-sm text-center text-gray-500 dark:text-gray-400">No claims</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Claim */}
+      {claim && (
+        <div className="clay-card p-6 space-y-6">
+          <div className="flex flex-col md:flex-row md:items-start md:justify-between">
+            <div>
+              <h2 className="text-lg font-medium text-gray-900 dark:text-gray-100">
+                {claim.claim_number} - {claim.customer_name}
+              </h2>
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                Died {formatDate(claim.date_of_death)}; reported by {claim.informant_name}
+                {claim.informant_relation ? ` (${claim.informant_relation})` : ''}
+                {claim.informant_phone ? `, ${claim.informant_phone}` : ''}
+              </p>
+              {claim.notes && <p className="text-sm text-gray-500 dark:text-gray-400">{claim.notes}</p>}
+              {claim.status === 'open' && claim.rejection_reason && (
+                <p className="text-sm text-red-600 dark:text-red-400 mt-1">
+                  Sent back by {claim.rejected_by_name}: {claim.rejection_reason}
+                </p>
+              )}
+              {claim.status === 'submitted' && (
+                <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+                  Submitted by {claim.submitted_by_name} for {formatAmount(claim.submitted_amount)}
+                </p>
+              )}
+              {claim.status === 'settled' && (
+                <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+                  Settled on {formatDate(claim.settled_at)}, approved by {claim.settled_by_name}
+                </p>
+              )}
+            </div>
+            <div className="flex space-x-2 mt-4 md:mt-0">
+              {claim.status === 'open' && (
+                <>
+                  <button onClick={startHeirs} className="btn-secondary">
+                    Legal Heirs
+                  </button>
+                  <button onClick={handleSubmit} disabled={saving} className="btn-primary">
+                    Submit for Approval
+                  </button>
+                </>
+              )}
+              {claim.status === 'submitted' && isAdmin && (
+                <>
+                  <button onClick={() => setRejectReason('')} className="btn-secondary">
+                    Send Back
+                  </button>
+                  <button onClick={handleApprove} disabled={saving || settlement.blocking.length > 0} className="btn-primary">
+                    Approve & Settle
+                  </button>
+                </>
+              )}
+              {claim.status === 'settled' && (
+                <button onClick={() => setShowStatement(true)} className="btn-primary">
+                  Statement
+                </button>
+              )}
+            </div>
+          </div>
+
+          {claim.survivorship.length > 0 && (
+            <div className="text-sm text-gray-600 dark:text-gray-400">
+              <span className="font-medium">Passed to surviving holders: </span>
+              {claim.survivorship.map(entry => `${entry.product_number} to ${entry.survivors.join(', ')}`).join('; ')}
+            </div>
+          )}
+
+          {claim.status !== 'settled' && settlement.blocking.length > 0 && (
+            <ul className="text-sm text-red-600 dark:text-red-400 list-disc list-inside">
+              {settlement.blocking.map(item => <li key={item}>{item}</li>)}
+            </ul>
+          )}
+
+          {/* Settlement */}
+          <div>
+            <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              {claim.status === 'settled' ? 'Settlement' : `Settlement as on ${formatDate(settlement.as_of)}`}
+            </h3>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+                <thead className="bg-gray-50 dark:bg-gray-800">
+                  <tr>
+                    {['Product', 'Value', 'To Loans', 'Paid To', 'Payout', 'Amount'].map(heading => (
+                      <th key={heading} className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                        {heading}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                  {settlement.products.map(product => (
+                    <React.Fragment key={`${product.product_type}-${product.product_id}`}>
+                      {(product.payees.length > 0 ? product.payees : [null]).map((payee, index) => (
+                        <tr key={payee ? payee.claimant_id : 'none'}>
+                          {index === 0 && (
+                            <>
+                              <td rowSpan={product.payees.length || 1} className="px-4 py-2 text-sm text-gray-900 dark:text-gray-100 align-top">
+                                {product.product_number}
+                                <span className="block text-xs text-gray-500 dark:text-gray-400">{product.description}</span>
+                              </td>
+                              <td rowSpan={product.payees.length || 1} className="px-4 py-2 text-sm text-gray-900 dark:text-gray-100 align-top">
+                                {formatAmount(product.gross)}
+                              </td>
+                              <td rowSpan={product.payees.length || 1} className="px-4 py-2 text-sm text-red-600 dark:text-red-400 align-top">
+                                {product.loan_deduction > 0 ? formatAmount(product.loan_deduction) : '-'}
+                              </td>
+                            </>
+                          )}
+                          <td className="px-4 py-2 text-sm text-gray-900 dark:text-gray-100">
+                            {payee ? (
+                              <>
+                                {payee.paid_to}
+                                <span className="block text-xs text-gray-500 dark:text-gray-400">
+                                  {payee.claimant_type === 'nominee' ? 'Nominee' : 'Legal heir'}, {payee.share_percent}%
+                                </span>
+                              </>
+                            ) : (
+                              <span className="text-gray-500 dark:text-gray-400">Legal heirs not recorded</span>
+                            )}
+                          </td>
+                          <td className="px-4 py-2 text-sm text-gray-500 dark:text-gray-400">
+                            {payee ? (payee.payout_mode === 'account' ? payee.payout_account_number : 'Cash') : '-'}
+                          </td>
+                          <td className="px-4 py-2 text-sm text-gray-900 dark:text-gray-100">
+                            {payee ? formatAmount(payee.amount) : '-'}
+                          </td>
+                        </tr>
+                      ))}
+                    </React.Fragment>
+                  ))}
+                  {settlement.products.length === 0 && (
+                    <tr>
+                      <td colSpan="6" className="px-4 py-4 text-sm text-center text-gray-500 dark:text-gray-400">No products in this claim</td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+
+            {settlement.loans.length > 0 && (
+              <ul className="mt-3 text-sm text-gray-600 dark:text-gray-400 space-y-1">
+                {settlement.loans.map(loan => (
+                  <li key={loan.loan_id}>
+                    Loan {loan.loan_number}: {formatAmount(loan.owed)} owed, {formatAmount(loan.recovered)} recovered from the deposits
+                    {loan.shortfall > 0 && <span className="text-red-600 dark:text-red-400">, {formatAmount(loan.shortfall)} left outstanding</span>}
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <dl className="mt-3 text-sm grid grid-cols-2 md:grid-cols-4 gap-4">
+              {[
+                ['Value of deposits', settlement.totals.estate],
+                ['Loans owed', settlement.totals.loans_owed],
+                ['Recovered against loans', settlement.totals.loans_recovered],
+                ['Payable', settlement.totals.payable]
+              ].map(([label, value]) => (
+                <div key={label}>
+                  <dt className="text-gray-500 dark:text-gray-400">{label}</dt>
+                  <dd className="text-lg font-semibold text-gray-900 dark:text-gray-100">{formatAmount(value)}</dd>
+                </div>
+              ))}
+            </dl>
+          </div>
+
+          {/* Claimants */}
+          {claim.status === 'open' && claim.claimants.length > 0 && (
+            <div>
+              <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Claimants</h3>
+              <ul className="text-sm text-gray-600 dark:text-gray-400 space-y-1">
+                {claim.claimants.map(claimant => (
+                  <li key={claimant.id} className="flex items-center justify-between">
+                    <span>
+                      {claimant.name} ({claimant.claimant_type === 'nominee' ? 'nominee' : 'legal heir'}
+                      {claimant.relationship ? `, ${claimant.relationship}` : ''}, {claimant.share_percent}%)
+                      {claimant.is_minor && ` - minor, guardian ${claimant.guardian_name}`}
+                      {' - '}{claimant.payout_mode === 'account' ? `to account ${claimant.payout_account_number}` : 'cash'}
+                    </span>
+                    <button
+                      onClick={() => setPayoutForm({
+                        claimant,
+                        payout_mode: claimant.payout_mode,
+                        account_number: claimant.payout_account_number || ''
+                      })}
+                      className="text-primary-600 hover:text-primary-900 dark:text-primary-400"
+                    >
+                      Payout
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {/* Documents */}
+          <div>
+            <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Documents</h3>
+            <ul className="text-sm text-gray-600 dark:text-gray-400 space-y-1 mb-3">
+              {claim.documents.map(document => (
+                <li key={document.id}>
+                  <button onClick={() => openDocument(document)} className="text-primary-600 hover:text-primary-900 dark:text-primary-400">
+                    {document.label}
+                  </button>
+                  {' '}{document.original_name} uploaded {formatDate(document.uploaded_at)}
+                  {document.uploaded_by_name ? ` by ${document.uploaded_by_name}` : ''}
+                </li>
+              ))}
+              {claim.documents.length === 0 && <li>No documents uploaded</li>}
+            </ul>
+            {claim.status === 'open' && (
+              <div className="flex flex-wrap gap-2">
+                {Object.entries(documentTypes).map(([type, label]) => (
+                  <label key={type} className={`btn-secondary cursor-pointer ${presentTypes.includes(type) ? 'opacity-75' : ''}`}>
+                    {uploading === type ? 'Uploading...' : `${presentTypes.includes(type) ? '✓ ' : ''}${label}`}
+                    <input
+                      type="file"
+                      accept="image/jpeg,image/png,application/pdf"
+                      onChange={(e) => handleUpload(type, e)}
+                      disabled={uploading !== null}
+                      className="hidden"
+                    />
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Record a Death Modal */}
+      {openForm && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-11/12 md:w-2/3 lg:w-1/2 shadow-lg rounded-md bg-white dark:bg-gray-800">
+            <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100 mb-4">
+              Record a Member's Death
+            </h3>
+            <form onSubmit={handleOpen} className="space-y-4">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Customer *
+                  </label>
+                  <select
+                    value={openForm.customer_id}
+                    onChange={(e) => setOpenForm(prev => ({ ...prev, customer_id: e.target.value }))}
+                    required
+                    className="input-field"
+                  >
+                    <option value="">Select customer</option>
+                    {customers.map(customer => (
+                      <option key={customer.id} value={customer.id}>{customer.name} - {customer.phone}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Date of Death *
+                  </label>
+                  <input
+                    type="date"
+                    value={openForm.date_of_death}
+                    onChange={(e) => setOpenForm(prev => ({ ...prev, date_of_death: e.target.value }))}
+                    required
+                    max={today()}
+                    className="input-field"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Reported By *
+                  </label>
+                  <input
+                    type="text"
+                    value={openForm.informant_name}
+                    onChange={(e) => setOpenForm(prev => ({ ...prev, informant_name: e.target.value }))}
+                    required
+                    className="input-field"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Relation to the Deceased
+                  </label>
+                  <input
+                    type="text"
+                    value={openForm.informant_relation}
+                    onChange={(e) => setOpenForm(prev => ({ ...prev, informant_relation: e.target.value }))}
+                    className="input-field"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Phone
+                  </label>
+                  <input
+                    type="tel"
+                    value={openForm.informant_phone}
+                    onChange={(e) => setOpenForm(prev => ({ ...prev, informant_phone: e.target.value }))}
+                    className="input-field"
+                  />
+                </div>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  Notes
+                </label>
+                <textarea
+                  value={openForm.notes}
+                  onChange={(e) => setOpenForm(prev => ({ ...prev, notes: e.target.value }))}
+                  rows={2}
+                  className="input-field"
+                />
+              </div>
+              <div className="flex justify-end space-x-3">
+                <button type="button" onClick={() => setOpenForm(null)} className="btn-secondary">
+                  Cancel
+                </button>
+                <button type="submit" disabled={saving} className="btn-primary">
+                  {saving ? 'Recording...' : 'Record & Open Claim'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Legal Heirs Modal */}
+      {heirsForm && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-11/12 md:w-3/4 shadow-lg rounded-md bg-white dark:bg-gray-800">
+            <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100 mb-1">
+              Legal Heirs - {claim.claim_number}
+            </h3>
+            <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+              The heirs share whatever has no nominee. Their shares must add up to 100%.
+            </p>
+            <form onSubmit={handleHeirs} className="space-y-4">
+              {heirsForm.map((heir, index) => (
+                <div key={index} className="grid grid-cols-1 md:grid-cols-6 gap-3 items-end border-b border-gray-200 dark:border-gray-700 pb-3">
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Customer</label>
+                    <select
+                      value={heir.customer_id}
+                      onChange={(e) => updateHeir(index, 'customer_id', e.target.value)}
+                      className="input-field"
+                    >
+                      <option value="">Not a customer</option>
+                      {customers.filter(customer => customer.id !== claim.customer_id).map(customer => (
+                        <option key={customer.id} value={customer.id}>{customer.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Name *</label>
+                    <input
+                      type="text"
+                      value={heir.name}
+                      onChange={(e) => updateHeir(index, 'name', e.target.value)}
+                      required
+                      disabled={Boolean(heir.customer_id)}
+                      className="input-field"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Relationship *</label>
+                    <input
+                      type="text"
+                      value={heir.relationship}
+                      onChange={(e) => updateHeir(index, 'relationship', e.target.value)}
+                      required
+                      className="input-field"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Date of Birth</label>
+                    <input
+                      type="date"
+                      value={heir.dob}
+                      onChange={(e) => updateHeir(index, 'dob', e.target.value)}
+                      max={today()}
+                      className="input-field"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Share % *</label>
+                    <input
+                      type="number"
+                      value={heir.share_percent}
+                      onChange={(e) => updateHeir(index, 'share_percent', e.target.value)}
+                      required
+                      min="0.01"
+                      max="100"
+                      step="0.01"
+                      className="input-field"
+                    />
+                  </div>
+                  <div className="text-right">
+                    <button
+                      type="button"
+                      onClick={() => setHeirsForm(prev => prev.filter((_, position) => position !== index))}
+                      className="text-red-600 hover:text-red-900 dark:text-red-400 text-sm"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                  {isMinorOn(heir.dob) && (
+                    <>
+                      <div className="md:col-span-2">
+                        <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Guardian (heir is a minor) *</label>
+                        <input
+                          type="text"
+                          value={heir.guardian_name}
+                          onChange={(e) => updateHeir(index, 'guardian_name', e.target.value)}
+                          required
+                          className="input-field"
+                        />
+                      </div>
+                      <div className="md:col-span-2">
+                        <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Guardian's Relation *</label>
+                        <input
+                          type="text"
+                          value={heir.guardian_relation}
+                          onChange={(e) => updateHeir(index, 'guardian_relation', e.target.value)}
+                          required
+                          className="input-field"
+                        />
+                      </div>
+                    </>
+                  )}
+                </div>
+              ))}
+
+              <div className="flex items-center justify-between">
+                <button
+                  type="button"
+                  onClick={() => setHeirsForm(prev => [...prev, { ...emptyHeir }])}
+                  className="btn-secondary"
+                >
+                  Add Heir
+                </button>
+                <span className={`text-sm ${Math.abs(heirShareTotal - 100) < 0.005 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+                  Total {Math.round(heirShareTotal * 100) / 100}%
+                </span>
+              </div>
+
+              <div className="flex justify-end space-x-3">
+                <button type="button" onClick={() => setHeirsForm(null)} className="btn-secondary">
+                  Cancel
+                </button>
+                <button type="submit" disabled={saving} className="btn-primary">
+                  {saving ? 'Saving...' : 'Save Heirs'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Payout Modal */}
+      {payoutForm && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-11/12 md:w-1/2 lg:w-1/3 shadow-lg rounded-md bg-white dark:bg-gray-800">
+            <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100 mb-4">
+              Payout to {payoutForm.claimant.name}
+            </h3>
+            <form onSubmit={handlePayout} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  Paid By
+                </label>
+                <select
+                  value={payoutForm.payout_mode}
+                  onChange={(e) => setPayoutForm(prev => ({ ...prev, payout_mode: e.target.value }))}
+                  className="input-field"
+                >
+                  <option value="cash">Cash at the counter</option>
+                  <option value="account">Credit to an account</option>
+                </select>
+              </div>
+              {payoutForm.payout_mode === 'account' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Account Number *
+                  </label>
+                  <input
+                    type="text"
+                    value={payoutForm.account_number}
+                    onChange={(e) => setPayoutForm(prev => ({ ...prev, account_number: e.target.value }))}
+                    required
+                    className="input-field"
+                  />
+                </div>
+              )}
+              <div className="flex justify-end space-x-3">
+                <button type="button" onClick={() => setPayoutForm(null)} className="btn-secondary">
+                  Cancel
+                </button>
+                <button type="submit" disabled={saving} className="btn-primary">
+                  {saving ? 'Saving...' : 'Save'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Send Back Modal */}
+      {rejectReason !== null && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-11/12 md:w-1/2 lg:w-1/3 shadow-lg rounded-md bg-white dark:bg-gray-800">
+            <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100 mb-4">
+              Send Back {claim.claim_number}
+            </h3>
+            <form onSubmit={handleReject} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  What needs correcting *
+                </label>
+                <textarea
+                  value={rejectReason}
+                  onChange={(e) => setRejectReason(e.target.value)}
+                  required
+                  rows={3}
+                  className="input-field"
+                />
+              </div>
+              <div className="flex justify-end space-x-3">
+                <button type="button" onClick={() => setRejectReason(null)} className="btn-secondary">
+                  Cancel
+                </button>
+                <button type="submit" disabled={saving} className="btn-primary">
+                  {saving ? 'Sending...' : 'Send Back'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {showStatement && (
+        <ClaimStatementModal claim={claim} onClose={() => setShowStatement(false)} />
+      )}
+    </div>
+  );
+};
+
+export default Claims;
@@ -1,16 +1,269 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { apiHelpers, endpoints } from '../api/axios';
+import LoadingSpinner from '../components/LoadingSpinner';
+import CustomerDocuments from '../components/CustomerDocuments';
+
+const formatAmount = (amount) => `₹${parseFloat(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2 })}`;
+
+const productLabels = {
+  account: 'Account',
+  fd: 'FD',
+  rd: 'RD',
+  loan: 'Loan'
+};
+
+const statusLabel = (status) => String(status ?? '')
+  .split('_')
+  .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+  .join(' ');
+
+// Who else holds a product, and in what mode, from the point of view of this customer
+const holdersLabel = (product, customerId) => {
+  if (product.first_holder_id !== customerId) {
+    const others = [product.first_holder_name, ...product.joint_holders
+      .filter(holder => holder.customer_id !== customerId)
+      .map(holder => holder.name)];
+    return `Joint with ${others.join(', ')} (${statusLabel(product.operating_mode)})`;
+  }
+  if (product.joint_holders.length > 0) {
+    return `First holder with ${product.joint_holders.map(holder => holder.name).join(', ')} (${statusLabel(product.operating_mode)})`;
+  }
+  return 'Sole holder';
+};
+
+const nomineesLabel = (product) => (product.nominees.length === 0
+  ? 'None'
+  : product.nominees.map(nominee => `${nominee.name} ${nominee.share_percent}%${nominee.is_minor ? ` (minor, guardian ${nominee.guardian_name})` : ''}`).join(', '));
+
+// One product section of the profile: a heading and a table of rows
+const Section = ({ title, headings, rows, empty, children }) => (
+  <div className="clay-card p-6">
+    <div className="flex items-center justify-between mb-4">
+      <h2 className="text-lg font-medium text-gray-900 dark:text-gray-100">{title}</h2>
+      {children}
+    </div>
+    {rows.length === 0 ? (
+      <p className="text-sm text-gray-500 dark:text-gray-400">{empty}</p>
+    ) : (
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+          <thead className="bg-gray-50 dark:bg-gray-800">
+            <tr>
+              {headings.map(heading => (
+                <th key={heading} className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                  {heading}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200 dark:divide-gray-700 text-sm text-gray-900 dark:text-gray-100">
+            {rows.map((cells, index) => (
+              <tr key={index}>
+                {cells.map((cell, cellIndex) => (
+                  <td key={cellIndex} className="px-4 py-2 whitespace-nowrap">{cell}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    )}
+  </div>
+);
 
 const CustomerProfile = () => {
+  const { id } = useParams();
+  const [summary, setSummary] = useState(null);
+  const [statement, setStatement] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchSummary = async () => {
+      try {
+        setLoading(true);
+        const response = await apiHelpers.get(endpoints.customers.summary(id));
+        if (response.success) {
+          setSummary(response.summary);
+        }
+      } catch (error) {
+        console.error('Error fetching customer summary:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    // Every transaction across the customer's products, oldest first
+    const fetchStatement = async () => {
+      try {
+        const response = await apiHelpers.get(endpoints.reports.customerStatement(id));
+        if (response.success) {
+          setStatement(response.data.entries);
+        }
+      } catch (error) {
+        console.error('Error fetching customer statement:', error);
+      }
+    };
+
+    fetchSummary();
+    fetchStatement();
+  }, [id]);
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-96">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  if (!summary) {
+    return (
+      <div className="clay-card-lg p-6">
+        <p className="text-gray-600 dark:text-gray-400">Customer not found.</p>
+        <Link to="/customers" className="text-primary-600 hover:text-primary-900 dark:text-primary-400">Back to customers</Link>
+      </div>
+    );
+  }
+
+  const { customer, accounts, fixed_deposits, recurring_deposits, loans, guarantor_exposure } = summary;
+
   return (
     <div className="space-y-6">
       <div className="clay-card-lg p-6">
-        <h1 className="text-2xl font-bold text-gray-900 dark:text-gray-100 mb-4">
-          CustomerProfile
-        </h1>
-        <p className="text-gray-600 dark:text-gray-400">
-          This page is under development. Coming soon!
-        </p>
+        <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-gray-100">
+              {customer.name}
+            </h1>
+            <p className="text-gray-600 dark:text-gray-400 mt-1">
+              {customer.phone}{customer.email ? ` · ${customer.email}` : ''}
+            </p>
+            {customer.address && (
+              <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">{customer.address}</p>
+            )}
+          </div>
+          <div className="text-sm text-gray-600 dark:text-gray-400 sm:text-right">
+            {customer.pan && <div>PAN {customer.pan}</div>}
+            {customer.dob && <div>Born {new Date(customer.dob).toLocaleDateString()}</div>}
+            {customer.date_of_death && (
+              <div className="font-medium text-gray-900 dark:text-gray-100">
+                Died {new Date(customer.date_of_death).toLocaleDateString()}
+              </div>
+            )}
+            {customer.merged_into_id && (
+              <div className="font-medium text-gray-900 dark:text-gray-100">
+                Merged into{' '}
+                <Link to={`/customers/${customer.merged_into_id}`} className="text-primary-600 hover:text-primary-900 dark:text-primary-400">
+                  customer #{customer.merged_into_id}
+                </Link>
+              </div>
+            )}
+            <div>Member since {new Date(customer.created_at).toLocaleDateString()}</div>
+          </div>
+        </div>
       </div>
+
+      <CustomerDocuments customerId={id} />
+
+      <Section
+        title="Accounts"
+        headings={['Account', 'Type', 'Balance', 'Holders', 'Nominees', 'Status']}
+        rows={accounts.map(account => [
+          account.account_number,
+          statusLabel(account.account_type),
+          formatAmount(account.balance),
+          holdersLabel(account, customer.id),
+          nomineesLabel(account),
+          account.is_active ? 'Active' : 'Closed'
+        ])}
+        empty="No accounts."
+      />
+
+      <Section
+        title="Fixed Deposits"
+        headings={['FD', 'Principal', 'Rate', 'Maturity', 'Holders', 'Nominees', 'Status']}
+        rows={fixed_deposits.map(fd => [
+          fd.fd_number,
+          formatAmount(fd.principal_amount),
+          `${fd.interest_rate}%`,
+          `${formatAmount(fd.maturity_amount)} on ${new Date(fd.maturity_date).toLocaleDateString()}`,
+          holdersLabel(fd, customer.id),
+          nomineesLabel(fd),
+          fd.lien_loan_number ? `${statusLabel(fd.status)} · Lien for ${fd.lien_loan_number}` : statusLabel(fd.status)
+        ])}
+        empty="No fixed deposits."
+      />
+
+      <Section
+        title="Recurring Deposits"
+        headings={['RD', 'Monthly', 'Rate', 'Paid', 'Holders', 'Nominees', 'Status']}
+        rows={recurring_deposits.map(rd => [
+          rd.rd_number,
+          formatAmount(rd.monthly_amount),
+          `${rd.interest_rate}%`,
+          formatAmount(rd.total_paid),
+          holdersLabel(rd, customer.id),
+          nomineesLabel(rd),
+          statusLabel(rd.status)
+        ])}
+        empty="No recurring deposits."
+      />
+
+      <Section
+        title="Loans"
+        headings={['Loan', 'Type', 'Principal', 'EMI', 'Outstanding', 'Status']}
+        rows={loans.map(loan => [
+          loan.loan_number,
+          loan.fd_number ? `Against FD ${loan.fd_number}` : statusLabel(loan.loan_type),
+          formatAmount(loan.principal_amount),
+          formatAmount(loan.emi_amount),
+          formatAmount(loan.outstanding_amount),
+          statusLabel(loan.status)
+        ])}
+        empty="No loans."
+      />
+
+      <Section
+        title="Guarantor Exposure"
+        headings={['Loan', 'Borrower', 'Guaranteed', 'Loan Owes', 'Exposure', 'Status']}
+        rows={guarantor_exposure.guarantees.map(guarantee => [
+          guarantee.loan_number,
+          guarantee.borrower_name,
+          guarantee.guaranteed_amount ? formatAmount(guarantee.guaranteed_amount) : 'Whole loan',
+          formatAmount(guarantee.loan_outstanding),
+          formatAmount(guarantee.exposure),
+          guarantee.status === 'active'
+            ? `${statusLabel(guarantee.loan_status)}${guarantee.dpd > 0 ? ` · ${guarantee.dpd} DPD` : ''}`
+            : `Released ${guarantee.release_date ? new Date(guarantee.release_date).toLocaleDateString() : ''}`
+        ])}
+        empty="Not a guarantor on any loan."
+      >
+        <div className="text-sm text-gray-600 dark:text-gray-400 text-right">
+          <div>
+            {guarantor_exposure.open_guarantees} of {guarantor_exposure.max_guarantees} open guarantees ·
+            Total {formatAmount(guarantor_exposure.total_exposure)}
+          </div>
+          {guarantor_exposure.npa_exposure > 0 && (
+            <div className="text-red-600 dark:text-red-400">
+              {formatAmount(guarantor_exposure.npa_exposure)} on NPA or written-off loans
+            </div>
+          )}
+        </div>
+      </Section>
+
+      <Section
+        title="Statement"
+        headings={['Date', 'Product', 'Transaction', 'Amount', 'Description']}
+        rows={statement.map(entry => [
+          new Date(entry.transaction_date).toLocaleString(),
+          `${productLabels[entry.product]} ${entry.product_number || ''}`,
+          `${statusLabel(entry.transaction_type)}${entry.status === 'reversed' ? ' (reversed)' : ''}`,
+          formatAmount(entry.amount),
+          entry.description
+        ])}
+        empty="No transactions."
+      />
     </div>
   );
 };
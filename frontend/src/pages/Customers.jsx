@@ -3,11 +3,13 @@ import { Link } from 'react-router-dom';
 import toast from 'react-hot-toast';
 import { apiHelpers, endpoints } from '../api/axios';
 import LoadingSpinner from '../components/LoadingSpinner';
+import { KycBadge } from '../components/CustomerDocuments';
 
 const Customers = () => {
   const [customers, setCustomers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
+  const [kycFilter, setKycFilter] = useState('');
   const [showAddModal, setShowAddModal] = useState(false);
   const [pagination, setPagination] = useState({
     total: 0,
@@ -30,11 +32,12 @@ const Customers = () => {
   });
 
   // Fetch customers
-  const fetchCustomers = async (search = '', offset = 0) => {
+  const fetchCustomers = async (search = '', offset = 0, kycStatus = kycFilter) => {
     try {
       setLoading(true);
       const params = {
         search,
+        kyc_status: kycStatus || undefined,
         limit: pagination.limit,
         offset
       };
@@ -72,6 +75,11 @@ const Customers = () => {
     return () => clearTimeout(timeoutId);
   };
 
+  const handleKycFilter = (e) => {
+    setKycFilter(e.target.value);
+    fetchCustomers(searchTerm, 0, e.target.value);
+  };
+
   // Handle form input changes
   const handleInputChange = (e) => {
     const { name, value } = e.target;
@@ -171,7 +179,7 @@ const Customers = () => {
             <div className="relative">
               <input
                 type="text"
-                placeholder="Search customers by name, phone, email, or Aadhaar..."
+                placeholder="Search customers by name, phone, email, Aadhaar or account number..."
                 value={searchTerm}
                 onChange={handleSearch}
                 className="input-field pl-10 w-full"
@@ -181,6 +189,13 @@ const Customers = () => {
               </svg>
             </div>
           </div>
+          <select value={kycFilter} onChange={handleKycFilter} className="input-field sm:w-48">
+            <option value="">All KYC statuses</option>
+            <option value="pending">KYC pending</option>
+            <option value="verified">KYC verified</option>
+            <option value="rejected">KYC rejected</option>
+            <option value="expired">KYC expired</option>
+          </select>
         </div>
       </div>
 
@@ -226,6 +241,11 @@ const Customers = () => {
                         <div className="text-sm text-gray-500 dark:text-gray-400">
                           ID: {customer.id}
                         </div>
+                        {customer.joint_relationships?.map(relationship => (
+                          <div key={`${relationship.product_type}-${relationship.product_id}`} className="text-xs text-primary-600 dark:text-primary-400">
+                            {relationship.product_number} jointly with {relationship.other_holders.join(', ')}
+                          </div>
+                        ))}
                       </div>
                     </div>
                   </td>
@@ -247,6 +267,12 @@ const Customers = () => {
                       {customer.pan && (
                         <div>PAN: {customer.pan}</div>
                       )}
+                      <KycBadge status={customer.kyc_status} dueDate={customer.kyc_due_date} />
+                      {customer.date_of_death && (
+                        <span className="inline-flex px-2 py-0.5 mt-1 ml-1 text-xs font-semibold rounded-full bg-gray-200 text-gray-800 dark:bg-gray-700 dark:text-gray-200">
+                          Deceased
+                        </span>
+                      )}
                     </div>
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
@@ -0,0 +1,419 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { apiHelpers, endpoints } from '../api/axios';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : '-');
+
+const scoreColor = (score) => {
+  if (score >= 80) return 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200';
+  if (score >= 65) return 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200';
+  return 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-200';
+};
+
+const compareFields = [
+  ['Name', 'name'],
+  ['Phone', 'phone'],
+  ['Email', 'email'],
+  ['Date of Birth', 'dob'],
+  ['Aadhaar', 'aadhaar'],
+  ['PAN', 'pan'],
+  ['Address', 'address'],
+  ['KYC', 'kyc_status'],
+  ['Customer Since', 'created_at']
+];
+
+const holdingLabels = [
+  ['Accounts', 'accounts'],
+  ['Fixed Deposits', 'fixed_deposits'],
+  ['Recurring Deposits', 'recurring_deposits'],
+  ['Loans', 'loans'],
+  ['Joint Holdings', 'joint_holdings'],
+  ['Guarantees', 'guarantees'],
+  ['Documents', 'documents'],
+  ['Transactions', 'transactions']
+];
+
+const movedLabel = (table) => (table === 'holders_removed' ? 'shared holdings removed' : table.replace(/_/g, ' '));
+
+const Duplicates = () => {
+  const [duplicates, setDuplicates] = useState([]);
+  const [merges, setMerges] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('pending');
+  const [scanning, setScanning] = useState(false);
+  const [review, setReview] = useState(null);
+  const [survivorId, setSurvivorId] = useState(null);
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const fetchDuplicates = async (status = statusFilter) => {
+    try {
+      const response = await apiHelpers.get(endpoints.duplicates.list, { status });
+      if (response.success) {
+        setDuplicates(response.duplicates);
+      }
+    } catch (error) {
+      console.error('Error fetching duplicates:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchMerges = async () => {
+    try {
+      const response = await apiHelpers.get(endpoints.duplicates.merges);
+      if (response.success) {
+        setMerges(response.merges);
+      }
+    } catch (error) {
+      console.error('Error fetching merges:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchDuplicates();
+    fetchMerges();
+  }, []);
+
+  const handleStatusFilter = (e) => {
+    setStatusFilter(e.target.value);
+    fetchDuplicates(e.target.value);
+  };
+
+  const handleScan = async () => {
+    try {
+      setScanning(true);
+      const response = await apiHelpers.post(endpoints.jobs.run('duplicate_scan'));
+      if (response.success) {
+        const { summary } = response.run;
+        toast.success(`Checked ${summary.customers_checked} customers: ${summary.new_pairs} new possible duplicate(s)`);
+        fetchDuplicates();
+      } else {
+        toast.error(response.message);
+      }
+    } catch (error) {
+      console.error('Error scanning for duplicates:', error);
+    } finally {
+      setScanning(false);
+    }
+  };
+
+  const openReview = async (id) => {
+    try {
+      const response = await apiHelpers.get(endpoints.duplicates.get(id));
+      if (response.success) {
+        const { customers } = response.duplicate;
+        // Suggest keeping the record with more business on it
+        const activity = (customer) => Object.values(customer.holdings).reduce((sum, count) => sum + count, 0);
+        setSurvivorId(activity(customers[1]) > activity(customers[0]) ? customers[1].id : customers[0].id);
+        setNote('');
+        setReview(response.duplicate);
+      }
+    } catch (error) {
+      console.error('Error fetching duplicate:', error);
+    }
+  };
+
+  const closeReview = () => {
+    setReview(null);
+    setNote('');
+  };
+
+  const handleMerge = async () => {
+    const survivor = review.customers.find(customer => customer.id === survivorId);
+    const merged = review.customers.find(customer => customer.id !== survivorId);
+    if (!window.confirm(`Merge ${merged.name} (#${merged.id}) into ${survivor.name} (#${survivor.id})? Everything of #${merged.id} moves to #${survivor.id} and #${merged.id} is closed. This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const response = await apiHelpers.post(endpoints.duplicates.merge(review.id), {
+        surviving_customer_id: survivorId,
+        note
+      });
+      if (response.success) {
+        toast.success(response.message);
+        closeReview();
+        fetchDuplicates();
+        fetchMerges();
+      }
+    } catch (error) {
+      console.error('Error merging customers:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDismiss = async () => {
+    if (!note.trim()) {
+      toast.error('Add a note on why these are different people');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const response = await apiHelpers.post(endpoints.duplicates.dismiss(review.id), { note });
+      if (response.success) {
+        toast.success(response.message);
+        closeReview();
+        fetchDuplicates();
+      }
+    } catch (error) {
+      console.error('Error dismissing duplicate:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-96">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="clay-card-lg p-6">
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-gray-100">
+              Duplicate Customers
+            </h1>
+            <p className="text-gray-600 dark:text-gray-400 mt-1">
+              Records that look like the same person, matched on name in Marathi or English, phone, PAN and date of birth.
+            </p>
+          </div>
+          <button onClick={handleScan} disabled={scanning} className="btn-primary mt-4 md:mt-0">
+            {scanning ? 'Scanning...' : 'Scan Now'}
+          </button>
+        </div>
+      </div>
+
+      {/* Review Queue */}
+      <div className="clay-card p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-medium text-gray-900 dark:text-gray-100">Possible Duplicates</h2>
+          <select value={statusFilter} onChange={handleStatusFilter} className="input-field w-auto">
+            <option value="pending">Awaiting review</option>
+            <option value="dismissed">Different people</option>
+            <option value="merged">Merged</option>
+          </select>
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+            <thead className="bg-gray-50 dark:bg-gray-800">
+              <tr>
+                {['Customer', 'Possible Duplicate', 'Score', 'Why', statusFilter === 'pending' ? 'Found' : 'Reviewed', ''].map(heading => (
+                  <th key={heading} className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    {heading}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+              {duplicates.map(entry => (
+                <tr key={entry.id}>
+                  <td className="px-4 py-2 text-sm text-gray-900 dark:text-gray-100">
+                    {entry.customer_name}
+                    <span className="block text-xs text-gray-500 dark:text-gray-400">#{entry.customer_id}, {entry.customer_phone}</span>
+                  </td>
+                  <td className="px-4 py-2 text-sm text-gray-900 dark:text-gray-100">
+                    {entry.duplicate_name}
+                    <span className="block text-xs text-gray-500 dark:text-gray-400">#{entry.duplicate_customer_id}, {entry.duplicate_phone}</span>
+                  </td>
+                  <td className="px-4 py-2 text-sm">
+                    <span className={`inline-flex px-2 py-0.5 text-xs font-semibold rounded-full ${scoreColor(entry.score)}`}>
+                      {entry.score}
+                    </span>
+                  </td>
+                  <td className="px-4 py-2 text-sm text-gray-500 dark:text-gray-400">{entry.reasons.join('; ')}</td>
+                  <td className="px-4 py-2 text-sm text-gray-500 dark:text-gray-400">
+                    {statusFilter === 'pending' ? formatDate(entry.detected_at) : (
+                      <>
+                        {formatDate(entry.reviewed_at)} by {entry.reviewed_by_name || '-'}
+                        {entry.review_note && <span className="block text-xs">{entry.review_note}</span>}
+                      </>
+                    )}
+                  </td>
+                  <td className="px-4 py-2 text-sm text-right">
+                    {entry.status === 'pending' && (
+                      <button onClick={() => openReview(entry.id)} className="text-primary-600 hover:text-primary-900 dark:text-primary-400">
+                        Review
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+              {duplicates.length === 0 && (
+                <tr>
+                  <td colSpan="6" className="px-4 py-4 text-sm text-center text-gray-500 dark:text-gray-400">No possible duplicates</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Merge History */}
+      <div className="clay-card p-6">
+        <h2 className="text-lg font-medium text-gray-900 dark:text-gray-100 mb-4">Merges</h2>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+            <thead className="bg-gray-50 dark:bg-gray-800">
+              <tr>
+                {['Date', 'Kept', 'Merged', 'Moved', 'Details Copied', 'By'].map(heading => (
+                  <th key={heading} className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    {heading}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+              {merges.map(merge => (
+                <tr key={merge.id}>
+                  <td className="px-4 py-2 text-sm text-gray-500 dark:text-gray-400">{formatDate(merge.merged_at)}</td>
+                  <td className="px-4 py-2 text-sm">
+                    <Link to={`/customers/${merge.surviving_customer_id}`} className="text-primary-600 hover:text-primary-900 dark:text-primary-400">
+                      {merge.surviving_name}
+                    </Link>
+                    <span className="block text-xs text-gray-500 dark:text-gray-400">#{merge.surviving_customer_id}</span>
+                  </td>
+                  <td className="px-4 py-2 text-sm text-gray-900 dark:text-gray-100">
+                    {merge.merged_record.name}
+                    <span className="block text-xs text-gray-500 dark:text-gray-400">#{merge.merged_customer_id}</span>
+                  </td>
+                  <td className="px-4 py-2 text-sm text-gray-500 dark:text-gray-400">
+                    {Object.entries(merge.moved_counts).map(([table, count]) => `${count} ${movedLabel(table)}`).join(', ') || '-'}
+                  </td>
+                  <td className="px-4 py-2 text-sm text-gray-500 dark:text-gray-400">
+                    {Object.keys(merge.fields_copied).map(field => field.replace(/_/g, ' ')).join(', ') || '-'}
+                  </td>
+                  <td className="px-4 py-2 text-sm text-gray-500 dark:text-gray-400">
+                    {merge.merged_by_name || '-'}
+                    {merge.note && <span className="block text-xs">{merge.note}</span>}
+                  </td>
+                </tr>
+              ))}
+              {merges.length === 0 && (
+                <tr>
+                  <td colSpan="6" className="px-4 py-4 text-sm text-center text-gray-500 dark:text-gray-400">No merges yet</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Review Modal */}
+      {review && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-10 mx-auto p-5 border w-11/12 md:w-3/4 lg:w-2/3 shadow-lg rounded-md bg-white dark:bg-gray-800">
+            <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100">
+              Possible Duplicate (score {review.score})
+            </h3>
+            <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">{review.reasons.join('; ')}</p>
+
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+                <thead className="bg-gray-50 dark:bg-gray-800">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Keep</th>
+                    {review.customers.map(customer => (
+                      <th key={customer.id} className="px-4 py-2 text-left text-sm font-medium text-gray-900 dark:text-gray-100">
+                        <label className="flex items-center space-x-2 cursor-pointer">
+                          <input
+                            type="radio"
+                            name="survivor"
+                            checked={survivorId === customer.id}
+                            onChange={() => setSurvivorId(customer.id)}
+                          />
+                          <Link to={`/customers/${customer.id}`} className="text-primary-600 hover:text-primary-900 dark:text-primary-400">
+                            Customer #{customer.id}
+                          </Link>
+                        </label>
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                  {compareFields.map(([label, field]) => {
+                    const [first, second] = review.customers.map(customer => customer[field]);
+                    const differs = first && second && String(first).toLowerCase() !== String(second).toLowerCase();
+                    return (
+                      <tr key={field}>
+                        <td className="px-4 py-2 text-sm text-gray-500 dark:text-gray-400">{label}</td>
+                        {review.customers.map(customer => (
+                          <td
+                            key={customer.id}
+                            className={`px-4 py-2 text-sm ${differs && field !== 'created_at' ? 'text-yellow-700 dark:text-yellow-300' : 'text-gray-900 dark:text-gray-100'}`}
+                          >
+                            {field === 'created_at' ? formatDate(customer[field]) : (customer[field] || '-')}
+                          </td>
+                        ))}
+                      </tr>
+                    );
+                  })}
+                  {holdingLabels.map(([label, field]) => (
+                    <tr key={field}>
+                      <td className="px-4 py-2 text-sm text-gray-500 dark:text-gray-400">{label}</td>
+                      {review.customers.map(customer => (
+                        <td key={customer.id} className="px-4 py-2 text-sm text-gray-900 dark:text-gray-100">
+                          {customer.holdings[field]}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <p className="mt-4 text-sm text-gray-600 dark:text-gray-400">
+              Merging moves every account, deposit, loan, document and transaction of the other record to the one kept.
+              The kept record keeps its own details and KYC status, taking only what it is missing from the other.
+            </p>
+
+            {review.conflicts.length > 0 && (
+              <ul className="mt-3 text-sm text-red-600 dark:text-red-400 list-disc list-inside">
+                {review.conflicts.map(conflict => <li key={conflict}>{conflict}</li>)}
+              </ul>
+            )}
+
+            <div className="mt-4">
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Note
+              </label>
+              <textarea
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                rows={2}
+                placeholder="Why these are, or are not, the same person"
+                className="input-field"
+              />
+            </div>
+
+            <div className="flex justify-end space-x-3 mt-4">
+              <button type="button" onClick={closeReview} className="btn-secondary">
+                Cancel
+              </button>
+              <button type="button" onClick={handleDismiss} disabled={saving} className="btn-secondary">
+                Different People
+              </button>
+              <button type="button" onClick={handleMerge} disabled={saving || review.conflicts.length > 0} className="btn-primary">
+                {saving ? 'Saving...' : 'Merge'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Duplicates;
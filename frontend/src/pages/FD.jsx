@@ -2,13 +2,24 @@ import React, { useState, useEffect } from 'react';
 import toast from 'react-hot-toast';
 import { apiHelpers, endpoints } from '../api/axios';
 import LoadingSpinner from '../components/LoadingSpinner';
+import ClosureQuoteModal from '../components/ClosureQuoteModal';
+import FDLoanModal from '../components/FDLoanModal';
+import HoldersModal from '../components/HoldersModal';
+import ProductTerms, { slabRate } from '../components/ProductTerms';
+
+const COMPOUNDING_PERIODS = { monthly: 12, quarterly: 4, half_yearly: 2, yearly: 1 };
 
 const FD = () => {
   const [fds, setFds] = useState([]);
   const [customers, setCustomers] = useState([]);
+  const [customerAccounts, setCustomerAccounts] = useState([]);
+  const [products, setProducts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
   const [showAddModal, setShowAddModal] = useState(false);
+  const [closingFD, setClosingFD] = useState(null);
+  const [borrowingFD, setBorrowingFD] = useState(null);
+  const [holdersFor, setHoldersFor] = useState(null);
   const [pagination, setPagination] = useState({
     total: 0,
     limit: 20,
@@ -18,11 +29,11 @@ const FD = () => {
   // Form state for adding new FD
   const [newFD, setNewFD] = useState({
     customer_id: '',
+    product_id: '',
     principal_amount: '',
-    interest_rate: '',
     tenure_months: '',
-    fd_type: 'regular',
-    auto_renewal: false,
+    maturity_instruction: 'payout_savings',
+    payout_account_id: '',
     nominee_name: '',
     nominee_relation: ''
   });
@@ -69,6 +80,35 @@ const FD = () => {
     }
   };
 
+  // Fetch the selected customer's accounts for the maturity payout dropdown
+  const fetchCustomerAccounts = async (customerId) => {
+    if (!customerId) {
+      setCustomerAccounts([]);
+      return;
+    }
+
+    try {
+      const response = await apiHelpers.get(endpoints.accounts.list, { customer_id: customerId, limit: 100 });
+      if (response.success) {
+        setCustomerAccounts(response.accounts.filter(account => account.is_active));
+      }
+    } catch (error) {
+      console.error('Error fetching customer accounts:', error);
+    }
+  };
+
+  // Fetch the FD products on offer
+  const fetchProducts = async () => {
+    try {
+      const response = await apiHelpers.get(endpoints.products.list, { product_type: 'fd', active: true });
+      if (response.success) {
+        setProducts(response.products);
+      }
+    } catch (error) {
+      console.error('Error fetching products:', error);
+    }
+  };
+
   // Handle search
   const handleSearch = (e) => {
     const value = e.target.value;
@@ -87,16 +127,42 @@ const FD = () => {
     const { name, value, type, checked } = e.target;
     setNewFD(prev => ({
       ...prev,
-      [name]: type === 'checkbox' ? checked : value
+      [name]: type === 'checkbox' ? checked : value,
+      ...(name === 'customer_id' ? { payout_account_id: '' } : {})
     }));
+
+    if (name === 'customer_id') {
+      fetchCustomerAccounts(value);
+    }
   };
 
-  // Calculate maturity amount
-  const calculateMaturityAmount = (principal, rate, tenure) => {
-    const maturityAmount = principal * Math.pow(1 + (rate / 100 / 4), (tenure / 3)); // Quarterly compounding
+  // Carry out a matured FD's maturity instruction
+  const handleProcessMaturity = async (fd) => {
+    if (!window.confirm(`Carry out the maturity instruction for ${fd.fd_number}?`)) {
+      return;
+    }
+
+    try {
+      const response = await apiHelpers.post(endpoints.fd.processMaturity(fd.id));
+
+      if (response.success) {
+        toast.success(response.message);
+        fetchFDs(searchTerm, pagination.offset);
+      }
+    } catch (error) {
+      console.error('Error processing FD maturity:', error);
+    }
+  };
+
+  // Calculate maturity amount, compounding as often as the product does
+  const calculateMaturityAmount = (principal, rate, tenure, compounding = 'monthly') => {
+    const periods = COMPOUNDING_PERIODS[compounding];
+    const maturityAmount = principal * Math.pow(1 + (rate / 100 / periods), (tenure * periods / 12));
     return isNaN(maturityAmount) ? 0 : maturityAmount;
   };
 
+  const selectedProduct = products.find(product => product.id === parseInt(newFD.product_id));
+
   // Handle form submission
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -109,11 +175,11 @@ const FD = () => {
         setShowAddModal(false);
         setNewFD({
           customer_id: '',
+          product_id: '',
           principal_amount: '',
-          interest_rate: '',
           tenure_months: '',
-          fd_type: 'regular',
-          auto_renewal: false,
+          maturity_instruction: 'payout_savings',
+          payout_account_id: '',
           nominee_name: '',
           nominee_relation: ''
         });
@@ -144,6 +210,7 @@ const FD = () => {
   useEffect(() => {
     fetchFDs();
     fetchCustomers();
+    fetchProducts();
   }, []);
 
   // Get status badge color
@@ -157,6 +224,12 @@ const FD = () => {
     return colors[status] || colors.active;
   };
 
+  const maturityInstructionLabels = {
+    payout_savings: 'Pay out to savings',
+    renew_principal: 'Renew principal, interest to savings',
+    renew_principal_interest: 'Renew principal + interest'
+  };
+
   // Calculate days to maturity
   const getDaysToMaturity = (maturityDate) => {
     const today = new Date();
@@ -254,7 +327,7 @@ const FD = () => {
                         {fd.fd_number}
                       </div>
                       <div className="text-sm text-gray-500 dark:text-gray-400">
-                        {fd.fd_type?.charAt(0).toUpperCase() + fd.fd_type?.slice(1)} FD
+                        {fd.product_terms?.name || 'Fixed Deposit'}
                       </div>
                       <div className="text-xs text-gray-400">
                         {fd.tenure_months} months @ {fd.interest_rate}%
@@ -265,6 +338,11 @@ const FD = () => {
                     <div className="text-sm text-gray-900 dark:text-gray-100">
                       {fd.customer_name}
                     </div>
+                    {fd.operating_mode && fd.operating_mode !== 'single' && (
+                      <div className="text-xs text-primary-600 dark:text-primary-400">
+                        Joint · {fd.operating_mode.replace(/_/g, ' ')}
+                      </div>
+                    )}
                     <div className="text-sm text-gray-500 dark:text-gray-400">
                       {fd.customer_phone}
                     </div>
@@ -295,18 +373,56 @@ const FD = () => {
                     <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getStatusBadge(fd.status)}`}>
                       {fd.status?.charAt(0).toUpperCase() + fd.status?.slice(1)}
                     </span>
-                    {fd.auto_renewal && (
+                    {fd.maturity_instruction && (
                       <div className="text-xs text-blue-600 dark:text-blue-400 mt-1">
-                        Auto-renewal
+                        {maturityInstructionLabels[fd.maturity_instruction]}
+                      </div>
+                    )}
+                    {fd.lien_loan_number && (
+                      <div className="text-xs text-orange-600 dark:text-orange-400 mt-1">
+                        Lien: loan {fd.lien_loan_number}
                       </div>
                     )}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
-                    {fd.status === 'matured' && (
-                      <button className="text-primary-600 hover:text-primary-900 dark:text-primary-400 dark:hover:text-primary-300 mr-4">
+                    {fd.maturity_instruction && ['active', 'matured'].includes(fd.status) && getDaysToMaturity(fd.maturity_date) <= 0 && (
+                      <button
+                        onClick={() => handleProcessMaturity(fd)}
+                        className="text-primary-600 hover:text-primary-900 dark:text-primary-400 dark:hover:text-primary-300 mr-4"
+                      >
+                        Process Maturity
+                      </button>
+                    )}
+                    {fd.status === 'matured' && !fd.maturity_instruction && !fd.lien_loan_number && (
+                      <button
+                        onClick={() => setClosingFD({ fd, isPremature: false })}
+                        className="text-primary-600 hover:text-primary-900 dark:text-primary-400 dark:hover:text-primary-300 mr-4"
+                      >
                         Close FD
                       </button>
                     )}
+                    {fd.status === 'active' && getDaysToMaturity(fd.maturity_date) > 0 && !fd.lien_loan_number && (
+                      <button
+                        onClick={() => setBorrowingFD(fd)}
+                        className="text-green-600 hover:text-green-900 dark:text-green-400 dark:hover:text-green-300 mr-4"
+                      >
+                        Borrow
+                      </button>
+                    )}
+                    {fd.status === 'active' && getDaysToMaturity(fd.maturity_date) > 0 && !fd.lien_loan_number && (
+                      <button
+                        onClick={() => setClosingFD({ fd, isPremature: true })}
+                        className="text-yellow-600 hover:text-yellow-900 dark:text-yellow-400 dark:hover:text-yellow-300 mr-4"
+                      >
+                        Close Early
+                      </button>
+                    )}
+                    <button
+                      onClick={() => setHoldersFor(fd)}
+                      className="text-gray-600 hover:text-gray-900 dark:text-gray-400 dark:hover:text-gray-300 mr-4"
+                    >
+                      Holders
+                    </button>
                     <button className="text-gray-600 hover:text-gray-900 dark:text-gray-400 dark:hover:text-gray-300">
                       View
                     </button>
@@ -385,6 +501,46 @@ const FD = () => {
         )}
       </div>
 
+      {/* Close FD Modal */}
+      {closingFD && (
+        <ClosureQuoteModal
+          productType="fd"
+          deposit={{ id: closingFD.fd.id, number: closingFD.fd.fd_number }}
+          isPremature={closingFD.isPremature}
+          onClose={() => setClosingFD(null)}
+          onClosed={() => {
+            setClosingFD(null);
+            fetchFDs(searchTerm, pagination.offset);
+          }}
+        />
+      )}
+
+      {/* Loan Against FD Modal */}
+      {borrowingFD && (
+        <FDLoanModal
+          fd={borrowingFD}
+          onClose={() => setBorrowingFD(null)}
+          onSaved={() => {
+            setBorrowingFD(null);
+            fetchFDs(searchTerm, pagination.offset);
+          }}
+        />
+      )}
+
+      {/* Holders & Nominees Modal */}
+      {holdersFor && (
+        <HoldersModal
+          productType="fd"
+          productId={holdersFor.id}
+          productNumber={holdersFor.fd_number}
+          customers={customers}
+          onClose={() => {
+            setHoldersFor(null);
+            fetchFDs(searchTerm, pagination.offset);
+          }}
+        />
+      )}
+
       {/* Add FD Modal */}
       {showAddModal && (
         <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
@@ -428,22 +584,30 @@ const FD = () => {
 
                   <div>
                     <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-                      FD Type *
+                      Product *
                     </label>
                     <select
-                      name="fd_type"
-                      value={newFD.fd_type}
+                      name="product_id"
+                      value={newFD.product_id}
                       onChange={handleInputChange}
                       required
                       className="input-field"
                     >
-                      <option value="regular">Regular FD</option>
-                      <option value="senior_citizen">Senior Citizen FD</option>
-                      <option value="tax_saver">Tax Saver FD</option>
-                      <option value="flexi">Flexi FD</option>
+                      <option value="">Select Product</option>
+                      {products.map(product => (
+                        <option key={product.id} value={product.id}>
+                          {product.name} - {product.interest_rate}% p.a.
+                        </option>
+                      ))}
                     </select>
                   </div>
 
+                  {selectedProduct && (
+                    <div className="md:col-span-2">
+                      <ProductTerms product={selectedProduct} />
+                    </div>
+                  )}
+
                   <div>
                     <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
                       Principal Amount *
@@ -461,24 +625,6 @@ const FD = () => {
                     />
                   </div>
 
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-                      Interest Rate (% per annum) *
-                    </label>
-                    <input
-                      type="number"
-                      name="interest_rate"
-                      value={newFD.interest_rate}
-                      onChange={handleInputChange}
-                      required
-                      min="1"
-                      max="15"
-                      step="0.1"
-                      className="input-field"
-                      placeholder="Enter interest rate"
-                    />
-                  </div>
-
                   <div>
                     <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
                       Tenure (Months) *
@@ -509,8 +655,9 @@ const FD = () => {
                       type="text"
                       value={`₹${calculateMaturityAmount(
                         parseFloat(newFD.principal_amount) || 0,
-                        parseFloat(newFD.interest_rate) || 0,
-                        parseInt(newFD.tenure_months) || 0
+                        selectedProduct ? slabRate(selectedProduct, parseFloat(newFD.principal_amount) || 0) : 0,
+                        parseInt(newFD.tenure_months) || 0,
+                        selectedProduct?.compounding
                       ).toLocaleString()}`}
                       readOnly
                       className="input-field bg-gray-50 dark:bg-gray-700"
@@ -556,17 +703,43 @@ const FD = () => {
                   </div>
                 </div>
 
-                <div className="flex items-center">
-                  <input
-                    type="checkbox"
-                    name="auto_renewal"
-                    checked={newFD.auto_renewal}
-                    onChange={handleInputChange}
-                    className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
-                  />
-                  <label className="ml-2 block text-sm text-gray-700 dark:text-gray-300">
-                    Enable auto-renewal on maturity
-                  </label>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                      On Maturity *
+                    </label>
+                    <select
+                      name="maturity_instruction"
+                      value={newFD.maturity_instruction}
+                      onChange={handleInputChange}
+                      required
+                      className="input-field"
+                    >
+                      {Object.entries(maturityInstructionLabels).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                      Payout Account {newFD.maturity_instruction !== 'renew_principal_interest' && '*'}
+                    </label>
+                    <select
+                      name="payout_account_id"
+                      value={newFD.payout_account_id}
+                      onChange={handleInputChange}
+                      required={newFD.maturity_instruction !== 'renew_principal_interest'}
+                      className="input-field"
+                    >
+                      <option value="">{newFD.customer_id ? 'Select account' : 'Select a customer first'}</option>
+                      {customerAccounts.map(account => (
+                        <option key={account.id} value={account.id}>
+                          {account.account_number} - {account.account_type}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
                 </div>
 
                 <div className="flex justify-end space-x-3 pt-4">
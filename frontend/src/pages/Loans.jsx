@@ -3,13 +3,28 @@ import { Link } from 'react-router-dom';
 import toast from 'react-hot-toast';
 import { apiHelpers, endpoints } from '../api/axios';
 import LoadingSpinner from '../components/LoadingSpinner';
+import LoanRepaymentModal from '../components/LoanRepaymentModal';
+import LoanScheduleModal from '../components/LoanScheduleModal';
+import LoanWorkflowModal from '../components/LoanWorkflowModal';
+import LoanLetterModal from '../components/LoanLetterModal';
+import LoanSecurityModal from '../components/LoanSecurityModal';
+import ProductTerms, { slabRate } from '../components/ProductTerms';
+
+const COMPOUNDING_PERIODS = { monthly: 12, quarterly: 4, half_yearly: 2, yearly: 1 };
 
 const Loans = () => {
   const [loans, setLoans] = useState([]);
   const [customers, setCustomers] = useState([]);
+  const [products, setProducts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
   const [showAddModal, setShowAddModal] = useState(false);
+  const [repaymentLoan, setRepaymentLoan] = useState(null);
+  const [scheduleLoan, setScheduleLoan] = useState(null);
+  const [workflow, setWorkflow] = useState(null);
+  const [letter, setLetter] = useState(null);
+  const [securityLoan, setSecurityLoan] = useState(null);
+  const [portfolio, setPortfolio] = useState(null);
   const [pagination, setPagination] = useState({
     total: 0,
     limit: 20,
@@ -19,14 +34,10 @@ const Loans = () => {
   // Form state for adding new loan
   const [newLoan, setNewLoan] = useState({
     customer_id: '',
-    loan_type: 'personal',
+    product_id: '',
     principal_amount: '',
-    interest_rate: '',
     tenure_months: '',
-    purpose: '',
-    guarantor_name: '',
-    guarantor_contact: '',
-    guarantor_address: ''
+    purpose: ''
   });
 
   // Fetch loans
@@ -59,6 +70,18 @@ const Loans = () => {
     }
   };
 
+  // Fetch active loans by days past due and asset class
+  const fetchPortfolio = async () => {
+    try {
+      const response = await apiHelpers.get(endpoints.reports.loansDpd);
+      if (response.success) {
+        setPortfolio(response.data);
+      }
+    } catch (error) {
+      console.error('Error fetching loan portfolio:', error);
+    }
+  };
+
   // Fetch customers for dropdown
   const fetchCustomers = async () => {
     try {
@@ -71,6 +94,18 @@ const Loans = () => {
     }
   };
 
+  // Fetch the loan products on offer
+  const fetchProducts = async () => {
+    try {
+      const response = await apiHelpers.get(endpoints.products.list, { product_type: 'loan', active: true });
+      if (response.success) {
+        setProducts(response.products);
+      }
+    } catch (error) {
+      console.error('Error fetching products:', error);
+    }
+  };
+
   // Handle search
   const handleSearch = (e) => {
     const value = e.target.value;
@@ -93,14 +128,17 @@ const Loans = () => {
     }));
   };
 
-  // Calculate EMI
-  const calculateEMI = (principal, rate, tenure) => {
-    const monthlyRate = rate / 100 / 12;
+  // Calculate EMI, at the monthly rate equivalent to the product's compounding
+  const calculateEMI = (principal, rate, tenure, compounding = 'monthly') => {
+    const periods = COMPOUNDING_PERIODS[compounding];
+    const monthlyRate = Math.pow(1 + rate / 100 / periods, periods / 12) - 1;
     const emi = (principal * monthlyRate * Math.pow(1 + monthlyRate, tenure)) / 
                 (Math.pow(1 + monthlyRate, tenure) - 1);
     return isNaN(emi) ? 0 : emi;
   };
 
+  const selectedProduct = products.find(product => product.id === parseInt(newLoan.product_id));
+
   // Handle form submission
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -109,26 +147,22 @@ const Loans = () => {
       const response = await apiHelpers.post(endpoints.loans.create, newLoan);
       
       if (response.success) {
-        toast.success('Loan created successfully');
+        toast.success('Loan application recorded successfully');
         setShowAddModal(false);
         setNewLoan({
           customer_id: '',
-          loan_type: 'personal',
+          product_id: '',
           principal_amount: '',
-          interest_rate: '',
           tenure_months: '',
-          purpose: '',
-          guarantor_name: '',
-          guarantor_contact: '',
-          guarantor_address: ''
+          purpose: ''
         });
         fetchLoans(searchTerm, pagination.offset);
       } else {
-        toast.error(response.error || 'Failed to create loan');
+        toast.error(response.error || 'Failed to record loan application');
       }
     } catch (error) {
       console.error('Error creating loan:', error);
-      toast.error('Failed to create loan');
+      toast.error('Failed to record loan application');
     }
   };
 
@@ -149,19 +183,55 @@ const Loans = () => {
   useEffect(() => {
     fetchLoans();
     fetchCustomers();
+    fetchProducts();
+    fetchPortfolio();
   }, []);
 
   // Get status badge color
   const getStatusBadge = (status) => {
     const colors = {
+      applied: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-300',
+      under_review: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-300',
+      sanctioned: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-300',
+      disbursed: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-300',
       active: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300',
       closed: 'bg-gray-100 text-gray-800 dark:bg-gray-900 dark:text-gray-300',
-      defaulted: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-300',
-      pending: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-300'
+      foreclosed: 'bg-gray-100 text-gray-800 dark:bg-gray-900 dark:text-gray-300',
+      rejected: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-300',
+      written_off: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-300'
     };
-    return colors[status] || colors.pending;
+    return colors[status] || colors.applied;
+  };
+
+  const statusLabel = (status) => status
+    ?.split('_')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+
+  // Workflow steps open to a loan in each status; the server checks who may take them
+  const workflowActions = {
+    applied: [['review', 'Review'], ['reject', 'Reject']],
+    under_review: [['sanction', 'Sanction'], ['reject', 'Reject']],
+    sanctioned: [['disburse', 'Disburse'], ['reject', 'Reject']],
+    disbursed: [['writeOff', 'Write Off']],
+    active: [['writeOff', 'Write Off']]
   };
 
+  const isRepaying = (loan) => ['disbursed', 'active'].includes(loan.status);
+
+  // Asset classification of active loans; every class after standard is an NPA
+  const assetClassBadges = {
+    standard: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300',
+    sub_standard: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-300',
+    doubtful: 'bg-orange-100 text-orange-800 dark:bg-orange-900 dark:text-orange-300',
+    loss: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-300'
+  };
+
+  const assetClassLabel = (assetClass) => assetClass
+    ?.split('_')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join('-');
+
   if (loading && loans.length === 0) {
     return (
       <div className="flex items-center justify-center min-h-96">
@@ -190,11 +260,34 @@ const Loans = () => {
             <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
             </svg>
-            Create Loan
+            New Application
           </button>
         </div>
       </div>
 
+      {/* Portfolio Quality */}
+      {portfolio && portfolio.total.count > 0 && (
+        <div className="clay-card p-4">
+          <div className="flex items-center justify-between mb-3">
+            <h2 className="text-sm font-medium text-gray-900 dark:text-gray-100">
+              Days Past Due{portfolio.as_of ? ` as of ${new Date(portfolio.as_of).toLocaleDateString()}` : ''}
+            </h2>
+            <span className="text-sm text-gray-600 dark:text-gray-400">
+              Gross NPA {portfolio.gross_npa_percent}% · Provision ₹{portfolio.total.provision_amount?.toLocaleString()}
+            </span>
+          </div>
+          <div className="grid grid-cols-2 sm:grid-cols-4 lg:grid-cols-7 gap-3">
+            {portfolio.buckets.map(bucket => (
+              <div key={bucket.label} className="text-center">
+                <div className="text-xs text-gray-500 dark:text-gray-400">{bucket.label}</div>
+                <div className="text-lg font-semibold text-gray-900 dark:text-gray-100">{bucket.count}</div>
+                <div className="text-xs text-gray-400">₹{bucket.principal_outstanding?.toLocaleString()}</div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Search and Filters */}
       <div className="clay-card p-4">
         <div className="flex flex-col sm:flex-row gap-4">
@@ -250,7 +343,9 @@ const Loans = () => {
                         {loan.loan_number}
                       </div>
                       <div className="text-sm text-gray-500 dark:text-gray-400">
-                        {loan.loan_type?.charAt(0).toUpperCase() + loan.loan_type?.slice(1)} Loan
+                        {loan.fd_id
+                          ? `Loan against FD ${loan.fd_number}`
+                          : loan.product_terms?.name || `${loan.loan_type?.charAt(0).toUpperCase() + loan.loan_type?.slice(1)} Loan`}
                       </div>
                       <div className="text-xs text-gray-400">
                         {loan.tenure_months} months @ {loan.interest_rate}%
@@ -275,11 +370,29 @@ const Loans = () => {
                     <div className="text-xs text-gray-400">
                       Outstanding: ₹{loan.outstanding_amount?.toLocaleString()}
                     </div>
+                    {(loan.principal_due > 0 || loan.interest_due > 0 || loan.charges_due > 0) && (
+                      <div className="text-xs text-red-600 dark:text-red-400">
+                        Due: ₹{loan.principal_due?.toLocaleString()} principal, ₹{loan.interest_due?.toLocaleString()} interest
+                        {loan.charges_due > 0 ? `, ₹${loan.charges_due.toLocaleString()} charges` : ''}
+                      </div>
+                    )}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap">
                     <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getStatusBadge(loan.status)}`}>
-                      {loan.status?.charAt(0).toUpperCase() + loan.status?.slice(1)}
+                      {statusLabel(loan.status)}
                     </span>
+                    {isRepaying(loan) && (
+                      <div className="mt-1">
+                        <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${assetClassBadges[loan.asset_class] || assetClassBadges.standard}`}>
+                          {assetClassLabel(loan.asset_class || 'standard')}
+                        </span>
+                        {loan.dpd > 0 && (
+                          <div className="text-xs text-red-600 dark:text-red-400 mt-1">
+                            {loan.dpd} DPD · {loan.overdue_emis} EMI(s) overdue
+                          </div>
+                        )}
+                      </div>
+                    )}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap">
                     <div className="text-sm text-gray-900 dark:text-gray-100">
@@ -293,12 +406,55 @@ const Loans = () => {
                     </div>
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
-                    <button className="text-primary-600 hover:text-primary-900 dark:text-primary-400 dark:hover:text-primary-300 mr-4">
-                      Pay EMI
-                    </button>
-                    <button className="text-gray-600 hover:text-gray-900 dark:text-gray-400 dark:hover:text-gray-300">
-                      View
+                    {isRepaying(loan) && (
+                      <button
+                        onClick={() => setRepaymentLoan(loan)}
+                        className="text-primary-600 hover:text-primary-900 dark:text-primary-400 dark:hover:text-primary-300 mr-4"
+                      >
+                        Pay EMI
+                      </button>
+                    )}
+                    {(workflowActions[loan.status] || []).map(([action, label]) => (
+                      <button
+                        key={action}
+                        onClick={() => setWorkflow({ loan, action })}
+                        className={`${['reject', 'writeOff'].includes(action)
+                          ? 'text-red-600 hover:text-red-900 dark:text-red-400 dark:hover:text-red-300'
+                          : 'text-primary-600 hover:text-primary-900 dark:text-primary-400 dark:hover:text-primary-300'} mr-4`}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                    {loan.sanction_letter_number && (
+                      <button
+                        onClick={() => setLetter({ loan, kind: 'sanction' })}
+                        className="text-gray-600 hover:text-gray-900 dark:text-gray-400 dark:hover:text-gray-300 mr-4"
+                      >
+                        Letter
+                      </button>
+                    )}
+                    {['closed', 'foreclosed'].includes(loan.status) && (
+                      <button
+                        onClick={() => setLetter({ loan, kind: 'noDues' })}
+                        className="text-gray-600 hover:text-gray-900 dark:text-gray-400 dark:hover:text-gray-300 mr-4"
+                      >
+                        No Dues
+                      </button>
+                    )}
+                    <button
+                      onClick={() => setSecurityLoan(loan)}
+                      className="text-gray-600 hover:text-gray-900 dark:text-gray-400 dark:hover:text-gray-300 mr-4"
+                    >
+                      Security
                     </button>
+                    {!['applied', 'under_review', 'sanctioned', 'rejected'].includes(loan.status) && (
+                      <button
+                        onClick={() => setScheduleLoan(loan)}
+                        className="text-gray-600 hover:text-gray-900 dark:text-gray-400 dark:hover:text-gray-300"
+                      >
+                        View
+                      </button>
+                    )}
                   </td>
                 </tr>
               ))}
@@ -313,7 +469,7 @@ const Loans = () => {
             </svg>
             <h3 className="mt-2 text-sm font-medium text-gray-900 dark:text-gray-100">No loans found</h3>
             <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
-              {searchTerm ? 'Try adjusting your search terms.' : 'Get started by creating a new loan.'}
+              {searchTerm ? 'Try adjusting your search terms.' : 'Get started by recording a loan application.'}
             </p>
           </div>
         )}
@@ -374,6 +530,42 @@ const Loans = () => {
         )}
       </div>
 
+      {repaymentLoan && (
+        <LoanRepaymentModal
+          loan={repaymentLoan}
+          onClose={() => setRepaymentLoan(null)}
+          onSaved={() => {
+            setRepaymentLoan(null);
+            fetchLoans(searchTerm, pagination.offset);
+          }}
+        />
+      )}
+
+      {scheduleLoan && (
+        <LoanScheduleModal loan={scheduleLoan} onClose={() => setScheduleLoan(null)} />
+      )}
+
+      {workflow && (
+        <LoanWorkflowModal
+          loan={workflow.loan}
+          action={workflow.action}
+          onClose={() => setWorkflow(null)}
+          onSaved={() => {
+            setWorkflow(null);
+            fetchLoans(searchTerm, pagination.offset);
+            fetchPortfolio();
+          }}
+        />
+      )}
+
+      {letter && (
+        <LoanLetterModal loan={letter.loan} kind={letter.kind} onClose={() => setLetter(null)} />
+      )}
+
+      {securityLoan && (
+        <LoanSecurityModal loan={securityLoan} customers={customers} onClose={() => setSecurityLoan(null)} />
+      )}
+
       {/* Add Loan Modal */}
       {showAddModal && (
         <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
@@ -381,7 +573,7 @@ const Loans = () => {
             <div className="mt-3">
               <div className="flex items-center justify-between mb-4">
                 <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100">
-                  Create New Loan
+                  New Loan Application
                 </h3>
                 <button
                   onClick={() => setShowAddModal(false)}
@@ -417,27 +609,33 @@ const Loans = () => {
 
                   <div>
                     <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-                      Loan Type *
+                      Product *
                     </label>
                     <select
-                      name="loan_type"
-                      value={newLoan.loan_type}
+                      name="product_id"
+                      value={newLoan.product_id}
                       onChange={handleInputChange}
                       required
                       className="input-field"
                     >
-                      <option value="personal">Personal Loan</option>
-                      <option value="business">Business Loan</option>
-                      <option value="home">Home Loan</option>
-                      <option value="vehicle">Vehicle Loan</option>
-                      <option value="education">Education Loan</option>
-                      <option value="gold">Gold Loan</option>
+                      <option value="">Select Product</option>
+                      {products.map(product => (
+                        <option key={product.id} value={product.id}>
+                          {product.name} - {product.interest_rate}% p.a.
+                        </option>
+                      ))}
                     </select>
                   </div>
 
+                  {selectedProduct && (
+                    <div className="md:col-span-2">
+                      <ProductTerms product={selectedProduct} />
+                    </div>
+                  )}
+
                   <div>
                     <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-                      Principal Amount *
+                      Amount Applied For *
                     </label>
                     <input
                       type="number"
@@ -452,24 +650,6 @@ const Loans = () => {
                     />
                   </div>
 
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-                      Interest Rate (% per annum) *
-                    </label>
-                    <input
-                      type="number"
-                      name="interest_rate"
-                      value={newLoan.interest_rate}
-                      onChange={handleInputChange}
-                      required
-                      min="1"
-                      max="50"
-                      step="0.1"
-                      className="input-field"
-                      placeholder="Enter interest rate"
-                    />
-                  </div>
-
                   <div>
                     <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
                       Tenure (Months) *
@@ -489,14 +669,15 @@ const Loans = () => {
 
                   <div>
                     <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-                      EMI Amount (Calculated)
+                      Indicative EMI
                     </label>
                     <input
                       type="text"
                       value={`₹${calculateEMI(
                         parseFloat(newLoan.principal_amount) || 0,
-                        parseFloat(newLoan.interest_rate) || 0,
-                        parseInt(newLoan.tenure_months) || 0
+                        selectedProduct ? slabRate(selectedProduct, parseFloat(newLoan.principal_amount) || 0) : 0,
+                        parseInt(newLoan.tenure_months) || 0,
+                        selectedProduct?.compounding
                       ).toLocaleString()}`}
                       readOnly
                       className="input-field bg-gray-50 dark:bg-gray-700"
@@ -518,55 +699,9 @@ const Loans = () => {
                   />
                 </div>
 
-                <div className="border-t border-gray-200 dark:border-gray-700 pt-4">
-                  <h4 className="text-md font-medium text-gray-900 dark:text-gray-100 mb-3">
-                    Guarantor Information
-                  </h4>
-                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                    <div>
-                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-                        Guarantor Name
-                      </label>
-                      <input
-                        type="text"
-                        name="guarantor_name"
-                        value={newLoan.guarantor_name}
-                        onChange={handleInputChange}
-                        className="input-field"
-                        placeholder="Enter guarantor name"
-                      />
-                    </div>
-
-                    <div>
-                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-                        Guarantor Contact
-                      </label>
-                      <input
-                        type="tel"
-                        name="guarantor_contact"
-                        value={newLoan.guarantor_contact}
-                        onChange={handleInputChange}
-                        pattern="[6-9][0-9]{9}"
-                        className="input-field"
-                        placeholder="10-digit mobile number"
-                      />
-                    </div>
-                  </div>
-
-                  <div className="mt-4">
-                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-                      Guarantor Address
-                    </label>
-                    <textarea
-                      name="guarantor_address"
-                      value={newLoan.guarantor_address}
-                      onChange={handleInputChange}
-                      rows={2}
-                      className="input-field"
-                      placeholder="Enter guarantor address"
-                    />
-                  </div>
-                </div>
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  Guarantors and collateral are added from the loan's Security action once the application is recorded.
+                </p>
 
                 <div className="flex justify-end space-x-3 pt-4">
                   <button
@@ -580,7 +715,7 @@ const Loans = () => {
                     type="submit"
                     className="btn-primary"
                   >
-                    Create Loan
+                    Record Application
                   </button>
                 </div>
               </form>
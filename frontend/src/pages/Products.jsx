@@ -0,0 +1,689 @@
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { apiHelpers, endpoints } from '../api/axios';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+const formatAmount = (amount) => `₹${parseFloat(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2 })}`;
+
+const typeLabels = {
+  account: 'Account',
+  fd: 'Fixed Deposit',
+  rd: 'Recurring Deposit',
+  loan: 'Loan'
+};
+
+const categories = {
+  account: ['savings', 'current', 'salary'],
+  loan: ['personal', 'home', 'vehicle', 'business', 'education', 'gold']
+};
+
+const compoundingLabels = {
+  monthly: 'Monthly',
+  quarterly: 'Quarterly',
+  half_yearly: 'Half-yearly',
+  yearly: 'Yearly'
+};
+
+const emptyRule = {
+  tenure_from_months: 0,
+  tenure_to_months: '',
+  elapsed_from_months: 0,
+  elapsed_to_months: '',
+  rate_basis: 'contracted',
+  rate_reduction: 1,
+  flat_fee: 0
+};
+
+const emptyProduct = {
+  code: '',
+  name: '',
+  product_type: 'fd',
+  category: '',
+  description: '',
+  interest_rate: '',
+  compounding: 'monthly',
+  min_amount: '',
+  max_amount: '',
+  min_tenure_months: '',
+  max_tenure_months: '',
+  min_age: '',
+  max_age: '',
+  penalty_rules: null
+};
+
+const blank = (value) => (value === null || value === undefined ? '' : value);
+
+const range = (min, max, format = (value) => value) => {
+  if (max === null || max === undefined) {
+    return `${format(min)}+`;
+  }
+  return `${format(min)} - ${format(max)}`;
+};
+
+// The account, FD, RD and loan schemes contracts are opened on. Changing a product
+// only affects contracts opened afterwards; each contract keeps the terms it opened on.
+const Products = () => {
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [typeFilter, setTypeFilter] = useState('');
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const fetchProducts = async (productType = typeFilter) => {
+    try {
+      const params = {};
+      if (productType) params.product_type = productType;
+
+      const response = await apiHelpers.get(endpoints.products.list, params);
+      if (response.success) {
+        setProducts(response.products);
+      }
+    } catch (error) {
+      console.error('Error fetching products:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchProducts();
+  }, []);
+
+  const handleTypeFilter = (e) => {
+    setTypeFilter(e.target.value);
+    fetchProducts(e.target.value);
+  };
+
+  const startNew = () => {
+    setForm({ id: null, ...emptyProduct });
+  };
+
+  const startEdit = (product) => {
+    setForm({
+      id: product.id,
+      code: product.code,
+      name: product.name,
+      product_type: product.product_type,
+      category: blank(product.category),
+      description: blank(product.description),
+      compounding: product.compounding || 'monthly',
+      min_amount: product.min_amount,
+      max_amount: blank(product.max_amount),
+      min_tenure_months: blank(product.min_tenure_months),
+      max_tenure_months: blank(product.max_tenure_months),
+      min_age: blank(product.min_age),
+      max_age: blank(product.max_age),
+      penalty_rules: product.penalty_rules ? {
+        lock_in_months: product.penalty_rules.lock_in_months,
+        rules: product.penalty_rules.rules.map(rule => ({
+          ...rule,
+          tenure_to_months: blank(rule.tenure_to_months),
+          elapsed_to_months: blank(rule.elapsed_to_months)
+        }))
+      } : null
+    });
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({
+      ...prev,
+      [name]: value,
+      // Category and premature closure rules depend on the product type
+      ...(name === 'product_type' ? { category: '', penalty_rules: null } : {})
+    }));
+  };
+
+  const toggleOwnRules = (e) => {
+    const { checked } = e.target;
+    setForm(prev => ({
+      ...prev,
+      penalty_rules: checked ? { lock_in_months: 0, rules: [{ ...emptyRule }] } : null
+    }));
+  };
+
+  const handlePenaltyChange = (name, value) => {
+    setForm(prev => ({ ...prev, penalty_rules: { ...prev.penalty_rules, [name]: value } }));
+  };
+
+  const handleRuleChange = (index, name, value) => {
+    handlePenaltyChange('rules', form.penalty_rules.rules.map((rule, i) => (i === index ? { ...rule, [name]: value } : rule)));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      // Rates change through a rate card once the product exists
+      const { id, interest_rate, ...terms } = form;
+      const payload = id ? terms : { ...terms, interest_rate };
+      const response = id
+        ? await apiHelpers.put(endpoints.products.update(id), payload)
+        : await apiHelpers.post(endpoints.products.create, payload);
+
+      if (response.success) {
+        toast.success(response.message);
+        setForm(null);
+        fetchProducts();
+      }
+    } catch (error) {
+      console.error('Error saving product:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleStatusChange = async (product) => {
+    const isActive = !product.is_active;
+    if (!isActive && !window.confirm(`Retire ${product.name}? Contracts already opened on it are not affected.`)) {
+      return;
+    }
+
+    try {
+      const response = await apiHelpers.put(endpoints.products.status(product.id), { is_active: isActive });
+      if (response.success) {
+        toast.success(response.message);
+        fetchProducts();
+      }
+    } catch (error) {
+      console.error('Error updating product:', error);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-96">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  const isTermProduct = form && form.product_type !== 'account';
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="clay-card-lg p-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-gray-100">
+              Product Catalogue
+            </h1>
+            <p className="text-gray-600 dark:text-gray-400 mt-1">
+              Schemes new accounts, deposits and loans are opened on. Each contract keeps the terms it was opened on.
+            </p>
+          </div>
+          <div className="flex gap-4">
+            <select value={typeFilter} onChange={handleTypeFilter} className="input-field">
+              <option value="">All products</option>
+              {Object.entries(typeLabels).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <button onClick={startNew} className="btn-primary whitespace-nowrap">
+              New Product
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* Products Table */}
+      <div className="clay-card overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+            <thead className="bg-gray-50 dark:bg-gray-800">
+              <tr>
+                {['Product', 'Type', 'Rate', 'Amount', 'Tenure (months)', 'Ages', 'Status'].map(heading => (
+                  <th key={heading} className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    {heading}
+                  </th>
+                ))}
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                  Actions
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white dark:bg-gray-900 divide-y divide-gray-200 dark:divide-gray-700">
+              {products.map((product) => (
+                <tr key={product.id} className="hover:bg-gray-50 dark:hover:bg-gray-800">
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="text-sm font-medium text-gray-900 dark:text-gray-100">{product.name}</div>
+                    <div className="text-sm text-gray-500 dark:text-gray-400">{product.code}</div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-gray-100">
+                    {typeLabels[product.product_type]}
+                    {product.category && <span className="text-gray-500 dark:text-gray-400 capitalize"> ({product.category})</span>}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="text-sm text-gray-900 dark:text-gray-100">
+                      {product.interest_rate}%{product.rate_slabs.length > 1 ? ` (${product.rate_slabs.length} slabs)` : ''}
+                    </div>
+                    {product.compounding && (
+                      <div className="text-xs text-gray-500 dark:text-gray-400">{compoundingLabels[product.compounding]}</div>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
+                    {range(product.min_amount, product.max_amount, formatAmount)}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
+                    {product.min_tenure_months ? range(product.min_tenure_months, product.max_tenure_months) : '-'}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
+                    {product.min_age !== null || product.max_age !== null ? range(product.min_age ?? 0, product.max_age) : 'Any'}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${product.is_active
+                      ? 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300'
+                      : 'bg-gray-100 text-gray-800 dark:bg-gray-900 dark:text-gray-300'}`}>
+                      {product.is_active ? 'On offer' : 'Retired'}
+                    </span>
+                    {product.penalty_rules && (
+                      <div className="text-xs text-gray-500 dark:text-gray-400 mt-1">Own closure rules</div>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-3">
+                    <button
+                      onClick={() => startEdit(product)}
+                      className="text-primary-600 hover:text-primary-900 dark:text-primary-400 dark:hover:text-primary-300"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => handleStatusChange(product)}
+                      className={product.is_active
+                        ? 'text-red-600 hover:text-red-900 dark:text-red-400 dark:hover:text-red-300'
+                        : 'text-green-600 hover:text-green-900 dark:text-green-400 dark:hover:text-green-300'}
+                    >
+                      {product.is_active ? 'Retire' : 'Offer again'}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {products.length === 0 && (
+          <div className="text-center py-12">
+            <h3 className="text-sm font-medium text-gray-900 dark:text-gray-100">No products found</h3>
+            <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+              Add a product to open accounts, deposits or loans on it.
+            </p>
+          </div>
+        )}
+      </div>
+
+      {/* Product Modal */}
+      {form && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-10 mx-auto p-5 border w-11/12 lg:w-3/4 shadow-lg rounded-md bg-white dark:bg-gray-800">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100">
+                {form.id ? `Edit ${form.name}` : 'New Product'}
+              </h3>
+              <button
+                onClick={() => setForm(null)}
+                className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+              >
+                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+
+            {form.id && (
+              <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+                Changes apply to contracts opened from now on. Existing contracts keep the terms they were opened on.
+              </p>
+            )}
+
+            <form onSubmit={handleSave} className="space-y-4">
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Product Type *
+                  </label>
+                  <select
+                    name="product_type"
+                    value={form.product_type}
+                    onChange={handleChange}
+                    disabled={Boolean(form.id)}
+                    className="input-field"
+                  >
+                    {Object.entries(typeLabels).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Code *
+                  </label>
+                  <input
+                    type="text"
+                    name="code"
+                    value={form.code}
+                    onChange={handleChange}
+                    required
+                    maxLength={20}
+                    className="input-field uppercase"
+                    placeholder="e.g. SRFD2Y"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Name *
+                  </label>
+                  <input
+                    type="text"
+                    name="name"
+                    value={form.name}
+                    onChange={handleChange}
+                    required
+                    className="input-field"
+                    placeholder="e.g. Senior Citizen FD 2Y"
+                  />
+                </div>
+
+                {categories[form.product_type] && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                      {form.product_type === 'account' ? 'Account Type' : 'Loan Type'} *
+                    </label>
+                    <select
+                      name="category"
+                      value={form.category}
+                      onChange={handleChange}
+                      required
+                      className="input-field capitalize"
+                    >
+                      <option value="">Select type</option>
+                      {categories[form.product_type].map(category => (
+                        <option key={category} value={category}>{category}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
+                {form.id ? (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                      Interest Rate
+                    </label>
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                      Rates are changed with a rate change request under Settings, Interest Rates.
+                    </p>
+                  </div>
+                ) : (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                      Opening Interest Rate (% per annum) *
+                    </label>
+                    <input
+                      type="number"
+                      name="interest_rate"
+                      value={form.interest_rate}
+                      onChange={handleChange}
+                      required
+                      min="0"
+                      max="100"
+                      step="0.01"
+                      className="input-field"
+                    />
+                  </div>
+                )}
+
+                {isTermProduct && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                      Compounding *
+                    </label>
+                    <select
+                      name="compounding"
+                      value={form.compounding}
+                      onChange={handleChange}
+                      className="input-field"
+                    >
+                      {Object.entries(compoundingLabels).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    {form.product_type === 'rd' ? 'Min Monthly Amount (₹)' : form.product_type === 'account' ? 'Min Opening Deposit (₹)' : 'Min Amount (₹)'}
+                  </label>
+                  <input
+                    type="number"
+                    name="min_amount"
+                    value={form.min_amount}
+                    onChange={handleChange}
+                    min="0"
+                    step="0.01"
+                    className="input-field"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Max Amount (₹)
+                  </label>
+                  <input
+                    type="number"
+                    name="max_amount"
+                    value={form.max_amount}
+                    onChange={handleChange}
+                    min="0"
+                    step="0.01"
+                    className="input-field"
+                    placeholder="No limit"
+                  />
+                </div>
+
+                {isTermProduct && (
+                  <>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                        Min Tenure (months)
+                      </label>
+                      <input
+                        type="number"
+                        name="min_tenure_months"
+                        value={form.min_tenure_months}
+                        onChange={handleChange}
+                        min="1"
+                        className="input-field"
+                        placeholder="1"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                        Max Tenure (months)
+                      </label>
+                      <input
+                        type="number"
+                        name="max_tenure_months"
+                        value={form.max_tenure_months}
+                        onChange={handleChange}
+                        min="1"
+                        className="input-field"
+                        placeholder="No limit"
+                      />
+                    </div>
+                  </>
+                )}
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Min Age
+                  </label>
+                  <input
+                    type="number"
+                    name="min_age"
+                    value={form.min_age}
+                    onChange={handleChange}
+                    min="0"
+                    className="input-field"
+                    placeholder="Any"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Max Age
+                  </label>
+                  <input
+                    type="number"
+                    name="max_age"
+                    value={form.max_age}
+                    onChange={handleChange}
+                    min="0"
+                    className="input-field"
+                    placeholder="Any"
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  Description
+                </label>
+                <textarea
+                  name="description"
+                  value={form.description}
+                  onChange={handleChange}
+                  rows={2}
+                  className="input-field"
+                />
+              </div>
+
+              {['fd', 'rd'].includes(form.product_type) && (
+                <div className="border border-gray-200 dark:border-gray-700 rounded-md p-4 space-y-4">
+                  <label className="flex items-center text-sm font-medium text-gray-700 dark:text-gray-300">
+                    <input
+                      type="checkbox"
+                      checked={Boolean(form.penalty_rules)}
+                      onChange={toggleOwnRules}
+                      className="mr-2"
+                    />
+                    Own premature closure rules (otherwise the rules in Settings apply)
+                  </label>
+
+                  {form.penalty_rules && (
+                    <>
+                      <div className="w-48">
+                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                          Lock-in Period (months)
+                        </label>
+                        <input
+                          type="number"
+                          value={form.penalty_rules.lock_in_months}
+                          onChange={(e) => handlePenaltyChange('lock_in_months', e.target.value)}
+                          min="0"
+                          className="input-field"
+                        />
+                      </div>
+
+                      <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+                          <thead className="bg-gray-50 dark:bg-gray-800">
+                            <tr>
+                              {['Tenure From', 'Tenure To', 'Run From', 'Run To', 'Rate Basis', 'Reduction (%)', 'Flat Fee (₹)', ''].map(heading => (
+                                <th key={heading} className="px-3 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                                  {heading}
+                                </th>
+                              ))}
+                            </tr>
+                          </thead>
+                          <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                            {form.penalty_rules.rules.map((rule, index) => (
+                              <tr key={index}>
+                                {['tenure_from_months', 'tenure_to_months', 'elapsed_from_months', 'elapsed_to_months'].map(field => (
+                                  <td key={field} className="px-3 py-2">
+                                    <input
+                                      type="number"
+                                      min="0"
+                                      value={rule[field]}
+                                      onChange={(e) => handleRuleChange(index, field, e.target.value)}
+                                      placeholder={field.endsWith('_to_months') ? 'Open' : '0'}
+                                      className="input-field w-24"
+                                    />
+                                  </td>
+                                ))}
+                                <td className="px-3 py-2">
+                                  <select
+                                    value={rule.rate_basis}
+                                    onChange={(e) => handleRuleChange(index, 'rate_basis', e.target.value)}
+                                    className="input-field"
+                                  >
+                                    <option value="contracted">Contracted rate</option>
+                                    <option value="period_run">Rate for period run</option>
+                                  </select>
+                                </td>
+                                <td className="px-3 py-2">
+                                  <input
+                                    type="number"
+                                    step="0.01"
+                                    min="0"
+                                    value={rule.rate_reduction}
+                                    onChange={(e) => handleRuleChange(index, 'rate_reduction', e.target.value)}
+                                    className="input-field w-24"
+                                  />
+                                </td>
+                                <td className="px-3 py-2">
+                                  <input
+                                    type="number"
+                                    step="0.01"
+                                    min="0"
+                                    value={rule.flat_fee}
+                                    onChange={(e) => handleRuleChange(index, 'flat_fee', e.target.value)}
+                                    className="input-field w-28"
+                                  />
+                                </td>
+                                <td className="px-3 py-2 text-right">
+                                  {form.penalty_rules.rules.length > 1 && (
+                                    <button
+                                      type="button"
+                                      onClick={() => handlePenaltyChange('rules', form.penalty_rules.rules.filter((_, i) => i !== index))}
+                                      className="text-sm text-red-600 hover:text-red-900 dark:text-red-400 dark:hover:text-red-300"
+                                    >
+                                      Remove
+                                    </button>
+                                  )}
+                                </td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+
+                      <button
+                        type="button"
+                        onClick={() => handlePenaltyChange('rules', [...form.penalty_rules.rules, { ...emptyRule }])}
+                        className="btn-secondary"
+                      >
+                        Add Rule
+                      </button>
+                    </>
+                  )}
+                </div>
+              )}
+
+              <div className="flex justify-end space-x-3 pt-4">
+                <button type="button" onClick={() => setForm(null)} className="btn-secondary">
+                  Cancel
+                </button>
+                <button type="submit" disabled={saving} className="btn-primary">
+                  {saving ? 'Saving...' : form.id ? 'Update Product' : 'Add Product'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Products;
@@ -2,13 +2,23 @@ import React, { useState, useEffect } from 'react';
 import toast from 'react-hot-toast';
 import { apiHelpers, endpoints } from '../api/axios';
 import LoadingSpinner from '../components/LoadingSpinner';
+import ClosureQuoteModal from '../components/ClosureQuoteModal';
+import RDInstallmentModal from '../components/RDInstallmentModal';
+import HoldersModal from '../components/HoldersModal';
+import ProductTerms, { slabRate } from '../components/ProductTerms';
+
+const COMPOUNDING_PERIODS = { monthly: 12, quarterly: 4, half_yearly: 2, yearly: 1 };
 
 const RD = () => {
   const [rds, setRds] = useState([]);
   const [customers, setCustomers] = useState([]);
+  const [products, setProducts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
   const [showAddModal, setShowAddModal] = useState(false);
+  const [closingRD, setClosingRD] = useState(null);
+  const [payingRD, setPayingRD] = useState(null);
+  const [holdersFor, setHoldersFor] = useState(null);
   const [pagination, setPagination] = useState({
     total: 0,
     limit: 20,
@@ -18,10 +28,9 @@ const RD = () => {
   // Form state for adding new RD
   const [newRD, setNewRD] = useState({
     customer_id: '',
+    product_id: '',
     monthly_amount: '',
-    interest_rate: '',
     tenure_months: '',
-    rd_type: 'regular',
     auto_debit: false,
     nominee_name: '',
     nominee_relation: ''
@@ -69,6 +78,18 @@ const RD = () => {
     }
   };
 
+  // Fetch the RD products on offer
+  const fetchProducts = async () => {
+    try {
+      const response = await apiHelpers.get(endpoints.products.list, { product_type: 'rd', active: true });
+      if (response.success) {
+        setProducts(response.products);
+      }
+    } catch (error) {
+      console.error('Error fetching products:', error);
+    }
+  };
+
   // Handle search
   const handleSearch = (e) => {
     const value = e.target.value;
@@ -91,13 +112,16 @@ const RD = () => {
     }));
   };
 
-  // Calculate maturity amount for RD
-  const calculateRDMaturityAmount = (monthlyAmount, rate, tenure) => {
-    const monthlyRate = rate / 100 / 12;
+  // Calculate maturity amount for RD, at the monthly rate equivalent to the product's compounding
+  const calculateRDMaturityAmount = (monthlyAmount, rate, tenure, compounding = 'monthly') => {
+    const periods = COMPOUNDING_PERIODS[compounding];
+    const monthlyRate = Math.pow(1 + rate / 100 / periods, periods / 12) - 1;
     const maturityAmount = monthlyAmount * (((Math.pow(1 + monthlyRate, tenure) - 1) / monthlyRate) * (1 + monthlyRate));
     return isNaN(maturityAmount) ? 0 : maturityAmount;
   };
 
+  const selectedProduct = products.find(product => product.id === parseInt(newRD.product_id));
+
   // Handle form submission
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -110,10 +134,9 @@ const RD = () => {
         setShowAddModal(false);
         setNewRD({
           customer_id: '',
+          product_id: '',
           monthly_amount: '',
-          interest_rate: '',
           tenure_months: '',
-          rd_type: 'regular',
           auto_debit: false,
           nominee_name: '',
           nominee_relation: ''
@@ -145,6 +168,7 @@ const RD = () => {
   useEffect(() => {
     fetchRDs();
     fetchCustomers();
+    fetchProducts();
   }, []);
 
   // Get status badge color
@@ -260,7 +284,7 @@ const RD = () => {
                         {rd.rd_number}
                       </div>
                       <div className="text-sm text-gray-500 dark:text-gray-400">
-                        {rd.rd_type?.charAt(0).toUpperCase() + rd.rd_type?.slice(1)} RD
+                        {rd.product_terms?.name || 'Recurring Deposit'}
                       </div>
                       <div className="text-xs text-gray-400">
                         {rd.tenure_months} months @ {rd.interest_rate}%
@@ -271,6 +295,11 @@ const RD = () => {
                     <div className="text-sm text-gray-900 dark:text-gray-100">
                       {rd.customer_name}
                     </div>
+                    {rd.operating_mode && rd.operating_mode !== 'single' && (
+                      <div className="text-xs text-primary-600 dark:text-primary-400">
+                        Joint · {rd.operating_mode.replace(/_/g, ' ')}
+                      </div>
+                    )}
                     <div className="text-sm text-gray-500 dark:text-gray-400">
                       {rd.customer_phone}
                     </div>
@@ -309,6 +338,11 @@ const RD = () => {
                         Auto-debit
                       </div>
                     )}
+                    {rd.status === 'defaulted' && (
+                      <div className="text-xs text-red-600 dark:text-red-400 mt-1">
+                        {rd.missed_installments} installments overdue
+                      </div>
+                    )}
                     {rd.status === 'active' && rd.next_due_date && (
                       <div className="text-xs text-orange-600 dark:text-orange-400 mt-1">
                         Due: {new Date(rd.next_due_date).toLocaleDateString()}
@@ -316,12 +350,32 @@ const RD = () => {
                     )}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
-                    {rd.status === 'active' && (
-                      <button className="text-primary-600 hover:text-primary-900 dark:text-primary-400 dark:hover:text-primary-300 mr-4">
+                    {['active', 'defaulted'].includes(rd.status) && (
+                      <button
+                        onClick={() => setPayingRD(rd)}
+                        className="text-primary-600 hover:text-primary-900 dark:text-primary-400 dark:hover:text-primary-300 mr-4"
+                      >
                         Pay Installment
                       </button>
                     )}
-                    <button className="text-gray-600 hover:text-gray-900 dark:text-gray-400 dark:hover:text-gray-300">
+                    {['active', 'defaulted', 'completed', 'matured'].includes(rd.status) && (
+                      <button
+                        onClick={() => setClosingRD(rd)}
+                        className="text-yellow-600 hover:text-yellow-900 dark:text-yellow-400 dark:hover:text-yellow-300 mr-4"
+                      >
+                        Close RD
+                      </button>
+                    )}
+                    <button
+                      onClick={() => setHoldersFor(rd)}
+                      className="text-gray-600 hover:text-gray-900 dark:text-gray-400 dark:hover:text-gray-300 mr-4"
+                    >
+                      Holders
+                    </button>
+                    <button
+                      onClick={() => setPayingRD(rd)}
+                      className="text-gray-600 hover:text-gray-900 dark:text-gray-400 dark:hover:text-gray-300"
+                    >
                       View
                     </button>
                   </td>
@@ -399,6 +453,46 @@ const RD = () => {
         )}
       </div>
 
+      {/* Installments Modal */}
+      {payingRD && (
+        <RDInstallmentModal
+          rd={payingRD}
+          onClose={() => setPayingRD(null)}
+          onSaved={() => {
+            setPayingRD(null);
+            fetchRDs(searchTerm, pagination.offset);
+          }}
+        />
+      )}
+
+      {/* Close RD Modal */}
+      {closingRD && (
+        <ClosureQuoteModal
+          productType="rd"
+          deposit={{ id: closingRD.id, number: closingRD.rd_number }}
+          isPremature={false}
+          onClose={() => setClosingRD(null)}
+          onClosed={() => {
+            setClosingRD(null);
+            fetchRDs(searchTerm, pagination.offset);
+          }}
+        />
+      )}
+
+      {/* Holders & Nominees Modal */}
+      {holdersFor && (
+        <HoldersModal
+          productType="rd"
+          productId={holdersFor.id}
+          productNumber={holdersFor.rd_number}
+          customers={customers}
+          onClose={() => {
+            setHoldersFor(null);
+            fetchRDs(searchTerm, pagination.offset);
+          }}
+        />
+      )}
+
       {/* Add RD Modal */}
       {showAddModal && (
         <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
@@ -442,22 +536,30 @@ const RD = () => {
 
                   <div>
                     <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-                      RD Type *
+                      Product *
                     </label>
                     <select
-                      name="rd_type"
-                      value={newRD.rd_type}
+                      name="product_id"
+                      value={newRD.product_id}
                       onChange={handleInputChange}
                       required
                       className="input-field"
                     >
-                      <option value="regular">Regular RD</option>
-                      <option value="senior_citizen">Senior Citizen RD</option>
-                      <option value="minor">Minor RD</option>
-                      <option value="nri">NRI RD</option>
+                      <option value="">Select Product</option>
+                      {products.map(product => (
+                        <option key={product.id} value={product.id}>
+                          {product.name} - {product.interest_rate}% p.a.
+                        </option>
+                      ))}
                     </select>
                   </div>
 
+                  {selectedProduct && (
+                    <div className="md:col-span-2">
+                      <ProductTerms product={selectedProduct} />
+                    </div>
+                  )}
+
                   <div>
                     <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
                       Monthly Amount *
@@ -475,24 +577,6 @@ const RD = () => {
                     />
                   </div>
 
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-                      Interest Rate (% per annum) *
-                    </label>
-                    <input
-                      type="number"
-                      name="interest_rate"
-                      value={newRD.interest_rate}
-                      onChange={handleInputChange}
-                      required
-                      min="1"
-                      max="15"
-                      step="0.1"
-                      className="input-field"
-                      placeholder="Enter interest rate"
-                    />
-                  </div>
-
                   <div>
                     <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
                       Tenure (Months) *
@@ -523,8 +607,9 @@ const RD = () => {
                       type="text"
                       value={`₹${calculateRDMaturityAmount(
                         parseFloat(newRD.monthly_amount) || 0,
-                        parseFloat(newRD.interest_rate) || 0,
-                        parseInt(newRD.tenure_months) || 0
+                        selectedProduct ? slabRate(selectedProduct, parseFloat(newRD.monthly_amount) || 0) : 0,
+                        parseInt(newRD.tenure_months) || 0,
+                        selectedProduct?.compounding
                       ).toLocaleString()}`}
                       readOnly
                       className="input-field bg-gray-50 dark:bg-gray-700"
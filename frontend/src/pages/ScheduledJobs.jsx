@@ -0,0 +1,391 @@
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { apiHelpers, endpoints } from '../api/axios';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+const ScheduledJobs = () => {
+  const [jobs, setJobs] = useState([]);
+  const [runs, setRuns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [runningJob, setRunningJob] = useState(null);
+  const [editingJob, setEditingJob] = useState(null);
+  const [cronExpression, setCronExpression] = useState('');
+  const [filters, setFilters] = useState({
+    job_name: '',
+    status: ''
+  });
+
+  // Fetch jobs
+  const fetchJobs = async () => {
+    try {
+      const response = await apiHelpers.get(endpoints.jobs.list);
+
+      if (response.success) {
+        setJobs(response.jobs);
+      } else {
+        toast.error('Failed to fetch scheduled jobs');
+      }
+    } catch (error) {
+      console.error('Error fetching scheduled jobs:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Fetch run history
+  const fetchRuns = async (currentFilters = filters) => {
+    try {
+      const params = { limit: 50 };
+      if (currentFilters.job_name) params.job_name = currentFilters.job_name;
+      if (currentFilters.status) params.status = currentFilters.status;
+
+      const response = await apiHelpers.get(endpoints.jobs.runs, params);
+
+      if (response.success) {
+        setRuns(response.runs);
+      }
+    } catch (error) {
+      console.error('Error fetching job runs:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchJobs();
+    fetchRuns();
+  }, []);
+
+  // Handle filter changes
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    const updated = { ...filters, [name]: value };
+    setFilters(updated);
+    fetchRuns(updated);
+  };
+
+  // Run a job now
+  const handleRunNow = async (name) => {
+    try {
+      setRunningJob(name);
+      const response = await apiHelpers.post(endpoints.jobs.run(name));
+
+      if (response.success) {
+        toast.success(response.message);
+      } else {
+        toast.error(response.message);
+      }
+    } catch (error) {
+      console.error('Error running job:', error);
+    } finally {
+      setRunningJob(null);
+      fetchJobs();
+      fetchRuns();
+    }
+  };
+
+  // Update a job's schedule or enabled flags
+  const updateJob = async (name, data) => {
+    try {
+      const response = await apiHelpers.put(endpoints.jobs.update(name), data);
+
+      if (response.success) {
+        toast.success('Scheduled job updated');
+        setEditingJob(null);
+        fetchJobs();
+      }
+    } catch (error) {
+      console.error('Error updating job:', error);
+    }
+  };
+
+  const startEditing = (job) => {
+    setEditingJob(job.name);
+    setCronExpression(job.cron_expression);
+  };
+
+  // Timestamps from the server are UTC without a zone marker
+  const formatTimestamp = (value) => {
+    if (!value) return '-';
+    return new Date(`${value.replace(' ', 'T')}Z`).toLocaleString();
+  };
+
+  const formatSummary = (summary) => {
+    if (!summary) return '';
+    return Object.entries(summary)
+      .filter(([, value]) => typeof value !== 'object')
+      .map(([key, value]) => `${key.replace(/_/g, ' ')}: ${value}`)
+      .join(', ');
+  };
+
+  // Get status badge color
+  const getStatusBadge = (status) => {
+    const colors = {
+      succeeded: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300',
+      running: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-300',
+      failed: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-300',
+      skipped: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-300'
+    };
+    return colors[status] || 'bg-gray-100 text-gray-800 dark:bg-gray-900 dark:text-gray-300';
+  };
+
+  if (loading && jobs.length === 0) {
+    return (
+      <div className="flex items-center justify-center min-h-96">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="clay-card-lg p-6">
+        <h1 className="text-2xl font-bold text-gray-900 dark:text-gray-100">
+          Scheduled Jobs
+        </h1>
+        <p className="text-gray-600 dark:text-gray-400 mt-1">
+          Daily maturity, overdue, interest, backup and cleanup jobs. Runs missed while the computer was off are caught up on startup.
+        </p>
+      </div>
+
+      {/* Jobs Table */}
+      <div className="clay-card overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+            <thead className="bg-gray-50 dark:bg-gray-800">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                  Job
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                  Schedule
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                  Last Run
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                  Next Run
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                  Failures (30 days)
+                </th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                  Actions
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white dark:bg-gray-900 divide-y divide-gray-200 dark:divide-gray-700">
+              {jobs.map((job) => (
+                <tr key={job.id} className="hover:bg-gray-50 dark:hover:bg-gray-800">
+                  <td className="px-6 py-4">
+                    <div className="text-sm font-medium text-gray-900 dark:text-gray-100">
+                      {job.name}
+                    </div>
+                    <div className="text-sm text-gray-500 dark:text-gray-400">
+                      {job.description}
+                    </div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    {editingJob === job.name ? (
+                      <div className="flex items-center gap-2">
+                        <input
+                          type="text"
+                          value={cronExpression}
+                          onChange={(e) => setCronExpression(e.target.value)}
+                          className="input-field w-36 font-mono text-sm"
+                        />
+                        <button
+                          onClick={() => updateJob(job.name, { cron_expression: cronExpression })}
+                          className="text-primary-600 hover:text-primary-900 dark:text-primary-400 text-sm"
+                        >
+                          Save
+                        </button>
+                        <button
+                          onClick={() => setEditingJob(null)}
+                          className="text-gray-500 hover:text-gray-700 dark:text-gray-400 text-sm"
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    ) : (
+                      <button
+                        onClick={() => startEditing(job)}
+                        className="text-sm font-mono text-gray-900 dark:text-gray-100 hover:underline"
+                        title="Edit schedule"
+                      >
+                        {job.cron_expression}
+                      </button>
+                    )}
+                    <div className="flex items-center gap-4 mt-1">
+                      <label className="flex items-center text-xs text-gray-500 dark:text-gray-400">
+                        <input
+                          type="checkbox"
+                          checked={Boolean(job.enabled)}
+                          onChange={(e) => updateJob(job.name, { enabled: e.target.checked })}
+                          className="mr-1"
+                        />
+                        Enabled
+                      </label>
+                      <label className="flex items-center text-xs text-gray-500 dark:text-gray-400">
+                        <input
+                          type="checkbox"
+                          checked={Boolean(job.catch_up)}
+                          onChange={(e) => updateJob(job.name, { catch_up: e.target.checked })}
+                          className="mr-1"
+                        />
+                        Catch up
+                      </label>
+                    </div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    {job.last_run ? (
+                      <div>
+                        <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getStatusBadge(job.last_run.status)}`}>
+                          {job.last_run.status}
+                        </span>
+                        <div className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                          {formatTimestamp(job.last_run.started_at)}
+                        </div>
+                      </div>
+                    ) : (
+                      <span className="text-sm text-gray-400">Never</span>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-gray-100">
+                    {job.enabled ? formatTimestamp(job.next_run_at) : 'Disabled'}
+                  </td>
+                  <td className="px-6 py-4">
+                    <div className={`text-sm ${job.recent_failures > 0 ? 'text-red-600 dark:text-red-400 font-medium' : 'text-gray-500 dark:text-gray-400'}`}>
+                      {job.recent_failures}
+                    </div>
+                    {job.last_failure && (
+                      <div className="text-xs text-gray-500 dark:text-gray-400 max-w-xs truncate" title={job.last_failure.error_message}>
+                        {formatTimestamp(job.last_failure.started_at)}: {job.last_failure.error_message}
+                      </div>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                    <button
+                      onClick={() => handleRunNow(job.name)}
+                      disabled={job.is_running || runningJob !== null}
+                      className="text-primary-600 hover:text-primary-900 dark:text-primary-400 dark:hover:text-primary-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {runningJob === job.name || job.is_running ? 'Running...' : 'Run now'}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Run History */}
+      <div className="clay-card overflow-hidden">
+        <div className="p-4 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <h2 className="text-lg font-medium text-gray-900 dark:text-gray-100">
+            Run History
+          </h2>
+          <div className="flex gap-4">
+            <select
+              name="job_name"
+              value={filters.job_name}
+              onChange={handleFilterChange}
+              className="input-field"
+            >
+              <option value="">All jobs</option>
+              {jobs.map((job) => (
+                <option key={job.name} value={job.name}>{job.name}</option>
+              ))}
+            </select>
+            <select
+              name="status"
+              value={filters.status}
+              onChange={handleFilterChange}
+              className="input-field"
+            >
+              <option value="">All statuses</option>
+              <option value="succeeded">Succeeded</option>
+              <option value="failed">Failed</option>
+              <option value="skipped">Skipped</option>
+              <option value="running">Running</option>
+            </select>
+          </div>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+            <thead className="bg-gray-50 dark:bg-gray-800">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                  Job
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                  Trigger
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                  Started
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                  Status
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                  Result
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white dark:bg-gray-900 divide-y divide-gray-200 dark:divide-gray-700">
+              {runs.map((run) => (
+                <tr key={run.id} className="hover:bg-gray-50 dark:hover:bg-gray-800">
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-gray-100">
+                    {run.job_name}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="text-sm text-gray-900 dark:text-gray-100">
+                      {run.trigger_type.replace('_', ' ')}
+                    </div>
+                    {run.triggered_by_name && (
+                      <div className="text-xs text-gray-500 dark:text-gray-400">
+                        by {run.triggered_by_name}
+                      </div>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="text-sm text-gray-900 dark:text-gray-100">
+                      {formatTimestamp(run.started_at)}
+                    </div>
+                    {run.scheduled_for && (
+                      <div className="text-xs text-gray-500 dark:text-gray-400">
+                        Due {formatTimestamp(run.scheduled_for)}
+                      </div>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getStatusBadge(run.status)}`}>
+                      {run.status}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 text-sm">
+                    {run.error_message && (
+                      <div className="text-red-600 dark:text-red-400">{run.error_message}</div>
+                    )}
+                    <div className="text-gray-500 dark:text-gray-400">{formatSummary(run.summary)}</div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {runs.length === 0 && (
+          <div className="text-center py-12">
+            <h3 className="text-sm font-medium text-gray-900 dark:text-gray-100">No runs found</h3>
+            <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+              Runs appear here once a job has been scheduled or run manually.
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ScheduledJobs;
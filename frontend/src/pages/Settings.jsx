@@ -2,6 +2,8 @@ import React, { useState, useEffect } from 'react';
 import toast from 'react-hot-toast';
 import { apiHelpers, endpoints } from '../api/axios';
 import LoadingSpinner from '../components/LoadingSpinner';
+import PenaltyRulesEditor from '../components/PenaltyRulesEditor';
+import RateCardEditor from '../components/RateCardEditor';
 
 const Settings = () => {
   const [loading, setLoading] = useState(true);
@@ -17,13 +19,6 @@ const Settings = () => {
     company_email: '',
     company_website: '',
     
-    // Interest rates
-    savings_interest_rate: '',
-    current_interest_rate: '',
-    fd_interest_rate: '',
-    rd_interest_rate: '',
-    loan_interest_rate: '',
-    
     // Fees and charges
     account_opening_fee: '',
     minimum_balance_fee: '',
@@ -139,6 +134,7 @@ const Settings = () => {
     { id: 'general', name: 'General', icon: 'M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z M15 12a3 3 0 11-6 0 3 3 0 016 0z' },
     { id: 'rates', name: 'Interest Rates', icon: 'M12 8c-1.657 0-3 .895-3 2s1.343 2 3 2 3 .895 3 2-1.343 2-3 2m0-8c1.11 0 2.08.402 2.599 1M12 8V7m0 1v8m0 0v1m0-1c-1.11 0-2.08-.402-2.599-1' },
     { id: 'fees', name: 'Fees & Charges', icon: 'M17 9V7a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2m2 4h10a2 2 0 002-2v-6a2 2 0 00-2-2H9a2 2 0 00-2 2v2a2 2 0 002 2z' },
+    { id: 'penalties', name: 'Penalty Rules', icon: 'M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z' },
     { id: 'email', name: 'Email', icon: 'M3 8l7.89 4.26a2 2 0 002.22 0L21 8M5 19h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z' },
     { id: 'system', name: 'System', icon: 'M9 3v2m6-2v2M9 19v2m6-2v2M5 9H3m2 6H3m18-6h-2m2 6h-2M7 19h10a2 2 0 002-2V7a2 2 0 00-2-2H7a2 2 0 00-2 2v10a2 2 0 002 2zM9 9h6v6H9V9z' }
   ];
@@ -202,6 +198,12 @@ const Settings = () => {
         </div>
 
         {/* Tab Content */}
+        {/* Rate cards and penalty rules are saved per version, outside the settings form */}
+        {activeTab === 'rates' || activeTab === 'penalties' ? (
+          <div className="p-6">
+            {activeTab === 'rates' ? <RateCardEditor /> : <PenaltyRulesEditor />}
+          </div>
+        ) : (
         <form onSubmit={handleSave} className="p-6">
           {/* General Settings */}
           {activeTab === 'general' && (
@@ -285,103 +287,6 @@ const Settings = () => {
             </div>
           )}
 
-          {/* Interest Rates */}
-          {activeTab === 'rates' && (
-            <div className="space-y-6">
-              <div>
-                <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100 mb-4">
-                  Default Interest Rates (% per annum)
-                </h3>
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-                      Savings Account
-                    </label>
-                    <input
-                      type="number"
-                      name="savings_interest_rate"
-                      value={settings.savings_interest_rate}
-                      onChange={handleInputChange}
-                      step="0.1"
-                      min="0"
-                      max="15"
-                      className="input-field"
-                      placeholder="4.0"
-                    />
-                  </div>
-
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-                      Current Account
-                    </label>
-                    <input
-                      type="number"
-                      name="current_interest_rate"
-                      value={settings.current_interest_rate}
-                      onChange={handleInputChange}
-                      step="0.1"
-                      min="0"
-                      max="15"
-                      className="input-field"
-                      placeholder="3.5"
-                    />
-                  </div>
-
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-                      Fixed Deposit
-                    </label>
-                    <input
-                      type="number"
-                      name="fd_interest_rate"
-                      value={settings.fd_interest_rate}
-                      onChange={handleInputChange}
-                      step="0.1"
-                      min="0"
-                      max="15"
-                      className="input-field"
-                      placeholder="6.5"
-                    />
-                  </div>
-
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-                      Recurring Deposit
-                    </label>
-                    <input
-                      type="number"
-                      name="rd_interest_rate"
-                      value={settings.rd_interest_rate}
-                      onChange={handleInputChange}
-                      step="0.1"
-                      min="0"
-                      max="15"
-                      className="input-field"
-                      placeholder="6.0"
-                    />
-                  </div>
-
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-                      Loan Interest
-                    </label>
-                    <input
-                      type="number"
-                      name="loan_interest_rate"
-                      value={settings.loan_interest_rate}
-                      onChange={handleInputChange}
-                      step="0.1"
-                      min="0"
-                      max="50"
-                      className="input-field"
-                      placeholder="12.0"
-                    />
-                  </div>
-                </div>
-              </div>
-            </div>
-          )}
-
           {/* Fees & Charges */}
           {activeTab === 'fees' && (
             <div className="space-y-6">
@@ -650,6 +555,7 @@ const Settings = () => {
             </button>
           </div>
         </form>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,562 @@
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { apiHelpers, endpoints } from '../api/axios';
+import { useAuth } from '../context/AuthContext';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+const formatAmount = (amount) => `₹${parseFloat(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2 })}`;
+
+const emptyInstruction = {
+  customer_id: '',
+  account_id: '',
+  target: '',
+  amount: '',
+  start_date: '',
+  end_date: ''
+};
+
+const statusColors = {
+  active: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300',
+  paused: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-300',
+  cancelled: 'bg-gray-100 text-gray-800 dark:bg-gray-900 dark:text-gray-300',
+  completed: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-300',
+  succeeded: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300',
+  failed: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-300'
+};
+
+// Timestamps from the server are UTC without a zone marker
+const formatTimestamp = (value) => {
+  if (!value) return '-';
+  return new Date(`${value.replace(' ', 'T')}Z`).toLocaleString();
+};
+
+const StandingInstructions = () => {
+  const { hasRole } = useAuth();
+  const [instructions, setInstructions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [customers, setCustomers] = useState([]);
+  const [showCreateModal, setShowCreateModal] = useState(false);
+  const [newInstruction, setNewInstruction] = useState(emptyInstruction);
+  const [customerProducts, setCustomerProducts] = useState({ accounts: [], rds: [], loans: [] });
+  const [saving, setSaving] = useState(false);
+  const [historyFor, setHistoryFor] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [runningId, setRunningId] = useState(null);
+
+  // Fetch standing instructions
+  const fetchInstructions = async (status = statusFilter) => {
+    try {
+      const params = {};
+      if (status) params.status = status;
+
+      const response = await apiHelpers.get(endpoints.standingInstructions.list, params);
+      if (response.success) {
+        setInstructions(response.instructions);
+      }
+    } catch (error) {
+      console.error('Error fetching standing instructions:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Fetch customers for dropdown
+  const fetchCustomers = async () => {
+    try {
+      const response = await apiHelpers.get(endpoints.customers.list, { limit: 1000 });
+      if (response.success) {
+        setCustomers(response.customers);
+      }
+    } catch (error) {
+      console.error('Error fetching customers:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchInstructions();
+    fetchCustomers();
+  }, []);
+
+  const handleStatusFilter = (e) => {
+    setStatusFilter(e.target.value);
+    fetchInstructions(e.target.value);
+  };
+
+  // The savings accounts to debit and the RDs and loans to pay, once a customer is picked
+  const fetchCustomerProducts = async (customerId) => {
+    if (!customerId) {
+      setCustomerProducts({ accounts: [], rds: [], loans: [] });
+      return;
+    }
+
+    try {
+      const [accounts, rds, loans] = await Promise.all([
+        apiHelpers.get(endpoints.accounts.list, { customer_id: customerId, account_type: 'savings', limit: 100 }),
+        apiHelpers.get(endpoints.rd.list, { customer_id: customerId, limit: 100 }),
+        apiHelpers.get(endpoints.loans.list, { customer_id: customerId, limit: 100 })
+      ]);
+
+      setCustomerProducts({
+        accounts: (accounts.accounts || []).filter(account => account.is_active),
+        rds: (rds.rds || []).filter(rd => ['active', 'defaulted'].includes(rd.status)),
+        loans: (loans.loans || []).filter(loan => ['disbursed', 'active'].includes(loan.status))
+      });
+    } catch (error) {
+      console.error('Error fetching customer products:', error);
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+
+    if (name === 'customer_id') {
+      setNewInstruction({ ...emptyInstruction, customer_id: value });
+      fetchCustomerProducts(value);
+      return;
+    }
+
+    setNewInstruction(prev => ({ ...prev, [name]: value }));
+  };
+
+  const closeCreateModal = () => {
+    setShowCreateModal(false);
+    setNewInstruction(emptyInstruction);
+    setCustomerProducts({ accounts: [], rds: [], loans: [] });
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    // The target select carries both the product type and its id, e.g. "rd:12"
+    const [target_type, target_id] = newInstruction.target.split(':');
+
+    try {
+      setSaving(true);
+      const response = await apiHelpers.post(endpoints.standingInstructions.create, {
+        account_id: newInstruction.account_id,
+        target_type,
+        target_id,
+        amount: newInstruction.amount || null,
+        start_date: newInstruction.start_date || null,
+        end_date: newInstruction.end_date || null
+      });
+
+      if (response.success) {
+        toast.success(response.message);
+        closeCreateModal();
+        fetchInstructions();
+      }
+    } catch (error) {
+      console.error('Error creating standing instruction:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleStatusChange = async (instruction, status) => {
+    if (status === 'cancelled' && !window.confirm(`Cancel the standing instruction to pay ${instruction.target_number}?`)) {
+      return;
+    }
+
+    try {
+      const response = await apiHelpers.put(endpoints.standingInstructions.status(instruction.id), { status });
+      if (response.success) {
+        toast.success(response.message);
+        fetchInstructions();
+      }
+    } catch (error) {
+      console.error('Error updating standing instruction:', error);
+    }
+  };
+
+  // Try an instruction now rather than waiting for the daily run
+  const handleRunNow = async (instruction) => {
+    try {
+      setRunningId(instruction.id);
+      const response = await apiHelpers.post(endpoints.standingInstructions.run(instruction.id));
+      if (response.success) {
+        toast.success(response.message);
+      }
+    } catch (error) {
+      console.error('Error running standing instruction:', error);
+    } finally {
+      setRunningId(null);
+      fetchInstructions();
+    }
+  };
+
+  const showHistory = async (instruction) => {
+    setHistoryFor(instruction);
+    setHistory([]);
+
+    try {
+      const response = await apiHelpers.get(endpoints.standingInstructions.history(instruction.id));
+      if (response.success) {
+        setHistory(response.runs);
+      }
+    } catch (error) {
+      console.error('Error fetching standing instruction history:', error);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-96">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="clay-card-lg p-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-gray-100">
+              Standing Instructions
+            </h1>
+            <p className="text-gray-600 dark:text-gray-400 mt-1">
+              RD installments and loan EMIs paid from a savings account on their due dates. Failed payments are retried daily.
+            </p>
+          </div>
+          <div className="flex gap-4">
+            <select value={statusFilter} onChange={handleStatusFilter} className="input-field">
+              <option value="">All statuses</option>
+              <option value="active">Active</option>
+              <option value="paused">Paused</option>
+              <option value="completed">Completed</option>
+              <option value="cancelled">Cancelled</option>
+            </select>
+            <button onClick={() => setShowCreateModal(true)} className="btn-primary whitespace-nowrap">
+              New Instruction
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* Instructions Table */}
+      <div className="clay-card overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+            <thead className="bg-gray-50 dark:bg-gray-800">
+              <tr>
+                {['Customer', 'From', 'Pays', 'Amount', 'Period', 'Status', 'Last Run'].map(heading => (
+                  <th key={heading} className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    {heading}
+                  </th>
+                ))}
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                  Actions
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white dark:bg-gray-900 divide-y divide-gray-200 dark:divide-gray-700">
+              {instructions.map((instruction) => (
+                <tr key={instruction.id} className="hover:bg-gray-50 dark:hover:bg-gray-800">
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="text-sm font-medium text-gray-900 dark:text-gray-100">{instruction.customer_name}</div>
+                    <div className="text-sm text-gray-500 dark:text-gray-400">{instruction.customer_phone}</div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="text-sm text-gray-900 dark:text-gray-100">{instruction.account_number}</div>
+                    <div className="text-sm text-gray-500 dark:text-gray-400">Balance {formatAmount(instruction.account_balance)}</div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-gray-100">
+                    {instruction.target_type === 'rd' ? 'RD' : 'Loan'} {instruction.target_number}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-gray-100">
+                    {instruction.amount ? formatAmount(instruction.amount) : 'Amount due'}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
+                    {new Date(instruction.start_date).toLocaleDateString()}
+                    {instruction.end_date ? ` - ${new Date(instruction.end_date).toLocaleDateString()}` : ' onwards'}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${statusColors[instruction.status]}`}>
+                      {instruction.status}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    {instruction.last_run_at ? (
+                      <div>
+                        <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${statusColors[instruction.last_run_status]}`}>
+                          {instruction.last_run_status}
+                        </span>
+                        <div className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                          {formatTimestamp(instruction.last_run_at)}
+                        </div>
+                      </div>
+                    ) : (
+                      <span className="text-sm text-gray-400">Never</span>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-3">
+                    <button
+                      onClick={() => showHistory(instruction)}
+                      className="text-primary-600 hover:text-primary-900 dark:text-primary-400 dark:hover:text-primary-300"
+                    >
+                      History
+                    </button>
+                    {instruction.status === 'active' && hasRole('admin') && (
+                      <button
+                        onClick={() => handleRunNow(instruction)}
+                        disabled={runningId !== null}
+                        className="text-primary-600 hover:text-primary-900 dark:text-primary-400 dark:hover:text-primary-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        {runningId === instruction.id ? 'Running...' : 'Run now'}
+                      </button>
+                    )}
+                    {instruction.status === 'active' && (
+                      <button
+                        onClick={() => handleStatusChange(instruction, 'paused')}
+                        className="text-yellow-600 hover:text-yellow-900 dark:text-yellow-400 dark:hover:text-yellow-300"
+                      >
+                        Pause
+                      </button>
+                    )}
+                    {instruction.status === 'paused' && (
+                      <button
+                        onClick={() => handleStatusChange(instruction, 'active')}
+                        className="text-green-600 hover:text-green-900 dark:text-green-400 dark:hover:text-green-300"
+                      >
+                        Resume
+                      </button>
+                    )}
+                    {['active', 'paused'].includes(instruction.status) && (
+                      <button
+                        onClick={() => handleStatusChange(instruction, 'cancelled')}
+                        className="text-red-600 hover:text-red-900 dark:text-red-400 dark:hover:text-red-300"
+                      >
+                        Cancel
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {instructions.length === 0 && (
+          <div className="text-center py-12">
+            <h3 className="text-sm font-medium text-gray-900 dark:text-gray-100">No standing instructions found</h3>
+            <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+              Set one up to pay an RD or loan from the customer's savings account.
+            </p>
+          </div>
+        )}
+      </div>
+
+      {/* Create Modal */}
+      {showCreateModal && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-11/12 md:w-1/2 lg:w-1/3 shadow-lg rounded-md bg-white dark:bg-gray-800">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100">
+                New Standing Instruction
+              </h3>
+              <button
+                onClick={closeCreateModal}
+                className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+              >
+                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+
+            <form onSubmit={handleCreate} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  Customer *
+                </label>
+                <select
+                  name="customer_id"
+                  value={newInstruction.customer_id}
+                  onChange={handleChange}
+                  required
+                  className="input-field"
+                >
+                  <option value="">Select customer</option>
+                  {customers.map(customer => (
+                    <option key={customer.id} value={customer.id}>
+                      {customer.name} - {customer.phone}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  Debit Savings Account *
+                </label>
+                <select
+                  name="account_id"
+                  value={newInstruction.account_id}
+                  onChange={handleChange}
+                  required
+                  className="input-field"
+                >
+                  <option value="">Select account</option>
+                  {customerProducts.accounts.map(account => (
+                    <option key={account.id} value={account.id}>
+                      {account.account_number} - {formatAmount(account.balance)}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  Pay *
+                </label>
+                <select
+                  name="target"
+                  value={newInstruction.target}
+                  onChange={handleChange}
+                  required
+                  className="input-field"
+                >
+                  <option value="">Select RD or loan</option>
+                  {customerProducts.rds.map(rd => (
+                    <option key={`rd:${rd.id}`} value={`rd:${rd.id}`}>
+                      RD {rd.rd_number} - {formatAmount(rd.monthly_amount)} a month
+                    </option>
+                  ))}
+                  {customerProducts.loans.map(loan => (
+                    <option key={`loan:${loan.id}`} value={`loan:${loan.id}`}>
+                      Loan {loan.loan_number} - EMI {formatAmount(loan.emi_amount)}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  Amount (₹)
+                </label>
+                <input
+                  type="number"
+                  name="amount"
+                  value={newInstruction.amount}
+                  onChange={handleChange}
+                  min="0.01"
+                  step="0.01"
+                  className="input-field"
+                />
+                <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                  Leave blank to pay whatever is due, including overdue installments and late fees.
+                </p>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Start Date
+                  </label>
+                  <input
+                    type="date"
+                    name="start_date"
+                    value={newInstruction.start_date}
+                    onChange={handleChange}
+                    className="input-field"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    End Date
+                  </label>
+                  <input
+                    type="date"
+                    name="end_date"
+                    value={newInstruction.end_date}
+                    onChange={handleChange}
+                    className="input-field"
+                  />
+                </div>
+              </div>
+
+              <div className="flex justify-end space-x-3 pt-2">
+                <button type="button" onClick={closeCreateModal} className="btn-secondary">
+                  Cancel
+                </button>
+                <button type="submit" disabled={saving} className="btn-primary">
+                  {saving ? 'Saving...' : 'Set Up Instruction'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* History Modal */}
+      {historyFor && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-11/12 md:w-3/4 lg:w-1/2 shadow-lg rounded-md bg-white dark:bg-gray-800">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100">
+                History - {historyFor.account_number} to {historyFor.target_number}
+              </h3>
+              <button
+                onClick={() => setHistoryFor(null)}
+                className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+              >
+                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+
+            {history.length === 0 ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400">No attempts yet.</p>
+            ) : (
+              <div className="max-h-96 overflow-y-auto">
+                <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+                  <thead className="bg-gray-50 dark:bg-gray-800">
+                    <tr>
+                      {['Run', 'Due', 'Attempt', 'Amount', 'Result'].map(heading => (
+                        <th key={heading} className="px-3 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                          {heading}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200 dark:divide-gray-700 text-gray-900 dark:text-gray-100">
+                    {history.map(run => (
+                      <tr key={run.id}>
+                        <td className="px-3 py-2">
+                          <div>{formatTimestamp(run.run_at)}</div>
+                          <div className="text-xs text-gray-500 dark:text-gray-400">
+                            {run.trigger_type === 'manual' ? `Run by ${run.run_by_name || 'staff'}` : 'Daily run'}
+                          </div>
+                        </td>
+                        <td className="px-3 py-2">{new Date(run.due_date).toLocaleDateString()}</td>
+                        <td className="px-3 py-2">{run.attempt}</td>
+                        <td className="px-3 py-2">{formatAmount(run.amount)}</td>
+                        <td className="px-3 py-2">
+                          <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${statusColors[run.status]}`}>
+                            {run.status}
+                          </span>
+                          {run.error_message && (
+                            <div className="text-xs text-red-600 dark:text-red-400 mt-1">{run.error_message}</div>
+                          )}
+                          {run.payment_reference && (
+                            <div className="text-xs text-gray-500 dark:text-gray-400 mt-1">{run.payment_reference}</div>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StandingInstructions;
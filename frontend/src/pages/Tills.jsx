@@ -0,0 +1,620 @@
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { apiHelpers, endpoints } from '../api/axios';
+import { useAuth } from '../context/AuthContext';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+const formatAmount = (amount) => `₹${parseFloat(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2 })}`;
+
+const today = () => new Date().toISOString().split('T')[0];
+
+// Timestamps from the server are UTC without a zone marker
+const formatTimestamp = (value) => {
+  if (!value) return '-';
+  return new Date(`${value.replace(' ', 'T')}Z`).toLocaleString();
+};
+
+const movementLabels = {
+  opening: 'Opening count',
+  bank_in: 'From bank',
+  bank_out: 'To bank',
+  till_issue: 'Issued to tills',
+  till_return: 'Returned by tills',
+  till_close: 'Till closing cash'
+};
+
+const differenceText = (difference) => {
+  if (!difference) return 'Tallied';
+  return difference > 0 ? `Excess ${formatAmount(difference)}` : `Short ${formatAmount(-difference)}`;
+};
+
+const Tills = () => {
+  const { hasRole } = useAuth();
+  const isAdmin = hasRole('admin');
+  const [loading, setLoading] = useState(true);
+  const [session, setSession] = useState(null);
+  const [denominations, setDenominations] = useState([]);
+  const [employees, setEmployees] = useState([]);
+  const [openForm, setOpenForm] = useState({ teller_id: '', opening_cash: '' });
+  const [transfer, setTransfer] = useState(null);
+  const [closeForm, setCloseForm] = useState(null);
+  const [vault, setVault] = useState(null);
+  const [vaultForm, setVaultForm] = useState({ movement_type: 'bank_in', amount: '', note: '' });
+  const [reportDate, setReportDate] = useState(today());
+  const [report, setReport] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const fetchMine = async () => {
+    try {
+      const response = await apiHelpers.get(endpoints.tills.mine);
+      if (response.success) {
+        setSession(response.session);
+        setDenominations(response.denominations);
+      }
+    } catch (error) {
+      console.error('Error fetching till:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchVault = async () => {
+    try {
+      const response = await apiHelpers.get(endpoints.tills.vault);
+      if (response.success) {
+        setVault(response.vault);
+      }
+    } catch (error) {
+      console.error('Error fetching vault:', error);
+    }
+  };
+
+  const fetchEmployees = async () => {
+    try {
+      const response = await apiHelpers.get(endpoints.employees.list);
+      if (response.success) {
+        setEmployees(response.data.filter(employee => employee.is_active));
+      }
+    } catch (error) {
+      console.error('Error fetching employees:', error);
+    }
+  };
+
+  const fetchReport = async (date = reportDate) => {
+    try {
+      const response = await apiHelpers.get(endpoints.reports.cashDaily, { date });
+      if (response.success) {
+        setReport(response.data);
+      }
+    } catch (error) {
+      console.error('Error fetching daily cash report:', error);
+    }
+  };
+
+  const refresh = () => {
+    fetchMine();
+    fetchReport();
+    if (isAdmin) fetchVault();
+  };
+
+  useEffect(() => {
+    refresh();
+    if (isAdmin) fetchEmployees();
+  }, []);
+
+  const handleOpen = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const response = await apiHelpers.post(endpoints.tills.open, {
+        teller_id: openForm.teller_id || undefined,
+        opening_cash: parseFloat(openForm.opening_cash) || 0
+      });
+      if (response.success) {
+        toast.success(response.message);
+        setOpenForm({ teller_id: '', opening_cash: '' });
+        refresh();
+      }
+    } catch (error) {
+      console.error('Error opening till:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleTransfer = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const response = await apiHelpers.post(endpoints.tills.transfer(session.id), {
+        direction: transfer.direction,
+        amount: parseFloat(transfer.amount),
+        note: transfer.note
+      });
+      if (response.success) {
+        toast.success(response.message);
+        setTransfer(null);
+        refresh();
+      }
+    } catch (error) {
+      console.error('Error moving till cash:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const countedTotal = closeForm
+    ? denominations.reduce((sum, value) => sum + value * (parseInt(closeForm.counts[value]) || 0), 0)
+    : 0;
+  const countDifference = closeForm && session ? countedTotal - session.position.expected_cash : 0;
+
+  const handleClose = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const counts = Object.fromEntries(
+        Object.entries(closeForm.counts).map(([value, count]) => [value, parseInt(count) || 0])
+      );
+      const response = await apiHelpers.post(endpoints.tills.close(session.id), {
+        denominations: counts,
+        reason: closeForm.reason
+      });
+      if (response.success) {
+        toast.success(`${response.message}: ${differenceText(response.session.difference)}`);
+        setCloseForm(null);
+        refresh();
+      }
+    } catch (error) {
+      console.error('Error closing till:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleVaultMovement = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const response = await apiHelpers.post(endpoints.tills.vaultMovements, {
+        ...vaultForm,
+        amount: parseFloat(vaultForm.amount)
+      });
+      if (response.success) {
+        toast.success(response.message);
+        setVaultForm({ movement_type: 'bank_in', amount: '', note: '' });
+        fetchVault();
+        fetchReport();
+      }
+    } catch (error) {
+      console.error('Error recording vault movement:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReportDate = (e) => {
+    setReportDate(e.target.value);
+    fetchReport(e.target.value);
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-96">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  const stale = session && session.business_date < today();
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="clay-card-lg p-6">
+        <h1 className="text-2xl font-bold text-gray-900 dark:text-gray-100">
+          Cash & Tills
+        </h1>
+        <p className="text-gray-600 dark:text-gray-400 mt-1">
+          Open your till with cash from the vault before taking cash deposits or paying withdrawals, and close it with a count at the end of the day.
+        </p>
+      </div>
+
+      {/* My Till */}
+      <div className="clay-card p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-medium text-gray-900 dark:text-gray-100">My Till</h2>
+          {session && (
+            <div className="flex space-x-2">
+              <button onClick={() => setTransfer({ direction: 'issue', amount: '', note: '' })} className="btn-secondary">
+                Draw from Vault
+              </button>
+              <button onClick={() => setTransfer({ direction: 'return', amount: '', note: '' })} className="btn-secondary">
+                Return to Vault
+              </button>
+              <button onClick={() => setCloseForm({ counts: {}, reason: '' })} className="btn-primary">
+                Close Till
+              </button>
+            </div>
+          )}
+        </div>
+
+        {session ? (
+          <div>
+            {stale && (
+              <p className="mb-4 text-sm text-red-600 dark:text-red-400">
+                This till is still open from {new Date(session.business_date).toLocaleDateString()}. Close it before handling cash today.
+              </p>
+            )}
+            <dl className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
+              {[
+                ['Opened', formatTimestamp(session.opened_at)],
+                ['From vault', formatAmount(session.position.issued)],
+                ['Back to vault', formatAmount(session.position.returned)],
+                ['Cash received', formatAmount(session.position.cash_in)],
+                ['Cash paid', formatAmount(session.position.cash_out)],
+                ['Should hold', formatAmount(session.position.expected_cash)]
+              ].map(([label, value]) => (
+                <div key={label}>
+                  <dt className="text-sm text-gray-500 dark:text-gray-400">{label}</dt>
+                  <dd className="text-lg font-semibold text-gray-900 dark:text-gray-100">{value}</dd>
+                </div>
+              ))}
+            </dl>
+
+            {session.cash_entries.length > 0 && (
+              <div className="mt-6 overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+                  <thead className="bg-gray-50 dark:bg-gray-800">
+                    <tr>
+                      {['Time', 'Reference', 'Description', 'Received', 'Paid'].map(heading => (
+                        <th key={heading} className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                          {heading}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                    {session.cash_entries.map(entry => (
+                      <tr key={entry.entry_number}>
+                        <td className="px-4 py-2 text-sm text-gray-500 dark:text-gray-400">{formatTimestamp(entry.entry_date)}</td>
+                        <td className="px-4 py-2 text-sm text-gray-900 dark:text-gray-100">{entry.reference_number || '-'}</td>
+                        <td className="px-4 py-2 text-sm text-gray-900 dark:text-gray-100">{entry.description}</td>
+                        <td className="px-4 py-2 text-sm text-green-600 dark:text-green-400">{entry.cash_in > 0 ? formatAmount(entry.cash_in) : ''}</td>
+                        <td className="px-4 py-2 text-sm text-red-600 dark:text-red-400">{entry.cash_out > 0 ? formatAmount(entry.cash_out) : ''}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        ) : (
+          <form onSubmit={handleOpen} className="flex flex-col md:flex-row md:items-end gap-4">
+            {isAdmin && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  Teller
+                </label>
+                <select
+                  value={openForm.teller_id}
+                  onChange={(e) => setOpenForm(prev => ({ ...prev, teller_id: e.target.value }))}
+                  className="input-field"
+                >
+                  <option value="">Myself</option>
+                  {employees.map(employee => (
+                    <option key={employee.id} value={employee.id}>{employee.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Opening Cash (₹)
+              </label>
+              <input
+                type="number"
+                value={openForm.opening_cash}
+                onChange={(e) => setOpenForm(prev => ({ ...prev, opening_cash: e.target.value }))}
+                min="0"
+                step="0.01"
+                className="input-field"
+              />
+            </div>
+            <button type="submit" disabled={saving} className="btn-primary">
+              {saving ? 'Opening...' : 'Open Till'}
+            </button>
+          </form>
+        )}
+      </div>
+
+      {/* Vault (Admin only) */}
+      {isAdmin && vault && (
+        <div className="clay-card p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-medium text-gray-900 dark:text-gray-100">Vault</h2>
+            <span className="text-lg font-semibold text-gray-900 dark:text-gray-100">{formatAmount(vault.balance)}</span>
+          </div>
+
+          <form onSubmit={handleVaultMovement} className="flex flex-col md:flex-row md:items-end gap-4 mb-6">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Movement
+              </label>
+              <select
+                value={vaultForm.movement_type}
+                onChange={(e) => setVaultForm(prev => ({ ...prev, movement_type: e.target.value }))}
+                className="input-field"
+              >
+                <option value="bank_in">Cash drawn from bank</option>
+                <option value="bank_out">Cash remitted to bank</option>
+                {vault.movements.length === 0 && (
+                  <option value="opening">Opening count (cash already on the books)</option>
+                )}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Amount (₹)
+              </label>
+              <input
+                type="number"
+                value={vaultForm.amount}
+                onChange={(e) => setVaultForm(prev => ({ ...prev, amount: e.target.value }))}
+                required
+                min="0.01"
+                step="0.01"
+                className="input-field"
+              />
+            </div>
+            <div className="flex-1">
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Note
+              </label>
+              <input
+                type="text"
+                value={vaultForm.note}
+                onChange={(e) => setVaultForm(prev => ({ ...prev, note: e.target.value }))}
+                className="input-field"
+              />
+            </div>
+            <button type="submit" disabled={saving} className="btn-primary">
+              Record
+            </button>
+          </form>
+
+          <ul className="text-sm text-gray-600 dark:text-gray-400 space-y-1">
+            {vault.movements.slice(0, 10).map(movement => (
+              <li key={movement.id}>
+                {formatTimestamp(movement.created_at)}: {movementLabels[movement.movement_type]} {formatAmount(movement.amount)}
+                {movement.created_by_name ? ` by ${movement.created_by_name}` : ''}
+                {movement.note ? ` - ${movement.note}` : ''}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Daily Cash Report */}
+      <div className="clay-card p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-medium text-gray-900 dark:text-gray-100">Daily Cash Report</h2>
+          <input type="date" value={reportDate} onChange={handleReportDate} max={today()} className="input-field w-auto" />
+        </div>
+
+        {report && (
+          <div className="space-y-6">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <div>
+                <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Vault</h3>
+                <dl className="text-sm grid grid-cols-2 gap-y-1">
+                  <dt className="text-gray-500 dark:text-gray-400">Opening balance</dt>
+                  <dd className="text-gray-900 dark:text-gray-100">{formatAmount(report.vault.opening_balance)}</dd>
+                  {Object.entries(report.vault.movements).filter(([, amount]) => amount > 0).map(([type, amount]) => (
+                    <React.Fragment key={type}>
+                      <dt className="text-gray-500 dark:text-gray-400">{movementLabels[type]}</dt>
+                      <dd className="text-gray-900 dark:text-gray-100">
+                        {['bank_out', 'till_issue'].includes(type) ? '- ' : '+ '}{formatAmount(amount)}
+                      </dd>
+                    </React.Fragment>
+                  ))}
+                  <dt className="font-medium text-gray-700 dark:text-gray-300">Closing balance</dt>
+                  <dd className="font-medium text-gray-900 dark:text-gray-100">{formatAmount(report.vault.closing_balance)}</dd>
+                </dl>
+              </div>
+              <div>
+                <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Reconciliation</h3>
+                <dl className="text-sm grid grid-cols-2 gap-y-1">
+                  <dt className="text-gray-500 dark:text-gray-400">Vault</dt>
+                  <dd className="text-gray-900 dark:text-gray-100">{formatAmount(report.reconciliation.vault_cash)}</dd>
+                  <dt className="text-gray-500 dark:text-gray-400">Tills still open</dt>
+                  <dd className="text-gray-900 dark:text-gray-100">{formatAmount(report.reconciliation.cash_in_open_tills)}</dd>
+                  <dt className="text-gray-500 dark:text-gray-400">Cash held</dt>
+                  <dd className="text-gray-900 dark:text-gray-100">{formatAmount(report.reconciliation.cash_held)}</dd>
+                  <dt className="text-gray-500 dark:text-gray-400">Ledger cash balance</dt>
+                  <dd className="text-gray-900 dark:text-gray-100">{formatAmount(report.reconciliation.ledger_cash_balance)}</dd>
+                  <dt className="font-medium text-gray-700 dark:text-gray-300">Difference</dt>
+                  <dd className={`font-medium ${report.reconciliation.is_balanced ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+                    {report.reconciliation.is_balanced ? 'Balanced' : formatAmount(report.reconciliation.difference)}
+                  </dd>
+                </dl>
+              </div>
+            </div>
+
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+                <thead className="bg-gray-50 dark:bg-gray-800">
+                  <tr>
+                    {['Teller', 'Status', 'From Vault', 'Received', 'Paid', 'Back to Vault', 'Expected', 'Counted', 'Difference'].map(heading => (
+                      <th key={heading} className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                        {heading}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                  {report.tills.map(till => (
+                    <tr key={till.id}>
+                      <td className="px-4 py-2 text-sm text-gray-900 dark:text-gray-100">{till.teller_name}</td>
+                      <td className="px-4 py-2 text-sm text-gray-500 dark:text-gray-400 capitalize">{till.status}</td>
+                      <td className="px-4 py-2 text-sm text-gray-900 dark:text-gray-100">{formatAmount(till.position.issued)}</td>
+                      <td className="px-4 py-2 text-sm text-gray-900 dark:text-gray-100">{formatAmount(till.position.cash_in)}</td>
+                      <td className="px-4 py-2 text-sm text-gray-900 dark:text-gray-100">{formatAmount(till.position.cash_out)}</td>
+                      <td className="px-4 py-2 text-sm text-gray-900 dark:text-gray-100">{formatAmount(till.position.returned)}</td>
+                      <td className="px-4 py-2 text-sm text-gray-900 dark:text-gray-100">{formatAmount(till.position.expected_cash)}</td>
+                      <td className="px-4 py-2 text-sm text-gray-900 dark:text-gray-100">
+                        {till.status === 'closed' ? formatAmount(till.counted_cash) : '-'}
+                      </td>
+                      <td className="px-4 py-2 text-sm">
+                        {till.status === 'closed' ? (
+                          <span className={till.difference ? 'text-red-600 dark:text-red-400' : 'text-green-600 dark:text-green-400'}>
+                            {differenceText(till.difference)}
+                            {till.difference_reason && (
+                              <span className="block text-xs text-gray-500 dark:text-gray-400">{till.difference_reason}</span>
+                            )}
+                          </span>
+                        ) : '-'}
+                      </td>
+                    </tr>
+                  ))}
+                  {report.tills.length === 0 && (
+                    <tr>
+                      <td colSpan="9" className="px-4 py-4 text-sm text-center text-gray-500 dark:text-gray-400">No tills on this day</td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+
+            {report.unattributed.length > 0 && (
+              <div>
+                <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Cash handled without an open till</h3>
+                <ul className="text-sm text-gray-600 dark:text-gray-400 space-y-1">
+                  {report.unattributed.map(entry => (
+                    <li key={entry.entry_number}>
+                      {formatTimestamp(entry.entry_date)}: {entry.description}
+                      {entry.cash_in > 0 ? ` received ${formatAmount(entry.cash_in)}` : ` paid ${formatAmount(entry.cash_out)}`}
+                      {entry.posted_by_name ? ` by ${entry.posted_by_name}` : ''}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Transfer Modal */}
+      {transfer && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-11/12 md:w-1/2 lg:w-1/3 shadow-lg rounded-md bg-white dark:bg-gray-800">
+            <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100 mb-4">
+              {transfer.direction === 'issue' ? 'Draw Cash from Vault' : 'Return Cash to Vault'}
+            </h3>
+            <form onSubmit={handleTransfer} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  Amount (₹) *
+                </label>
+                <input
+                  type="number"
+                  value={transfer.amount}
+                  onChange={(e) => setTransfer(prev => ({ ...prev, amount: e.target.value }))}
+                  required
+                  min="0.01"
+                  step="0.01"
+                  className="input-field"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  Note
+                </label>
+                <input
+                  type="text"
+                  value={transfer.note}
+                  onChange={(e) => setTransfer(prev => ({ ...prev, note: e.target.value }))}
+                  className="input-field"
+                />
+              </div>
+              <div className="flex justify-end space-x-3">
+                <button type="button" onClick={() => setTransfer(null)} className="btn-secondary">
+                  Cancel
+                </button>
+                <button type="submit" disabled={saving} className="btn-primary">
+                  {saving ? 'Saving...' : 'Confirm'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Close Till Modal */}
+      {closeForm && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-11/12 md:w-2/3 lg:w-1/2 shadow-lg rounded-md bg-white dark:bg-gray-800">
+            <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100 mb-4">
+              Close Till - Cash Count
+            </h3>
+            <form onSubmit={handleClose} className="space-y-4">
+              <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+                {denominations.map(value => (
+                  <div key={value}>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                      ₹{value} x
+                    </label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="1"
+                      value={closeForm.counts[value] || ''}
+                      onChange={(e) => setCloseForm(prev => ({ ...prev, counts: { ...prev.counts, [value]: e.target.value } }))}
+                      className="input-field"
+                    />
+                  </div>
+                ))}
+              </div>
+
+              <dl className="text-sm grid grid-cols-2 gap-y-1 bg-gray-50 dark:bg-gray-700 rounded-md p-3">
+                <dt className="text-gray-500 dark:text-gray-400">Counted</dt>
+                <dd className="text-gray-900 dark:text-gray-100">{formatAmount(countedTotal)}</dd>
+                <dt className="text-gray-500 dark:text-gray-400">Should hold</dt>
+                <dd className="text-gray-900 dark:text-gray-100">{formatAmount(session.position.expected_cash)}</dd>
+                <dt className="font-medium text-gray-700 dark:text-gray-300">Difference</dt>
+                <dd className={`font-medium ${Math.abs(countDifference) < 0.005 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+                  {differenceText(Math.round(countDifference * 100) / 100)}
+                </dd>
+              </dl>
+
+              {Math.abs(countDifference) >= 0.005 && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Reason for the difference *
+                  </label>
+                  <input
+                    type="text"
+                    value={closeForm.reason}
+                    onChange={(e) => setCloseForm(prev => ({ ...prev, reason: e.target.value }))}
+                    required
+                    className="input-field"
+                  />
+                </div>
+              )}
+
+              <div className="flex justify-end space-x-3">
+                <button type="button" onClick={() => setCloseForm(null)} className="btn-secondary">
+                  Cancel
+                </button>
+                <button type="submit" disabled={saving} className="btn-primary">
+                  {saving ? 'Closing...' : 'Close Till'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Tills;
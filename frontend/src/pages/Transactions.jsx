@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import toast from 'react-hot-toast';
 import { apiHelpers, endpoints } from '../api/axios';
 import LoadingSpinner from '../components/LoadingSpinner';
+import SignatureCheck from '../components/SignatureCheck';
 
 const Transactions = () => {
   const [transactions, setTransactions] = useState([]);
@@ -15,6 +16,14 @@ const Transactions = () => {
     offset: 0
   });
 
+  // Cash withdrawal at the counter
+  const [showWithdrawModal, setShowWithdrawModal] = useState(false);
+  const [withdrawAccountNumber, setWithdrawAccountNumber] = useState('');
+  const [withdrawAccount, setWithdrawAccount] = useState(null);
+  const [withdrawForm, setWithdrawForm] = useState({ amount: '', description: '' });
+  const [signatureCheck, setSignatureCheck] = useState(null);
+  const [withdrawing, setWithdrawing] = useState(false);
+
   // Fetch transactions
   const fetchTransactions = async (search = '', offset = 0) => {
     try {
@@ -84,6 +93,51 @@ const Transactions = () => {
     }
   };
 
+  const openWithdrawModal = () => {
+    setWithdrawAccountNumber('');
+    setWithdrawAccount(null);
+    setWithdrawForm({ amount: '', description: '' });
+    setShowWithdrawModal(true);
+  };
+
+  // Find the account being paid out from by its number
+  const handleAccountLookup = async (e) => {
+    e.preventDefault();
+    if (!withdrawAccountNumber.trim()) return;
+
+    try {
+      setWithdrawAccount(null);
+      const response = await apiHelpers.get(endpoints.accounts.getByNumber(withdrawAccountNumber.trim()));
+      if (response.success) {
+        setWithdrawAccount(response.account);
+      }
+    } catch (error) {
+      console.error('Error finding account:', error);
+    }
+  };
+
+  const handleWithdrawSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setWithdrawing(true);
+      const response = await apiHelpers.post(endpoints.transactions.withdraw, {
+        account_id: withdrawAccount.id,
+        ...withdrawForm,
+        ...signatureCheck
+      });
+      if (response.success) {
+        toast.success(response.message);
+        setShowWithdrawModal(false);
+        fetchTransactions(searchTerm, 0);
+      }
+    } catch (error) {
+      console.error('Error processing withdrawal:', error);
+    } finally {
+      setWithdrawing(false);
+    }
+  };
+
   // Load transactions on component mount
   useEffect(() => {
     fetchTransactions();
@@ -152,6 +206,9 @@ const Transactions = () => {
             </p>
           </div>
           <div className="flex space-x-2">
+            <button onClick={openWithdrawModal} className="btn-primary">
+              Cash Withdrawal
+            </button>
             <button className="btn-secondary">
               <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
@@ -289,6 +346,9 @@ const Transactions = () => {
                     <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getTransactionTypeBadge(transaction.transaction_type)}`}>
                       {formatTransactionType(transaction.transaction_type)}
                     </span>
+                    {transaction.signature_verified_by && (
+                      <div className="text-xs text-gray-500 dark:text-gray-400 mt-1">Signature verified</div>
+                    )}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap">
                     <div className={`text-sm font-medium ${
@@ -403,6 +463,96 @@ const Transactions = () => {
           </div>
         )}
       </div>
+
+      {/* Cash Withdrawal Modal */}
+      {showWithdrawModal && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-11/12 md:w-1/2 lg:w-1/3 shadow-lg rounded-md bg-white dark:bg-gray-800">
+            <div className="mt-3">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100">Cash Withdrawal</h3>
+                <button
+                  onClick={() => setShowWithdrawModal(false)}
+                  className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+                >
+                  <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                  </svg>
+                </button>
+              </div>
+
+              <form onSubmit={handleAccountLookup} className="flex gap-2 mb-4">
+                <input
+                  type="text"
+                  value={withdrawAccountNumber}
+                  onChange={(e) => setWithdrawAccountNumber(e.target.value)}
+                  className="input-field flex-1"
+                  placeholder="Account number"
+                />
+                <button type="submit" className="btn-secondary">Find</button>
+              </form>
+
+              {withdrawAccount && (
+                <form onSubmit={handleWithdrawSubmit} className="space-y-4">
+                  <div className="p-3 bg-gray-50 dark:bg-gray-700 rounded-lg">
+                    <div className="font-medium text-gray-900 dark:text-gray-100">
+                      {withdrawAccount.account_number}
+                    </div>
+                    <div className="text-sm text-gray-600 dark:text-gray-400">
+                      {withdrawAccount.customer_name} • Balance: ₹{withdrawAccount.balance?.toLocaleString()}
+                    </div>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                      Amount *
+                    </label>
+                    <input
+                      type="number"
+                      value={withdrawForm.amount}
+                      onChange={(e) => setWithdrawForm(prev => ({ ...prev, amount: e.target.value }))}
+                      required
+                      min="1"
+                      step="0.01"
+                      className="input-field"
+                      placeholder="Enter amount"
+                    />
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                      Description
+                    </label>
+                    <input
+                      type="text"
+                      value={withdrawForm.description}
+                      onChange={(e) => setWithdrawForm(prev => ({ ...prev, description: e.target.value }))}
+                      className="input-field"
+                      placeholder="Enter transaction description"
+                    />
+                  </div>
+
+                  <SignatureCheck
+                    accountId={withdrawAccount.id}
+                    amount={withdrawForm.amount}
+                    confirmation={signatureCheck}
+                    onChange={setSignatureCheck}
+                  />
+
+                  <div className="flex justify-end space-x-3 pt-4">
+                    <button type="button" onClick={() => setShowWithdrawModal(false)} className="btn-secondary">
+                      Cancel
+                    </button>
+                    <button type="submit" disabled={withdrawing} className="btn-primary bg-red-600 hover:bg-red-700">
+                      {withdrawing ? 'Processing...' : 'Withdraw'}
+                    </button>
+                  </div>
+                </form>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 };